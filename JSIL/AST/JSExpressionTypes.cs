@@ -1419,6 +1419,51 @@ namespace JSIL.Ast {
         }
     }
 
+    // Evaluates each of its values in order. The result is the value of the last one.
+    public class JSCommaExpression : JSAnnotatedExpression {
+        public JSCommaExpression (params JSExpression[] values)
+            : base(values) {
+
+            if (values.Length == 0)
+                throw new ArgumentException("values");
+        }
+
+        public override IEnumerable<AnnotatedNode> AnnotatedChildren {
+            get {
+                for (int i = 0, c = Values.Count; i < c; i++)
+                    yield return new AnnotatedNode(String.Format("Value {0}", i), Values[i]);
+            }
+        }
+
+        public IEnumerable<JSExpression> Expressions {
+            get {
+                return Values;
+            }
+        }
+
+        public JSExpression Result {
+            get {
+                return Values[Values.Count - 1];
+            }
+        }
+
+        public override bool HasGlobalStateDependency {
+            get {
+                return Values.Any((v) => v.HasGlobalStateDependency);
+            }
+        }
+
+        public override bool IsConstant {
+            get {
+                return Values.All((v) => v.IsConstant);
+            }
+        }
+
+        public override TypeReference GetActualType (TypeSystem typeSystem) {
+            return Result.GetActualType(typeSystem);
+        }
+    }
+
     public class JSBinaryOperatorExpression : JSOperatorExpression<JSBinaryOperator> {
         /// <summary>
         /// Construct a binary operator expression with an explicit expected type.
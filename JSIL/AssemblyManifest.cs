@@ -28,6 +28,7 @@ namespace JSIL {
         }
 
         protected readonly Dictionary<string, long> TranslatedAssemblySizes = new Dictionary<string, long>();
+        protected readonly Dictionary<string, long> TranslatedResourcesSizes = new Dictionary<string, long>();
         protected readonly ConcurrentCache<string, Token> Tokens = new ConcurrentCache<string, Token>();
         protected bool AssignedIdentifiers = false;
 
@@ -89,5 +90,15 @@ namespace JSIL {
             lock (TranslatedAssemblySizes)
                 TranslatedAssemblySizes.Add(assembly.FullName, fileSize);
         }
+
+        public bool GetExistingResourcesSize (AssemblyDefinition assembly, out long fileSize) {
+            lock (TranslatedResourcesSizes)
+                return TranslatedResourcesSizes.TryGetValue(assembly.FullName, out fileSize);
+        }
+
+        public void SetResourcesAlreadyTranslated (AssemblyDefinition assembly, long fileSize) {
+            lock (TranslatedResourcesSizes)
+                TranslatedResourcesSizes.Add(assembly.FullName, fileSize);
+        }
     }
 }
@@ -374,8 +374,9 @@ namespace JSIL {
                 0, assemblies.Length, parallelOptions, (i) => {
                     var assembly = assemblies[i];
                     var outputPath = assembly.Name + ".js";
+                    var resourcesPath = assembly.Name + ".resources.js";
 
-                    long existingSize;
+                    long existingSize, existingResourcesSize;
 
                     if (!Manifest.GetExistingSize(assembly, out existingSize)) {
                         using (var outputStream = new MemoryStream()) {
@@ -391,12 +392,24 @@ namespace JSIL {
                             Manifest.SetAlreadyTranslated(assembly, outputStream.Length);
                         }
 
+                        if (!IsStubbed(assembly)) {
+                            var resources = TranslateResources(assembly);
+                            if (resources.HasValue) {
+                                result.AddFile(resourcesPath, resources.Value);
+
+                                Manifest.SetResourcesAlreadyTranslated(assembly, resources.Value.Count);
+                            }
+                        }
+
                         lock (result.Assemblies)
                             result.Assemblies.Add(assembly);
                     } else {
                         Debug.WriteLine(String.Format("Skipping '{0}' because it is already translated...", assembly.Name));
 
                         result.AddExistingFile(outputPath, existingSize);
+
+                        if (Manifest.GetExistingResourcesSize(assembly, out existingResourcesSize))
+                            result.AddExistingFile(resourcesPath, existingResourcesSize);
                     }
 
                     pr.OnProgressChanged(result.Assemblies.Count, assemblies.Length);
@@ -553,6 +566,132 @@ namespace JSIL {
             return false;
         }
 
+        protected List<AssemblyDefinition> LoadSatelliteAssemblies (AssemblyDefinition assembly) {
+            var result = new List<AssemblyDefinition>();
+            var directory = Path.GetDirectoryName(assembly.MainModule.FullyQualifiedName);
+            var satelliteFilename = assembly.Name.Name + ".resources.dll";
+
+            if (String.IsNullOrWhiteSpace(directory) || !Directory.Exists(directory))
+                return result;
+
+            // Satellite assemblies live in a subdirectory named after their culture.
+            foreach (var subdirectory in Directory.GetDirectories(directory)) {
+                var satellitePath = Path.Combine(subdirectory, satelliteFilename);
+                if (!File.Exists(satellitePath))
+                    continue;
+
+                try {
+                    result.Add(AssemblyDefinition.ReadAssembly(satellitePath));
+                } catch (Exception exc) {
+                    WarningFormat("Warning: Could not load the satellite assembly '{0}': {1}", satellitePath, exc.Message);
+                }
+            }
+
+            return result;
+        }
+
+        protected static bool TryTranslateResourceValue (object value, out string result) {
+            if (value is string) {
+                result = Util.EscapeString((string)value);
+            } else if (value is char) {
+                result = Util.EscapeString(value.ToString());
+            } else if (value is bool) {
+                result = ((bool)value) ? "true" : "false";
+            } else if ((value is double) || (value is float)) {
+                result = ((IFormattable)value).ToString("R", System.Globalization.CultureInfo.InvariantCulture);
+            } else if (
+                (value is byte) || (value is sbyte) || (value is short) || (value is ushort) ||
+                (value is int) || (value is uint) || (value is long) || (value is ulong) || (value is decimal)
+            ) {
+                result = ((IFormattable)value).ToString(null, System.Globalization.CultureInfo.InvariantCulture);
+            } else {
+                result = null;
+                return false;
+            }
+
+            return true;
+        }
+
+        // Converts the .resources files embedded in an assembly and its satellite assemblies into calls
+        //  to JSIL.DeclareResources, which make them available to System.Resources.ResourceManager.
+        protected ArraySegment<byte>? TranslateResources (AssemblyDefinition assembly) {
+            const string extension = ".resources";
+            int resourceSetCount = 0;
+
+            var assemblies = new List<AssemblyDefinition> { assembly };
+            assemblies.AddRange(LoadSatelliteAssemblies(assembly));
+
+            using (var outputStream = new MemoryStream())
+            using (var tw = new StreamWriter(outputStream, new UTF8Encoding(false))) {
+                tw.WriteLine("// {0}", GetHeaderText());
+                tw.WriteLine();
+
+                foreach (var resourceAssembly in assemblies) {
+                    var culture = resourceAssembly.Name.Culture ?? "";
+
+                    foreach (var resource in resourceAssembly.MainModule.Resources.OfType<EmbeddedResource>()) {
+                        if (!resource.Name.EndsWith(extension, StringComparison.OrdinalIgnoreCase))
+                            continue;
+
+                        var baseName = resource.Name.Substring(0, resource.Name.Length - extension.Length);
+                        if ((culture.Length > 0) && baseName.EndsWith("." + culture, StringComparison.OrdinalIgnoreCase))
+                            baseName = baseName.Substring(0, baseName.Length - culture.Length - 1);
+
+                        tw.WriteLine(
+                            "JSIL.DeclareResources({0}, {1}, {{",
+                            Util.EscapeString(baseName), Util.EscapeString(culture)
+                        );
+
+                        var isFirst = true;
+
+                        using (var reader = new System.Resources.ResourceReader(resource.GetResourceStream())) {
+                            var enumerator = reader.GetEnumerator();
+
+                            while (enumerator.MoveNext()) {
+                                var key = (string)enumerator.Key;
+                                object value;
+                                string valueText;
+
+                                try {
+                                    value = enumerator.Value;
+                                } catch (Exception exc) {
+                                    WarningFormat("Warning: Could not read the resource '{0}' in '{1}': {2}", key, resource.Name, exc.Message);
+                                    continue;
+                                }
+
+                                if (!TryTranslateResourceValue(value, out valueText)) {
+                                    WarningFormat(
+                                        "Warning: The resource '{0}' in '{1}' is of type '{2}', which is not supported. Skipping it.",
+                                        key, resource.Name, (value == null) ? "null" : value.GetType().FullName
+                                    );
+                                    continue;
+                                }
+
+                                if (!isFirst)
+                                    tw.WriteLine(",");
+
+                                tw.Write("  {0}: {1}", Util.EscapeString(key), valueText);
+                                isFirst = false;
+                            }
+                        }
+
+                        tw.WriteLine();
+                        tw.WriteLine("});");
+                        resourceSetCount += 1;
+                    }
+                }
+
+                tw.Flush();
+
+                if (resourceSetCount == 0)
+                    return null;
+
+                return new ArraySegment<byte>(
+                    outputStream.GetBuffer(), 0, (int)outputStream.Length
+                );
+            }
+        }
+
         public static string GetHeaderText () {
             var version = Assembly.GetExecutingAssembly().GetName().Version;
             return String.Format(
@@ -1299,6 +1438,10 @@ namespace JSIL {
                 si.TypeSystem, si.JS, _TypeInfoProvider, FunctionCache.MethodTypes
             ).Visit(function);
 
+            new EmulateInt64(
+                si.TypeSystem, FunctionCache.MethodTypes
+            ).Visit(function);
+
             new ExpandCastExpressions(
                 si.TypeSystem, si.JS, si.JSIL, _TypeInfoProvider
             ).Visit(function);
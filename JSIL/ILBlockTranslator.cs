@@ -297,7 +297,7 @@ namespace JSIL {
                 if (parms != null) {
                     var argsDict = new Dictionary<string, JSExpression>();
                     argsDict["this"] = thisExpression;
-                    argsDict["typeof(this)"] = Translate_TypeOf(thisExpression.GetActualType(TypeSystem));
+                    argsDict["typeof(this)"] = Translate_TypeOf(TypeUtil.DereferenceType(thisExpression.GetActualType(TypeSystem)));
 
                     foreach (var kvp in methodInfo.Parameters.Zip(arguments, (p, v) => new { p.Name, Value = v })) {
                         argsDict.Add(kvp.Name, kvp.Value);
@@ -378,7 +378,7 @@ namespace JSIL {
             if (parms != null) {
                 var argsDict = new Dictionary<string, JSExpression>();
                 argsDict["this"] = thisExpression;
-                argsDict["typeof(this)"] = Translate_TypeOf(thisExpression.GetActualType(TypeSystem));
+                argsDict["typeof(this)"] = Translate_TypeOf(TypeUtil.DereferenceType(thisExpression.GetActualType(TypeSystem)));
 
                 foreach (var kvp in method.Method.Parameters.Zip(arguments, (p, v) => new { p.Name, Value = v })) {
                     argsDict.Add(kvp.Name, kvp.Value);
@@ -1513,7 +1513,18 @@ namespace JSIL {
         }
 
         protected JSExpression Translate_Ldc_Decimal (ILExpression node, decimal value) {
-            return JSLiteral.New(value);
+            // A JS number cannot hold every decimal exactly (or remember its scale), so decimal
+            //  constants are constructed from their bits instead.
+            var bits = decimal.GetBits(value);
+            var decimalType = new TypeReference(
+                TypeSystem.Double.Namespace, "Decimal", TypeSystem.Double.Module, TypeSystem.Double.Scope, true
+            );
+
+            return new JSNewExpression(
+                decimalType, null, null,
+                JSLiteral.New(bits[0]), JSLiteral.New(bits[1]), JSLiteral.New(bits[2]),
+                JSLiteral.New(bits[3] < 0), JSLiteral.New((byte)((bits[3] >> 16) & 0xFF))
+            );
         }
 
         protected JSExpression Translate_LoadIntegerConstant (ILExpression node, long value) {
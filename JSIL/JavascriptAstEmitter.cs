@@ -416,7 +416,12 @@ namespace JSIL {
         }
 
         public void VisitNode (JSIntegerLiteral integer) {
-            Output.Value(integer.Value);
+            var type = integer.GetActualType(TypeSystem);
+
+            if (TypeUtil.Is64BitIntegral(type))
+                Output.Int64Value(integer.Value, type, ReferenceContext);
+            else
+                Output.Value(integer.Value);
         }
 
         public void VisitNode (JSNumberLiteral number) {
@@ -517,6 +522,8 @@ namespace JSIL {
                 } else {
                     Output.WriteRaw("0");
                 }
+            } else if (TypeUtil.Is64BitIntegral(defaultValue.Value)) {
+                Output.Int64Value(0, defaultValue.Value, ReferenceContext);
             } else if (TypeUtil.IsIntegralOrEnum(defaultValue.Value)) {
                 Output.Value(0);
             } else if (!defaultValue.Value.IsValueType) {
@@ -528,7 +535,6 @@ namespace JSIL {
                         break;
                     case "System.Single":
                     case "System.Double":
-                    case "System.Decimal":
                         Output.Value(0.0);
                         break;
                     case "System.Char":
@@ -1044,6 +1050,12 @@ namespace JSIL {
             Output.RPar();
         }
 
+        public void VisitNode (JSCommaExpression comma) {
+            Output.LPar();
+            CommaSeparatedList(comma.Expressions);
+            Output.RPar();
+        }
+
         public void VisitNode (JSNewExpression newexp) {
             var outer = Stack.Skip(1).FirstOrDefault();
             var outerInvocation = outer as JSInvocationExpression;
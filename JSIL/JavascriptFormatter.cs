@@ -880,10 +880,42 @@ namespace JSIL.Internal {
             WriteRaw("/* {0} */ ", commentText);
         }
 
+        public void Int64Value (long value, TypeReference typeReference, TypeReferenceContext context) {
+            Identifier(typeReference, context);
+            Dot();
+
+            // Values that fit in a double are written as numbers so that the output stays readable.
+            const long maxExactDouble = 1L << 53;
+            bool isUnsigned = typeReference.MetadataType == MetadataType.UInt64;
+            bool fitsInDouble = isUnsigned
+                ? ((ulong)value <= (ulong)maxExactDouble)
+                : ((value >= -maxExactDouble) && (value <= maxExactDouble));
+
+            if (fitsInDouble) {
+                Identifier("FromNumber");
+                LPar();
+                if (isUnsigned)
+                    Value((ulong)value);
+                else
+                    Value(value);
+                RPar();
+            } else {
+                Identifier("FromBits");
+                LPar();
+                Value((long)((ulong)value & 0xFFFFFFFF));
+                Comma();
+                Value((long)((ulong)value >> 32));
+                RPar();
+            }
+        }
+
         public void DefaultValue (TypeReference typeReference, TypeReferenceContext context) {
             string fullName = typeReference.FullName;
 
-            if (TypeUtil.IsIntegralOrEnum(typeReference)) {
+            if (TypeUtil.Is64BitIntegral(typeReference)) {
+                Int64Value(0, typeReference, context);
+                return;
+            } else if (TypeUtil.IsIntegralOrEnum(typeReference)) {
                 Value(0);
                 return;
             } else if (!typeReference.IsValueType) {
@@ -897,7 +929,6 @@ namespace JSIL.Internal {
                     return;
                 case "System.Single":
                 case "System.Double":
-                case "System.Decimal":
                     Value(0.0);
                     return;
             }
@@ -0,0 +1,368 @@
+﻿using System;
+using System.Collections.Generic;
+using System.Diagnostics;
+using System.Linq;
+using System.Text;
+using ICSharpCode.Decompiler.ILAst;
+using JSIL.Ast;
+using JSIL.Internal;
+using Mono.Cecil;
+
+namespace JSIL.Transforms {
+    // Int64 and UInt64 values are represented by immutable runtime objects, so every operator
+    //  applied to them has to be replaced with a call to the matching static method on the type.
+    public class EmulateInt64 : JSAstVisitor {
+        public readonly TypeSystem TypeSystem;
+        public readonly MethodTypeFactory MethodTypes;
+
+        private readonly Dictionary<JSBinaryOperator, string> OperatorMethods;
+        private readonly Dictionary<JSAssignmentOperator, JSBinaryOperator> CompoundAssignments;
+        private readonly HashSet<JSBinaryOperator> ShiftOperators;
+
+        private JSFunctionExpression Function;
+        private List<JSVariable> Temporaries;
+
+        public EmulateInt64 (TypeSystem typeSystem, MethodTypeFactory methodTypes) {
+            TypeSystem = typeSystem;
+            MethodTypes = methodTypes;
+
+            OperatorMethods = new Dictionary<JSBinaryOperator, string> {
+                { JSOperator.Add, "op_Addition" },
+                { JSOperator.Subtract, "op_Subtraction" },
+                { JSOperator.Multiply, "op_Multiply" },
+                { JSOperator.Divide, "op_Division" },
+                { JSOperator.Remainder, "op_Modulus" },
+                { JSOperator.BitwiseAnd, "op_BitwiseAnd" },
+                { JSOperator.BitwiseOr, "op_BitwiseOr" },
+                { JSOperator.BitwiseXor, "op_ExclusiveOr" },
+                { JSOperator.ShiftLeft, "op_LeftShift" },
+                { JSOperator.ShiftRight, "op_RightShift" },
+                { JSOperator.ShiftRightUnsigned, "op_UnsignedRightShift" },
+                { JSOperator.Equal, "op_Equality" },
+                { JSOperator.EqualLoose, "op_Equality" },
+                { JSOperator.NotEqual, "op_Inequality" },
+                { JSOperator.NotEqualLoose, "op_Inequality" },
+                { JSOperator.LessThan, "op_LessThan" },
+                { JSOperator.LessThanOrEqual, "op_LessThanOrEqual" },
+                { JSOperator.GreaterThan, "op_GreaterThan" },
+                { JSOperator.GreaterThanOrEqual, "op_GreaterThanOrEqual" }
+            };
+
+            CompoundAssignments = new Dictionary<JSAssignmentOperator, JSBinaryOperator> {
+                { JSOperator.AddAssignment, JSOperator.Add },
+                { JSOperator.SubtractAssignment, JSOperator.Subtract },
+                { JSOperator.MultiplyAssignment, JSOperator.Multiply },
+                { JSOperator.DivideAssignment, JSOperator.Divide },
+                { JSOperator.RemainderAssignment, JSOperator.Remainder },
+                { JSOperator.BitwiseAndAssignment, JSOperator.BitwiseAnd },
+                { JSOperator.BitwiseOrAssignment, JSOperator.BitwiseOr },
+                { JSOperator.BitwiseXorAssignment, JSOperator.BitwiseXor },
+                { JSOperator.ShiftLeftAssignment, JSOperator.ShiftLeft },
+                { JSOperator.ShiftRightAssignment, JSOperator.ShiftRight },
+                { JSOperator.ShiftRightUnsignedAssignment, JSOperator.ShiftRightUnsigned }
+            };
+
+            ShiftOperators = new HashSet<JSBinaryOperator> {
+                JSOperator.ShiftLeft,
+                JSOperator.ShiftRight,
+                JSOperator.ShiftRightUnsigned
+            };
+        }
+
+        protected JSInvocationExpression InvokeRuntime (
+            TypeReference type, string methodName, TypeReference returnType,
+            TypeReference[] parameterTypes, params JSExpression[] arguments
+        ) {
+            return JSInvocationExpression.InvokeStatic(
+                type, new JSFakeMethod(methodName, returnType, parameterTypes, MethodTypes),
+                arguments, true
+            );
+        }
+
+        protected JSExpression ConvertTo (JSExpression expression, TypeReference type) {
+            type = TypeUtil.DereferenceType(type);
+            var currentType = expression.GetActualType(TypeSystem);
+
+            if (TypeUtil.TypesAreEqual(type, TypeUtil.DereferenceType(currentType)))
+                return expression;
+
+            var literal = expression as JSIntegerLiteral;
+            if (literal != null)
+                return new JSIntegerLiteral(
+                    literal.Value, (type.MetadataType == MetadataType.UInt64) ? typeof(ulong) : typeof(long)
+                );
+
+            if (TypeUtil.Is64BitIntegral(currentType))
+                return InvokeRuntime(type, "Coerce", type, new[] { currentType }, expression);
+
+            if (currentType.MetadataType == MetadataType.Char)
+                return InvokeRuntime(
+                    type, "FromNumber", type, new[] { TypeSystem.Int32 },
+                    JSCastExpression.New(expression, TypeSystem.Int32, TypeSystem)
+                );
+
+            if (TypeUtil.IsNumericOrEnum(currentType))
+                return InvokeRuntime(type, "FromNumber", type, new[] { currentType }, expression);
+
+            return expression;
+        }
+
+        protected JSExpression ConvertFrom (JSExpression expression, TypeReference targetType) {
+            var currentType = TypeUtil.DereferenceType(expression.GetActualType(TypeSystem));
+            var parameterTypes = new[] { currentType };
+
+            switch (targetType.MetadataType) {
+                case MetadataType.Boolean:
+                    return InvokeRuntime(
+                        currentType, "op_Inequality", TypeSystem.Boolean, new[] { currentType, currentType },
+                        expression, ConvertTo(JSLiteral.New(0), currentType)
+                    );
+
+                case MetadataType.Single:
+                case MetadataType.Double:
+                    return InvokeRuntime(currentType, "ToNumber", targetType, parameterTypes, expression);
+
+                case MetadataType.UInt32:
+                    return InvokeRuntime(currentType, "ToUInt32", targetType, parameterTypes, expression);
+
+                case MetadataType.Char:
+                    return JSCastExpression.New(
+                        InvokeRuntime(currentType, "ToInt32", TypeSystem.Int32, parameterTypes, expression),
+                        targetType, TypeSystem
+                    );
+            }
+
+            if (TypeUtil.IsIntegral(targetType))
+                return InvokeRuntime(currentType, "ToInt32", targetType, parameterTypes, expression);
+            else if (TypeUtil.IsEnum(targetType))
+                return JSCastExpression.New(
+                    InvokeRuntime(currentType, "ToInt32", TypeSystem.Int32, parameterTypes, expression),
+                    targetType, TypeSystem
+                );
+
+            return null;
+        }
+
+        protected JSExpression MakeOperator (JSBinaryOperator op, JSExpression left, JSExpression right, TypeReference type) {
+            var methodName = OperatorMethods[op];
+
+            if (ShiftOperators.Contains(op))
+                return InvokeRuntime(
+                    type, methodName, type, new[] { type, TypeSystem.Int32 },
+                    ConvertTo(left, type), right
+                );
+
+            var returnType = (op is JSComparisonOperator) ? TypeSystem.Boolean : type;
+
+            return InvokeRuntime(
+                type, methodName, returnType, new[] { type, type },
+                ConvertTo(left, type), ConvertTo(right, type)
+            );
+        }
+
+        protected JSVariable MakeTemporary (TypeReference type) {
+            string name;
+            int index = 0;
+
+            do {
+                name = String.Format("$temp{0}", index++);
+            } while (Function.AllVariables.ContainsKey(name));
+
+            var result = new JSVariable(
+                name, type, (Function.Method != null) ? Function.Method.Reference : null, new JSNullLiteral(type)
+            );
+
+            Function.AllVariables.Add(name, result);
+            Temporaries.Add(result);
+            return result;
+        }
+
+        protected bool IsSimpleOperand (JSExpression expression) {
+            if ((expression is JSVariable) || expression.IsConstant)
+                return true;
+
+            var dot = expression as JSDotExpressionBase;
+            if ((dot != null) && !(dot is JSPropertyAccess))
+                return IsSimpleOperand(dot.Target);
+
+            return false;
+        }
+
+        // The rewritten mutation reads its target and then assigns to it, so any operands of the target that could
+        //  have side effects are evaluated once into temporaries first. Returns the assignments to those temporaries.
+        protected JSExpression[] HoistTargetOperands (JSExpression target) {
+            JSExpression[] operands;
+
+            var dot = target as JSDotExpressionBase;
+            var indexer = target as JSIndexerExpression;
+
+            if (dot != null)
+                operands = new[] { dot.Target };
+            else if (indexer != null)
+                operands = new[] { indexer.Target, indexer.Index };
+            else
+                return new JSExpression[0];
+
+            var result = new List<JSExpression>();
+
+            foreach (var operand in operands) {
+                if (IsSimpleOperand(operand))
+                    continue;
+
+                var type = TypeUtil.DereferenceType(operand.GetActualType(TypeSystem));
+                var temporary = MakeTemporary(type);
+
+                result.Add(new JSBinaryOperatorExpression(JSOperator.Assignment, temporary, operand, type));
+                target.ReplaceChild(operand, temporary);
+            }
+
+            return result.ToArray();
+        }
+
+        protected JSExpression Sequence (JSExpression[] hoisted, JSExpression expression) {
+            if (hoisted.Length == 0)
+                return expression;
+
+            return new JSCommaExpression(hoisted.Concat(new[] { expression }).ToArray());
+        }
+
+        public void VisitNode (JSFunctionExpression fn) {
+            var outerFunction = Function;
+            var outerTemporaries = Temporaries;
+
+            Function = fn;
+            Temporaries = new List<JSVariable>();
+
+            VisitChildren(fn);
+
+            if (Temporaries.Count > 0)
+                fn.Body.Statements.Insert(
+                    0, new JSVariableDeclarationStatement(
+                        (from v in Temporaries
+                         select new JSBinaryOperatorExpression(
+                            JSOperator.Assignment, v, v.DefaultValue, v.Type
+                        )).ToArray()
+                    )
+                );
+
+            Function = outerFunction;
+            Temporaries = outerTemporaries;
+        }
+
+        public void VisitNode (JSBinaryOperatorExpression boe) {
+            var leftType = boe.Left.GetActualType(TypeSystem);
+            var rightType = boe.Right.GetActualType(TypeSystem);
+            JSExpression replacement = null;
+
+            var assignmentOperator = boe.Operator as JSAssignmentOperator;
+            JSBinaryOperator compoundOperator;
+
+            if (assignmentOperator != null) {
+                if (TypeUtil.Is64BitIntegral(leftType)) {
+                    if (assignmentOperator == JSOperator.Assignment) {
+                        boe.ReplaceChild(boe.Right, ConvertTo(boe.Right, leftType));
+                    } else if (CompoundAssignments.TryGetValue(assignmentOperator, out compoundOperator)) {
+                        var hoisted = HoistTargetOperands(boe.Left);
+
+                        replacement = Sequence(hoisted, new JSBinaryOperatorExpression(
+                            JSOperator.Assignment, boe.Left,
+                            MakeOperator(compoundOperator, boe.Left, boe.Right, TypeUtil.DereferenceType(leftType)),
+                            leftType
+                        ));
+                    }
+                }
+            } else if (OperatorMethods.ContainsKey(boe.Operator)) {
+                TypeReference type = null;
+
+                if (TypeUtil.Is64BitIntegral(leftType))
+                    type = leftType;
+                else if (TypeUtil.Is64BitIntegral(rightType) && !ShiftOperators.Contains(boe.Operator))
+                    type = rightType;
+
+                if (type != null)
+                    replacement = MakeOperator(boe.Operator, boe.Left, boe.Right, TypeUtil.DereferenceType(type));
+            }
+
+            if (replacement != null) {
+                ParentNode.ReplaceChild(boe, replacement);
+                VisitReplacement(replacement);
+            } else {
+                VisitChildren(boe);
+            }
+        }
+
+        public void VisitNode (JSUnaryOperatorExpression uoe) {
+            var type = uoe.Expression.GetActualType(TypeSystem);
+            JSExpression replacement = null;
+
+            if (TypeUtil.Is64BitIntegral(type)) {
+                type = TypeUtil.DereferenceType(type);
+                var parameterTypes = new[] { type };
+
+                if (uoe.Operator == JSOperator.Negation) {
+                    replacement = InvokeRuntime(type, "op_UnaryNegation", type, parameterTypes, uoe.Expression);
+                } else if (uoe.Operator == JSOperator.BitwiseNot) {
+                    replacement = InvokeRuntime(type, "op_OnesComplement", type, parameterTypes, uoe.Expression);
+                } else if (uoe.Operator is JSUnaryMutationOperator) {
+                    var isIncrement = (uoe.Operator == JSOperator.PreIncrement) || (uoe.Operator == JSOperator.PostIncrement);
+                    var hoisted = HoistTargetOperands(uoe.Expression);
+
+                    var mutation = new JSBinaryOperatorExpression(
+                        JSOperator.Assignment, uoe.Expression,
+                        InvokeRuntime(type, isIncrement ? "op_Increment" : "op_Decrement", type, parameterTypes, uoe.Expression),
+                        type
+                    );
+
+                    // A postfix mutation whose result is used must produce the old value, so we undo the mutation on the result.
+                    if (uoe.IsPostfix && !(ParentNode is JSExpressionStatement))
+                        replacement = Sequence(hoisted, InvokeRuntime(type, isIncrement ? "op_Decrement" : "op_Increment", type, parameterTypes, mutation));
+                    else
+                        replacement = Sequence(hoisted, mutation);
+                }
+            }
+
+            if (replacement != null) {
+                ParentNode.ReplaceChild(uoe, replacement);
+                VisitReplacement(replacement);
+            } else {
+                VisitChildren(uoe);
+            }
+        }
+
+        public void VisitNode (JSCastExpression ce) {
+            var currentType = ce.Expression.GetActualType(TypeSystem);
+            var targetType = ce.NewType;
+            JSExpression replacement = null;
+
+            if (TypeUtil.Is64BitIntegral(targetType)) {
+                replacement = ConvertTo(ce.Expression, targetType);
+
+                if (replacement == ce.Expression)
+                    replacement = null;
+            } else if (TypeUtil.Is64BitIntegral(currentType)) {
+                replacement = ConvertFrom(ce.Expression, targetType);
+            }
+
+            if (replacement != null) {
+                ParentNode.ReplaceChild(ce, replacement);
+                VisitReplacement(replacement);
+            } else {
+                VisitChildren(ce);
+            }
+        }
+
+        public void VisitNode (JSInvocationExpression ie) {
+            // Literal arguments are not always typed to match the 64-bit parameter they are passed to.
+            foreach (var kvp in ie.Parameters.ToArray()) {
+                if ((kvp.Key == null) || !(kvp.Value is JSIntegerLiteral))
+                    continue;
+
+                var parameterType = kvp.Key.ParameterType;
+                if (TypeUtil.Is64BitIntegral(parameterType))
+                    ie.ReplaceChild(kvp.Value, ConvertTo(kvp.Value, parameterType));
+            }
+
+            VisitChildren(ie);
+        }
+    }
+}
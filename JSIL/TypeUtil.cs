@@ -85,6 +85,19 @@ namespace JSIL {
             }
         }
 
+        // Int64 and UInt64 values do not fit in a JS number, so they are emulated by the runtime.
+        public static bool Is64BitIntegral (TypeReference type) {
+            type = DereferenceType(type);
+
+            switch (type.MetadataType) {
+                case MetadataType.Int64:
+                case MetadataType.UInt64:
+                    return true;
+                default:
+                    return false;
+            }
+        }
+
         public static TypeReference StripNullable (TypeReference type) {
             var git = type as GenericInstanceType;
             if ((git != null) && (git.Name == "Nullable`1")) {
@@ -61,1581 +61,3196 @@ JSIL.ImplementExternals(
 );
 JSIL.MakeNumericType(String, "System.Char", true);
 
-JSIL.ImplementExternals(
-  "System.Byte", function ($) {
-    $.RawMethod(true, "CheckType", function (value) {
-      return (typeof (value) === "number") && (value >= 0) && (value <= 255);
-    });
+// The System.Globalization.NumberStyles flags understood by the integer parser.
+$jsilcore.$NumberStyles = {
+  AllowLeadingWhite: 1,
+  AllowTrailingWhite: 2,
+  AllowLeadingSign: 4,
+  AllowTrailingSign: 8,
+  AllowParentheses: 16,
+  AllowDecimalPoint: 32,
+  AllowThousands: 64,
+  AllowExponent: 128,
+  AllowCurrencySymbol: 256,
+  AllowHexSpecifier: 512,
+  Integer: 7
+};
+
+// Splits an integer written using the symbols of a provider into its sign and digits.
+// Returns null if the text does not match the styles. The digits are hexadecimal if
+//  AllowHexSpecifier is set, and decimal without leading zeroes otherwise.
+$jsilcore.$ParseIntegerText = function (text, styles, provider) {
+  var ns = $jsilcore.$NumberStyles;
+  var nfi = $jsilcore.$GetNumberFormat(provider);
+  var s = String(text);
+
+  var isWhite = function (ch) {
+    return (ch === " ") || ((ch >= "\t") && (ch <= "\r"));
+  };
+  var isDigit = function (ch) {
+    return (ch >= "0") && (ch <= "9");
+  };
+  var consumeLeading = function (symbol) {
+    if ((symbol.length === 0) || (s.indexOf(symbol) !== 0))
+      return false;
+
+    s = s.substr(symbol.length);
+    return true;
+  };
+  var consumeTrailing = function (symbol) {
+    if ((symbol.length === 0) || (s.length < symbol.length) || (s.substr(s.length - symbol.length) !== symbol))
+      return false;
+
+    s = s.substr(0, s.length - symbol.length);
+    return true;
+  };
+
+  var trimWhite = function (leading) {
+    var start = 0, end = s.length;
+
+    if (leading) {
+      while ((start < end) && isWhite(s[start]))
+        start++;
+    } else {
+      while ((end > start) && isWhite(s[end - 1]))
+        end--;
+    }
+
+    s = s.substring(start, end);
+  };
+
+  if ((styles & ns.AllowHexSpecifier) !== 0) {
+    if ((styles & ns.AllowLeadingWhite) !== 0)
+      trimWhite(true);
+    if ((styles & ns.AllowTrailingWhite) !== 0)
+      trimWhite(false);
+
+    if (!/^[0-9A-Fa-f]+$/.test(s))
+      return null;
+
+    return { negative: false, digits: s.replace(/^0+(?=.)/, "") };
   }
-);
-JSIL.MakeNumericType(Number, "System.Byte", true);
 
-$jsilcore.$ParseInt = function (text) {
-  var result = parseInt(text, 10);
+  var negative = false, hasSign = false, hasParentheses = false, hasCurrency = false;
 
-  if (isNaN(result))
-    throw new System.Exception("Invalid integer");
+  // White space, the sign, an opening parenthesis and the currency symbol may appear in any order
+  //  before the digits, as may their counterparts after them.
+  var consumeAffixes = function (leading) {
+    var consume = leading ? consumeLeading : consumeTrailing;
+    var length;
 
-  return result;
+    do {
+      length = s.length;
+
+      if ((styles & (leading ? ns.AllowLeadingWhite : ns.AllowTrailingWhite)) !== 0)
+        trimWhite(leading);
+
+      if (!hasSign && ((styles & (leading ? ns.AllowLeadingSign : ns.AllowTrailingSign)) !== 0)) {
+        if (consume(nfi.NegativeSign))
+          negative = hasSign = true;
+        else if (consume(nfi.PositiveSign))
+          hasSign = true;
+      }
+
+      if (leading && !hasSign && ((styles & ns.AllowParentheses) !== 0) && consume("("))
+        negative = hasSign = hasParentheses = true;
+      else if (!leading && hasParentheses && consume(")"))
+        hasParentheses = false;
+
+      if (!hasCurrency && ((styles & ns.AllowCurrencySymbol) !== 0))
+        hasCurrency = consume(nfi.CurrencySymbol);
+    } while (s.length !== length);
+  };
+
+  consumeAffixes(true);
+  consumeAffixes(false);
+
+  if (hasParentheses)
+    return null;
+
+  var groupSeparator = hasCurrency ? nfi.CurrencyGroupSeparator : nfi.NumberGroupSeparator;
+  var decimalSeparator = hasCurrency ? nfi.CurrencyDecimalSeparator : nfi.NumberDecimalSeparator;
+  var integerDigits = "", fractionDigits = "", exponent = 0;
+  var pos = 0;
+
+  while (pos < s.length) {
+    if (isDigit(s[pos])) {
+      integerDigits += s[pos++];
+    } else if (
+      ((styles & ns.AllowThousands) !== 0) && (integerDigits.length > 0) &&
+      (groupSeparator.length > 0) && (s.substr(pos, groupSeparator.length) === groupSeparator)
+    ) {
+      pos += groupSeparator.length;
+    } else {
+      break;
+    }
+  }
+
+  if (
+    ((styles & ns.AllowDecimalPoint) !== 0) &&
+    (decimalSeparator.length > 0) && (s.substr(pos, decimalSeparator.length) === decimalSeparator)
+  ) {
+    pos += decimalSeparator.length;
+
+    while ((pos < s.length) && isDigit(s[pos]))
+      fractionDigits += s[pos++];
+  }
+
+  if ((integerDigits.length === 0) && (fractionDigits.length === 0))
+    return null;
+
+  if (((styles & ns.AllowExponent) !== 0) && ((s[pos] === "e") || (s[pos] === "E"))) {
+    var match = /^[eE]([-+]?)([0-9]+)$/.exec(s.substr(pos));
+    if (match === null)
+      return null;
+
+    exponent = Number(match[2]) * ((match[1] === "-") ? -1 : 1);
+    pos = s.length;
+  }
+
+  if (pos !== s.length)
+    return null;
+
+  if (exponent > 0) {
+    while (fractionDigits.length < exponent)
+      fractionDigits += "0";
+
+    integerDigits += fractionDigits.substr(0, exponent);
+    fractionDigits = fractionDigits.substr(exponent);
+  } else if (exponent < 0) {
+    while (integerDigits.length < -exponent)
+      integerDigits = "0" + integerDigits;
+
+    fractionDigits = integerDigits.substr(integerDigits.length + exponent) + fractionDigits;
+    integerDigits = integerDigits.substr(0, integerDigits.length + exponent);
+  }
+
+  return {
+    negative: negative,
+    digits: integerDigits.replace(/^0+/, "") || "0",
+    // An integer type cannot hold a fraction, so .NET reports one as an overflow.
+    hasFraction: /[1-9]/.test(fractionDigits)
+  };
 };
-$jsilcore.$TryParseInt = function (text, result) {
-  result.value = parseInt(text, 10);
-  return !isNaN(result.value);
+
+$jsilcore.$CheckIntegerStyles = function (styles) {
+  var ns = $jsilcore.$NumberStyles;
+  var whiteSpace = ns.AllowLeadingWhite | ns.AllowTrailingWhite;
+
+  if ((styles & ~1023) !== 0)
+    throw new System.ArgumentException("An undefined NumberStyles value is being used.", "style");
+  else if (((styles & ns.AllowHexSpecifier) !== 0) && ((styles & ~(ns.AllowHexSpecifier | whiteSpace)) !== 0))
+    throw new System.ArgumentException("With the AllowHexSpecifier bit set in the enum bit field, the only other valid bits that can be combined into the enum value must be a subset of those in HexNumber.", "style");
 };
 
-JSIL.ImplementExternals(
-  "System.UInt16", function ($) {
-    $.RawMethod(true, "CheckType", function (value) {
-      return (typeof (value) === "number") && (value >= 0);
-    });
+// Parses an integer that fits in a double exactly. Returns the value, or a string naming
+//  the exception that should be thrown.
+$jsilcore.$ParseInt = function (text, styles, provider, bits, isSigned) {
+  var parsed = $jsilcore.$ParseIntegerText(text, styles, provider);
+  if (parsed === null)
+    return "format";
+  else if (parsed.hasFraction)
+    return "overflow";
 
-    $.Method({Static:true , Public:true }, "Parse", 
-      (new JSIL.MethodSignature($.UInt16, [$.String], [])), 
-      $jsilcore.$ParseInt
-    );
+  var range = Math.pow(2, bits);
+  var minValue = isSigned ? -(range / 2) : 0;
+  var maxValue = isSigned ? (range / 2) - 1 : range - 1;
+  var result;
 
-    $.Method({Static:true , Public:true }, "TryParse", 
-      (new JSIL.MethodSignature($.Boolean, [$.String, $jsilcore.TypeRef("JSIL.Reference", [$.UInt16])], [])), 
-      $jsilcore.$TryParseInt
-    );
+  if ((styles & $jsilcore.$NumberStyles.AllowHexSpecifier) !== 0) {
+    if (parsed.digits.length > (bits / 4))
+      return "overflow";
+
+    result = parseInt(parsed.digits, 16);
+    if (result > maxValue)
+      result -= range;
+
+    return result;
   }
-);
-JSIL.MakeNumericType(Number, "System.UInt16", true);
+
+  if (parsed.digits.length > 10)
+    return "overflow";
+
+  result = Number(parsed.digits);
+  if (parsed.negative && (result !== 0))
+    result = -result;
+
+  if ((result < minValue) || (result > maxValue))
+    return "overflow";
+
+  return result;
+};
+
+// Adds the Parse and TryParse overloads to an integer type. The parse function takes the text,
+//  the NumberStyles and the provider and returns the value or a string naming the exception.
+$jsilcore.$IntegerParseExternals = function ($, typeName, parse, getZero) {
+  var mscorlib = JSIL.GetCorlib();
+  var tNumberStyles = mscorlib.TypeRef("System.Globalization.NumberStyles");
+  var tFormatProvider = mscorlib.TypeRef("System.IFormatProvider");
+  var tResult = $jsilcore.TypeRef("JSIL.Reference", [$.Type]);
+
+  var parseOrThrow = function (text, styles, provider) {
+    if ((text === null) || (typeof (text) === "undefined"))
+      throw new System.ArgumentNullException("s");
+
+    styles = Number(styles);
+    $jsilcore.$CheckIntegerStyles(styles);
+
+    var result = parse(text, styles, provider);
+
+    if (result === "format")
+      throw new System.FormatException("Input string was not in a correct format.");
+    else if (result === "overflow")
+      throw new System.OverflowException("Value was either too large or too small for " + typeName + ".");
+
+    return result;
+  };
+
+  var tryParse = function (text, styles, provider, result) {
+    styles = Number(styles);
+    $jsilcore.$CheckIntegerStyles(styles);
+
+    var parsed = ((text === null) || (typeof (text) === "undefined")) ? "format" : parse(text, styles, provider);
+
+    if (typeof (parsed) === "string") {
+      result.value = getZero();
+      return false;
+    }
+
+    result.value = parsed;
+    return true;
+  };
+
+  $.Method({Static:true , Public:true }, "Parse",
+    (new JSIL.MethodSignature($.Type, [$.String], [])),
+    function Parse (s) {
+      return parseOrThrow(s, $jsilcore.$NumberStyles.Integer, null);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Parse",
+    (new JSIL.MethodSignature($.Type, [$.String, tFormatProvider], [])),
+    function Parse (s, provider) {
+      return parseOrThrow(s, $jsilcore.$NumberStyles.Integer, provider);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Parse",
+    (new JSIL.MethodSignature($.Type, [$.String, tNumberStyles], [])),
+    function Parse (s, style) {
+      return parseOrThrow(s, style, null);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Parse",
+    (new JSIL.MethodSignature($.Type, [$.String, tNumberStyles, tFormatProvider], [])),
+    parseOrThrow
+  );
+
+  $.Method({Static:true , Public:true }, "TryParse",
+    (new JSIL.MethodSignature($.Boolean, [$.String, tResult], [])),
+    function TryParse (s, result) {
+      return tryParse(s, $jsilcore.$NumberStyles.Integer, null, result);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "TryParse",
+    (new JSIL.MethodSignature($.Boolean, [$.String, tNumberStyles, tFormatProvider, tResult], [])),
+    tryParse
+  );
+};
+
+$jsilcore.$SmallIntegerExternals = function ($, typeName, bits, isSigned) {
+  $jsilcore.$IntegerParseExternals($, typeName, function (text, styles, provider) {
+    return $jsilcore.$ParseInt(text, styles, provider, bits, isSigned);
+  }, function () {
+    return 0;
+  });
+};
 
 JSIL.ImplementExternals(
-  "System.Int16", function ($) {
+  "System.SByte", function ($) {
     $.RawMethod(true, "CheckType", function (value) {
-      return (typeof (value) === "number");
+      return (typeof (value) === "number") && (value >= -128) && (value <= 127);
     });
 
-    $.Method({Static:true , Public:true }, "Parse", 
-      (new JSIL.MethodSignature($.Int16, [$.String], [])), 
-      $jsilcore.$ParseInt
-    );
-
-    $.Method({Static:true , Public:true }, "TryParse", 
-      (new JSIL.MethodSignature($.Boolean, [$.String, $jsilcore.TypeRef("JSIL.Reference", [$.Int16])], [])), 
-      $jsilcore.$TryParseInt
-    );
+    $jsilcore.$SmallIntegerExternals($, "a signed byte", 8, true);
   }
 );
-JSIL.MakeNumericType(Number, "System.Int16", true);
+JSIL.MakeNumericType(Number, "System.SByte", true);
 
 JSIL.ImplementExternals(
-  "System.UInt32", function ($) {
+  "System.Byte", function ($) {
     $.RawMethod(true, "CheckType", function (value) {
-      return (typeof (value) === "number") && (value >= 0);
+      return (typeof (value) === "number") && (value >= 0) && (value <= 255);
     });
 
-    $.Method({Static:true , Public:true }, "Parse", 
-      (new JSIL.MethodSignature($.UInt32, [$.String], [])), 
-      $jsilcore.$ParseInt
-    );
-
-    $.Method({Static:true , Public:true }, "TryParse", 
-      (new JSIL.MethodSignature($.Boolean, [$.String, $jsilcore.TypeRef("JSIL.Reference", [$.UInt32])], [])), 
-      $jsilcore.$TryParseInt
-    );
+    $jsilcore.$SmallIntegerExternals($, "an unsigned byte", 8, false);
   }
 );
-JSIL.MakeNumericType(Number, "System.UInt32", true);
+JSIL.MakeNumericType(Number, "System.Byte", true);
 
 JSIL.ImplementExternals(
-  "System.Int32", function ($) {
+  "System.UInt16", function ($) {
     $.RawMethod(true, "CheckType", function (value) {
-      return (typeof (value) === "number");
+      return (typeof (value) === "number") && (value >= 0);
     });
 
-    $.Method({Static:true , Public:true }, "Parse", 
-      (new JSIL.MethodSignature($.Int32, [$.String], [])), 
-      $jsilcore.$ParseInt
-    );
-
-    $.Method({Static:true , Public:true }, "TryParse", 
-      (new JSIL.MethodSignature($.Boolean, [$.String, $jsilcore.TypeRef("JSIL.Reference", [$.Int32])], [])), 
-      $jsilcore.$TryParseInt
-    );
+    $jsilcore.$SmallIntegerExternals($, "a UInt16", 16, false);
   }
 );
-JSIL.MakeNumericType(Number, "System.Int32", true);
+JSIL.MakeNumericType(Number, "System.UInt16", true);
 
 JSIL.ImplementExternals(
-  "System.Int64", function ($) {
+  "System.Int16", function ($) {
     $.RawMethod(true, "CheckType", function (value) {
       return (typeof (value) === "number");
     });
 
-    $.Method({Static:true , Public:true }, "Parse", 
-      (new JSIL.MethodSignature($.Int64, [$.String], [])), 
-      $jsilcore.$ParseInt
-    );
-
-    $.Method({Static:true , Public:true }, "TryParse", 
-      (new JSIL.MethodSignature($.Boolean, [$.String, $jsilcore.TypeRef("JSIL.Reference", [$.Int64])], [])), 
-      $jsilcore.$TryParseInt
-    );
+    $jsilcore.$SmallIntegerExternals($, "an Int16", 16, true);
   }
 );
-JSIL.MakeNumericType(Number, "System.Int64", true);
+JSIL.MakeNumericType(Number, "System.Int16", true);
 
 JSIL.ImplementExternals(
-  "System.Single", function ($) {
+  "System.UInt32", function ($) {
     $.RawMethod(true, "CheckType", function (value) {
-      return (typeof (value) === "number");
+      return (typeof (value) === "number") && (value >= 0);
     });
+
+    $jsilcore.$SmallIntegerExternals($, "a UInt32", 32, false);
   }
 );
-JSIL.MakeNumericType(Number, "System.Single", false);
+JSIL.MakeNumericType(Number, "System.UInt32", true);
 
 JSIL.ImplementExternals(
-  "System.Double", function ($) {
+  "System.Int32", function ($) {
     $.RawMethod(true, "CheckType", function (value) {
       return (typeof (value) === "number");
     });
+
+    $jsilcore.$SmallIntegerExternals($, "an Int32", 32, true);
   }
 );
-JSIL.MakeNumericType(Number, "System.Double", false);
+JSIL.MakeNumericType(Number, "System.Int32", true);
 
-JSIL.ImplementExternals(
-  "System.String", function ($) {
-    var fromCharArray = function (chars, startIndex, length) {
-      var arr = chars.slice(startIndex, length);
-      return arr.join("");
-    };
+// Int64 and UInt64 values are immutable objects holding two unsigned 32-bit halves.
+// Arithmetic wraps around at 64 bits exactly like unchecked arithmetic in .NET.
+$jsilcore.$Int64Externals = function ($, isSigned) {
+  var twoToThe32 = 4294967296;
+  var typeName = isSigned ? "Int64" : "UInt64";
 
-    $.Method({Static: false, Public: true }, ".ctor",
-      new JSIL.MethodSignature(null, [System.Array.Of($jsilcore.TypeRef("System.Char")), "System.Int32", "System.Int32"], [], $jsilcore),
-      fromCharArray
-    );
+  var getPublicInterface = function () {
+    return isSigned ? System.Int64 : System.UInt64;
+  };
 
-    $.Method({Static: false, Public: true }, ".ctor",
-      new JSIL.MethodSignature(null, [System.Array.Of($jsilcore.TypeRef("System.Char"))], [], $jsilcore),
-      function (chars) {
-        return fromCharArray.call(this, chars, 0, chars.length);
-      }
-    );
+  var make = function (lo, hi) {
+    var result = Object.create(getPublicInterface().prototype);
+    result._lo = lo >>> 0;
+    result._hi = hi >>> 0;
+    return result;
+  };
 
-    $.Method({Static: false, Public: true }, ".ctor",
-      new JSIL.MethodSignature(null, ["System.Char", "System.Int32"], [], $jsilcore),
-      function (ch, length) {
-        var arr = new Array(length);
-        for (var i = 0; i < length; i++)
-          arr[i] = ch;
-        return arr.join("");
-      }
-    );
+  var isNegative = function (value) {
+    return isSigned && ((value._hi & 0x80000000) !== 0);
+  };
 
-    $.RawMethod(true, "CheckType",
-      function (value) {
-        return (typeof (value) === "string");
-      }
-    );
+  var negateBits = function (lo, hi) {
+    lo = (~lo + 1) >>> 0;
+    hi = (~hi + ((lo === 0) ? 1 : 0)) >>> 0;
+    return [lo, hi];
+  };
 
-    var compareInternal = function (lhs, rhs, comparison) {
-      switch (Number(comparison)) {
-        case 1: // System.StringComparison.CurrentCultureIgnoreCase:
-        case 3: // System.StringComparison.InvariantCultureIgnoreCase:
-        case 5: // System.StringComparison.OrdinalIgnoreCase:
-          lhs = lhs.toLowerCase();
-          rhs = rhs.toLowerCase();
-          break;
-      }
+  var fromNumber = function (value) {
+    value = Number(value);
 
-      if (lhs < rhs)
-        return -1;
-      else if (lhs > rhs)
-        return 1;
+    if (!isFinite(value))
+      return make(0, 0);
+
+    var magnitude = Math.floor(Math.abs(value));
+    var lo = magnitude % twoToThe32;
+    var hi = Math.floor(magnitude / twoToThe32) % twoToThe32;
+
+    if (value < 0) {
+      var bits = negateBits(lo, hi);
+      return make(bits[0], bits[1]);
+    }
+
+    return make(lo, hi);
+  };
+
+  var coerce = function (value) {
+    if ((typeof (value) === "object") && (value !== null) && ("_hi" in value)) {
+      if (Object.getPrototypeOf(value) === getPublicInterface().prototype)
+        return value;
       else
-        return 0;
-    };
+        return make(value._lo, value._hi);
+    }
 
-    $.Method({Static:true , Public:true }, "Compare", 
-      new JSIL.MethodSignature($jsilcore.TypeRef("System.Int32"), [$jsilcore.TypeRef("System.String"), $jsilcore.TypeRef("System.String")], []),
-      function (lhs, rhs) {
-        return compareInternal(lhs, rhs, System.StringComparison.Ordinal);
-      }
-    );
+    return fromNumber(value);
+  };
 
-    $.Method({Static:true , Public:true }, "Compare", 
-      new JSIL.MethodSignature($jsilcore.TypeRef("System.Int32"), [
-          $jsilcore.TypeRef("System.String"), $jsilcore.TypeRef("System.String"), 
-          $jsilcore.TypeRef("System.Boolean")
-        ], []),
-      function (lhs, rhs, ignoreCase) {
-        return compareInternal(
-          lhs, rhs, ignoreCase ? 
-            System.StringComparison.OrdinalIgnoreCase : 
-            System.StringComparison.Ordinal
-        );
-      }
-    );
+  var toNumber = function (value) {
+    if (isNegative(value))
+      return ((value._hi | 0) * twoToThe32) + value._lo;
+    else
+      return (value._hi * twoToThe32) + value._lo;
+  };
 
-    $.Method({Static:true , Public:true }, "Compare", 
-      new JSIL.MethodSignature($jsilcore.TypeRef("System.Int32"), [
-          $jsilcore.TypeRef("System.String"), $jsilcore.TypeRef("System.String"), 
-          $jsilcore.TypeRef("System.StringComparison")
-        ], []),
-      compareInternal
-    );
+  var compare = function (lhs, rhs) {
+    var lhsHi = isSigned ? (lhs._hi | 0) : lhs._hi;
+    var rhsHi = isSigned ? (rhs._hi | 0) : rhs._hi;
 
-    var concatInternal = function (firstValue) {
-      if (JSIL.IsArray(firstValue) && arguments.length == 1) {
-        return JSIL.ConcatString.apply(null, firstValue);
-      } else {
-        return JSIL.ConcatString(Array.prototype.slice.call(arguments));
-      }
-    };
-
-    $.Method({Static:true , Public:true }, "Concat", 
-      new JSIL.MethodSignature($jsilcore.TypeRef("System.String"), [$jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", ["!!0"])], ["T"]),
-      concatInternal
-    );
+    if (lhsHi !== rhsHi)
+      return (lhsHi < rhsHi) ? -1 : 1;
+    else if (lhs._lo !== rhs._lo)
+      return (lhs._lo < rhs._lo) ? -1 : 1;
+    else
+      return 0;
+  };
 
-    $.Method({Static:true , Public:true }, "Concat", 
-      new JSIL.MethodSignature($jsilcore.TypeRef("System.String"), [$jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", [$jsilcore.TypeRef("System.String")])], []),
-      concatInternal
-    );
+  var add = function (lhs, rhs) {
+    var lo = lhs._lo + rhs._lo;
+    var hi = lhs._hi + rhs._hi + ((lo >= twoToThe32) ? 1 : 0);
+    return make(lo, hi);
+  };
 
-    $.Method({Static: true , Public: true }, "EndsWith",
-      new JSIL.MethodSignature("System.Boolean", ["System.String", "System.String"], [], $jsilcore),
-      function (str, text) {
-        return str.lastIndexOf(text) === str.length - text.length;
-      }
-    );
+  var subtract = function (lhs, rhs) {
+    var lo = lhs._lo - rhs._lo;
+    var hi = lhs._hi - rhs._hi - ((lo < 0) ? 1 : 0);
+    return make(lo, hi);
+  };
 
-    $.Method({Static:true , Public:true }, "Format", 
-      new JSIL.MethodSignature($jsilcore.TypeRef("System.String"), [$jsilcore.TypeRef("System.Array") /* AnyType[] */ ], []),
-      function (format) {
-        format = String(format);
+  var multiply = function (lhs, rhs) {
+    // Multiply in 16-bit chunks so that no partial product exceeds 2^53.
+    var a48 = lhs._hi >>> 16, a32 = lhs._hi & 0xFFFF;
+    var a16 = lhs._lo >>> 16, a00 = lhs._lo & 0xFFFF;
+    var b48 = rhs._hi >>> 16, b32 = rhs._hi & 0xFFFF;
+    var b16 = rhs._lo >>> 16, b00 = rhs._lo & 0xFFFF;
+
+    var c48 = 0, c32 = 0, c16 = 0, c00 = 0;
+    c00 += a00 * b00;
+    c16 += c00 >>> 16;
+    c00 &= 0xFFFF;
+    c16 += a16 * b00;
+    c32 += c16 >>> 16;
+    c16 &= 0xFFFF;
+    c16 += a00 * b16;
+    c32 += c16 >>> 16;
+    c16 &= 0xFFFF;
+    c32 += a32 * b00;
+    c48 += c32 >>> 16;
+    c32 &= 0xFFFF;
+    c32 += a16 * b16;
+    c48 += c32 >>> 16;
+    c32 &= 0xFFFF;
+    c32 += a00 * b32;
+    c48 += c32 >>> 16;
+    c32 &= 0xFFFF;
+    c48 += (a48 * b00) + (a32 * b16) + (a16 * b32) + (a00 * b48);
+    c48 &= 0xFFFF;
+
+    return make((c16 << 16) | c00, (c48 << 16) | c32);
+  };
 
-        var regex = new RegExp("{([0-9]*)(?::([^}]*))?}", "g");
-        var match = null;
+  // Returns [quotientLo, quotientHi, remainderLo, remainderHi], treating both operands as unsigned.
+  var divideUnsigned = function (nLo, nHi, dLo, dHi) {
+    if ((dLo === 0) && (dHi === 0))
+      throw new System.DivideByZeroException("Attempted to divide by zero.");
 
-        var values = Array.prototype.slice.call(arguments, 1);
+    if ((nHi === 0) && (dHi === 0))
+      return [Math.floor(nLo / dLo), 0, nLo % dLo, 0];
 
-        if ((values.length == 1) && JSIL.IsArray(values[0]))
-          values = values[0];
+    var qLo = 0, qHi = 0, rLo = 0, rHi = 0;
 
-        var matcher = function (match, index, valueFormat, offset, str) {
-          index = parseInt(index);
+    for (var i = 63; i >= 0; i--) {
+      var carry = rHi >>> 31;
+      var bit = (i >= 32) ? (nHi >>> (i - 32)) & 1 : (nLo >>> i) & 1;
 
-          var value = values[index];
+      rHi = ((rHi << 1) | (rLo >>> 31)) >>> 0;
+      rLo = ((rLo << 1) | bit) >>> 0;
 
-          if (valueFormat) {
+      if (carry || (rHi > dHi) || ((rHi === dHi) && (rLo >= dLo))) {
+        var lo = rLo - dLo;
+        rHi = (rHi - dHi - ((lo < 0) ? 1 : 0)) >>> 0;
+        rLo = lo >>> 0;
 
-            switch (valueFormat[0]) {
-              case 'f':
-              case 'F':
-              case 'n':
-              case 'N':
-                var digits = parseInt(valueFormat.substr(1));
-                return parseFloat(value).toFixed(digits);
+        if (i >= 32)
+          qHi = (qHi | (1 << (i - 32))) >>> 0;
+        else
+          qLo = (qLo | (1 << i)) >>> 0;
+      }
+    }
 
-              default:
-                throw new Error("Unsupported format string: " + valueFormat);
-            }
-          } else {
+    return [qLo, qHi, rLo, rHi];
+  };
 
-            if (typeof (value) === "boolean") {
-              if (value)
-                return "True";
-              else
-                return "False";
-            } else {
-              return String(value);
-            }
-          }
-        };
+  var divide = function (lhs, rhs, wantRemainder) {
+    // MinValue / -1 is the only signed division whose result does not fit, and .NET checks it even in unchecked code.
+    if (
+      isSigned && (lhs._lo === 0) && (lhs._hi === 0x80000000) &&
+      (rhs._lo === 0xFFFFFFFF) && (rhs._hi === 0xFFFFFFFF)
+    )
+      throw new System.OverflowException("Arithmetic operation resulted in an overflow.");
+
+    var lhsNegative = isNegative(lhs), rhsNegative = isNegative(rhs);
+    var n = lhsNegative ? negateBits(lhs._lo, lhs._hi) : [lhs._lo, lhs._hi];
+    var d = rhsNegative ? negateBits(rhs._lo, rhs._hi) : [rhs._lo, rhs._hi];
+
+    var result = divideUnsigned(n[0], n[1], d[0], d[1]);
+    var lo, hi, negative;
+
+    if (wantRemainder) {
+      lo = result[2];
+      hi = result[3];
+      negative = lhsNegative;
+    } else {
+      lo = result[0];
+      hi = result[1];
+      negative = (lhsNegative !== rhsNegative);
+    }
 
-        return format.replace(regex, matcher);
-      }
-    );
+    if (negative) {
+      var bits = negateBits(lo, hi);
+      return make(bits[0], bits[1]);
+    }
 
-    $.Method({Static:true, Public:true }, "IndexOfAny", 
-      new JSIL.MethodSignature($jsilcore.TypeRef("System.Int32"), [System.Array.Of($jsilcore.System.Char), $jsilcore.TypeRef("System.Int32")], []),
-      function (str, chars) {
-        var result = null;
-        for (var i = 0; i < chars.length; i++) {
-          var index = str.indexOf(chars[i]);
-          if ((result === null) || (index < result))
-            result = index;
-        }
+    return make(lo, hi);
+  };
 
-        if (result === null)
-          return -1;
-        else
-          return result;
-      }
-    );
+  var shiftLeft = function (value, count) {
+    count &= 63;
 
-    $.Method({Static:true , Public:true }, "IsNullOrEmpty", 
-      new JSIL.MethodSignature($jsilcore.TypeRef("System.Boolean"), [$jsilcore.TypeRef("System.String")], []),
-      function (str) {
-        if (str === null)
-          return true;
-        else if (typeof (str) === "undefined")
-          return true;
-        else if (str.length === 0)
-          return true;
+    if (count === 0)
+      return value;
+    else if (count < 32)
+      return make(value._lo << count, (value._hi << count) | (value._lo >>> (32 - count)));
+    else
+      return make(0, value._lo << (count - 32));
+  };
 
-        return false;
-      }
-    );
+  var shiftRight = function (value, count, logical) {
+    count &= 63;
 
-    $.Method({Static:true , Public:true }, "IsNullOrWhiteSpace", 
-      new JSIL.MethodSignature($jsilcore.TypeRef("System.Boolean"), [$jsilcore.TypeRef("System.String")], []),
-      function (str) {
-        if (str === null)
-          return true;
-        else if (typeof (str) === "undefined")
-          return true;
-        else if (str.length === 0)
-          return true;
-        else if (str.trim().length === 0)
-          return true;
+    var hi = logical ? value._hi : (value._hi | 0);
 
-        return false;
-      }
-    );
+    if (count === 0)
+      return value;
+    else if (count < 32)
+      return make(
+        (value._lo >>> count) | (value._hi << (32 - count)),
+        logical ? (hi >>> count) : (hi >> count)
+      );
+    else if (logical)
+      return make(hi >>> (count - 32), 0);
+    else
+      return make(hi >> (count - 32), hi >> 31);
+  };
 
-    $.Method({Static:true , Public:true }, "LastIndexOfAny", 
-      new JSIL.MethodSignature($jsilcore.TypeRef("System.Int32"), [System.Array.Of($jsilcore.System.Char), $jsilcore.TypeRef("System.Int32")], []),
-      function (str, chars) {
-        var result = null;
-        for (var i = 0; i < chars.length; i++) {
-          var index = str.lastIndexOf(chars[i]);
-          if ((result === null) || (index > result))
-            result = index;
-        }
+  var toUnsignedString = function (lo, hi) {
+    if (hi < 0x200000)
+      return String((hi * twoToThe32) + lo);
 
-        if (result === null)
-          return -1;
-        else
-          return result;
-      }
-    );
+    var result = divideUnsigned(lo, hi, 1000000000, 0);
+    var remainder = String(result[2]);
+    while (remainder.length < 9)
+      remainder = "0" + remainder;
 
-    $.Method({Static: true , Public: true }, "Replace",
-      new JSIL.MethodSignature("System.String", ["System.String", "System.String", "System.String"], [], $jsilcore),
-      function (str, oldText, newText) {
-        return str.split(oldText).join(newText);
-      }
-    );
+    return String((result[1] * twoToThe32) + result[0]) + remainder;
+  };
 
-    $.Method({Static: true , Public: true }, "StartsWith",
-      new JSIL.MethodSignature("System.Boolean", ["System.String", "System.String"], [], $jsilcore),
-      function (str, text) {
-        return str.indexOf(text) === 0;
-      }
-    );
+  var toString = function (value) {
+    if (isNegative(value)) {
+      var bits = negateBits(value._lo, value._hi);
+      return "-" + toUnsignedString(bits[0], bits[1]);
+    }
 
-    var makePadding = function (ch, count) {
-      var padding = ch;
-      for (var i = 1; i < count; i++) {
-        padding += ch;
-      }
+    return toUnsignedString(value._lo, value._hi);
+  };
 
-      return padding;
-    };
+  var maxMagnitude = isSigned ? "9223372036854775807" : "18446744073709551615";
 
-    $.Method({Static: true , Public: true }, "PadLeft",
-      new JSIL.MethodSignature("System.String", ["System.String", "System.Int32", "System.Char"], [], $jsilcore),
-      function (str, length, ch) {
-        var extraChars = length - str.length;
-        if (extraChars <= 0)
-          return str;
+  // Returns the parsed value, or a string naming the exception that should be thrown.
+  var parse = function (text, styles, provider) {
+    var parsed = $jsilcore.$ParseIntegerText(text, styles, provider);
+    if (parsed === null)
+      return "format";
+    else if (parsed.hasFraction)
+      return "overflow";
 
-        return makePadding(ch, extraChars) + str;
-      }
-    );
+    var digits = parsed.digits;
 
-    $.Method({Static: true , Public: true }, "PadRight",
-      new JSIL.MethodSignature("System.String", ["System.String", "System.Int32", "System.Char"], [], $jsilcore),
-      function (str, length, ch) {
-        var extraChars = length - str.length;
-        if (extraChars <= 0)
-          return str;
+    if ((styles & $jsilcore.$NumberStyles.AllowHexSpecifier) !== 0) {
+      if (digits.length > 16)
+        return "overflow";
 
-        return str + makePadding(ch, extraChars);
-      }
-    );
-  }
-);
+      var hiDigits = digits.substr(0, Math.max(digits.length - 8, 0));
+      return make(parseInt(digits.substr(hiDigits.length), 16), hiDigits.length ? parseInt(hiDigits, 16) : 0);
+    }
 
-JSIL.MakeClass("System.Object", "System.String", true, [], function ($) {
-  $.__IsNativeType__ = true;
+    var negative = parsed.negative;
+    var limit = maxMagnitude;
 
-  $.Constant({Static: true , Public: true }, "Empty", "");
-});
+    if (negative && isSigned)
+      limit = "9223372036854775808";
+    else if (negative && (digits !== "0"))
+      return "overflow";
 
-JSIL.MakeClass("System.Object", "System.ComponentModel.MemberDescriptor", true);
-JSIL.MakeClass("System.ComponentModel.MemberDescriptor", "System.ComponentModel.PropertyDescriptor", true);
-JSIL.MakeClass("System.Object", "System.ComponentModel.TypeConverter", true);
-JSIL.MakeClass("System.ComponentModel.TypeConverter", "System.ComponentModel.ExpandableObjectConverter", true);
+    if (
+      (digits.length > limit.length) ||
+      ((digits.length === limit.length) && (digits > limit))
+    )
+      return "overflow";
 
-$jsilcore.$GetInvocationList = function (delegate) {
-    if (delegate === null) {
-      return [ ];
-    } else if (typeof (delegate.GetInvocationList) === "function") {
-      return delegate.GetInvocationList();
-    } else if (typeof (delegate) === "function") {
-      return [ delegate ];
+    var result;
+    if (digits.length <= 15) {
+      result = fromNumber(Number(digits));
     } else {
-      return null;
+      var upper = fromNumber(Number(digits.substr(0, digits.length - 9)));
+      var lower = fromNumber(Number(digits.substr(digits.length - 9)));
+      result = add(multiply(upper, fromNumber(1000000000)), lower);
     }
-};
-$jsilcore.$Combine = function (lhs, rhs) {
-  if (rhs === null) {
-    return lhs;
-  } else if (lhs === null) {
-    return rhs;
-  }
-
-  var newList = Array.prototype.slice.call($jsilcore.$GetInvocationList(lhs));
-  newList.push.apply(newList, $jsilcore.$GetInvocationList(rhs));
-  var result = JSIL.MulticastDelegate.New(newList);
-  return result;
-};
-$jsilcore.$Remove = function (lhs, rhs) {
-  if (rhs === null)
-    return lhs;
-  if (lhs === null)
-    return null;
 
-  var newList = Array.prototype.slice.call($jsilcore.$GetInvocationList(lhs));
-  var rhsList = $jsilcore.$GetInvocationList(rhs);
+    if (negative)
+      return subtract(make(0, 0), result);
+    else
+      return result;
+  };
 
-  for (var i = 0; i < rhsList.length; i++) {
-    var needle = rhsList[i];
+  $.RawMethod(true, "CheckType", function (value) {
+    return (typeof (value) === "number") ||
+      ((typeof (value) === "object") && (value !== null) && (value instanceof getPublicInterface()));
+  });
 
-    __inner:
-    for (var j = 0; j < newList.length; j++) {
-      var haystack = newList[j];
-      if ((haystack.__method__ === needle.__method__) &&
-          (haystack.__object__ === needle.__object__)
-      ) {
-        newList.splice(j, 1);
-        break __inner;
-      }
-    }
-  }
+  $.RawMethod(true, "FromNumber", fromNumber);
 
-  if (newList.length == 0)
-    return null;
-  else if (newList.length == 1)
-    return newList[0];
-  else
-    return JSIL.MulticastDelegate.New(newList);
-};
+  $.RawMethod(true, "FromBits", make);
 
-JSIL.ImplementExternals("System.Delegate", function ($) {
-  var tDelegate = $jsilcore.TypeRef("System.Delegate");
+  $.RawMethod(true, "Coerce", coerce);
 
-  $.RawMethod(false, "Invoke", function () {
-    return this.__method__.apply(this.__object__, arguments);
+  $.RawMethod(true, "ToNumber", function ToNumber (value) {
+    return toNumber(coerce(value));
   });
 
-  $.Method({Static:false, Public:true }, "GetInvocationList", 
-    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Array", [tDelegate]), [], [])), 
-    function GetInvocationList () {
-      return [ this ];
-    }
-  );
+  $.RawMethod(true, "ToInt32", function ToInt32 (value) {
+    return coerce(value)._lo | 0;
+  });
 
-  $.Method({Static:true , Public:true }, "CreateDelegate", 
-    (new JSIL.MethodSignature(tDelegate, [
-          $jsilcore.TypeRef("System.Type"), $.Object, 
-          $jsilcore.TypeRef("System.Reflection.MethodInfo")
-        ], [])), 
-    function CreateDelegate (delegateType, firstArgument, method) {
-      var isStatic = method._descriptor.Static;
-      var key = method._data.mangledName || method._descriptor.EscapedName;
-      var publicInterface = method._typeObject.__PublicInterface__;
-      var context = isStatic ? publicInterface : publicInterface.prototype;
-      var impl = context[key];
+  $.RawMethod(true, "ToUInt32", function ToUInt32 (value) {
+    return coerce(value)._lo;
+  });
 
-      if (typeof (impl) !== "function") {
-        JSIL.Host.error(new Error("Failed to bind delegate: Method '" + key + "' not found in context"));
+  var binaryOperator = function (name, impl) {
+    $.Method({Static:true , Public:true }, name,
+      (new JSIL.MethodSignature($.Type, [$.Type, $.Type], [])),
+      function (lhs, rhs) {
+        return impl(coerce(lhs), coerce(rhs));
       }
+    );
+  };
 
-      var delegatePublicInterface = delegateType.__PublicInterface__;
-
-      if (typeof (delegatePublicInterface.New) !== "function") {
-        JSIL.Host.error(new Error("Invalid delegate type"));
+  var comparisonOperator = function (name, test) {
+    $.Method({Static:true , Public:true }, name,
+      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])),
+      function (lhs, rhs) {
+        return test(compare(coerce(lhs), coerce(rhs)));
       }
+    );
+  };
 
-      return delegatePublicInterface.New(firstArgument, impl);
-    }
-  );  
+  var shiftOperator = function (name, impl) {
+    $.Method({Static:true , Public:true }, name,
+      (new JSIL.MethodSignature($.Type, [$.Type, $.Int32], [])),
+      function (value, count) {
+        return impl(coerce(value), Number(count));
+      }
+    );
+  };
 
-  var equalsImpl = function (lhs, rhs) {
-    if (lhs === rhs)
-      return true;
-
-    var lhsInvocationList = JSIL.Delegate.GetInvocationList(lhs);
-    var rhsInvocationList = JSIL.Delegate.GetInvocationList(rhs);
-
-    if (lhsInvocationList === rhsInvocationList)
-      return true;
+  binaryOperator("op_Addition", add);
+  binaryOperator("op_Subtraction", subtract);
+  binaryOperator("op_Multiply", multiply);
+  binaryOperator("op_Division", function (lhs, rhs) {
+    return divide(lhs, rhs, false);
+  });
+  binaryOperator("op_Modulus", function (lhs, rhs) {
+    return divide(lhs, rhs, true);
+  });
+  binaryOperator("op_BitwiseAnd", function (lhs, rhs) {
+    return make(lhs._lo & rhs._lo, lhs._hi & rhs._hi);
+  });
+  binaryOperator("op_BitwiseOr", function (lhs, rhs) {
+    return make(lhs._lo | rhs._lo, lhs._hi | rhs._hi);
+  });
+  binaryOperator("op_ExclusiveOr", function (lhs, rhs) {
+    return make(lhs._lo ^ rhs._lo, lhs._hi ^ rhs._hi);
+  });
 
-    if (!JSIL.IsArray(lhsInvocationList))
-      return false;
-    if (!JSIL.IsArray(rhsInvocationList))
-      return false;
+  shiftOperator("op_LeftShift", shiftLeft);
+  shiftOperator("op_RightShift", function (value, count) {
+    return shiftRight(value, count, !isSigned);
+  });
+  shiftOperator("op_UnsignedRightShift", function (value, count) {
+    return shiftRight(value, count, true);
+  });
 
-    if (lhsInvocationList.length != rhsInvocationList.length)
-      return false;
+  comparisonOperator("op_Equality", function (c) { return c === 0; });
+  comparisonOperator("op_Inequality", function (c) { return c !== 0; });
+  comparisonOperator("op_LessThan", function (c) { return c < 0; });
+  comparisonOperator("op_LessThanOrEqual", function (c) { return c <= 0; });
+  comparisonOperator("op_GreaterThan", function (c) { return c > 0; });
+  comparisonOperator("op_GreaterThanOrEqual", function (c) { return c >= 0; });
 
-    for (var i = 0, l = lhsInvocationList.length; i < l; i++) {
-      if (lhsInvocationList[i] !== rhsInvocationList[i])
-        return false;
+  $.Method({Static:true , Public:true }, "op_UnaryNegation",
+    (new JSIL.MethodSignature($.Type, [$.Type], [])),
+    function op_UnaryNegation (value) {
+      value = coerce(value);
+      var bits = negateBits(value._lo, value._hi);
+      return make(bits[0], bits[1]);
     }
-
-    return true;
-  };
-
-  $.Method({Static:true , Public:true }, "op_Equality", 
-    (new JSIL.MethodSignature($.Boolean, [tDelegate, tDelegate], [])), 
-    equalsImpl
   );
 
-  $.Method({Static:true , Public:true }, "op_Inequality", 
-    (new JSIL.MethodSignature($.Boolean, [tDelegate, tDelegate], [])), 
-    function op_Inequality (d1, d2) {
-      return !equalsImpl(d1, d2);
+  $.Method({Static:true , Public:true }, "op_OnesComplement",
+    (new JSIL.MethodSignature($.Type, [$.Type], [])),
+    function op_OnesComplement (value) {
+      value = coerce(value);
+      return make(~value._lo, ~value._hi);
     }
   );
 
-  $.Method({Static:true , Public:true }, "Combine", 
-    (new JSIL.MethodSignature(tDelegate, [tDelegate, tDelegate], [])), 
-    $jsilcore.$Combine
+  $.Method({Static:true , Public:true }, "op_Increment",
+    (new JSIL.MethodSignature($.Type, [$.Type], [])),
+    function op_Increment (value) {
+      return add(coerce(value), make(1, 0));
+    }
   );
 
-  $.Method({Static:true , Public:true }, "Remove", 
-    (new JSIL.MethodSignature(tDelegate, [tDelegate, tDelegate], [])), 
-    $jsilcore.$Remove
+  $.Method({Static:true , Public:true }, "op_Decrement",
+    (new JSIL.MethodSignature($.Type, [$.Type], [])),
+    function op_Decrement (value) {
+      return subtract(coerce(value), make(1, 0));
+    }
   );
-});
 
-JSIL.ImplementExternals("System.MulticastDelegate", function ($) {
-  $.RawMethod(false, "Invoke", function () {
-    return this.apply(null, arguments);
+  $jsilcore.$IntegerParseExternals($, isSigned ? "an Int64" : "a UInt64", parse, function () {
+    return make(0, 0);
   });
 
-  $.Method({Static:false, Public:true }, "GetInvocationList", 
-    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Array", [$jsilcore.TypeRef("System.Delegate")]), [], [])), 
-    function GetInvocationList () {
-      return this.delegates;
+  $.Method({Static:false, Public:true }, "CompareTo",
+    (new JSIL.MethodSignature($.Int32, [$.Type], [])),
+    function CompareTo (rhs) {
+      return compare(this, coerce(rhs));
     }
   );
-});
 
-JSIL.MakeClass("System.Object", "System.Delegate", true, []);
-JSIL.MakeClass("System.Object", "System.MulticastDelegate", true, []);
+  $.Method({Static:false, Public:true }, "Equals",
+    (new JSIL.MethodSignature($.Boolean, [$.Object], [])),
+    function Equals (rhs) {
+      if (!((typeof (rhs) === "object") && (rhs !== null) && (rhs instanceof getPublicInterface())))
+        return false;
 
-JSIL.MulticastDelegate.New = function (delegates) {
-  var invoker = function () {
-    var result;
-    for (var i = 0, l = this.length; i < l; i++) {
-      var d = this[i];
-      result = d.apply(null, arguments);
+      return (this._lo === rhs._lo) && (this._hi === rhs._hi);
     }
-    return result;
-  };
+  );
 
-  var result = invoker.bind(delegates);
-  result.delegates = delegates;
-  result.__proto__ = System.MulticastDelegate.prototype;
-  Object.seal(result);
-  return result;
-};
+  $.Method({Static:false, Public:true }, "GetHashCode",
+    (new JSIL.MethodSignature($.Int32, [], [])),
+    function GetHashCode () {
+      return (this._lo ^ this._hi) | 0;
+    }
+  );
 
-JSIL.MakeDelegate("System.Action", true, []);
-JSIL.MakeDelegate("System.Action`1", true, ["T"]);
-JSIL.MakeDelegate("System.Action`2", true, ["T1", "T2"]);
-JSIL.MakeDelegate("System.Action`3", true, ["T1", "T2", "T3"]);
+  $.RawMethod(false, "toString", function () {
+    return toString(this);
+  });
 
-JSIL.MakeDelegate("System.Func`1", true, ["TResult"]);
-JSIL.MakeDelegate("System.Func`2", true, ["T", "TResult"]);
-JSIL.MakeDelegate("System.Func`3", true, ["T1", "T2", "TResult"]);
-JSIL.MakeDelegate("System.Func`4", true, ["T1", "T2", "T3", "TResult"]);
+  // Allows code that is unaware of 64-bit integers to treat them as (possibly imprecise) numbers.
+  $.RawMethod(false, "valueOf", function () {
+    return toNumber(this);
+  });
+};
 
 JSIL.ImplementExternals(
-  "System.Exception", function ($) {
-    var mscorlib = JSIL.GetCorlib();
+  "System.Int64", function ($) {
+    $jsilcore.$Int64Externals($, true);
+  }
+);
+JSIL.MakeNumericType(Number, "System.Int64", true);
 
-    $.Method({Static:false, Public:true }, ".ctor", 
-      (new JSIL.MethodSignature(null, [], [])), 
-      function _ctor () {
-        this._message = null;
-      }
-    );
+JSIL.ImplementExternals(
+  "System.UInt64", function ($) {
+    $jsilcore.$Int64Externals($, false);
+  }
+);
+JSIL.MakeNumericType(Number, "System.UInt64", true);
 
-    $.Method({Static:false, Public:true }, ".ctor", 
-      (new JSIL.MethodSignature(null, [$.String], [])), 
-      function _ctor (message) {
-        this._message = message;
-      }
-    );
+// Returns null if the text is not a number written using the symbols of the provider.
+$jsilcore.$ParseFloat = function (text, provider) {
+  if ((text === null) || (typeof (text) === "undefined"))
+    throw new System.ArgumentNullException("s");
 
-    $.Method({Static:false, Public:true }, ".ctor", 
-      (new JSIL.MethodSignature(null, [$.String, mscorlib.TypeRef("System.Exception")], [])), 
-      function _ctor (message, innerException) {
-        this._message = message;
-        this._innerException = innerException;
-      }
-    );
+  var normalized = $jsilcore.$NormalizeNumberText(text, provider);
 
-    $.Method({Static:false, Public:true }, "get_InnerException", 
-      (new JSIL.MethodSignature(mscorlib.TypeRef("System.Exception"), [], [])), 
-      function get_InnerException () {
-        return this._innerException;
-      }
-    );
+  if ((normalized === "NaN") || (normalized === "Infinity") || (normalized === "-Infinity"))
+    return Number(normalized);
+  else if (!/^[-+]?([0-9]+\.?[0-9]*|\.[0-9]+)([eE][-+]?[0-9]+)?$/.test(normalized))
+    return null;
 
-    $.Method({Static: false, Public: true }, "get_Message",
-      new JSIL.MethodSignature($.String, []),
-      function () {
-        if ((typeof (this._message) === "undefined") || (this._message === null))
-          return System.String.Format("Exception of type '{0}' was thrown.", JSIL.GetTypeName(this));
-        else
-          return this._message;
-      }
-    );
+  return Number(normalized);
+};
 
-    $.Method({Static: false, Public: true }, "toString",
-      new JSIL.MethodSignature($.String, []),
-      function () {
-        var message = this.Message;
-        return System.String.Format("{0}: {1}", JSIL.GetTypeName(this), message);
-      }
-    );
-  }
-);
+$jsilcore.$FloatParseExternals = function ($) {
+  var mscorlib = JSIL.GetCorlib();
 
-JSIL.ImplementExternals(
-  "System.SystemException", function ($) {
-    $.Method({Static:false, Public:true }, ".ctor", 
-      new JSIL.MethodSignature(null, [], []),
-      function () {
-        System.Exception.prototype._ctor.call(this);
-      }
-    );
+  var parse = function (text, provider) {
+    var result = $jsilcore.$ParseFloat(text, provider);
+    if (result === null)
+      throw new System.FormatException("Input string was not in a correct format.");
 
-    $.Method({Static:false, Public:true }, ".ctor", 
-      new JSIL.MethodSignature(null, [$.String], []),
-      function (message) {
-        System.Exception.prototype._ctor.call(this, message);
-      }
-    );
-  }
-);
+    return result;
+  };
+
+  var tryParse = function (text, result) {
+    var parsed = ((text === null) || (typeof (text) === "undefined")) ? null : $jsilcore.$ParseFloat(text, null);
+
+    result.value = (parsed === null) ? 0 : parsed;
+    return parsed !== null;
+  };
+
+  $.Method({Static:true , Public:true }, "Parse", 
+    (new JSIL.MethodSignature($.Type, [$.String], [])), 
+    function Parse (s) {
+      return parse(s, null);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Parse", 
+    (new JSIL.MethodSignature($.Type, [$.String, mscorlib.TypeRef("System.IFormatProvider")], [])), 
+    parse
+  );
+
+  $.Method({Static:true , Public:true }, "TryParse", 
+    (new JSIL.MethodSignature($.Boolean, [$.String, $jsilcore.TypeRef("JSIL.Reference", [$.Type])], [])), 
+    tryParse
+  );
+};
 
 JSIL.ImplementExternals(
-  "System.InvalidCastException", function ($) {  
-    $.Method({Static:false, Public:true }, ".ctor", 
-      new JSIL.MethodSignature(null, [$.String], []),
-      function (message) {
-        System.Exception.prototype._ctor.call(this, message);
-      }
-    );
+  "System.Single", function ($) {
+    $.RawMethod(true, "CheckType", function (value) {
+      return (typeof (value) === "number");
+    });
+
+    $jsilcore.$FloatParseExternals($);
   }
 );
+JSIL.MakeNumericType(Number, "System.Single", false);
 
 JSIL.ImplementExternals(
-  "System.InvalidOperationException", function ($) {  
-    $.Method({Static:false, Public:true }, ".ctor", 
-      new JSIL.MethodSignature(null, [$.String], []),
-      function (message) {
-        System.Exception.prototype._ctor.call(this, message);
-      }
-    );
+  "System.Double", function ($) {
+    $.RawMethod(true, "CheckType", function (value) {
+      return (typeof (value) === "number");
+    });
+
+    $jsilcore.$FloatParseExternals($);
   }
 );
+JSIL.MakeNumericType(Number, "System.Double", false);
 
-JSIL.MakeClass(Error, "System.Exception", true, [], function ($) {
-  $.Property({Public: true , Static: false}, "Message");
-  $.Property({Public: true , Static: false}, "InnerException");
-});
+// Matches the en-US NumberFormatInfo. The format data of the other built-in cultures is derived from it.
+$jsilcore.$DefaultNumberFormat = {
+  NegativeSign: "-",
+  PositiveSign: "+",
+  NaNSymbol: "NaN",
+  PositiveInfinitySymbol: "Infinity",
+  NegativeInfinitySymbol: "-Infinity",
+  NumberDecimalDigits: 2,
+  NumberDecimalSeparator: ".",
+  NumberGroupSeparator: ",",
+  NumberGroupSizes: [3],
+  NumberNegativePattern: 1,
+  CurrencySymbol: "$",
+  CurrencyDecimalDigits: 2,
+  CurrencyDecimalSeparator: ".",
+  CurrencyGroupSeparator: ",",
+  CurrencyGroupSizes: [3],
+  CurrencyPositivePattern: 0,
+  CurrencyNegativePattern: 0,
+  PercentSymbol: "%",
+  PerMilleSymbol: "\u2030",
+  PercentDecimalDigits: 2,
+  PercentDecimalSeparator: ".",
+  PercentGroupSeparator: ",",
+  PercentGroupSizes: [3],
+  PercentPositivePattern: 0,
+  PercentNegativePattern: 0
+};
 
-JSIL.MakeClass("System.Exception", "System.InvalidCastException", true);
-JSIL.MakeClass("System.Exception", "System.InvalidOperationException", true);
+$jsilcore.$GetNumberFormat = function (provider) {
+  return $jsilcore.$GetFormatInfo(provider, "NumberFormatInfo")._data;
+};
 
-JSIL.ImplementExternals("System.Console", function ($) {
-  $.RawMethod(true, "WriteLine", function () {
-    var text = "";
-    if (arguments.length > 0)
-      text = System.String.Format.apply(null, arguments);
+(function () {
+  var numericTypes = {
+    "System.SByte": { integral: true, signed: true, bits: 8, precision: 3 },
+    "System.Byte": { integral: true, signed: false, bits: 8, precision: 3 },
+    "System.Int16": { integral: true, signed: true, bits: 16, precision: 5 },
+    "System.UInt16": { integral: true, signed: false, bits: 16, precision: 5 },
+    "System.Int32": { integral: true, signed: true, bits: 32, precision: 10 },
+    "System.UInt32": { integral: true, signed: false, bits: 32, precision: 10 },
+    "System.Int64": { integral: true, signed: true, bits: 64, precision: 19 },
+    "System.UInt64": { integral: true, signed: false, bits: 64, precision: 20 },
+    "System.Single": { integral: false, single: true, precision: 7, roundTripPrecision: 9 },
+    "System.Double": { integral: false, single: false, precision: 15, roundTripPrecision: 17 },
+    "System.Decimal": { integral: false, decimal: true, precision: 29 }
+  };
 
-    JSIL.Host.logWriteLine(text);
-  });
+  // The patterns are indexed by the corresponding NumberFormatInfo property. 'n' stands for the number,
+  //  '-' for the negative sign, '$' for the currency symbol and '%' for the percent symbol.
+  var numberNegativePatterns = ["(n)", "-n", "- n", "n-", "n -"];
+  var currencyPositivePatterns = ["$n", "n$", "$ n", "n $"];
+  var currencyNegativePatterns = [
+    "($n)", "-$n", "$-n", "$n-", "(n$)", "-n$", "n-$", "n$-",
+    "-n $", "-$ n", "n $-", "$ n-", "$ -n", "n- $", "($ n)", "(n $)"
+  ];
+  var percentPositivePatterns = ["n %", "n%", "%n", "% n"];
+  var percentNegativePatterns = [
+    "-n %", "-n%", "-%n", "%-n", "%n-", "n-%", "n%-", "-% n", "n %-", "% n-", "% -n", "n- %"
+  ];
+
+  var singleScratch = new Float32Array(1);
+
+  var toSingle = function (value) {
+    singleScratch[0] = value;
+    return singleScratch[0];
+  };
 
-  $.RawMethod(true, "Write", function () {
-    var text = "";
-    if (arguments.length > 0)
-      text = System.String.Format.apply(null, arguments);
+  var getNumericType = function (value, type) {
+    var typeName;
 
-    JSIL.Host.logWrite(text);
-  });
-});
+    if ((type !== null) && (typeof (type) !== "undefined")) {
+      typeName = JSIL.GetTypeName(type);
+    } else if (typeof (value) === "number") {
+      if ((value === Math.floor(value)) && (value >= -2147483648) && (value <= 4294967295))
+        typeName = (value <= 2147483647) ? "System.Int32" : "System.UInt32";
+      else
+        typeName = "System.Double";
+    } else {
+      typeName = JSIL.GetTypeName(JSIL.GetType(value));
+    }
 
-JSIL.ImplementExternals(
-  "System.Diagnostics.Debug", function ($) {
-    $.Method({Static:true , Public:true }, "WriteLine", 
-      (new JSIL.MethodSignature(null, [$.String], [])), 
-      function WriteLine (message) {
-        JSIL.Host.logWriteLine(message);
-      }
-    );
-  }
-);
+    return numericTypes[typeName] || numericTypes["System.Double"];
+  };
 
-JSIL.MakeStaticClass("System.Console", true, [], function ($) {
-});
+  // Numbers are decomposed into a sign, a string of significant digits without leading or trailing
+  //  zeroes, and the position of the decimal point relative to the first of those digits.
+  var parseNumberText = function (text) {
+    var match = /^(-?)([0-9]*)(?:\.([0-9]*))?(?:[eE]([+\-]?[0-9]+))?$/.exec(text);
+    var digits = match[2] + (match[3] || "");
+    var scale = match[2].length + (match[4] ? parseInt(match[4], 10) : 0);
+
+    var leadingZeroes = /^0*/.exec(digits)[0].length;
+    digits = digits.substr(leadingZeroes).replace(/0+$/, "");
+    scale -= leadingZeroes;
+
+    return {
+      negative: match[1] === "-",
+      digits: digits,
+      scale: (digits.length > 0) ? scale : 0
+    };
+  };
 
-JSIL.SplitString = function (str, separators) {
-  if (separators.length > 1)
-    throw new Error("Split cannot handle more than one separator");
+  var getParts = function (value, numericType, significantDigits) {
+    if (typeof (value) !== "number")
+      return parseNumberText(value.toString());
+    else if (numericType.integral || (value === 0))
+      return parseNumberText(String(value));
 
-  return str.split(separators[0]);
-};
+    return parseNumberText(value.toExponential(Math.min(significantDigits, 21) - 1));
+  };
 
-JSIL.ConcatString = function (/* ...values */) {
-  var result = String(arguments[0]);
+  // Keeps the given number of significant digits, rounding half away from zero like .NET does.
+  var roundParts = function (parts, count) {
+    var digits = parts.digits, scale = parts.scale;
 
-  for (var i = 1, l = arguments.length; i < l; i++) {
-    var arg = arguments[i];
-    if (typeof (arg) === "string")
-      result += arg;
-    else
-      result += String(arg);
-  }
+    if (count < 0) {
+      digits = "";
+    } else if (digits.length > count) {
+      var roundUp = digits.charCodeAt(count) >= 53 /* '5' */;
+      digits = digits.substr(0, count);
 
-  return result;
-};
+      if (roundUp) {
+        var i = count - 1;
+        while ((i >= 0) && (digits.charAt(i) === "9"))
+          i -= 1;
 
-JSIL.MakeClass("System.Object", "JSIL.ArrayEnumerator", true, ["T"], function ($) {
-  $.RawMethod(false, "__CopyMembers__", 
-    function ArrayEnumerator_CopyMembers (source, target) {
-      target._array = source._array;
-      target._length = source._length;
-      target._index = source._index;
-    }
-  );
-
-  $.Method({Public: true , Static: false}, ".ctor", 
-    new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", ["!!0"]), $.Int32]),
-    function (array, startPosition) {
-      this._array = array;
-      this._length = array.length;
-      this._index = startPosition;
+        if (i < 0) {
+          digits = "1";
+          scale += 1;
+        } else {
+          digits = digits.substr(0, i) + String.fromCharCode(digits.charCodeAt(i) + 1);
+        }
+      }
     }
-  );
 
-  $.Method({Public: true , Static: false}, "Reset", 
-    new JSIL.MethodSignature(null, []),
-    function () {
-      if (this._array === null)
-        throw new Error("Enumerator is disposed or not initialized");
+    digits = digits.replace(/0+$/, "");
 
-      this._index = -1;
-    }
-  );
-  $.Method({Public: true , Static: false}, "MoveNext", 
-    new JSIL.MethodSignature(System.Boolean, []),
-    function () {
-      if (this._index >= this._length)
-        return false;
+    return {
+      negative: parts.negative,
+      digits: digits,
+      scale: (digits.length > 0) ? scale : 0
+    };
+  };
 
-      this._index += 1;
-      return (this._index < this._length);
-    }
-  );
-  $.Method({Public: true , Static: false}, "Dispose", 
-    new JSIL.MethodSignature(null, []),
-    function () {
-      this._array = null;
-      this._index = 0;
-      this._length = -1;
-    }
-  );
-  $.Method({Public: true , Static: false}, "get_Current", 
-    new JSIL.MethodSignature(System.Object, []),
-    function () {
-      return this._array[this._index];
-    }
-  );
+  var isNegative = function (parts) {
+    return parts.negative && (parts.digits.length > 0);
+  };
 
-  $.Property({Public: true , Static: false}, "Current");
+  var digitAt = function (parts, index) {
+    if ((index < 0) || (index >= parts.digits.length))
+      return "0";
 
-  $.ImplementInterfaces(
-    System.IDisposable, System.Collections.IEnumerator,
-    $jsilcore.TypeRef("System.Collections.Generic.IEnumerator`1", [new JSIL.GenericParameter("T", "JSIL.ArrayEnumerator")])
-  );
-});
+    return parts.digits.charAt(index);
+  };
 
-JSIL.ImplementExternals(
-  "System.Threading.Thread", function ($) {
-    $.Method({Static:true , Public:true }, ".cctor2", 
-      (new JSIL.MethodSignature(null, [], [])), 
-      function () {
-        // This type already has a cctor, so we add a second one.
-        System.Threading.Thread._currentThread = new System.Threading.Thread();
-      }
-    );
+  var getIntegerDigits = function (parts) {
+    var result = "";
+    for (var i = 0; i < parts.scale; i++)
+      result += digitAt(parts, i);
 
-    $.Method({Static:true , Public:true }, "get_CurrentThread", 
-      (new JSIL.MethodSignature($jsilcore.TypeRef("System.Threading.Thread"), [], [])), 
-      function get_CurrentThread () {
-        return System.Threading.Thread._currentThread;
-      }
-    );
+    return result;
+  };
 
-    $.Method({Static:false, Public:true }, "get_ManagedThreadId", 
-      (new JSIL.MethodSignature($.Int32, [], [])), 
-      function get_ManagedThreadId () {
-        return 0;
-      }
-    );
-  }
-);
+  var getFractionDigits = function (parts, count) {
+    var result = "";
+    for (var i = 0; i < count; i++)
+      result += digitAt(parts, parts.scale + i);
 
-JSIL.MakeClass("System.Object", "System.Threading.Thread", true, [], function ($) {
-  $.Field({Public: false, Static: true}, "_currentThread", $.Type, function ($) { return null; });
+    return result;
+  };
 
-  $.ExternalMethod(
-    {Public: true , Static: true }, "get_CurrentThread",
-    new JSIL.MethodSignature($.Type, [])
-  );
-  $.ExternalMethod(
-    {Public: true , Static: true }, "get_ManagedThreadId",
-    new JSIL.MethodSignature(System.Int32, [])
-  );
+  var padLeft = function (text, length) {
+    while (text.length < length)
+      text = "0" + text;
 
-  $.Property({Public: true , Static: true }, "CurrentThread");
-  $.Property({Public: true , Static: true }, "ManagedThreadId");
-});
+    return text;
+  };
 
-$jsilcore.$ListExternals = function ($, T, type) {
-  var mscorlib = JSIL.GetCorlib();
+  // Returns a table whose entries are true for every digit count (counted from the right) that
+  //  should be followed by a group separator. The last group size repeats, and a size of zero
+  //  stops grouping.
+  var getGroupBoundaries = function (length, groupSizes) {
+    var result = {};
+    var position = 0;
 
-  if ((typeof (T) === "undefined") || (T === null)) {
-    T = new JSIL.GenericParameter("T", "System.Collections.Generic.List`1");
-  }
+    for (var i = 0; groupSizes.length > 0; i++) {
+      var size = groupSizes[Math.min(i, groupSizes.length - 1)];
+      if (size <= 0)
+        break;
 
-  var indexOfImpl = function (value) {
-    for (var i = 0; i < this._size; i++) {
-      var item = this._items[i];
+      position += size;
+      if (position >= length)
+        break;
 
-      if (JSIL.ObjectEquals(item, value))
-        return i;
+      result[position] = true;
     }
 
-    return -1;
+    return result;
   };
 
-  var findIndexImpl = function (predicate) {
-    for (var i = 0; i < this._size; i++) {
-      var item = this._items[i];
-      if (predicate(item))
-        return i;
+  var groupDigits = function (digits, separator, groupSizes) {
+    var boundaries = getGroupBoundaries(digits.length, groupSizes);
+    var result = "";
+
+    for (var i = 0; i < digits.length; i++) {
+      result += digits.charAt(i);
+
+      if (boundaries[digits.length - i - 1] === true)
+        result += separator;
     }
 
-    return -1;
+    return result;
   };
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    new JSIL.MethodSignature(null, [], []),
-    function () {
-      this._items = new Array();
-      this._size = 0;
-    }
-  );
+  var formatFixed = function (parts, decimals, decimalSeparator, groupSeparator, groupSizes) {
+    var integerDigits = getIntegerDigits(parts) || "0";
+    var result = groupSizes ? groupDigits(integerDigits, groupSeparator, groupSizes) : integerDigits;
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Int32")], []),
-    function (size) {
-      this._items = new Array(size);
-      this._size = 0;
-    }
-  );
+    if (decimals > 0)
+      result += decimalSeparator + getFractionDigits(parts, decimals);
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Collections.Generic.IEnumerable`1", [new JSIL.GenericParameter("T", "System.Collections.Generic.List`1")])], []),
-    function (values) {
-      this._items = JSIL.EnumerableToArray(values);
-      this._size = this._items.length;
-    }
-  );
+    return result;
+  };
 
-  var addImpl = function (item) {
-    if (this._size >= this._items.length) {
-      this._items.push(item);
-    } else {
-      this._items[this._size] = item;
-    }
-    this._size += 1;
+  var formatExponent = function (exponent, exponentChar, minimumDigits, alwaysSigned, nfi) {
+    var sign = (exponent < 0) ? nfi.NegativeSign : (alwaysSigned ? nfi.PositiveSign : "");
 
-    if (typeof (this.$OnItemAdded) === "function")
-      this.$OnItemAdded(item);
+    return exponentChar + sign + padLeft(String(Math.abs(exponent)), minimumDigits);
+  };
 
-    return this._size;
+  var formatScientific = function (parts, decimals, exponentChar, nfi) {
+    var exponent = (parts.digits.length > 0) ? parts.scale - 1 : 0;
+    var result = digitAt(parts, 0);
+
+    if (decimals > 0) {
+      result += nfi.NumberDecimalSeparator;
+      for (var i = 1; i <= decimals; i++)
+        result += digitAt(parts, i);
+    }
+
+    return result + formatExponent(exponent, exponentChar, 3, true, nfi);
   };
 
-  switch (type) {
-    case "ArrayList":
-    case "ObjectCollection":
-      $.Method({Static:false, Public:true }, "Add", 
-        new JSIL.MethodSignature($.Int32, [T], []),
-        addImpl
-      );
-      break;
-    default:
-      $.Method({Static:false, Public:true }, "Add", 
-        new JSIL.MethodSignature(null, [T], []),
-        addImpl
-      );
-      break;
-  }
+  var formatGeneral = function (parts, precision, exponentChar, nfi) {
+    var exponent = (parts.digits.length > 0) ? parts.scale - 1 : 0;
+    var fractionLength;
 
-  $.Method({Static:false, Public:true }, "AddRange", 
-    new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Collections.Generic.IEnumerable`1", [T])], []),
-    function (items) {
-      var e = JSIL.GetEnumerator(items);
-      try {
-        while (e.MoveNext())
-          this.Add(e.Current);
-      } finally {
-        e.IDisposable_Dispose();
-      }
+    if ((exponent >= precision) || (exponent < -4)) {
+      var result = digitAt(parts, 0);
+      if (parts.digits.length > 1)
+        result += nfi.NumberDecimalSeparator + parts.digits.substr(1);
+
+      return result + formatExponent(exponent, exponentChar, 2, true, nfi);
     }
-  );
 
-  $.Method({Static:false, Public:true }, "AsReadOnly", 
-    new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.ObjectModel.ReadOnlyCollection`1", [T]), [], []),
-    function () {
-      // FIXME
-      if (typeof (this.tReadOnlyCollection) === "undefined") {
-        this.tReadOnlyCollection = System.Collections.ObjectModel.ReadOnlyCollection$b1.Of(this.T).__Type__;
+    fractionLength = Math.max(parts.digits.length - parts.scale, 0);
+    return formatFixed(parts, fractionLength, nfi.NumberDecimalSeparator, null, null);
+  };
+
+  var applyPattern = function (pattern, number, nfi, symbol) {
+    return pattern.replace(/[n\-$%]/g, function (token) {
+      switch (token) {
+        case "n":
+          return number;
+        case "-":
+          return nfi.NegativeSign;
+        default:
+          return symbol;
       }
+    });
+  };
 
-      return JSIL.CreateInstanceOfType(this.tReadOnlyCollection , "$listCtor", [this]);
-    }
-  );
+  var formatHexadecimal = function (value, numericType, precision, upperCase) {
+    var result;
 
-  $.Method({Static:false, Public:true }, "Clear", 
-    new JSIL.MethodSignature(null, [], []),
-    function () {
-      this._size = 0;
-    }
-  );
+    if (typeof (value) !== "number") {
+      result = value._lo.toString(16);
+      if (value._hi !== 0)
+        result = value._hi.toString(16) + padLeft(result, 8);
+    } else {
+      if (value < 0)
+        value += Math.pow(2, numericType.bits);
 
-  $.Method({Static:false, Public:true }, "Contains", 
-    new JSIL.MethodSignature(mscorlib.TypeRef("System.Boolean"), [T], []),
-    function (value) {
-      return indexOfImpl.call(this, value) >= 0;
+      result = value.toString(16);
     }
-  );
 
-  $.Method({Static:false, Public:true }, "Exists", 
-    new JSIL.MethodSignature(mscorlib.TypeRef("System.Boolean"), [mscorlib.TypeRef("System.Predicate`1", [T])], []),
-    function (predicate) {
-      return findIndexImpl.call(this, predicate) >= 0;
-    }
-  );
+    result = padLeft(result, precision || 0);
+    return upperCase ? result.toUpperCase() : result;
+  };
 
-  $.Method({Static:false, Public:true }, "Find", 
-    new JSIL.MethodSignature(new JSIL.GenericParameter("T", "System.Collections.Generic.List`1"), [mscorlib.TypeRef("System.Predicate`1", [T])], []),
-    function (predicate) {
-      var index = this.FindIndex(predicate);
-      if (index >= 0)
-        return this._items[index];
-      else
-        return JSIL.DefaultValue(this.T);
-    }
-  );
+  var formatRoundTrip = function (value, numericType, nfi) {
+    var precision = numericType.precision;
+    var text = value.toPrecision(precision);
 
-  $.Method({Static:false, Public:true }, "FindAll", 
-    new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.Generic.List`1", [T]), [mscorlib.TypeRef("System.Predicate`1", [T])], []),
-    function (predicate) {
-      var thisType = this.GetType();
+    var roundTrips = numericType.single ?
+      (toSingle(parseFloat(text)) === toSingle(value)) :
+      (parseFloat(text) === value);
 
-      // Manually initialize the result since we don't want to hassle with overloaded ctors
-      var result = JSIL.CreateInstanceOfType(thisType, null);
-      result._items = [];
+    if (!roundTrips)
+      precision = numericType.roundTripPrecision;
 
-      for (var i = 0; i < this._size; i++) {
-        var item = this._items[i];
+    return formatGeneral(getParts(value, numericType, precision), precision, "E", nfi);
+  };
 
-        if (predicate(item))
-          result._items.push(item);
-      }
+  var formatStandard = function (value, numericType, specifier, precision, nfi) {
+    var upperSpecifier = specifier.toUpperCase();
+    var parts, decimals, number;
 
-      result._size = result._items.length;
-      return result;
+    if ((upperSpecifier === "D") || (upperSpecifier === "X")) {
+      if (!numericType.integral)
+        throw new System.FormatException("Format specifier was invalid.");
+
+      if (upperSpecifier === "X")
+        return formatHexadecimal(value, numericType, precision, specifier === "X");
+
+      parts = getParts(value, numericType, 0);
+      number = padLeft(getIntegerDigits(parts) || "0", precision || 0);
+      return (isNegative(parts) ? nfi.NegativeSign : "") + number;
     }
-  );
 
-  $.Method({Static:false, Public:true }, "FindIndex", 
-    new JSIL.MethodSignature(mscorlib.TypeRef("System.Int32"), [mscorlib.TypeRef("System.Predicate`1", [new JSIL.GenericParameter("T", "System.Collections.Generic.List`1")])], []),
-    findIndexImpl
-  );
+    if (upperSpecifier === "R") {
+      if (numericType.integral)
+        return formatStandard(value, numericType, "D", null, nfi);
+      else if (numericType.decimal)
+        throw new System.FormatException("Format specifier was invalid.");
 
-  $.Method({Static:false, Public:true }, "get_Capacity", 
-    new JSIL.MethodSignature(mscorlib.TypeRef("System.Int32"), [], []),
-    function () {
-      return this._items.length;
+      number = formatRoundTrip(value, numericType, nfi);
+      return (value < 0) ? nfi.NegativeSign + number : number;
     }
-  );
 
-  $.Method({Static:false, Public:true }, "get_Count", 
-    new JSIL.MethodSignature(mscorlib.TypeRef("System.Int32"), [], []),
-    function () {
-      return this._size;
-    }
-  );
+    parts = getParts(value, numericType, Math.max(numericType.precision, precision || 0));
 
-  var rangeCheckImpl = function (index,size) {
-      if (index < 0)
-        throw new System.ArgumentOutOfRangeException("index");
-      else if (index >= size)
-        throw new System.ArgumentOutOfRangeException("index");
-  }
+    switch (upperSpecifier) {
+      case "G":
+        if (!precision) {
+          if (numericType.integral)
+            return formatStandard(value, numericType, "D", null, nfi);
 
-  $.Method({Static:false, Public:true }, "get_Item", 
-    new JSIL.MethodSignature(T, [mscorlib.TypeRef("System.Int32")], []), 
-    function (index) {
-          rangeCheckImpl(index, this._size);
-          return this._items[index];
-   }
+          // Decimals keep their trailing zeroes unless a precision is specified.
+          if (numericType.decimal) {
+            number = value.toString().replace("-", "").replace(".", nfi.NumberDecimalSeparator);
+            return (isNegative(parts) ? nfi.NegativeSign : "") + number;
+          }
+        }
 
-  );
+        precision = precision || numericType.precision;
+        parts = roundParts(parts, precision);
+        number = formatGeneral(parts, precision, (specifier === "g") ? "e" : "E", nfi);
+        return (isNegative(parts) ? nfi.NegativeSign : "") + number;
 
-  $.Method({Static: false, Public: true }, "set_Item",
-    new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Int32"), T], []), 
-    function (index, value) {
-      rangeCheckImpl(index, this._size);
-      this._items[index]=value;
-  }
+      case "E":
+        decimals = (precision === null) ? 6 : precision;
+        parts = roundParts(parts, decimals + 1);
+        number = formatScientific(parts, decimals, specifier, nfi);
+        return (isNegative(parts) ? nfi.NegativeSign : "") + number;
 
-  );
+      case "F":
+        decimals = (precision === null) ? nfi.NumberDecimalDigits : precision;
+        parts = roundParts(parts, parts.scale + decimals);
+        number = formatFixed(parts, decimals, nfi.NumberDecimalSeparator, null, null);
+        return (isNegative(parts) ? nfi.NegativeSign : "") + number;
 
-  var getEnumeratorImpl = function () {
-    // Detect whether we are a List<T> or an ArrayList.
-    if (typeof(this.$thisEnumeratorType) === "undefined") {
-      var elementType = this.T;
-      if (typeof (elementType) === "undefined")
-        elementType = System.Object;
+      case "N":
+        decimals = (precision === null) ? nfi.NumberDecimalDigits : precision;
+        parts = roundParts(parts, parts.scale + decimals);
+        number = formatFixed(parts, decimals, nfi.NumberDecimalSeparator, nfi.NumberGroupSeparator, nfi.NumberGroupSizes);
 
-      this.$thisEnumeratorType = System.Collections.Generic.List$b1_Enumerator.Of(elementType)
-    }
+        if (isNegative(parts))
+          return applyPattern(numberNegativePatterns[nfi.NumberNegativePattern], number, nfi, null);
 
-    return new (this.$thisEnumeratorType)(this);
-  };
+        return number;
 
-  $.Method({Static:false, Public:true }, "IEnumerable_GetEnumerator", 
-    new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.IEnumerator"), [], []),
-    getEnumeratorImpl
-  );
+      case "C":
+        decimals = (precision === null) ? nfi.CurrencyDecimalDigits : precision;
+        parts = roundParts(parts, parts.scale + decimals);
+        number = formatFixed(parts, decimals, nfi.CurrencyDecimalSeparator, nfi.CurrencyGroupSeparator, nfi.CurrencyGroupSizes);
 
-  $.Method({Static:false, Public:true }, "IEnumerable$b1_GetEnumerator",
-    new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.Generic.IEnumerator`1", [T]), [], []),
-    getEnumeratorImpl
-  );
+        if (isNegative(parts))
+          return applyPattern(currencyNegativePatterns[nfi.CurrencyNegativePattern], number, nfi, nfi.CurrencySymbol);
 
-  switch (type) {
-    case "ArrayList":
-      $.Method({Static:false, Public:true }, "GetEnumerator", 
-        new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.IEnumerator"), [], []),
-        getEnumeratorImpl
-      );
-      break;
-    case "List":
-      $.Method({Static:false, Public:true }, "GetEnumerator", 
-        (new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.Generic.List`1/Enumerator", [new JSIL.GenericParameter("T", "System.Collections.Generic.List`1")]), [], [])), 
-        getEnumeratorImpl
-      );
-      break;
-    default:
-      $.Method({Static:false, Public:true }, "GetEnumerator",
-        new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.Generic.IEnumerator`1", [T]), [], []),
-        getEnumeratorImpl
-      );
-      break;
-  }
+        return applyPattern(currencyPositivePatterns[nfi.CurrencyPositivePattern], number, nfi, nfi.CurrencySymbol);
 
-  $.Method({Static:false, Public:true }, "Insert", 
-    (new JSIL.MethodSignature(null, [$.Int32, new JSIL.GenericParameter("T", "System.Collections.Generic.List`1")], [])), 
-    function Insert (index, item) {
-      this._items.splice(index, 0, item);
-      this._size += 1;
-    }
-  );
+      case "P":
+        decimals = (precision === null) ? nfi.PercentDecimalDigits : precision;
+        parts.scale += 2;
+        parts = roundParts(parts, parts.scale + decimals);
+        number = formatFixed(parts, decimals, nfi.PercentDecimalSeparator, nfi.PercentGroupSeparator, nfi.PercentGroupSizes);
 
-  $.Method({Static:false, Public:true }, "IndexOf", 
-    new JSIL.MethodSignature(mscorlib.TypeRef("System.Int32"), [T], []),
-    indexOfImpl
-  );
+        if (isNegative(parts))
+          return applyPattern(percentNegativePatterns[nfi.PercentNegativePattern], number, nfi, nfi.PercentSymbol);
 
-  var removeImpl = function (item) {
-    var index = this._items.indexOf(item);
-    if (index === -1)
-      return false;
+        return applyPattern(percentPositivePatterns[nfi.PercentPositivePattern], number, nfi, nfi.PercentSymbol);
+    }
 
-    return this.RemoveAt(index);
+    throw new System.FormatException("Format specifier was invalid.");
   };
 
-  switch (type) {
-    case "ArrayList":
-    case "ObjectCollection":
-      $.Method({Static:false, Public:true }, "Remove", 
-        new JSIL.MethodSignature(null, [T], []),
-        removeImpl
-      );
-      break;
-    default:
-      $.Method({Static:false, Public:true }, "Remove", 
-        new JSIL.MethodSignature(mscorlib.TypeRef("System.Boolean"), [T], []),
-        removeImpl
-      );
-      break;
-  }
-
-  $.Method({Static:false, Public:true }, "RemoveAll", 
-    new JSIL.MethodSignature(mscorlib.TypeRef("System.Int32"), [mscorlib.TypeRef("System.Predicate`1", [T])], []),
-    function (predicate) {
-      var result = 0;
-
-      for (var i = 0; i < this._size; i++) {
-        var item = this._items[i];
-
-        if (predicate(item)) {
-          this._items.splice(i, 1);
-          i -= 1;
-          this._size -= 1;
-          result += 1;
-        }
+  // Custom formats have up to three sections separated by semicolons, used for positive, negative
+  //  and zero values respectively. Semicolons inside quotes or escaped with a backslash do not count.
+  var splitSections = function (format) {
+    var sections = [];
+    var current = "";
+    var quote = null;
+
+    for (var i = 0; i < format.length; i++) {
+      var ch = format.charAt(i);
+
+      if (quote !== null) {
+        if (ch === quote)
+          quote = null;
+      } else if (ch === "\\") {
+        ch += format.charAt(i + 1);
+        i += 1;
+      } else if ((ch === "'") || (ch === "\"")) {
+        quote = ch;
+      } else if (ch === ";") {
+        sections.push(current);
+        current = "";
+        continue;
       }
 
-      return result;
+      current += ch;
     }
-  );
 
-  $.Method({Static:false, Public:true }, "RemoveAt", 
-    new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Int32")], []),
-    function (index) {
-      this._items.splice(index, 1);
-      this._size -= 1;
-      return true;
-    }
-  );
+    sections.push(current);
+    return sections.slice(0, 3);
+  };
 
-  $.Method({Static:false, Public:true }, "Sort", 
-    new JSIL.MethodSignature(null, [], []),
-    function () {
-      this._items.sort();
-    }
-  );
+  var parseCustomFormat = function (format) {
+    var result = {
+      tokens: [],
+      integerPlaceholders: 0,
+      firstIntegerZero: -1,
+      decimalPlaceholders: 0,
+      lastDecimalZero: 0,
+      hasDecimalPoint: false,
+      useGrouping: false,
+      scale: 0,
+      exponent: null
+    };
 
-  $.Method({Static:false, Public:true }, "Sort", 
-    new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Comparison`1", [T])], []),
-    function (comparison) {
-      this._items.sort(comparison);
-    }
-  );
+    var pendingCommas = 0;
 
-  $.Method({Static:false, Public:true }, "Sort", 
-    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Collections.IComparer")], [])), 
-    function Sort (comparer) {
-      this._items.sort(function (lhs, rhs) {
-        return comparer.Compare(lhs, rhs);
-      });
-    }
-  );
+    var flushCommas = function () {
+      // Commas immediately to the left of the decimal point divide the value by 1000 each.
+      if (result.integerPlaceholders > 0)
+        result.scale -= 3 * pendingCommas;
 
-  $.Method({Static:false, Public:true }, "Sort", 
-    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Collections.Generic.IComparer`1", [T])], [])), 
-    function Sort (comparer) {
-      this._items.sort(function (lhs, rhs) {
-        return comparer.Compare(lhs, rhs);
-      });
-    }
-  );
+      pendingCommas = 0;
+    };
 
-  $.Method({Static:false, Public:true }, "ToArray", 
-    new JSIL.MethodSignature($jsilcore.TypeRef("System.Array", [T]), [], []),
-    function () {
-      return Array.prototype.slice.call(this._items, 0, this._size);
-    }
-  );
+    for (var i = 0; i < format.length; i++) {
+      var ch = format.charAt(i);
 
-  $.Method({Static:false, Public:true }, "TrueForAll", 
-    new JSIL.MethodSignature(mscorlib.TypeRef("System.Boolean"), [mscorlib.TypeRef("System.Predicate`1", [T])], []),
-    function (predicate) {
-      for (var i = 0; i < this._size; i++) {
-        var item = this._items[i];
+      switch (ch) {
+        case "0":
+        case "#":
+          if (pendingCommas > 0) {
+            if (result.integerPlaceholders > 0)
+              result.useGrouping = true;
 
-        if (!predicate(item))
-          return false;
-      }
+            pendingCommas = 0;
+          }
 
-      return true;
-    }
-  );
-};
+          if (result.hasDecimalPoint) {
+            result.decimalPlaceholders += 1;
 
-JSIL.ImplementExternals("System.Collections.Generic.List`1", function ($) {
-  $jsilcore.$ListExternals($, null, "List");
+            if (ch === "0")
+              result.lastDecimalZero = result.decimalPlaceholders;
+          } else {
+            if ((ch === "0") && (result.firstIntegerZero < 0))
+              result.firstIntegerZero = result.integerPlaceholders;
 
-  $.Method({ Static: false, Public: true }, "CopyTo",
-    new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [new JSIL.GenericParameter("T", "System.Collections.Generic.List`1")]), $.Int32], []),
-    function (array, arrayindex) {
-      if (arrayindex != 0) {
-          throw new Error("List<T>.CopyTo not supported for non-zero indexes");
-      }
-      JSIL.Array.ShallowCopy(array, this);
-    }
-  );
+            result.integerPlaceholders += 1;
+          }
 
-  $.Method({Static:false, Public:true }, "ICollection$b1_get_IsReadOnly",
-    new JSIL.MethodSignature($.Boolean, [], []),
-    function () {
-      return false;
-    }
-  );
+          result.tokens.push({ type: result.hasDecimalPoint ? "decimal" : "integer" });
+          break;
 
-});
+        case ".":
+          if (!result.hasDecimalPoint) {
+            flushCommas();
+            result.hasDecimalPoint = true;
+            result.tokens.push({ type: "point" });
+          }
+          break;
 
-$jsilcore.$ArrayListExternals = function ($) {
-  $jsilcore.$ListExternals($, $.Object, "ArrayList");
+        case ",":
+          if (!result.hasDecimalPoint)
+            pendingCommas += 1;
+          break;
 
-  var mscorlib = JSIL.GetCorlib();
-  var toArrayImpl = function () {
-    return Array.prototype.slice.call(this._items, 0, this._size);
-  };
+        case "%":
+          result.scale += 2;
+          result.tokens.push({ type: "percent" });
+          break;
 
-  $.Method({Static:false, Public:true }, "ToArray", 
-    new JSIL.MethodSignature(mscorlib.TypeRef("System.Array", [mscorlib.TypeRef("System.Object")]), [], []),
-    toArrayImpl
-  );
+        case "\u2030":
+          result.scale += 3;
+          result.tokens.push({ type: "permille" });
+          break;
 
-  $.Method({Static:false, Public:true }, "ToArray", 
-    new JSIL.MethodSignature(mscorlib.TypeRef("System.Array"), [mscorlib.TypeRef("System.Type")], []),
-    toArrayImpl
-  );
-};
+        case "E":
+        case "e":
+          var exponentMatch = /^([+\-]?)(0+)/.exec(format.substr(i + 1));
 
-// Lazy way of sharing method implementations between ArrayList, Collection<T> and List<T>.
-JSIL.ImplementExternals("System.Collections.ArrayList", $jsilcore.$ArrayListExternals);
+          if ((exponentMatch !== null) && (result.exponent === null)) {
+            result.exponent = {
+              type: "exponent",
+              exponentChar: ch,
+              alwaysSigned: exponentMatch[1] === "+",
+              minimumDigits: exponentMatch[2].length
+            };
 
-$jsilcore.$CollectionExternals = function ($) {
-  var T = new JSIL.GenericParameter("T", "System.Collections.ObjectModel.Collection`1");
-  $jsilcore.$ListExternals($, T, "List");
+            result.tokens.push(result.exponent);
+            i += exponentMatch[0].length;
+          } else {
+            result.tokens.push({ type: "literal", text: ch });
+          }
+          break;
 
-  var mscorlib = JSIL.GetCorlib();
+        case "\\":
+          result.tokens.push({ type: "literal", text: format.charAt(i + 1) });
+          i += 1;
+          break;
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    new JSIL.MethodSignature(null, [], []),
-    function () {
-      this._items = new Array();
-      this._size = 0;
-    }
-  );
+        case "'":
+        case "\"":
+          var end = format.indexOf(ch, i + 1);
+          if (end < 0)
+            end = format.length;
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Collections.Generic.IList`1", [T])], []),
-    function (list) {
-      this._items = JSIL.EnumerableToArray(list);
-      this._size = this._items.length;
+          result.tokens.push({ type: "literal", text: format.substring(i + 1, end) });
+          i = end;
+          break;
+
+        default:
+          result.tokens.push({ type: "literal", text: ch });
+          break;
+      }
     }
-  );
-};
 
-JSIL.ImplementExternals("System.Collections.ObjectModel.Collection`1", $jsilcore.$CollectionExternals);
+    if (!result.hasDecimalPoint)
+      flushCommas();
 
-$jsilcore.$ReadOnlyCollectionExternals = function ($) {
-  var T = new JSIL.GenericParameter("T", "System.Collections.ObjectModel.ReadOnlyCollection`1");
-  $jsilcore.$ListExternals($, T, "ReadOnlyCollection");
+    return result;
+  };
 
-  var mscorlib = JSIL.GetCorlib();
+  var roundCustom = function (parts, format) {
+    var result = {
+      negative: parts.negative,
+      digits: parts.digits,
+      scale: parts.scale + format.scale
+    };
 
-  var listCtor = function (list) {
-    this._list = list;
+    if (format.exponent === null)
+      return { parts: roundParts(result, result.scale + format.decimalPlaceholders), exponent: 0 };
 
-    Object.defineProperty(this, "_items", {
-      get: function () {
-        return list._items;
-      }
-    });
+    var integerDigits = Math.max(format.integerPlaceholders, 1);
+    result = roundParts(result, integerDigits + format.decimalPlaceholders);
 
-    Object.defineProperty(this, "_size", {
-      get: function () {
-        return list._size;
-      }
-    });
+    var exponent = (result.digits.length > 0) ? result.scale - integerDigits : 0;
+    result.scale = integerDigits;
+
+    return { parts: result, exponent: exponent };
   };
 
-  $.RawMethod(false, "$listCtor", listCtor);
+  var formatCustomSection = function (rounded, format, nfi) {
+    var parts = rounded.parts;
+    var integerDigits = getIntegerDigits(parts);
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Collections.Generic.IList`1", [T])], []),
-    listCtor
-  );
+    if (format.firstIntegerZero >= 0)
+      integerDigits = padLeft(integerDigits, format.integerPlaceholders - format.firstIntegerZero);
 
-  $.SetValue("Add", null);
-  $.SetValue("Clear", null);
-  $.SetValue("Remove", null);
-  $.SetValue("RemoveAt", null);
-  $.SetValue("RemoveAll", null);
-  $.SetValue("Sort", null);
-};
+    var fractionDigits = getFractionDigits(parts, format.decimalPlaceholders);
+    var fractionLength = Math.max(fractionDigits.replace(/0+$/, "").length, format.lastDecimalZero);
 
-JSIL.ImplementExternals("System.Collections.ObjectModel.ReadOnlyCollection`1", $jsilcore.$ReadOnlyCollectionExternals);
+    var boundaries = format.useGrouping ?
+      getGroupBoundaries(integerDigits.length, nfi.NumberGroupSizes) : {};
 
-JSIL.ImplementExternals("System.Collections.Generic.Stack`1", function ($) {
-  var system = JSIL.GetAssembly("System", true);
+    var result = "";
+    var integerIndex = 0, decimalIndex = 0;
+    var integerDigitsWritten = (format.integerPlaceholders > 0);
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function _ctor () {
-      this._items = new Array();
-      this._size = 0;
-    }
-  );
+    var writeIntegerDigits = function (from, to) {
+      for (var j = Math.max(from, 0); j < to; j++) {
+        result += integerDigits.charAt(j);
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$.Int32], [])), 
-    function _ctor (capacity) {
-      this._items = new Array(capacity);
-      this._size = 0;
-    }
-  );
+        if (boundaries[integerDigits.length - j - 1] === true)
+          result += nfi.NumberGroupSeparator;
+      }
+    };
 
-  $.Method({Static:false, Public:true }, "Clear", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function Clear () {
-      this._size = 0;
-    }
-  );
+    for (var i = 0; i < format.tokens.length; i++) {
+      var token = format.tokens[i];
 
-  $.Method({Static:false, Public:true }, "get_Count", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_Count () {
-      return this._size;
-    }
-  );
+      switch (token.type) {
+        case "integer":
+          var offset = integerDigits.length - format.integerPlaceholders + integerIndex;
 
-  $.Method({Static:false, Public:true }, "GetEnumerator", 
-    (new JSIL.MethodSignature(system.TypeRef("System.Collections.Generic.Stack`1/Enumerator", [new JSIL.GenericParameter("T", "System.Collections.Generic.Stack`1")]), [], [])), 
-    function GetEnumerator () {
-      if (typeof (this.$thisEnumeratorType) === "undefined") {
-        var elementType = this.T;
-        this.$thisEnumeratorType = System.Collections.Generic.List$b1_Enumerator.Of(elementType)
-      }
+          // The first placeholder also receives any digits that do not have a placeholder of their own.
+          if (integerIndex === 0)
+            writeIntegerDigits(0, offset + 1);
+          else
+            writeIntegerDigits(offset, offset + 1);
 
-      return new (this.$thisEnumeratorType)(this);
-    }
-  );
+          integerIndex += 1;
+          break;
 
-  $.Method({Static:false, Public:true }, "Peek", 
-    (new JSIL.MethodSignature(new JSIL.GenericParameter("T", "System.Collections.Generic.Stack`1"), [], [])), 
-    function Peek () {
-      if (this._size <= 0)
-        throw new System.InvalidOperationException("Stack is empty");
+        case "point":
+          if (!integerDigitsWritten) {
+            writeIntegerDigits(0, integerDigits.length);
+            integerDigitsWritten = true;
+          }
 
-      return this._items[this._size - 1];
-    }
-  );
+          if (fractionLength > 0)
+            result += nfi.NumberDecimalSeparator;
+          break;
 
-  $.Method({Static:false, Public:true }, "Pop", 
-    (new JSIL.MethodSignature(new JSIL.GenericParameter("T", "System.Collections.Generic.Stack`1"), [], [])), 
-    function Pop () {
-      var result = this._items.pop();
-      this._size -= 1;
+        case "decimal":
+          if (decimalIndex < fractionLength)
+            result += fractionDigits.charAt(decimalIndex);
 
-      return result;
-    }
-  );
+          decimalIndex += 1;
+          break;
 
-  $.Method({Static:false, Public:true }, "Push", 
-    (new JSIL.MethodSignature(null, [new JSIL.GenericParameter("T", "System.Collections.Generic.Stack`1")], [])), 
-    function Push (item) {
-      this._items.push(item)
-      this._size += 1;
-    }
-  );
+        case "percent":
+          result += nfi.PercentSymbol;
+          break;
 
-});
+        case "permille":
+          result += nfi.PerMilleSymbol;
+          break;
 
-JSIL.ImplementExternals("System.Collections.Generic.Queue`1", function ($) {
-  var system = JSIL.GetAssembly("System", true);
+        case "exponent":
+          result += formatExponent(rounded.exponent, token.exponentChar, token.minimumDigits, token.alwaysSigned, nfi);
+          break;
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function _ctor () {
-      this._items = new Array();
-      this._size = 0;
+        default:
+          result += token.text;
+          break;
+      }
     }
-  );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$.Int32], [])), 
-    function _ctor (capacity) {
-      this._items = new Array(capacity);
-      this._size = 0;
-    }
-  );
+    if (!integerDigitsWritten && !format.hasDecimalPoint)
+      result = integerDigits + result;
 
-  $.Method({Static:false, Public:true }, "Clear", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function Clear () {
-      this._size = 0;
-    }
-  );
+    return result;
+  };
 
-  $.Method({Static:false, Public:true }, "Dequeue", 
-    (new JSIL.MethodSignature(new JSIL.GenericParameter("T", "System.Collections.Generic.Queue`1"), [], [])), 
-    function Dequeue () {
-      var result = this._items.shift();
-      this._size -= 1;
-      return result;
-    }
-  );
+  var formatCustom = function (value, numericType, formatString, nfi) {
+    var sections = splitSections(formatString);
+    var parts = getParts(value, numericType, numericType.precision);
+    var isZero = (parts.digits.length === 0);
 
-  $.Method({Static:false, Public:true }, "Enqueue", 
-    (new JSIL.MethodSignature(null, [new JSIL.GenericParameter("T", "System.Collections.Generic.Queue`1")], [])), 
-    function Enqueue (item) {
-      this._items.push(item);
-      this._size += 1;
-    }
-  );
+    var sectionIndex = 0;
+    if (isZero && (sections.length > 2) && (sections[2].length > 0))
+      sectionIndex = 2;
+    else if (parts.negative && !isZero && (sections.length > 1) && (sections[1].length > 0))
+      sectionIndex = 1;
 
-  $.Method({Static:false, Public:true }, "get_Count", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_Count () {
-      return this._size;
+    var format = parseCustomFormat(sections[sectionIndex]);
+    var rounded = roundCustom(parts, format);
+
+    // Values that round to zero are formatted with the zero section, if there is one.
+    if (!isZero && (rounded.parts.digits.length === 0) && (sections.length > 2) && (sections[2].length > 0)) {
+      sectionIndex = 2;
+      format = parseCustomFormat(sections[2]);
+      rounded = roundCustom(rounded.parts, format);
     }
-  );
 
-  $.Method({Static:false, Public:true }, "GetEnumerator", 
-    (new JSIL.MethodSignature(system.TypeRef("System.Collections.Generic.Queue`1/Enumerator", [new JSIL.GenericParameter("T", "System.Collections.Generic.Queue`1")]), [], [])), 
-    function GetEnumerator () {
-      if (typeof (this.$thisEnumeratorType) === "undefined") {
-        var elementType = this.T;
-        this.$thisEnumeratorType = System.Collections.Generic.List$b1_Enumerator.Of(elementType)
-      }
+    var result = formatCustomSection(rounded, format, nfi);
 
-      return new (this.$thisEnumeratorType)(this);
-    }
-  );
+    // Only the first section is prefixed with a sign; the others are expected to contain their own.
+    if ((sectionIndex === 0) && isNegative(rounded.parts))
+      return nfi.NegativeSign + result;
 
-});
+    return result;
+  };
 
-JSIL.MakeClass("System.Object", "JSIL.EnumerableArray", true, [], function ($) {
-  $.Method({Public: true , Static: false}, ".ctor", 
-    new JSIL.MethodSignature(null, [System.Array]),
-    function (array) {
-      this.array = array;
+  // Formats a numeric value using a standard or custom .NET numeric format string. The type may be
+  //  omitted, in which case it is inferred from the value.
+  JSIL.FormatNumber = function (value, type, format, provider) {
+    var nfi = $jsilcore.$GetNumberFormat(provider);
+    var numericType = getNumericType(value, type);
+
+    if (typeof (value) === "number") {
+      if (isNaN(value))
+        return nfi.NaNSymbol;
+      else if (value === Infinity)
+        return nfi.PositiveInfinitySymbol;
+      else if (value === -Infinity)
+        return nfi.NegativeInfinitySymbol;
     }
-  );
 
-  var tEnumerator = [null];
+    if ((format === null) || (typeof (format) === "undefined") || (format.length === 0))
+      format = "G";
 
-  $.Method({Public: true , Static: false}, "GetEnumerator", 
-    new JSIL.MethodSignature(System.Collections.IEnumerator$b1, []),
-    function () {
-      if (tEnumerator[0] === null) {
-        tEnumerator[0] = JSIL.ArrayEnumerator.Of(System.Object);
-      }
+    var match = /^([A-Za-z])([0-9]{0,2})$/.exec(format);
+    if (match !== null)
+      return formatStandard(value, numericType, match[1], (match[2].length > 0) ? parseInt(match[2], 10) : null, nfi);
 
-      return new (tEnumerator[0])(this.array, -1);
-    }
-  );
+    return formatCustom(value, numericType, format, nfi);
+  };
+})();
 
-  $.ImplementInterfaces(
-    System.Collections.IEnumerable, System.Collections.Generic.IEnumerable$b1
-  );
-});
+$jsilcore.$IsNumericObject = function (value) {
+  var typeName = JSIL.GetTypeName(JSIL.GetType(value));
 
-JSIL.MakeClass("System.Object", "System.Collections.ArrayList", true, [], function ($) {
-  $.Property({Public: true , Static: false}, "Count");
+  return (typeName === "System.Int64") || (typeName === "System.UInt64") || (typeName === "System.Decimal");
+};
 
-  $.ImplementInterfaces(
-    "System.Collections.IEnumerable"
-  );
-});
+// Converts a single argument of a composite format string to text.
+$jsilcore.$FormatValue = function (value, format, provider) {
+  if ((value === null) || (typeof (value) === "undefined"))
+    return "";
+
+  switch (typeof (value)) {
+    case "string":
+      return value;
+    case "boolean":
+      return value ? "True" : "False";
+    case "number":
+      return JSIL.FormatNumber(value, null, format, provider);
+  }
 
-JSIL.MakeClass("System.Object", "System.Collections.Generic.List`1", true, ["T"], function ($) {
-  $.Property({Public: true , Static: false}, "Count");
-  $.Property({Public: false, Static: false}, "ICollection`1.IsReadOnly");
+  if ($jsilcore.$IsNumericObject(value))
+    return JSIL.FormatNumber(value, null, format, provider);
 
-  $.ImplementInterfaces(
-    $jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", [new JSIL.GenericParameter("T", "System.Collections.Generic.List`1")]),
-    "System.Collections.IEnumerable",
-    $jsilcore.TypeRef("System.Collections.Generic.ICollection`1", [new JSIL.GenericParameter("T", "System.Collections.Generic.List`1")]),
-    $jsilcore.TypeRef("System.Collections.Generic.IList`1", [new JSIL.GenericParameter("T", "System.Collections.Generic.List`1")])
-  );
-});
+  if (
+    (typeof (System.IFormattable) !== "undefined") &&
+    JSIL.CheckType(value, System.IFormattable)
+  )
+    return value.ToString(format || null, provider || null);
 
-JSIL.MakeClass("System.Object", "System.Collections.Generic.Stack`1", true, ["T"], function ($) {
-	$.Property({Public: true , Static: false}, "Count");
+  return String(value);
+};
 
-	$.ImplementInterfaces(
-		$jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", [new JSIL.GenericParameter("T", "System.Collections.Generic.Stack`1")]), 
-    "System.Collections.IEnumerable"
-	);
-});
+// Implements .NET composite formatting: '{index[,alignment][:format]}' items, with '{{' and '}}'
+//  producing literal braces.
+$jsilcore.$FormatComposite = function (provider, format, values) {
+  if ((format === null) || (typeof (format) === "undefined"))
+    throw new System.ArgumentNullException("format");
+
+  var itemRegex = /^\{\s*([0-9]+)\s*(?:,\s*(-?[0-9]+)\s*)?(?::([^{}]*))?\}/;
+  var result = "";
+  var i = 0;
+
+  while (i < format.length) {
+    var ch = format.charAt(i);
+
+    if (ch === "}") {
+      if (format.charAt(i + 1) !== "}")
+        throw new System.FormatException("Input string was not in a correct format.");
+
+      result += "}";
+      i += 2;
+    } else if (ch === "{") {
+      if (format.charAt(i + 1) === "{") {
+        result += "{";
+        i += 2;
+        continue;
+      }
 
-// TODO: This type is actually a struct in the CLR
-JSIL.MakeClass($jsilcore.TypeRef("JSIL.ArrayEnumerator", [new JSIL.GenericParameter("T", "System.Collections.Generic.List`1/Enumerator")]), "System.Collections.Generic.List`1/Enumerator", true, ["T"], function ($) {
-  $.Field({Public: false, Static: false}, "_array", Array, function ($) { return null; });
-  $.Field({Public: false, Static: false}, "_length", Number, function ($) { return 0; });
-  $.Field({Public: false, Static: false}, "_index", Number, function ($) { return -1; });
+      var match = itemRegex.exec(format.substr(i));
+      if (match === null)
+        throw new System.FormatException("Input string was not in a correct format.");
 
-  $.Method({Public: true, Static: false}, ".ctor", 
-    new JSIL.MethodSignature(null, ["System.Collections.Generic.List`1"]),
-    function (list) {
-      if (typeof (list) != "undefined") {
-        this._array = list._items;
-        this._length = list.Count;
+      var index = parseInt(match[1], 10);
+      if (index >= values.length)
+        throw new System.FormatException("Index (zero based) must be greater than or equal to zero and less than the size of the argument list.");
+
+      var text = $jsilcore.$FormatValue(values[index], (typeof (match[3]) === "string") ? match[3] : null, provider);
+      var alignment = match[2] ? parseInt(match[2], 10) : 0;
+
+      while (text.length < Math.abs(alignment)) {
+        if (alignment < 0)
+          text += " ";
+        else
+          text = " " + text;
       }
-    }
-  );
 
-  $.ImplementInterfaces(
-    $jsilcore.TypeRef("System.Collections.Generic.IEnumerator`1", [new JSIL.GenericParameter("T", "System.Collections.Generic.List`1/Enumerator")])
-  );
-});
+      result += text;
+      i += match[0].length;
+    } else {
+      var next = i + 1;
+      while ((next < format.length) && (format.charAt(next) !== "{") && (format.charAt(next) !== "}"))
+        next += 1;
 
-JSIL.ImplementExternals(
-  "System.Threading.Interlocked", function ($) {
-    var cmpxchg = function (targetRef, value, comparand) {
-      var currentValue = targetRef.value;
+      result += format.substring(i, next);
+      i = next;
+    }
+  }
 
-      if (currentValue === comparand)
-        targetRef.value = value;
+  return result;
+};
 
-      return currentValue;
+JSIL.ImplementExternals(
+  "System.String", function ($) {
+    var fromCharArray = function (chars, startIndex, length) {
+      var arr = chars.slice(startIndex, length);
+      return arr.join("");
     };
 
-    $.Method({Public: true , Static: true }, "CompareExchange", 
-      new JSIL.MethodSignature("!!0", [JSIL.Reference.Of("!!0"), "!!0", "!!0"], ["T"]),
-      function (T, targetRef, value, comparand) {
-        return cmpxchg(targetRef, value, comparand);
-      }
+    $.Method({Static: false, Public: true }, ".ctor",
+      new JSIL.MethodSignature(null, [System.Array.Of($jsilcore.TypeRef("System.Char")), "System.Int32", "System.Int32"], [], $jsilcore),
+      fromCharArray
     );
 
-    $.Method({Static:true , Public:true }, "CompareExchange", 
-      (new JSIL.MethodSignature($.Int32, [
-            $jsilcore.TypeRef("JSIL.Reference", [$.Int32]), $.Int32, 
-            $.Int32
-          ], [])), 
-      function CompareExchange (/* ref */ location1, value, comparand) {
-        return cmpxchg(location1, value, comparand);
+    $.Method({Static: false, Public: true }, ".ctor",
+      new JSIL.MethodSignature(null, [System.Array.Of($jsilcore.TypeRef("System.Char"))], [], $jsilcore),
+      function (chars) {
+        return fromCharArray.call(this, chars, 0, chars.length);
       }
     );
-  }
-);
+
+    $.Method({Static: false, Public: true }, ".ctor",
+      new JSIL.MethodSignature(null, ["System.Char", "System.Int32"], [], $jsilcore),
+      function (ch, length) {
+        var arr = new Array(length);
+        for (var i = 0; i < length; i++)
+          arr[i] = ch;
+        return arr.join("");
+      }
+    );
+
+    $.RawMethod(true, "CheckType",
+      function (value) {
+        return (typeof (value) === "string");
+      }
+    );
+
+    var compareInternal = function (lhs, rhs, comparison) {
+      if (lhs === rhs)
+        return 0;
+      else if (lhs === null)
+        return -1;
+      else if (rhs === null)
+        return 1;
+
+      switch (Number(comparison)) {
+        case 0: // System.StringComparison.CurrentCulture:
+        case 1: // System.StringComparison.CurrentCultureIgnoreCase:
+          return $jsilcore.$CompareStrings(
+            lhs, rhs, System.Globalization.CultureInfo.get_CurrentCulture(), Number(comparison) === 1
+          );
+        case 2: // System.StringComparison.InvariantCulture:
+        case 3: // System.StringComparison.InvariantCultureIgnoreCase:
+          return $jsilcore.$CompareStrings(
+            lhs, rhs, System.Globalization.CultureInfo.get_InvariantCulture(), Number(comparison) === 3
+          );
+        case 5: // System.StringComparison.OrdinalIgnoreCase:
+          lhs = lhs.toLowerCase();
+          rhs = rhs.toLowerCase();
+          break;
+      }
+
+      if (lhs < rhs)
+        return -1;
+      else if (lhs > rhs)
+        return 1;
+      else
+        return 0;
+    };
+
+    $.Method({Static:true , Public:true }, "Compare", 
+      new JSIL.MethodSignature($jsilcore.TypeRef("System.Int32"), [$jsilcore.TypeRef("System.String"), $jsilcore.TypeRef("System.String")], []),
+      function (lhs, rhs) {
+        return compareInternal(lhs, rhs, System.StringComparison.CurrentCulture);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "Compare", 
+      new JSIL.MethodSignature($jsilcore.TypeRef("System.Int32"), [
+          $jsilcore.TypeRef("System.String"), $jsilcore.TypeRef("System.String"), 
+          $jsilcore.TypeRef("System.Boolean")
+        ], []),
+      function (lhs, rhs, ignoreCase) {
+        return compareInternal(
+          lhs, rhs, ignoreCase ? 
+            System.StringComparison.CurrentCultureIgnoreCase : 
+            System.StringComparison.CurrentCulture
+        );
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "Compare", 
+      new JSIL.MethodSignature($jsilcore.TypeRef("System.Int32"), [
+          $jsilcore.TypeRef("System.String"), $jsilcore.TypeRef("System.String"), 
+          $jsilcore.TypeRef("System.Boolean"), $jsilcore.TypeRef("System.Globalization.CultureInfo")
+        ], []),
+      function (lhs, rhs, ignoreCase, culture) {
+        if (culture === null)
+          throw new System.ArgumentNullException("culture");
+        else if (lhs === rhs)
+          return 0;
+        else if (lhs === null)
+          return -1;
+        else if (rhs === null)
+          return 1;
+
+        return $jsilcore.$CompareStrings(lhs, rhs, culture, ignoreCase);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "Compare", 
+      new JSIL.MethodSignature($jsilcore.TypeRef("System.Int32"), [
+          $jsilcore.TypeRef("System.String"), $jsilcore.TypeRef("System.String"), 
+          $jsilcore.TypeRef("System.StringComparison")
+        ], []),
+      compareInternal
+    );
+
+    var concatInternal = function (firstValue) {
+      if (JSIL.IsArray(firstValue) && arguments.length == 1) {
+        return JSIL.ConcatString.apply(null, firstValue);
+      } else {
+        return JSIL.ConcatString(Array.prototype.slice.call(arguments));
+      }
+    };
+
+    $.Method({Static:true , Public:true }, "Concat", 
+      new JSIL.MethodSignature($jsilcore.TypeRef("System.String"), [$jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", ["!!0"])], ["T"]),
+      concatInternal
+    );
+
+    $.Method({Static:true , Public:true }, "Concat", 
+      new JSIL.MethodSignature($jsilcore.TypeRef("System.String"), [$jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", [$jsilcore.TypeRef("System.String")])], []),
+      concatInternal
+    );
+
+    $.Method({Static: true , Public: true }, "EndsWith",
+      new JSIL.MethodSignature("System.Boolean", ["System.String", "System.String"], [], $jsilcore),
+      function (str, text) {
+        return str.lastIndexOf(text) === str.length - text.length;
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "Format", 
+      new JSIL.MethodSignature($jsilcore.TypeRef("System.String"), [$jsilcore.TypeRef("System.Array") /* AnyType[] */ ], []),
+      function (format) {
+        var provider = null;
+        var values = Array.prototype.slice.call(arguments, 1);
+
+        // The overloads that accept an IFormatProvider pass it before the format string.
+        if ((typeof (format) !== "string") && (typeof (values[0]) === "string")) {
+          provider = format;
+          format = values.shift();
+        }
+
+        if ((values.length == 1) && JSIL.IsArray(values[0]))
+          values = values[0];
+
+        return $jsilcore.$FormatComposite(provider, format, values);
+      }
+    );
+
+    $.Method({Static:true, Public:true }, "IndexOfAny", 
+      new JSIL.MethodSignature($jsilcore.TypeRef("System.Int32"), [System.Array.Of($jsilcore.System.Char), $jsilcore.TypeRef("System.Int32")], []),
+      function (str, chars) {
+        var result = null;
+        for (var i = 0; i < chars.length; i++) {
+          var index = str.indexOf(chars[i]);
+          if ((result === null) || (index < result))
+            result = index;
+        }
+
+        if (result === null)
+          return -1;
+        else
+          return result;
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "IsNullOrEmpty", 
+      new JSIL.MethodSignature($jsilcore.TypeRef("System.Boolean"), [$jsilcore.TypeRef("System.String")], []),
+      function (str) {
+        if (str === null)
+          return true;
+        else if (typeof (str) === "undefined")
+          return true;
+        else if (str.length === 0)
+          return true;
+
+        return false;
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "IsNullOrWhiteSpace", 
+      new JSIL.MethodSignature($jsilcore.TypeRef("System.Boolean"), [$jsilcore.TypeRef("System.String")], []),
+      function (str) {
+        if (str === null)
+          return true;
+        else if (typeof (str) === "undefined")
+          return true;
+        else if (str.length === 0)
+          return true;
+        else if (str.trim().length === 0)
+          return true;
+
+        return false;
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "LastIndexOfAny", 
+      new JSIL.MethodSignature($jsilcore.TypeRef("System.Int32"), [System.Array.Of($jsilcore.System.Char), $jsilcore.TypeRef("System.Int32")], []),
+      function (str, chars) {
+        var result = null;
+        for (var i = 0; i < chars.length; i++) {
+          var index = str.lastIndexOf(chars[i]);
+          if ((result === null) || (index > result))
+            result = index;
+        }
+
+        if (result === null)
+          return -1;
+        else
+          return result;
+      }
+    );
+
+    $.Method({Static: true , Public: true }, "Replace",
+      new JSIL.MethodSignature("System.String", ["System.String", "System.String", "System.String"], [], $jsilcore),
+      function (str, oldText, newText) {
+        return str.split(oldText).join(newText);
+      }
+    );
+
+    $.Method({Static: true , Public: true }, "StartsWith",
+      new JSIL.MethodSignature("System.Boolean", ["System.String", "System.String"], [], $jsilcore),
+      function (str, text) {
+        return str.indexOf(text) === 0;
+      }
+    );
+
+    var makePadding = function (ch, count) {
+      var padding = ch;
+      for (var i = 1; i < count; i++) {
+        padding += ch;
+      }
+
+      return padding;
+    };
+
+    $.Method({Static: true , Public: true }, "PadLeft",
+      new JSIL.MethodSignature("System.String", ["System.String", "System.Int32", "System.Char"], [], $jsilcore),
+      function (str, length, ch) {
+        var extraChars = length - str.length;
+        if (extraChars <= 0)
+          return str;
+
+        return makePadding(ch, extraChars) + str;
+      }
+    );
+
+    $.Method({Static: true , Public: true }, "PadRight",
+      new JSIL.MethodSignature("System.String", ["System.String", "System.Int32", "System.Char"], [], $jsilcore),
+      function (str, length, ch) {
+        var extraChars = length - str.length;
+        if (extraChars <= 0)
+          return str;
+
+        return str + makePadding(ch, extraChars);
+      }
+    );
+
+    $.Method({Static: true , Public: true }, "ToLower",
+      new JSIL.MethodSignature("System.String", ["System.String", "System.Globalization.CultureInfo"], [], $jsilcore),
+      function (str, culture) {
+        if (culture === null)
+          throw new System.ArgumentNullException("culture");
+
+        return $jsilcore.$ChangeCase(str, culture, false);
+      }
+    );
+
+    $.Method({Static: true , Public: true }, "ToUpper",
+      new JSIL.MethodSignature("System.String", ["System.String", "System.Globalization.CultureInfo"], [], $jsilcore),
+      function (str, culture) {
+        if (culture === null)
+          throw new System.ArgumentNullException("culture");
+
+        return $jsilcore.$ChangeCase(str, culture, true);
+      }
+    );
+  }
+);
+
+JSIL.MakeClass("System.Object", "System.String", true, [], function ($) {
+  $.__IsNativeType__ = true;
+
+  $.Constant({Static: true , Public: true }, "Empty", "");
+});
+
+JSIL.MakeClass("System.Object", "System.ComponentModel.MemberDescriptor", true);
+JSIL.MakeClass("System.ComponentModel.MemberDescriptor", "System.ComponentModel.PropertyDescriptor", true);
+JSIL.MakeClass("System.Object", "System.ComponentModel.TypeConverter", true);
+JSIL.MakeClass("System.ComponentModel.TypeConverter", "System.ComponentModel.ExpandableObjectConverter", true);
+
+$jsilcore.$GetInvocationList = function (delegate) {
+    if (delegate === null) {
+      return [ ];
+    } else if (typeof (delegate.GetInvocationList) === "function") {
+      return delegate.GetInvocationList();
+    } else if (typeof (delegate) === "function") {
+      return [ delegate ];
+    } else {
+      return null;
+    }
+};
+$jsilcore.$Combine = function (lhs, rhs) {
+  if (rhs === null) {
+    return lhs;
+  } else if (lhs === null) {
+    return rhs;
+  }
+
+  var newList = Array.prototype.slice.call($jsilcore.$GetInvocationList(lhs));
+  newList.push.apply(newList, $jsilcore.$GetInvocationList(rhs));
+  var result = JSIL.MulticastDelegate.New(newList);
+  return result;
+};
+$jsilcore.$Remove = function (lhs, rhs) {
+  if (rhs === null)
+    return lhs;
+  if (lhs === null)
+    return null;
+
+  var newList = Array.prototype.slice.call($jsilcore.$GetInvocationList(lhs));
+  var rhsList = $jsilcore.$GetInvocationList(rhs);
+
+  for (var i = 0; i < rhsList.length; i++) {
+    var needle = rhsList[i];
+
+    __inner:
+    for (var j = 0; j < newList.length; j++) {
+      var haystack = newList[j];
+      if ((haystack.__method__ === needle.__method__) &&
+          (haystack.__object__ === needle.__object__)
+      ) {
+        newList.splice(j, 1);
+        break __inner;
+      }
+    }
+  }
+
+  if (newList.length == 0)
+    return null;
+  else if (newList.length == 1)
+    return newList[0];
+  else
+    return JSIL.MulticastDelegate.New(newList);
+};
+
+JSIL.ImplementExternals("System.Delegate", function ($) {
+  var tDelegate = $jsilcore.TypeRef("System.Delegate");
+
+  $.RawMethod(false, "Invoke", function () {
+    return this.__method__.apply(this.__object__, arguments);
+  });
+
+  $.Method({Static:false, Public:true }, "GetInvocationList", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Array", [tDelegate]), [], [])), 
+    function GetInvocationList () {
+      return [ this ];
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "CreateDelegate", 
+    (new JSIL.MethodSignature(tDelegate, [
+          $jsilcore.TypeRef("System.Type"), $.Object, 
+          $jsilcore.TypeRef("System.Reflection.MethodInfo")
+        ], [])), 
+    function CreateDelegate (delegateType, firstArgument, method) {
+      var isStatic = method._descriptor.Static;
+      var key = method._data.mangledName || method._descriptor.EscapedName;
+      var publicInterface = method._typeObject.__PublicInterface__;
+      var context = isStatic ? publicInterface : publicInterface.prototype;
+      var impl = context[key];
+
+      if (typeof (impl) !== "function") {
+        JSIL.Host.error(new Error("Failed to bind delegate: Method '" + key + "' not found in context"));
+      }
+
+      var delegatePublicInterface = delegateType.__PublicInterface__;
+
+      if (typeof (delegatePublicInterface.New) !== "function") {
+        JSIL.Host.error(new Error("Invalid delegate type"));
+      }
+
+      return delegatePublicInterface.New(firstArgument, impl);
+    }
+  );  
+
+  var equalsImpl = function (lhs, rhs) {
+    if (lhs === rhs)
+      return true;
+
+    var lhsInvocationList = JSIL.Delegate.GetInvocationList(lhs);
+    var rhsInvocationList = JSIL.Delegate.GetInvocationList(rhs);
+
+    if (lhsInvocationList === rhsInvocationList)
+      return true;
+
+    if (!JSIL.IsArray(lhsInvocationList))
+      return false;
+    if (!JSIL.IsArray(rhsInvocationList))
+      return false;
+
+    if (lhsInvocationList.length != rhsInvocationList.length)
+      return false;
+
+    for (var i = 0, l = lhsInvocationList.length; i < l; i++) {
+      if (lhsInvocationList[i] !== rhsInvocationList[i])
+        return false;
+    }
+
+    return true;
+  };
+
+  $.Method({Static:true , Public:true }, "op_Equality", 
+    (new JSIL.MethodSignature($.Boolean, [tDelegate, tDelegate], [])), 
+    equalsImpl
+  );
+
+  $.Method({Static:true , Public:true }, "op_Inequality", 
+    (new JSIL.MethodSignature($.Boolean, [tDelegate, tDelegate], [])), 
+    function op_Inequality (d1, d2) {
+      return !equalsImpl(d1, d2);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Combine", 
+    (new JSIL.MethodSignature(tDelegate, [tDelegate, tDelegate], [])), 
+    $jsilcore.$Combine
+  );
+
+  $.Method({Static:true , Public:true }, "Remove", 
+    (new JSIL.MethodSignature(tDelegate, [tDelegate, tDelegate], [])), 
+    $jsilcore.$Remove
+  );
+});
+
+JSIL.ImplementExternals("System.MulticastDelegate", function ($) {
+  $.RawMethod(false, "Invoke", function () {
+    return this.apply(null, arguments);
+  });
+
+  $.Method({Static:false, Public:true }, "GetInvocationList", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Array", [$jsilcore.TypeRef("System.Delegate")]), [], [])), 
+    function GetInvocationList () {
+      return this.delegates;
+    }
+  );
+});
+
+JSIL.MakeClass("System.Object", "System.Delegate", true, []);
+JSIL.MakeClass("System.Object", "System.MulticastDelegate", true, []);
+
+JSIL.MulticastDelegate.New = function (delegates) {
+  var invoker = function () {
+    var result;
+    for (var i = 0, l = this.length; i < l; i++) {
+      var d = this[i];
+      result = d.apply(null, arguments);
+    }
+    return result;
+  };
+
+  var result = invoker.bind(delegates);
+  result.delegates = delegates;
+  result.__proto__ = System.MulticastDelegate.prototype;
+  Object.seal(result);
+  return result;
+};
+
+JSIL.MakeDelegate("System.Action", true, []);
+JSIL.MakeDelegate("System.Action`1", true, ["T"]);
+JSIL.MakeDelegate("System.Action`2", true, ["T1", "T2"]);
+JSIL.MakeDelegate("System.Action`3", true, ["T1", "T2", "T3"]);
+
+JSIL.MakeDelegate("System.Func`1", true, ["TResult"]);
+JSIL.MakeDelegate("System.Func`2", true, ["T", "TResult"]);
+JSIL.MakeDelegate("System.Func`3", true, ["T1", "T2", "TResult"]);
+JSIL.MakeDelegate("System.Func`4", true, ["T1", "T2", "T3", "TResult"]);
+
+JSIL.ImplementExternals(
+  "System.Exception", function ($) {
+    var mscorlib = JSIL.GetCorlib();
+
+    $.Method({Static:false, Public:true }, ".ctor", 
+      (new JSIL.MethodSignature(null, [], [])), 
+      function _ctor () {
+        this._message = null;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor", 
+      (new JSIL.MethodSignature(null, [$.String], [])), 
+      function _ctor (message) {
+        this._message = message;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor", 
+      (new JSIL.MethodSignature(null, [$.String, mscorlib.TypeRef("System.Exception")], [])), 
+      function _ctor (message, innerException) {
+        this._message = message;
+        this._innerException = innerException;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_InnerException", 
+      (new JSIL.MethodSignature(mscorlib.TypeRef("System.Exception"), [], [])), 
+      function get_InnerException () {
+        return this._innerException;
+      }
+    );
+
+    $.Method({Static: false, Public: true }, "get_Message",
+      new JSIL.MethodSignature($.String, []),
+      function () {
+        if ((typeof (this._message) === "undefined") || (this._message === null))
+          return System.String.Format("Exception of type '{0}' was thrown.", JSIL.GetTypeName(this));
+        else
+          return this._message;
+      }
+    );
+
+    $.Method({Static: false, Public: true }, "toString",
+      new JSIL.MethodSignature($.String, []),
+      function () {
+        var message = this.Message;
+        return System.String.Format("{0}: {1}", JSIL.GetTypeName(this), message);
+      }
+    );
+  }
+);
+
+JSIL.ImplementExternals(
+  "System.SystemException", function ($) {
+    $.Method({Static:false, Public:true }, ".ctor", 
+      new JSIL.MethodSignature(null, [], []),
+      function () {
+        System.Exception.prototype._ctor.call(this);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor", 
+      new JSIL.MethodSignature(null, [$.String], []),
+      function (message) {
+        System.Exception.prototype._ctor.call(this, message);
+      }
+    );
+  }
+);
+
+JSIL.ImplementExternals(
+  "System.InvalidCastException", function ($) {  
+    $.Method({Static:false, Public:true }, ".ctor", 
+      new JSIL.MethodSignature(null, [$.String], []),
+      function (message) {
+        System.Exception.prototype._ctor.call(this, message);
+      }
+    );
+  }
+);
+
+JSIL.ImplementExternals(
+  "System.InvalidOperationException", function ($) {  
+    $.Method({Static:false, Public:true }, ".ctor", 
+      new JSIL.MethodSignature(null, [$.String], []),
+      function (message) {
+        System.Exception.prototype._ctor.call(this, message);
+      }
+    );
+  }
+);
+
+JSIL.MakeClass(Error, "System.Exception", true, [], function ($) {
+  $.Property({Public: true , Static: false}, "Message");
+  $.Property({Public: true , Static: false}, "InnerException");
+});
+
+JSIL.MakeClass("System.Exception", "System.InvalidCastException", true);
+JSIL.MakeClass("System.Exception", "System.InvalidOperationException", true);
+
+JSIL.ImplementExternals("System.Console", function ($) {
+  $.RawMethod(true, "WriteLine", function () {
+    var text = "";
+    if (arguments.length > 0)
+      text = System.String.Format.apply(null, arguments);
+
+    JSIL.Host.logWriteLine(text);
+  });
+
+  $.RawMethod(true, "Write", function () {
+    var text = "";
+    if (arguments.length > 0)
+      text = System.String.Format.apply(null, arguments);
+
+    JSIL.Host.logWrite(text);
+  });
+});
+
+JSIL.ImplementExternals(
+  "System.Diagnostics.Debug", function ($) {
+    $.Method({Static:true , Public:true }, "WriteLine", 
+      (new JSIL.MethodSignature(null, [$.String], [])), 
+      function WriteLine (message) {
+        JSIL.Host.logWriteLine(message);
+      }
+    );
+  }
+);
+
+JSIL.MakeStaticClass("System.Console", true, [], function ($) {
+});
+
+JSIL.SplitString = function (str, separators) {
+  if (separators.length > 1)
+    throw new Error("Split cannot handle more than one separator");
+
+  return str.split(separators[0]);
+};
+
+JSIL.ConcatString = function (/* ...values */) {
+  var result = String(arguments[0]);
+
+  for (var i = 1, l = arguments.length; i < l; i++) {
+    var arg = arguments[i];
+    if (typeof (arg) === "string")
+      result += arg;
+    else
+      result += String(arg);
+  }
+
+  return result;
+};
+
+JSIL.MakeClass("System.Object", "JSIL.ArrayEnumerator", true, ["T"], function ($) {
+  $.RawMethod(false, "__CopyMembers__", 
+    function ArrayEnumerator_CopyMembers (source, target) {
+      target._array = source._array;
+      target._length = source._length;
+      target._index = source._index;
+    }
+  );
+
+  $.Method({Public: true , Static: false}, ".ctor", 
+    new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", ["!!0"]), $.Int32]),
+    function (array, startPosition) {
+      this._array = array;
+      this._length = array.length;
+      this._index = startPosition;
+    }
+  );
+
+  $.Method({Public: true , Static: false}, "Reset", 
+    new JSIL.MethodSignature(null, []),
+    function () {
+      if (this._array === null)
+        throw new Error("Enumerator is disposed or not initialized");
+
+      this._index = -1;
+    }
+  );
+  $.Method({Public: true , Static: false}, "MoveNext", 
+    new JSIL.MethodSignature(System.Boolean, []),
+    function () {
+      if (this._index >= this._length)
+        return false;
+
+      this._index += 1;
+      return (this._index < this._length);
+    }
+  );
+  $.Method({Public: true , Static: false}, "Dispose", 
+    new JSIL.MethodSignature(null, []),
+    function () {
+      this._array = null;
+      this._index = 0;
+      this._length = -1;
+    }
+  );
+  $.Method({Public: true , Static: false}, "get_Current", 
+    new JSIL.MethodSignature(System.Object, []),
+    function () {
+      return this._array[this._index];
+    }
+  );
+
+  $.Property({Public: true , Static: false}, "Current");
+
+  $.ImplementInterfaces(
+    System.IDisposable, System.Collections.IEnumerator,
+    $jsilcore.TypeRef("System.Collections.Generic.IEnumerator`1", [new JSIL.GenericParameter("T", "JSIL.ArrayEnumerator")])
+  );
+});
+
+JSIL.ImplementExternals(
+  "System.Threading.Thread", function ($) {
+    $.Method({Static:true , Public:true }, ".cctor2", 
+      (new JSIL.MethodSignature(null, [], [])), 
+      function () {
+        // This type already has a cctor, so we add a second one.
+        System.Threading.Thread._currentThread = new System.Threading.Thread();
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "get_CurrentThread", 
+      (new JSIL.MethodSignature($jsilcore.TypeRef("System.Threading.Thread"), [], [])), 
+      function get_CurrentThread () {
+        return System.Threading.Thread._currentThread;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_ManagedThreadId", 
+      (new JSIL.MethodSignature($.Int32, [], [])), 
+      function get_ManagedThreadId () {
+        return 0;
+      }
+    );
+
+    // There is only one thread, so its cultures are the ones CultureInfo reports.
+    $.Method({Static:false, Public:true }, "get_CurrentCulture", 
+      (new JSIL.MethodSignature($jsilcore.TypeRef("System.Globalization.CultureInfo"), [], [])), 
+      function get_CurrentCulture () {
+        return System.Globalization.CultureInfo.get_CurrentCulture();
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "set_CurrentCulture", 
+      (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Globalization.CultureInfo")], [])), 
+      function set_CurrentCulture (value) {
+        System.Globalization.CultureInfo.set_CurrentCulture(value);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_CurrentUICulture", 
+      (new JSIL.MethodSignature($jsilcore.TypeRef("System.Globalization.CultureInfo"), [], [])), 
+      function get_CurrentUICulture () {
+        return System.Globalization.CultureInfo.get_CurrentUICulture();
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "set_CurrentUICulture", 
+      (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Globalization.CultureInfo")], [])), 
+      function set_CurrentUICulture (value) {
+        System.Globalization.CultureInfo.set_CurrentUICulture(value);
+      }
+    );
+  }
+);
+
+JSIL.MakeClass("System.Object", "System.Threading.Thread", true, [], function ($) {
+  $.Field({Public: false, Static: true}, "_currentThread", $.Type, function ($) { return null; });
+
+  $.ExternalMethod(
+    {Public: true , Static: true }, "get_CurrentThread",
+    new JSIL.MethodSignature($.Type, [])
+  );
+  $.ExternalMethod(
+    {Public: true , Static: true }, "get_ManagedThreadId",
+    new JSIL.MethodSignature(System.Int32, [])
+  );
+
+  $.Property({Public: true , Static: true }, "CurrentThread");
+  $.Property({Public: true , Static: true }, "ManagedThreadId");
+  $.Property({Public: true , Static: false}, "CurrentCulture");
+  $.Property({Public: true , Static: false}, "CurrentUICulture");
+});
+
+$jsilcore.$ListExternals = function ($, T, type) {
+  var mscorlib = JSIL.GetCorlib();
+
+  if ((typeof (T) === "undefined") || (T === null)) {
+    T = new JSIL.GenericParameter("T", "System.Collections.Generic.List`1");
+  }
+
+  var indexOfImpl = function (value) {
+    for (var i = 0; i < this._size; i++) {
+      var item = this._items[i];
+
+      if (JSIL.ObjectEquals(item, value))
+        return i;
+    }
+
+    return -1;
+  };
+
+  var findIndexImpl = function (predicate) {
+    for (var i = 0; i < this._size; i++) {
+      var item = this._items[i];
+      if (predicate(item))
+        return i;
+    }
+
+    return -1;
+  };
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    new JSIL.MethodSignature(null, [], []),
+    function () {
+      this._items = new Array();
+      this._size = 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Int32")], []),
+    function (size) {
+      this._items = new Array(size);
+      this._size = 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Collections.Generic.IEnumerable`1", [new JSIL.GenericParameter("T", "System.Collections.Generic.List`1")])], []),
+    function (values) {
+      this._items = JSIL.EnumerableToArray(values);
+      this._size = this._items.length;
+    }
+  );
+
+  var addImpl = function (item) {
+    if (this._size >= this._items.length) {
+      this._items.push(item);
+    } else {
+      this._items[this._size] = item;
+    }
+    this._size += 1;
+
+    if (typeof (this.$OnItemAdded) === "function")
+      this.$OnItemAdded(item);
+
+    return this._size;
+  };
+
+  switch (type) {
+    case "ArrayList":
+    case "ObjectCollection":
+      $.Method({Static:false, Public:true }, "Add", 
+        new JSIL.MethodSignature($.Int32, [T], []),
+        addImpl
+      );
+      break;
+    default:
+      $.Method({Static:false, Public:true }, "Add", 
+        new JSIL.MethodSignature(null, [T], []),
+        addImpl
+      );
+      break;
+  }
+
+  $.Method({Static:false, Public:true }, "AddRange", 
+    new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Collections.Generic.IEnumerable`1", [T])], []),
+    function (items) {
+      var e = JSIL.GetEnumerator(items);
+      try {
+        while (e.MoveNext())
+          this.Add(e.Current);
+      } finally {
+        e.IDisposable_Dispose();
+      }
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "AsReadOnly", 
+    new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.ObjectModel.ReadOnlyCollection`1", [T]), [], []),
+    function () {
+      // FIXME
+      if (typeof (this.tReadOnlyCollection) === "undefined") {
+        this.tReadOnlyCollection = System.Collections.ObjectModel.ReadOnlyCollection$b1.Of(this.T).__Type__;
+      }
+
+      return JSIL.CreateInstanceOfType(this.tReadOnlyCollection , "$listCtor", [this]);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Clear", 
+    new JSIL.MethodSignature(null, [], []),
+    function () {
+      this._size = 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Contains", 
+    new JSIL.MethodSignature(mscorlib.TypeRef("System.Boolean"), [T], []),
+    function (value) {
+      return indexOfImpl.call(this, value) >= 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Exists", 
+    new JSIL.MethodSignature(mscorlib.TypeRef("System.Boolean"), [mscorlib.TypeRef("System.Predicate`1", [T])], []),
+    function (predicate) {
+      return findIndexImpl.call(this, predicate) >= 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Find", 
+    new JSIL.MethodSignature(new JSIL.GenericParameter("T", "System.Collections.Generic.List`1"), [mscorlib.TypeRef("System.Predicate`1", [T])], []),
+    function (predicate) {
+      var index = this.FindIndex(predicate);
+      if (index >= 0)
+        return this._items[index];
+      else
+        return JSIL.DefaultValue(this.T);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "FindAll", 
+    new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.Generic.List`1", [T]), [mscorlib.TypeRef("System.Predicate`1", [T])], []),
+    function (predicate) {
+      var thisType = this.GetType();
+
+      // Manually initialize the result since we don't want to hassle with overloaded ctors
+      var result = JSIL.CreateInstanceOfType(thisType, null);
+      result._items = [];
+
+      for (var i = 0; i < this._size; i++) {
+        var item = this._items[i];
+
+        if (predicate(item))
+          result._items.push(item);
+      }
+
+      result._size = result._items.length;
+      return result;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "FindIndex", 
+    new JSIL.MethodSignature(mscorlib.TypeRef("System.Int32"), [mscorlib.TypeRef("System.Predicate`1", [new JSIL.GenericParameter("T", "System.Collections.Generic.List`1")])], []),
+    findIndexImpl
+  );
+
+  $.Method({Static:false, Public:true }, "get_Capacity", 
+    new JSIL.MethodSignature(mscorlib.TypeRef("System.Int32"), [], []),
+    function () {
+      return this._items.length;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Count", 
+    new JSIL.MethodSignature(mscorlib.TypeRef("System.Int32"), [], []),
+    function () {
+      return this._size;
+    }
+  );
+
+  var rangeCheckImpl = function (index,size) {
+      if (index < 0)
+        throw new System.ArgumentOutOfRangeException("index");
+      else if (index >= size)
+        throw new System.ArgumentOutOfRangeException("index");
+  }
+
+  $.Method({Static:false, Public:true }, "get_Item", 
+    new JSIL.MethodSignature(T, [mscorlib.TypeRef("System.Int32")], []), 
+    function (index) {
+          rangeCheckImpl(index, this._size);
+          return this._items[index];
+   }
+
+  );
+
+  $.Method({Static: false, Public: true }, "set_Item",
+    new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Int32"), T], []), 
+    function (index, value) {
+      rangeCheckImpl(index, this._size);
+      this._items[index]=value;
+  }
+
+  );
+
+  var getEnumeratorImpl = function () {
+    // Detect whether we are a List<T> or an ArrayList.
+    if (typeof(this.$thisEnumeratorType) === "undefined") {
+      var elementType = this.T;
+      if (typeof (elementType) === "undefined")
+        elementType = System.Object;
+
+      this.$thisEnumeratorType = System.Collections.Generic.List$b1_Enumerator.Of(elementType)
+    }
+
+    return new (this.$thisEnumeratorType)(this);
+  };
+
+  $.Method({Static:false, Public:true }, "IEnumerable_GetEnumerator", 
+    new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.IEnumerator"), [], []),
+    getEnumeratorImpl
+  );
+
+  $.Method({Static:false, Public:true }, "IEnumerable$b1_GetEnumerator",
+    new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.Generic.IEnumerator`1", [T]), [], []),
+    getEnumeratorImpl
+  );
+
+  switch (type) {
+    case "ArrayList":
+      $.Method({Static:false, Public:true }, "GetEnumerator", 
+        new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.IEnumerator"), [], []),
+        getEnumeratorImpl
+      );
+      break;
+    case "List":
+      $.Method({Static:false, Public:true }, "GetEnumerator", 
+        (new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.Generic.List`1/Enumerator", [new JSIL.GenericParameter("T", "System.Collections.Generic.List`1")]), [], [])), 
+        getEnumeratorImpl
+      );
+      break;
+    default:
+      $.Method({Static:false, Public:true }, "GetEnumerator",
+        new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.Generic.IEnumerator`1", [T]), [], []),
+        getEnumeratorImpl
+      );
+      break;
+  }
+
+  $.Method({Static:false, Public:true }, "Insert", 
+    (new JSIL.MethodSignature(null, [$.Int32, new JSIL.GenericParameter("T", "System.Collections.Generic.List`1")], [])), 
+    function Insert (index, item) {
+      this._items.splice(index, 0, item);
+      this._size += 1;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "IndexOf", 
+    new JSIL.MethodSignature(mscorlib.TypeRef("System.Int32"), [T], []),
+    indexOfImpl
+  );
+
+  var removeImpl = function (item) {
+    var index = this._items.indexOf(item);
+    if (index === -1)
+      return false;
+
+    return this.RemoveAt(index);
+  };
+
+  switch (type) {
+    case "ArrayList":
+    case "ObjectCollection":
+      $.Method({Static:false, Public:true }, "Remove", 
+        new JSIL.MethodSignature(null, [T], []),
+        removeImpl
+      );
+      break;
+    default:
+      $.Method({Static:false, Public:true }, "Remove", 
+        new JSIL.MethodSignature(mscorlib.TypeRef("System.Boolean"), [T], []),
+        removeImpl
+      );
+      break;
+  }
+
+  $.Method({Static:false, Public:true }, "RemoveAll", 
+    new JSIL.MethodSignature(mscorlib.TypeRef("System.Int32"), [mscorlib.TypeRef("System.Predicate`1", [T])], []),
+    function (predicate) {
+      var result = 0;
+
+      for (var i = 0; i < this._size; i++) {
+        var item = this._items[i];
+
+        if (predicate(item)) {
+          this._items.splice(i, 1);
+          i -= 1;
+          this._size -= 1;
+          result += 1;
+        }
+      }
+
+      return result;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "RemoveAt", 
+    new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Int32")], []),
+    function (index) {
+      this._items.splice(index, 1);
+      this._size -= 1;
+      return true;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Sort", 
+    new JSIL.MethodSignature(null, [], []),
+    function () {
+      this._items.sort();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Sort", 
+    new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Comparison`1", [T])], []),
+    function (comparison) {
+      this._items.sort(comparison);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Sort", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Collections.IComparer")], [])), 
+    function Sort (comparer) {
+      this._items.sort(function (lhs, rhs) {
+        return comparer.Compare(lhs, rhs);
+      });
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Sort", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Collections.Generic.IComparer`1", [T])], [])), 
+    function Sort (comparer) {
+      this._items.sort(function (lhs, rhs) {
+        return comparer.Compare(lhs, rhs);
+      });
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ToArray", 
+    new JSIL.MethodSignature($jsilcore.TypeRef("System.Array", [T]), [], []),
+    function () {
+      return Array.prototype.slice.call(this._items, 0, this._size);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "TrueForAll", 
+    new JSIL.MethodSignature(mscorlib.TypeRef("System.Boolean"), [mscorlib.TypeRef("System.Predicate`1", [T])], []),
+    function (predicate) {
+      for (var i = 0; i < this._size; i++) {
+        var item = this._items[i];
+
+        if (!predicate(item))
+          return false;
+      }
+
+      return true;
+    }
+  );
+};
+
+JSIL.ImplementExternals("System.Collections.Generic.List`1", function ($) {
+  $jsilcore.$ListExternals($, null, "List");
+
+  $.Method({ Static: false, Public: true }, "CopyTo",
+    new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [new JSIL.GenericParameter("T", "System.Collections.Generic.List`1")]), $.Int32], []),
+    function (array, arrayindex) {
+      if (arrayindex != 0) {
+          throw new Error("List<T>.CopyTo not supported for non-zero indexes");
+      }
+      JSIL.Array.ShallowCopy(array, this);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ICollection$b1_get_IsReadOnly",
+    new JSIL.MethodSignature($.Boolean, [], []),
+    function () {
+      return false;
+    }
+  );
+
+});
+
+$jsilcore.$ArrayListExternals = function ($) {
+  $jsilcore.$ListExternals($, $.Object, "ArrayList");
+
+  var mscorlib = JSIL.GetCorlib();
+  var toArrayImpl = function () {
+    return Array.prototype.slice.call(this._items, 0, this._size);
+  };
+
+  $.Method({Static:false, Public:true }, "ToArray", 
+    new JSIL.MethodSignature(mscorlib.TypeRef("System.Array", [mscorlib.TypeRef("System.Object")]), [], []),
+    toArrayImpl
+  );
+
+  $.Method({Static:false, Public:true }, "ToArray", 
+    new JSIL.MethodSignature(mscorlib.TypeRef("System.Array"), [mscorlib.TypeRef("System.Type")], []),
+    toArrayImpl
+  );
+};
+
+// Lazy way of sharing method implementations between ArrayList, Collection<T> and List<T>.
+JSIL.ImplementExternals("System.Collections.ArrayList", $jsilcore.$ArrayListExternals);
+
+$jsilcore.$CollectionExternals = function ($) {
+  var T = new JSIL.GenericParameter("T", "System.Collections.ObjectModel.Collection`1");
+  $jsilcore.$ListExternals($, T, "List");
+
+  var mscorlib = JSIL.GetCorlib();
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    new JSIL.MethodSignature(null, [], []),
+    function () {
+      this._items = new Array();
+      this._size = 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Collections.Generic.IList`1", [T])], []),
+    function (list) {
+      this._items = JSIL.EnumerableToArray(list);
+      this._size = this._items.length;
+    }
+  );
+};
+
+JSIL.ImplementExternals("System.Collections.ObjectModel.Collection`1", $jsilcore.$CollectionExternals);
+
+$jsilcore.$ReadOnlyCollectionExternals = function ($) {
+  var T = new JSIL.GenericParameter("T", "System.Collections.ObjectModel.ReadOnlyCollection`1");
+  $jsilcore.$ListExternals($, T, "ReadOnlyCollection");
+
+  var mscorlib = JSIL.GetCorlib();
+
+  var listCtor = function (list) {
+    this._list = list;
+
+    Object.defineProperty(this, "_items", {
+      get: function () {
+        return list._items;
+      }
+    });
+
+    Object.defineProperty(this, "_size", {
+      get: function () {
+        return list._size;
+      }
+    });
+  };
+
+  $.RawMethod(false, "$listCtor", listCtor);
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Collections.Generic.IList`1", [T])], []),
+    listCtor
+  );
+
+  $.SetValue("Add", null);
+  $.SetValue("Clear", null);
+  $.SetValue("Remove", null);
+  $.SetValue("RemoveAt", null);
+  $.SetValue("RemoveAll", null);
+  $.SetValue("Sort", null);
+};
+
+JSIL.ImplementExternals("System.Collections.ObjectModel.ReadOnlyCollection`1", $jsilcore.$ReadOnlyCollectionExternals);
+
+JSIL.ImplementExternals("System.Collections.Generic.Stack`1", function ($) {
+  var system = JSIL.GetAssembly("System", true);
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      this._items = new Array();
+      this._size = 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.Int32], [])), 
+    function _ctor (capacity) {
+      this._items = new Array(capacity);
+      this._size = 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Clear", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Clear () {
+      this._size = 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Count", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_Count () {
+      return this._size;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetEnumerator", 
+    (new JSIL.MethodSignature(system.TypeRef("System.Collections.Generic.Stack`1/Enumerator", [new JSIL.GenericParameter("T", "System.Collections.Generic.Stack`1")]), [], [])), 
+    function GetEnumerator () {
+      if (typeof (this.$thisEnumeratorType) === "undefined") {
+        var elementType = this.T;
+        this.$thisEnumeratorType = System.Collections.Generic.List$b1_Enumerator.Of(elementType)
+      }
+
+      return new (this.$thisEnumeratorType)(this);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Peek", 
+    (new JSIL.MethodSignature(new JSIL.GenericParameter("T", "System.Collections.Generic.Stack`1"), [], [])), 
+    function Peek () {
+      if (this._size <= 0)
+        throw new System.InvalidOperationException("Stack is empty");
+
+      return this._items[this._size - 1];
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Pop", 
+    (new JSIL.MethodSignature(new JSIL.GenericParameter("T", "System.Collections.Generic.Stack`1"), [], [])), 
+    function Pop () {
+      var result = this._items.pop();
+      this._size -= 1;
+
+      return result;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Push", 
+    (new JSIL.MethodSignature(null, [new JSIL.GenericParameter("T", "System.Collections.Generic.Stack`1")], [])), 
+    function Push (item) {
+      this._items.push(item)
+      this._size += 1;
+    }
+  );
+
+});
+
+JSIL.ImplementExternals("System.Collections.Generic.Queue`1", function ($) {
+  var system = JSIL.GetAssembly("System", true);
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      this._items = new Array();
+      this._size = 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.Int32], [])), 
+    function _ctor (capacity) {
+      this._items = new Array(capacity);
+      this._size = 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Clear", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Clear () {
+      this._size = 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Dequeue", 
+    (new JSIL.MethodSignature(new JSIL.GenericParameter("T", "System.Collections.Generic.Queue`1"), [], [])), 
+    function Dequeue () {
+      var result = this._items.shift();
+      this._size -= 1;
+      return result;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Enqueue", 
+    (new JSIL.MethodSignature(null, [new JSIL.GenericParameter("T", "System.Collections.Generic.Queue`1")], [])), 
+    function Enqueue (item) {
+      this._items.push(item);
+      this._size += 1;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Count", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_Count () {
+      return this._size;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetEnumerator", 
+    (new JSIL.MethodSignature(system.TypeRef("System.Collections.Generic.Queue`1/Enumerator", [new JSIL.GenericParameter("T", "System.Collections.Generic.Queue`1")]), [], [])), 
+    function GetEnumerator () {
+      if (typeof (this.$thisEnumeratorType) === "undefined") {
+        var elementType = this.T;
+        this.$thisEnumeratorType = System.Collections.Generic.List$b1_Enumerator.Of(elementType)
+      }
+
+      return new (this.$thisEnumeratorType)(this);
+    }
+  );
+
+});
+
+JSIL.MakeClass("System.Object", "JSIL.EnumerableArray", true, [], function ($) {
+  $.Method({Public: true , Static: false}, ".ctor", 
+    new JSIL.MethodSignature(null, [System.Array]),
+    function (array) {
+      this.array = array;
+    }
+  );
+
+  var tEnumerator = [null];
+
+  $.Method({Public: true , Static: false}, "GetEnumerator", 
+    new JSIL.MethodSignature(System.Collections.IEnumerator$b1, []),
+    function () {
+      if (tEnumerator[0] === null) {
+        tEnumerator[0] = JSIL.ArrayEnumerator.Of(System.Object);
+      }
+
+      return new (tEnumerator[0])(this.array, -1);
+    }
+  );
+
+  $.ImplementInterfaces(
+    System.Collections.IEnumerable, System.Collections.Generic.IEnumerable$b1
+  );
+});
+
+JSIL.MakeClass("System.Object", "System.Collections.ArrayList", true, [], function ($) {
+  $.Property({Public: true , Static: false}, "Count");
+
+  $.ImplementInterfaces(
+    "System.Collections.IEnumerable"
+  );
+});
+
+JSIL.MakeClass("System.Object", "System.Collections.Generic.List`1", true, ["T"], function ($) {
+  $.Property({Public: true , Static: false}, "Count");
+  $.Property({Public: false, Static: false}, "ICollection`1.IsReadOnly");
+
+  $.ImplementInterfaces(
+    $jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", [new JSIL.GenericParameter("T", "System.Collections.Generic.List`1")]),
+    "System.Collections.IEnumerable",
+    $jsilcore.TypeRef("System.Collections.Generic.ICollection`1", [new JSIL.GenericParameter("T", "System.Collections.Generic.List`1")]),
+    $jsilcore.TypeRef("System.Collections.Generic.IList`1", [new JSIL.GenericParameter("T", "System.Collections.Generic.List`1")])
+  );
+});
+
+JSIL.MakeClass("System.Object", "System.Collections.Generic.Stack`1", true, ["T"], function ($) {
+	$.Property({Public: true , Static: false}, "Count");
+
+	$.ImplementInterfaces(
+		$jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", [new JSIL.GenericParameter("T", "System.Collections.Generic.Stack`1")]), 
+    "System.Collections.IEnumerable"
+	);
+});
+
+// TODO: This type is actually a struct in the CLR
+JSIL.MakeClass($jsilcore.TypeRef("JSIL.ArrayEnumerator", [new JSIL.GenericParameter("T", "System.Collections.Generic.List`1/Enumerator")]), "System.Collections.Generic.List`1/Enumerator", true, ["T"], function ($) {
+  $.Field({Public: false, Static: false}, "_array", Array, function ($) { return null; });
+  $.Field({Public: false, Static: false}, "_length", Number, function ($) { return 0; });
+  $.Field({Public: false, Static: false}, "_index", Number, function ($) { return -1; });
+
+  $.Method({Public: true, Static: false}, ".ctor", 
+    new JSIL.MethodSignature(null, ["System.Collections.Generic.List`1"]),
+    function (list) {
+      if (typeof (list) != "undefined") {
+        this._array = list._items;
+        this._length = list.Count;
+      }
+    }
+  );
+
+  $.ImplementInterfaces(
+    $jsilcore.TypeRef("System.Collections.Generic.IEnumerator`1", [new JSIL.GenericParameter("T", "System.Collections.Generic.List`1/Enumerator")])
+  );
+});
+
+JSIL.ImplementExternals(
+  "System.Threading.Interlocked", function ($) {
+    var cmpxchg = function (targetRef, value, comparand) {
+      var currentValue = targetRef.value;
+
+      if (currentValue === comparand)
+        targetRef.value = value;
+
+      return currentValue;
+    };
+
+    $.Method({Public: true , Static: true }, "CompareExchange", 
+      new JSIL.MethodSignature("!!0", [JSIL.Reference.Of("!!0"), "!!0", "!!0"], ["T"]),
+      function (T, targetRef, value, comparand) {
+        return cmpxchg(targetRef, value, comparand);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "CompareExchange", 
+      (new JSIL.MethodSignature($.Int32, [
+            $jsilcore.TypeRef("JSIL.Reference", [$.Int32]), $.Int32, 
+            $.Int32
+          ], [])), 
+      function CompareExchange (/* ref */ location1, value, comparand) {
+        return cmpxchg(location1, value, comparand);
+      }
+    );
+  }
+);
 
 JSIL.ImplementExternals("System.Threading.Monitor", function ($) {
   var enterImpl = function (obj) {
@@ -1643,1816 +3258,9781 @@ JSIL.ImplementExternals("System.Threading.Monitor", function ($) {
     if (current >= 1)
       JSIL.Host.warning("Warning: lock recursion ", obj);
 
-    obj.__LockCount__ = current + 1;
+    obj.__LockCount__ = current + 1;
+
+    return true;
+  };
+
+  $.Method({Static:true , Public:true }, "Enter", 
+    (new JSIL.MethodSignature(null, [$.Object], [])), 
+    function Enter (obj) {
+      enterImpl(obj);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Enter", 
+    (new JSIL.MethodSignature(null, [$.Object, $jsilcore.TypeRef("JSIL.Reference", [$.Boolean])], [])), 
+    function Enter (obj, /* ref */ lockTaken) {
+      lockTaken.value = enterImpl(obj);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Exit", 
+    (new JSIL.MethodSignature(null, [$.Object], [])), 
+    function Exit (obj) {
+      var current = (obj.__LockCount__ || 0);
+      if (current <= 0)
+        JSIL.Host.warning("Warning: unlocking an object that is not locked ", obj);
+
+      obj.__LockCount__ = current - 1;
+    }
+  );
+
+});
+
+JSIL.MakeStaticClass("System.Threading.Interlocked", true, [], function ($) {
+  $.ExternalMethod({Public: true , Static: true }, "CompareExchange", 
+    new JSIL.MethodSignature("!!0", [JSIL.Reference.Of("!!0"), "!!0", "!!0"], ["T"])
+  );
+});
+JSIL.MakeStaticClass("System.Threading.Monitor", true, []);
+
+// Port of the subtractive generator used by the .NET Framework, so that seeded
+//  instances produce exactly the same sequences as they do on .NET.
+JSIL.ImplementExternals("System.Random", function ($) {
+  var MBIG = 2147483647;
+  var MSEED = 161803398;
+
+  var initialize = function (random, seed) {
+    var seedArray = new Array(56);
+    var subtraction = (seed === -2147483648) ? MBIG : Math.abs(seed);
+    var mj = MSEED - subtraction;
+    var mk = 1;
+    var i, ii;
+
+    for (i = 0; i < 56; i++)
+      seedArray[i] = 0;
+
+    seedArray[55] = mj;
+
+    for (i = 1; i < 55; i++) {
+      ii = (21 * i) % 55;
+      seedArray[ii] = mk;
+      // The subtractions wrap around like the Int32 arithmetic of the original.
+      mk = (mj - mk) | 0;
+      if (mk < 0)
+        mk += MBIG;
+
+      mj = seedArray[ii];
+    }
+
+    for (var k = 1; k < 5; k++) {
+      for (i = 1; i < 56; i++) {
+        seedArray[i] = (seedArray[i] - seedArray[1 + (i + 30) % 55]) | 0;
+        if (seedArray[i] < 0)
+          seedArray[i] += MBIG;
+      }
+    }
+
+    random.SeedArray = seedArray;
+    random.inext = 0;
+    random.inextp = 21;
+  };
+
+  var internalSample = function (random) {
+    var seedArray = random.SeedArray;
+    var inext = random.inext + 1;
+    var inextp = random.inextp + 1;
+
+    if (inext >= 56)
+      inext = 1;
+    if (inextp >= 56)
+      inextp = 1;
+
+    var result = seedArray[inext] - seedArray[inextp];
+
+    if (result === MBIG)
+      result -= 1;
+    if (result < 0)
+      result += MBIG;
+
+    seedArray[inext] = result;
+    random.inext = inext;
+    random.inextp = inextp;
+
+    return result;
+  };
+
+  // Ranges wider than Int32.MaxValue need more than 31 bits of randomness.
+  var getSampleForLargeRange = function (random) {
+    var result = internalSample(random);
+
+    if ((internalSample(random) % 2) === 0)
+      result = -result;
+
+    return (result + (MBIG - 1)) / ((2 * MBIG) - 1);
+  };
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      // .NET seeds the default generator with Environment.TickCount.
+      initialize(this, (new Date()).getTime() % MBIG);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.Int32], [])), 
+    function _ctor (Seed) {
+      initialize(this, Seed | 0);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "Sample", 
+    (new JSIL.MethodSignature($.Double, [], [])), 
+    function Sample () {
+      return internalSample(this) * (1.0 / MBIG);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Next", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function Next () {
+      return internalSample(this);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Next", 
+    (new JSIL.MethodSignature($.Int32, [$.Int32, $.Int32], [])), 
+    function Next (minValue, maxValue) {
+      if (minValue > maxValue)
+        throw new System.ArgumentOutOfRangeException("minValue", "'minValue' cannot be greater than maxValue.");
+
+      var range = maxValue - minValue;
+
+      if (range <= MBIG)
+        return Math.floor(this.Sample() * range) + minValue;
+      else
+        return Math.floor(getSampleForLargeRange(this) * range) + minValue;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Next", 
+    (new JSIL.MethodSignature($.Int32, [$.Int32], [])), 
+    function Next (maxValue) {
+      if (maxValue < 0)
+        throw new System.ArgumentOutOfRangeException("maxValue", "'maxValue' must be greater than zero.");
+
+      return Math.floor(this.Sample() * maxValue);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "NextDouble", 
+    (new JSIL.MethodSignature($.Double, [], [])), 
+    function NextDouble () {
+      return this.Sample();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "NextBytes", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$.Byte])], [])), 
+    function NextBytes (buffer) {
+      if (buffer === null)
+        throw new System.ArgumentNullException("buffer");
+
+      for (var i = 0; i < buffer.length; i++)
+        buffer[i] = internalSample(this) % 256;
+    }
+  );
+});
+
+JSIL.MakeClass("System.Object", "System.Random", true, [], function ($) {
+});
+
+JSIL.$MathSign = function (value) {
+  if (value > 0)
+    return 1;
+  else if (value < 0)
+    return -1;
+  else
+    return 0;
+};
+
+JSIL.ImplementExternals("System.Math", function ($) {
+  // Int64 and UInt64 values are objects, so they are compared with CompareTo instead of Math.max/min.
+  $.RawMethod(true, "Max", function Max (lhs, rhs) {
+    if ((typeof (lhs) === "object") && (lhs !== null))
+      return (JSIL.CompareValues(lhs, rhs) >= 0) ? lhs : rhs;
+
+    return Math.max(lhs, rhs);
+  });
+
+  $.RawMethod(true, "Min", function Min (lhs, rhs) {
+    if ((typeof (lhs) === "object") && (lhs !== null))
+      return (JSIL.CompareValues(lhs, rhs) <= 0) ? lhs : rhs;
+
+    return Math.min(lhs, rhs);
+  });
+  $.RawMethod(true, "Exp", Math.exp);
+
+  $.Method({Static:true , Public:true }, "Abs", 
+    (new JSIL.MethodSignature($.Int64, [$.Int64], [])), 
+    function Abs (value) {
+      var zero = System.Int64.FromNumber(0);
+      if (!System.Int64.op_LessThan(value, zero))
+        return value;
+
+      var result = System.Int64.op_UnaryNegation(value);
+      if (System.Int64.op_LessThan(result, zero))
+        throw new System.OverflowException("Negating the minimum value of a twos complement number is invalid.");
+
+      return result;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Abs", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Decimal"), [$jsilcore.TypeRef("System.Decimal")], [])), 
+    function Abs (value) {
+      if (System.Decimal.Compare(value, 0) < 0)
+        return System.Decimal.Negate(value);
+
+      return value;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Atan2", 
+    (new JSIL.MethodSignature($.Double, [$.Double, $.Double], [])), 
+    Math.atan2
+  );
+
+  $.Method({Static:true , Public:true }, "Sign", 
+    (new JSIL.MethodSignature($.Int32, [$.SByte], [])), 
+    JSIL.$MathSign
+  );
+
+  $.Method({Static:true , Public:true }, "Sign", 
+    (new JSIL.MethodSignature($.Int32, [$.Int16], [])), 
+    JSIL.$MathSign
+  );
+
+  $.Method({Static:true , Public:true }, "Sign", 
+    (new JSIL.MethodSignature($.Int32, [$.Int32], [])), 
+    JSIL.$MathSign
+  );
+
+  $.Method({Static:true , Public:true }, "Sign", 
+    (new JSIL.MethodSignature($.Int32, [$.Int64], [])), 
+    JSIL.$MathSign
+  );
+
+  $.Method({Static:true , Public:true }, "Sign", 
+    (new JSIL.MethodSignature($.Int32, [$.Single], [])), 
+    JSIL.$MathSign
+  );
+
+  $.Method({Static:true , Public:true }, "Sign", 
+    (new JSIL.MethodSignature($.Int32, [$.Double], [])), 
+    JSIL.$MathSign
+  );
+
+  $.Method({Static:true , Public:true }, "Sign", 
+    (new JSIL.MethodSignature($.Int32, [$jsilcore.TypeRef("System.Decimal")], [])), 
+    function Sign (value) {
+      return System.Decimal.Compare(value, 0);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Round", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Decimal"), [$jsilcore.TypeRef("System.Decimal")], [])), 
+    function Round (value) {
+      return System.Decimal.$Round(value, 0);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Round", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Decimal"), [$jsilcore.TypeRef("System.Decimal"), $.Int32], [])), 
+    function Round (value, decimals) {
+      return System.Decimal.$Round(value, decimals);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Round", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Decimal"), [$jsilcore.TypeRef("System.Decimal"), $jsilcore.TypeRef("System.MidpointRounding")], [])), 
+    function Round (value, mode) {
+      return System.Decimal.$Round(value, 0, mode);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Round", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Decimal"), [$jsilcore.TypeRef("System.Decimal"), $.Int32, $jsilcore.TypeRef("System.MidpointRounding")], [])), 
+    function Round (value, decimals, mode) {
+      return System.Decimal.$Round(value, decimals, mode);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Truncate", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Decimal"), [$jsilcore.TypeRef("System.Decimal")], [])), 
+    function Truncate (value) {
+      return System.Decimal.Truncate(value);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Floor", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Decimal"), [$jsilcore.TypeRef("System.Decimal")], [])), 
+    function Floor (value) {
+      return System.Decimal.Floor(value);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Ceiling", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Decimal"), [$jsilcore.TypeRef("System.Decimal")], [])), 
+    function Ceiling (value) {
+      return System.Decimal.Ceiling(value);
+    }
+  );
+});
+
+JSIL.MakeStaticClass("System.Math", true, function ($) {
+});
+
+// Decimal values use the same layout as .NET: a 96-bit unsigned mantissa stored in lo/mid/hi,
+//  and a sign bit and a scale (a power of ten between 0 and 28) packed into flags.
+JSIL.MakeStruct("System.ValueType", "System.Decimal", true, [], function ($) {
+  var mscorlib = JSIL.GetCorlib();
+
+  var maxScale = 28;
+  var signMask = 0x80000000;
+  var twoToThe32 = 4294967296;
+
+  // Mantissas are manipulated as little-endian arrays of 16-bit limbs so that intermediate
+  //  results can grow beyond 96 bits before being rounded back down.
+  var bigFromWords = function (lo, mid, hi) {
+    return bigTrim([
+      lo & 0xFFFF, lo >>> 16,
+      mid & 0xFFFF, mid >>> 16,
+      hi & 0xFFFF, hi >>> 16
+    ]);
+  };
+
+  var bigWord = function (a, index) {
+    return ((a[index * 2] || 0) | ((a[(index * 2) + 1] || 0) << 16)) >>> 0;
+  };
+
+  var bigTrim = function (a) {
+    var length = a.length;
+    while ((length > 0) && (a[length - 1] === 0))
+      length -= 1;
+
+    a.length = length;
+    return a;
+  };
+
+  var bigIsZero = function (a) {
+    for (var i = 0; i < a.length; i++) {
+      if (a[i] !== 0)
+        return false;
+    }
+
+    return true;
+  };
+
+  var bigIsOdd = function (a) {
+    return ((a[0] || 0) & 1) !== 0;
+  };
+
+  var bigBitLength = function (a) {
+    for (var i = a.length - 1; i >= 0; i--) {
+      var limb = a[i];
+      if (limb === 0)
+        continue;
+
+      var bits = 0;
+      while (limb !== 0) {
+        bits += 1;
+        limb >>>= 1;
+      }
+
+      return (i * 16) + bits;
+    }
+
+    return 0;
+  };
+
+  var bigCompare = function (a, b) {
+    for (var i = Math.max(a.length, b.length) - 1; i >= 0; i--) {
+      var x = a[i] || 0, y = b[i] || 0;
+
+      if (x !== y)
+        return (x > y) ? 1 : -1;
+    }
+
+    return 0;
+  };
+
+  var bigAdd = function (a, b) {
+    var length = Math.max(a.length, b.length);
+    var result = new Array(length + 1);
+    var carry = 0;
+
+    for (var i = 0; i < length; i++) {
+      var sum = (a[i] || 0) + (b[i] || 0) + carry;
+      result[i] = sum & 0xFFFF;
+      carry = sum >>> 16;
+    }
+
+    result[length] = carry;
+    return bigTrim(result);
+  };
+
+  // Assumes a >= b.
+  var bigSubtract = function (a, b) {
+    var result = new Array(a.length);
+    var borrow = 0;
+
+    for (var i = 0; i < a.length; i++) {
+      var difference = a[i] - (b[i] || 0) - borrow;
+
+      if (difference < 0) {
+        difference += 0x10000;
+        borrow = 1;
+      } else {
+        borrow = 0;
+      }
+
+      result[i] = difference;
+    }
+
+    return bigTrim(result);
+  };
+
+  // Computes (a * n) + addend for small values of n and addend.
+  var bigMultiplySmall = function (a, n, addend) {
+    var result = new Array(a.length + 1);
+    var carry = addend;
+
+    for (var i = 0; i < a.length; i++) {
+      var product = (a[i] * n) + carry;
+      result[i] = product & 0xFFFF;
+      carry = Math.floor(product / 0x10000);
+    }
+
+    result[a.length] = carry;
+    return bigTrim(result);
+  };
+
+  var bigMultiply = function (a, b) {
+    var result = new Array(a.length + b.length);
+    for (var k = 0; k < result.length; k++)
+      result[k] = 0;
+
+    for (var i = 0; i < a.length; i++) {
+      var carry = 0;
+
+      for (var j = 0; j < b.length; j++) {
+        var product = result[i + j] + (a[i] * b[j]) + carry;
+        result[i + j] = product & 0xFFFF;
+        carry = Math.floor(product / 0x10000);
+      }
+
+      result[i + b.length] = carry;
+    }
+
+    return bigTrim(result);
+  };
+
+  var bigDivideSmall = function (a, n) {
+    var quotient = new Array(a.length);
+    var remainder = 0;
+
+    for (var i = a.length - 1; i >= 0; i--) {
+      var current = (remainder * 0x10000) + a[i];
+      quotient[i] = Math.floor(current / n);
+      remainder = current % n;
+    }
+
+    return {
+      quotient: bigTrim(quotient),
+      remainder: remainder
+    };
+  };
+
+  var bigDivide = function (a, b) {
+    if (b.length === 1) {
+      var small = bigDivideSmall(a, b[0]);
+
+      return {
+        quotient: small.quotient,
+        remainder: bigTrim([small.remainder])
+      };
+    }
+
+    var quotient = new Array(a.length);
+    for (var k = 0; k < quotient.length; k++)
+      quotient[k] = 0;
+
+    var remainder = [];
+
+    for (var bit = bigBitLength(a) - 1; bit >= 0; bit--) {
+      remainder = bigMultiplySmall(remainder, 2, (a[bit >> 4] >>> (bit & 15)) & 1);
+
+      if (bigCompare(remainder, b) >= 0) {
+        remainder = bigSubtract(remainder, b);
+        quotient[bit >> 4] |= (1 << (bit & 15));
+      }
+    }
+
+    return {
+      quotient: bigTrim(quotient),
+      remainder: remainder
+    };
+  };
+
+  var powersOfTen = [[1]];
+
+  var bigPowerOfTen = function (exponent) {
+    while (powersOfTen.length <= exponent)
+      powersOfTen.push(bigMultiplySmall(powersOfTen[powersOfTen.length - 1], 10, 0));
+
+    return powersOfTen[exponent];
+  };
+
+  var bigToString = function (a) {
+    if (bigIsZero(a))
+      return "0";
+
+    var result = "";
+
+    while (!bigIsZero(a)) {
+      var divided = bigDivideSmall(a, 10000);
+      var chunk = String(divided.remainder);
+      a = divided.quotient;
+
+      if (!bigIsZero(a))
+        chunk = "0000".substr(chunk.length) + chunk;
+
+      result = chunk + result;
+    }
+
+    return result;
+  };
+
+  var overflow = function () {
+    throw new System.OverflowException("Value was either too large or too small for a Decimal.");
+  };
+
+  var unpack = function (value) {
+    return {
+      negative: (value.flags & signMask) !== 0,
+      scale: (value.flags >>> 16) & 0xFF,
+      mantissa: bigFromWords(value.lo, value.mid, value.hi)
+    };
+  };
+
+  var assign = function (target, source) {
+    target.lo = source.lo;
+    target.mid = source.mid;
+    target.hi = source.hi;
+    target.flags = source.flags;
+  };
+
+  // Rounds the mantissa (half to even, like .NET arithmetic) until it fits in 96 bits
+  //  with a scale no greater than 28.
+  var make = function (negative, scale, mantissa) {
+    var lastDigit = 0, sticky = false, truncated = false;
+
+    while ((scale > maxScale) || (bigBitLength(mantissa) > 96)) {
+      if (scale <= 0)
+        overflow();
+
+      sticky = sticky || (lastDigit !== 0);
+
+      var divided = bigDivideSmall(mantissa, 10);
+      mantissa = divided.quotient;
+      lastDigit = divided.remainder;
+      scale -= 1;
+      truncated = true;
+    }
+
+    if (
+      truncated &&
+      ((lastDigit > 5) || ((lastDigit === 5) && (sticky || bigIsOdd(mantissa))))
+    )
+      return make(negative, scale, bigAdd(mantissa, [1]));
+
+    var result = JSIL.CreateInstanceOfType($.Type, null);
+    result.lo = bigWord(mantissa, 0) | 0;
+    result.mid = bigWord(mantissa, 1) | 0;
+    result.hi = bigWord(mantissa, 2) | 0;
+    result.flags = (scale << 16) | (negative ? signMask : 0);
+    return result;
+  };
+
+  var fromInteger = function (value) {
+    var magnitude = Math.abs(value);
+
+    return make(
+      value < 0, 0,
+      bigFromWords(magnitude % twoToThe32, Math.floor(magnitude / twoToThe32), 0)
+    );
+  };
+
+  var fromInt64 = function (value, isSigned) {
+    var negative = false;
+
+    if (isSigned) {
+      value = System.Int64.Coerce(value);
+      negative = System.Int64.op_LessThan(value, System.Int64.FromNumber(0));
+
+      if (negative)
+        value = System.Int64.op_UnaryNegation(value);
+    } else {
+      value = System.UInt64.Coerce(value);
+    }
+
+    // The magnitude of Int64.MinValue does not fit in an Int64, but its bits are still correct as an unsigned value.
+    return make(negative, 0, bigFromWords(value._lo, value._hi, 0));
+  };
+
+  var stripTrailingZeros = function (parts) {
+    while ((parts.scale > 0) && !bigIsZero(parts.mantissa)) {
+      var divided = bigDivideSmall(parts.mantissa, 10);
+      if (divided.remainder !== 0)
+        break;
+
+      parts.mantissa = divided.quotient;
+      parts.scale -= 1;
+    }
+
+    return parts;
+  };
+
+  var parseParts = function (text, allowExponent) {
+    var match = /^\s*([-+])?([0-9][0-9,]*)?(?:\.([0-9]*))?(?:[eE]([-+]?[0-9]+))?\s*$/.exec(String(text));
+    if (match === null)
+      return null;
+
+    var integerDigits = (match[2] || "").replace(/,/g, "");
+    var fractionDigits = match[3] || "";
+    var digits = integerDigits + fractionDigits;
+
+    if ((digits.length === 0) || ((typeof (match[4]) === "string") && !allowExponent))
+      return null;
+
+    var mantissa = [];
+    for (var i = 0; i < digits.length; i++)
+      mantissa = bigMultiplySmall(mantissa, 10, digits.charCodeAt(i) - 48);
+
+    var scale = fractionDigits.length - (match[4] ? parseInt(match[4], 10) : 0);
+
+    if (scale < 0) {
+      if (!bigIsZero(mantissa) && (scale < -maxScale))
+        overflow();
+
+      mantissa = bigMultiply(mantissa, bigPowerOfTen(-scale));
+      scale = 0;
+    }
+
+    return {
+      negative: match[1] === "-",
+      scale: scale,
+      mantissa: mantissa
+    };
+  };
+
+  // Like .NET, conversions from floating-point values keep at most 15 (or 7, for Single) significant digits.
+  var fromFloat = function (value, significantDigits) {
+    value = Number(value);
+
+    if (!isFinite(value) || (Math.abs(value) >= 7.9228162514264337593543950335e28))
+      overflow();
+
+    if (value === 0)
+      return make(false, 0, []);
+
+    var parts = stripTrailingZeros(parseParts(Math.abs(value).toPrecision(significantDigits), true));
+    return make(value < 0, parts.scale, parts.mantissa);
+  };
+
+  // Decimal constants and default values may still be represented as plain numbers.
+  var coerce = function (value) {
+    if (typeof (value) !== "number")
+      return value;
+    else if ((Math.floor(value) === value) && (Math.abs(value) <= 9007199254740992))
+      return fromInteger(value);
+    else
+      return fromFloat(value, 15);
+  };
+
+  var toString = function (value) {
+    var parts = unpack(value);
+    var digits = bigToString(parts.mantissa);
+
+    if (parts.scale > 0) {
+      while (digits.length <= parts.scale)
+        digits = "0" + digits;
+
+      digits = digits.substr(0, digits.length - parts.scale) + "." + digits.substr(digits.length - parts.scale);
+    }
+
+    if (parts.negative && !bigIsZero(parts.mantissa))
+      return "-" + digits;
+    else
+      return digits;
+  };
+
+  var toNumber = function (value) {
+    return Number(toString(value));
+  };
+
+  var negate = function (value) {
+    var result = JSIL.CreateInstanceOfType($.Type, null);
+    assign(result, value);
+    result.flags = (value.flags ^ signMask) | 0;
+    return result;
+  };
+
+  // Returns both mantissas multiplied up to the larger of the two scales.
+  var align = function (lhs, rhs) {
+    if (lhs.scale < rhs.scale)
+      lhs.mantissa = bigMultiply(lhs.mantissa, bigPowerOfTen(rhs.scale - lhs.scale));
+    else if (rhs.scale < lhs.scale)
+      rhs.mantissa = bigMultiply(rhs.mantissa, bigPowerOfTen(lhs.scale - rhs.scale));
+
+    return Math.max(lhs.scale, rhs.scale);
+  };
+
+  var add = function (lhs, rhs) {
+    lhs = unpack(coerce(lhs));
+    rhs = unpack(coerce(rhs));
+    var scale = align(lhs, rhs);
+
+    if (lhs.negative === rhs.negative)
+      return make(lhs.negative, scale, bigAdd(lhs.mantissa, rhs.mantissa));
+
+    var comparison = bigCompare(lhs.mantissa, rhs.mantissa);
+    if (comparison === 0)
+      return make(false, scale, []);
+    else if (comparison > 0)
+      return make(lhs.negative, scale, bigSubtract(lhs.mantissa, rhs.mantissa));
+    else
+      return make(rhs.negative, scale, bigSubtract(rhs.mantissa, lhs.mantissa));
+  };
+
+  var subtract = function (lhs, rhs) {
+    return add(lhs, negate(coerce(rhs)));
+  };
+
+  var multiply = function (lhs, rhs) {
+    lhs = unpack(coerce(lhs));
+    rhs = unpack(coerce(rhs));
+
+    var mantissa = bigMultiply(lhs.mantissa, rhs.mantissa);
+    return make(
+      (lhs.negative !== rhs.negative) && !bigIsZero(mantissa),
+      lhs.scale + rhs.scale, mantissa
+    );
+  };
+
+  var divide = function (lhs, rhs) {
+    lhs = unpack(coerce(lhs));
+    rhs = unpack(coerce(rhs));
+
+    if (bigIsZero(rhs.mantissa))
+      throw new System.DivideByZeroException("Attempted to divide by zero.");
+
+    var scale = lhs.scale - rhs.scale;
+    var divided = bigDivide(lhs.mantissa, rhs.mantissa);
+    var quotient = divided.quotient, remainder = divided.remainder;
+
+    // Keep producing digits until the division is exact or the quotient runs out of precision.
+    while (!bigIsZero(remainder) && (scale < maxScale)) {
+      var nextRemainder = bigMultiplySmall(remainder, 10, 0);
+      var digit = 0;
+
+      while (bigCompare(nextRemainder, rhs.mantissa) >= 0) {
+        nextRemainder = bigSubtract(nextRemainder, rhs.mantissa);
+        digit += 1;
+      }
+
+      var nextQuotient = bigMultiplySmall(quotient, 10, digit);
+      if (bigBitLength(nextQuotient) > 96)
+        break;
+
+      quotient = nextQuotient;
+      remainder = nextRemainder;
+      scale += 1;
+    }
+
+    if (!bigIsZero(remainder)) {
+      var half = bigCompare(bigMultiplySmall(remainder, 2, 0), rhs.mantissa);
+
+      if ((half > 0) || ((half === 0) && bigIsOdd(quotient)))
+        quotient = bigAdd(quotient, [1]);
+    }
+
+    if (scale < 0) {
+      quotient = bigMultiply(quotient, bigPowerOfTen(-scale));
+      scale = 0;
+    }
+
+    return make(
+      (lhs.negative !== rhs.negative) && !bigIsZero(quotient),
+      scale, quotient
+    );
+  };
+
+  var remainder = function (lhs, rhs) {
+    lhs = unpack(coerce(lhs));
+    rhs = unpack(coerce(rhs));
+
+    if (bigIsZero(rhs.mantissa))
+      throw new System.DivideByZeroException("Attempted to divide by zero.");
+
+    var scale = align(lhs, rhs);
+    var result = bigDivide(lhs.mantissa, rhs.mantissa).remainder;
+
+    return make(lhs.negative && !bigIsZero(result), scale, result);
+  };
+
+  var compare = function (lhs, rhs) {
+    lhs = unpack(coerce(lhs));
+    rhs = unpack(coerce(rhs));
+
+    var lhsSign = bigIsZero(lhs.mantissa) ? 0 : (lhs.negative ? -1 : 1);
+    var rhsSign = bigIsZero(rhs.mantissa) ? 0 : (rhs.negative ? -1 : 1);
+
+    if ((lhsSign !== rhsSign) || (lhsSign === 0))
+      return (lhsSign > rhsSign) ? 1 : ((lhsSign < rhsSign) ? -1 : 0);
+
+    align(lhs, rhs);
+    return bigCompare(lhs.mantissa, rhs.mantissa) * lhsSign;
+  };
+
+  // Mode is one of "ToEven", "AwayFromZero", "Truncate", "Floor" or "Ceiling".
+  var round = function (value, decimals, mode) {
+    value = coerce(value);
+
+    if ((decimals < 0) || (decimals > maxScale))
+      throw new System.ArgumentOutOfRangeException("decimals", "Decimal can only round to between 0 and 28 digits of precision.");
+
+    var parts = unpack(value);
+    if (parts.scale <= decimals)
+      return value;
+
+    var divisor = bigPowerOfTen(parts.scale - decimals);
+    var divided = bigDivide(parts.mantissa, divisor);
+    var mantissa = divided.quotient;
+    var roundUp = false;
+
+    if (!bigIsZero(divided.remainder)) {
+      switch (mode) {
+        case "Truncate":
+          break;
+        case "Floor":
+          roundUp = parts.negative;
+          break;
+        case "Ceiling":
+          roundUp = !parts.negative;
+          break;
+        default:
+          var half = bigCompare(bigMultiplySmall(divided.remainder, 2, 0), divisor);
+          roundUp = (half > 0) ||
+            ((half === 0) && ((mode === "AwayFromZero") || bigIsOdd(mantissa)));
+          break;
+      }
+    }
+
+    if (roundUp)
+      mantissa = bigAdd(mantissa, [1]);
+
+    return make(parts.negative && !bigIsZero(mantissa), decimals, mantissa);
+  };
+
+  var getMidpointMode = function (rounding) {
+    if ((typeof (rounding) === "object") && (rounding !== null))
+      rounding = rounding.value;
+
+    return (rounding === 1) ? "AwayFromZero" : "ToEven";
+  };
+
+  var toInteger = function (value, minValue, maxValue, typeDescription) {
+    var result = toNumber(round(value, 0, "Truncate"));
+
+    if ((result < minValue) || (result > maxValue))
+      throw new System.OverflowException("Value was either too large or too small for " + typeDescription + ".");
+
+    return result;
+  };
+
+  var toInt64 = function (value, isSigned) {
+    var parts = unpack(round(value, 0, "Truncate"));
+    var isZero = bigIsZero(parts.mantissa);
+    var lo = bigWord(parts.mantissa, 0), hi = bigWord(parts.mantissa, 1);
+    var fits;
+
+    if (!isSigned)
+      fits = (bigBitLength(parts.mantissa) <= 64) && (!parts.negative || isZero);
+    else if (parts.negative)
+      fits = (bigBitLength(parts.mantissa) <= 64) && ((hi < signMask) || ((hi === signMask) && (lo === 0)));
+    else
+      fits = (bigBitLength(parts.mantissa) <= 63);
+
+    if (!fits)
+      throw new System.OverflowException("Value was either too large or too small for " + (isSigned ? "an Int64." : "a UInt64."));
+
+    if (!isSigned)
+      return System.UInt64.FromBits(lo, hi);
+    else if (parts.negative)
+      return System.Int64.op_UnaryNegation(System.Int64.FromBits(lo, hi));
+    else
+      return System.Int64.FromBits(lo, hi);
+  };
+
+  var parse = function (text) {
+    if ((text === null) || (typeof (text) === "undefined"))
+      throw new System.ArgumentNullException("s");
+
+    var parts = parseParts(text, false);
+    if (parts === null)
+      throw new System.FormatException("Input string was not in a correct format.");
+
+    return make(parts.negative && !bigIsZero(parts.mantissa), parts.scale, parts.mantissa);
+  };
+
+  var ctorImpl = function (value) {
+    assign(this, coerce(value));
+  };
+
+  var int64CtorImpl = function (value) {
+    assign(this, fromInt64(value, true));
+  };
+
+  var uint64CtorImpl = function (value) {
+    assign(this, fromInt64(value, false));
+  };
+
+  var fromNumber = function (value) {
+    return fromInteger(Number(value));
+  };
+
+  var fromChar = function (value) {
+    return fromInteger(value.charCodeAt(0));
+  };
+
+  var fromDouble = function (value) {
+    return fromFloat(value, 15);
+  };
+
+  var fromSingle = function (value) {
+    return fromFloat(value, 7);
+  };
+
+  $.RawMethod(true, "$Coerce", coerce);
+
+  $.RawMethod(true, "$Round", function (value, decimals, rounding) {
+    return round(value, decimals, getMidpointMode(rounding));
+  });
+
+  $.Method({Static: false, Public: true }, "toString",
+    new JSIL.MethodSignature("System.String", []),
+    function () {
+      return toString(this);
+    }
+  );
+
+  // Allows code that is unaware of decimals to treat them as (possibly imprecise) numbers.
+  $.RawMethod(false, "valueOf", function () {
+    return toNumber(this);
+  });
+
+  $.Method({Static:false, Public:true }, "ToString",
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.String"), [], [])),
+    function ToString () {
+      return toString(this);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ToString",
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.String"), [mscorlib.TypeRef("System.String")], [])),
+    function ToString (format) {
+      return JSIL.FormatNumber(this, $.Type, format, null);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ToString",
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.String"), [mscorlib.TypeRef("System.IFormatProvider")], [])),
+    function ToString (provider) {
+      return JSIL.FormatNumber(this, $.Type, null, provider);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ToString",
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.String"), [mscorlib.TypeRef("System.String"), mscorlib.TypeRef("System.IFormatProvider")], [])),
+    function ToString (format, provider) {
+      return JSIL.FormatNumber(this, $.Type, format, provider);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "CompareTo",
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Int32"), [$.Type], [])),
+    function CompareTo (value) {
+      return compare(this, value);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Equals",
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Boolean"), [mscorlib.TypeRef("System.Object")], [])),
+    function Equals (value) {
+      if (!JSIL.CheckType(value, $.Type))
+        return false;
+
+      return compare(this, value) === 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetHashCode",
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Int32"), [], [])),
+    function GetHashCode () {
+      // Values that only differ in trailing zeroes are equal, so they must hash the same.
+      var parts = stripTrailingZeros(unpack(this));
+      var normalized = make(parts.negative && !bigIsZero(parts.mantissa), parts.scale, parts.mantissa);
+
+      return (normalized.lo ^ normalized.mid ^ normalized.hi ^ normalized.flags) | 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Int32")], [])),
+    ctorImpl
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.UInt32")], [])),
+    ctorImpl
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Int64")], [])),
+    int64CtorImpl
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.UInt64")], [])),
+    uint64CtorImpl
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Single")], [])),
+    function _ctor (value) {
+      assign(this, fromSingle(value));
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Double")], [])),
+    function _ctor (value) {
+      assign(this, fromDouble(value));
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Array", [mscorlib.TypeRef("System.Int32")])], [])),
+    function _ctor (bits) {
+      if ((bits === null) || (bits.length !== 4) || ((bits[3] & 0x7F00FFFF) !== 0) || (((bits[3] >>> 16) & 0xFF) > maxScale))
+        throw new System.ArgumentException("Decimal byte array constructor requires an array of length four containing valid decimal bytes.");
+
+      this.lo = bits[0] | 0;
+      this.mid = bits[1] | 0;
+      this.hi = bits[2] | 0;
+      this.flags = bits[3] | 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [
+          mscorlib.TypeRef("System.Int32"), mscorlib.TypeRef("System.Int32"),
+          mscorlib.TypeRef("System.Int32"), mscorlib.TypeRef("System.Boolean"),
+          mscorlib.TypeRef("System.Byte")
+        ], [])),
+    function _ctor (lo, mid, hi, isNegative, scale) {
+      if (scale > maxScale)
+        throw new System.ArgumentOutOfRangeException("scale", "Decimal's scale value must be between 0 and 28, inclusive.");
+
+      this.lo = lo | 0;
+      this.mid = mid | 0;
+      this.hi = hi | 0;
+      this.flags = (scale << 16) | (isNegative ? signMask : 0);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "GetBits",
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Array", [mscorlib.TypeRef("System.Int32")]), [$.Type], [])),
+    function GetBits (value) {
+      value = coerce(value);
+      return JSIL.Array.New(System.Int32, [value.lo, value.mid, value.hi, value.flags]);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Parse",
+    (new JSIL.MethodSignature($.Type, [mscorlib.TypeRef("System.String")], [])),
+    parse
+  );
+
+  $.Method({Static:true , Public:true }, "Parse",
+    (new JSIL.MethodSignature($.Type, [mscorlib.TypeRef("System.String"), mscorlib.TypeRef("System.IFormatProvider")], [])),
+    function Parse (text, provider) {
+      return parse($jsilcore.$NormalizeNumberText(text, provider));
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "TryParse",
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Boolean"), [mscorlib.TypeRef("System.String"), mscorlib.TypeRef("JSIL.Reference", [$.Type])], [])),
+    function TryParse (text, result) {
+      var parts = (typeof (text) === "string") ? parseParts(text, false) : null;
+
+      try {
+        if (parts !== null) {
+          result.value = make(parts.negative && !bigIsZero(parts.mantissa), parts.scale, parts.mantissa);
+          return true;
+        }
+      } catch (exc) {
+        if (!JSIL.CheckType(exc, System.OverflowException))
+          throw exc;
+      }
+
+      result.value = make(false, 0, []);
+      return false;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Add",
+    (new JSIL.MethodSignature($.Type, [$.Type, $.Type], [])),
+    add
+  );
+
+  $.Method({Static:true , Public:true }, "Subtract",
+    (new JSIL.MethodSignature($.Type, [$.Type, $.Type], [])),
+    subtract
+  );
+
+  $.Method({Static:true , Public:true }, "Multiply",
+    (new JSIL.MethodSignature($.Type, [$.Type, $.Type], [])),
+    multiply
+  );
+
+  $.Method({Static:true , Public:true }, "Divide",
+    (new JSIL.MethodSignature($.Type, [$.Type, $.Type], [])),
+    divide
+  );
+
+  $.Method({Static:true , Public:true }, "Remainder",
+    (new JSIL.MethodSignature($.Type, [$.Type, $.Type], [])),
+    remainder
+  );
+
+  $.Method({Static:true , Public:true }, "Negate",
+    (new JSIL.MethodSignature($.Type, [$.Type], [])),
+    function Negate (value) {
+      return negate(coerce(value));
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Compare",
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Int32"), [$.Type, $.Type], [])),
+    compare
+  );
+
+  $.Method({Static:true , Public:true }, "Round",
+    (new JSIL.MethodSignature($.Type, [$.Type], [])),
+    function Round (value) {
+      return round(value, 0, "ToEven");
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Round",
+    (new JSIL.MethodSignature($.Type, [$.Type, mscorlib.TypeRef("System.Int32")], [])),
+    function Round (value, decimals) {
+      return round(value, decimals, "ToEven");
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Round",
+    (new JSIL.MethodSignature($.Type, [$.Type, mscorlib.TypeRef("System.MidpointRounding")], [])),
+    function Round (value, mode) {
+      return round(value, 0, getMidpointMode(mode));
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Round",
+    (new JSIL.MethodSignature($.Type, [$.Type, mscorlib.TypeRef("System.Int32"), mscorlib.TypeRef("System.MidpointRounding")], [])),
+    function Round (value, decimals, mode) {
+      return round(value, decimals, getMidpointMode(mode));
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Truncate",
+    (new JSIL.MethodSignature($.Type, [$.Type], [])),
+    function Truncate (value) {
+      return round(value, 0, "Truncate");
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Floor",
+    (new JSIL.MethodSignature($.Type, [$.Type], [])),
+    function Floor (value) {
+      return round(value, 0, "Floor");
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Ceiling",
+    (new JSIL.MethodSignature($.Type, [$.Type], [])),
+    function Ceiling (value) {
+      return round(value, 0, "Ceiling");
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_Addition",
+    (new JSIL.MethodSignature($.Type, [$.Type, $.Type], [])),
+    add
+  );
+
+  $.Method({Static:true , Public:true }, "op_Division",
+    (new JSIL.MethodSignature($.Type, [$.Type, $.Type], [])),
+    divide
+  );
+
+  $.Method({Static:true , Public:true }, "op_Modulus",
+    (new JSIL.MethodSignature($.Type, [$.Type, $.Type], [])),
+    remainder
+  );
+
+  $.Method({Static:true , Public:true }, "op_Multiply",
+    (new JSIL.MethodSignature($.Type, [$.Type, $.Type], [])),
+    multiply
+  );
+
+  $.Method({Static:true , Public:true }, "op_Subtraction",
+    (new JSIL.MethodSignature($.Type, [$.Type, $.Type], [])),
+    subtract
+  );
+
+  $.Method({Static:true , Public:true }, "op_UnaryNegation",
+    (new JSIL.MethodSignature($.Type, [$.Type], [])),
+    function op_UnaryNegation (value) {
+      return negate(coerce(value));
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_UnaryPlus",
+    (new JSIL.MethodSignature($.Type, [$.Type], [])),
+    coerce
+  );
+
+  $.Method({Static:true , Public:true }, "op_Increment",
+    (new JSIL.MethodSignature($.Type, [$.Type], [])),
+    function op_Increment (value) {
+      return add(value, 1);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_Decrement",
+    (new JSIL.MethodSignature($.Type, [$.Type], [])),
+    function op_Decrement (value) {
+      return subtract(value, 1);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_Equality",
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Boolean"), [$.Type, $.Type], [])),
+    function op_Equality (lhs, rhs) {
+      return compare(lhs, rhs) === 0;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_Inequality",
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Boolean"), [$.Type, $.Type], [])),
+    function op_Inequality (lhs, rhs) {
+      return compare(lhs, rhs) !== 0;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_LessThan",
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Boolean"), [$.Type, $.Type], [])),
+    function op_LessThan (lhs, rhs) {
+      return compare(lhs, rhs) < 0;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_LessThanOrEqual",
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Boolean"), [$.Type, $.Type], [])),
+    function op_LessThanOrEqual (lhs, rhs) {
+      return compare(lhs, rhs) <= 0;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_GreaterThan",
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Boolean"), [$.Type, $.Type], [])),
+    function op_GreaterThan (lhs, rhs) {
+      return compare(lhs, rhs) > 0;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_GreaterThanOrEqual",
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Boolean"), [$.Type, $.Type], [])),
+    function op_GreaterThanOrEqual (lhs, rhs) {
+      return compare(lhs, rhs) >= 0;
+    }
+  );
+
+  var implicitConversions = [
+    ["System.Byte", fromNumber], ["System.SByte", fromNumber],
+    ["System.Int16", fromNumber], ["System.UInt16", fromNumber],
+    ["System.Int32", fromNumber], ["System.UInt32", fromNumber],
+    ["System.Int64", function (value) { return fromInt64(value, true); }],
+    ["System.UInt64", function (value) { return fromInt64(value, false); }],
+    ["System.Char", fromChar]
+  ];
+
+  for (var i = 0; i < implicitConversions.length; i++) {
+    $.Method({Static:true , Public:true }, "op_Implicit",
+      (new JSIL.MethodSignature($.Type, [mscorlib.TypeRef(implicitConversions[i][0])], [])),
+      implicitConversions[i][1]
+    );
+  }
+
+  $.Method({Static:true , Public:true }, "op_Explicit",
+    (new JSIL.MethodSignature($.Type, [mscorlib.TypeRef("System.Single")], [])),
+    fromSingle
+  );
+
+  $.Method({Static:true , Public:true }, "op_Explicit",
+    (new JSIL.MethodSignature($.Type, [mscorlib.TypeRef("System.Double")], [])),
+    fromDouble
+  );
+
+  var makeIntegerConversion = function (minValue, maxValue, typeDescription) {
+    return function (value) {
+      return toInteger(value, minValue, maxValue, typeDescription);
+    };
+  };
+
+  var toByte = makeIntegerConversion(0, 255, "an unsigned byte");
+  var toSByte = makeIntegerConversion(-128, 127, "a signed byte");
+  var toInt16 = makeIntegerConversion(-32768, 32767, "an Int16");
+  var toUInt16 = makeIntegerConversion(0, 65535, "a UInt16");
+  var toInt32 = makeIntegerConversion(-2147483648, 2147483647, "an Int32");
+  var toUInt32 = makeIntegerConversion(0, 4294967295, "a UInt32");
+
+  var toChar = function (value) {
+    return String.fromCharCode(toInteger(value, 0, 65535, "a character"));
+  };
+
+  var toDouble = function (value) {
+    return toNumber(coerce(value));
+  };
+
+  var explicitConversions = [
+    ["System.Byte", "ToByte", toByte], ["System.SByte", "ToSByte", toSByte],
+    ["System.Int16", "ToInt16", toInt16], ["System.UInt16", "ToUInt16", toUInt16],
+    ["System.Int32", "ToInt32", toInt32], ["System.UInt32", "ToUInt32", toUInt32],
+    ["System.Int64", "ToInt64", function (value) { return toInt64(value, true); }],
+    ["System.UInt64", "ToUInt64", function (value) { return toInt64(value, false); }],
+    ["System.Single", "ToSingle", toDouble], ["System.Double", "ToDouble", toDouble],
+    ["System.Char", null, toChar]
+  ];
+
+  for (var j = 0; j < explicitConversions.length; j++) {
+    var conversion = explicitConversions[j];
+    var signature = new JSIL.MethodSignature(mscorlib.TypeRef(conversion[0]), [$.Type], []);
+
+    $.Method({Static:true , Public:true }, "op_Explicit", signature, conversion[2]);
+
+    if (conversion[1] !== null)
+      $.Method({Static:true , Public:true }, conversion[1], signature, conversion[2]);
+  }
+
+  $.Field({Static: false, Public: false }, "flags", mscorlib.TypeRef("System.Int32"), function () {
+    return 0;
+  });
+
+  $.Field({Static: false, Public: false }, "hi", mscorlib.TypeRef("System.Int32"), function () {
+    return 0;
+  });
+
+  $.Field({Static: false, Public: false }, "lo", mscorlib.TypeRef("System.Int32"), function () {
+    return 0;
+  });
+
+  $.Field({Static: false, Public: false }, "mid", mscorlib.TypeRef("System.Int32"), function () {
+    return 0;
+  });
+});
+
+JSIL.ImplementExternals("System.Environment", function ($) {
+
+  $.Method({Static:true , Public:true }, "GetFolderPath", 
+    (new JSIL.MethodSignature($.String, [$jsilcore.TypeRef("System.Environment/SpecialFolder")], [])), 
+    function GetFolderPath (folder) {
+      // FIXME
+      return folder.name;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "get_NewLine", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function get_NewLine () {
+      // FIXME: Maybe this should just be \n?
+      return "\r\n";
+    }
+  );
+
+});
+
+// Converts an array of UTF-16 code units into a string without exceeding the argument limit of apply.
+$jsilcore.$CharCodesToString = function (charCodes) {
+  var chunkSize = 4096;
+
+  if (charCodes.length <= chunkSize)
+    return String.fromCharCode.apply(String, charCodes);
+
+  var result = [];
+  for (var i = 0; i < charCodes.length; i += chunkSize)
+    result.push(String.fromCharCode.apply(String, charCodes.slice(i, i + chunkSize)));
+
+  return result.join("");
+};
+
+// Every encoding implements $encode(text) -> bytes, $decode(bytes, offset, count) -> text and
+//  $getCompleteLength(bytes, offset, count), which returns how many of the bytes form whole characters so
+//  that Decoder can hold back the rest until more bytes arrive. Preambles are never included.
+JSIL.ImplementExternals("System.Text.Encoding", function ($) {
+  var tByteArray = $jsilcore.TypeRef("System.Array", [$.Byte]);
+  var tCharArray = $jsilcore.TypeRef("System.Array", [$.Char]);
+  var tEncoding = $jsilcore.TypeRef("System.Text.Encoding");
+
+  var encodings = {};
+
+  var getEncoding = function (key) {
+    if (encodings.hasOwnProperty(key))
+      return encodings[key];
+
+    var args = key.split(",");
+    var typeName = args.shift();
+
+    for (var i = 0; i < args.length; i++)
+      args[i] = (args[i] === "true");
+
+    var encoding = JSIL.CreateInstanceOfType(System.Text[typeName].__Type__, null);
+    encoding.$init.apply(encoding, args);
+
+    return encodings[key] = encoding;
+  };
+
+  var checkRange = function (array, index, count, arrayName) {
+    if (array === null)
+      throw new System.ArgumentNullException(arrayName);
+    else if ((index < 0) || (count < 0))
+      throw new System.ArgumentOutOfRangeException((index < 0) ? "index" : "count", "Non-negative number required.");
+    else if (array.length - index < count)
+      throw new System.ArgumentOutOfRangeException(arrayName, "Index and count must refer to a location within the buffer.");
+  };
+
+  var copyInto = function (source, destination, destinationIndex, destinationName) {
+    if (destination === null)
+      throw new System.ArgumentNullException(destinationName);
+    else if ((destinationIndex < 0) || (destinationIndex > destination.length))
+      throw new System.ArgumentOutOfRangeException(destinationName + "Index", "Index was out of range.");
+    else if (destination.length - destinationIndex < source.length)
+      throw new System.ArgumentException("The output buffer is too small to contain the result.", destinationName);
+
+    for (var i = 0; i < source.length; i++)
+      destination[destinationIndex + i] = source[i];
+
+    return source.length;
+  };
+
+  var charsToString = function (chars, index, count) {
+    return Array.prototype.slice.call(chars, index, index + count).join("");
+  };
+
+  // Encoding.Default is the system ANSI code page in .NET. The browser has no such thing, so UTF-8
+  //  without a byte order mark is used instead.
+  $.Method({Static:true , Public:true }, "get_Default", 
+    (new JSIL.MethodSignature(tEncoding, [], [])),
+    function get_Default () {
+      return getEncoding("UTF8Encoding,false,false");
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "get_ASCII", 
+    (new JSIL.MethodSignature(tEncoding, [], [])),
+    function get_ASCII () {
+      return getEncoding("ASCIIEncoding");
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "get_UTF8", 
+    (new JSIL.MethodSignature(tEncoding, [], [])),
+    function get_UTF8 () {
+      return getEncoding("UTF8Encoding,true,false");
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "get_Unicode", 
+    (new JSIL.MethodSignature(tEncoding, [], [])),
+    function get_Unicode () {
+      return getEncoding("UnicodeEncoding,false,true,false");
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "get_BigEndianUnicode", 
+    (new JSIL.MethodSignature(tEncoding, [], [])),
+    function get_BigEndianUnicode () {
+      return getEncoding("UnicodeEncoding,true,true,false");
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "get_UTF32", 
+    (new JSIL.MethodSignature(tEncoding, [], [])),
+    function get_UTF32 () {
+      return getEncoding("UTF32Encoding,false,true,false");
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "GetEncoding", 
+    (new JSIL.MethodSignature(tEncoding, [$.Int32], [])),
+    function GetEncoding (codepage) {
+      switch (codepage) {
+        case 20127:
+          return System.Text.Encoding.ASCII;
+        case 65001:
+          return System.Text.Encoding.UTF8;
+        case 1200:
+          return System.Text.Encoding.Unicode;
+        case 1201:
+          return System.Text.Encoding.BigEndianUnicode;
+        case 12000:
+          return System.Text.Encoding.UTF32;
+        case 12001:
+          return getEncoding("UTF32Encoding,true,true,false");
+      }
+
+      throw new System.NotSupportedException("No data is available for encoding " + codepage + ".");
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "GetEncoding", 
+    (new JSIL.MethodSignature(tEncoding, [$.String], [])),
+    function GetEncoding (name) {
+      if (name === null)
+        throw new System.ArgumentNullException("name");
+
+      switch (name.toLowerCase()) {
+        case "us-ascii":
+        case "ascii":
+          return System.Text.Encoding.ASCII;
+        case "utf-8":
+        case "utf8":
+          return System.Text.Encoding.UTF8;
+        case "utf-16":
+        case "unicode":
+          return System.Text.Encoding.Unicode;
+        case "utf-16be":
+        case "unicodefffe":
+          return System.Text.Encoding.BigEndianUnicode;
+        case "utf-32":
+          return System.Text.Encoding.UTF32;
+        case "utf-32be":
+          return getEncoding("UTF32Encoding,true,true,false");
+      }
+
+      throw new System.ArgumentException("'" + name + "' is not a supported encoding name.", "name");
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Convert", 
+    (new JSIL.MethodSignature(tByteArray, [tEncoding, tEncoding, tByteArray], [])),
+    function Convert (srcEncoding, dstEncoding, bytes) {
+      if (srcEncoding === null)
+        throw new System.ArgumentNullException("srcEncoding");
+      else if (dstEncoding === null)
+        throw new System.ArgumentNullException("dstEncoding");
+      else if (bytes === null)
+        throw new System.ArgumentNullException("bytes");
+
+      return dstEncoding.$encode(srcEncoding.$decode(bytes, 0, bytes.length));
+    }
+  );
+
+  // Returns the encoding whose byte order mark starts the buffer, or null if there is none.
+  $.RawMethod(true, "$DetectEncoding", function DetectEncoding (bytes, offset, count) {
+    var b = function (i) {
+      return (i < count) ? bytes[offset + i] : -1;
+    };
+
+    if ((b(0) === 0xEF) && (b(1) === 0xBB) && (b(2) === 0xBF))
+      return System.Text.Encoding.UTF8;
+    else if ((b(0) === 0xFF) && (b(1) === 0xFE) && (b(2) === 0) && (b(3) === 0))
+      return System.Text.Encoding.UTF32;
+    else if ((b(0) === 0xFF) && (b(1) === 0xFE))
+      return System.Text.Encoding.Unicode;
+    else if ((b(0) === 0xFE) && (b(1) === 0xFF))
+      return System.Text.Encoding.BigEndianUnicode;
+    else if ((b(0) === 0) && (b(1) === 0) && (b(2) === 0xFE) && (b(3) === 0xFF))
+      return getEncoding("UTF32Encoding,true,true,false");
+
+    return null;
+  });
+
+  $.RawMethod(false, "$getCompleteLength", function getCompleteLength (bytes, offset, count) {
+    return count;
+  });
+
+  $.RawMethod(false, "$invalidBytes", function invalidBytes (bytes, offset, count) {
+    if (this._throwOnInvalid) {
+      var text = Array.prototype.slice.call(bytes, offset, offset + count).map(function (b) {
+        return "[" + (b < 16 ? "0" : "") + b.toString(16).toUpperCase() + "]";
+      }).join(" ");
+
+      throw new System.ArgumentException(
+        "Unable to translate bytes " + text + " at index " + offset + " from specified code page to Unicode.", "bytes"
+      );
+    }
+
+    return 0xFFFD;
+  });
+
+  $.RawMethod(false, "$invalidChar", function invalidChar (text, index) {
+    if (this._throwOnInvalid) {
+      throw new System.ArgumentException(
+        "Unable to translate Unicode character \\u" + text.charCodeAt(index).toString(16).toUpperCase() + 
+        " at index " + index + " to specified code page.", "chars"
+      );
+    }
+
+    return 0xFFFD;
+  });
+
+  $.Method({Static:false, Public:true }, "GetBytes", 
+    (new JSIL.MethodSignature(tByteArray, [$.String], [])),
+    function GetBytes (s) {
+      if (s === null)
+        throw new System.ArgumentNullException("s");
+
+      return this.$encode(s);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetBytes", 
+    (new JSIL.MethodSignature(tByteArray, [tCharArray], [])),
+    function GetBytes (chars) {
+      if (chars === null)
+        throw new System.ArgumentNullException("chars");
+
+      return this.$encode(chars.join(""));
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetBytes", 
+    (new JSIL.MethodSignature(tByteArray, [tCharArray, $.Int32, $.Int32], [])),
+    function GetBytes (chars, index, count) {
+      checkRange(chars, index, count, "chars");
+
+      return this.$encode(charsToString(chars, index, count));
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetBytes", 
+    (new JSIL.MethodSignature($.Int32, [tCharArray, $.Int32, $.Int32, tByteArray, $.Int32], [])),
+    function GetBytes (chars, charIndex, charCount, bytes, byteIndex) {
+      checkRange(chars, charIndex, charCount, "chars");
+
+      return copyInto(this.$encode(charsToString(chars, charIndex, charCount)), bytes, byteIndex, "bytes");
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetBytes", 
+    (new JSIL.MethodSignature($.Int32, [$.String, $.Int32, $.Int32, tByteArray, $.Int32], [])),
+    function GetBytes (s, charIndex, charCount, bytes, byteIndex) {
+      checkRange(s, charIndex, charCount, "s");
+
+      return copyInto(this.$encode(s.substr(charIndex, charCount)), bytes, byteIndex, "bytes");
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetByteCount", 
+    (new JSIL.MethodSignature($.Int32, [$.String], [])),
+    function GetByteCount (s) {
+      if (s === null)
+        throw new System.ArgumentNullException("s");
+
+      return this.$encode(s).length;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetByteCount", 
+    (new JSIL.MethodSignature($.Int32, [tCharArray], [])),
+    function GetByteCount (chars) {
+      if (chars === null)
+        throw new System.ArgumentNullException("chars");
+
+      return this.$encode(chars.join("")).length;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetByteCount", 
+    (new JSIL.MethodSignature($.Int32, [tCharArray, $.Int32, $.Int32], [])),
+    function GetByteCount (chars, index, count) {
+      checkRange(chars, index, count, "chars");
+
+      return this.$encode(charsToString(chars, index, count)).length;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetString", 
+    (new JSIL.MethodSignature($.String, [tByteArray], [])),
+    function GetString (bytes) {
+      if (bytes === null)
+        throw new System.ArgumentNullException("bytes");
+
+      return this.$decode(bytes, 0, bytes.length);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetString", 
+    (new JSIL.MethodSignature($.String, [tByteArray, $.Int32, $.Int32], [])),
+    function GetString (bytes, index, count) {
+      checkRange(bytes, index, count, "bytes");
+
+      return this.$decode(bytes, index, count);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetChars", 
+    (new JSIL.MethodSignature(tCharArray, [tByteArray], [])),
+    function GetChars (bytes) {
+      if (bytes === null)
+        throw new System.ArgumentNullException("bytes");
+
+      return JSIL.StringToCharArray(this.$decode(bytes, 0, bytes.length));
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetChars", 
+    (new JSIL.MethodSignature(tCharArray, [tByteArray, $.Int32, $.Int32], [])),
+    function GetChars (bytes, index, count) {
+      checkRange(bytes, index, count, "bytes");
+
+      return JSIL.StringToCharArray(this.$decode(bytes, index, count));
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetChars", 
+    (new JSIL.MethodSignature($.Int32, [tByteArray, $.Int32, $.Int32, tCharArray, $.Int32], [])),
+    function GetChars (bytes, byteIndex, byteCount, chars, charIndex) {
+      checkRange(bytes, byteIndex, byteCount, "bytes");
+
+      return copyInto(this.$decode(bytes, byteIndex, byteCount), chars, charIndex, "chars");
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetCharCount", 
+    (new JSIL.MethodSignature($.Int32, [tByteArray], [])),
+    function GetCharCount (bytes) {
+      if (bytes === null)
+        throw new System.ArgumentNullException("bytes");
+
+      return this.$decode(bytes, 0, bytes.length).length;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetCharCount", 
+    (new JSIL.MethodSignature($.Int32, [tByteArray, $.Int32, $.Int32], [])),
+    function GetCharCount (bytes, index, count) {
+      checkRange(bytes, index, count, "bytes");
+
+      return this.$decode(bytes, index, count).length;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetPreamble", 
+    (new JSIL.MethodSignature(tByteArray, [], [])),
+    function GetPreamble () {
+      return this._preamble.slice();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetDecoder", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Text.Decoder"), [], [])),
+    function GetDecoder () {
+      var decoder = JSIL.CreateInstanceOfType(System.Text.Decoder.__Type__, null);
+      decoder.$init(this);
+      return decoder;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetEncoder", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Text.Encoder"), [], [])),
+    function GetEncoder () {
+      var encoder = JSIL.CreateInstanceOfType(System.Text.Encoder.__Type__, null);
+      encoder.$init(this);
+      return encoder;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_CodePage", 
+    (new JSIL.MethodSignature($.Int32, [], [])),
+    function get_CodePage () {
+      return this._codePage;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_WebName", 
+    (new JSIL.MethodSignature($.String, [], [])),
+    function get_WebName () {
+      return this._webName;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_EncodingName", 
+    (new JSIL.MethodSignature($.String, [], [])),
+    function get_EncodingName () {
+      return this._encodingName;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Equals", 
+    (new JSIL.MethodSignature($.Boolean, [$.Object], [])),
+    function Equals (value) {
+      return (value !== null) && (Object.getPrototypeOf(value) === Object.getPrototypeOf(this)) && 
+        (value._codePage === this._codePage) && (value._preamble.length === this._preamble.length) && 
+        (value._throwOnInvalid === this._throwOnInvalid);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetHashCode", 
+    (new JSIL.MethodSignature($.Int32, [], [])),
+    function GetHashCode () {
+      return this._codePage;
+    }
+  );
+});
+
+JSIL.ImplementExternals("System.Text.ASCIIEncoding", function ($) {
+  $.RawMethod(false, "$init", function () {
+    this._codePage = 20127;
+    this._webName = "us-ascii";
+    this._encodingName = "US-ASCII";
+    this._preamble = [];
+    this._throwOnInvalid = false;
+  });
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])),
+    function _ctor () {
+      this.$init();
+    }
+  );
+
+  $.RawMethod(false, "$encode", function encode (text) {
+    var result = new Array(text.length);
+
+    for (var i = 0, l = text.length; i < l; i++) {
+      var ch = text.charCodeAt(i);
+      result[i] = (ch < 0x80) ? ch : 0x3F;
+    }
+
+    return result;
+  });
+
+  $.RawMethod(false, "$decode", function decode (bytes, offset, count) {
+    var result = new Array(count);
+
+    for (var i = 0; i < count; i++) {
+      var b = bytes[offset + i];
+      result[i] = (b < 0x80) ? b : 0x3F;
+    }
+
+    return $jsilcore.$CharCodesToString(result);
+  });
+
+  $.Method({Static:false, Public:true }, "GetMaxByteCount", 
+    (new JSIL.MethodSignature($.Int32, [$.Int32], [])),
+    function GetMaxByteCount (charCount) {
+      return charCount + 1;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetMaxCharCount", 
+    (new JSIL.MethodSignature($.Int32, [$.Int32], [])),
+    function GetMaxCharCount (byteCount) {
+      return byteCount;
+    }
+  );
+});
+
+JSIL.ImplementExternals("System.Text.UTF8Encoding", function ($) {
+  $.RawMethod(false, "$init", function (encoderShouldEmitUTF8Identifier, throwOnInvalidBytes) {
+    this._codePage = 65001;
+    this._webName = "utf-8";
+    this._encodingName = "Unicode (UTF-8)";
+    this._preamble = encoderShouldEmitUTF8Identifier ? [0xEF, 0xBB, 0xBF] : [];
+    this._throwOnInvalid = throwOnInvalidBytes;
+  });
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])),
+    function _ctor () {
+      this.$init(false, false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.Boolean], [])),
+    function _ctor (encoderShouldEmitUTF8Identifier) {
+      this.$init(encoderShouldEmitUTF8Identifier, false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.Boolean, $.Boolean], [])),
+    function _ctor (encoderShouldEmitUTF8Identifier, throwOnInvalidBytes) {
+      this.$init(encoderShouldEmitUTF8Identifier, throwOnInvalidBytes);
+    }
+  );
+
+  $.RawMethod(false, "$encode", function encode (text) {
+    var result = [];
+
+    for (var i = 0, l = text.length; i < l; i++) {
+      var codepoint = text.charCodeAt(i);
+
+      if ((codepoint >= 0xD800) && (codepoint <= 0xDFFF)) {
+        var low = (i + 1 < l) ? text.charCodeAt(i + 1) : 0;
+
+        if ((codepoint <= 0xDBFF) && (low >= 0xDC00) && (low <= 0xDFFF)) {
+          codepoint = 0x10000 + ((codepoint - 0xD800) << 10) + (low - 0xDC00);
+          i += 1;
+        } else {
+          codepoint = this.$invalidChar(text, i);
+        }
+      }
+
+      if (codepoint < 0x80) {
+        result.push(codepoint);
+      } else if (codepoint < 0x800) {
+        result.push(0xC0 | (codepoint >> 6), 0x80 | (codepoint & 0x3F));
+      } else if (codepoint < 0x10000) {
+        result.push(0xE0 | (codepoint >> 12), 0x80 | ((codepoint >> 6) & 0x3F), 0x80 | (codepoint & 0x3F));
+      } else {
+        result.push(
+          0xF0 | (codepoint >> 18), 0x80 | ((codepoint >> 12) & 0x3F), 
+          0x80 | ((codepoint >> 6) & 0x3F), 0x80 | (codepoint & 0x3F)
+        );
+      }
+    }
+
+    return result;
+  });
+
+  // The number of continuation bytes and the smallest valid code point for each kind of lead byte.
+  var getSequenceInfo = function (b) {
+    if ((b & 0xE0) === 0xC0)
+      return [1, 0x80];
+    else if ((b & 0xF0) === 0xE0)
+      return [2, 0x800];
+    else if ((b & 0xF8) === 0xF0)
+      return [3, 0x10000];
+
+    return null;
+  };
+
+  $.RawMethod(false, "$decode", function decode (bytes, offset, count) {
+    var result = [];
+    var end = offset + count;
+
+    for (var i = offset; i < end; ) {
+      var start = i;
+      var b = bytes[i++];
+
+      if (b < 0x80) {
+        result.push(b);
+        continue;
+      }
+
+      var info = getSequenceInfo(b);
+      if (info === null) {
+        result.push(this.$invalidBytes(bytes, start, 1));
+        continue;
+      }
+
+      var codepoint = b & (0x3F >> info[0]);
+      var extraBytes = info[0];
+
+      for (; (extraBytes > 0) && (i < end) && ((bytes[i] & 0xC0) === 0x80); extraBytes--)
+        codepoint = (codepoint << 6) | (bytes[i++] & 0x3F);
+
+      if (
+        (extraBytes > 0) || (codepoint < info[1]) || (codepoint > 0x10FFFF) ||
+        ((codepoint >= 0xD800) && (codepoint <= 0xDFFF))
+      ) {
+        result.push(this.$invalidBytes(bytes, start, i - start));
+      } else if (codepoint >= 0x10000) {
+        codepoint -= 0x10000;
+        result.push(0xD800 + (codepoint >> 10), 0xDC00 + (codepoint & 0x3FF));
+      } else {
+        result.push(codepoint);
+      }
+    }
+
+    return $jsilcore.$CharCodesToString(result);
+  });
+
+  $.RawMethod(false, "$getCompleteLength", function getCompleteLength (bytes, offset, count) {
+    // Only the last three bytes can belong to an unfinished sequence.
+    for (var i = Math.max(count - 3, 0); i < count; i++) {
+      var info = getSequenceInfo(bytes[offset + i]);
+
+      if ((info !== null) && (i + info[0] >= count))
+        return i;
+    }
+
+    return count;
+  });
+
+  $.Method({Static:false, Public:true }, "GetMaxByteCount", 
+    (new JSIL.MethodSignature($.Int32, [$.Int32], [])),
+    function GetMaxByteCount (charCount) {
+      return (charCount + 1) * 3;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetMaxCharCount", 
+    (new JSIL.MethodSignature($.Int32, [$.Int32], [])),
+    function GetMaxCharCount (byteCount) {
+      return byteCount + 1;
+    }
+  );
+});
+
+JSIL.ImplementExternals("System.Text.UnicodeEncoding", function ($) {
+  $.RawMethod(false, "$init", function (bigEndian, byteOrderMark, throwOnInvalidBytes) {
+    this._bigEndian = bigEndian;
+    this._codePage = bigEndian ? 1201 : 1200;
+    this._webName = bigEndian ? "utf-16BE" : "utf-16";
+    this._encodingName = bigEndian ? "Unicode (Big-Endian)" : "Unicode";
+    this._preamble = byteOrderMark ? (bigEndian ? [0xFE, 0xFF] : [0xFF, 0xFE]) : [];
+    this._throwOnInvalid = throwOnInvalidBytes;
+  });
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])),
+    function _ctor () {
+      this.$init(false, true, false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.Boolean, $.Boolean], [])),
+    function _ctor (bigEndian, byteOrderMark) {
+      this.$init(bigEndian, byteOrderMark, false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.Boolean, $.Boolean, $.Boolean], [])),
+    function _ctor (bigEndian, byteOrderMark, throwOnInvalidBytes) {
+      this.$init(bigEndian, byteOrderMark, throwOnInvalidBytes);
+    }
+  );
+
+  $.RawMethod(false, "$encode", function encode (text) {
+    var result = new Array(text.length * 2);
+
+    for (var i = 0, l = text.length; i < l; i++) {
+      var ch = text.charCodeAt(i);
+
+      if (this._bigEndian) {
+        result[i * 2] = ch >> 8;
+        result[(i * 2) + 1] = ch & 0xFF;
+      } else {
+        result[i * 2] = ch & 0xFF;
+        result[(i * 2) + 1] = ch >> 8;
+      }
+    }
+
+    return result;
+  });
+
+  $.RawMethod(false, "$decode", function decode (bytes, offset, count) {
+    var length = count >> 1;
+    var result = new Array(length);
+
+    for (var i = 0; i < length; i++) {
+      var first = bytes[offset + (i * 2)], second = bytes[offset + (i * 2) + 1];
+
+      result[i] = this._bigEndian ? ((first << 8) | second) : ((second << 8) | first);
+    }
+
+    if ((count & 1) !== 0)
+      result.push(this.$invalidBytes(bytes, offset + count - 1, 1));
+
+    return $jsilcore.$CharCodesToString(result);
+  });
+
+  $.RawMethod(false, "$getCompleteLength", function getCompleteLength (bytes, offset, count) {
+    return count & ~1;
+  });
+
+  $.Method({Static:false, Public:true }, "GetMaxByteCount", 
+    (new JSIL.MethodSignature($.Int32, [$.Int32], [])),
+    function GetMaxByteCount (charCount) {
+      return (charCount + 1) * 2;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetMaxCharCount", 
+    (new JSIL.MethodSignature($.Int32, [$.Int32], [])),
+    function GetMaxCharCount (byteCount) {
+      return (byteCount >> 1) + (byteCount & 1) + 1;
+    }
+  );
+});
+
+JSIL.ImplementExternals("System.Text.UTF32Encoding", function ($) {
+  $.RawMethod(false, "$init", function (bigEndian, byteOrderMark, throwOnInvalidCharacters) {
+    this._bigEndian = bigEndian;
+    this._codePage = bigEndian ? 12001 : 12000;
+    this._webName = bigEndian ? "utf-32BE" : "utf-32";
+    this._encodingName = bigEndian ? "Unicode (UTF-32 Big-Endian)" : "Unicode (UTF-32)";
+    this._preamble = byteOrderMark ? (bigEndian ? [0, 0, 0xFE, 0xFF] : [0xFF, 0xFE, 0, 0]) : [];
+    this._throwOnInvalid = throwOnInvalidCharacters;
+  });
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])),
+    function _ctor () {
+      this.$init(false, true, false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.Boolean, $.Boolean], [])),
+    function _ctor (bigEndian, byteOrderMark) {
+      this.$init(bigEndian, byteOrderMark, false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.Boolean, $.Boolean, $.Boolean], [])),
+    function _ctor (bigEndian, byteOrderMark, throwOnInvalidCharacters) {
+      this.$init(bigEndian, byteOrderMark, throwOnInvalidCharacters);
+    }
+  );
+
+  $.RawMethod(false, "$encode", function encode (text) {
+    var result = [];
+
+    for (var i = 0, l = text.length; i < l; i++) {
+      var codepoint = text.charCodeAt(i);
+
+      if ((codepoint >= 0xD800) && (codepoint <= 0xDFFF)) {
+        var low = (i + 1 < l) ? text.charCodeAt(i + 1) : 0;
+
+        if ((codepoint <= 0xDBFF) && (low >= 0xDC00) && (low <= 0xDFFF)) {
+          codepoint = 0x10000 + ((codepoint - 0xD800) << 10) + (low - 0xDC00);
+          i += 1;
+        } else {
+          codepoint = this.$invalidChar(text, i);
+        }
+      }
+
+      if (this._bigEndian)
+        result.push(0, codepoint >> 16, (codepoint >> 8) & 0xFF, codepoint & 0xFF);
+      else
+        result.push(codepoint & 0xFF, (codepoint >> 8) & 0xFF, codepoint >> 16, 0);
+    }
+
+    return result;
+  });
+
+  $.RawMethod(false, "$decode", function decode (bytes, offset, count) {
+    var result = [];
+    var end = offset + (count & ~3);
+
+    for (var i = offset; i < end; i += 4) {
+      var codepoint;
+
+      if (this._bigEndian)
+        codepoint = (bytes[i] * 0x1000000) + (bytes[i + 1] << 16) + (bytes[i + 2] << 8) + bytes[i + 3];
+      else
+        codepoint = (bytes[i + 3] * 0x1000000) + (bytes[i + 2] << 16) + (bytes[i + 1] << 8) + bytes[i];
+
+      if ((codepoint > 0x10FFFF) || ((codepoint >= 0xD800) && (codepoint <= 0xDFFF))) {
+        result.push(this.$invalidBytes(bytes, i, 4));
+      } else if (codepoint >= 0x10000) {
+        codepoint -= 0x10000;
+        result.push(0xD800 + (codepoint >> 10), 0xDC00 + (codepoint & 0x3FF));
+      } else {
+        result.push(codepoint);
+      }
+    }
+
+    if ((count & 3) !== 0)
+      result.push(this.$invalidBytes(bytes, end, count & 3));
+
+    return $jsilcore.$CharCodesToString(result);
+  });
+
+  $.RawMethod(false, "$getCompleteLength", function getCompleteLength (bytes, offset, count) {
+    return count & ~3;
+  });
+
+  $.Method({Static:false, Public:true }, "GetMaxByteCount", 
+    (new JSIL.MethodSignature($.Int32, [$.Int32], [])),
+    function GetMaxByteCount (charCount) {
+      return (charCount + 1) * 4;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetMaxCharCount", 
+    (new JSIL.MethodSignature($.Int32, [$.Int32], [])),
+    function GetMaxCharCount (byteCount) {
+      return ((byteCount >> 2) + 1) * 2;
+    }
+  );
+});
+
+// Decoders hold back the bytes of a character that is split between two calls.
+JSIL.ImplementExternals("System.Text.Decoder", function ($) {
+  var tByteArray = $jsilcore.TypeRef("System.Array", [$.Byte]);
+  var tCharArray = $jsilcore.TypeRef("System.Array", [$.Char]);
+
+  $.RawMethod(false, "$init", function (encoding) {
+    this._encoding = encoding;
+    this._pending = [];
+  });
+
+  // Returns the text decoded from the pending bytes and the given bytes. When commit is false the
+  //  pending bytes are left untouched.
+  $.RawMethod(false, "$decode", function decode (bytes, index, count, flush, commit) {
+    var buffer = bytes, offset = index;
+
+    if (this._pending.length > 0) {
+      buffer = this._pending.concat(Array.prototype.slice.call(bytes, index, index + count));
+      offset = 0;
+      count = buffer.length;
+    }
+
+    var length = flush ? count : this._encoding.$getCompleteLength(buffer, offset, count);
+
+    if (commit !== false)
+      this._pending = Array.prototype.slice.call(buffer, offset + length, offset + count);
+
+    return this._encoding.$decode(buffer, offset, length);
+  });
+
+  $.Method({Static:false, Public:true }, "GetCharCount", 
+    (new JSIL.MethodSignature($.Int32, [tByteArray, $.Int32, $.Int32], [])),
+    function GetCharCount (bytes, index, count) {
+      return this.$decode(bytes, index, count, false, false).length;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetCharCount", 
+    (new JSIL.MethodSignature($.Int32, [tByteArray, $.Int32, $.Int32, $.Boolean], [])),
+    function GetCharCount (bytes, index, count, flush) {
+      return this.$decode(bytes, index, count, flush, false).length;
+    }
+  );
+
+  var getChars = function (self, bytes, byteIndex, byteCount, chars, charIndex, flush) {
+    var text = self.$decode(bytes, byteIndex, byteCount, flush);
+
+    if (chars.length - charIndex < text.length)
+      throw new System.ArgumentException("The output char buffer is too small to contain the decoded characters.", "chars");
+
+    for (var i = 0; i < text.length; i++)
+      chars[charIndex + i] = text[i];
+
+    return text.length;
+  };
+
+  $.Method({Static:false, Public:true }, "GetChars", 
+    (new JSIL.MethodSignature($.Int32, [tByteArray, $.Int32, $.Int32, tCharArray, $.Int32], [])),
+    function GetChars (bytes, byteIndex, byteCount, chars, charIndex) {
+      return getChars(this, bytes, byteIndex, byteCount, chars, charIndex, false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetChars", 
+    (new JSIL.MethodSignature($.Int32, [tByteArray, $.Int32, $.Int32, tCharArray, $.Int32, $.Boolean], [])),
+    function GetChars (bytes, byteIndex, byteCount, chars, charIndex, flush) {
+      return getChars(this, bytes, byteIndex, byteCount, chars, charIndex, flush);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Reset", 
+    (new JSIL.MethodSignature(null, [], [])),
+    function Reset () {
+      this._pending = [];
+    }
+  );
+});
+
+// Encoders hold back a high surrogate at the end of the input until its low surrogate arrives.
+JSIL.ImplementExternals("System.Text.Encoder", function ($) {
+  var tByteArray = $jsilcore.TypeRef("System.Array", [$.Byte]);
+  var tCharArray = $jsilcore.TypeRef("System.Array", [$.Char]);
+
+  $.RawMethod(false, "$init", function (encoding) {
+    this._encoding = encoding;
+    this._pending = "";
+  });
+
+  $.RawMethod(false, "$encode", function encode (text, flush, commit) {
+    text = this._pending + text;
+
+    var pending = "";
+    var last = text.charCodeAt(text.length - 1);
+
+    if (!flush && (last >= 0xD800) && (last <= 0xDBFF)) {
+      pending = text[text.length - 1];
+      text = text.substr(0, text.length - 1);
+    }
+
+    if (commit !== false)
+      this._pending = pending;
+
+    return this._encoding.$encode(text);
+  });
+
+  $.Method({Static:false, Public:true }, "GetByteCount", 
+    (new JSIL.MethodSignature($.Int32, [tCharArray, $.Int32, $.Int32, $.Boolean], [])),
+    function GetByteCount (chars, index, count, flush) {
+      var text = Array.prototype.slice.call(chars, index, index + count).join("");
+
+      return this.$encode(text, flush, false).length;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetBytes", 
+    (new JSIL.MethodSignature($.Int32, [tCharArray, $.Int32, $.Int32, tByteArray, $.Int32, $.Boolean], [])),
+    function GetBytes (chars, charIndex, charCount, bytes, byteIndex, flush) {
+      var text = Array.prototype.slice.call(chars, charIndex, charIndex + charCount).join("");
+      var result = this.$encode(text, flush);
+
+      if (bytes.length - byteIndex < result.length)
+        throw new System.ArgumentException("The output byte buffer is too small to contain the encoded data.", "bytes");
+
+      for (var i = 0; i < result.length; i++)
+        bytes[byteIndex + i] = result[i];
+
+      return result.length;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Reset", 
+    (new JSIL.MethodSignature(null, [], [])),
+    function Reset () {
+      this._pending = "";
+    }
+  );
+});
+
+JSIL.MakeClass("System.Object", "System.Text.Encoding", true, [], function ($) {
+  $.Property({Public: true , Static: true }, "Default");
+
+  $.Property({Public: true , Static: true }, "ASCII");
+
+  $.Property({Public: true , Static: true }, "UTF8");
+
+  $.Property({Public: true , Static: true }, "Unicode");
+
+  $.Property({Public: true , Static: true }, "BigEndianUnicode");
+
+  $.Property({Public: true , Static: true }, "UTF32");
+
+  $.Property({Public: true , Static: false}, "CodePage");
+
+  $.Property({Public: true , Static: false}, "WebName");
+
+  $.Property({Public: true , Static: false}, "EncodingName");
+});
+
+JSIL.MakeClass("System.Text.Encoding", "System.Text.ASCIIEncoding", true, [], function ($) {
+});
+
+JSIL.MakeClass("System.Text.Encoding", "System.Text.UTF8Encoding", true, [], function ($) {
+});
+
+JSIL.MakeClass("System.Text.Encoding", "System.Text.UnicodeEncoding", true, [], function ($) {
+});
+
+JSIL.MakeClass("System.Text.Encoding", "System.Text.UTF32Encoding", true, [], function ($) {
+});
+
+JSIL.MakeClass("System.Object", "System.Text.Decoder", true, [], function ($) {
+});
+
+JSIL.MakeClass("System.Object", "System.Text.Encoder", true, [], function ($) {
+});
+
+JSIL.ImplementExternals(
+  "System.TimeSpan", function ($) {
+    var ticksPerMillisecond = 10000;
+    var ticksPerSecond = 10000000;
+    var ticksPerMinute = 600000000;
+    var ticksPerHour = 36000000000;
+    var ticksPerDay = 864000000000;
+
+    var fromTicks = function (ticks) {
+      var result = Object.create(System.TimeSpan.prototype);
+      result._ticks = System.Int64.Coerce(ticks);
+      return result;
+    };
+
+    // Like .NET, intervals are rounded to the nearest millisecond.
+    var fromInterval = function (value, millisecondsPerUnit) {
+      var milliseconds = (value * millisecondsPerUnit) + ((value >= 0) ? 0.5 : -0.5);
+
+      return fromTicks(System.Int64.op_Multiply(
+        System.Int64.FromNumber(milliseconds), System.Int64.FromNumber(ticksPerMillisecond)
+      ));
+    };
+
+    var fromMilliseconds = function (milliseconds) {
+      return System.Int64.op_Multiply(
+        System.Int64.FromNumber(milliseconds), System.Int64.FromNumber(ticksPerMillisecond)
+      );
+    };
+
+    var getComponent = function (ticks, ticksPerUnit, unitsPerWhole) {
+      var result = System.Int64.op_Division(ticks, System.Int64.FromNumber(ticksPerUnit));
+
+      if (unitsPerWhole)
+        result = System.Int64.op_Modulus(result, System.Int64.FromNumber(unitsPerWhole));
+
+      return System.Int64.ToInt32(result);
+    };
+
+    $.Method({Static:true , Public:true }, "FromMilliseconds", 
+      (new JSIL.MethodSignature($.Type, [$.Double], [])), 
+      function FromMilliseconds (value) {
+        return fromInterval(value, 1);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "FromMinutes", 
+      (new JSIL.MethodSignature($.Type, [$.Double], [])), 
+      function FromMinutes (value) {
+        return fromInterval(value, 60 * 1000);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "FromSeconds", 
+      (new JSIL.MethodSignature($.Type, [$.Double], [])), 
+      function FromSeconds (value) {
+        return fromInterval(value, 1000);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "FromHours",
+      (new JSIL.MethodSignature($.Type, [$.Double], [])),
+      function FromHours (value) {
+        return fromInterval(value, 60 * 60 * 1000);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "FromDays",
+      (new JSIL.MethodSignature($.Type, [$.Double], [])),
+      function FromDays (value) {
+        return fromInterval(value, 24 * 60 * 60 * 1000);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "FromTicks", 
+      (new JSIL.MethodSignature($.Type, [$.Int64], [])), 
+      fromTicks
+    );
+
+    $.Method({Static:true , Public:true }, "op_Addition", 
+      (new JSIL.MethodSignature($.Type, [$.Type, $.Type], [])), 
+      function op_Addition (t1, t2) {
+        return fromTicks(System.Int64.op_Addition(t1._ticks, t2._ticks));
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_Equality", 
+      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])), 
+      function op_Equality (t1, t2) {
+        return System.Int64.op_Equality(t1._ticks, t2._ticks);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_GreaterThan", 
+      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])), 
+      function op_GreaterThan (t1, t2) {
+        return System.Int64.op_GreaterThan(t1._ticks, t2._ticks);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_GreaterThanOrEqual",
+      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])),
+      function op_GreaterThanOrEqual (t1, t2) {
+        return System.Int64.op_GreaterThanOrEqual(t1._ticks, t2._ticks);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_Inequality", 
+      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])), 
+      function op_Inequality (t1, t2) {
+        return System.Int64.op_Inequality(t1._ticks, t2._ticks);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_LessThan", 
+      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])), 
+      function op_LessThan (t1, t2) {
+        return System.Int64.op_LessThan(t1._ticks, t2._ticks);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_LessThanOrEqual",
+      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])),
+      function op_LessThanOrEqual (t1, t2) {
+        return System.Int64.op_LessThanOrEqual(t1._ticks, t2._ticks);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_Subtraction", 
+      (new JSIL.MethodSignature($.Type, [$.Type, $.Type], [])), 
+      function op_Subtraction (t1, t2) {
+        return fromTicks(System.Int64.op_Subtraction(t1._ticks, t2._ticks));
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_UnaryNegation",
+      (new JSIL.MethodSignature($.Type, [$.Type], [])),
+      function op_UnaryNegation (t) {
+        return fromTicks(System.Int64.op_UnaryNegation(t._ticks));
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor", 
+      (new JSIL.MethodSignature(null, [$.Int64], [])), 
+      function _ctor (ticks) {
+        this._ticks = System.Int64.Coerce(ticks);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor", 
+      (new JSIL.MethodSignature(null, [
+            $.Int32, $.Int32, 
+            $.Int32
+          ], [])), 
+      function _ctor (hours, minutes, seconds) {
+        this._ticks = fromMilliseconds(1000 * (seconds + 60 * (minutes + 60 * hours)));
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor", 
+      (new JSIL.MethodSignature(null, [
+            $.Int32, $.Int32, 
+            $.Int32, $.Int32
+          ], [])), 
+      function _ctor (days, hours, minutes, seconds) {
+        this._ticks = fromMilliseconds(1000 * (seconds + 60 * (minutes + 60 * (hours + 24 * days))));
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor", 
+      (new JSIL.MethodSignature(null, [
+            $.Int32, $.Int32, 
+            $.Int32, $.Int32, 
+            $.Int32
+          ], [])), 
+      function _ctor (days, hours, minutes, seconds, milliseconds) {
+        this._ticks = fromMilliseconds(milliseconds + 1000 * (seconds + 60 * (minutes + 60 * (hours + 24 * days))));
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Days", 
+      (new JSIL.MethodSignature($.Int32, [], [])), 
+      function get_Days () {
+        return getComponent(this._ticks, ticksPerDay, 0);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Hours", 
+      (new JSIL.MethodSignature($.Int32, [], [])), 
+      function get_Hours () {
+        return getComponent(this._ticks, ticksPerHour, 24);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Milliseconds", 
+      (new JSIL.MethodSignature($.Int32, [], [])), 
+      function get_Milliseconds () {
+        return getComponent(this._ticks, ticksPerMillisecond, 1000);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Minutes", 
+      (new JSIL.MethodSignature($.Int32, [], [])), 
+      function get_Minutes () {
+        return getComponent(this._ticks, ticksPerMinute, 60);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Seconds", 
+      (new JSIL.MethodSignature($.Int32, [], [])), 
+      function get_Seconds () {
+        return getComponent(this._ticks, ticksPerSecond, 60);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Ticks", 
+      (new JSIL.MethodSignature($.Int64, [], [])), 
+      function get_Ticks () {
+        return this._ticks;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_TotalDays",
+      (new JSIL.MethodSignature($.Double, [], [])),
+      function get_TotalDays () {
+        return System.Int64.ToNumber(this._ticks) / ticksPerDay;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_TotalHours",
+      (new JSIL.MethodSignature($.Double, [], [])),
+      function get_TotalHours () {
+        return System.Int64.ToNumber(this._ticks) / ticksPerHour;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_TotalMilliseconds", 
+      (new JSIL.MethodSignature($.Double, [], [])), 
+      function get_TotalMilliseconds () {
+        return System.Int64.ToNumber(this._ticks) / ticksPerMillisecond;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_TotalMinutes", 
+      (new JSIL.MethodSignature($.Double, [], [])), 
+      function get_TotalMinutes () {
+        return System.Int64.ToNumber(this._ticks) / ticksPerMinute;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_TotalSeconds", 
+      (new JSIL.MethodSignature($.Double, [], [])), 
+      function get_TotalSeconds () {
+        return System.Int64.ToNumber(this._ticks) / ticksPerSecond;
+      }
+    );
+  }
+);
+
+JSIL.MakeStruct("System.ValueType", "System.TimeSpan", true, [], function ($) {
+  $.Field({Static:false, Public:false}, "_ticks", $.Int64, function ($) {
+    return System.Int64.FromBits(0, 0);
+  });
+
+  $.Property({Public: true , Static: false}, "Ticks");
+
+  $.Property({Public: true , Static: false}, "Milliseconds");
+
+  $.Property({Public: true , Static: false}, "TotalMilliseconds");
+
+  $.Property({Public: true , Static: false}, "Seconds");
+
+  $.Property({Public: true , Static: false}, "Minutes");
+
+  $.Property({Public: true , Static: false}, "Hours");
+
+  $.Property({Public: true , Static: false}, "Days");
+
+  $.Property({Public: true , Static: false}, "TotalSeconds");
+
+  $.Property({Public: true , Static: false}, "TotalMinutes");
+
+  $.Property({Public: true , Static: false}, "TotalHours");
+
+  $.Property({Public: true , Static: false}, "TotalDays");
+});
+
+// Matches the en-US DateTimeFormatInfo. The format data of the other built-in cultures is derived from it.
+$jsilcore.$DefaultDateTimeFormat = {
+  AMDesignator: "AM",
+  PMDesignator: "PM",
+  DateSeparator: "/",
+  TimeSeparator: ":",
+  ShortDatePattern: "M/d/yyyy",
+  LongDatePattern: "dddd, MMMM dd, yyyy",
+  ShortTimePattern: "h:mm tt",
+  LongTimePattern: "h:mm:ss tt",
+  FullDateTimePattern: "dddd, MMMM dd, yyyy h:mm:ss tt",
+  MonthDayPattern: "MMMM dd",
+  YearMonthPattern: "MMMM, yyyy",
+  RFC1123Pattern: "ddd, dd MMM yyyy HH':'mm':'ss 'GMT'",
+  SortableDateTimePattern: "yyyy'-'MM'-'dd'T'HH':'mm':'ss",
+  UniversalSortableDateTimePattern: "yyyy'-'MM'-'dd HH':'mm':'ss'Z'",
+  DayNames: ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"],
+  AbbreviatedDayNames: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+  MonthNames: [
+    "January", "February", "March", "April", "May", "June",
+    "July", "August", "September", "October", "November", "December", ""
+  ],
+  AbbreviatedMonthNames: [
+    "Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec", ""
+  ],
+  TwoDigitYearMax: 2029
+};
+
+$jsilcore.$GetDateTimeFormat = function (provider) {
+  return $jsilcore.$GetFormatInfo(provider, "DateTimeFormatInfo")._data;
+};
+
+(function () {
+  var daysToMonth365 = [0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334, 365];
+  var daysToMonth366 = [0, 31, 60, 91, 121, 152, 182, 213, 244, 274, 305, 335, 366];
+
+  var isLeapYear = function (year) {
+    return ((year % 4) === 0) && (((year % 100) !== 0) || ((year % 400) === 0));
+  };
+
+  var getDaysToMonth = function (year) {
+    return isLeapYear(year) ? daysToMonth366 : daysToMonth365;
+  };
+
+  $jsilcore.$IsLeapYear = isLeapYear;
+
+  $jsilcore.$DaysInMonth = function (year, month) {
+    var daysToMonth = getDaysToMonth(year);
+    return daysToMonth[month] - daysToMonth[month - 1];
+  };
+
+  // Converts a date in the proleptic Gregorian calendar to the number of days since 1/1/0001.
+  $jsilcore.$DateToDays = function (year, month, day) {
+    var y = year - 1;
+
+    return (y * 365) + Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) +
+      getDaysToMonth(year)[month - 1] + day - 1;
+  };
+
+  // The inverse of $DateToDays, using the same 400/100/4/1 year cycles as .NET.
+  $jsilcore.$DaysToDate = function (days) {
+    var n = days;
+
+    var y400 = Math.floor(n / 146097);
+    n -= y400 * 146097;
+
+    var y100 = Math.floor(n / 36524);
+    if (y100 === 4)
+      y100 = 3;
+    n -= y100 * 36524;
+
+    var y4 = Math.floor(n / 1461);
+    n -= y4 * 1461;
+
+    var y1 = Math.floor(n / 365);
+    if (y1 === 4)
+      y1 = 3;
+    n -= y1 * 365;
+
+    var year = (y400 * 400) + (y100 * 100) + (y4 * 4) + y1 + 1;
+    var daysToMonth = getDaysToMonth(year);
+
+    var month = 1;
+    while (n >= daysToMonth[month])
+      month += 1;
+
+    return {
+      year: year,
+      month: month,
+      day: n - daysToMonth[month - 1] + 1,
+      dayOfYear: n + 1,
+      dayOfWeek: (days + 1) % 7
+    };
+  };
+
+  var padLeft = function (value, length) {
+    var result = String(value);
+    while (result.length < length)
+      result = "0" + result;
+
+    return result;
+  };
+
+  var formatOffset = function (offsetMinutes, length) {
+    var sign = (offsetMinutes < 0) ? "-" : "+";
+    var hours = Math.floor(Math.abs(offsetMinutes) / 60);
+    var minutes = Math.abs(offsetMinutes) % 60;
+
+    if (length === 1)
+      return sign + hours;
+    else if (length === 2)
+      return sign + padLeft(hours, 2);
+    else
+      return sign + padLeft(hours, 2) + ":" + padLeft(minutes, 2);
+  };
+
+  var expandStandardFormat = function (format, dfi) {
+    switch (format) {
+      case "d":
+        return dfi.ShortDatePattern;
+      case "D":
+        return dfi.LongDatePattern;
+      case "f":
+        return dfi.LongDatePattern + " " + dfi.ShortTimePattern;
+      case "F":
+      case "U":
+        return dfi.FullDateTimePattern;
+      case "g":
+        return dfi.ShortDatePattern + " " + dfi.ShortTimePattern;
+      case "G":
+        return dfi.ShortDatePattern + " " + dfi.LongTimePattern;
+      case "m":
+      case "M":
+        return dfi.MonthDayPattern;
+      case "o":
+      case "O":
+        return "yyyy'-'MM'-'dd'T'HH':'mm':'ss'.'fffffffK";
+      case "r":
+      case "R":
+        return dfi.RFC1123Pattern;
+      case "s":
+        return dfi.SortableDateTimePattern;
+      case "t":
+        return dfi.ShortTimePattern;
+      case "T":
+        return dfi.LongTimePattern;
+      case "u":
+        return dfi.UniversalSortableDateTimePattern;
+      case "y":
+      case "Y":
+        return dfi.YearMonthPattern;
+    }
+
+    throw new System.FormatException("Input string was not in a correct format.");
+  };
+
+  var getRunLength = function (format, index) {
+    var ch = format.charAt(index);
+    var end = index + 1;
+
+    while ((end < format.length) && (format.charAt(end) === ch))
+      end += 1;
+
+    return end - index;
+  };
+
+  var readQuotedString = function (format, index) {
+    var quote = format.charAt(index);
+    var result = "";
+
+    for (var i = index + 1; i < format.length; i++) {
+      var ch = format.charAt(i);
+
+      if (ch === quote)
+        return { text: result, length: i - index + 1 };
+      else if ((ch === "\\") && (i + 1 < format.length))
+        ch = format.charAt(++i);
+
+      result += ch;
+    }
+
+    throw new System.FormatException("Cannot find a matching quote character for the character '" + quote + "'.");
+  };
+
+  var formatCustom = function (fields, format, dfi) {
+    var result = "";
+
+    for (var i = 0; i < format.length; i++) {
+      var ch = format.charAt(i);
+      var length = 1;
+      var text;
+
+      switch (ch) {
+        case "d":
+          length = getRunLength(format, i);
+          if (length <= 2)
+            result += padLeft(fields.day, length);
+          else if (length === 3)
+            result += dfi.AbbreviatedDayNames[fields.dayOfWeek];
+          else
+            result += dfi.DayNames[fields.dayOfWeek];
+          break;
+
+        case "f":
+        case "F":
+          length = getRunLength(format, i);
+          if (length > 7)
+            throw new System.FormatException("Input string was not in a correct format.");
+
+          text = padLeft(fields.fraction, 7).substr(0, length);
+
+          if (ch === "F") {
+            text = text.replace(/0+$/, "");
+
+            // A decimal separator right before an empty fraction is removed as well.
+            if ((text.length === 0) && (result.charAt(result.length - 1) === "."))
+              result = result.substr(0, result.length - 1);
+          }
+
+          result += text;
+          break;
+
+        case "g":
+          length = getRunLength(format, i);
+          result += "A.D.";
+          break;
+
+        case "h":
+          length = getRunLength(format, i);
+          result += padLeft((fields.hour % 12) || 12, Math.min(length, 2));
+          break;
+
+        case "H":
+          length = getRunLength(format, i);
+          result += padLeft(fields.hour, Math.min(length, 2));
+          break;
+
+        case "K":
+          result += fields.kindSuffix;
+          break;
+
+        case "m":
+          length = getRunLength(format, i);
+          result += padLeft(fields.minute, Math.min(length, 2));
+          break;
+
+        case "M":
+          length = getRunLength(format, i);
+          if (length <= 2)
+            result += padLeft(fields.month, length);
+          else if (length === 3)
+            result += dfi.AbbreviatedMonthNames[fields.month - 1];
+          else
+            result += dfi.MonthNames[fields.month - 1];
+          break;
+
+        case "s":
+          length = getRunLength(format, i);
+          result += padLeft(fields.second, Math.min(length, 2));
+          break;
+
+        case "t":
+          length = getRunLength(format, i);
+          text = (fields.hour < 12) ? dfi.AMDesignator : dfi.PMDesignator;
+          result += (length === 1) ? text.substr(0, 1) : text;
+          break;
+
+        case "y":
+          length = getRunLength(format, i);
+          if (length <= 2)
+            result += padLeft(fields.year % 100, length);
+          else
+            result += padLeft(fields.year, length);
+          break;
+
+        case "z":
+          length = getRunLength(format, i);
+          result += formatOffset(fields.offset, length);
+          break;
+
+        case ":":
+          result += dfi.TimeSeparator;
+          break;
+
+        case "/":
+          result += dfi.DateSeparator;
+          break;
+
+        case "'":
+        case "\"":
+          text = readQuotedString(format, i);
+          result += text.text;
+          length = text.length;
+          break;
+
+        case "%":
+          // Allows a single custom specifier to be used on its own, since single characters are standard formats.
+          if ((i + 1 < format.length) && (format.charAt(i + 1) !== "%")) {
+            result += formatCustom(fields, format.charAt(i + 1), dfi);
+            length = 2;
+          } else {
+            throw new System.FormatException("Input string was not in a correct format.");
+          }
+          break;
+
+        case "\\":
+          if (i + 1 >= format.length)
+            throw new System.FormatException("Input string was not in a correct format.");
+
+          result += format.charAt(i + 1);
+          length = 2;
+          break;
+
+        default:
+          result += ch;
+          break;
+      }
+
+      i += length - 1;
+    }
+
+    return result;
+  };
+
+  // Formats date and time fields using a standard or custom .NET date and time format string.
+  // The fields are year, month, day, dayOfWeek, hour, minute, second and fraction (in ticks),
+  //  along with offset (in minutes) for the 'z' specifiers and kindSuffix for the 'K' specifier.
+  $jsilcore.$FormatDateTime = function (fields, format, provider) {
+    var dfi = $jsilcore.$GetDateTimeFormat(provider);
+
+    if ((format === null) || (typeof (format) === "undefined") || (format.length === 0))
+      format = "G";
+
+    if (format.length === 1) {
+      // The round-trip, RFC1123 and sortable formats are the same in every culture.
+      if ("oOrRsu".indexOf(format) >= 0)
+        dfi = $jsilcore.$GetDateTimeFormat(System.Globalization.CultureInfo.get_InvariantCulture());
+
+      format = expandStandardFormat(format, dfi);
+    }
+
+    return formatCustom(fields, format, dfi);
+  };
+
+  var matchName = function (text, index, names) {
+    // The longest matching name wins, so that "June" is not read as "Jun".
+    var result = null;
+
+    for (var i = 0; i < names.length; i++) {
+      var name = names[i];
+
+      if ((name.length === 0) || ((result !== null) && (name.length <= result.length)))
+        continue;
+
+      if (text.substr(index, name.length).toLowerCase() === name.toLowerCase())
+        result = { index: i, length: name.length };
+    }
+
+    return result;
+  };
+
+  var isWhiteSpace = function (ch) {
+    return /^\s$/.test(ch);
+  };
+
+  // Matches text against a custom format. Returns null if the text does not match, or an object
+  //  containing the fields that appear in the format.
+  var parseCustom = function (text, format, dfi, exact) {
+    var fields = {};
+    var position = 0;
+
+    var readNumber = function (minimumDigits, maximumDigits) {
+      var digits = /^[0-9]*/.exec(text.substr(position, maximumDigits))[0];
+      if (digits.length < minimumDigits)
+        return null;
+
+      position += digits.length;
+      return parseInt(digits, 10);
+    };
+
+    var readName = function (names) {
+      var match = matchName(text, position, names);
+      if (match === null)
+        return null;
+
+      position += match.length;
+      return match.index;
+    };
+
+    var readOffset = function (optional) {
+      var match = /^([+\-])([0-9]{1,2})(?::?([0-9]{2}))?/.exec(text.substr(position));
+
+      if (match === null)
+        return optional;
+
+      position += match[0].length;
+      fields.offset = ((match[1] === "-") ? -1 : 1) * ((parseInt(match[2], 10) * 60) + parseInt(match[3] || "0", 10));
+      return true;
+    };
+
+    var readLiteral = function (literal) {
+      for (var i = 0; i < literal.length; i++) {
+        var ch = literal.charAt(i);
+
+        if (!exact && isWhiteSpace(ch)) {
+          while (isWhiteSpace(text.charAt(position)))
+            position += 1;
+        } else if (text.charAt(position).toLowerCase() === ch.toLowerCase()) {
+          position += 1;
+        } else {
+          return false;
+        }
+      }
+
+      return true;
+    };
+
+    var expandYear = function (year, digitCount) {
+      if (digitCount > 2)
+        return year;
+
+      var result = dfi.TwoDigitYearMax - (dfi.TwoDigitYearMax % 100) + year;
+      return (result > dfi.TwoDigitYearMax) ? result - 100 : result;
+    };
+
+    for (var i = 0; i < format.length; i++) {
+      var ch = format.charAt(i);
+      var length = getRunLength(format, i);
+      var start = position;
+      var value = null;
+      var ok = true;
+
+      switch (ch) {
+        case "d":
+          if (length <= 2)
+            ok = (fields.day = readNumber((exact && (length === 2)) ? 2 : 1, 2)) !== null;
+          else
+            ok = (fields.dayOfWeek = readName((length === 3) ? dfi.AbbreviatedDayNames : dfi.DayNames)) !== null;
+          break;
+
+        case "f":
+        case "F":
+          value = readNumber((ch === "f") ? length : 0, length);
+          ok = (value !== null);
+          if (ok && (position > start))
+            fields.fraction = value * Math.pow(10, 7 - (position - start));
+          break;
+
+        case "g":
+          readName(["A.D.", "AD"]);
+          break;
+
+        case "h":
+        case "H":
+        case "m":
+        case "s":
+          value = readNumber((exact && (length >= 2)) ? 2 : 1, 2);
+          ok = (value !== null);
+          fields[{ h: "hour12", H: "hour", m: "minute", s: "second" }[ch]] = value;
+          break;
+
+        case "K":
+          length = 1;
+          if (text.charAt(position).toUpperCase() === "Z") {
+            position += 1;
+            fields.offset = 0;
+            fields.isUtc = true;
+          } else {
+            readOffset(true);
+          }
+          break;
+
+        case "M":
+          if (length <= 2) {
+            ok = (fields.month = readNumber((exact && (length === 2)) ? 2 : 1, 2)) !== null;
+          } else {
+            value = readName((length === 3) ? dfi.AbbreviatedMonthNames : dfi.MonthNames);
+            if ((value === null) && !exact)
+              value = readName(dfi.AbbreviatedMonthNames);
+
+            ok = (value !== null);
+            fields.month = value + 1;
+          }
+          break;
+
+        case "t":
+          value = readName((length === 1) ?
+            [dfi.AMDesignator.substr(0, 1), dfi.PMDesignator.substr(0, 1)] :
+            [dfi.AMDesignator, dfi.PMDesignator]
+          );
+          ok = (value !== null);
+          fields.isPM = (value === 1);
+          break;
+
+        case "y":
+          value = readNumber(exact ? Math.min(length, 4) : 1, Math.max(length, 4));
+          ok = (value !== null);
+          fields.year = expandYear(value, exact ? length : position - start);
+          break;
+
+        case "z":
+          ok = readOffset(false);
+          break;
+
+        case ":":
+          length = 1;
+          ok = readLiteral(dfi.TimeSeparator);
+          break;
+
+        case "/":
+          length = 1;
+          ok = readLiteral(dfi.DateSeparator);
+          break;
+
+        case "'":
+        case "\"":
+          var quoted = readQuotedString(format, i);
+          length = quoted.length;
+          ok = readLiteral(quoted.text);
+          break;
+
+        case "%":
+          length = 1;
+          break;
+
+        case "\\":
+          length = 2;
+          ok = readLiteral(format.charAt(i + 1));
+          break;
+
+        default:
+          length = 1;
+          ok = readLiteral(ch);
+
+          // A fraction introduced by a separator is optional when it is specified with 'F'.
+          if (!ok && (format.charAt(i + 1) === "F"))
+            ok = true;
+          break;
+      }
+
+      if (!ok)
+        return null;
+
+      i += length - 1;
+    }
+
+    if (!exact) {
+      while (isWhiteSpace(text.charAt(position)))
+        position += 1;
+    }
+
+    return (position === text.length) ? fields : null;
+  };
+
+  var getParseFormats = function (dfi) {
+    var dateFormats = [
+      dfi.ShortDatePattern, dfi.LongDatePattern, "yyyy'-'M'-'d", "yyyy/M/d",
+      "MMMM d yyyy", "MMMM d, yyyy", "d MMMM yyyy", "dddd, d MMMM yyyy", "ddd, d MMM yyyy"
+    ];
+    // Like .NET, 12-hour times are accepted even when the patterns of the culture use a 24-hour clock.
+    var timeFormats = [
+      dfi.LongTimePattern + "K", dfi.ShortTimePattern + "K", "H:mm:ss.FFFFFFFK", "H:mmK", "h:mm:ss ttK", "h:mm ttK"
+    ];
+    var result = [];
+
+    for (var i = 0; i < dateFormats.length; i++) {
+      for (var j = 0; j < timeFormats.length; j++) {
+        result.push(dateFormats[i] + " " + timeFormats[j]);
+        result.push(dateFormats[i] + "'T'" + timeFormats[j]);
+      }
+
+      result.push(dateFormats[i]);
+    }
+
+    return result.concat(timeFormats, [dfi.RFC1123Pattern, dfi.MonthDayPattern, dfi.YearMonthPattern]);
+  };
+
+  // Parses text as a date and time, either using the given formats or by trying the common patterns
+  //  of the provider. The returned fields have the same names as the ones used for formatting, plus
+  //  isUtc; offset is null unless the text specified one. Returns null if the text is not valid.
+  $jsilcore.$ParseDateTime = function (text, formats, provider) {
+    if ((text === null) || (typeof (text) === "undefined"))
+      throw new System.ArgumentNullException("s");
+
+    var dfi = $jsilcore.$GetDateTimeFormat(provider);
+    var exact = (formats !== null);
+    var fields = null;
+
+    if (exact) {
+      for (var i = 0; (i < formats.length) && (fields === null); i++) {
+        if ((formats[i] === null) || (formats[i].length === 0))
+          throw new System.FormatException("Format specifier was invalid.");
+
+        var format = (formats[i].length === 1) ? expandStandardFormat(formats[i], dfi) : formats[i];
+        fields = parseCustom(text, format, dfi, true);
+      }
+    } else {
+      text = text.replace(/^\s+|\s+$/g, "");
+      formats = getParseFormats(dfi);
+
+      for (var j = 0; (j < formats.length) && (fields === null); j++)
+        fields = parseCustom(text, formats[j], dfi, false);
+    }
+
+    if (fields === null)
+      return null;
+
+    var today = new Date();
+    var hasDate = ("year" in fields) || ("month" in fields) || ("day" in fields);
+
+    var result = {
+      year: ("year" in fields) ? fields.year : today.getFullYear(),
+      month: ("month" in fields) ? fields.month : (hasDate ? 1 : today.getMonth() + 1),
+      day: ("day" in fields) ? fields.day : (hasDate ? 1 : today.getDate()),
+      hour: ("hour" in fields) ? fields.hour : 0,
+      minute: fields.minute || 0,
+      second: fields.second || 0,
+      fraction: fields.fraction || 0,
+      offset: ("offset" in fields) ? fields.offset : null,
+      isUtc: fields.isUtc === true
+    };
+
+    if ("hour12" in fields) {
+      if ((fields.hour12 < 1) || (fields.hour12 > 12))
+        return null;
+
+      result.hour = fields.hour12 % 12;
+    }
+
+    if ("isPM" in fields) {
+      if (result.hour > 12)
+        return null;
+      else if (fields.isPM && (result.hour < 12))
+        result.hour += 12;
+      else if (!fields.isPM && (result.hour === 12))
+        result.hour = 0;
+    }
+
+    if (
+      (result.year < 1) || (result.year > 9999) ||
+      (result.month < 1) || (result.month > 12) ||
+      (result.day < 1) || (result.day > $jsilcore.$DaysInMonth(result.year, result.month)) ||
+      (result.hour > 23) || (result.minute > 59) || (result.second > 59) ||
+      ((result.offset !== null) && (Math.abs(result.offset) > 14 * 60))
+    )
+      return null;
+
+    var days = $jsilcore.$DateToDays(result.year, result.month, result.day);
+    result.dayOfWeek = $jsilcore.$DaysToDate(days).dayOfWeek;
+
+    if (("dayOfWeek" in fields) && (fields.dayOfWeek !== result.dayOfWeek))
+      return null;
+
+    return result;
+  };
+})();
+
+JSIL.MakeEnum(
+  "System.DateTimeKind", true, {
+    Unspecified: 0,
+    Utc: 1,
+    Local: 2
+  }, false
+);
+
+JSIL.MakeEnum(
+  "System.DayOfWeek", true, {
+    Sunday: 0,
+    Monday: 1,
+    Tuesday: 2,
+    Wednesday: 3,
+    Thursday: 4,
+    Friday: 5,
+    Saturday: 6
+  }, false
+);
+
+JSIL.ImplementExternals(
+  "System.DateTime", function ($) {
+    var mscorlib = JSIL.GetCorlib();
+
+    var ticksPerMillisecond = 10000;
+    var ticksPerSecond = 10000000;
+    var ticksPerMinute = 600000000;
+    var ticksPerHour = 36000000000;
+    var ticksPerDay = 864000000000;
+    var millisecondsPerDay = 86400000;
+
+    // Days from 1/1/0001 to 1/1/1970 and to 1/1/10000.
+    var daysTo1970 = 719162;
+    var daysTo10000 = 3652059;
+
+    var kindUnspecified = 0, kindUtc = 1, kindLocal = 2;
+    var kindNames = ["Unspecified", "Utc", "Local"];
+    var dayOfWeekNames = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+    var styleAdjustToUniversal = 16, styleAssumeLocal = 32, styleAssumeUniversal = 64, styleRoundtripKind = 128;
+
+    var outOfRangeMessage = "The added or subtracted value results in an un-representable DateTime.";
+
+    var getEnumValue = function (value) {
+      if ((typeof (value) === "object") && (value !== null))
+        return value.value;
+
+      return value || 0;
+    };
+
+    // Ticks are split into a day number and the ticks within that day so that the calendar
+    //  arithmetic can be done with ordinary numbers.
+    var split = function (dateTime) {
+      var ticksPerDay64 = System.Int64.FromNumber(ticksPerDay);
+
+      return {
+        days: System.Int64.ToNumber(System.Int64.op_Division(dateTime._ticks, ticksPerDay64)),
+        time: System.Int64.ToNumber(System.Int64.op_Modulus(dateTime._ticks, ticksPerDay64))
+      };
+    };
+
+    var fromTicks = function (ticks, kind, paramName, message) {
+      var result = Object.create(System.DateTime.prototype);
+      result._ticks = System.Int64.Coerce(ticks);
+      result._kind = kind;
+
+      var parts = split(result);
+      if ((parts.days < 0) || (parts.time < 0) || (parts.days >= daysTo10000))
+        throw new System.ArgumentOutOfRangeException(
+          paramName || "ticks", message || "Ticks must be between DateTime.MinValue.Ticks and DateTime.MaxValue.Ticks."
+        );
+
+      return result;
+    };
+
+    var fromDays = function (days, time, kind, paramName, message) {
+      var extraDays = Math.floor(time / ticksPerDay);
+      days += extraDays;
+      time -= extraDays * ticksPerDay;
+
+      if ((days < 0) || (days >= daysTo10000))
+        throw new System.ArgumentOutOfRangeException(paramName || "ticks", message || outOfRangeMessage);
+
+      return fromTicks(
+        System.Int64.op_Addition(
+          System.Int64.op_Multiply(System.Int64.FromNumber(days), System.Int64.FromNumber(ticksPerDay)),
+          System.Int64.FromNumber(time)
+        ), kind
+      );
+    };
+
+    var dateToDays = function (year, month, day) {
+      if (
+        (year < 1) || (year > 9999) || (month < 1) || (month > 12) ||
+        (day < 1) || (day > $jsilcore.$DaysInMonth(year, month))
+      )
+        throw new System.ArgumentOutOfRangeException(null, "Year, Month, and Day parameters describe an un-representable DateTime.");
+
+      return $jsilcore.$DateToDays(year, month, day);
+    };
+
+    var timeToTicks = function (hour, minute, second, millisecond) {
+      if ((hour < 0) || (hour > 23) || (minute < 0) || (minute > 59) || (second < 0) || (second > 59))
+        throw new System.ArgumentOutOfRangeException(null, "Hour, Minute, and Second parameters describe an un-representable DateTime.");
+
+      if ((millisecond < 0) || (millisecond > 999))
+        throw new System.ArgumentOutOfRangeException("millisecond", "Valid values are between 0 and 999, inclusive.");
+
+      return (hour * ticksPerHour) + (minute * ticksPerMinute) + (second * ticksPerSecond) + (millisecond * ticksPerMillisecond);
+    };
+
+    var fromComponents = function (year, month, day, hour, minute, second, millisecond, kind) {
+      return fromDays(
+        dateToDays(year, month, day), timeToTicks(hour || 0, minute || 0, second || 0, millisecond || 0), kind
+      );
+    };
+
+    // Returns the offset of the local time zone from UTC, in minutes, at the given UTC time.
+    var getUtcOffset = function (utcDays, utcTime) {
+      var milliseconds = ((utcDays - daysTo1970) * millisecondsPerDay) + Math.floor(utcTime / ticksPerMillisecond);
+      return -(new Date(milliseconds)).getTimezoneOffset();
+    };
+
+    var getLocalOffset = function (localDays, localTime) {
+      var guess = getUtcOffset(localDays, localTime);
+      return getUtcOffset(localDays, localTime - (guess * ticksPerMinute));
+    };
+
+    var toLocalTime = function (dateTime) {
+      if (dateTime._kind === kindLocal)
+        return dateTime;
+
+      var parts = split(dateTime);
+      return fromDays(parts.days, parts.time + (getUtcOffset(parts.days, parts.time) * ticksPerMinute), kindLocal);
+    };
+
+    var toUniversalTime = function (dateTime) {
+      if (dateTime._kind === kindUtc)
+        return dateTime;
+
+      var parts = split(dateTime);
+      return fromDays(parts.days, parts.time - (getLocalOffset(parts.days, parts.time) * ticksPerMinute), kindUtc);
+    };
+
+    var getUtcNow = function () {
+      var milliseconds = Date.now();
+      var days = Math.floor(milliseconds / millisecondsPerDay);
+
+      return fromDays(daysTo1970 + days, (milliseconds - (days * millisecondsPerDay)) * ticksPerMillisecond, kindUtc);
+    };
+
+    var getFields = function (dateTime) {
+      var parts = split(dateTime);
+      var result = $jsilcore.$DaysToDate(parts.days);
+      var time = parts.time;
+
+      result.hour = Math.floor(time / ticksPerHour);
+      result.minute = Math.floor(time / ticksPerMinute) % 60;
+      result.second = Math.floor(time / ticksPerSecond) % 60;
+      result.millisecond = Math.floor(time / ticksPerMillisecond) % 1000;
+      result.fraction = time % ticksPerSecond;
+
+      return result;
+    };
+
+    var format = function (dateTime, formatString, provider) {
+      if (formatString === "U")
+        dateTime = toUniversalTime(dateTime);
+
+      var parts = split(dateTime);
+      var fields = getFields(dateTime);
+
+      fields.offset = (dateTime._kind === kindUtc) ?
+        getUtcOffset(parts.days, parts.time) :
+        getLocalOffset(parts.days, parts.time);
+
+      if (dateTime._kind === kindUtc)
+        fields.kindSuffix = "Z";
+      else if (dateTime._kind === kindLocal)
+        fields.kindSuffix = $jsilcore.$FormatDateTime(fields, "zzz", provider);
+      else
+        fields.kindSuffix = "";
+
+      return $jsilcore.$FormatDateTime(fields, formatString, provider);
+    };
+
+    var addTicks = function (dateTime, ticks) {
+      return fromTicks(System.Int64.op_Addition(dateTime._ticks, ticks), dateTime._kind, "value", outOfRangeMessage);
+    };
+
+    // Like .NET, fractional intervals are rounded to the nearest millisecond.
+    var addInterval = function (dateTime, value, millisecondsPerUnit) {
+      var milliseconds = (value * millisecondsPerUnit) + ((value >= 0) ? 0.5 : -0.5);
+      milliseconds = (milliseconds < 0) ? Math.ceil(milliseconds) : Math.floor(milliseconds);
+
+      if (Math.abs(milliseconds) >= daysTo10000 * millisecondsPerDay)
+        throw new System.ArgumentOutOfRangeException("value", "Value to add was out of range.");
+
+      return addTicks(dateTime, System.Int64.op_Multiply(
+        System.Int64.FromNumber(milliseconds), System.Int64.FromNumber(ticksPerMillisecond)
+      ));
+    };
+
+    var addMonths = function (dateTime, months) {
+      if ((months < -120000) || (months > 120000))
+        throw new System.ArgumentOutOfRangeException("months", "Months value must be between +/-120000.");
+
+      var fields = getFields(dateTime);
+      var totalMonths = (fields.year * 12) + (fields.month - 1) + months;
+      var year = Math.floor(totalMonths / 12);
+      var month = totalMonths - (year * 12) + 1;
+
+      if ((year < 1) || (year > 9999))
+        throw new System.ArgumentOutOfRangeException("months", outOfRangeMessage);
+
+      var day = Math.min(fields.day, $jsilcore.$DaysInMonth(year, month));
+      return fromDays($jsilcore.$DateToDays(year, month, day), split(dateTime).time, dateTime._kind);
+    };
+
+    var compare = function (lhs, rhs) {
+      if (System.Int64.op_LessThan(lhs._ticks, rhs._ticks))
+        return -1;
+      else if (System.Int64.op_GreaterThan(lhs._ticks, rhs._ticks))
+        return 1;
+      else
+        return 0;
+    };
+
+    var fromParsedFields = function (fields, styles) {
+      var result = fromComponents(fields.year, fields.month, fields.day, fields.hour, fields.minute, fields.second, 0, kindUnspecified);
+      result = addTicks(result, System.Int64.FromNumber(fields.fraction));
+      styles = getEnumValue(styles);
+
+      var isUniversal = (fields.offset !== null) || ((styles & styleAssumeUniversal) !== 0);
+      var isLocal = !isUniversal && ((styles & styleAssumeLocal) !== 0);
+
+      if (isUniversal) {
+        var parts = split(result);
+        result = fromDays(parts.days, parts.time - ((fields.offset || 0) * ticksPerMinute), kindUtc);
+
+        if (fields.isUtc && ((styles & styleRoundtripKind) !== 0))
+          return result;
+        else if ((styles & styleAdjustToUniversal) === 0)
+          return toLocalTime(result);
+      } else if (isLocal) {
+        result._kind = kindLocal;
+
+        if ((styles & styleAdjustToUniversal) !== 0)
+          return toUniversalTime(result);
+      }
+
+      return result;
+    };
+
+    var parse = function (text, formats, provider, styles) {
+      if ((formats !== null) && (typeof (formats) === "string"))
+        formats = [formats];
+
+      var fields = $jsilcore.$ParseDateTime(text, formats, provider);
+      if (fields === null)
+        return null;
+
+      return fromParsedFields(fields, styles);
+    };
+
+    var parseOrThrow = function (text, formats, provider, styles) {
+      var result = parse(text, formats, provider, styles);
+      if (result === null)
+        throw new System.FormatException("String was not recognized as a valid DateTime.");
+
+      return result;
+    };
+
+    var tryParse = function (text, formats, provider, styles, result) {
+      var parsed = ((text === null) || (typeof (text) === "undefined")) ? null : parse(text, formats, provider, styles);
+
+      if (parsed === null) {
+        result.value = fromTicks(0, kindUnspecified);
+        return false;
+      }
+
+      result.value = parsed;
+      return true;
+    };
+
+    $.RawMethod(true, "$FromDays", fromDays);
+
+    $.RawMethod(true, "$GetFields", getFields);
+
+    $.RawMethod(true, "$GetUtcOffset", getUtcOffset);
+
+    $.RawMethod(true, "$GetLocalOffset", getLocalOffset);
+
+    $.RawMethod(true, "$Split", split);
+
+    $.Method({Static:true , Public:true }, ".cctor2",
+      (new JSIL.MethodSignature(null, [], [])),
+      function () {
+        // This type already has a cctor so we add a second one.
+        System.DateTime.MinValue = fromDays(0, 0, kindUnspecified);
+        System.DateTime.MaxValue = fromDays(daysTo10000 - 1, ticksPerDay - 1, kindUnspecified);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor",
+      (new JSIL.MethodSignature(null, [$.Int64], [])),
+      function _ctor (ticks) {
+        var result = fromTicks(ticks, kindUnspecified);
+        this._ticks = result._ticks;
+        this._kind = result._kind;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor",
+      (new JSIL.MethodSignature(null, [$.Int64, mscorlib.TypeRef("System.DateTimeKind")], [])),
+      function _ctor (ticks, kind) {
+        var result = fromTicks(ticks, getEnumValue(kind));
+        this._ticks = result._ticks;
+        this._kind = result._kind;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor",
+      (new JSIL.MethodSignature(null, [$.Int32, $.Int32, $.Int32], [])),
+      function _ctor (year, month, day) {
+        var result = fromComponents(year, month, day, 0, 0, 0, 0, kindUnspecified);
+        this._ticks = result._ticks;
+        this._kind = result._kind;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor",
+      (new JSIL.MethodSignature(null, [
+            $.Int32, $.Int32, $.Int32,
+            $.Int32, $.Int32, $.Int32
+          ], [])),
+      function _ctor (year, month, day, hour, minute, second) {
+        var result = fromComponents(year, month, day, hour, minute, second, 0, kindUnspecified);
+        this._ticks = result._ticks;
+        this._kind = result._kind;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor",
+      (new JSIL.MethodSignature(null, [
+            $.Int32, $.Int32, $.Int32,
+            $.Int32, $.Int32, $.Int32,
+            mscorlib.TypeRef("System.DateTimeKind")
+          ], [])),
+      function _ctor (year, month, day, hour, minute, second, kind) {
+        var result = fromComponents(year, month, day, hour, minute, second, 0, getEnumValue(kind));
+        this._ticks = result._ticks;
+        this._kind = result._kind;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor",
+      (new JSIL.MethodSignature(null, [
+            $.Int32, $.Int32, $.Int32,
+            $.Int32, $.Int32, $.Int32,
+            $.Int32
+          ], [])),
+      function _ctor (year, month, day, hour, minute, second, millisecond) {
+        var result = fromComponents(year, month, day, hour, minute, second, millisecond, kindUnspecified);
+        this._ticks = result._ticks;
+        this._kind = result._kind;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor",
+      (new JSIL.MethodSignature(null, [
+            $.Int32, $.Int32, $.Int32,
+            $.Int32, $.Int32, $.Int32,
+            $.Int32, mscorlib.TypeRef("System.DateTimeKind")
+          ], [])),
+      function _ctor (year, month, day, hour, minute, second, millisecond, kind) {
+        var result = fromComponents(year, month, day, hour, minute, second, millisecond, getEnumValue(kind));
+        this._ticks = result._ticks;
+        this._kind = result._kind;
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "get_Now",
+      (new JSIL.MethodSignature($.Type, [], [])),
+      function get_Now () {
+        return toLocalTime(getUtcNow());
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "get_UtcNow",
+      (new JSIL.MethodSignature($.Type, [], [])),
+      getUtcNow
+    );
+
+    $.Method({Static:true , Public:true }, "get_Today",
+      (new JSIL.MethodSignature($.Type, [], [])),
+      function get_Today () {
+        return fromDays(split(toLocalTime(getUtcNow())).days, 0, kindLocal);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "DaysInMonth",
+      (new JSIL.MethodSignature($.Int32, [$.Int32, $.Int32], [])),
+      function DaysInMonth (year, month) {
+        if ((month < 1) || (month > 12))
+          throw new System.ArgumentOutOfRangeException("month", "Month must be between one and twelve.");
+
+        return $jsilcore.$DaysInMonth(year, month);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "IsLeapYear",
+      (new JSIL.MethodSignature($.Boolean, [$.Int32], [])),
+      function IsLeapYear (year) {
+        if ((year < 1) || (year > 9999))
+          throw new System.ArgumentOutOfRangeException("year", "Year must be between 1 and 9999.");
+
+        return $jsilcore.$IsLeapYear(year);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "SpecifyKind",
+      (new JSIL.MethodSignature($.Type, [$.Type, mscorlib.TypeRef("System.DateTimeKind")], [])),
+      function SpecifyKind (value, kind) {
+        return fromTicks(value._ticks, getEnumValue(kind));
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "Compare",
+      (new JSIL.MethodSignature($.Int32, [$.Type, $.Type], [])),
+      compare
+    );
+
+    $.Method({Static:true , Public:true }, "Parse",
+      (new JSIL.MethodSignature($.Type, [$.String], [])),
+      function Parse (s) {
+        return parseOrThrow(s, null, null, 0);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "Parse",
+      (new JSIL.MethodSignature($.Type, [$.String, mscorlib.TypeRef("System.IFormatProvider")], [])),
+      function Parse (s, provider) {
+        return parseOrThrow(s, null, provider, 0);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "Parse",
+      (new JSIL.MethodSignature($.Type, [
+            $.String, mscorlib.TypeRef("System.IFormatProvider"),
+            mscorlib.TypeRef("System.Globalization.DateTimeStyles")
+          ], [])),
+      function Parse (s, provider, styles) {
+        return parseOrThrow(s, null, provider, styles);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "ParseExact",
+      (new JSIL.MethodSignature($.Type, [$.String, $.String, mscorlib.TypeRef("System.IFormatProvider")], [])),
+      function ParseExact (s, format, provider) {
+        return parseOrThrow(s, format, provider, 0);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "ParseExact",
+      (new JSIL.MethodSignature($.Type, [
+            $.String, $.String,
+            mscorlib.TypeRef("System.IFormatProvider"), mscorlib.TypeRef("System.Globalization.DateTimeStyles")
+          ], [])),
+      function ParseExact (s, format, provider, style) {
+        return parseOrThrow(s, format, provider, style);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "ParseExact",
+      (new JSIL.MethodSignature($.Type, [
+            $.String, mscorlib.TypeRef("System.Array", [$.String]),
+            mscorlib.TypeRef("System.IFormatProvider"), mscorlib.TypeRef("System.Globalization.DateTimeStyles")
+          ], [])),
+      function ParseExact (s, formats, provider, style) {
+        return parseOrThrow(s, formats, provider, style);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "TryParse",
+      (new JSIL.MethodSignature($.Boolean, [$.String, $jsilcore.TypeRef("JSIL.Reference", [$.Type])], [])),
+      function TryParse (s, result) {
+        return tryParse(s, null, null, 0, result);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "TryParse",
+      (new JSIL.MethodSignature($.Boolean, [
+            $.String, mscorlib.TypeRef("System.IFormatProvider"),
+            mscorlib.TypeRef("System.Globalization.DateTimeStyles"), $jsilcore.TypeRef("JSIL.Reference", [$.Type])
+          ], [])),
+      function TryParse (s, provider, styles, result) {
+        return tryParse(s, null, provider, styles, result);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "TryParseExact",
+      (new JSIL.MethodSignature($.Boolean, [
+            $.String, $.String,
+            mscorlib.TypeRef("System.IFormatProvider"), mscorlib.TypeRef("System.Globalization.DateTimeStyles"),
+            $jsilcore.TypeRef("JSIL.Reference", [$.Type])
+          ], [])),
+      function TryParseExact (s, format, provider, style, result) {
+        return tryParse(s, format, provider, style, result);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "TryParseExact",
+      (new JSIL.MethodSignature($.Boolean, [
+            $.String, mscorlib.TypeRef("System.Array", [$.String]),
+            mscorlib.TypeRef("System.IFormatProvider"), mscorlib.TypeRef("System.Globalization.DateTimeStyles"),
+            $jsilcore.TypeRef("JSIL.Reference", [$.Type])
+          ], [])),
+      function TryParseExact (s, formats, provider, style, result) {
+        return tryParse(s, formats, provider, style, result);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_Addition",
+      (new JSIL.MethodSignature($.Type, [$.Type, mscorlib.TypeRef("System.TimeSpan")], [])),
+      function op_Addition (d, t) {
+        return addTicks(d, t._ticks);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_Subtraction",
+      (new JSIL.MethodSignature(mscorlib.TypeRef("System.TimeSpan"), [$.Type, $.Type], [])),
+      function op_Subtraction (d1, d2) {
+        return System.TimeSpan.FromTicks(System.Int64.op_Subtraction(d1._ticks, d2._ticks));
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_Subtraction",
+      (new JSIL.MethodSignature($.Type, [$.Type, mscorlib.TypeRef("System.TimeSpan")], [])),
+      function op_Subtraction (d, t) {
+        return addTicks(d, System.Int64.op_UnaryNegation(t._ticks));
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_Equality",
+      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])),
+      function op_Equality (d1, d2) {
+        return compare(d1, d2) === 0;
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_Inequality",
+      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])),
+      function op_Inequality (d1, d2) {
+        return compare(d1, d2) !== 0;
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_LessThan",
+      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])),
+      function op_LessThan (t1, t2) {
+        return compare(t1, t2) < 0;
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_LessThanOrEqual",
+      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])),
+      function op_LessThanOrEqual (t1, t2) {
+        return compare(t1, t2) <= 0;
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_GreaterThan",
+      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])),
+      function op_GreaterThan (t1, t2) {
+        return compare(t1, t2) > 0;
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_GreaterThanOrEqual",
+      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])),
+      function op_GreaterThanOrEqual (t1, t2) {
+        return compare(t1, t2) >= 0;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "Add",
+      (new JSIL.MethodSignature($.Type, [mscorlib.TypeRef("System.TimeSpan")], [])),
+      function Add (value) {
+        return addTicks(this, value._ticks);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "AddTicks",
+      (new JSIL.MethodSignature($.Type, [$.Int64], [])),
+      function AddTicks (value) {
+        return addTicks(this, System.Int64.Coerce(value));
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "AddMilliseconds",
+      (new JSIL.MethodSignature($.Type, [$.Double], [])),
+      function AddMilliseconds (value) {
+        return addInterval(this, value, 1);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "AddSeconds",
+      (new JSIL.MethodSignature($.Type, [$.Double], [])),
+      function AddSeconds (value) {
+        return addInterval(this, value, 1000);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "AddMinutes",
+      (new JSIL.MethodSignature($.Type, [$.Double], [])),
+      function AddMinutes (value) {
+        return addInterval(this, value, 60 * 1000);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "AddHours",
+      (new JSIL.MethodSignature($.Type, [$.Double], [])),
+      function AddHours (value) {
+        return addInterval(this, value, 60 * 60 * 1000);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "AddDays",
+      (new JSIL.MethodSignature($.Type, [$.Double], [])),
+      function AddDays (value) {
+        return addInterval(this, value, millisecondsPerDay);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "AddMonths",
+      (new JSIL.MethodSignature($.Type, [$.Int32], [])),
+      function AddMonths (months) {
+        return addMonths(this, months);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "AddYears",
+      (new JSIL.MethodSignature($.Type, [$.Int32], [])),
+      function AddYears (value) {
+        if ((value < -10000) || (value > 10000))
+          throw new System.ArgumentOutOfRangeException("years", "Years value must be between +/-10000.");
+
+        return addMonths(this, value * 12);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "Subtract",
+      (new JSIL.MethodSignature(mscorlib.TypeRef("System.TimeSpan"), [$.Type], [])),
+      function Subtract (value) {
+        return System.TimeSpan.FromTicks(System.Int64.op_Subtraction(this._ticks, value._ticks));
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "Subtract",
+      (new JSIL.MethodSignature($.Type, [mscorlib.TypeRef("System.TimeSpan")], [])),
+      function Subtract (value) {
+        return addTicks(this, System.Int64.op_UnaryNegation(value._ticks));
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "CompareTo",
+      (new JSIL.MethodSignature($.Int32, [$.Type], [])),
+      function CompareTo (value) {
+        return compare(this, value);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "Equals",
+      (new JSIL.MethodSignature($.Boolean, [$.Type], [])),
+      function Equals (value) {
+        return JSIL.CheckType(value, System.DateTime.__Type__) && (compare(this, value) === 0);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "GetHashCode",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function GetHashCode () {
+        return (this._ticks._lo ^ this._ticks._hi) | 0;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Date",
+      (new JSIL.MethodSignature($.Type, [], [])),
+      function get_Date () {
+        return fromDays(split(this).days, 0, this._kind);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Day",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function get_Day () {
+        return getFields(this).day;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_DayOfWeek",
+      (new JSIL.MethodSignature(mscorlib.TypeRef("System.DayOfWeek"), [], [])),
+      function get_DayOfWeek () {
+        return System.DayOfWeek[dayOfWeekNames[(split(this).days + 1) % 7]];
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_DayOfYear",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function get_DayOfYear () {
+        return getFields(this).dayOfYear;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Hour",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function get_Hour () {
+        return Math.floor(split(this).time / ticksPerHour);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Kind",
+      (new JSIL.MethodSignature(mscorlib.TypeRef("System.DateTimeKind"), [], [])),
+      function get_Kind () {
+        return System.DateTimeKind[kindNames[this._kind]];
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Millisecond",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function get_Millisecond () {
+        return Math.floor(split(this).time / ticksPerMillisecond) % 1000;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Minute",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function get_Minute () {
+        return Math.floor(split(this).time / ticksPerMinute) % 60;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Month",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function get_Month () {
+        return getFields(this).month;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Second",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function get_Second () {
+        return Math.floor(split(this).time / ticksPerSecond) % 60;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Ticks",
+      (new JSIL.MethodSignature($.Int64, [], [])),
+      function get_Ticks () {
+        return this._ticks;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_TimeOfDay",
+      (new JSIL.MethodSignature(mscorlib.TypeRef("System.TimeSpan"), [], [])),
+      function get_TimeOfDay () {
+        return System.TimeSpan.FromTicks(System.Int64.FromNumber(split(this).time));
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Year",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function get_Year () {
+        return getFields(this).year;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "ToLocalTime",
+      (new JSIL.MethodSignature($.Type, [], [])),
+      function ToLocalTime () {
+        return toLocalTime(this);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "ToUniversalTime",
+      (new JSIL.MethodSignature($.Type, [], [])),
+      function ToUniversalTime () {
+        return toUniversalTime(this);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "ToString",
+      (new JSIL.MethodSignature($.String, [], [])),
+      function ToString () {
+        return format(this, null, null);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "ToString",
+      (new JSIL.MethodSignature($.String, [$.String], [])),
+      function ToString (formatString) {
+        return format(this, formatString, null);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "ToString",
+      (new JSIL.MethodSignature($.String, [mscorlib.TypeRef("System.IFormatProvider")], [])),
+      function ToString (provider) {
+        return format(this, null, provider);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "ToString",
+      (new JSIL.MethodSignature($.String, [$.String, mscorlib.TypeRef("System.IFormatProvider")], [])),
+      function ToString (formatString, provider) {
+        return format(this, formatString, provider);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "ToLongDateString",
+      (new JSIL.MethodSignature($.String, [], [])),
+      function ToLongDateString () {
+        return format(this, "D", null);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "ToLongTimeString",
+      (new JSIL.MethodSignature($.String, [], [])),
+      function ToLongTimeString () {
+        return format(this, "T", null);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "ToShortDateString",
+      (new JSIL.MethodSignature($.String, [], [])),
+      function ToShortDateString () {
+        return format(this, "d", null);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "ToShortTimeString",
+      (new JSIL.MethodSignature($.String, [], [])),
+      function ToShortTimeString () {
+        return format(this, "t", null);
+      }
+    );
+
+    $.RawMethod(false, "toString", function () {
+      return format(this, null, null);
+    });
+  }
+);
+
+JSIL.MakeStruct("System.ValueType", "System.DateTime", true, [], function ($) {
+  $.Field({Static:false, Public:false}, "_ticks", $.Int64, function ($) {
+    return System.Int64.FromBits(0, 0);
+  });
+
+  $.Field({Static:false, Public:false}, "_kind", $.Int32, function ($) {
+    return 0;
+  });
+
+  $.Property({Public: true , Static: true }, "Now");
+
+  $.Property({Public: true , Static: true }, "UtcNow");
+
+  $.Property({Public: true , Static: true }, "Today");
+
+  $.Property({Public: true , Static: false}, "Date");
+
+  $.Property({Public: true , Static: false}, "Day");
+
+  $.Property({Public: true , Static: false}, "DayOfWeek");
+
+  $.Property({Public: true , Static: false}, "DayOfYear");
+
+  $.Property({Public: true , Static: false}, "Hour");
+
+  $.Property({Public: true , Static: false}, "Kind");
+
+  $.Property({Public: true , Static: false}, "Millisecond");
+
+  $.Property({Public: true , Static: false}, "Minute");
+
+  $.Property({Public: true , Static: false}, "Month");
+
+  $.Property({Public: true , Static: false}, "Second");
+
+  $.Property({Public: true , Static: false}, "Ticks");
+
+  $.Property({Public: true , Static: false}, "TimeOfDay");
+
+  $.Property({Public: true , Static: false}, "Year");
+
+  $.ImplementInterfaces(
+    "System.IComparable", "System.IFormattable"
+  );
+});
+
+JSIL.ImplementExternals(
+  "System.DateTimeOffset", function ($) {
+    var mscorlib = JSIL.GetCorlib();
+
+    var ticksPerMinute = 600000000;
+    var maxOffsetMinutes = 14 * 60;
+
+    var kindUnspecified = 0, kindUtc = 1, kindLocal = 2;
+
+    var getKind = function (dateTime) {
+      return dateTime._kind;
+    };
+
+    // Returns the clock time of the given DateTime shifted by a number of minutes.
+    var shift = function (dateTime, minutes, kind, paramName, message) {
+      var parts = System.DateTime.$Split(dateTime);
+      return System.DateTime.$FromDays(parts.days, parts.time + (minutes * ticksPerMinute), kind, paramName, message);
+    };
+
+    var getOffsetMinutes = function (offset) {
+      var ticks = System.Int64.ToNumber(offset._ticks);
+
+      if ((ticks % ticksPerMinute) !== 0)
+        throw new System.ArgumentException("Offset must be specified in whole minutes.", "offset");
+
+      var minutes = ticks / ticksPerMinute;
+      if ((minutes < -maxOffsetMinutes) || (minutes > maxOffsetMinutes))
+        throw new System.ArgumentOutOfRangeException("offset", "Offset must be within plus or minus 14 hours.");
+
+      return minutes;
+    };
+
+    var getLocalOffset = function (dateTime) {
+      var parts = System.DateTime.$Split(dateTime);
+
+      if (getKind(dateTime) === kindUtc)
+        return System.DateTime.$GetUtcOffset(parts.days, parts.time);
+      else
+        return System.DateTime.$GetLocalOffset(parts.days, parts.time);
+    };
+
+    var make = function (dateTime, offsetMinutes) {
+      var clockTime = shift(dateTime, 0, kindUnspecified);
+
+      // The UTC time has to be representable as well.
+      shift(
+        clockTime, -offsetMinutes, kindUtc,
+        "offset", "The UTC time represented when the offset is applied must be between year 0 and 10,000."
+      );
+
+      var result = Object.create(System.DateTimeOffset.prototype);
+      result._dateTime = clockTime;
+      result._offsetMinutes = offsetMinutes;
+      return result;
+    };
+
+    var fromDateTime = function (dateTime) {
+      return make(dateTime, getLocalOffset(dateTime));
+    };
+
+    var fromDateTimeAndOffset = function (dateTime, offset) {
+      var offsetMinutes = getOffsetMinutes(offset);
+      var kind = getKind(dateTime);
+
+      if ((kind === kindUtc) && (offsetMinutes !== 0))
+        throw new System.ArgumentException("The UTC Offset for Utc DateTime instances must be 0.", "offset");
+      else if ((kind === kindLocal) && (offsetMinutes !== getLocalOffset(dateTime)))
+        throw new System.ArgumentException("The UTC Offset of the local dateTime parameter does not match the offset argument.", "offset");
+
+      return make(dateTime, offsetMinutes);
+    };
+
+    var getUtcDateTime = function (value) {
+      return shift(value._dateTime, -value._offsetMinutes, kindUtc);
+    };
+
+    var getUtcTicks = function (value) {
+      return getUtcDateTime(value)._ticks;
+    };
+
+    var compare = function (lhs, rhs) {
+      return System.DateTime.Compare(getUtcDateTime(lhs), getUtcDateTime(rhs));
+    };
+
+    var toOffset = function (value, offsetMinutes) {
+      return make(shift(getUtcDateTime(value), offsetMinutes, kindUnspecified), offsetMinutes);
+    };
+
+    var format = function (value, formatString, provider) {
+      var clockTime = value._dateTime;
+      var offsetMinutes = value._offsetMinutes;
+
+      // These formats always show the UTC time.
+      if ((formatString === "r") || (formatString === "R") || (formatString === "u")) {
+        clockTime = getUtcDateTime(value);
+        offsetMinutes = 0;
+      } else if (formatString === "U") {
+        throw new System.FormatException("Input string was not in a correct format.");
+      }
+
+      var fields = System.DateTime.$GetFields(clockTime);
+      fields.offset = offsetMinutes;
+      fields.kindSuffix = $jsilcore.$FormatDateTime(fields, "zzz", provider);
+
+      if ((formatString === null) || (typeof (formatString) === "undefined") || (formatString.length === 0))
+        return $jsilcore.$FormatDateTime(fields, "G", provider) + " " + fields.kindSuffix;
+
+      return $jsilcore.$FormatDateTime(fields, formatString, provider);
+    };
+
+    var parse = function (text, formats, provider) {
+      if ((formats !== null) && (typeof (formats) === "string"))
+        formats = [formats];
+
+      var fields = $jsilcore.$ParseDateTime(text, formats, provider);
+      if (fields === null)
+        return null;
+
+      var clockTime = new System.DateTime(fields.year, fields.month, fields.day, fields.hour, fields.minute, fields.second);
+      clockTime = clockTime.AddTicks(System.Int64.FromNumber(fields.fraction));
+
+      if (fields.offset !== null)
+        return make(clockTime, fields.offset);
+      else
+        return make(clockTime, getLocalOffset(clockTime));
+    };
+
+    var parseOrThrow = function (text, formats, provider) {
+      var result = parse(text, formats, provider);
+      if (result === null)
+        throw new System.FormatException("String was not recognized as a valid DateTime.");
+
+      return result;
+    };
+
+    var tryParse = function (text, formats, provider, result) {
+      var parsed = ((text === null) || (typeof (text) === "undefined")) ? null : parse(text, formats, provider);
+
+      if (parsed === null) {
+        result.value = make(System.DateTime.MinValue, 0);
+        return false;
+      }
+
+      result.value = parsed;
+      return true;
+    };
+
+    var getTimeSpan = function (minutes) {
+      return System.TimeSpan.FromTicks(System.Int64.FromNumber(minutes * ticksPerMinute));
+    };
+
+    $.Method({Static:false, Public:true }, ".ctor",
+      (new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.DateTime")], [])),
+      function _ctor (dateTime) {
+        var result = fromDateTime(dateTime);
+        this._dateTime = result._dateTime;
+        this._offsetMinutes = result._offsetMinutes;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor",
+      (new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.DateTime"), mscorlib.TypeRef("System.TimeSpan")], [])),
+      function _ctor (dateTime, offset) {
+        var result = fromDateTimeAndOffset(dateTime, offset);
+        this._dateTime = result._dateTime;
+        this._offsetMinutes = result._offsetMinutes;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor",
+      (new JSIL.MethodSignature(null, [$.Int64, mscorlib.TypeRef("System.TimeSpan")], [])),
+      function _ctor (ticks, offset) {
+        var result = make(new System.DateTime(ticks), getOffsetMinutes(offset));
+        this._dateTime = result._dateTime;
+        this._offsetMinutes = result._offsetMinutes;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor",
+      (new JSIL.MethodSignature(null, [
+            $.Int32, $.Int32, $.Int32,
+            $.Int32, $.Int32, $.Int32,
+            mscorlib.TypeRef("System.TimeSpan")
+          ], [])),
+      function _ctor (year, month, day, hour, minute, second, offset) {
+        var result = make(new System.DateTime(year, month, day, hour, minute, second), getOffsetMinutes(offset));
+        this._dateTime = result._dateTime;
+        this._offsetMinutes = result._offsetMinutes;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor",
+      (new JSIL.MethodSignature(null, [
+            $.Int32, $.Int32, $.Int32,
+            $.Int32, $.Int32, $.Int32,
+            $.Int32, mscorlib.TypeRef("System.TimeSpan")
+          ], [])),
+      function _ctor (year, month, day, hour, minute, second, millisecond, offset) {
+        var result = make(
+          new System.DateTime(year, month, day, hour, minute, second, millisecond), getOffsetMinutes(offset)
+        );
+        this._dateTime = result._dateTime;
+        this._offsetMinutes = result._offsetMinutes;
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "get_Now",
+      (new JSIL.MethodSignature($.Type, [], [])),
+      function get_Now () {
+        return fromDateTime(System.DateTime.get_Now());
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "get_UtcNow",
+      (new JSIL.MethodSignature($.Type, [], [])),
+      function get_UtcNow () {
+        return make(System.DateTime.get_UtcNow(), 0);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "Compare",
+      (new JSIL.MethodSignature($.Int32, [$.Type, $.Type], [])),
+      compare
+    );
+
+    $.Method({Static:true , Public:true }, "Parse",
+      (new JSIL.MethodSignature($.Type, [$.String], [])),
+      function Parse (input) {
+        return parseOrThrow(input, null, null);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "Parse",
+      (new JSIL.MethodSignature($.Type, [$.String, mscorlib.TypeRef("System.IFormatProvider")], [])),
+      function Parse (input, formatProvider) {
+        return parseOrThrow(input, null, formatProvider);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "ParseExact",
+      (new JSIL.MethodSignature($.Type, [$.String, $.String, mscorlib.TypeRef("System.IFormatProvider")], [])),
+      function ParseExact (input, format, formatProvider) {
+        return parseOrThrow(input, format, formatProvider);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "TryParse",
+      (new JSIL.MethodSignature($.Boolean, [$.String, $jsilcore.TypeRef("JSIL.Reference", [$.Type])], [])),
+      function TryParse (input, result) {
+        return tryParse(input, null, null, result);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "TryParseExact",
+      (new JSIL.MethodSignature($.Boolean, [
+            $.String, $.String,
+            mscorlib.TypeRef("System.IFormatProvider"), mscorlib.TypeRef("System.Globalization.DateTimeStyles"),
+            $jsilcore.TypeRef("JSIL.Reference", [$.Type])
+          ], [])),
+      function TryParseExact (input, format, formatProvider, styles, result) {
+        return tryParse(input, format, formatProvider, result);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_Implicit",
+      (new JSIL.MethodSignature($.Type, [mscorlib.TypeRef("System.DateTime")], [])),
+      fromDateTime
+    );
+
+    $.Method({Static:true , Public:true }, "op_Addition",
+      (new JSIL.MethodSignature($.Type, [$.Type, mscorlib.TypeRef("System.TimeSpan")], [])),
+      function op_Addition (dateTimeOffset, timeSpan) {
+        return make(dateTimeOffset._dateTime.Add(timeSpan), dateTimeOffset._offsetMinutes);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_Subtraction",
+      (new JSIL.MethodSignature(mscorlib.TypeRef("System.TimeSpan"), [$.Type, $.Type], [])),
+      function op_Subtraction (left, right) {
+        return System.TimeSpan.FromTicks(System.Int64.op_Subtraction(getUtcTicks(left), getUtcTicks(right)));
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_Subtraction",
+      (new JSIL.MethodSignature($.Type, [$.Type, mscorlib.TypeRef("System.TimeSpan")], [])),
+      function op_Subtraction (dateTimeOffset, timeSpan) {
+        return make(dateTimeOffset._dateTime.Subtract(timeSpan), dateTimeOffset._offsetMinutes);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_Equality",
+      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])),
+      function op_Equality (left, right) {
+        return compare(left, right) === 0;
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_Inequality",
+      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])),
+      function op_Inequality (left, right) {
+        return compare(left, right) !== 0;
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_LessThan",
+      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])),
+      function op_LessThan (left, right) {
+        return compare(left, right) < 0;
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_LessThanOrEqual",
+      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])),
+      function op_LessThanOrEqual (left, right) {
+        return compare(left, right) <= 0;
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_GreaterThan",
+      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])),
+      function op_GreaterThan (left, right) {
+        return compare(left, right) > 0;
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_GreaterThanOrEqual",
+      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])),
+      function op_GreaterThanOrEqual (left, right) {
+        return compare(left, right) >= 0;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "Add",
+      (new JSIL.MethodSignature($.Type, [mscorlib.TypeRef("System.TimeSpan")], [])),
+      function Add (timeSpan) {
+        return make(this._dateTime.Add(timeSpan), this._offsetMinutes);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "AddTicks",
+      (new JSIL.MethodSignature($.Type, [$.Int64], [])),
+      function AddTicks (ticks) {
+        return make(this._dateTime.AddTicks(ticks), this._offsetMinutes);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "AddMilliseconds",
+      (new JSIL.MethodSignature($.Type, [$.Double], [])),
+      function AddMilliseconds (milliseconds) {
+        return make(this._dateTime.AddMilliseconds(milliseconds), this._offsetMinutes);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "AddSeconds",
+      (new JSIL.MethodSignature($.Type, [$.Double], [])),
+      function AddSeconds (seconds) {
+        return make(this._dateTime.AddSeconds(seconds), this._offsetMinutes);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "AddMinutes",
+      (new JSIL.MethodSignature($.Type, [$.Double], [])),
+      function AddMinutes (minutes) {
+        return make(this._dateTime.AddMinutes(minutes), this._offsetMinutes);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "AddHours",
+      (new JSIL.MethodSignature($.Type, [$.Double], [])),
+      function AddHours (hours) {
+        return make(this._dateTime.AddHours(hours), this._offsetMinutes);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "AddDays",
+      (new JSIL.MethodSignature($.Type, [$.Double], [])),
+      function AddDays (days) {
+        return make(this._dateTime.AddDays(days), this._offsetMinutes);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "AddMonths",
+      (new JSIL.MethodSignature($.Type, [$.Int32], [])),
+      function AddMonths (months) {
+        return make(this._dateTime.AddMonths(months), this._offsetMinutes);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "AddYears",
+      (new JSIL.MethodSignature($.Type, [$.Int32], [])),
+      function AddYears (years) {
+        return make(this._dateTime.AddYears(years), this._offsetMinutes);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "Subtract",
+      (new JSIL.MethodSignature(mscorlib.TypeRef("System.TimeSpan"), [$.Type], [])),
+      function Subtract (value) {
+        return System.TimeSpan.FromTicks(System.Int64.op_Subtraction(getUtcTicks(this), getUtcTicks(value)));
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "Subtract",
+      (new JSIL.MethodSignature($.Type, [mscorlib.TypeRef("System.TimeSpan")], [])),
+      function Subtract (value) {
+        return make(this._dateTime.Subtract(value), this._offsetMinutes);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "CompareTo",
+      (new JSIL.MethodSignature($.Int32, [$.Type], [])),
+      function CompareTo (other) {
+        return compare(this, other);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "Equals",
+      (new JSIL.MethodSignature($.Boolean, [$.Type], [])),
+      function Equals (other) {
+        return JSIL.CheckType(other, System.DateTimeOffset.__Type__) && (compare(this, other) === 0);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "EqualsExact",
+      (new JSIL.MethodSignature($.Boolean, [$.Type], [])),
+      function EqualsExact (other) {
+        return (compare(this, other) === 0) && (this._offsetMinutes === other._offsetMinutes);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "GetHashCode",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function GetHashCode () {
+        return getUtcDateTime(this).GetHashCode();
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Date",
+      (new JSIL.MethodSignature(mscorlib.TypeRef("System.DateTime"), [], [])),
+      function get_Date () {
+        return this._dateTime.get_Date();
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_DateTime",
+      (new JSIL.MethodSignature(mscorlib.TypeRef("System.DateTime"), [], [])),
+      function get_DateTime () {
+        return this._dateTime;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Day",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function get_Day () {
+        return this._dateTime.get_Day();
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_DayOfWeek",
+      (new JSIL.MethodSignature(mscorlib.TypeRef("System.DayOfWeek"), [], [])),
+      function get_DayOfWeek () {
+        return this._dateTime.get_DayOfWeek();
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_DayOfYear",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function get_DayOfYear () {
+        return this._dateTime.get_DayOfYear();
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Hour",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function get_Hour () {
+        return this._dateTime.get_Hour();
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_LocalDateTime",
+      (new JSIL.MethodSignature(mscorlib.TypeRef("System.DateTime"), [], [])),
+      function get_LocalDateTime () {
+        return getUtcDateTime(this).ToLocalTime();
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Millisecond",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function get_Millisecond () {
+        return this._dateTime.get_Millisecond();
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Minute",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function get_Minute () {
+        return this._dateTime.get_Minute();
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Month",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function get_Month () {
+        return this._dateTime.get_Month();
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Offset",
+      (new JSIL.MethodSignature(mscorlib.TypeRef("System.TimeSpan"), [], [])),
+      function get_Offset () {
+        return getTimeSpan(this._offsetMinutes);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Second",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function get_Second () {
+        return this._dateTime.get_Second();
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Ticks",
+      (new JSIL.MethodSignature($.Int64, [], [])),
+      function get_Ticks () {
+        return this._dateTime.get_Ticks();
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_UtcDateTime",
+      (new JSIL.MethodSignature(mscorlib.TypeRef("System.DateTime"), [], [])),
+      function get_UtcDateTime () {
+        return getUtcDateTime(this);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_UtcTicks",
+      (new JSIL.MethodSignature($.Int64, [], [])),
+      function get_UtcTicks () {
+        return getUtcTicks(this);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Year",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function get_Year () {
+        return this._dateTime.get_Year();
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "ToLocalTime",
+      (new JSIL.MethodSignature($.Type, [], [])),
+      function ToLocalTime () {
+        return fromDateTime(getUtcDateTime(this).ToLocalTime());
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "ToOffset",
+      (new JSIL.MethodSignature($.Type, [mscorlib.TypeRef("System.TimeSpan")], [])),
+      function ToOffset (offset) {
+        return toOffset(this, getOffsetMinutes(offset));
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "ToUniversalTime",
+      (new JSIL.MethodSignature($.Type, [], [])),
+      function ToUniversalTime () {
+        return toOffset(this, 0);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "ToString",
+      (new JSIL.MethodSignature($.String, [], [])),
+      function ToString () {
+        return format(this, null, null);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "ToString",
+      (new JSIL.MethodSignature($.String, [$.String], [])),
+      function ToString (formatString) {
+        return format(this, formatString, null);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "ToString",
+      (new JSIL.MethodSignature($.String, [mscorlib.TypeRef("System.IFormatProvider")], [])),
+      function ToString (formatProvider) {
+        return format(this, null, formatProvider);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "ToString",
+      (new JSIL.MethodSignature($.String, [$.String, mscorlib.TypeRef("System.IFormatProvider")], [])),
+      function ToString (formatString, formatProvider) {
+        return format(this, formatString, formatProvider);
+      }
+    );
+
+    $.RawMethod(false, "toString", function () {
+      return format(this, null, null);
+    });
+  }
+);
+
+JSIL.MakeStruct("System.ValueType", "System.DateTimeOffset", true, [], function ($) {
+  $.Field({Static:false, Public:false}, "_dateTime", $jsilcore.TypeRef("System.DateTime"), function ($) {
+    return new System.DateTime();
+  });
+
+  $.Field({Static:false, Public:false}, "_offsetMinutes", $.Int32, function ($) {
+    return 0;
+  });
+
+  $.Property({Public: true , Static: true }, "Now");
+
+  $.Property({Public: true , Static: true }, "UtcNow");
+
+  $.Property({Public: true , Static: false}, "Date");
+
+  $.Property({Public: true , Static: false}, "DateTime");
+
+  $.Property({Public: true , Static: false}, "Day");
+
+  $.Property({Public: true , Static: false}, "DayOfWeek");
+
+  $.Property({Public: true , Static: false}, "DayOfYear");
+
+  $.Property({Public: true , Static: false}, "Hour");
+
+  $.Property({Public: true , Static: false}, "LocalDateTime");
+
+  $.Property({Public: true , Static: false}, "Millisecond");
+
+  $.Property({Public: true , Static: false}, "Minute");
+
+  $.Property({Public: true , Static: false}, "Month");
+
+  $.Property({Public: true , Static: false}, "Offset");
+
+  $.Property({Public: true , Static: false}, "Second");
+
+  $.Property({Public: true , Static: false}, "Ticks");
+
+  $.Property({Public: true , Static: false}, "UtcDateTime");
+
+  $.Property({Public: true , Static: false}, "UtcTicks");
+
+  $.Property({Public: true , Static: false}, "Year");
+
+  $.ImplementInterfaces(
+    "System.IComparable", "System.IFormattable"
+  );
+});
+
+// The built-in cultures. Each one is described by its names and the plain format data objects that
+//  the formatting and parsing code reads; NumberFormatInfo and DateTimeFormatInfo wrap those objects.
+(function () {
+  var copyData = function (data, changes) {
+    var result = {};
+
+    for (var key in data) {
+      var value = data[key];
+      result[key] = JSIL.IsArray(value) ? value.slice() : value;
+    }
+
+    if (changes) {
+      for (var key in changes)
+        result[key] = changes[key];
+    }
+
+    return result;
+  };
+
+  $jsilcore.$CopyFormatData = function (data) {
+    return copyData(data, null);
+  };
+
+  var invariantNumberFormat = copyData($jsilcore.$DefaultNumberFormat, {
+    CurrencySymbol: "\u00a4"
+  });
+
+  var invariantDateTimeFormat = copyData($jsilcore.$DefaultDateTimeFormat, {
+    ShortDatePattern: "MM/dd/yyyy",
+    LongDatePattern: "dddd, dd MMMM yyyy",
+    ShortTimePattern: "HH:mm",
+    LongTimePattern: "HH:mm:ss",
+    FullDateTimePattern: "dddd, dd MMMM yyyy HH:mm:ss",
+    YearMonthPattern: "yyyy MMMM"
+  });
+
+  var germanNumberFormat = copyData($jsilcore.$DefaultNumberFormat, {
+    NaNSymbol: "n. def.",
+    PositiveInfinitySymbol: "+unendlich",
+    NegativeInfinitySymbol: "-unendlich",
+    NumberDecimalSeparator: ",",
+    NumberGroupSeparator: ".",
+    CurrencySymbol: "\u20ac",
+    CurrencyDecimalSeparator: ",",
+    CurrencyGroupSeparator: ".",
+    CurrencyPositivePattern: 3,
+    CurrencyNegativePattern: 8,
+    PercentDecimalSeparator: ",",
+    PercentGroupSeparator: "."
+  });
+
+  var germanDateTimeFormat = copyData($jsilcore.$DefaultDateTimeFormat, {
+    AMDesignator: "",
+    PMDesignator: "",
+    DateSeparator: ".",
+    ShortDatePattern: "dd.MM.yyyy",
+    LongDatePattern: "dddd, d. MMMM yyyy",
+    ShortTimePattern: "HH:mm",
+    LongTimePattern: "HH:mm:ss",
+    FullDateTimePattern: "dddd, d. MMMM yyyy HH:mm:ss",
+    MonthDayPattern: "dd MMMM",
+    YearMonthPattern: "MMMM yyyy",
+    DayNames: ["Sonntag", "Montag", "Dienstag", "Mittwoch", "Donnerstag", "Freitag", "Samstag"],
+    AbbreviatedDayNames: ["So", "Mo", "Di", "Mi", "Do", "Fr", "Sa"],
+    MonthNames: [
+      "Januar", "Februar", "M\u00e4rz", "April", "Mai", "Juni",
+      "Juli", "August", "September", "Oktober", "November", "Dezember", ""
+    ],
+    AbbreviatedMonthNames: [
+      "Jan", "Feb", "Mrz", "Apr", "Mai", "Jun", "Jul", "Aug", "Sep", "Okt", "Nov", "Dez", ""
+    ]
+  });
+
+  var frenchNumberFormat = copyData($jsilcore.$DefaultNumberFormat, {
+    NaNSymbol: "Non Num\u00e9rique",
+    PositiveInfinitySymbol: "+Infini",
+    NegativeInfinitySymbol: "-Infini",
+    NumberDecimalSeparator: ",",
+    NumberGroupSeparator: "\u00a0",
+    CurrencySymbol: "\u20ac",
+    CurrencyDecimalSeparator: ",",
+    CurrencyGroupSeparator: "\u00a0",
+    CurrencyPositivePattern: 3,
+    CurrencyNegativePattern: 8,
+    PercentDecimalSeparator: ",",
+    PercentGroupSeparator: "\u00a0"
+  });
+
+  var frenchDateTimeFormat = copyData($jsilcore.$DefaultDateTimeFormat, {
+    AMDesignator: "",
+    PMDesignator: "",
+    ShortDatePattern: "dd/MM/yyyy",
+    LongDatePattern: "dddd d MMMM yyyy",
+    ShortTimePattern: "HH:mm",
+    LongTimePattern: "HH:mm:ss",
+    FullDateTimePattern: "dddd d MMMM yyyy HH:mm:ss",
+    MonthDayPattern: "d MMMM",
+    YearMonthPattern: "MMMM yyyy",
+    DayNames: ["dimanche", "lundi", "mardi", "mercredi", "jeudi", "vendredi", "samedi"],
+    AbbreviatedDayNames: ["dim.", "lun.", "mar.", "mer.", "jeu.", "ven.", "sam."],
+    MonthNames: [
+      "janvier", "f\u00e9vrier", "mars", "avril", "mai", "juin",
+      "juillet", "ao\u00fbt", "septembre", "octobre", "novembre", "d\u00e9cembre", ""
+    ],
+    AbbreviatedMonthNames: [
+      "janv.", "f\u00e9vr.", "mars", "avr.", "mai", "juin",
+      "juil.", "ao\u00fbt", "sept.", "oct.", "nov.", "d\u00e9c.", ""
+    ]
+  });
+
+  var japaneseNumberFormat = copyData($jsilcore.$DefaultNumberFormat, {
+    NaNSymbol: "NaN (\u975e\u6570\u5024)",
+    PositiveInfinitySymbol: "+\u221e",
+    NegativeInfinitySymbol: "-\u221e",
+    CurrencySymbol: "\u00a5",
+    CurrencyDecimalDigits: 0,
+    CurrencyNegativePattern: 1
+  });
+
+  var japaneseMonthNames = [];
+  for (var i = 1; i <= 12; i++)
+    japaneseMonthNames.push(i + "\u6708");
+  japaneseMonthNames.push("");
+
+  var japaneseDateTimeFormat = copyData($jsilcore.$DefaultDateTimeFormat, {
+    AMDesignator: "\u5348\u524d",
+    PMDesignator: "\u5348\u5f8c",
+    ShortDatePattern: "yyyy/MM/dd",
+    LongDatePattern: "yyyy'\u5e74'M'\u6708'd'\u65e5'",
+    ShortTimePattern: "H:mm",
+    LongTimePattern: "H:mm:ss",
+    FullDateTimePattern: "yyyy'\u5e74'M'\u6708'd'\u65e5' H:mm:ss",
+    MonthDayPattern: "M'\u6708'd'\u65e5'",
+    YearMonthPattern: "yyyy'\u5e74'M'\u6708'",
+    DayNames: [
+      "\u65e5\u66dc\u65e5", "\u6708\u66dc\u65e5", "\u706b\u66dc\u65e5", "\u6c34\u66dc\u65e5",
+      "\u6728\u66dc\u65e5", "\u91d1\u66dc\u65e5", "\u571f\u66dc\u65e5"
+    ],
+    AbbreviatedDayNames: ["\u65e5", "\u6708", "\u706b", "\u6c34", "\u6728", "\u91d1", "\u571f"],
+    MonthNames: japaneseMonthNames,
+    AbbreviatedMonthNames: japaneseMonthNames.slice()
+  });
+
+  var cultures = [
+    {
+      name: "", parentName: null, lcid: 127, locale: "en",
+      englishName: "Invariant Language (Invariant Country)", nativeName: "Invariant Language (Invariant Country)",
+      twoLetterISOLanguageName: "iv", numberFormat: invariantNumberFormat, dateTimeFormat: invariantDateTimeFormat
+    },
+    {
+      name: "en", parentName: "", lcid: 9, locale: "en",
+      englishName: "English", nativeName: "English",
+      twoLetterISOLanguageName: "en", numberFormat: $jsilcore.$DefaultNumberFormat, dateTimeFormat: $jsilcore.$DefaultDateTimeFormat
+    },
+    {
+      name: "en-US", parentName: "en", lcid: 1033, locale: "en-US",
+      englishName: "English (United States)", nativeName: "English (United States)",
+      twoLetterISOLanguageName: "en", numberFormat: $jsilcore.$DefaultNumberFormat, dateTimeFormat: $jsilcore.$DefaultDateTimeFormat
+    },
+    {
+      name: "de", parentName: "", lcid: 7, locale: "de",
+      englishName: "German", nativeName: "Deutsch",
+      twoLetterISOLanguageName: "de", numberFormat: germanNumberFormat, dateTimeFormat: germanDateTimeFormat
+    },
+    {
+      name: "de-DE", parentName: "de", lcid: 1031, locale: "de-DE",
+      englishName: "German (Germany)", nativeName: "Deutsch (Deutschland)",
+      twoLetterISOLanguageName: "de", numberFormat: germanNumberFormat, dateTimeFormat: germanDateTimeFormat
+    },
+    {
+      name: "fr", parentName: "", lcid: 12, locale: "fr",
+      englishName: "French", nativeName: "fran\u00e7ais",
+      twoLetterISOLanguageName: "fr", numberFormat: frenchNumberFormat, dateTimeFormat: frenchDateTimeFormat
+    },
+    {
+      name: "fr-FR", parentName: "fr", lcid: 1036, locale: "fr-FR",
+      englishName: "French (France)", nativeName: "fran\u00e7ais (France)",
+      twoLetterISOLanguageName: "fr", numberFormat: frenchNumberFormat, dateTimeFormat: frenchDateTimeFormat
+    },
+    {
+      name: "ja", parentName: "", lcid: 17, locale: "ja",
+      englishName: "Japanese", nativeName: "\u65e5\u672c\u8a9e",
+      twoLetterISOLanguageName: "ja", numberFormat: japaneseNumberFormat, dateTimeFormat: japaneseDateTimeFormat
+    },
+    {
+      name: "ja-JP", parentName: "ja", lcid: 1041, locale: "ja-JP",
+      englishName: "Japanese (Japan)", nativeName: "\u65e5\u672c\u8a9e (\u65e5\u672c)",
+      twoLetterISOLanguageName: "ja", numberFormat: japaneseNumberFormat, dateTimeFormat: japaneseDateTimeFormat
+    }
+  ];
+
+  var specificCultureNames = {
+    "": "", "en": "en-US", "de": "de-DE", "fr": "fr-FR", "ja": "ja-JP"
+  };
+
+  var culturesByName = {};
+  var culturesById = {};
+
+  for (var i = 0; i < cultures.length; i++) {
+    var culture = cultures[i];
+    culture.isNeutral = specificCultureNames.hasOwnProperty(culture.name) && (culture.name !== "");
+    culture.specificName = specificCultureNames.hasOwnProperty(culture.name) ? specificCultureNames[culture.name] : culture.name;
+
+    culturesByName[culture.name.toLowerCase()] = culture;
+    culturesById[culture.lcid] = culture;
+  }
+
+  // Returns the built-in culture with the given name or LCID, or null if there is no such culture.
+  $jsilcore.$GetCultureData = function (nameOrId) {
+    var result;
+
+    if (typeof (nameOrId) === "number")
+      result = culturesById[nameOrId];
+    else
+      result = culturesByName[String(nameOrId).toLowerCase()];
+
+    return result || null;
+  };
+})();
+
+// Returns the NumberFormatInfo or DateTimeFormatInfo supplied by a format provider, falling back to
+//  the one of the current culture.
+$jsilcore.$GetFormatInfo = function (provider, typeName) {
+  var formatInfoType = System.Globalization[typeName];
+  var result = null;
+
+  if ((provider !== null) && (typeof (provider) !== "undefined")) {
+    if (JSIL.CheckType(provider, formatInfoType))
+      return provider;
+
+    if (typeof (provider.GetFormat) === "function")
+      result = provider.GetFormat(formatInfoType.__Type__);
+  }
+
+  if ((result === null) || (typeof (result) === "undefined"))
+    result = System.Globalization.CultureInfo.get_CurrentCulture().GetFormat(formatInfoType.__Type__);
+
+  return result;
+};
+
+// Compares two strings using the collation rules of a culture.
+$jsilcore.$CompareStrings = function (lhs, rhs, culture, ignoreCase) {
+  if (ignoreCase) {
+    lhs = $jsilcore.$ChangeCase(lhs, culture, false);
+    rhs = $jsilcore.$ChangeCase(rhs, culture, false);
+  }
+
+  var result = lhs.localeCompare(rhs, culture._data.locale);
+
+  if (result < 0)
+    return -1;
+  else if (result > 0)
+    return 1;
+  else
+    return 0;
+};
+
+$jsilcore.$ChangeCase = function (text, culture, toUpper) {
+  if (culture._data.name === "")
+    return toUpper ? text.toUpperCase() : text.toLowerCase();
+  else if (toUpper)
+    return text.toLocaleUpperCase(culture._data.locale);
+  else
+    return text.toLocaleLowerCase(culture._data.locale);
+};
+
+// Rewrites a number written using the symbols of a provider so that it uses the invariant ones.
+// Group separators are removed; text that does not look like a number is left for the caller to reject.
+$jsilcore.$NormalizeNumberText = function (text, provider) {
+  if ((text === null) || (typeof (text) === "undefined"))
+    return text;
+
+  var nfi = $jsilcore.$GetNumberFormat(provider);
+  var result = String(text).trim();
+
+  if (result === nfi.NaNSymbol)
+    return "NaN";
+  else if (result === nfi.PositiveInfinitySymbol)
+    return "Infinity";
+  else if (result === nfi.NegativeInfinitySymbol)
+    return "-Infinity";
+
+  if ((nfi.NegativeSign.length > 0) && (result.indexOf(nfi.NegativeSign) === 0))
+    result = "-" + result.substr(nfi.NegativeSign.length);
+  else if ((nfi.PositiveSign.length > 0) && (result.indexOf(nfi.PositiveSign) === 0))
+    result = "+" + result.substr(nfi.PositiveSign.length);
+
+  if (nfi.NumberGroupSeparator.length > 0)
+    result = result.split(nfi.NumberGroupSeparator).join("");
+
+  if (nfi.NumberDecimalSeparator !== ".")
+    result = result.split(nfi.NumberDecimalSeparator).join(".");
+
+  return result;
+};
+
+$jsilcore.$FormatInfoExternals = function ($, typeName, cultureProperty, properties) {
+  var mscorlib = JSIL.GetCorlib();
+
+  var getPublicInterface = function () {
+    return System.Globalization[typeName];
+  };
+
+  var getInvariantData = function () {
+    return $jsilcore.$GetCultureData("")[cultureProperty];
+  };
+
+  var make = function (data, isReadOnly) {
+    var result = Object.create(getPublicInterface().prototype);
+    result._data = data;
+    result._isReadOnly = isReadOnly;
+    return result;
+  };
+
+  var checkWritable = function (formatInfo) {
+    if (formatInfo._isReadOnly)
+      throw new System.InvalidOperationException("Instance is read-only.");
+  };
+
+  $.RawMethod(true, "$Create", make);
+
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [], [])),
+    function _ctor () {
+      this._data = $jsilcore.$CopyFormatData(getInvariantData());
+      this._isReadOnly = false;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "get_CurrentInfo",
+    (new JSIL.MethodSignature($.Type, [], [])),
+    function get_CurrentInfo () {
+      return $jsilcore.$GetFormatInfo(null, typeName);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "get_InvariantInfo",
+    (new JSIL.MethodSignature($.Type, [], [])),
+    function get_InvariantInfo () {
+      return System.Globalization.CultureInfo.get_InvariantCulture().GetFormat(getPublicInterface().__Type__);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "GetInstance",
+    (new JSIL.MethodSignature($.Type, [mscorlib.TypeRef("System.IFormatProvider")], [])),
+    function GetInstance (formatProvider) {
+      return $jsilcore.$GetFormatInfo(formatProvider, typeName);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "ReadOnly",
+    (new JSIL.MethodSignature($.Type, [$.Type], [])),
+    function ReadOnly (formatInfo) {
+      if (formatInfo === null)
+        throw new System.ArgumentNullException(cultureProperty === "numberFormat" ? "nfi" : "dtfi");
+
+      if (formatInfo._isReadOnly)
+        return formatInfo;
+
+      return make($jsilcore.$CopyFormatData(formatInfo._data), true);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Clone",
+    (new JSIL.MethodSignature($.Object, [], [])),
+    function Clone () {
+      return make($jsilcore.$CopyFormatData(this._data), false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_IsReadOnly",
+    (new JSIL.MethodSignature($.Boolean, [], [])),
+    function get_IsReadOnly () {
+      return this._isReadOnly;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetFormat",
+    (new JSIL.MethodSignature($.Object, [mscorlib.TypeRef("System.Type")], [])),
+    function GetFormat (formatType) {
+      if (formatType === getPublicInterface().__Type__)
+        return this;
+
+      return null;
+    }
+  );
+
+  var defineProperty = function (name, isReadOnly) {
+    var sample = getInvariantData()[name];
+    var isArray = JSIL.IsArray(sample);
+    var elementType = (typeof (isArray ? sample[0] : sample) === "number") ? $.Int32 : $.String;
+    var propertyType = isArray ? mscorlib.TypeRef("System.Array", [elementType]) : elementType;
+
+    $.Method({Static:false, Public:true }, "get_" + name,
+      (new JSIL.MethodSignature(propertyType, [], [])),
+      function () {
+        var value = this._data[name];
+
+        if (isArray)
+          return JSIL.Array.New(elementType === $.Int32 ? System.Int32 : System.String, value);
+        else
+          return value;
+      }
+    );
+
+    if (isReadOnly)
+      return;
+
+    $.Method({Static:false, Public:true }, "set_" + name,
+      (new JSIL.MethodSignature(null, [propertyType], [])),
+      function (value) {
+        checkWritable(this);
+
+        if (value === null)
+          throw new System.ArgumentNullException("value");
+
+        this._data[name] = isArray ? Array.prototype.slice.call(value) : value;
+      }
+    );
+  };
+
+  for (var i = 0; i < properties.length; i++)
+    defineProperty(properties[i], false);
+};
+
+$jsilcore.$NumberFormatInfoProperties = [
+  "NegativeSign", "PositiveSign", "NaNSymbol", "PositiveInfinitySymbol", "NegativeInfinitySymbol",
+  "NumberDecimalDigits", "NumberDecimalSeparator", "NumberGroupSeparator", "NumberGroupSizes", "NumberNegativePattern",
+  "CurrencySymbol", "CurrencyDecimalDigits", "CurrencyDecimalSeparator", "CurrencyGroupSeparator",
+  "CurrencyGroupSizes", "CurrencyPositivePattern", "CurrencyNegativePattern",
+  "PercentSymbol", "PerMilleSymbol", "PercentDecimalDigits", "PercentDecimalSeparator", "PercentGroupSeparator",
+  "PercentGroupSizes", "PercentPositivePattern", "PercentNegativePattern"
+];
+
+$jsilcore.$DateTimeFormatInfoProperties = [
+  "AMDesignator", "PMDesignator", "DateSeparator", "TimeSeparator",
+  "ShortDatePattern", "LongDatePattern", "ShortTimePattern", "LongTimePattern", "FullDateTimePattern",
+  "MonthDayPattern", "YearMonthPattern", "DayNames", "AbbreviatedDayNames", "MonthNames", "AbbreviatedMonthNames"
+];
+
+// These patterns are the same for every culture, so they cannot be changed.
+$jsilcore.$DateTimeFormatInfoReadOnlyProperties = [
+  "RFC1123Pattern", "SortableDateTimePattern", "UniversalSortableDateTimePattern"
+];
+
+JSIL.ImplementExternals(
+  "System.Globalization.NumberFormatInfo", function ($) {
+    $jsilcore.$FormatInfoExternals($, "NumberFormatInfo", "numberFormat", $jsilcore.$NumberFormatInfoProperties);
+  }
+);
+
+JSIL.ImplementExternals(
+  "System.Globalization.DateTimeFormatInfo", function ($) {
+    var mscorlib = JSIL.GetCorlib();
+
+    $jsilcore.$FormatInfoExternals($, "DateTimeFormatInfo", "dateTimeFormat", $jsilcore.$DateTimeFormatInfoProperties);
+
+    var readOnlyProperties = $jsilcore.$DateTimeFormatInfoReadOnlyProperties;
+    var makeGetter = function (name) {
+      return function () {
+        return this._data[name];
+      };
+    };
+
+    for (var i = 0; i < readOnlyProperties.length; i++) {
+      $.Method({Static:false, Public:true }, "get_" + readOnlyProperties[i],
+        (new JSIL.MethodSignature($.String, [], [])),
+        makeGetter(readOnlyProperties[i])
+      );
+    }
+
+    var getDayName = function (names, dayOfWeek) {
+      var index = Number(dayOfWeek);
+      if ((index < 0) || (index > 6))
+        throw new System.ArgumentOutOfRangeException("dayofweek", "Valid values are between 0 and 6, inclusive.");
+
+      return names[index];
+    };
+
+    var getMonthName = function (names, month) {
+      if ((month < 1) || (month > 13))
+        throw new System.ArgumentOutOfRangeException("month", "Valid values are between 1 and 13, inclusive.");
+
+      return names[month - 1];
+    };
+
+    $.Method({Static:false, Public:true }, "GetAbbreviatedDayName",
+      (new JSIL.MethodSignature($.String, [mscorlib.TypeRef("System.DayOfWeek")], [])),
+      function GetAbbreviatedDayName (dayofweek) {
+        return getDayName(this._data.AbbreviatedDayNames, dayofweek);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "GetAbbreviatedMonthName",
+      (new JSIL.MethodSignature($.String, [$.Int32], [])),
+      function GetAbbreviatedMonthName (month) {
+        return getMonthName(this._data.AbbreviatedMonthNames, month);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "GetDayName",
+      (new JSIL.MethodSignature($.String, [mscorlib.TypeRef("System.DayOfWeek")], [])),
+      function GetDayName (dayofweek) {
+        return getDayName(this._data.DayNames, dayofweek);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "GetMonthName",
+      (new JSIL.MethodSignature($.String, [$.Int32], [])),
+      function GetMonthName (month) {
+        return getMonthName(this._data.MonthNames, month);
+      }
+    );
+  }
+);
+
+JSIL.ImplementExternals(
+  "System.Globalization.CultureInfo", function ($) {
+    var mscorlib = JSIL.GetCorlib();
+
+    var cache = {};
+    var currentCulture = null;
+    var currentUICulture = null;
+
+    var getData = function (nameOrId) {
+      if (nameOrId === null)
+        throw new System.ArgumentNullException("name");
+
+      var result = $jsilcore.$GetCultureData(nameOrId);
+      if (result === null) {
+        if (typeof (nameOrId) === "number")
+          throw new System.Globalization.CultureNotFoundException("culture", nameOrId, "Culture is not supported.");
+        else
+          throw new System.Globalization.CultureNotFoundException("name", nameOrId, "Culture is not supported.");
+      }
+
+      return result;
+    };
+
+    var initialize = function (culture, data, isReadOnly) {
+      culture._data = data;
+      culture._isReadOnly = isReadOnly;
+      culture._numberFormat = null;
+      culture._dateTimeFormat = null;
+    };
+
+    var make = function (data, isReadOnly) {
+      var result = Object.create(System.Globalization.CultureInfo.prototype);
+      initialize(result, data, isReadOnly);
+      return result;
+    };
+
+    // Cultures returned by GetCultureInfo and the static properties are shared, so they are read-only.
+    var getCultureInfo = function (nameOrId) {
+      var data = getData(nameOrId);
+
+      if (!cache.hasOwnProperty(data.name))
+        cache[data.name] = make(data, true);
+
+      return cache[data.name];
+    };
+
+    var getFormatInfo = function (culture, formatInfoType, cultureProperty, fieldName) {
+      var result = culture[fieldName];
+
+      if (result === null) {
+        var data = culture._data[cultureProperty];
+        if (!culture._isReadOnly)
+          data = $jsilcore.$CopyFormatData(data);
+
+        result = culture[fieldName] = formatInfoType.$Create(data, culture._isReadOnly);
+      }
+
+      return result;
+    };
+
+    var setFormatInfo = function (culture, value, fieldName) {
+      if (culture._isReadOnly)
+        throw new System.InvalidOperationException("Instance is read-only.");
+      else if (value === null)
+        throw new System.ArgumentNullException("value");
+
+      culture[fieldName] = value;
+    };
+
+    var checkCulture = function (value) {
+      if (value === null)
+        throw new System.ArgumentNullException("value");
+
+      return value;
+    };
+
+    $.Method({Static:false, Public:true }, ".ctor",
+      (new JSIL.MethodSignature(null, [$.String], [])),
+      function _ctor (name) {
+        initialize(this, getData(name), false);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor",
+      (new JSIL.MethodSignature(null, [$.String, $.Boolean], [])),
+      function _ctor (name, useUserOverride) {
+        initialize(this, getData(name), false);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor",
+      (new JSIL.MethodSignature(null, [$.Int32], [])),
+      function _ctor (culture) {
+        initialize(this, getData(culture), false);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, ".ctor",
+      (new JSIL.MethodSignature(null, [$.Int32, $.Boolean], [])),
+      function _ctor (culture, useUserOverride) {
+        initialize(this, getData(culture), false);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "CreateSpecificCulture",
+      (new JSIL.MethodSignature($.Type, [$.String], [])),
+      function CreateSpecificCulture (name) {
+        return make(getData(getData(name).specificName), false);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "GetCultureInfo",
+      (new JSIL.MethodSignature($.Type, [$.String], [])),
+      getCultureInfo
+    );
+
+    $.Method({Static:true , Public:true }, "GetCultureInfo",
+      (new JSIL.MethodSignature($.Type, [$.Int32], [])),
+      getCultureInfo
+    );
+
+    $.Method({Static:true , Public:true }, "ReadOnly",
+      (new JSIL.MethodSignature($.Type, [$.Type], [])),
+      function ReadOnly (ci) {
+        if (ci === null)
+          throw new System.ArgumentNullException("ci");
+
+        if (ci._isReadOnly)
+          return ci;
+
+        var result = make(ci._data, true);
+        result._numberFormat = System.Globalization.NumberFormatInfo.ReadOnly(ci.get_NumberFormat());
+        result._dateTimeFormat = System.Globalization.DateTimeFormatInfo.ReadOnly(ci.get_DateTimeFormat());
+        return result;
+      }
+    );
+
+    // The current culture is the invariant culture unless the application changes it.
+    $.Method({Static:true , Public:true }, "get_CurrentCulture",
+      (new JSIL.MethodSignature($.Type, [], [])),
+      function get_CurrentCulture () {
+        if (currentCulture === null)
+          currentCulture = getCultureInfo("");
+
+        return currentCulture;
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "set_CurrentCulture",
+      (new JSIL.MethodSignature(null, [$.Type], [])),
+      function set_CurrentCulture (value) {
+        currentCulture = checkCulture(value);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "get_CurrentUICulture",
+      (new JSIL.MethodSignature($.Type, [], [])),
+      function get_CurrentUICulture () {
+        if (currentUICulture === null)
+          currentUICulture = System.Globalization.CultureInfo.get_CurrentCulture();
+
+        return currentUICulture;
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "set_CurrentUICulture",
+      (new JSIL.MethodSignature(null, [$.Type], [])),
+      function set_CurrentUICulture (value) {
+        currentUICulture = checkCulture(value);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "get_InvariantCulture",
+      (new JSIL.MethodSignature($.Type, [], [])),
+      function get_InvariantCulture () {
+        return getCultureInfo("");
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "Clone",
+      (new JSIL.MethodSignature($.Object, [], [])),
+      function Clone () {
+        var result = make(this._data, false);
+        result._numberFormat = this.get_NumberFormat().Clone();
+        result._dateTimeFormat = this.get_DateTimeFormat().Clone();
+        return result;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "Equals",
+      (new JSIL.MethodSignature($.Boolean, [$.Object], [])),
+      function Equals (value) {
+        return JSIL.CheckType(value, System.Globalization.CultureInfo) && (value._data === this._data);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "GetFormat",
+      (new JSIL.MethodSignature($.Object, [mscorlib.TypeRef("System.Type")], [])),
+      function GetFormat (formatType) {
+        if (formatType === System.Globalization.NumberFormatInfo.__Type__)
+          return this.get_NumberFormat();
+        else if (formatType === System.Globalization.DateTimeFormatInfo.__Type__)
+          return this.get_DateTimeFormat();
+
+        return null;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "GetHashCode",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function GetHashCode () {
+        return this._data.lcid;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_DateTimeFormat",
+      (new JSIL.MethodSignature(mscorlib.TypeRef("System.Globalization.DateTimeFormatInfo"), [], [])),
+      function get_DateTimeFormat () {
+        return getFormatInfo(this, System.Globalization.DateTimeFormatInfo, "dateTimeFormat", "_dateTimeFormat");
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "set_DateTimeFormat",
+      (new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Globalization.DateTimeFormatInfo")], [])),
+      function set_DateTimeFormat (value) {
+        setFormatInfo(this, value, "_dateTimeFormat");
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_DisplayName",
+      (new JSIL.MethodSignature($.String, [], [])),
+      function get_DisplayName () {
+        return this._data.englishName;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_EnglishName",
+      (new JSIL.MethodSignature($.String, [], [])),
+      function get_EnglishName () {
+        return this._data.englishName;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_IsNeutralCulture",
+      (new JSIL.MethodSignature($.Boolean, [], [])),
+      function get_IsNeutralCulture () {
+        return this._data.isNeutral;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_IsReadOnly",
+      (new JSIL.MethodSignature($.Boolean, [], [])),
+      function get_IsReadOnly () {
+        return this._isReadOnly;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_LCID",
+      (new JSIL.MethodSignature($.Int32, [], [])),
+      function get_LCID () {
+        return this._data.lcid;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_Name",
+      (new JSIL.MethodSignature($.String, [], [])),
+      function get_Name () {
+        return this._data.name;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_NativeName",
+      (new JSIL.MethodSignature($.String, [], [])),
+      function get_NativeName () {
+        return this._data.nativeName;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_NumberFormat",
+      (new JSIL.MethodSignature(mscorlib.TypeRef("System.Globalization.NumberFormatInfo"), [], [])),
+      function get_NumberFormat () {
+        return getFormatInfo(this, System.Globalization.NumberFormatInfo, "numberFormat", "_numberFormat");
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "set_NumberFormat",
+      (new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Globalization.NumberFormatInfo")], [])),
+      function set_NumberFormat (value) {
+        setFormatInfo(this, value, "_numberFormat");
+      }
+    );
+
+    // The invariant culture is its own parent.
+    $.Method({Static:false, Public:true }, "get_Parent",
+      (new JSIL.MethodSignature($.Type, [], [])),
+      function get_Parent () {
+        return getCultureInfo(this._data.parentName === null ? "" : this._data.parentName);
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "get_TwoLetterISOLanguageName",
+      (new JSIL.MethodSignature($.String, [], [])),
+      function get_TwoLetterISOLanguageName () {
+        return this._data.twoLetterISOLanguageName;
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "ToString",
+      (new JSIL.MethodSignature($.String, [], [])),
+      function ToString () {
+        return this._data.name;
+      }
+    );
+
+    $.RawMethod(false, "toString", function () {
+      return this._data.name;
+    });
+  }
+);
+
+JSIL.MakeClass("System.Object", "System.Globalization.NumberFormatInfo", true, [], function ($) {
+  var properties = $jsilcore.$NumberFormatInfoProperties;
+
+  for (var i = 0; i < properties.length; i++)
+    $.Property({Public: true , Static: false}, properties[i]);
+
+  $.Property({Public: true , Static: true }, "CurrentInfo");
+
+  $.Property({Public: true , Static: true }, "InvariantInfo");
+
+  $.Property({Public: true , Static: false}, "IsReadOnly");
+
+  $.ImplementInterfaces(
+    "System.IFormatProvider", "System.ICloneable"
+  );
+});
+
+JSIL.MakeClass("System.Object", "System.Globalization.DateTimeFormatInfo", true, [], function ($) {
+  var properties = $jsilcore.$DateTimeFormatInfoProperties.concat($jsilcore.$DateTimeFormatInfoReadOnlyProperties);
+
+  for (var i = 0; i < properties.length; i++)
+    $.Property({Public: true , Static: false}, properties[i]);
+
+  $.Property({Public: true , Static: true }, "CurrentInfo");
+
+  $.Property({Public: true , Static: true }, "InvariantInfo");
+
+  $.Property({Public: true , Static: false}, "IsReadOnly");
+
+  $.ImplementInterfaces(
+    "System.IFormatProvider", "System.ICloneable"
+  );
+});
+
+JSIL.MakeClass("System.Object", "System.Globalization.CultureInfo", true, [], function ($) {
+  $.Property({Public: true , Static: true }, "CurrentCulture");
+
+  $.Property({Public: true , Static: true }, "CurrentUICulture");
+
+  $.Property({Public: true , Static: true }, "InvariantCulture");
+
+  $.Property({Public: true , Static: false}, "DateTimeFormat");
+
+  $.Property({Public: true , Static: false}, "DisplayName");
+
+  $.Property({Public: true , Static: false}, "EnglishName");
+
+  $.Property({Public: true , Static: false}, "IsNeutralCulture");
+
+  $.Property({Public: true , Static: false}, "IsReadOnly");
+
+  $.Property({Public: true , Static: false}, "LCID");
+
+  $.Property({Public: true , Static: false}, "Name");
+
+  $.Property({Public: true , Static: false}, "NativeName");
+
+  $.Property({Public: true , Static: false}, "NumberFormat");
+
+  $.Property({Public: true , Static: false}, "Parent");
+
+  $.Property({Public: true , Static: false}, "TwoLetterISOLanguageName");
+
+  $.ImplementInterfaces(
+    "System.IFormatProvider", "System.ICloneable"
+  );
+});
+
+JSIL.ImplementExternals("System.Collections.Generic.Dictionary`2", function ($) {
+  var mscorlib = JSIL.GetCorlib();
+
+  $.RawMethod(false, "$getHash", function (key) {
+    var keyType = typeof key;
+
+    if ((keyType !== "undefined") && (key !== null) && (typeof (key.GetHashCode) === "function") && (key.GetHashCode.__IsPlaceholder__ !== true)) {
+      return key.GetHashCode();
+    } else if ((keyType === "string") || (keyType === "number")) {
+      return String(key);
+    } else {
+      return "nohash";
+    }
+  });
+
+  $.RawMethod(false, "$areEqual", function (lhs, rhs) {
+    if (lhs === rhs)
+      return true;
+
+    return JSIL.ObjectEquals(lhs, rhs);
+  });
+
+  $.RawMethod(false, "$searchBucket", function (key) {
+    var hashCode = this.$getHash(key);
+    var bucket = this._dict[hashCode];
+    if (!JSIL.IsArray(bucket))
+      return null;
+
+    for (var i = 0; i < bucket.length; i++) {
+      var bucketEntry = bucket[i];
+
+      if (this.$areEqual(bucketEntry[0], key))
+        return bucketEntry;
+    }
+
+    return null;
+  });
+
+  $.RawMethod(false, "$removeByKey", function (key) {
+    var hashCode = this.$getHash(key);
+    var bucket = this._dict[hashCode];
+    if (!JSIL.IsArray(bucket))
+      return false;
+
+    for (var i = 0; i < bucket.length; i++) {
+      var bucketEntry = bucket[i];
+
+      if (this.$areEqual(bucketEntry[0], key)) {
+        bucket.splice(i, 1);
+        this._count -= 1;
+        return true;
+      }
+    }
+
+    return false;
+  });
+
+  $.RawMethod(false, "$addToBucket", function (key, value) {
+    var hashCode = this.$getHash(key);
+    var bucket = this._dict[hashCode];
+    if (!JSIL.IsArray(bucket))
+      this._dict[hashCode] = bucket = [];
+
+    bucket.push([key, value]);
+    this._count += 1;
+    return value;
+  });
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      this._dict = {};
+      this._count = 0;
+      this.tKeysEnumerator = null;
+      this.tValuesEnumerator = null;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.Int32], [])), 
+    function _ctor (capacity) {
+      this._dict = {};
+      this._count = 0;
+      this.tKeysEnumerator = null;
+      this.tValuesEnumerator = null;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Add", 
+    (new JSIL.MethodSignature(null, [new JSIL.GenericParameter("TKey", "System.Collections.Generic.Dictionary`2"), new JSIL.GenericParameter("TValue", "System.Collections.Generic.Dictionary`2")], [])), 
+    function Add (key, value) {
+      var bucketEntry = this.$searchBucket(key);
+
+      if (bucketEntry !== null)
+        throw new System.ArgumentException("Key already exists");
+
+      return this.$addToBucket(key, value);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Clear", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Clear () {
+      this._dict = {}
+      this._count = 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ContainsKey", 
+    (new JSIL.MethodSignature($.Boolean, [new JSIL.GenericParameter("TKey", "System.Collections.Generic.Dictionary`2")], [])), 
+    function ContainsKey (key) {
+      return this.$searchBucket(key) !== null;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Remove", 
+    (new JSIL.MethodSignature($.Boolean, [new JSIL.GenericParameter("TKey", "System.Collections.Generic.Dictionary`2")], [])), 
+    function Remove (key) {
+      return this.$removeByKey(key);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Count", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_Count () {
+      return this._count;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Item", 
+    (new JSIL.MethodSignature(new JSIL.GenericParameter("TValue", "System.Collections.Generic.Dictionary`2"), [new JSIL.GenericParameter("TKey", "System.Collections.Generic.Dictionary`2")], [])), 
+    function get_Item (key) {
+      var bucketEntry = this.$searchBucket(key);
+      if (bucketEntry !== null)
+        return bucketEntry[1];
+      else
+        throw new System.Exception("Key not found");
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Keys", 
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.Generic.Dictionary`2/KeyCollection", [new JSIL.GenericParameter("TKey", "System.Collections.Generic.Dictionary`2"), new JSIL.GenericParameter("TValue", "System.Collections.Generic.Dictionary`2")]), [], [])), 
+    function get_Keys () {
+      if (this.tKeysEnumerator === null) {
+        this.tKeysEnumerator = JSIL.ArrayEnumerator.Of(this.TKey);
+      }
+
+      return new JSIL.AbstractEnumerable(
+        (function getKeysProxy () {
+          var keys = [];
+
+          for (var k in this._dict) {
+            if (!this._dict.hasOwnProperty(k))
+              continue;
+            var bucket = this._dict[k];
+
+            for (var i = 0; i < bucket.length; i++)
+              keys.push(bucket[i][0]);
+          }
+
+          return new (this.tKeysEnumerator)(keys, -1);
+        }).bind(this)
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Values", 
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.Generic.Dictionary`2/ValueCollection", [new JSIL.GenericParameter("TKey", "System.Collections.Generic.Dictionary`2"), new JSIL.GenericParameter("TValue", "System.Collections.Generic.Dictionary`2")]), [], [])), 
+    function get_Values () {
+      if (this.tValuesEnumerator === null) {
+        this.tValuesEnumerator = JSIL.ArrayEnumerator.Of(this.TValue);
+      }
+
+      return new JSIL.AbstractEnumerable(
+        (function getValuesProxy () {
+          var values = [];
+
+          for (var k in this._dict) {
+            if (!this._dict.hasOwnProperty(k))
+              continue;
+            var bucket = this._dict[k];
+
+            for (var i = 0; i < bucket.length; i++)
+              values.push(bucket[i][1]);
+          }
+
+          return new (this.tValuesEnumerator)(values, -1);
+        }).bind(this)
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetEnumerator", 
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.Generic.Dictionary`2/Enumerator", [new JSIL.GenericParameter("TKey", "System.Collections.Generic.Dictionary`2"), new JSIL.GenericParameter("TValue", "System.Collections.Generic.Dictionary`2")]), [], [])), 
+    function GetEnumerator () {
+      var dict = this._dict;
+      var tKvp = System.Collections.Generic.KeyValuePair$b2.Of(this.TKey, this.TValue);
+      var current = new tKvp(null, null);
+
+      return new JSIL.AbstractEnumerator(
+        function getNext (result) {
+          var keys = this._state.keys;
+          var valueIndex = ++(this._state.valueIndex);
+          var bucketIndex = this._state.bucketIndex;
+
+          while ((bucketIndex >= 0) && (bucketIndex < keys.length)) {
+            var bucketKey = keys[this._state.bucketIndex];
+            var bucket = dict[bucketKey];
+
+            if ((valueIndex >= 0) && (valueIndex < bucket.length)) {
+              current.key = bucket[valueIndex][0];
+              current.value = bucket[valueIndex][1];
+              result.value = current;
+              return true;
+            } else {
+              bucketIndex = ++(this._state.bucketIndex);
+              valueIndex = 0;
+            }
+          }
+
+          return false;
+        },
+        function reset () {
+          this._state = {
+            keys: Object.keys(dict),
+            bucketIndex: 0,
+            valueIndex: -1
+          };
+        },
+        function dispose () {
+          this._state = null;
+        }
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "set_Item", 
+    (new JSIL.MethodSignature(null, [new JSIL.GenericParameter("TKey", "System.Collections.Generic.Dictionary`2"), new JSIL.GenericParameter("TValue", "System.Collections.Generic.Dictionary`2")], [])), 
+    function set_Item (key, value) {
+      var bucketEntry = this.$searchBucket(key);
+      if (bucketEntry !== null)
+        return bucketEntry[1] = value;
+      else
+        return this.$addToBucket(key, value);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "TryGetValue", 
+    (new JSIL.MethodSignature($.Boolean, [new JSIL.GenericParameter("TKey", "System.Collections.Generic.Dictionary`2"), $jsilcore.TypeRef("JSIL.Reference", [new JSIL.GenericParameter("TValue", "System.Collections.Generic.Dictionary`2")])], [])), 
+    function TryGetValue (key, /* ref */ value) {
+      var bucketEntry = this.$searchBucket(key);
+      if (bucketEntry !== null) {
+        value.value = bucketEntry[1];
+        return true;
+      } else {
+        value.value = JSIL.DefaultValue(this.TValue);
+      }
+
+      return false;
+    }
+  );
+
+});
+
+JSIL.ImplementExternals("System.Collections.Generic.KeyValuePair`2", function ($) {
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [new JSIL.GenericParameter("TKey", "System.Collections.Generic.KeyValuePair`2"), new JSIL.GenericParameter("TValue", "System.Collections.Generic.KeyValuePair`2")], [])), 
+    function _ctor (key, value) {
+      this.key = key;
+      this.value = value;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Key", 
+    (new JSIL.MethodSignature(new JSIL.GenericParameter("TKey", "System.Collections.Generic.KeyValuePair`2"), [], [])), 
+    function get_Key () {
+      return this.key;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Value", 
+    (new JSIL.MethodSignature(new JSIL.GenericParameter("TValue", "System.Collections.Generic.KeyValuePair`2"), [], [])), 
+    function get_Value () {
+      return this.value;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "toString", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function toString () {
+      return "[" + String(this.key) + ", " + String(this.value) + "]";
+    }
+  );
+
+});
+
+JSIL.MakeStruct("System.ValueType", "System.Collections.Generic.KeyValuePair`2", true, ["TKey", "TValue"], function ($) {
+});
+
+JSIL.MakeClass("System.Object", "System.Collections.Generic.Dictionary`2", true, ["TKey", "TValue"], function ($) {
+});
+
+$jsilcore.$tArrayEnumerator = [null];
+
+JSIL.GetEnumerator = function (enumerable) {
+  if ((typeof (enumerable) === "undefined") || (enumerable === null))
+    throw new Error("Enumerable is null or undefined");
+
+  if (JSIL.IsArray(enumerable)) {
+    if ($jsilcore.$tArrayEnumerator[0] === null)
+      $jsilcore.$tArrayEnumerator[0] = JSIL.ArrayEnumerator.Of(System.Object);
+
+    return new ($jsilcore.$tArrayEnumerator[0]) (enumerable, -1);
+  } else if (typeof (enumerable.IEnumerable$b1_GetEnumerator) === "function")
+    return enumerable.IEnumerable$b1_GetEnumerator();
+  else if (typeof (enumerable.IEnumerable_GetEnumerator) === "function")
+    return enumerable.IEnumerable_GetEnumerator();    
+  else if (typeof (enumerable.GetEnumerator) === "function")
+    return enumerable.GetEnumerator();    
+  else
+    throw new Error("Value is not enumerable");
+};
+
+JSIL.EnumerableToArray = function (enumerable) {
+  var e = JSIL.GetEnumerator(enumerable);
+  var result = [];
+
+  try {
+    while (e.MoveNext())
+      result.push(e.Current);
+  } finally {
+    e.IDisposable_Dispose();
+  }
+
+  return result;
+};
+
+JSIL.MakeClass("System.Object", "JSIL.AbstractEnumerator", true, [], function ($) {
+  $.RawMethod(false, "__CopyMembers__", 
+    function AbstractEnumerator_CopyMembers (source, target) {
+      target._getNextItem = source._getNextItem;
+      target._reset = source._reset;
+      target._dispose = source._dispose;
+      target._first = source._first;
+      target._needDispose = source._needDispose;
+      target._current = new JSIL.Variable(source._current.value);
+      target._state = source._state;
+    }
+  );
+
+  $.Method({Static: false, Public: true }, ".ctor",
+    new JSIL.MethodSignature(null, [JSIL.AnyType, JSIL.AnyType, JSIL.AnyType]),
+    function (getNextItem, reset, dispose) {
+      this._getNextItem = getNextItem;
+      this._reset = reset;
+      this._dispose = dispose;
+      this._first = true;
+      this._needDispose = false;
+      this._current = new JSIL.Variable(null);
+    }
+  );
+
+  $.Method({Static: false, Public: true }, "Reset",
+    new JSIL.MethodSignature(null, []),
+    function () {
+      if (this._needDispose)
+        this._dispose();
+
+      this._first = false;
+      this._needDispose = true;
+      this._reset();
+    }
+  );
+
+  $.Method({Static: false, Public: true }, "MoveNext",
+    new JSIL.MethodSignature("System.Boolean", []),
+    function () {
+      if (this._first) {
+        this._reset();
+        this._needDispose = true;
+        this._first = false;
+      }
+
+      return this._getNextItem(this._current);
+    }
+  );
+
+  $.Method({Static: false, Public: true }, "Dispose",
+    new JSIL.MethodSignature(null, []),
+    function () {
+      if (this._needDispose)
+        this._dispose();
+
+      this._needDispose = false;
+    }
+  );
+
+
+  $.Method({Static: false, Public: true }, "get_Current",
+    new JSIL.MethodSignature(JSIL.AnyType, []),
+    function () {
+      return this._current.value;
+    }
+  );
+
+  $.Property({Static: false, Public: true }, "Current");
+
+  $.ImplementInterfaces(
+    System.IDisposable, System.Collections.IEnumerator, System.Collections.Generic.IEnumerator$b1
+  );
+});
+
+JSIL.MakeClass("System.Object", "JSIL.AbstractEnumerable", true, [], function ($) {
+  $.Method({Static: false, Public: true }, ".ctor",
+    new JSIL.MethodSignature(null, [JSIL.AnyType, JSIL.AnyType, JSIL.AnyType]),
+    function (getNextItem, reset, dispose) {
+      if (arguments.length === 1) {
+        this._getEnumerator = getNextItem;
+      } else {
+        this._getEnumerator = null;
+        this._getNextItem = getNextItem;
+        this._reset = reset;
+        this._dispose = dispose;
+      }
+    }
+  );
+
+  $.Method({Static: false, Public: true }, "GetEnumerator",
+    new JSIL.MethodSignature("System.Collections.IEnumerator", []),
+    function () {
+      if (this._getEnumerator !== null)
+        return this._getEnumerator();
+      else
+        return new JSIL.AbstractEnumerator(this._getNextItem, this._reset, this._dispose);
+    }
+  );
+
+  $.ImplementInterfaces(
+    System.Collections.IEnumerable, System.Collections.Generic.IEnumerable$b1
+  );
+});
+
+JSIL.MakeClass("System.Object", "JSIL.Grouping", true, [], function ($) {
+  $.Method({Static: false, Public: true }, ".ctor",
+    new JSIL.MethodSignature(null, [JSIL.AnyType, JSIL.AnyType]),
+    function (key, items) {
+      this._key = key;
+      this._items = items;
+    }
+  );
+
+  $.Method({Static: false, Public: true }, "get_Key",
+    new JSIL.MethodSignature(JSIL.AnyType, []),
+    function () {
+      return this._key;
+    }
+  );
+
+  $.Method({Static: false, Public: true }, "GetEnumerator",
+    new JSIL.MethodSignature("System.Collections.IEnumerator", []),
+    function () {
+      return JSIL.GetEnumerator(this._items);
+    }
+  );
+
+  $.Property({Static: false, Public: true }, "Key");
+
+  $.ImplementInterfaces(
+    System.Collections.IEnumerable, System.Collections.Generic.IEnumerable$b1
+  );
+});
+
+$jsilcore.$EnumerableMethods = null;
+
+// Builds the table of System.Linq.Enumerable overloads shared by its externals and its declaration.
+// Every entry is [name, signature, implementation]. Operators that return sequences are evaluated
+//  lazily, every time the result is enumerated, and sorting and grouping preserve the source order.
+$jsilcore.$GetEnumerableMethods = function () {
+  if ($jsilcore.$EnumerableMethods !== null)
+    return $jsilcore.$EnumerableMethods;
+
+  var methods = [];
+
+  var method = function (name, returnType, argumentTypes, genericArgumentNames, implementation) {
+    methods.push([
+      name, new JSIL.MethodSignature(returnType, argumentTypes, genericArgumentNames), implementation
+    ]);
+  };
+
+  var typeRef = function (name) {
+    return $jsilcore.TypeRef(name, Array.prototype.slice.call(arguments, 1));
+  };
+
+  var tBoolean = typeRef("System.Boolean");
+  var tInt32 = typeRef("System.Int32");
+  var tInt64 = typeRef("System.Int64");
+  var tIEnumerable = typeRef("System.Collections.IEnumerable");
+
+  var IEnumerable = function (T) {
+    return typeRef("System.Collections.Generic.IEnumerable`1", T);
+  };
+  var IOrderedEnumerable = function (T) {
+    return typeRef("System.Linq.IOrderedEnumerable`1", T);
+  };
+  var IGrouping = function (TKey, TElement) {
+    return typeRef("System.Linq.IGrouping`2", TKey, TElement);
+  };
+  var IComparer = function (T) {
+    return typeRef("System.Collections.Generic.IComparer`1", T);
+  };
+  var IEqualityComparer = function (T) {
+    return typeRef("System.Collections.Generic.IEqualityComparer`1", T);
+  };
+  var Func = function (/* ...typeArguments */) {
+    var typeArguments = Array.prototype.slice.call(arguments);
+    return $jsilcore.TypeRef("System.Func`" + typeArguments.length, typeArguments);
+  };
+
+  var noElements = function () {
+    return new System.InvalidOperationException("Sequence contains no elements");
+  };
+
+  var noMatch = function () {
+    return new System.InvalidOperationException("Sequence contains no matching element");
+  };
+
+  var checkNotNull = function (value, name) {
+    if ((value === null) || (typeof (value) === "undefined"))
+      throw new System.ArgumentNullException(name);
+  };
+
+  // Calls callback for every item of source until it returns false.
+  var forEach = function (source, callback) {
+    checkNotNull(source, "source");
+
+    var enumerator = JSIL.GetEnumerator(source);
+
+    try {
+      while (enumerator.MoveNext()) {
+        if (callback(enumerator.Current) === false)
+          return;
+      }
+    } finally {
+      enumerator.IDisposable_Dispose();
+    }
+  };
+
+  // Creates a sequence that is evaluated whenever it is enumerated. start is called at the beginning
+  //  of each enumeration and returns the state of that enumeration: a next(result) function that
+  //  stores the next item in result.value and returns false at the end, and an optional dispose().
+  var makeSequence = function (start) {
+    return new JSIL.AbstractEnumerable(function () {
+      var state = null;
+
+      var dispose = function () {
+        if ((state !== null) && state.dispose)
+          state.dispose();
+
+        state = null;
+      };
+
+      return new JSIL.AbstractEnumerator(
+        function getNext (result) {
+          return state.next(result);
+        },
+        function reset () {
+          dispose();
+          state = start();
+        },
+        dispose
+      );
+    });
+  };
+
+  // A sequence that enumerates source and passes its enumerator to next, along with the per-enumeration
+  //  state created by init.
+  var fromSource = function (source, init, next) {
+    checkNotNull(source, "source");
+
+    return makeSequence(function () {
+      var enumerator = JSIL.GetEnumerator(source);
+      var state = init ? init() : null;
+
+      return {
+        next: function (result) {
+          return next(enumerator, result, state);
+        },
+        dispose: function () {
+          enumerator.IDisposable_Dispose();
+        }
+      };
+    });
+  };
+
+  // A sequence over the array produced by compute, which runs when the sequence is enumerated.
+  var fromBuffer = function (compute) {
+    return makeSequence(function () {
+      var items = compute();
+      var index = 0;
+
+      return {
+        next: function (result) {
+          if (index >= items.length)
+            return false;
+
+          result.value = items[index++];
+          return true;
+        }
+      };
+    });
+  };
+
+  var toArray = function (source) {
+    checkNotNull(source, "source");
+
+    if (JSIL.IsArray(source))
+      return Array.prototype.slice.call(source);
+
+    return JSIL.EnumerableToArray(source);
+  };
+
+  var compareKeys = function (lhs, rhs, comparer) {
+    if (comparer !== null)
+      return comparer.Compare(lhs, rhs);
+
+    if (lhs === rhs)
+      return 0;
+    else if (lhs === null)
+      return -1;
+    else if (rhs === null)
+      return 1;
+    else if ((typeof (lhs) === "string") && (typeof (rhs) === "string"))
+      return System.String.Compare(lhs, rhs);
+
+    return JSIL.CompareValues(lhs, rhs);
+  };
+
+  var getHashKey = function (value, comparer) {
+    if ((value === null) || (typeof (value) === "undefined"))
+      return "null";
+    else if (comparer !== null)
+      return "$" + comparer.GetHashCode(value);
+    else if ((typeof (value.GetHashCode) === "function") && (value.GetHashCode.__IsPlaceholder__ !== true))
+      return "$" + value.GetHashCode();
+    else if ((typeof (value) === "string") || (typeof (value) === "number"))
+      return "$" + value;
+    else
+      return "nohash";
+  };
+
+  var areEqual = function (lhs, rhs, comparer) {
+    if (comparer !== null)
+      return comparer.Equals(lhs, rhs);
+
+    if (lhs === rhs)
+      return true;
+    else if ((lhs === null) || (rhs === null))
+      return false;
+
+    return JSIL.ObjectEquals(lhs, rhs);
+  };
+
+  // Groups values by key, keeping the groups in the order their keys were first seen.
+  var makeLookup = function (comparer) {
+    var buckets = {};
+    var groups = [];
+
+    var find = function (key, create) {
+      var hashKey = getHashKey(key, comparer);
+      var bucket = buckets.hasOwnProperty(hashKey) ? buckets[hashKey] : null;
+
+      if (bucket !== null) {
+        for (var i = 0; i < bucket.length; i++) {
+          if (areEqual(bucket[i].key, key, comparer))
+            return bucket[i];
+        }
+      }
+
+      if (!create)
+        return null;
+
+      if (bucket === null)
+        bucket = buckets[hashKey] = [];
+
+      var group = { key: key, items: [] };
+      bucket.push(group);
+      groups.push(group);
+      return group;
+    };
+
+    return {
+      groups: groups,
+      find: find,
+      add: function (value) {
+        if (find(value, false) !== null)
+          return false;
+
+        find(value, true);
+        return true;
+      }
+    };
+  };
+
+  var buildLookup = function (source, keySelector, elementSelector, comparer) {
+    var lookup = makeLookup(comparer);
+
+    forEach(source, function (item) {
+      var group = lookup.find(keySelector(item), true);
+      group.items.push(elementSelector ? elementSelector(item) : item);
+    });
+
+    return lookup;
+  };
+
+  var first = function (source, predicate, T, orDefault) {
+    var found = false, result;
+
+    forEach(source, function (item) {
+      if (predicate && !predicate(item))
+        return true;
+
+      found = true;
+      result = item;
+      return false;
+    });
+
+    if (found)
+      return result;
+    else if (orDefault)
+      return JSIL.DefaultValue(T);
+    else
+      throw (predicate ? noMatch() : noElements());
+  };
+
+  var last = function (source, predicate, T, orDefault) {
+    var found = false, result;
+
+    forEach(source, function (item) {
+      if (predicate && !predicate(item))
+        return true;
+
+      found = true;
+      result = item;
+    });
+
+    if (found)
+      return result;
+    else if (orDefault)
+      return JSIL.DefaultValue(T);
+    else
+      throw (predicate ? noMatch() : noElements());
+  };
+
+  var single = function (source, predicate, T, orDefault) {
+    var count = 0, result;
+
+    forEach(source, function (item) {
+      if (predicate && !predicate(item))
+        return true;
+
+      count += 1;
+      result = item;
+
+      // Without a predicate there is no need to look past the second item.
+      return predicate ? true : (count < 2);
+    });
+
+    if (count === 1)
+      return result;
+    else if (count > 1)
+      throw new System.InvalidOperationException(
+        predicate ? "Sequence contains more than one matching element" : "Sequence contains more than one element"
+      );
+    else if (orDefault)
+      return JSIL.DefaultValue(T);
+    else
+      throw (predicate ? noMatch() : noElements());
+  };
+
+  var count = function (source, predicate) {
+    checkNotNull(source, "source");
+
+    if (!predicate) {
+      if (JSIL.IsArray(source))
+        return source.length;
+      else if (typeof (source.get_Count) === "function")
+        return source.get_Count();
+    }
+
+    var result = 0;
+
+    forEach(source, function (item) {
+      if (!predicate || predicate(item))
+        result += 1;
+    });
+
+    return result;
+  };
+
+  var elementAt = function (source, index, T, orDefault) {
+    var found = false, result;
+
+    if (index >= 0) {
+      var i = 0;
+
+      forEach(source, function (item) {
+        if (i++ < index)
+          return true;
+
+        found = true;
+        result = item;
+        return false;
+      });
+    }
+
+    if (found)
+      return result;
+    else if (orDefault)
+      return JSIL.DefaultValue(T);
+    else
+      throw new System.ArgumentOutOfRangeException("index");
+  };
+
+  var contains = function (source, value, comparer) {
+    var result = false;
+
+    forEach(source, function (item) {
+      if (areEqual(item, value, comparer)) {
+        result = true;
+        return false;
+      }
+    });
+
+    return result;
+  };
+
+  var sequenceEqual = function (first, second, comparer) {
+    checkNotNull(first, "first");
+    checkNotNull(second, "second");
+
+    var lhs = JSIL.GetEnumerator(first);
+    var rhs = JSIL.GetEnumerator(second);
+
+    try {
+      while (lhs.MoveNext()) {
+        if (!rhs.MoveNext() || !areEqual(lhs.Current, rhs.Current, comparer))
+          return false;
+      }
+
+      return !rhs.MoveNext();
+    } finally {
+      lhs.IDisposable_Dispose();
+      rhs.IDisposable_Dispose();
+    }
+  };
+
+  var makeOrderedSequence = function (source, orderings) {
+    var result = fromBuffer(function () {
+      var items = toArray(source);
+      var keys = [];
+      var indices = [];
+
+      for (var i = 0; i < orderings.length; i++) {
+        var ordering = orderings[i];
+        var orderingKeys = keys[i] = [];
+
+        for (var j = 0; j < items.length; j++)
+          orderingKeys.push(ordering.keySelector(items[j]));
+      }
+
+      for (var i = 0; i < items.length; i++)
+        indices.push(i);
+
+      // Ties are broken by the original position, which keeps the sort stable.
+      indices.sort(function (lhs, rhs) {
+        for (var i = 0; i < orderings.length; i++) {
+          var result = compareKeys(keys[i][lhs], keys[i][rhs], orderings[i].comparer);
+
+          if (result !== 0)
+            return orderings[i].descending ? -result : result;
+        }
+
+        return lhs - rhs;
+      });
+
+      for (var i = 0; i < indices.length; i++)
+        indices[i] = items[indices[i]];
+
+      return indices;
+    });
+
+    result.$orderingSource = source;
+    result.$orderings = orderings;
+    return result;
+  };
+
+  var orderBy = function (source, keySelector, comparer, descending) {
+    checkNotNull(source, "source");
+    checkNotNull(keySelector, "keySelector");
+
+    return makeOrderedSequence(source, [{
+      keySelector: keySelector, comparer: comparer, descending: descending
+    }]);
+  };
+
+  var thenBy = function (TKey, source, keySelector, comparer, descending) {
+    checkNotNull(source, "source");
+    checkNotNull(keySelector, "keySelector");
+
+    if (!source.$orderings)
+      return source.CreateOrderedEnumerable(TKey, keySelector, comparer, descending);
+
+    return makeOrderedSequence(source.$orderingSource, source.$orderings.concat([{
+      keySelector: keySelector, comparer: comparer, descending: descending
+    }]));
+  };
+
+  var groupBy = function (source, keySelector, elementSelector, resultSelector, comparer) {
+    checkNotNull(source, "source");
+    checkNotNull(keySelector, "keySelector");
+
+    return fromBuffer(function () {
+      var groups = buildLookup(source, keySelector, elementSelector, comparer).groups;
+      var result = [];
+
+      for (var i = 0; i < groups.length; i++) {
+        if (resultSelector)
+          result.push(resultSelector(groups[i].key, groups[i].items));
+        else
+          result.push(new JSIL.Grouping(groups[i].key, groups[i].items));
+      }
+
+      return result;
+    });
+  };
+
+  var join = function (outer, inner, outerKeySelector, innerKeySelector, resultSelector, comparer) {
+    checkNotNull(inner, "inner");
+
+    return fromSource(outer, function () {
+      return { lookup: buildLookup(inner, innerKeySelector, null, comparer), outerItem: null, matches: [], index: 0 };
+    }, function (enumerator, result, state) {
+      while (state.index >= state.matches.length) {
+        if (!enumerator.MoveNext())
+          return false;
+
+        var key = outerKeySelector(enumerator.Current);
+        var group = (key === null) ? null : state.lookup.find(key, false);
+
+        state.outerItem = enumerator.Current;
+        state.matches = (group !== null) ? group.items : [];
+        state.index = 0;
+      }
+
+      result.value = resultSelector(state.outerItem, state.matches[state.index++]);
+      return true;
+    });
+  };
+
+  var selectMany = function (source, collectionSelector, resultSelector, withIndex) {
+    checkNotNull(collectionSelector, "collectionSelector");
+
+    return fromSource(source, function () {
+      return { inner: null, item: null, index: 0 };
+    }, function (enumerator, result, state) {
+      while (true) {
+        if (state.inner !== null) {
+          if (state.inner.MoveNext()) {
+            result.value = resultSelector ? resultSelector(state.item, state.inner.Current) : state.inner.Current;
+            return true;
+          }
+
+          state.inner.IDisposable_Dispose();
+          state.inner = null;
+        }
+
+        if (!enumerator.MoveNext())
+          return false;
+
+        state.item = enumerator.Current;
+        state.inner = JSIL.GetEnumerator(
+          withIndex ? collectionSelector(state.item, state.index++) : collectionSelector(state.item)
+        );
+      }
+    });
+  };
+
+  var distinct = function (source, comparer) {
+    return fromSource(source, function () {
+      return makeLookup(comparer);
+    }, function (enumerator, result, set) {
+      while (enumerator.MoveNext()) {
+        if (set.add(enumerator.Current)) {
+          result.value = enumerator.Current;
+          return true;
+        }
+      }
+
+      return false;
+    });
+  };
+
+  var union = function (first, second, comparer) {
+    return distinct(concat(first, second), comparer);
+  };
+
+  // Yields the distinct items of first that are (or are not) contained in second.
+  var filterBySet = function (first, second, comparer, keepContained) {
+    checkNotNull(second, "second");
+
+    return fromSource(first, function () {
+      var contained = makeLookup(comparer);
+      forEach(second, contained.add);
+
+      return { contained: contained, yielded: makeLookup(comparer) };
+    }, function (enumerator, result, state) {
+      while (enumerator.MoveNext()) {
+        var item = enumerator.Current;
+
+        if ((state.contained.find(item, false) !== null) !== keepContained)
+          continue;
+
+        if (state.yielded.add(item)) {
+          result.value = item;
+          return true;
+        }
+      }
+
+      return false;
+    });
+  };
+
+  var concat = function (first, second) {
+    checkNotNull(first, "first");
+    checkNotNull(second, "second");
+
+    return makeSequence(function () {
+      var enumerator = JSIL.GetEnumerator(first);
+      var isSecond = false;
+
+      return {
+        next: function (result) {
+          while (!enumerator.MoveNext()) {
+            if (isSecond)
+              return false;
+
+            enumerator.IDisposable_Dispose();
+            enumerator = JSIL.GetEnumerator(second);
+            isSecond = true;
+          }
+
+          result.value = enumerator.Current;
+          return true;
+        },
+        dispose: function () {
+          enumerator.IDisposable_Dispose();
+        }
+      };
+    });
+  };
+
+  var aggregate = function (source, hasSeed, seed, func) {
+    checkNotNull(func, "func");
+
+    var hasValue = hasSeed;
+    var result = seed;
+
+    forEach(source, function (item) {
+      if (hasValue) {
+        result = func(result, item);
+      } else {
+        result = item;
+        hasValue = true;
+      }
+    });
+
+    if (!hasValue)
+      throw noElements();
+
+    return result;
+  };
+
+  // Min and Max. Nulls are ignored, and if every item is null (or there are none) the result is null;
+  //  an empty sequence of a non-nullable value type is an error.
+  var extremum = function (source, selector, canBeNull, sign) {
+    var hasValue = false;
+    var result = null;
+
+    forEach(source, function (item) {
+      var value = selector ? selector(item) : item;
+      if (value === null)
+        return;
+
+      if (!hasValue || (compareKeys(value, result, null) * sign > 0))
+        result = value;
+
+      hasValue = true;
+    });
+
+    if (!hasValue && !canBeNull)
+      throw noElements();
+
+    return result;
+  };
+
+  var numericTypes = [
+    {
+      name: "System.Int32", averageName: "System.Double",
+      zero: function () {
+        return 0;
+      },
+      add: function (lhs, rhs) {
+        var result = lhs + rhs;
+
+        if ((result > 2147483647) || (result < -2147483648))
+          throw new System.OverflowException("Arithmetic operation resulted in an overflow.");
+
+        return result;
+      },
+      // .NET averages Int32 values by summing them as Int64, so the sum does not overflow.
+      averageAdd: function (lhs, rhs) {
+        return lhs + rhs;
+      },
+      divide: function (sum, count) {
+        return sum / count;
+      }
+    },
+    {
+      name: "System.Int64", averageName: "System.Double",
+      zero: function () {
+        return System.Int64.FromNumber(0);
+      },
+      add: function (lhs, rhs) {
+        var result = System.Int64.op_Addition(lhs, rhs);
+        var zero = System.Int64.FromNumber(0);
+        var lhsNegative = System.Int64.op_LessThan(lhs, zero);
+
+        // The addition overflowed if the operands have the same sign and the result does not.
+        if (
+          (lhsNegative === System.Int64.op_LessThan(rhs, zero)) &&
+          (lhsNegative !== System.Int64.op_LessThan(result, zero))
+        )
+          throw new System.OverflowException("Arithmetic operation resulted in an overflow.");
+
+        return result;
+      },
+      divide: function (sum, count) {
+        return System.Int64.ToNumber(sum) / count;
+      }
+    },
+    {
+      name: "System.Single", averageName: "System.Single",
+      zero: function () {
+        return 0;
+      },
+      add: function (lhs, rhs) {
+        return lhs + rhs;
+      },
+      divide: function (sum, count) {
+        return sum / count;
+      }
+    },
+    {
+      name: "System.Double", averageName: "System.Double",
+      zero: function () {
+        return 0;
+      },
+      add: function (lhs, rhs) {
+        return lhs + rhs;
+      },
+      divide: function (sum, count) {
+        return sum / count;
+      }
+    },
+    {
+      name: "System.Decimal", averageName: "System.Decimal",
+      zero: function () {
+        return System.Decimal.$Coerce(0);
+      },
+      add: function (lhs, rhs) {
+        return System.Decimal.Add(lhs, rhs);
+      },
+      divide: function (sum, count) {
+        return System.Decimal.Divide(sum, count);
+      }
+    }
+  ];
+
+  var sum = function (numericType, source, selector) {
+    var result = numericType.zero();
+
+    forEach(source, function (item) {
+      var value = selector ? selector(item) : item;
+      if (value !== null)
+        result = numericType.add(result, value);
+    });
+
+    return result;
+  };
+
+  var average = function (numericType, source, selector, isNullable) {
+    var add = numericType.averageAdd || numericType.add;
+    var result = numericType.zero();
+    var count = 0;
+
+    forEach(source, function (item) {
+      var value = selector ? selector(item) : item;
+      if (value === null)
+        return;
+
+      result = add(result, value);
+      count += 1;
+    });
+
+    if (count === 0) {
+      if (isNullable)
+        return null;
+
+      throw noElements();
+    }
+
+    return numericType.divide(result, count);
+  };
+
+  // Sum, Min, Max and Average each have an overload for every numeric type and its nullable version,
+  //  with and without a selector.
+  var declareNumericOverloads = function (numericType, isNullable) {
+    var T = typeRef(numericType.name);
+    var A = typeRef(numericType.averageName);
+
+    if (isNullable) {
+      T = typeRef("System.Nullable`1", T);
+      A = typeRef("System.Nullable`1", A);
+    }
+
+    var implementations = {
+      Sum: function (source, selector) {
+        return sum(numericType, source, selector);
+      },
+      Min: function (source, selector) {
+        return extremum(source, selector, isNullable, -1);
+      },
+      Max: function (source, selector) {
+        return extremum(source, selector, isNullable, 1);
+      },
+      Average: function (source, selector) {
+        return average(numericType, source, selector, isNullable);
+      }
+    };
+
+    for (var name in implementations) {
+      var implementation = implementations[name];
+      var returnType = (name === "Average") ? A : T;
+
+      method(name, returnType, [IEnumerable(T)], [],
+        (function (implementation) {
+          return function (source) {
+            return implementation(source, null);
+          };
+        })(implementation)
+      );
+
+      method(name, returnType, [IEnumerable("!!0"), Func("!!0", T)], ["TSource"],
+        (function (implementation) {
+          return function (TSource, source, selector) {
+            checkNotNull(selector, "selector");
+            return implementation(source, selector);
+          };
+        })(implementation)
+      );
+    }
+  };
+
+  method("Aggregate", "!!0", [IEnumerable("!!0"), Func("!!0", "!!0", "!!0")], ["TSource"],
+    function (TSource, source, func) {
+      return aggregate(source, false, null, func);
+    }
+  );
+
+  method("Aggregate", "!!1", [IEnumerable("!!0"), "!!1", Func("!!1", "!!0", "!!1")], ["TSource", "TAccumulate"],
+    function (TSource, TAccumulate, source, seed, func) {
+      return aggregate(source, true, seed, func);
+    }
+  );
+
+  method("Aggregate", "!!2", [IEnumerable("!!0"), "!!1", Func("!!1", "!!0", "!!1"), Func("!!1", "!!2")], ["TSource", "TAccumulate", "TResult"],
+    function (TSource, TAccumulate, TResult, source, seed, func, resultSelector) {
+      checkNotNull(resultSelector, "resultSelector");
+      return resultSelector(aggregate(source, true, seed, func));
+    }
+  );
+
+  method("All", tBoolean, [IEnumerable("!!0"), Func("!!0", tBoolean)], ["TSource"],
+    function (TSource, source, predicate) {
+      checkNotNull(predicate, "predicate");
+
+      var result = true;
+
+      forEach(source, function (item) {
+        if (!predicate(item)) {
+          result = false;
+          return false;
+        }
+      });
+
+      return result;
+    }
+  );
+
+  method("Any", tBoolean, [IEnumerable("!!0")], ["TSource"],
+    function (TSource, source) {
+      var result = false;
 
-    return true;
-  };
+      forEach(source, function (item) {
+        result = true;
+        return false;
+      });
 
-  $.Method({Static:true , Public:true }, "Enter", 
-    (new JSIL.MethodSignature(null, [$.Object], [])), 
-    function Enter (obj) {
-      enterImpl(obj);
+      return result;
     }
   );
 
-  $.Method({Static:true , Public:true }, "Enter", 
-    (new JSIL.MethodSignature(null, [$.Object, $jsilcore.TypeRef("JSIL.Reference", [$.Boolean])], [])), 
-    function Enter (obj, /* ref */ lockTaken) {
-      lockTaken.value = enterImpl(obj);
+  method("Any", tBoolean, [IEnumerable("!!0"), Func("!!0", tBoolean)], ["TSource"],
+    function (TSource, source, predicate) {
+      checkNotNull(predicate, "predicate");
+
+      var result = false;
+
+      forEach(source, function (item) {
+        if (predicate(item)) {
+          result = true;
+          return false;
+        }
+      });
+
+      return result;
     }
   );
 
-  $.Method({Static:true , Public:true }, "Exit", 
-    (new JSIL.MethodSignature(null, [$.Object], [])), 
-    function Exit (obj) {
-      var current = (obj.__LockCount__ || 0);
-      if (current <= 0)
-        JSIL.Host.warning("Warning: unlocking an object that is not locked ", obj);
+  method("AsEnumerable", IEnumerable("!!0"), [IEnumerable("!!0")], ["TSource"],
+    function (TSource, source) {
+      return source;
+    }
+  );
 
-      obj.__LockCount__ = current - 1;
+  for (var i = 0; i < numericTypes.length; i++) {
+    declareNumericOverloads(numericTypes[i], false);
+    declareNumericOverloads(numericTypes[i], true);
+  }
+
+  method("Cast", IEnumerable("!!0"), [tIEnumerable], ["TResult"],
+    function (TResult, source) {
+      return fromSource(source, null, function (enumerator, result) {
+        if (!enumerator.MoveNext())
+          return false;
+
+        result.value = JSIL.Cast(enumerator.Current, TResult);
+        return true;
+      });
     }
   );
 
-});
+  method("Concat", IEnumerable("!!0"), [IEnumerable("!!0"), IEnumerable("!!0")], ["TSource"],
+    function (TSource, first, second) {
+      return concat(first, second);
+    }
+  );
 
-JSIL.MakeStaticClass("System.Threading.Interlocked", true, [], function ($) {
-  $.ExternalMethod({Public: true , Static: true }, "CompareExchange", 
-    new JSIL.MethodSignature("!!0", [JSIL.Reference.Of("!!0"), "!!0", "!!0"], ["T"])
+  method("Contains", tBoolean, [IEnumerable("!!0"), "!!0"], ["TSource"],
+    function (TSource, source, value) {
+      return contains(source, value, null);
+    }
   );
-});
-JSIL.MakeStaticClass("System.Threading.Monitor", true, []);
 
-JSIL.ImplementExternals("System.Random", function ($) {
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function _ctor () {
+  method("Contains", tBoolean, [IEnumerable("!!0"), "!!0", IEqualityComparer("!!0")], ["TSource"],
+    function (TSource, source, value, comparer) {
+      return contains(source, value, comparer);
     }
   );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$.Int32], [])), 
-    function _ctor (Seed) {
-      JSIL.Host.warning("Cannot seed the JS random number generator.");
+  method("Count", tInt32, [IEnumerable("!!0")], ["TSource"],
+    function (TSource, source) {
+      return count(source, null);
     }
   );
 
-  $.Method({Static:false, Public:true }, "Next", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function Next () {
-      return Math.floor(Math.random() * Int32.MaxValue);
+  method("Count", tInt32, [IEnumerable("!!0"), Func("!!0", tBoolean)], ["TSource"],
+    function (TSource, source, predicate) {
+      checkNotNull(predicate, "predicate");
+      return count(source, predicate);
     }
   );
 
-  $.Method({Static:false, Public:true }, "Next", 
-    (new JSIL.MethodSignature($.Int32, [$.Int32, $.Int32], [])), 
-    function Next (minValue, maxValue) {
-      return Math.floor(Math.random() * (maxValue - minValue)) + minValue;
+  method("DefaultIfEmpty", IEnumerable("!!0"), [IEnumerable("!!0")], ["TSource"],
+    function (TSource, source) {
+      return fromBuffer(function () {
+        var items = toArray(source);
+        return (items.length > 0) ? items : [JSIL.DefaultValue(TSource)];
+      });
     }
   );
 
-  $.Method({Static:false, Public:true }, "Next", 
-    (new JSIL.MethodSignature($.Int32, [$.Int32], [])), 
-    function Next (maxValue) {
-      return Math.floor(Math.random() * maxValue);
+  method("DefaultIfEmpty", IEnumerable("!!0"), [IEnumerable("!!0"), "!!0"], ["TSource"],
+    function (TSource, source, defaultValue) {
+      return fromBuffer(function () {
+        var items = toArray(source);
+        return (items.length > 0) ? items : [defaultValue];
+      });
     }
   );
 
-  $.Method({Static:false, Public:true }, "NextDouble", 
-    (new JSIL.MethodSignature($.Double, [], [])), 
-    Math.random
+  method("Distinct", IEnumerable("!!0"), [IEnumerable("!!0")], ["TSource"],
+    function (TSource, source) {
+      return distinct(source, null);
+    }
   );
-});
 
-JSIL.MakeClass("System.Object", "System.Random", true, [], function ($) {
-});
+  method("Distinct", IEnumerable("!!0"), [IEnumerable("!!0"), IEqualityComparer("!!0")], ["TSource"],
+    function (TSource, source, comparer) {
+      return distinct(source, comparer);
+    }
+  );
 
-JSIL.$MathSign = function (value) {
-  if (value > 0)
-    return 1;
-  else if (value < 0)
-    return -1;
-  else
-    return 0;
-};
+  method("ElementAt", "!!0", [IEnumerable("!!0"), tInt32], ["TSource"],
+    function (TSource, source, index) {
+      return elementAt(source, index, TSource, false);
+    }
+  );
 
-JSIL.ImplementExternals("System.Math", function ($) {
-  $.RawMethod(true, "Max", Math.max);
-  $.RawMethod(true, "Min", Math.min);
-  $.RawMethod(true, "Exp", Math.exp);
+  method("ElementAtOrDefault", "!!0", [IEnumerable("!!0"), tInt32], ["TSource"],
+    function (TSource, source, index) {
+      return elementAt(source, index, TSource, true);
+    }
+  );
 
-  $.Method({Static:true , Public:true }, "Atan2", 
-    (new JSIL.MethodSignature($.Double, [$.Double, $.Double], [])), 
-    Math.atan2
+  method("Empty", IEnumerable("!!0"), [], ["TResult"],
+    function (TResult) {
+      return [];
+    }
   );
 
-  $.Method({Static:true , Public:true }, "Sign", 
-    (new JSIL.MethodSignature($.Int32, [$.SByte], [])), 
-    JSIL.$MathSign
+  method("Except", IEnumerable("!!0"), [IEnumerable("!!0"), IEnumerable("!!0")], ["TSource"],
+    function (TSource, first, second) {
+      return filterBySet(first, second, null, false);
+    }
   );
 
-  $.Method({Static:true , Public:true }, "Sign", 
-    (new JSIL.MethodSignature($.Int32, [$.Int16], [])), 
-    JSIL.$MathSign
+  method("Except", IEnumerable("!!0"), [IEnumerable("!!0"), IEnumerable("!!0"), IEqualityComparer("!!0")], ["TSource"],
+    function (TSource, first, second, comparer) {
+      return filterBySet(first, second, comparer, false);
+    }
   );
 
-  $.Method({Static:true , Public:true }, "Sign", 
-    (new JSIL.MethodSignature($.Int32, [$.Int32], [])), 
-    JSIL.$MathSign
+  method("First", "!!0", [IEnumerable("!!0")], ["TSource"],
+    function (TSource, source) {
+      return first(source, null, TSource, false);
+    }
   );
 
-  $.Method({Static:true , Public:true }, "Sign", 
-    (new JSIL.MethodSignature($.Int32, [$.Int64], [])), 
-    JSIL.$MathSign
+  method("First", "!!0", [IEnumerable("!!0"), Func("!!0", tBoolean)], ["TSource"],
+    function (TSource, source, predicate) {
+      checkNotNull(predicate, "predicate");
+      return first(source, predicate, TSource, false);
+    }
   );
 
-  $.Method({Static:true , Public:true }, "Sign", 
-    (new JSIL.MethodSignature($.Int32, [$.Single], [])), 
-    JSIL.$MathSign
+  method("FirstOrDefault", "!!0", [IEnumerable("!!0")], ["TSource"],
+    function (TSource, source) {
+      return first(source, null, TSource, true);
+    }
   );
 
-  $.Method({Static:true , Public:true }, "Sign", 
-    (new JSIL.MethodSignature($.Int32, [$.Double], [])), 
-    JSIL.$MathSign
+  method("FirstOrDefault", "!!0", [IEnumerable("!!0"), Func("!!0", tBoolean)], ["TSource"],
+    function (TSource, source, predicate) {
+      checkNotNull(predicate, "predicate");
+      return first(source, predicate, TSource, true);
+    }
   );
-});
 
-JSIL.MakeStaticClass("System.Math", true, function ($) {
-});
+  method("GroupBy", IEnumerable(IGrouping("!!1", "!!0")), [IEnumerable("!!0"), Func("!!0", "!!1")], ["TSource", "TKey"],
+    function (TSource, TKey, source, keySelector) {
+      return groupBy(source, keySelector, null, null, null);
+    }
+  );
 
-JSIL.MakeStruct("System.ValueType", "System.Decimal", true, [], function ($) {
-  var mscorlib = JSIL.GetCorlib();
+  method("GroupBy", IEnumerable(IGrouping("!!1", "!!0")), [IEnumerable("!!0"), Func("!!0", "!!1"), IEqualityComparer("!!1")], ["TSource", "TKey"],
+    function (TSource, TKey, source, keySelector, comparer) {
+      return groupBy(source, keySelector, null, null, comparer);
+    }
+  );
 
-  var ctorImpl = function (value) {
-    this.value = Number(value);
-  };
+  method("GroupBy", IEnumerable(IGrouping("!!1", "!!2")), [IEnumerable("!!0"), Func("!!0", "!!1"), Func("!!0", "!!2")], ["TSource", "TKey", "TElement"],
+    function (TSource, TKey, TElement, source, keySelector, elementSelector) {
+      checkNotNull(elementSelector, "elementSelector");
+      return groupBy(source, keySelector, elementSelector, null, null);
+    }
+  );
 
-  var decimalToNumber = function (decimal) {
-    if (JSIL.CheckType(decimal, $.Type))
-      return decimal.value;
-    else
-      return decimal;
-  };
+  method("GroupBy", IEnumerable(IGrouping("!!1", "!!2")), [IEnumerable("!!0"), Func("!!0", "!!1"), Func("!!0", "!!2"), IEqualityComparer("!!1")], ["TSource", "TKey", "TElement"],
+    function (TSource, TKey, TElement, source, keySelector, elementSelector, comparer) {
+      checkNotNull(elementSelector, "elementSelector");
+      return groupBy(source, keySelector, elementSelector, null, comparer);
+    }
+  );
 
-  var numberToDecimal = function (value) {
-    var result = JSIL.CreateInstanceOfType($.Type, null);
-    result.value = Number(value);
-    return result;
-  };
+  method("GroupBy", IEnumerable("!!2"), [IEnumerable("!!0"), Func("!!0", "!!1"), Func("!!1", IEnumerable("!!0"), "!!2")], ["TSource", "TKey", "TResult"],
+    function (TSource, TKey, TResult, source, keySelector, resultSelector) {
+      checkNotNull(resultSelector, "resultSelector");
+      return groupBy(source, keySelector, null, resultSelector, null);
+    }
+  );
 
-  $.Method({Static: false, Public: true }, "toString",
-    new JSIL.MethodSignature("System.String", []),
-    function (format) {
-      return this.value.toString();
+  method("GroupBy", IEnumerable("!!2"), [IEnumerable("!!0"), Func("!!0", "!!1"), Func("!!1", IEnumerable("!!0"), "!!2"), IEqualityComparer("!!1")], ["TSource", "TKey", "TResult"],
+    function (TSource, TKey, TResult, source, keySelector, resultSelector, comparer) {
+      checkNotNull(resultSelector, "resultSelector");
+      return groupBy(source, keySelector, null, resultSelector, comparer);
     }
   );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Int32")], [])),
-    ctorImpl
+  method("GroupBy", IEnumerable("!!3"), [IEnumerable("!!0"), Func("!!0", "!!1"), Func("!!0", "!!2"), Func("!!1", IEnumerable("!!2"), "!!3")], ["TSource", "TKey", "TElement", "TResult"],
+    function (TSource, TKey, TElement, TResult, source, keySelector, elementSelector, resultSelector) {
+      checkNotNull(elementSelector, "elementSelector");
+      checkNotNull(resultSelector, "resultSelector");
+      return groupBy(source, keySelector, elementSelector, resultSelector, null);
+    }
   );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.UInt32")], [])),
-    ctorImpl
+  method("GroupBy", IEnumerable("!!3"), [IEnumerable("!!0"), Func("!!0", "!!1"), Func("!!0", "!!2"), Func("!!1", IEnumerable("!!2"), "!!3"), IEqualityComparer("!!1")], ["TSource", "TKey", "TElement", "TResult"],
+    function (TSource, TKey, TElement, TResult, source, keySelector, elementSelector, resultSelector, comparer) {
+      checkNotNull(elementSelector, "elementSelector");
+      checkNotNull(resultSelector, "resultSelector");
+      return groupBy(source, keySelector, elementSelector, resultSelector, comparer);
+    }
   );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.Int64")], [])),
-    ctorImpl
+  method("Intersect", IEnumerable("!!0"), [IEnumerable("!!0"), IEnumerable("!!0")], ["TSource"],
+    function (TSource, first, second) {
+      return filterBySet(first, second, null, true);
+    }
+  );
+
+  method("Intersect", IEnumerable("!!0"), [IEnumerable("!!0"), IEnumerable("!!0"), IEqualityComparer("!!0")], ["TSource"],
+    function (TSource, first, second, comparer) {
+      return filterBySet(first, second, comparer, true);
+    }
+  );
+
+  method("Join", IEnumerable("!!3"), [IEnumerable("!!0"), IEnumerable("!!1"), Func("!!0", "!!2"), Func("!!1", "!!2"), Func("!!0", "!!1", "!!3")], ["TOuter", "TInner", "TKey", "TResult"],
+    function (TOuter, TInner, TKey, TResult, outer, inner, outerKeySelector, innerKeySelector, resultSelector) {
+      return join(outer, inner, outerKeySelector, innerKeySelector, resultSelector, null);
+    }
+  );
+
+  method("Join", IEnumerable("!!3"), [IEnumerable("!!0"), IEnumerable("!!1"), Func("!!0", "!!2"), Func("!!1", "!!2"), Func("!!0", "!!1", "!!3"), IEqualityComparer("!!2")], ["TOuter", "TInner", "TKey", "TResult"],
+    function (TOuter, TInner, TKey, TResult, outer, inner, outerKeySelector, innerKeySelector, resultSelector, comparer) {
+      return join(outer, inner, outerKeySelector, innerKeySelector, resultSelector, comparer);
+    }
+  );
+
+  method("Last", "!!0", [IEnumerable("!!0")], ["TSource"],
+    function (TSource, source) {
+      return last(source, null, TSource, false);
+    }
+  );
+
+  method("Last", "!!0", [IEnumerable("!!0"), Func("!!0", tBoolean)], ["TSource"],
+    function (TSource, source, predicate) {
+      checkNotNull(predicate, "predicate");
+      return last(source, predicate, TSource, false);
+    }
+  );
+
+  method("LastOrDefault", "!!0", [IEnumerable("!!0")], ["TSource"],
+    function (TSource, source) {
+      return last(source, null, TSource, true);
+    }
+  );
+
+  method("LastOrDefault", "!!0", [IEnumerable("!!0"), Func("!!0", tBoolean)], ["TSource"],
+    function (TSource, source, predicate) {
+      checkNotNull(predicate, "predicate");
+      return last(source, predicate, TSource, true);
+    }
+  );
+
+  method("LongCount", tInt64, [IEnumerable("!!0")], ["TSource"],
+    function (TSource, source) {
+      return System.Int64.FromNumber(count(source, null));
+    }
+  );
+
+  method("LongCount", tInt64, [IEnumerable("!!0"), Func("!!0", tBoolean)], ["TSource"],
+    function (TSource, source, predicate) {
+      checkNotNull(predicate, "predicate");
+      return System.Int64.FromNumber(count(source, predicate));
+    }
+  );
+
+  method("Max", "!!0", [IEnumerable("!!0")], ["TSource"],
+    function (TSource, source) {
+      return extremum(source, null, JSIL.DefaultValue(TSource) === null, 1);
+    }
+  );
+
+  method("Max", "!!1", [IEnumerable("!!0"), Func("!!0", "!!1")], ["TSource", "TResult"],
+    function (TSource, TResult, source, selector) {
+      checkNotNull(selector, "selector");
+      return extremum(source, selector, JSIL.DefaultValue(TResult) === null, 1);
+    }
+  );
+
+  method("Min", "!!0", [IEnumerable("!!0")], ["TSource"],
+    function (TSource, source) {
+      return extremum(source, null, JSIL.DefaultValue(TSource) === null, -1);
+    }
+  );
+
+  method("Min", "!!1", [IEnumerable("!!0"), Func("!!0", "!!1")], ["TSource", "TResult"],
+    function (TSource, TResult, source, selector) {
+      checkNotNull(selector, "selector");
+      return extremum(source, selector, JSIL.DefaultValue(TResult) === null, -1);
+    }
+  );
+
+  method("OfType", IEnumerable("!!0"), [tIEnumerable], ["TResult"],
+    function (TResult, source) {
+      return fromSource(source, null, function (enumerator, result) {
+        while (enumerator.MoveNext()) {
+          if (JSIL.CheckType(enumerator.Current, TResult)) {
+            result.value = enumerator.Current;
+            return true;
+          }
+        }
+
+        return false;
+      });
+    }
+  );
+
+  method("OrderBy", IOrderedEnumerable("!!0"), [IEnumerable("!!0"), Func("!!0", "!!1")], ["TSource", "TKey"],
+    function (TSource, TKey, source, keySelector) {
+      return orderBy(source, keySelector, null, false);
+    }
+  );
+
+  method("OrderBy", IOrderedEnumerable("!!0"), [IEnumerable("!!0"), Func("!!0", "!!1"), IComparer("!!1")], ["TSource", "TKey"],
+    function (TSource, TKey, source, keySelector, comparer) {
+      return orderBy(source, keySelector, comparer, false);
+    }
+  );
+
+  method("OrderByDescending", IOrderedEnumerable("!!0"), [IEnumerable("!!0"), Func("!!0", "!!1")], ["TSource", "TKey"],
+    function (TSource, TKey, source, keySelector) {
+      return orderBy(source, keySelector, null, true);
+    }
+  );
+
+  method("OrderByDescending", IOrderedEnumerable("!!0"), [IEnumerable("!!0"), Func("!!0", "!!1"), IComparer("!!1")], ["TSource", "TKey"],
+    function (TSource, TKey, source, keySelector, comparer) {
+      return orderBy(source, keySelector, comparer, true);
+    }
+  );
+
+  method("Range", IEnumerable(tInt32), [tInt32, tInt32], [],
+    function (start, count) {
+      if ((count < 0) || (start + count - 1 > 2147483647))
+        throw new System.ArgumentOutOfRangeException("count");
+
+      return makeSequence(function () {
+        var index = 0;
+
+        return {
+          next: function (result) {
+            if (index >= count)
+              return false;
+
+            result.value = start + (index++);
+            return true;
+          }
+        };
+      });
+    }
+  );
+
+  method("Repeat", IEnumerable("!!0"), ["!!0", tInt32], ["TResult"],
+    function (TResult, element, count) {
+      if (count < 0)
+        throw new System.ArgumentOutOfRangeException("count");
+
+      return makeSequence(function () {
+        var index = 0;
+
+        return {
+          next: function (result) {
+            if (index >= count)
+              return false;
+
+            index += 1;
+            result.value = element;
+            return true;
+          }
+        };
+      });
+    }
+  );
+
+  method("Reverse", IEnumerable("!!0"), [IEnumerable("!!0")], ["TSource"],
+    function (TSource, source) {
+      checkNotNull(source, "source");
+
+      return fromBuffer(function () {
+        return toArray(source).reverse();
+      });
+    }
+  );
+
+  method("Select", IEnumerable("!!1"), [IEnumerable("!!0"), Func("!!0", "!!1")], ["TSource", "TResult"],
+    function (TSource, TResult, source, selector) {
+      checkNotNull(selector, "selector");
+
+      return fromSource(source, null, function (enumerator, result) {
+        if (!enumerator.MoveNext())
+          return false;
+
+        result.value = selector(enumerator.Current);
+        return true;
+      });
+    }
+  );
+
+  method("Select", IEnumerable("!!1"), [IEnumerable("!!0"), Func("!!0", tInt32, "!!1")], ["TSource", "TResult"],
+    function (TSource, TResult, source, selector) {
+      checkNotNull(selector, "selector");
+
+      return fromSource(source, function () {
+        return { index: 0 };
+      }, function (enumerator, result, state) {
+        if (!enumerator.MoveNext())
+          return false;
+
+        result.value = selector(enumerator.Current, state.index++);
+        return true;
+      });
+    }
+  );
+
+  method("SelectMany", IEnumerable("!!1"), [IEnumerable("!!0"), Func("!!0", IEnumerable("!!1"))], ["TSource", "TResult"],
+    function (TSource, TResult, source, selector) {
+      return selectMany(source, selector, null, false);
+    }
+  );
+
+  method("SelectMany", IEnumerable("!!1"), [IEnumerable("!!0"), Func("!!0", tInt32, IEnumerable("!!1"))], ["TSource", "TResult"],
+    function (TSource, TResult, source, selector) {
+      return selectMany(source, selector, null, true);
+    }
   );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [mscorlib.TypeRef("System.UInt64")], [])),
-    ctorImpl
+  method("SelectMany", IEnumerable("!!2"), [IEnumerable("!!0"), Func("!!0", IEnumerable("!!1")), Func("!!0", "!!1", "!!2")], ["TSource", "TCollection", "TResult"],
+    function (TSource, TCollection, TResult, source, collectionSelector, resultSelector) {
+      checkNotNull(resultSelector, "resultSelector");
+      return selectMany(source, collectionSelector, resultSelector, false);
+    }
   );
 
-  $.Method({Static:true , Public:true }, "op_Addition", 
-    (new JSIL.MethodSignature($.Type, [$.Type, $.Type], [])),
-    function (lhs, rhs) {
-      return numberToDecimal(decimalToNumber(lhs) + decimalToNumber(rhs));
+  method("SelectMany", IEnumerable("!!2"), [IEnumerable("!!0"), Func("!!0", tInt32, IEnumerable("!!1")), Func("!!0", "!!1", "!!2")], ["TSource", "TCollection", "TResult"],
+    function (TSource, TCollection, TResult, source, collectionSelector, resultSelector) {
+      checkNotNull(resultSelector, "resultSelector");
+      return selectMany(source, collectionSelector, resultSelector, true);
     }
   );
 
-  $.Method({Static:true , Public:true }, "op_Division", 
-    (new JSIL.MethodSignature($.Type, [$.Type, $.Type], [])),
-    function (lhs, rhs) {
-      return numberToDecimal(decimalToNumber(lhs) / decimalToNumber(rhs));
+  method("SequenceEqual", tBoolean, [IEnumerable("!!0"), IEnumerable("!!0")], ["TSource"],
+    function (TSource, first, second) {
+      return sequenceEqual(first, second, null);
     }
   );
 
-  $.Method({Static:true , Public:true }, "op_Multiply", 
-    (new JSIL.MethodSignature($.Type, [$.Type, $.Type], [])),
-    function (lhs, rhs) {
-      return numberToDecimal(decimalToNumber(lhs) * decimalToNumber(rhs));
+  method("SequenceEqual", tBoolean, [IEnumerable("!!0"), IEnumerable("!!0"), IEqualityComparer("!!0")], ["TSource"],
+    function (TSource, first, second, comparer) {
+      return sequenceEqual(first, second, comparer);
     }
   );
 
-  $.Method({Static:true , Public:true }, "op_Subtraction", 
-    (new JSIL.MethodSignature($.Type, [$.Type, $.Type], [])),
-    function (lhs, rhs) {
-      return numberToDecimal(decimalToNumber(lhs) - decimalToNumber(rhs));
+  method("Single", "!!0", [IEnumerable("!!0")], ["TSource"],
+    function (TSource, source) {
+      return single(source, null, TSource, false);
     }
   );
 
-  $.Method({Static:true , Public:true }, "op_Explicit", 
-    (new JSIL.MethodSignature($.Type, [mscorlib.TypeRef("System.Single")], [])),
-    numberToDecimal
+  method("Single", "!!0", [IEnumerable("!!0"), Func("!!0", tBoolean)], ["TSource"],
+    function (TSource, source, predicate) {
+      checkNotNull(predicate, "predicate");
+      return single(source, predicate, TSource, false);
+    }
   );
 
-  $.Method({Static:true , Public:true }, "op_Explicit", 
-    (new JSIL.MethodSignature($.Type, [mscorlib.TypeRef("System.Double")], [])),
-    numberToDecimal
+  method("SingleOrDefault", "!!0", [IEnumerable("!!0")], ["TSource"],
+    function (TSource, source) {
+      return single(source, null, TSource, true);
+    }
   );
 
-  $.Method({Static:true , Public:true }, "op_Explicit", 
-    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Byte"), [$.Type], [])),
-    decimalToNumber
+  method("SingleOrDefault", "!!0", [IEnumerable("!!0"), Func("!!0", tBoolean)], ["TSource"],
+    function (TSource, source, predicate) {
+      checkNotNull(predicate, "predicate");
+      return single(source, predicate, TSource, true);
+    }
   );
 
-  $.Method({Static:true , Public:true }, "op_Explicit", 
-    (new JSIL.MethodSignature(mscorlib.TypeRef("System.SByte"), [$.Type], [])),
-    decimalToNumber
+  method("Skip", IEnumerable("!!0"), [IEnumerable("!!0"), tInt32], ["TSource"],
+    function (TSource, source, count) {
+      return fromSource(source, function () {
+        return { skipped: false };
+      }, function (enumerator, result, state) {
+        if (!state.skipped) {
+          for (var i = 0; i < count; i++) {
+            if (!enumerator.MoveNext())
+              return false;
+          }
+
+          state.skipped = true;
+        }
+
+        if (!enumerator.MoveNext())
+          return false;
+
+        result.value = enumerator.Current;
+        return true;
+      });
+    }
   );
 
-  $.Method({Static:true , Public:true }, "op_Explicit", 
-    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Int16"), [$.Type], [])),
-    decimalToNumber
+  method("SkipWhile", IEnumerable("!!0"), [IEnumerable("!!0"), Func("!!0", tBoolean)], ["TSource"],
+    function (TSource, source, predicate) {
+      checkNotNull(predicate, "predicate");
+
+      return fromSource(source, function () {
+        return { skipping: true };
+      }, function (enumerator, result, state) {
+        while (enumerator.MoveNext()) {
+          if (state.skipping && predicate(enumerator.Current))
+            continue;
+
+          state.skipping = false;
+          result.value = enumerator.Current;
+          return true;
+        }
+
+        return false;
+      });
+    }
   );
 
-  $.Method({Static:true , Public:true }, "op_Explicit", 
-    (new JSIL.MethodSignature(mscorlib.TypeRef("System.UInt16"), [$.Type], [])),
-    decimalToNumber
+  method("Take", IEnumerable("!!0"), [IEnumerable("!!0"), tInt32], ["TSource"],
+    function (TSource, source, count) {
+      return fromSource(source, function () {
+        return { taken: 0 };
+      }, function (enumerator, result, state) {
+        if ((state.taken >= count) || !enumerator.MoveNext())
+          return false;
+
+        state.taken += 1;
+        result.value = enumerator.Current;
+        return true;
+      });
+    }
   );
 
-  $.Method({Static:true , Public:true }, "op_Explicit", 
-    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Int32"), [$.Type], [])),
-    decimalToNumber
+  method("TakeWhile", IEnumerable("!!0"), [IEnumerable("!!0"), Func("!!0", tBoolean)], ["TSource"],
+    function (TSource, source, predicate) {
+      checkNotNull(predicate, "predicate");
+
+      return fromSource(source, function () {
+        return { done: false };
+      }, function (enumerator, result, state) {
+        if (state.done || !enumerator.MoveNext() || !predicate(enumerator.Current)) {
+          state.done = true;
+          return false;
+        }
+
+        result.value = enumerator.Current;
+        return true;
+      });
+    }
   );
 
-  $.Method({Static:true , Public:true }, "op_Explicit", 
-    (new JSIL.MethodSignature(mscorlib.TypeRef("System.UInt32"), [$.Type], [])),
-    decimalToNumber
+  method("ThenBy", IOrderedEnumerable("!!0"), [IOrderedEnumerable("!!0"), Func("!!0", "!!1")], ["TSource", "TKey"],
+    function (TSource, TKey, source, keySelector) {
+      return thenBy(TKey, source, keySelector, null, false);
+    }
   );
 
-  $.Method({Static:true , Public:true }, "op_Explicit", 
-    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Int64"), [$.Type], [])),
-    decimalToNumber
+  method("ThenBy", IOrderedEnumerable("!!0"), [IOrderedEnumerable("!!0"), Func("!!0", "!!1"), IComparer("!!1")], ["TSource", "TKey"],
+    function (TSource, TKey, source, keySelector, comparer) {
+      return thenBy(TKey, source, keySelector, comparer, false);
+    }
   );
 
-  $.Method({Static:true , Public:true }, "op_Explicit", 
-    (new JSIL.MethodSignature(mscorlib.TypeRef("System.UInt64"), [$.Type], [])),
-    decimalToNumber
+  method("ThenByDescending", IOrderedEnumerable("!!0"), [IOrderedEnumerable("!!0"), Func("!!0", "!!1")], ["TSource", "TKey"],
+    function (TSource, TKey, source, keySelector) {
+      return thenBy(TKey, source, keySelector, null, true);
+    }
   );
 
-  $.Method({Static:true , Public:true }, "op_Explicit", 
-    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Single"), [$.Type], [])),
-    decimalToNumber
+  method("ThenByDescending", IOrderedEnumerable("!!0"), [IOrderedEnumerable("!!0"), Func("!!0", "!!1"), IComparer("!!1")], ["TSource", "TKey"],
+    function (TSource, TKey, source, keySelector, comparer) {
+      return thenBy(TKey, source, keySelector, comparer, true);
+    }
   );
 
-  $.Method({Static:true , Public:true }, "op_Explicit", 
-    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Double"), [$.Type], [])),
-    decimalToNumber
+  method("ToArray", System.Array.Of("!!0"), [IEnumerable("!!0")], ["TSource"],
+    function (TSource, source) {
+      return toArray(source);
+    }
   );
 
-  $.Field({Static: false, Public: false }, "value", mscorlib.TypeRef("System.Double"), function () {
-    return 0;
-  });
-});
+  method("ToDictionary", typeRef("System.Collections.Generic.Dictionary`2", "!!1", "!!0"), [IEnumerable("!!0"), Func("!!0", "!!1")], ["TSource", "TKey"],
+    function (TSource, TKey, source, keySelector) {
+      checkNotNull(keySelector, "keySelector");
 
-JSIL.ImplementExternals("System.Environment", function ($) {
+      var result = new (System.Collections.Generic.Dictionary$b2.Of(TKey, TSource))();
 
-  $.Method({Static:true , Public:true }, "GetFolderPath", 
-    (new JSIL.MethodSignature($.String, [$jsilcore.TypeRef("System.Environment/SpecialFolder")], [])), 
-    function GetFolderPath (folder) {
-      // FIXME
-      return folder.name;
+      forEach(source, function (item) {
+        result.Add(keySelector(item), item);
+      });
+
+      return result;
     }
   );
 
-  $.Method({Static:true , Public:true }, "get_NewLine", 
-    (new JSIL.MethodSignature($.String, [], [])), 
-    function get_NewLine () {
-      // FIXME: Maybe this should just be \n?
-      return "\r\n";
+  method("ToDictionary", typeRef("System.Collections.Generic.Dictionary`2", "!!1", "!!2"), [IEnumerable("!!0"), Func("!!0", "!!1"), Func("!!0", "!!2")], ["TSource", "TKey", "TElement"],
+    function (TSource, TKey, TElement, source, keySelector, elementSelector) {
+      checkNotNull(keySelector, "keySelector");
+      checkNotNull(elementSelector, "elementSelector");
+
+      var result = new (System.Collections.Generic.Dictionary$b2.Of(TKey, TElement))();
+
+      forEach(source, function (item) {
+        result.Add(keySelector(item), elementSelector(item));
+      });
+
+      return result;
     }
   );
 
-});
+  method("ToList", typeRef("System.Collections.Generic.List`1", "!!0"), [IEnumerable("!!0")], ["TSource"],
+    function (TSource, source) {
+      var items = toArray(source);
 
-JSIL.ImplementExternals("System.Text.Encoding", function ($) {
-  $.Method({Static:true , Public:true }, ".cctor2", 
-    (new JSIL.MethodSignature(null, [], [])),
-    function () {
-      // This type already has a cctor so we add a second one.
-      System.Text.Encoding.asciiEncoding = JSIL.CreateInstanceOfType(
-        System.Text.ASCIIEncoding.__Type__, null
-      );
+      // Manually initialize the result since we don't want to hassle with overloaded ctors
+      var result = new (System.Collections.Generic.List$b1.Of(TSource))();
+      result._items = items;
+      result._size = items.length;
+
+      return result;
     }
   );
 
-  $.Method({Static:true , Public:true }, "get_ASCII", 
-    (new JSIL.MethodSignature($.Type, [], [])),
-    function () {
-      return System.Text.Encoding.asciiEncoding;
+  method("Union", IEnumerable("!!0"), [IEnumerable("!!0"), IEnumerable("!!0")], ["TSource"],
+    function (TSource, first, second) {
+      return union(first, second, null);
     }
   );
-});
 
-JSIL.MakeClass("System.Object", "System.Text.Encoding", true, [], function ($) {
-});
+  method("Union", IEnumerable("!!0"), [IEnumerable("!!0"), IEnumerable("!!0"), IEqualityComparer("!!0")], ["TSource"],
+    function (TSource, first, second, comparer) {
+      return union(first, second, comparer);
+    }
+  );
 
-JSIL.MakeClass("System.Text.Encoding", "System.Text.ASCIIEncoding", true, [], function ($) {
-});
+  method("Where", IEnumerable("!!0"), [IEnumerable("!!0"), Func("!!0", tBoolean)], ["TSource"],
+    function (TSource, source, predicate) {
+      checkNotNull(predicate, "predicate");
 
-JSIL.ImplementExternals(
-  "System.TimeSpan", function ($) {
-    $.Method({Static:true , Public:true }, "FromMilliseconds", 
-      (new JSIL.MethodSignature($.Type, [$.Double], [])), 
-      function FromMilliseconds (value) {
-        var result = Object.create(System.TimeSpan.prototype);
-        result._ticks = Math.floor(value * 10000);
-        return result;
-      }
-    );
+      return fromSource(source, null, function (enumerator, result) {
+        while (enumerator.MoveNext()) {
+          if (predicate(enumerator.Current)) {
+            result.value = enumerator.Current;
+            return true;
+          }
+        }
 
-    $.Method({Static:true , Public:true }, "FromMinutes", 
-      (new JSIL.MethodSignature($.Type, [$.Double], [])), 
-      function FromMinutes (value) {
-        var result = Object.create(System.TimeSpan.prototype);
-        result._ticks = Math.floor(value * 60 * 10000000);
-        return result;
-      }
-    );
+        return false;
+      });
+    }
+  );
 
-    $.Method({Static:true , Public:true }, "FromSeconds", 
-      (new JSIL.MethodSignature($.Type, [$.Double], [])), 
-      function FromSeconds (value) {
-        var result = Object.create(System.TimeSpan.prototype);
-        result._ticks = Math.floor(value * 10000000);
-        return result;
-      }
-    );
+  method("Where", IEnumerable("!!0"), [IEnumerable("!!0"), Func("!!0", tInt32, tBoolean)], ["TSource"],
+    function (TSource, source, predicate) {
+      checkNotNull(predicate, "predicate");
 
-    $.Method({Static:true , Public:true }, "FromTicks", 
-      (new JSIL.MethodSignature($.Type, [$.Int64], [])), 
-      function FromTicks (value) {
-        var result = Object.create(System.TimeSpan.prototype);
-        result._ticks = Math.floor(value);
-        return result;
-      }
-    );
+      return fromSource(source, function () {
+        return { index: 0 };
+      }, function (enumerator, result, state) {
+        while (enumerator.MoveNext()) {
+          if (predicate(enumerator.Current, state.index++)) {
+            result.value = enumerator.Current;
+            return true;
+          }
+        }
 
-    $.Method({Static:true , Public:true }, "op_Addition", 
-      (new JSIL.MethodSignature($.Type, [$.Type, $.Type], [])), 
-      function op_Addition (t1, t2) {
-        var result = Object.create(System.TimeSpan.prototype);
-        result._ticks = t1._ticks + t2._ticks;
-        return result;
-      }
-    );
+        return false;
+      });
+    }
+  );
 
-    $.Method({Static:true , Public:true }, "op_Equality", 
-      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])), 
-      function op_Equality (t1, t2) {
-        return t1._ticks === t2._ticks;
-      }
-    );
+  method("Zip", IEnumerable("!!2"), [IEnumerable("!!0"), IEnumerable("!!1"), Func("!!0", "!!1", "!!2")], ["TFirst", "TSecond", "TResult"],
+    function (TFirst, TSecond, TResult, first, second, resultSelector) {
+      checkNotNull(first, "first");
+      checkNotNull(second, "second");
+      checkNotNull(resultSelector, "resultSelector");
 
-    $.Method({Static:true , Public:true }, "op_GreaterThan", 
-      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])), 
-      function op_GreaterThan (t1, t2) {
-        return t1._ticks > t2._ticks;
-      }
-    );
+      return makeSequence(function () {
+        var lhs = JSIL.GetEnumerator(first);
+        var rhs = JSIL.GetEnumerator(second);
 
-    $.Method({Static:true , Public:true }, "op_Inequality", 
-      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])), 
-      function op_Inequality (t1, t2) {
-        return t1._ticks !== t2._ticks;
-      }
-    );
+        return {
+          next: function (result) {
+            if (!lhs.MoveNext() || !rhs.MoveNext())
+              return false;
 
-    $.Method({Static:true , Public:true }, "op_LessThan", 
-      (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])), 
-      function op_LessThan (t1, t2) {
-        return t1._ticks < t2._ticks;
-      }
-    );
+            result.value = resultSelector(lhs.Current, rhs.Current);
+            return true;
+          },
+          dispose: function () {
+            lhs.IDisposable_Dispose();
+            rhs.IDisposable_Dispose();
+          }
+        };
+      });
+    }
+  );
 
-    $.Method({Static:true , Public:true }, "op_Subtraction", 
-      (new JSIL.MethodSignature($.Type, [$.Type, $.Type], [])), 
-      function op_Subtraction (t1, t2) {
-        var result = Object.create(System.TimeSpan.prototype);
-        result._ticks = t1._ticks - t2._ticks;
-        return result;
-      }
-    );
+  return $jsilcore.$EnumerableMethods = methods;
+};
 
-    $.Method({Static:false, Public:true }, ".ctor", 
-      (new JSIL.MethodSignature(null, [$.Int64], [])), 
-      function _ctor (ticks) {
-        this._ticks = ticks;
-      }
-    );
+JSIL.ImplementExternals(
+  "System.Linq.Enumerable", function ($) {
+    var methods = $jsilcore.$GetEnumerableMethods();
 
-    $.Method({Static:false, Public:true }, ".ctor", 
-      (new JSIL.MethodSignature(null, [
-            $.Int32, $.Int32, 
-            $.Int32
-          ], [])), 
-      function _ctor (hours, minutes, seconds) {
-        this._ticks = 10000 * (1000 * (seconds + 60 * (minutes + 60 * hours)));
-      }
-    );
+    for (var i = 0; i < methods.length; i++)
+      $.Method({Static:true , Public:true }, methods[i][0], methods[i][1], methods[i][2]);
+  }
+);
 
-    $.Method({Static:false, Public:true }, ".ctor", 
-      (new JSIL.MethodSignature(null, [
-            $.Int32, $.Int32, 
-            $.Int32, $.Int32
-          ], [])), 
-      function _ctor (days, hours, minutes, seconds) {
-        this._ticks = 10000 * (1000 * (seconds + 60 * (minutes + 60 * (hours + 24 * days))));
-      }
-    );
+JSIL.MakeStaticClass("System.Linq.Enumerable", true, [], function ($) {
+  var methods = $jsilcore.$GetEnumerableMethods();
 
-    $.Method({Static:false, Public:true }, ".ctor", 
-      (new JSIL.MethodSignature(null, [
-            $.Int32, $.Int32, 
-            $.Int32, $.Int32, 
-            $.Int32
-          ], [])), 
-      function _ctor (days, hours, minutes, seconds, milliseconds) {
-        this._ticks = 10000 * (milliseconds + 1000 * (seconds + 60 * (minutes + 60 * (hours + 24 * days))));
-      }
-    );
+  for (var i = 0; i < methods.length; i++)
+    $.ExternalMethod({Static:true , Public:true }, methods[i][0], methods[i][1]);
+});
 
-    $.Method({Static:false, Public:true }, "get_Days", 
-      (new JSIL.MethodSignature($.Int32, [], [])), 
-      function get_Days () {
-        return Math.floor((this._ticks / 10000000) / (60 * 60 * 24));
-      }
-    );
+JSIL.ImplementExternals("System.Nullable", function ($) {
+  var mscorlib = JSIL.GetCorlib();
 
-    $.Method({Static:false, Public:true }, "get_Hours", 
-      (new JSIL.MethodSignature($.Int32, [], [])), 
-      function get_Hours () {
-        return Math.floor((this._ticks / 10000000) / (60 * 60)) % 24;
+  $.Method({Static:true , Public:true }, "GetUnderlyingType", 
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Type"), [mscorlib.TypeRef("System.Type")], [])), 
+    function GetUnderlyingType (nullableType) {
+      if (nullableType.__FullName__.indexOf("System.Nullable`1") !== 0) {
+        return null;
+      } else {
+        return nullableType.__PublicInterface__.T;
       }
-    );
+    }
+  );
+});
 
-    $.Method({Static:false, Public:true }, "get_Milliseconds", 
-      (new JSIL.MethodSignature($.Int32, [], [])), 
-      function get_Milliseconds () {
-        return Math.floor(this._ticks / 10000) % 1000;
-      }
-    );
+JSIL.MakeStaticClass("System.Nullable", true, [], function ($) {
+});
 
-    $.Method({Static:false, Public:true }, "get_Minutes", 
-      (new JSIL.MethodSignature($.Int32, [], [])), 
-      function get_Minutes () {
-        return Math.floor((this._ticks / 10000000) / 60) % 60;
-      }
-    );
+JSIL.ImplementExternals("System.Nullable`1", function ($) {
+  $.RawMethod(true, "CheckType", function (value) {
+    if (JSIL.CheckType(value, this.T))
+      return true;
 
-    $.Method({Static:false, Public:true }, "get_Seconds", 
-      (new JSIL.MethodSignature($.Int32, [], [])), 
-      function get_Seconds () {
-        return Math.floor(this._ticks / 10000000) % 60;
-      }
-    );
+    return false;    
+  });
+});
 
-    $.Method({Static:false, Public:true }, "get_Ticks", 
-      (new JSIL.MethodSignature($.Int64, [], [])), 
-      function get_Ticks () {
-        return this._ticks;
-      }
-    );
+JSIL.MakeStruct("System.ValueType", "System.Nullable`1", true, ["T"], function ($) {
+});
 
-    $.Method({Static:false, Public:true }, "get_TotalMilliseconds", 
-      (new JSIL.MethodSignature($.Double, [], [])), 
-      function get_TotalMilliseconds () {
-        return this._ticks / 10000;
-      }
-    );
+JSIL.MakeEnum("System.Reflection.BindingFlags", true, $jsilcore.BindingFlags, true);
 
-    $.Method({Static:false, Public:true }, "get_TotalMinutes", 
-      (new JSIL.MethodSignature($.Double, [], [])), 
-      function get_TotalMinutes () {
-        return this._ticks / 600000000;
-      }
-    );
+JSIL.ImplementExternals("System.Xml.Serialization.XmlSerializer", function ($) {
+});
 
-    $.Method({Static:false, Public:true }, "get_TotalSeconds", 
-      (new JSIL.MethodSignature($.Double, [], [])), 
-      function get_TotalSeconds () {
-        return this._ticks / 10000000;
-      }
-    );
-  }
+JSIL.MakeEnum(
+  "System.StringComparison", true, {
+    CurrentCulture: 0, 
+    CurrentCultureIgnoreCase: 1, 
+    InvariantCulture: 2, 
+    InvariantCultureIgnoreCase: 3, 
+    Ordinal: 4, 
+    OrdinalIgnoreCase: 5
+  }, false
 );
 
-JSIL.MakeStruct("System.ValueType", "System.TimeSpan", true, [], function ($) {
-  $.Field({Static:false, Public:false}, "_ticks", $.Int64, function ($) {
-    return 0;
-  });
+JSIL.ImplementExternals("System.Text.StringBuilder", function ($) {
 
-  $.Property({Public: true , Static: false}, "Ticks");
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      this._str = "";
+    }
+  );
 
-  $.Property({Public: true , Static: false}, "Milliseconds");
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.Int32], [])), 
+    function _ctor (capacity) {
+      this._str = "";
+    }
+  );
 
-  $.Property({Public: true , Static: false}, "TotalMilliseconds");
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function _ctor (value) {
+      this._str = value;
+    }
+  );
 
-  $.Property({Public: true , Static: false}, "Seconds");
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String, $.Int32], [])), 
+    function _ctor (value, capacity) {
+      this._str = value;
+    }
+  );
 
-  $.Property({Public: true , Static: false}, "Minutes");
+  var appendString = function (self, str, startIndex, length, copies) {
+    if ((startIndex !== 0) || (length !== str.length)) {
+      for (var i = 0; i < copies; i++) {
+        self._str += str.substr(startIndex, length);
+      }
 
-  $.Property({Public: true , Static: false}, "Hours");
+    } else {
+      for (var i = 0; i < copies; i++) {
+        self._str += str;
+      }
 
-  $.Property({Public: true , Static: false}, "Days");
+    }
+  };
 
-  $.Property({Public: true , Static: false}, "TotalSeconds");
+  var appendNumber = function (self, num) {
+    self._str += String(num);
+  };
 
-  $.Property({Public: true , Static: false}, "TotalMinutes");
-});
+  $.Method({Static:false, Public:true }, "Append", 
+    (new JSIL.MethodSignature($.Type, [$.Char, $.Int32], [])), 
+    function Append (value, repeatCount) {
+      appendString(this, value, 0, value.length, repeatCount);
+    }
+  );
 
-JSIL.ImplementExternals("System.Collections.Generic.Dictionary`2", function ($) {
-  var mscorlib = JSIL.GetCorlib();
+  $.Method({Static:false, Public:true }, "Append", 
+    (new JSIL.MethodSignature($.Type, [
+          $jsilcore.TypeRef("System.Array", [$.Char]), $.Int32, 
+          $.Int32
+        ], [])), 
+    function Append (value, startIndex, charCount) {
+      for (var i = 0; i < charCount; i++)
+        this._str += value[startIndex + i];
+    }
+  );
 
-  $.RawMethod(false, "$getHash", function (key) {
-    var keyType = typeof key;
+  $.Method({Static:false, Public:true }, "Append", 
+    (new JSIL.MethodSignature($.Type, [$.String], [])), 
+    function Append (value) {
+      appendString(this, value, 0, value.length, 1);
+    }
+  );
 
-    if ((keyType !== "undefined") && (key !== null) && (typeof (key.GetHashCode) === "function") && (key.GetHashCode.__IsPlaceholder__ !== true)) {
-      return key.GetHashCode();
-    } else if ((keyType === "string") || (keyType === "number")) {
-      return String(key);
-    } else {
-      return "nohash";
+  $.Method({Static:false, Public:true }, "Append", 
+    (new JSIL.MethodSignature($.Type, [
+          $.String, $.Int32, 
+          $.Int32
+        ], [])), 
+    function Append (value, startIndex, count) {
+      appendString(this, value, startIndex, count, 1);
     }
-  });
+  );
 
-  $.RawMethod(false, "$areEqual", function (lhs, rhs) {
-    if (lhs === rhs)
-      return true;
+  $.Method({Static:false, Public:true }, "Append", 
+    (new JSIL.MethodSignature($.Type, [$.Boolean], [])), 
+    function Append (value) {
+      this._str += (value ? "True" : "False");
+    }
+  );
 
-    return JSIL.ObjectEquals(lhs, rhs);
-  });
+  $.Method({Static:false, Public:true }, "Append", 
+    (new JSIL.MethodSignature($.Type, [$.SByte], [])), 
+    function Append (value) {
+      appendNumber(this, value);
+    }
+  );
 
-  $.RawMethod(false, "$searchBucket", function (key) {
-    var hashCode = this.$getHash(key);
-    var bucket = this._dict[hashCode];
-    if (!JSIL.IsArray(bucket))
-      return null;
+  $.Method({Static:false, Public:true }, "Append", 
+    (new JSIL.MethodSignature($.Type, [$.Byte], [])), 
+    function Append (value) {
+      appendNumber(this, value);
+    }
+  );
 
-    for (var i = 0; i < bucket.length; i++) {
-      var bucketEntry = bucket[i];
+  $.Method({Static:false, Public:true }, "Append", 
+    (new JSIL.MethodSignature($.Type, [$.Char], [])), 
+    function Append (value) {
+      appendString(this, value, 0, value.length, 1);
+    }
+  );
 
-      if (this.$areEqual(bucketEntry[0], key))
-        return bucketEntry;
+  $.Method({Static:false, Public:true }, "Append", 
+    (new JSIL.MethodSignature($.Type, [$.Int16], [])), 
+    function Append (value) {
+      appendNumber(this, value);
     }
+  );
 
-    return null;
-  });
+  $.Method({Static:false, Public:true }, "Append", 
+    (new JSIL.MethodSignature($.Type, [$.Int32], [])), 
+    function Append (value) {
+      appendNumber(this, value);
+    }
+  );
 
-  $.RawMethod(false, "$removeByKey", function (key) {
-    var hashCode = this.$getHash(key);
-    var bucket = this._dict[hashCode];
-    if (!JSIL.IsArray(bucket))
-      return false;
+  $.Method({Static:false, Public:true }, "Append", 
+    (new JSIL.MethodSignature($.Type, [$.Int64], [])), 
+    function Append (value) {
+      appendNumber(this, value);
+    }
+  );
 
-    for (var i = 0; i < bucket.length; i++) {
-      var bucketEntry = bucket[i];
+  $.Method({Static:false, Public:true }, "Append", 
+    (new JSIL.MethodSignature($.Type, [$.Single], [])), 
+    function Append (value) {
+      appendNumber(this, value);
+    }
+  );
 
-      if (this.$areEqual(bucketEntry[0], key)) {
-        bucket.splice(i, 1);
-        this._count -= 1;
-        return true;
-      }
+  $.Method({Static:false, Public:true }, "Append", 
+    (new JSIL.MethodSignature($.Type, [$.Double], [])), 
+    function Append (value) {
+      appendNumber(this, value);
     }
+  );
 
-    return false;
-  });
+  $.Method({Static:false, Public:true }, "Append", 
+    (new JSIL.MethodSignature($.Type, [$.UInt16], [])), 
+    function Append (value) {
+      appendNumber(this, value);
+    }
+  );
 
-  $.RawMethod(false, "$addToBucket", function (key, value) {
-    var hashCode = this.$getHash(key);
-    var bucket = this._dict[hashCode];
-    if (!JSIL.IsArray(bucket))
-      this._dict[hashCode] = bucket = [];
+  $.Method({Static:false, Public:true }, "Append", 
+    (new JSIL.MethodSignature($.Type, [$.UInt32], [])), 
+    function Append (value) {
+      appendNumber(this, value);
+    }
+  );
 
-    bucket.push([key, value]);
-    this._count += 1;
-    return value;
-  });
+  $.Method({Static:false, Public:true }, "Append", 
+    (new JSIL.MethodSignature($.Type, [$.UInt64], [])), 
+    function Append (value) {
+      appendNumber(this, value);
+    }
+  );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function _ctor () {
-      this._dict = {};
-      this._count = 0;
-      this.tKeysEnumerator = null;
-      this.tValuesEnumerator = null;
+  $.Method({Static:false, Public:true }, "Append", 
+    (new JSIL.MethodSignature($.Type, [$jsilcore.TypeRef("System.Array", [$.Char])], [])), 
+    function Append (value) {
+      for (var i = 0; i < value.length; i++)
+        this._str += value[i];
     }
   );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$.Int32], [])), 
-    function _ctor (capacity) {
-      this._dict = {};
-      this._count = 0;
-      this.tKeysEnumerator = null;
-      this.tValuesEnumerator = null;
+  $.Method({Static:false, Public:true }, "AppendLine", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Text.StringBuilder"), [], [])), 
+    function AppendLine () {
+      appendString(this, "\r\n", 0, 2, 1);
+      return this;
     }
   );
 
-  $.Method({Static:false, Public:true }, "Add", 
-    (new JSIL.MethodSignature(null, [new JSIL.GenericParameter("TKey", "System.Collections.Generic.Dictionary`2"), new JSIL.GenericParameter("TValue", "System.Collections.Generic.Dictionary`2")], [])), 
-    function Add (key, value) {
-      var bucketEntry = this.$searchBucket(key);
-
-      if (bucketEntry !== null)
-        throw new System.ArgumentException("Key already exists");
-
-      return this.$addToBucket(key, value);
+  $.Method({Static:false, Public:true }, "AppendLine", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Text.StringBuilder"), [$.String], [])), 
+    function AppendLine (value) {
+      appendString(this, value, 0, value.length, 1);
+      appendString(this, "\r\n", 0, 2, 1);
+      return this;
     }
   );
 
   $.Method({Static:false, Public:true }, "Clear", 
-    (new JSIL.MethodSignature(null, [], [])), 
+    (new JSIL.MethodSignature($.Type, [], [])), 
     function Clear () {
-      this._dict = {}
-      this._count = 0;
+      this._str = "";
     }
   );
 
-  $.Method({Static:false, Public:true }, "ContainsKey", 
-    (new JSIL.MethodSignature($.Boolean, [new JSIL.GenericParameter("TKey", "System.Collections.Generic.Dictionary`2")], [])), 
-    function ContainsKey (key) {
-      return this.$searchBucket(key) !== null;
+  $.Method({Static:false, Public:true }, "get_Length", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_Length () {
+      return this._str.length;
     }
   );
 
-  $.Method({Static:false, Public:true }, "Remove", 
-    (new JSIL.MethodSignature($.Boolean, [new JSIL.GenericParameter("TKey", "System.Collections.Generic.Dictionary`2")], [])), 
-    function Remove (key) {
-      return this.$removeByKey(key);
+  var replace = function (self, oldText, newText, startIndex, count) {
+    var prefix = self._str.substr(0, startIndex);
+    var suffix = self._str.substr(startIndex + count);
+    var region = self._str.substr(startIndex, count);
+    var result = prefix + region.split(oldText).join(newText) + suffix;
+    self._str = result;
+    return self;
+  };
+
+  $.Method({Static:false, Public:true }, "Replace", 
+    (new JSIL.MethodSignature($.Type, [$.String, $.String], [])), 
+    function Replace (oldValue, newValue) {
+      return replace(this, oldValue, newValue, 0, this._str.length);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Count", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_Count () {
-      return this._count;
+  $.Method({Static:false, Public:true }, "Replace", 
+    (new JSIL.MethodSignature($.Type, [
+          $.String, $.String, 
+          $.Int32, $.Int32
+        ], [])), 
+    function Replace (oldValue, newValue, startIndex, count) {
+      return replace(this, oldValue, newValue, startIndex, count);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Item", 
-    (new JSIL.MethodSignature(new JSIL.GenericParameter("TValue", "System.Collections.Generic.Dictionary`2"), [new JSIL.GenericParameter("TKey", "System.Collections.Generic.Dictionary`2")], [])), 
-    function get_Item (key) {
-      var bucketEntry = this.$searchBucket(key);
-      if (bucketEntry !== null)
-        return bucketEntry[1];
-      else
-        throw new System.Exception("Key not found");
+  $.Method({Static:false, Public:true }, "Replace", 
+    (new JSIL.MethodSignature($.Type, [$.Char, $.Char], [])), 
+    function Replace (oldChar, newChar) {
+      return replace(this, oldChar, newChar, 0, this._str.length);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Keys", 
-    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.Generic.Dictionary`2/KeyCollection", [new JSIL.GenericParameter("TKey", "System.Collections.Generic.Dictionary`2"), new JSIL.GenericParameter("TValue", "System.Collections.Generic.Dictionary`2")]), [], [])), 
-    function get_Keys () {
-      if (this.tKeysEnumerator === null) {
-        this.tKeysEnumerator = JSIL.ArrayEnumerator.Of(this.TKey);
-      }
-
-      return new JSIL.AbstractEnumerable(
-        (function getKeysProxy () {
-          var keys = [];
+  $.Method({Static:false, Public:true }, "Replace", 
+    (new JSIL.MethodSignature($.Type, [
+          $.Char, $.Char, 
+          $.Int32, $.Int32
+        ], [])), 
+    function Replace (oldChar, newChar, startIndex, count) {
+      return replace(this, oldChar, newChar, startIndex, count);
+    }
+  );
 
-          for (var k in this._dict) {
-            if (!this._dict.hasOwnProperty(k))
-              continue;
-            var bucket = this._dict[k];
+  $.Method({Static:false, Public:true }, "set_Length", 
+    (new JSIL.MethodSignature(null, [$.Int32], [])), 
+    function set_Length (value) {
+      var delta = value - this._str.length;
 
-            for (var i = 0; i < bucket.length; i++)
-              keys.push(bucket[i][0]);
-          }
+      if (delta < 0) {
+        this._str = this._str.substr(0, value);
+      } else if (delta > 0) {
+        var ch = new Array(delta);
+        for (var i = 0; i < delta; i++)
+          ch[i] = '\0';
 
-          return new (this.tKeysEnumerator)(keys, -1);
-        }).bind(this)
-      );
+        this._str += String.fromCharCode.apply(String, ch);
+      }
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Values", 
-    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.Generic.Dictionary`2/ValueCollection", [new JSIL.GenericParameter("TKey", "System.Collections.Generic.Dictionary`2"), new JSIL.GenericParameter("TValue", "System.Collections.Generic.Dictionary`2")]), [], [])), 
-    function get_Values () {
-      if (this.tValuesEnumerator === null) {
-        this.tValuesEnumerator = JSIL.ArrayEnumerator.Of(this.TValue);
-      }
-
-      return new JSIL.AbstractEnumerable(
-        (function getValuesProxy () {
-          var values = [];
-
-          for (var k in this._dict) {
-            if (!this._dict.hasOwnProperty(k))
-              continue;
-            var bucket = this._dict[k];
+  $.Method({Static:false, Public:true }, "toString", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function toString () {
+      return this._str;
+    }
+  );
+});
 
-            for (var i = 0; i < bucket.length; i++)
-              values.push(bucket[i][1]);
-          }
+JSIL.ImplementExternals("System.Diagnostics.StackTrace", function ($) {
+  var mscorlib = JSIL.GetCorlib();
 
-          return new (this.tValuesEnumerator)(values, -1);
-        }).bind(this)
-      );
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      this.CaptureStackTrace(0, false, null, null);
     }
   );
 
-  $.Method({Static:false, Public:true }, "GetEnumerator", 
-    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.Generic.Dictionary`2/Enumerator", [new JSIL.GenericParameter("TKey", "System.Collections.Generic.Dictionary`2"), new JSIL.GenericParameter("TValue", "System.Collections.Generic.Dictionary`2")]), [], [])), 
-    function GetEnumerator () {
-      var dict = this._dict;
-      var tKvp = System.Collections.Generic.KeyValuePair$b2.Of(this.TKey, this.TValue);
-      var current = new tKvp(null, null);
+  $.Method({Static:false, Public:false}, "CaptureStackTrace", 
+    (new JSIL.MethodSignature(null, [
+          $.Int32, $.Boolean, 
+          mscorlib.TypeRef("System.Threading.Thread"), mscorlib.TypeRef("System.Exception")
+        ], [])), 
+    function CaptureStackTrace (iSkip, fNeedFileInfo, targetThread, e) {
+      // FIXME
+      this.frames = [];
+    }
+  );  
 
-      return new JSIL.AbstractEnumerator(
-        function getNext (result) {
-          var keys = this._state.keys;
-          var valueIndex = ++(this._state.valueIndex);
-          var bucketIndex = this._state.bucketIndex;
+  $.Method({Static:false, Public:true }, "GetFrame", 
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Diagnostics.StackFrame"), [$.Int32], [])), 
+    function GetFrame (index) {
+      // FIXME
+      return new System.Diagnostics.StackFrame();
+    }
+  );
 
-          while ((bucketIndex >= 0) && (bucketIndex < keys.length)) {
-            var bucketKey = keys[this._state.bucketIndex];
-            var bucket = dict[bucketKey];
+});
 
-            if ((valueIndex >= 0) && (valueIndex < bucket.length)) {
-              current.key = bucket[valueIndex][0];
-              current.value = bucket[valueIndex][1];
-              result.value = current;
-              return true;
-            } else {
-              bucketIndex = ++(this._state.bucketIndex);
-              valueIndex = 0;
-            }
-          }
+JSIL.ImplementExternals("System.Diagnostics.StackFrame", function ($) {
+  var mscorlib = JSIL.GetCorlib();
 
-          return false;
-        },
-        function reset () {
-          this._state = {
-            keys: Object.keys(dict),
-            bucketIndex: 0,
-            valueIndex: -1
-          };
-        },
-        function dispose () {
-          this._state = null;
-        }
-      );
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      // FIXME
     }
   );
 
-  $.Method({Static:false, Public:true }, "set_Item", 
-    (new JSIL.MethodSignature(null, [new JSIL.GenericParameter("TKey", "System.Collections.Generic.Dictionary`2"), new JSIL.GenericParameter("TValue", "System.Collections.Generic.Dictionary`2")], [])), 
-    function set_Item (key, value) {
-      var bucketEntry = this.$searchBucket(key);
-      if (bucketEntry !== null)
-        return bucketEntry[1] = value;
-      else
-        return this.$addToBucket(key, value);
+  $.Method({Static:false, Public:true }, "GetMethod", 
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Reflection.MethodBase"), [], [])), 
+    function GetMethod () {
+      // FIXME
+      return new System.Reflection.MethodBase();
     }
   );
+});
 
-  $.Method({Static:false, Public:true }, "TryGetValue", 
-    (new JSIL.MethodSignature($.Boolean, [new JSIL.GenericParameter("TKey", "System.Collections.Generic.Dictionary`2"), $jsilcore.TypeRef("JSIL.Reference", [new JSIL.GenericParameter("TValue", "System.Collections.Generic.Dictionary`2")])], [])), 
-    function TryGetValue (key, /* ref */ value) {
-      var bucketEntry = this.$searchBucket(key);
-      if (bucketEntry !== null) {
-        value.value = bucketEntry[1];
+JSIL.ImplementExternals(
+  "System.Enum", function ($) {    
+    $.RawMethod(true, "CheckType",
+      function (value) {
+        if (typeof (value) === "object") {
+          if ((value !== null) && (typeof (value.GetType) === "function"))
+            return value.GetType().IsEnum;
+        }
+
+        return false;
+      }
+    );
+
+    var internalTryParse;
+
+    var internalTryParseFlags = function (TEnum, text, ignoreCase, result) {
+      var items = text.split(",");
+
+      var resultValue = 0;
+      var temp = new JSIL.Variable();
+
+      for (var i = 0, l = items.length; i < l; i++) {
+        var item = items[i].trim();
+        if (item.length === 0)
+          continue;
+
+        if (internalTryParse(TEnum, item, ignoreCase, temp)) {
+          resultValue = resultValue | temp.value;
+        } else {
+          return false;
+        }
+      }
+
+      var name = TEnum.__ValueToName__[resultValue];
+
+      if (typeof (name) === "undefined") {
+        result.value = JSIL.MakeEnumValue(TEnum, resultValue, null, TEnum.__IsFlagsEnum__);
         return true;
       } else {
-        value.value = JSIL.DefaultValue(this.TValue);
+        result.value = TEnum[name];
+        return true;
       }
+    };
 
-      return false;
-    }
-  );
+    internalTryParse = function (TEnum, text, ignoreCase, result) {
+      // Detect and handle flags enums
+      var commaPos = text.indexOf(",");
+      if (commaPos >= 0)
+        return internalTryParseFlags(TEnum, text, ignoreCase, result);
 
-});
+      var num = Number(text);
 
-JSIL.ImplementExternals("System.Collections.Generic.KeyValuePair`2", function ($) {
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [new JSIL.GenericParameter("TKey", "System.Collections.Generic.KeyValuePair`2"), new JSIL.GenericParameter("TValue", "System.Collections.Generic.KeyValuePair`2")], [])), 
-    function _ctor (key, value) {
-      this.key = key;
-      this.value = value;
-    }
-  );
+      if (isNaN(num)) {
+        if (ignoreCase) {
+          var names = TEnum.__Names__;
+          for (var i = 0; i < names.length; i++) {
+            var isMatch = (names[i].toLowerCase() == text.toLowerCase());
 
-  $.Method({Static:false, Public:true }, "get_Key", 
-    (new JSIL.MethodSignature(new JSIL.GenericParameter("TKey", "System.Collections.Generic.KeyValuePair`2"), [], [])), 
-    function get_Key () {
-      return this.key;
-    }
-  );
+            if (isMatch) {
+              result.value = TEnum[names[i]];
+              break;
+            }
+          }
+        } else {
+          result.value = TEnum[text];
+        }
 
-  $.Method({Static:false, Public:true }, "get_Value", 
-    (new JSIL.MethodSignature(new JSIL.GenericParameter("TValue", "System.Collections.Generic.KeyValuePair`2"), [], [])), 
-    function get_Value () {
-      return this.value;
-    }
-  );
+        return (typeof (result.value) !== "undefined");
+      } else {
+        var name = TEnum.__ValueToName__[num];
 
-  $.Method({Static:false, Public:true }, "toString", 
-    (new JSIL.MethodSignature($.String, [], [])), 
-    function toString () {
-      return "[" + String(this.key) + ", " + String(this.value) + "]";
-    }
-  );
+        if (typeof (name) === "undefined") {
+          result.value = JSIL.MakeEnumValue(TEnum, num, null, TEnum.__IsFlagsEnum__);
+          return true;
+        } else {
+          result.value = TEnum[name];
+          return true;
+        }
+      }
+    };
 
-});
+    var internalParse = function (enm, text, ignoreCase) {
+      var result = new JSIL.Variable();
+      if (internalTryParse(enm, text, ignoreCase, result))
+        return result.value;
 
-JSIL.MakeStruct("System.ValueType", "System.Collections.Generic.KeyValuePair`2", true, ["TKey", "TValue"], function ($) {
-});
+      throw new System.Exception("Failed to parse enum");
+    };
 
-JSIL.MakeClass("System.Object", "System.Collections.Generic.Dictionary`2", true, ["TKey", "TValue"], function ($) {
-});
+    $.Method({Static:true , Public:true }, "Parse", 
+      new JSIL.MethodSignature($jsilcore.TypeRef("System.Object"), [$jsilcore.TypeRef("System.Type"), $jsilcore.TypeRef("System.String")], []),
+      function (enm, text) {
+        return internalParse(enm, text, false);
+      }
+    );
 
-$jsilcore.$tArrayEnumerator = [null];
+    $.Method({Static:true , Public:true }, "Parse", 
+      new JSIL.MethodSignature($jsilcore.TypeRef("System.Object"), [
+          $jsilcore.TypeRef("System.Type"), $jsilcore.TypeRef("System.String"), 
+          $jsilcore.TypeRef("System.Boolean")
+        ], []),
+      internalParse
+    );    
 
-JSIL.GetEnumerator = function (enumerable) {
-  if ((typeof (enumerable) === "undefined") || (enumerable === null))
-    throw new Error("Enumerable is null or undefined");
+    $.Method({Static:true , Public:true }, "TryParse", 
+      new JSIL.MethodSignature($jsilcore.TypeRef("System.Boolean"), [$jsilcore.TypeRef("System.String"), "JSIL.Reference" /* !!0& */ ], ["TEnum"]),
+      function (TEnum, text, result) {
+        return internalTryParse(TEnum, text, result);
+      }
+    );
 
-  if (JSIL.IsArray(enumerable)) {
-    if ($jsilcore.$tArrayEnumerator[0] === null)
-      $jsilcore.$tArrayEnumerator[0] = JSIL.ArrayEnumerator.Of(System.Object);
+    $.Method({Static:true , Public:true }, "TryParse", 
+      new JSIL.MethodSignature($jsilcore.TypeRef("System.Boolean"), [
+          $jsilcore.TypeRef("System.String"), $jsilcore.TypeRef("System.Boolean"), 
+          "JSIL.Reference" /* !!0& */ 
+        ], ["TEnum"]),
+      internalTryParse
+    );
 
-    return new ($jsilcore.$tArrayEnumerator[0]) (enumerable, -1);
-  } else if (typeof (enumerable.IEnumerable$b1_GetEnumerator) === "function")
-    return enumerable.IEnumerable$b1_GetEnumerator();
-  else if (typeof (enumerable.IEnumerable_GetEnumerator) === "function")
-    return enumerable.IEnumerable_GetEnumerator();    
-  else if (typeof (enumerable.GetEnumerator) === "function")
-    return enumerable.GetEnumerator();    
-  else
-    throw new Error("Value is not enumerable");
-};
+    $.Method({Static:true , Public:true }, "GetNames", 
+      new JSIL.MethodSignature(System.Array.Of($jsilcore.System.String), [$jsilcore.TypeRef("System.Type")], []),
+      function (enm) {
+        return enm.__Names__;
+      }
+    );
 
-JSIL.EnumerableToArray = function (enumerable) {
-  var e = JSIL.GetEnumerator(enumerable);
-  var result = [];
+    $.Method({Static:true , Public:true }, "GetValues", 
+      new JSIL.MethodSignature($jsilcore.TypeRef("System.Array"), [$jsilcore.TypeRef("System.Type")], []),
+      function (enm) {
+        var names = enm.__Names__;
+        var result = new Array(names.length);
 
-  try {
-    while (e.MoveNext())
-      result.push(e.Current);
-  } finally {
-    e.IDisposable_Dispose();
+        for (var i = 0; i < result.length; i++)
+          result[i] = enm[names[i]];
+
+        return result;
+      }
+    );
   }
+);
 
-  return result;
-};
+JSIL.ImplementExternals("System.Activator", function ($) {
+  var mscorlib = JSIL.GetCorlib();
+  
+  $.Method({Static:true , Public:true }, "CreateInstance", 
+    (new JSIL.MethodSignature($.Object, [mscorlib.TypeRef("System.Type"), mscorlib.TypeRef("System.Array", [$.Object])], [])), 
+    function CreateInstance (type, args) {
+      return JSIL.CreateInstanceOfType(type, args);
+    }
+  );
 
-JSIL.MakeClass("System.Object", "JSIL.AbstractEnumerator", true, [], function ($) {
-  $.RawMethod(false, "__CopyMembers__", 
-    function AbstractEnumerator_CopyMembers (source, target) {
-      target._getNextItem = source._getNextItem;
-      target._reset = source._reset;
-      target._dispose = source._dispose;
-      target._first = source._first;
-      target._needDispose = source._needDispose;
-      target._current = new JSIL.Variable(source._current.value);
-      target._state = source._state;
+  $.Method({Static:true , Public:true }, "CreateInstance", 
+    (new JSIL.MethodSignature($.Object, [
+          $jsilcore.TypeRef("System.Type"), $jsilcore.TypeRef("System.Reflection.BindingFlags"), 
+          $jsilcore.TypeRef("System.Reflection.Binder"), $jsilcore.TypeRef("System.Array", [$.Object]), 
+          $jsilcore.TypeRef("System.Globalization.CultureInfo")
+        ], [])), 
+    function CreateInstance (type, bindingAttr, binder, args, culture) {
+      // FIXME
+      return JSIL.CreateInstanceOfType(type, args);
     }
   );
 
-  $.Method({Static: false, Public: true }, ".ctor",
-    new JSIL.MethodSignature(null, [JSIL.AnyType, JSIL.AnyType, JSIL.AnyType]),
-    function (getNextItem, reset, dispose) {
-      this._getNextItem = getNextItem;
-      this._reset = reset;
-      this._dispose = dispose;
-      this._first = true;
-      this._needDispose = false;
-      this._current = new JSIL.Variable(null);
+});
+
+JSIL.ImplementExternals("System.Diagnostics.Stopwatch", function ($) {
+  var mscorlib = JSIL.GetCorlib(); 
+
+  var getElapsedMilliseconds = function (stopwatch) {
+    var result = stopwatch.elapsed;
+    if (stopwatch.isRunning)
+      result += Date.now() - stopwatch.startedWhen;
+
+    return result;
+  };
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      this.Reset();
     }
   );
 
-  $.Method({Static: false, Public: true }, "Reset",
-    new JSIL.MethodSignature(null, []),
-    function () {
-      if (this._needDispose)
-        this._dispose();
+  $.Method({Static:false, Public:true }, "get_Elapsed", 
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.TimeSpan"), [], [])), 
+    function get_Elapsed () {
+      return System.TimeSpan.FromTicks(this.get_ElapsedTicks());
+    }
+  );
 
-      this._first = false;
-      this._needDispose = true;
-      this._reset();
+  $.Method({Static:false, Public:true }, "get_ElapsedMilliseconds", 
+    (new JSIL.MethodSignature($.Int64, [], [])), 
+    function get_ElapsedMilliseconds () {
+      return System.Int64.FromNumber(getElapsedMilliseconds(this));
     }
   );
 
-  $.Method({Static: false, Public: true }, "MoveNext",
-    new JSIL.MethodSignature("System.Boolean", []),
-    function () {
-      if (this._first) {
-        this._reset();
-        this._needDispose = true;
-        this._first = false;
-      }
+  // Elapsed ticks use the same 100ns unit as TimeSpan ticks.
+  $.Method({Static:false, Public:true }, "get_ElapsedTicks", 
+    (new JSIL.MethodSignature($.Int64, [], [])), 
+    function get_ElapsedTicks () {
+      return System.Int64.FromNumber(getElapsedMilliseconds(this) * 10000);
+    }
+  );
 
-      return this._getNextItem(this._current);
+  $.Method({Static:false, Public:true }, "get_IsRunning", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_IsRunning () {
+      return this.isRunning;
     }
   );
 
-  $.Method({Static: false, Public: true }, "Dispose",
-    new JSIL.MethodSignature(null, []),
-    function () {
-      if (this._needDispose)
-        this._dispose();
+  $.Method({Static:false, Public:true }, "Reset", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Reset () {
+      this.elapsed = 0;
+      this.isRunning = false;
+      this.startedWhen = 0;
+    }
+  );
 
-      this._needDispose = false;
+  $.Method({Static:false, Public:true }, "Restart", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Restart () {
+      this.elapsed = 0;
+      this.isRunning = true;
+      this.startedWhen = Date.now();
     }
   );
 
+  $.Method({Static:false, Public:true }, "Start", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Start () {
+      if (!this.isRunning) {
+        this.startedWhen = Date.now();
+        this.isRunning = true;
+      }
+    }
+  );
 
-  $.Method({Static: false, Public: true }, "get_Current",
-    new JSIL.MethodSignature(JSIL.AnyType, []),
-    function () {
-      return this._current.value;
+  $.Method({Static:true , Public:true }, "StartNew", 
+    (new JSIL.MethodSignature($.Type, [], [])), 
+    function StartNew () {
+      var result = new System.Diagnostics.Stopwatch();
+      result.Start();
+      return result;
     }
   );
 
-  $.Property({Static: false, Public: true }, "Current");
+  $.Method({Static:false, Public:true }, "Stop", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Stop () {
+      if (this.isRunning) {
+        this.isRunning = false;
 
-  $.ImplementInterfaces(
-    System.IDisposable, System.Collections.IEnumerator, System.Collections.Generic.IEnumerator$b1
-  );
-});
+        var now = Date.now();
+        var elapsed = now - this.startedWhen;
 
-JSIL.MakeClass("System.Object", "JSIL.AbstractEnumerable", true, [], function ($) {
-  $.Method({Static: false, Public: true }, ".ctor",
-    new JSIL.MethodSignature(null, [JSIL.AnyType, JSIL.AnyType, JSIL.AnyType]),
-    function (getNextItem, reset, dispose) {
-      if (arguments.length === 1) {
-        this._getEnumerator = getNextItem;
-      } else {
-        this._getEnumerator = null;
-        this._getNextItem = getNextItem;
-        this._reset = reset;
-        this._dispose = dispose;
+        this.elapsed += elapsed;
+        if (this.elapsed < 0)
+          this.elapsed = 0;
       }
     }
   );
 
-  $.Method({Static: false, Public: true }, "GetEnumerator",
-    new JSIL.MethodSignature("System.Collections.IEnumerator", []),
-    function () {
-      if (this._getEnumerator !== null)
-        return this._getEnumerator();
-      else
-        return new JSIL.AbstractEnumerator(this._getNextItem, this._reset, this._dispose);
-    }
-  );
-
-  $.ImplementInterfaces(
-    System.Collections.IEnumerable, System.Collections.Generic.IEnumerable$b1
-  );
 });
 
-JSIL.ImplementExternals(
-  "System.Linq.Enumerable", function ($) {
-    $.Method({Static:true , Public:true }, "Any", 
-      new JSIL.MethodSignature($jsilcore.TypeRef("System.Boolean"), [$jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", ["!!0"])], ["TSource"]),
-      function (T, enumerable) {
-        var enumerator = JSIL.GetEnumerator(enumerable);
+$jsilcore.$RegexOptions = {
+  IgnoreCase: 1,
+  Multiline: 2,
+  ExplicitCapture: 4,
+  Singleline: 16,
+  IgnorePatternWhitespace: 32,
+  RightToLeft: 64,
+  ECMAScript: 256
+};
 
-        try {
-          if (enumerator.MoveNext())
-            return true;
-        } finally {
-          enumerator.IDisposable_Dispose();
-        }
+$jsilcore.$RegexSupportsIndices = (function () {
+  try {
+    new RegExp("", "d");
+    return true;
+  } catch (exc) {
+    return false;
+  }
+})();
+
+// Translates a pattern in the .NET regular expression dialect into an equivalent ECMAScript RegExp.
+// Constructs that ECMAScript lacks are rewritten: inline options are applied while translating, anchors
+//  and '.' are expanded according to the active options, atomic groups become a lookahead followed by
+//  a backreference, and named groups become numbered groups that are mapped back to .NET group numbers.
+// Unless RegexOptions.ECMAScript is specified, \w, \d and \b are expanded to Unicode property classes
+//  because the ECMAScript ones only match ASCII.
+// Returns the RegExp along with the .NET group numbers, their names, the ECMAScript groups for each and
+//  the numbers of the groups that sit inside a repeating quantifier.
+$jsilcore.$TranslateRegex = function (pattern, options) {
+  var tOptions = $jsilcore.$RegexOptions;
+  options = Number(options) | 0;
+
+  if ((options & tOptions.RightToLeft) !== 0)
+    throw new System.NotSupportedException("RegexOptions.RightToLeft is not supported.");
+
+  var syntaxCharacters = "^$\\.*+?()[]{}|/";
+  var whitespace = " \t\n\r\f\v";
+  var quantifierRegex = /^\{[0-9]+(?:,[0-9]*)?\}/;
+  var wordCharacters = "\\p{L}\\p{Mn}\\p{Nd}\\p{Pc}";
+  var digitCharacters = "\\p{Nd}";
+  var optionsRegex = /^\(\?([imnsx]*)(?:-([imnsx]*))?([:)])/;
+
+  // Inline case-insensitivity can't be scoped with a flag, so in that case letters get expanded instead.
+  var useIgnoreCaseFlag = !/\(\?[imnsx-]*i[imnsx-]*[:)]/.test(pattern);
+
+  var ignoreCase = (options & tOptions.IgnoreCase) !== 0;
+  var isECMAScript = (options & tOptions.ECMAScript) !== 0;
+
+  var current = {
+    i: ignoreCase,
+    m: (options & tOptions.Multiline) !== 0,
+    n: (options & tOptions.ExplicitCapture) !== 0,
+    s: (options & tOptions.Singleline) !== 0,
+    x: (options & tOptions.IgnorePatternWhitespace) !== 0
+  };
 
-        return false;
-      }
+  var parts = [];
+  var groups = [];
+  var stack = [];
+  var pos = 0, length = pattern.length;
+  var isSticky = false, isUnicode = false;
+
+  var fail = function (message) {
+    throw new System.ArgumentException(
+      "parsing \"" + pattern + "\" - " + message
     );
+  };
 
-    $.Method({Static:true , Public:true }, "Any", 
-      new JSIL.MethodSignature(
-        $jsilcore.TypeRef("System.Boolean"), 
-        [$jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", ["!!0"]), $jsilcore.TypeRef("System.Func`2", ["!!0", $jsilcore.TypeRef("System.Boolean")])], 
-        ["TSource"]
-      ),
-      function (T, enumerable, predicate) {
-        var enumerator = JSIL.GetEnumerator(enumerable);
-        
-        try {
-          while (enumerator.MoveNext()) {
-            if (predicate(enumerator.Current))
-              return true;
-          }
-        } finally {
-          enumerator.IDisposable_Dispose();
-        }
+  var copyOptions = function (source) {
+    return { i: source.i, m: source.m, n: source.n, s: source.s, x: source.x };
+  };
 
-        return false;
-      }
-    );
+  var isLetter = function (ch) {
+    return ch.toLowerCase() !== ch.toUpperCase();
+  };
 
-    $.Method({Static:true , Public:true }, "Count", 
-      new JSIL.MethodSignature($jsilcore.TypeRef("System.Int32"), [$jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", ["!!0"])], ["TSource"]),
-      function (T, enumerable) {
-        var e = JSIL.GetEnumerator(enumerable);
-        var result = 0;
-        try {
-          while (e.MoveNext())
-            result += 1;
-        } finally {
-          e.IDisposable_Dispose();
-        }
-        return result;
-      }
-    );
+  var foldCase = function (ch) {
+    if (current.i && !useIgnoreCaseFlag && isLetter(ch))
+      return ch.toLowerCase() + ch.toUpperCase();
 
-    $.Method({Static:true , Public:true }, "First", 
-      new JSIL.MethodSignature("!!0", [$jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", ["!!0"])], ["TSource"]),
-      function (T, enumerable) {
-        var enumerator = JSIL.GetEnumerator(enumerable);
-        try {
-          if (enumerator.MoveNext())
-            return enumerator.Current;
-        } finally {
-          enumerator.IDisposable_Dispose();
-        }
+    return null;
+  };
 
-        throw new System.Exception("Enumerable contains no items");
-      }
-    );
+  var addGroup = function (name) {
+    groups.push({ name: name, number: -1, repeated: false });
+    return groups.length;
+  };
 
-    $.Method({Static:true , Public:true }, "Select", 
-      new JSIL.MethodSignature(
-        $jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", ["!!1"]), 
-        [$jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", ["!!0"]), $jsilcore.TypeRef("System.Func`2", ["!!0", "!!1"])], 
-        ["TSource", "TResult"]
-      ),
-      function (TSource, TResult, enumerable, selector) {
-        var state = {};
+  // ECMAScript only reports the last capture of a group, so we track which groups can capture more than once.
+  var isRepeatingQuantifier = function (text) {
+    if ((text[0] === "*") || (text[0] === "+"))
+      return true;
 
-        return new JSIL.AbstractEnumerable(
-          function getNext (result) {
-            var ok = state.enumerator.MoveNext();
-            if (ok)
-              result.value = selector(state.enumerator.Current);
+    var quantifier = /^\{([0-9]+)(?:(,)([0-9]*))?\}/.exec(text);
+    if (!quantifier)
+      return false;
+    else if (!quantifier[2])
+      return parseInt(quantifier[1], 10) > 1;
+    else
+      return (quantifier[3] === "") || (parseInt(quantifier[3], 10) > 1);
+  };
 
-            return ok;
-          },
-          function reset () {
-            state.enumerator = JSIL.GetEnumerator(enumerable);
-          },
-          function dispose () {
-            state.enumerator.IDisposable_Dispose();
-          }
-        );
-      }
-    );
-    
-    $.Method({Static:true , Public:true }, "ToArray", 
-      new JSIL.MethodSignature(System.Array.Of("!!0"), [$jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", ["!!0"])], ["TSource"]),
-      function (T, enumerable) {
-        return JSIL.EnumerableToArray(enumerable);
-      }
-    );
+  var closedGroup = null;
 
-  }
-);
+  var readHex = function (count) {
+    var digits = pattern.substr(pos, count);
+    if ((digits.length !== count) || !/^[0-9A-Fa-f]+$/.test(digits))
+      fail("Insufficient hex digits.");
 
-JSIL.MakeStaticClass("System.Linq.Enumerable", true, [], function ($) {
-  $.ExternalMethod({Static:true , Public:true }, "Any", 
-    new JSIL.MethodSignature($jsilcore.TypeRef("System.Boolean"), [$jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", ["!!0"])], ["TSource"])
-  );
+    pos += count;
+    return digits;
+  };
 
-  $.ExternalMethod({Static:true , Public:true }, "Any", 
-    new JSIL.MethodSignature($jsilcore.TypeRef("System.Boolean"), [$jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", ["!!0"]), $jsilcore.TypeRef("System.Func`2", ["!!0", $jsilcore.TypeRef("System.Boolean")])], ["TSource"])
-  );
+  var charCodeEscape = function (code) {
+    var hex = code.toString(16);
+    while (hex.length < 4)
+      hex = "0" + hex;
 
-  $.ExternalMethod({Static:true , Public:true }, "Count", 
-    new JSIL.MethodSignature($jsilcore.TypeRef("System.Int32"), [$jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", ["!!0"])], ["TSource"])
-  );
+    return "\\u" + hex;
+  };
 
-  $.ExternalMethod({Static:true , Public:true }, "First", 
-    new JSIL.MethodSignature("!!0", [$jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", ["!!0"])], ["TSource"])
-  );
+  // Translates an escape sequence starting after the backslash. Returns the ECMAScript text and,
+  //  for escapes that stand for a single character, that character.
+  var readEscape = function (inClass) {
+    if (pos >= length)
+      fail("Illegal \\ at end of pattern.");
 
-  $.ExternalMethod({Static:true , Public:true }, "Select", 
-    new JSIL.MethodSignature($jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", ["!!1"]), [$jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", ["!!0"]), $jsilcore.TypeRef("System.Func`2", ["!!0", "!!1"])], ["TSource", "TResult"])
-  );
+    var ch = pattern[pos++];
+    var match;
 
-  $.ExternalMethod({Static:true , Public:true }, "ToArray", 
-    new JSIL.MethodSignature(System.Array.Of("!!0"), [$jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", ["!!0"])], ["TSource"])
-  );
-});
+    switch (ch) {
+      case "d": case "D": case "w": case "W":
+        if (isECMAScript)
+          return { text: "\\" + ch, character: null };
 
-JSIL.ImplementExternals("System.Nullable", function ($) {
-  var mscorlib = JSIL.GetCorlib();
+        isUnicode = true;
 
-  $.Method({Static:true , Public:true }, "GetUnderlyingType", 
-    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Type"), [mscorlib.TypeRef("System.Type")], [])), 
-    function GetUnderlyingType (nullableType) {
-      if (nullableType.__FullName__.indexOf("System.Nullable`1") !== 0) {
-        return null;
-      } else {
-        return nullableType.__PublicInterface__.T;
-      }
-    }
-  );
-});
+        var members = (ch.toLowerCase() === "w") ? wordCharacters : digitCharacters;
+        var isNegated = (ch !== ch.toLowerCase());
 
-JSIL.MakeStaticClass("System.Nullable", true, [], function ($) {
-});
+        // A negated class can't be nested in a character class, so readClass combines it with the others.
+        if (inClass && isNegated)
+          return { text: "", complement: members, character: null };
+        else if (inClass)
+          return { text: members, character: null };
 
-JSIL.ImplementExternals("System.Nullable`1", function ($) {
-  $.RawMethod(true, "CheckType", function (value) {
-    if (JSIL.CheckType(value, this.T))
-      return true;
+        return { text: (isNegated ? "[^" : "[") + members + "]", character: null };
 
-    return false;    
-  });
-});
+      case "s": case "S":
+        return { text: "\\" + ch, character: null };
 
-JSIL.MakeStruct("System.ValueType", "System.Nullable`1", true, ["T"], function ($) {
-});
+      case "t": return { text: "\\t", character: "\t" };
+      case "n": return { text: "\\n", character: "\n" };
+      case "r": return { text: "\\r", character: "\r" };
+      case "f": return { text: "\\f", character: "\f" };
+      case "v": return { text: "\\v", character: "\v" };
+      case "a": return { text: "\\x07", character: "\x07" };
+      case "e": return { text: "\\x1B", character: "\x1B" };
 
-JSIL.MakeEnum("System.Reflection.BindingFlags", true, $jsilcore.BindingFlags, true);
+      case "x":
+        var hex = readHex(2);
+        return { text: "\\x" + hex, character: String.fromCharCode(parseInt(hex, 16)) };
 
-JSIL.ImplementExternals("System.Xml.Serialization.XmlSerializer", function ($) {
-});
+      case "u":
+        var hex = readHex(4);
+        return { text: "\\u" + hex, character: String.fromCharCode(parseInt(hex, 16)) };
 
-JSIL.MakeEnum(
-  "System.StringComparison", true, {
-    CurrentCulture: 0, 
-    CurrentCultureIgnoreCase: 1, 
-    InvariantCulture: 2, 
-    InvariantCultureIgnoreCase: 3, 
-    Ordinal: 4, 
-    OrdinalIgnoreCase: 5
-  }, false
-);
+      case "c":
+        if ((pos >= length) || !/[A-Za-z]/.test(pattern[pos]))
+          fail("Missing control character.");
 
-JSIL.ImplementExternals("System.Text.StringBuilder", function ($) {
+        var controlCharacter = pattern[pos++];
+        return {
+          text: "\\c" + controlCharacter.toUpperCase(), 
+          character: String.fromCharCode(controlCharacter.toUpperCase().charCodeAt(0) & 31)
+        };
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function _ctor () {
-      this._str = "";
-    }
-  );
+      case "p": case "P":
+        match = /^\{([A-Za-z0-9_]+)\}/.exec(pattern.substr(pos));
+        if (!match)
+          fail("Incomplete \\p{X} character escape.");
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$.Int32], [])), 
-    function _ctor (capacity) {
-      this._str = "";
-    }
-  );
+        if (match[1].indexOf("Is") === 0)
+          throw new System.NotSupportedException("Named Unicode blocks like '" + match[1] + "' are not supported.");
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$.String], [])), 
-    function _ctor (value) {
-      this._str = value;
+        pos += match[0].length;
+        isUnicode = true;
+        return { text: "\\" + ch + "{" + match[1] + "}", character: null };
+
+      case "b": case "B":
+        if (inClass && (ch === "b"))
+          return { text: "\\x08", character: "\x08" };
+        else if (inClass)
+          break;
+        else if (isECMAScript)
+          return { text: "\\" + ch, character: null };
+
+        isUnicode = true;
+
+        var word = "[" + wordCharacters + "]";
+        var text = (ch === "b") ?
+          "(?:(?<=" + word + ")(?!" + word + ")|(?<!" + word + ")(?=" + word + "))" :
+          "(?:(?<=" + word + ")(?=" + word + ")|(?<!" + word + ")(?!" + word + "))";
+
+        return { text: text, character: null };
     }
-  );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$.String, $.Int32], [])), 
-    function _ctor (value, capacity) {
-      this._str = value;
+    if (/[0-7]/.test(ch) && (inClass || (ch === "0"))) {
+      match = /^[0-7]{0,2}/.exec(pattern.substr(pos));
+      pos += match[0].length;
+
+      var code = parseInt(ch + match[0], 8) & 0xFF;
+      return { text: charCodeEscape(code), character: String.fromCharCode(code) };
     }
-  );
 
-  var appendString = function (self, str, startIndex, length, copies) {
-    if ((startIndex !== 0) || (length !== str.length)) {
-      for (var i = 0; i < copies; i++) {
-        self._str += str.substr(startIndex, length);
+    if (!inClass) {
+      switch (ch) {
+        case "A": return { text: "^", character: null };
+        case "z": return { text: "$", character: null };
+        case "Z": return { text: "(?=\\n?$)", character: null };
+
+        case "G":
+          if ((parts.length > 0) || (stack.length > 0))
+            throw new System.NotSupportedException("\\G is only supported at the start of a pattern.");
+
+          isSticky = true;
+          return { text: "", character: null };
+
+        case "k":
+          match = /^(?:<([^>]+)>|'([^']+)')/.exec(pattern.substr(pos));
+          if (!match)
+            fail("Malformed \\k<...> named back reference.");
+
+          pos += match[0].length;
+          return { text: { backreference: match[1] || match[2] }, character: null };
       }
 
-    } else {
-      for (var i = 0; i < copies; i++) {
-        self._str += str;
+      if (/[1-9]/.test(ch)) {
+        match = /^[0-9]*/.exec(pattern.substr(pos));
+        pos += match[0].length;
+
+        var reference = { backreference: ch + match[0], octal: null };
+
+        // Numbers above 9 that don't refer to a group are read as an octal escape followed by digits.
+        var octal = /^[0-7]{1,3}/.exec(reference.backreference);
+        if ((reference.backreference.length > 1) && octal) {
+          var code = parseInt(octal[0], 8) & 0xFF;
+          var folded = foldCase(String.fromCharCode(code));
+
+          reference.octal = ((folded !== null) ? "[" + folded + "]" : charCodeEscape(code)) +
+            reference.backreference.substr(octal[0].length);
+        }
+
+        return { text: reference, character: null };
       }
+    }
+
+    if (/[A-Za-z0-9_]/.test(ch))
+      fail("Unrecognized escape sequence \\" + ch + ".");
+
+    return { text: escapeCharacter(ch, inClass), character: ch };
+  };
 
+  var escapeCharacter = function (ch, inClass) {
+    if (inClass) {
+      if ("\\]-[^".indexOf(ch) >= 0)
+        return "\\" + ch;
+    } else if (syntaxCharacters.indexOf(ch) >= 0) {
+      return "\\" + ch;
     }
+
+    return ch;
   };
 
-  var appendNumber = function (self, num) {
-    self._str += String(num);
+  var readClassItem = function () {
+    var ch = pattern[pos++];
+
+    if (ch === "\\")
+      return readEscape(true);
+
+    return { text: escapeCharacter(ch, true), character: ch };
   };
 
-  $.Method({Static:false, Public:true }, "Append", 
-    (new JSIL.MethodSignature($.Type, [$.Char, $.Int32], [])), 
-    function Append (value, repeatCount) {
-      appendString(this, value, 0, value.length, repeatCount);
-    }
-  );
+  // Character class subtraction ([a-z-[aeiou]]) becomes a negative lookahead in front of the class.
+  var readClass = function () {
+    var result = "";
+    var complements = [];
+    var isNegated = false, isFirst = true;
+    pos++;
 
-  $.Method({Static:false, Public:true }, "Append", 
-    (new JSIL.MethodSignature($.Type, [
-          $jsilcore.TypeRef("System.Array", [$.Char]), $.Int32, 
-          $.Int32
-        ], [])), 
-    function Append (value, startIndex, charCount) {
-      for (var i = 0; i < charCount; i++)
-        this._str += value[startIndex + i];
+    if (pattern[pos] === "^") {
+      isNegated = true;
+      pos++;
     }
-  );
 
-  $.Method({Static:false, Public:true }, "Append", 
-    (new JSIL.MethodSignature($.Type, [$.String], [])), 
-    function Append (value) {
-      appendString(this, value, 0, value.length, 1);
-    }
-  );
+    // Negated classes like \W become alternatives next to the class holding the other items.
+    var finish = function () {
+      if (complements.length === 0)
+        return (isNegated ? "[^" : "[") + result + "]";
 
-  $.Method({Static:false, Public:true }, "Append", 
-    (new JSIL.MethodSignature($.Type, [
-          $.String, $.Int32, 
-          $.Int32
-        ], [])), 
-    function Append (value, startIndex, count) {
-      appendString(this, value, startIndex, count, 1);
-    }
-  );
+      var alternatives = (result.length > 0) ? ["[" + result + "]"] : [];
+      for (var i = 0; i < complements.length; i++)
+        alternatives.push("[^" + complements[i] + "]");
+
+      if (isNegated)
+        return "(?:(?!" + alternatives.join("|") + ")[\\s\\S])";
+
+      return "(?:" + alternatives.join("|") + ")";
+    };
+
+    while (true) {
+      if (pos >= length)
+        fail("Unterminated [] set.");
+
+      var ch = pattern[pos];
+
+      if ((ch === "]") && !isFirst) {
+        pos++;
+        return finish();
+      }
+
+      if ((ch === "-") && (pattern[pos + 1] === "[") && !isFirst) {
+        pos++;
+        var subtracted = readClass();
+
+        if (pattern[pos] !== "]")
+          fail("A subtraction must be the last element in a character class.");
+
+        pos++;
+        return "(?:(?!" + subtracted + ")" + finish() + ")";
+      }
+
+      isFirst = false;
+      var item = readClassItem();
+
+      if (typeof (item.complement) === "string") {
+        complements.push(item.complement);
+        continue;
+      }
+
+      if (
+        (pattern[pos] === "-") && (pos + 1 < length) &&
+        (pattern[pos + 1] !== "]") && (pattern[pos + 1] !== "[") &&
+        (item.character !== null)
+      ) {
+        pos++;
+        var end = readClassItem();
+
+        if (end.character === null)
+          fail("A subtraction must be the last element in a character class.");
+        if (end.character < item.character)
+          fail("[x-y] range in reverse order.");
 
-  $.Method({Static:false, Public:true }, "Append", 
-    (new JSIL.MethodSignature($.Type, [$.Boolean], [])), 
-    function Append (value) {
-      this._str += (value ? "True" : "False");
-    }
-  );
+        result += item.text + "-" + end.text;
 
-  $.Method({Static:false, Public:true }, "Append", 
-    (new JSIL.MethodSignature($.Type, [$.SByte], [])), 
-    function Append (value) {
-      appendNumber(this, value);
-    }
-  );
+        if (current.i && !useIgnoreCaseFlag && isLetter(item.character) && isLetter(end.character)) {
+          var isLower = item.character === item.character.toLowerCase();
+          var convert = function (ch) {
+            return isLower ? ch.toUpperCase() : ch.toLowerCase();
+          };
 
-  $.Method({Static:false, Public:true }, "Append", 
-    (new JSIL.MethodSignature($.Type, [$.Byte], [])), 
-    function Append (value) {
-      appendNumber(this, value);
-    }
-  );
+          result += convert(item.character) + "-" + convert(end.character);
+        }
+      } else {
+        result += item.text;
 
-  $.Method({Static:false, Public:true }, "Append", 
-    (new JSIL.MethodSignature($.Type, [$.Char], [])), 
-    function Append (value) {
-      appendString(this, value, 0, value.length, 1);
+        var folded = (item.character !== null) ? foldCase(item.character) : null;
+        if (folded !== null)
+          result += folded;
+      }
     }
-  );
+  };
 
-  $.Method({Static:false, Public:true }, "Append", 
-    (new JSIL.MethodSignature($.Type, [$.Int16], [])), 
-    function Append (value) {
-      appendNumber(this, value);
-    }
-  );
+  var readGroup = function () {
+    var match;
+    pos++;
 
-  $.Method({Static:false, Public:true }, "Append", 
-    (new JSIL.MethodSignature($.Type, [$.Int32], [])), 
-    function Append (value) {
-      appendNumber(this, value);
-    }
-  );
+    if (pattern[pos] !== "?") {
+      if (current.n) {
+        parts.push("(?:");
+      } else {
+        addGroup(null);
+        parts.push("(");
+      }
 
-  $.Method({Static:false, Public:true }, "Append", 
-    (new JSIL.MethodSignature($.Type, [$.Int64], [])), 
-    function Append (value) {
-      appendNumber(this, value);
+      stack.push({ options: copyOptions(current), close: ")" });
+      return;
     }
-  );
 
-  $.Method({Static:false, Public:true }, "Append", 
-    (new JSIL.MethodSignature($.Type, [$.Single], [])), 
-    function Append (value) {
-      appendNumber(this, value);
+    var rest = pattern.substr(pos + 1);
+
+    if (rest.indexOf("#") === 0) {
+      var commentEnd = pattern.indexOf(")", pos);
+      if (commentEnd < 0)
+        fail("Unterminated (?#...) comment.");
+
+      pos = commentEnd + 1;
+      return;
     }
-  );
 
-  $.Method({Static:false, Public:true }, "Append", 
-    (new JSIL.MethodSignature($.Type, [$.Double], [])), 
-    function Append (value) {
-      appendNumber(this, value);
+    var prefixes = [":", "=", "!", "<=", "<!"];
+    for (var i = 0; i < prefixes.length; i++) {
+      if (rest.indexOf(prefixes[i]) === 0) {
+        pos += 1 + prefixes[i].length;
+        parts.push("(?" + prefixes[i]);
+        stack.push({ options: copyOptions(current), close: ")" });
+        return;
+      }
     }
-  );
 
-  $.Method({Static:false, Public:true }, "Append", 
-    (new JSIL.MethodSignature($.Type, [$.UInt16], [])), 
-    function Append (value) {
-      appendNumber(this, value);
+    if (rest.indexOf(">") === 0) {
+      pos += 2;
+      var atomicGroup = addGroup(false);
+      parts.push("(?:(?=(");
+      stack.push({ options: copyOptions(current), close: "))\\" + atomicGroup + ")" });
+      return;
     }
-  );
 
-  $.Method({Static:false, Public:true }, "Append", 
-    (new JSIL.MethodSignature($.Type, [$.UInt32], [])), 
-    function Append (value) {
-      appendNumber(this, value);
+    match = /^(?:<([^>]*)>|'([^']*)')/.exec(rest);
+    if (match) {
+      var name = (typeof (match[1]) === "string") ? match[1] : match[2];
+
+      if (name.indexOf("-") >= 0)
+        throw new System.NotSupportedException("Balancing groups are not supported.");
+      if (!/^(?:[0-9]+|[A-Za-z_][A-Za-z0-9_]*)$/.test(name))
+        fail("Invalid group name: Group names must begin with a word character.");
+
+      pos += 1 + match[0].length;
+      addGroup(name);
+      parts.push("(");
+      stack.push({ options: copyOptions(current), close: ")" });
+      return;
     }
-  );
 
-  $.Method({Static:false, Public:true }, "Append", 
-    (new JSIL.MethodSignature($.Type, [$.UInt64], [])), 
-    function Append (value) {
-      appendNumber(this, value);
+    if (rest.indexOf("(") === 0)
+      throw new System.NotSupportedException("Alternation conditions are not supported.");
+
+    match = optionsRegex.exec(pattern.substr(pos - 1));
+    if (!match)
+      fail("Unrecognized grouping construct.");
+
+    pos += match[0].length - 1;
+
+    var saved = copyOptions(current);
+    var setOptions = function (letters, value) {
+      for (var i = 0; i < letters.length; i++)
+        current[letters[i]] = value;
+    };
+
+    setOptions(match[1], true);
+    setOptions(match[2] || "", false);
+
+    if (match[3] === ":") {
+      parts.push("(?:");
+      stack.push({ options: saved, close: ")" });
     }
-  );
+  };
 
-  $.Method({Static:false, Public:true }, "Append", 
-    (new JSIL.MethodSignature($.Type, [$jsilcore.TypeRef("System.Array", [$.Char])], [])), 
-    function Append (value) {
-      for (var i = 0; i < value.length; i++)
-        this._str += value[i];
+  while (pos < length) {
+    var ch = pattern[pos];
+
+    if (current.x && (whitespace.indexOf(ch) >= 0)) {
+      pos++;
+      continue;
     }
-  );
 
-  $.Method({Static:false, Public:true }, "AppendLine", 
-    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Text.StringBuilder"), [], [])), 
-    function AppendLine () {
-      appendString(this, "\r\n", 0, 2, 1);
-      return this;
+    if (current.x && (ch === "#")) {
+      while ((pos < length) && (pattern[pos] !== "\n"))
+        pos++;
+
+      continue;
     }
-  );
 
-  $.Method({Static:false, Public:true }, "AppendLine", 
-    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Text.StringBuilder"), [$.String], [])), 
-    function AppendLine (value) {
-      appendString(this, value, 0, value.length, 1);
-      appendString(this, "\r\n", 0, 2, 1);
-      return this;
+    if (closedGroup !== null) {
+      if (isRepeatingQuantifier(pattern.substr(pos))) {
+        for (var i = closedGroup.firstGroup; i < closedGroup.endGroup; i++)
+          groups[i].repeated = true;
+      }
+
+      closedGroup = null;
+    }
+
+    switch (ch) {
+      case "\\":
+        pos++;
+        var escape = readEscape(false);
+        var folded = (escape.character !== null) ? foldCase(escape.character) : null;
+        parts.push((folded !== null) ? "[" + folded + "]" : escape.text);
+        break;
+
+      case "[":
+        parts.push(readClass());
+        break;
+
+      case "(":
+        var depth = stack.length, firstGroup = groups.length;
+        readGroup();
+
+        if (stack.length > depth)
+          stack[stack.length - 1].firstGroup = firstGroup;
+        break;
+
+      case ")":
+        if (stack.length === 0)
+          fail("Too many )'s.");
+
+        var group = stack.pop();
+        parts.push(group.close);
+        current = group.options;
+        closedGroup = { firstGroup: group.firstGroup, endGroup: groups.length };
+        pos++;
+        break;
+
+      case ".":
+        parts.push(current.s ? "[\\s\\S]" : "[^\\n]");
+        pos++;
+        break;
+
+      case "^":
+        parts.push(current.m ? "(?:^|(?<=\\n))" : "^");
+        pos++;
+        break;
+
+      case "$":
+        parts.push(current.m ? "(?=\\n|$)" : "(?=\\n?$)");
+        pos++;
+        break;
+
+      case "{":
+        var quantifier = quantifierRegex.exec(pattern.substr(pos));
+        if (quantifier) {
+          parts.push(quantifier[0]);
+          pos += quantifier[0].length;
+        } else {
+          parts.push("\\{");
+          pos++;
+        }
+        break;
+
+      case "}": case "]": case "/":
+        parts.push("\\" + ch);
+        pos++;
+        break;
+
+      default:
+        var folded = foldCase(ch);
+        parts.push((folded !== null) ? "[" + folded + "]" : ch);
+        pos++;
+        break;
     }
-  );
+  }
 
-  $.Method({Static:false, Public:true }, "Clear", 
-    (new JSIL.MethodSignature($.Type, [], [])), 
-    function Clear () {
-      this._str = "";
+  if (stack.length > 0)
+    fail("Not enough )'s.");
+
+  // Unnamed groups are numbered first, then named groups in order of appearance, skipping any
+  //  numbers that were given explicitly.
+  var numbersByName = {};
+  var usedNumbers = {};
+  var nextNumber = 1;
+
+  for (var i = 0; i < groups.length; i++) {
+    if (groups[i].name === null) {
+      groups[i].number = nextNumber++;
+    } else if ((groups[i].name !== false) && /^[0-9]+$/.test(groups[i].name)) {
+      groups[i].number = parseInt(groups[i].name, 10);
+      numbersByName[String(groups[i].number)] = groups[i].number;
     }
-  );
 
-  $.Method({Static:false, Public:true }, "get_Length", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_Length () {
-      return this._str.length;
+    if (groups[i].number >= 0)
+      usedNumbers[groups[i].number] = true;
+  }
+
+  for (var i = 0; i < groups.length; i++) {
+    var name = groups[i].name;
+    if ((typeof (name) !== "string") || (groups[i].number >= 0))
+      continue;
+
+    if (!numbersByName.hasOwnProperty(name)) {
+      while (usedNumbers[nextNumber])
+        nextNumber++;
+
+      numbersByName[name] = nextNumber;
+      usedNumbers[nextNumber] = true;
     }
-  );
 
-  var replace = function (self, oldText, newText, startIndex, count) {
-    var prefix = self._str.substr(0, startIndex);
-    var suffix = self._str.substr(startIndex + count);
-    var region = self._str.substr(startIndex, count);
-    var result = prefix + region.split(oldText).join(newText) + suffix;
-    self._str = result;
-    return self;
+    groups[i].number = numbersByName[name];
+  }
+
+  var result = {
+    numbers: [0],
+    names: ["0"],
+    groupIndices: { 0: [0] },
+    repeatedGroups: {}
   };
 
-  $.Method({Static:false, Public:true }, "Replace", 
-    (new JSIL.MethodSignature($.Type, [$.String, $.String], [])), 
-    function Replace (oldValue, newValue) {
-      return replace(this, oldValue, newValue, 0, this._str.length);
-    }
-  );
+  for (var i = 0; i < groups.length; i++) {
+    var number = groups[i].number;
+    if (number < 0)
+      continue;
 
-  $.Method({Static:false, Public:true }, "Replace", 
-    (new JSIL.MethodSignature($.Type, [
-          $.String, $.String, 
-          $.Int32, $.Int32
-        ], [])), 
-    function Replace (oldValue, newValue, startIndex, count) {
-      return replace(this, oldValue, newValue, startIndex, count);
+    if (!result.groupIndices.hasOwnProperty(number)) {
+      result.groupIndices[number] = [];
+      result.numbers.push(number);
     }
-  );
 
-  $.Method({Static:false, Public:true }, "Replace", 
-    (new JSIL.MethodSignature($.Type, [$.Char, $.Char], [])), 
-    function Replace (oldChar, newChar) {
-      return replace(this, oldChar, newChar, 0, this._str.length);
-    }
-  );
+    result.groupIndices[number].push(i + 1);
 
-  $.Method({Static:false, Public:true }, "Replace", 
-    (new JSIL.MethodSignature($.Type, [
-          $.Char, $.Char, 
-          $.Int32, $.Int32
-        ], [])), 
-    function Replace (oldChar, newChar, startIndex, count) {
-      return replace(this, oldChar, newChar, startIndex, count);
+    if (groups[i].repeated)
+      result.repeatedGroups[number] = true;
+  }
+
+  result.numbers.sort(function (lhs, rhs) {
+    return lhs - rhs;
+  });
+
+  for (var i = 1; i < result.numbers.length; i++) {
+    var number = result.numbers[i];
+    var name = String(number);
+
+    for (var key in numbersByName) {
+      if (numbersByName.hasOwnProperty(key) && (numbersByName[key] === number))
+        name = key;
     }
-  );
 
-  $.Method({Static:false, Public:true }, "set_Length", 
-    (new JSIL.MethodSignature(null, [$.Int32], [])), 
-    function set_Length (value) {
-      var delta = value - this._str.length;
+    result.names.push(name);
+  }
 
-      if (delta < 0) {
-        this._str = this._str.substr(0, value);
-      } else if (delta > 0) {
-        var ch = new Array(delta);
-        for (var i = 0; i < delta; i++)
-          ch[i] = '\0';
+  var source = "";
 
-        this._str += String.fromCharCode.apply(String, ch);
-      }
+  for (var i = 0; i < parts.length; i++) {
+    var part = parts[i];
+
+    if (typeof (part) === "string") {
+      source += part;
+      continue;
     }
-  );
 
-  $.Method({Static:false, Public:true }, "toString", 
-    (new JSIL.MethodSignature($.String, [], [])), 
-    function toString () {
-      return this._str;
+    var reference = part.backreference;
+    var number = /^[0-9]+$/.test(reference) ? parseInt(reference, 10) : numbersByName[reference];
+
+    if ((typeof (number) !== "number") || !result.groupIndices.hasOwnProperty(number) || (number === 0)) {
+      if (typeof (part.octal) === "string") {
+        source += part.octal;
+        continue;
+      } else if ((typeof (number) === "number") && (number > 9)) {
+        fail("Unrecognized escape sequence \\" + reference[0] + ".");
+      }
+
+      fail("Reference to undefined group " + reference + ".");
     }
-  );
-});
 
-JSIL.ImplementExternals("System.Diagnostics.StackTrace", function ($) {
+    source += "(?:\\" + result.groupIndices[number][0] + ")";
+  }
+
+  var flags = "g";
+  if (ignoreCase && useIgnoreCaseFlag)
+    flags += "i";
+  if (isUnicode)
+    flags += "u";
+  if (isSticky)
+    flags += "y";
+  if ($jsilcore.$RegexSupportsIndices)
+    flags += "d";
+
+  try {
+    result.regex = new RegExp(source, flags);
+  } catch (exc) {
+    fail(exc.message);
+  }
+
+  return result;
+};
+
+JSIL.ImplementExternals("System.Text.RegularExpressions.Regex", function ($) {
+  var system = JSIL.GetAssembly("System", true);
   var mscorlib = JSIL.GetCorlib();
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function _ctor () {
-      this.CaptureStackTrace(0, false, null, null);
-    }
-  );
+  var tRegexOptions = system.TypeRef("System.Text.RegularExpressions.RegexOptions");
+  var tMatch = system.TypeRef("System.Text.RegularExpressions.Match");
+  var tMatchCollection = system.TypeRef("System.Text.RegularExpressions.MatchCollection");
+  var tMatchEvaluator = system.TypeRef("System.Text.RegularExpressions.MatchEvaluator");
+  var tStringArray = mscorlib.TypeRef("System.Array", [$.String]);
+  var tInt32Array = mscorlib.TypeRef("System.Array", [$.Int32]);
 
-  $.Method({Static:false, Public:false}, "CaptureStackTrace", 
-    (new JSIL.MethodSignature(null, [
-          $.Int32, $.Boolean, 
-          mscorlib.TypeRef("System.Threading.Thread"), mscorlib.TypeRef("System.Exception")
-        ], [])), 
-    function CaptureStackTrace (iSkip, fNeedFileInfo, targetThread, e) {
-      // FIXME
-      this.frames = [];
+  var initialize = function (regex, pattern, options) {
+    if (pattern === null)
+      throw new System.ArgumentNullException("pattern");
+
+    regex._pattern = pattern;
+    regex._options = options;
+    regex._translation = $jsilcore.$TranslateRegex(pattern, options);
+  };
+
+  var construct = function (pattern, options) {
+    var regex = Object.create(System.Text.RegularExpressions.Regex.prototype);
+    initialize(regex, pattern, options);
+    return regex;
+  };
+
+  var checkInput = function (input) {
+    if (input === null)
+      throw new System.ArgumentNullException("input");
+  };
+
+  var checkStart = function (input, startat) {
+    if ((startat < 0) || (startat > input.length))
+      throw new System.ArgumentOutOfRangeException("startat", "Start index cannot be less than 0 or greater than input length.");
+  };
+
+  var matches = function (regex, input, startat) {
+    var result = [];
+    var match = regex.$Run(input, startat, 0);
+
+    while (match.get_Success()) {
+      result.push(match);
+      match = match.NextMatch();
     }
-  );  
 
-  $.Method({Static:false, Public:true }, "GetFrame", 
-    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Diagnostics.StackFrame"), [$.Int32], [])), 
-    function GetFrame (index) {
-      // FIXME
-      return new System.Diagnostics.StackFrame();
+    return JSIL.CreateInstanceOfType(
+      System.Text.RegularExpressions.MatchCollection.__Type__,
+      "$internalCtor", [result]
+    );
+  };
+
+  var replace = function (regex, input, evaluator, count, startat) {
+    checkInput(input);
+    checkStart(input, startat);
+
+    if (count < -1)
+      throw new System.ArgumentOutOfRangeException("count", "Count cannot be less than -1.");
+
+    var result = "";
+    var previousEnd = 0;
+    var replaced = false;
+    var match = regex.$Run(input, startat, 0);
+
+    while ((count !== 0) && match.get_Success()) {
+      var index = match.get_Index();
+      result += input.substring(previousEnd, index) + evaluator(match);
+      previousEnd = index + match.get_Length();
+      replaced = true;
+      count -= 1;
+
+      match = match.NextMatch();
     }
-  );
 
-});
+    if (!replaced)
+      return input;
 
-JSIL.ImplementExternals("System.Diagnostics.StackFrame", function ($) {
-  var mscorlib = JSIL.GetCorlib();
+    return result + input.substr(previousEnd);
+  };
+
+  var split = function (regex, input, count, startat) {
+    checkInput(input);
+    checkStart(input, startat);
+
+    if (count < 0)
+      throw new System.ArgumentOutOfRangeException("count", "Count cannot be less than 0.");
+
+    if (count === 1)
+      return [input];
+
+    count -= 1;
+
+    var result = [];
+    var previousEnd = 0;
+    var match = regex.$Run(input, startat, 0);
+    var numbers = regex._translation.numbers;
+
+    while (match.get_Success()) {
+      var index = match.get_Index();
+      result.push(input.substring(previousEnd, index));
+      previousEnd = index + match.get_Length();
+
+      // Captured groups are included in the result, like in .NET.
+      var groups = match.get_Groups();
+      for (var i = 1; i < numbers.length; i++) {
+        var group = groups.get_Item(numbers[i]);
+        if (group.get_Success())
+          result.push(group.get_Value());
+      }
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function _ctor () {
-      // FIXME
-    }
-  );
+      count -= 1;
+      if (count === 0)
+        break;
 
-  $.Method({Static:false, Public:true }, "GetMethod", 
-    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Reflection.MethodBase"), [], [])), 
-    function GetMethod () {
-      // FIXME
-      return new System.Reflection.MethodBase();
+      match = match.NextMatch();
     }
-  );
-});
 
-JSIL.ImplementExternals(
-  "System.Enum", function ($) {    
-    $.RawMethod(true, "CheckType",
-      function (value) {
-        if (typeof (value) === "object") {
-          if ((value !== null) && (typeof (value.GetType) === "function"))
-            return value.GetType().IsEnum;
-        }
+    result.push(input.substr(previousEnd));
+    return result;
+  };
 
-        return false;
-      }
-    );
+  var parseReplacement = function (regex, replacement) {
+    if (replacement === null)
+      throw new System.ArgumentNullException("replacement");
 
-    var internalTryParse;
+    var parts = [];
+    var literal = "";
+    var translation = regex._translation;
 
-    var internalTryParseFlags = function (TEnum, text, ignoreCase, result) {
-      var items = text.split(",");
+    var flush = function () {
+      if (literal.length > 0)
+        parts.push(literal);
 
-      var resultValue = 0;
-      var temp = new JSIL.Variable();
+      literal = "";
+    };
 
-      for (var i = 0, l = items.length; i < l; i++) {
-        var item = items[i].trim();
-        if (item.length === 0)
-          continue;
+    for (var i = 0, l = replacement.length; i < l; i++) {
+      var ch = replacement[i];
+      var next = replacement[i + 1];
 
-        if (internalTryParse(TEnum, item, ignoreCase, temp)) {
-          resultValue = resultValue | temp.value;
-        } else {
-          return false;
-        }
+      if ((ch !== "$") || (i + 1 >= l)) {
+        literal += ch;
+        continue;
       }
 
-      var name = TEnum.__ValueToName__[resultValue];
+      var number = -1;
+      var special = null;
+      var skip = 1;
+      var match;
+
+      if (next === "$") {
+        literal += "$";
+        i += 1;
+        continue;
+      } else if ((match = /^\{([^}]+)\}/.exec(replacement.substr(i + 1))) !== null) {
+        number = regex.GroupNumberFromName(match[1]);
+        skip = match[0].length;
+      } else if ((match = /^[0-9]+/.exec(replacement.substr(i + 1))) !== null) {
+        number = parseInt(match[0], 10);
+        if (!translation.groupIndices.hasOwnProperty(number))
+          number = -1;
+
+        skip = match[0].length;
+      } else if ("&`'+_".indexOf(next) >= 0) {
+        special = next;
+      }
 
-      if (typeof (name) === "undefined") {
-        result.value = JSIL.MakeEnumValue(TEnum, resultValue, null, TEnum.__IsFlagsEnum__);
-        return true;
-      } else {
-        result.value = TEnum[name];
-        return true;
+      if ((number < 0) && (special === null)) {
+        literal += ch;
+        continue;
       }
-    };
 
-    internalTryParse = function (TEnum, text, ignoreCase, result) {
-      // Detect and handle flags enums
-      var commaPos = text.indexOf(",");
-      if (commaPos >= 0)
-        return internalTryParseFlags(TEnum, text, ignoreCase, result);
+      flush();
+      parts.push((special !== null) ? { special: special } : { group: number });
+      i += skip;
+    }
 
-      var num = Number(text);
+    flush();
 
-      if (isNaN(num)) {
-        if (ignoreCase) {
-          var names = TEnum.__Names__;
-          for (var i = 0; i < names.length; i++) {
-            var isMatch = (names[i].toLowerCase() == text.toLowerCase());
+    return function (match) {
+      var result = "";
+      var groups = match.get_Groups();
+      var input = match._input;
 
-            if (isMatch) {
-              result.value = TEnum[names[i]];
-              break;
-            }
-          }
-        } else {
-          result.value = TEnum[text];
-        }
+      for (var i = 0; i < parts.length; i++) {
+        var part = parts[i];
 
-        return (typeof (result.value) !== "undefined");
-      } else {
-        var name = TEnum.__ValueToName__[num];
+        if (typeof (part) === "string") {
+          result += part;
+          continue;
+        }
 
-        if (typeof (name) === "undefined") {
-          result.value = JSIL.MakeEnumValue(TEnum, num, null, TEnum.__IsFlagsEnum__);
-          return true;
-        } else {
-          result.value = TEnum[name];
-          return true;
+        switch (part.special) {
+          case "&":
+            result += match.get_Value();
+            break;
+          case "`":
+            result += input.substr(0, match.get_Index() - match._offset);
+            break;
+          case "'":
+            result += input.substr(match.get_Index() - match._offset + match.get_Length());
+            break;
+          case "+":
+            var numbers = translation.numbers;
+            result += groups.get_Item(numbers[numbers.length - 1]).get_Value();
+            break;
+          case "_":
+            result += input;
+            break;
+          default:
+            result += groups.get_Item(part.group).get_Value();
+            break;
         }
       }
+
+      return result;
     };
+  };
 
-    var internalParse = function (enm, text, ignoreCase) {
-      var result = new JSIL.Variable();
-      if (internalTryParse(enm, text, ignoreCase, result))
-        return result.value;
+  $.RawMethod(false, "$Run", function Run (input, startat, offset) {
+    var regex = this._translation.regex;
+    var jsMatch = null;
 
-      throw new System.Exception("Failed to parse enum");
-    };
+    if (startat <= input.length) {
+      regex.lastIndex = startat;
+      jsMatch = regex.exec(input);
+    }
 
-    $.Method({Static:true , Public:true }, "Parse", 
-      new JSIL.MethodSignature($jsilcore.TypeRef("System.Object"), [$jsilcore.TypeRef("System.Type"), $jsilcore.TypeRef("System.String")], []),
-      function (enm, text) {
-        return internalParse(enm, text, false);
-      }
+    return JSIL.CreateInstanceOfType(
+      System.Text.RegularExpressions.Match.__Type__,
+      "$internalCtor", [this, input, offset, jsMatch]
     );
+  });
 
-    $.Method({Static:true , Public:true }, "Parse", 
-      new JSIL.MethodSignature($jsilcore.TypeRef("System.Object"), [
-          $jsilcore.TypeRef("System.Type"), $jsilcore.TypeRef("System.String"), 
-          $jsilcore.TypeRef("System.Boolean")
-        ], []),
-      internalParse
-    );    
+  $.RawMethod(false, "$ParseReplacement", function ParseReplacement (replacement) {
+    return parseReplacement(this, replacement);
+  });
 
-    $.Method({Static:true , Public:true }, "TryParse", 
-      new JSIL.MethodSignature($jsilcore.TypeRef("System.Boolean"), [$jsilcore.TypeRef("System.String"), "JSIL.Reference" /* !!0& */ ], ["TEnum"]),
-      function (TEnum, text, result) {
-        return internalTryParse(TEnum, text, result);
-      }
-    );
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function _ctor (pattern) {
+      initialize(this, pattern, System.Text.RegularExpressions.RegexOptions.None);
+    }
+  );
 
-    $.Method({Static:true , Public:true }, "TryParse", 
-      new JSIL.MethodSignature($jsilcore.TypeRef("System.Boolean"), [
-          $jsilcore.TypeRef("System.String"), $jsilcore.TypeRef("System.Boolean"), 
-          "JSIL.Reference" /* !!0& */ 
-        ], ["TEnum"]),
-      internalTryParse
-    );
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String, tRegexOptions], [])), 
+    function _ctor (pattern, options) {
+      initialize(this, pattern, options);
+    }
+  );
 
-    $.Method({Static:true , Public:true }, "GetNames", 
-      new JSIL.MethodSignature(System.Array.Of($jsilcore.System.String), [$jsilcore.TypeRef("System.Type")], []),
-      function (enm) {
-        return enm.__Names__;
-      }
-    );
+  $.Method({Static:false, Public:true }, "get_Options", 
+    (new JSIL.MethodSignature(tRegexOptions, [], [])), 
+    function get_Options () {
+      return this._options;
+    }
+  );
 
-    $.Method({Static:true , Public:true }, "GetValues", 
-      new JSIL.MethodSignature($jsilcore.TypeRef("System.Array"), [$jsilcore.TypeRef("System.Type")], []),
-      function (enm) {
-        var names = enm.__Names__;
-        var result = new Array(names.length);
+  $.Method({Static:false, Public:true }, "get_RightToLeft", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_RightToLeft () {
+      return false;
+    }
+  );
 
-        for (var i = 0; i < result.length; i++)
-          result[i] = enm[names[i]];
+  $.Method({Static:false, Public:true }, "GetGroupNames", 
+    (new JSIL.MethodSignature(tStringArray, [], [])), 
+    function GetGroupNames () {
+      return this._translation.names.slice();
+    }
+  );
 
-        return result;
+  $.Method({Static:false, Public:true }, "GetGroupNumbers", 
+    (new JSIL.MethodSignature(tInt32Array, [], [])), 
+    function GetGroupNumbers () {
+      return this._translation.numbers.slice();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GroupNameFromNumber", 
+    (new JSIL.MethodSignature($.String, [$.Int32], [])), 
+    function GroupNameFromNumber (i) {
+      var index = this._translation.numbers.indexOf(i);
+      if (index < 0)
+        return "";
+
+      return this._translation.names[index];
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GroupNumberFromName", 
+    (new JSIL.MethodSignature($.Int32, [$.String], [])), 
+    function GroupNumberFromName (name) {
+      if (name === null)
+        throw new System.ArgumentNullException("name");
+
+      var index = this._translation.names.indexOf(name);
+      if (index >= 0)
+        return this._translation.numbers[index];
+
+      if (/^[0-9]+$/.test(name)) {
+        var number = parseInt(name, 10);
+        if (this._translation.groupIndices.hasOwnProperty(number))
+          return number;
       }
-    );
-  }
-);
 
-JSIL.ImplementExternals("System.Activator", function ($) {
-  var mscorlib = JSIL.GetCorlib();
-  
-  $.Method({Static:true , Public:true }, "CreateInstance", 
-    (new JSIL.MethodSignature($.Object, [mscorlib.TypeRef("System.Type"), mscorlib.TypeRef("System.Array", [$.Object])], [])), 
-    function CreateInstance (type, args) {
-      return JSIL.CreateInstanceOfType(type, args);
+      return -1;
     }
   );
 
-  $.Method({Static:true , Public:true }, "CreateInstance", 
-    (new JSIL.MethodSignature($.Object, [
-          $jsilcore.TypeRef("System.Type"), $jsilcore.TypeRef("System.Reflection.BindingFlags"), 
-          $jsilcore.TypeRef("System.Reflection.Binder"), $jsilcore.TypeRef("System.Array", [$.Object]), 
-          $jsilcore.TypeRef("System.Globalization.CultureInfo")
-        ], [])), 
-    function CreateInstance (type, bindingAttr, binder, args, culture) {
-      // FIXME
-      return JSIL.CreateInstanceOfType(type, args);
+  $.Method({Static:false, Public:true }, "IsMatch", 
+    (new JSIL.MethodSignature($.Boolean, [$.String], [])), 
+    function IsMatch (input) {
+      checkInput(input);
+      return this.$Run(input, 0, 0).get_Success();
     }
   );
 
-});
+  $.Method({Static:false, Public:true }, "IsMatch", 
+    (new JSIL.MethodSignature($.Boolean, [$.String, $.Int32], [])), 
+    function IsMatch (input, startat) {
+      checkInput(input);
+      checkStart(input, startat);
+      return this.$Run(input, startat, 0).get_Success();
+    }
+  );
 
-JSIL.ImplementExternals("System.Diagnostics.Stopwatch", function ($) {
-  var mscorlib = JSIL.GetCorlib(); 
+  $.Method({Static:true , Public:true }, "IsMatch", 
+    (new JSIL.MethodSignature($.Boolean, [$.String, $.String], [])), 
+    function IsMatch (input, pattern) {
+      checkInput(input);
+      return construct(pattern, System.Text.RegularExpressions.RegexOptions.None).$Run(input, 0, 0).get_Success();
+    }
+  );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function _ctor () {
-      this.Reset();
+  $.Method({Static:true , Public:true }, "IsMatch", 
+    (new JSIL.MethodSignature($.Boolean, [$.String, $.String, tRegexOptions], [])), 
+    function IsMatch (input, pattern, options) {
+      checkInput(input);
+      return construct(pattern, options).$Run(input, 0, 0).get_Success();
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Elapsed", 
-    (new JSIL.MethodSignature(mscorlib.TypeRef("System.TimeSpan"), [], [])), 
-    function get_Elapsed () {
-      return System.TimeSpan.FromMilliseconds(this.get_ElapsedMilliseconds());
+  $.Method({Static:false, Public:true }, "Match", 
+    (new JSIL.MethodSignature(tMatch, [$.String], [])), 
+    function Match (input) {
+      checkInput(input);
+      return this.$Run(input, 0, 0);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_ElapsedMilliseconds", 
-    (new JSIL.MethodSignature($.Int64, [], [])), 
-    function get_ElapsedMilliseconds () {
-      var result = this.elapsed;
-      if (this.isRunning)
-        result += Date.now() - this.startedWhen;
+  $.Method({Static:false, Public:true }, "Match", 
+    (new JSIL.MethodSignature(tMatch, [$.String, $.Int32], [])), 
+    function Match (input, startat) {
+      checkInput(input);
+      checkStart(input, startat);
+      return this.$Run(input, startat, 0);
+    }
+  );
 
-      return result;
+  $.Method({Static:false, Public:true }, "Match", 
+    (new JSIL.MethodSignature(tMatch, [$.String, $.Int32, $.Int32], [])), 
+    function Match (input, beginning, length) {
+      checkInput(input);
+
+      if ((beginning < 0) || (beginning > input.length))
+        throw new System.ArgumentOutOfRangeException("beginning");
+      if ((length < 0) || (beginning + length > input.length))
+        throw new System.ArgumentOutOfRangeException("length");
+
+      return this.$Run(input.substr(beginning, length), 0, beginning);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_ElapsedTicks", 
-    (new JSIL.MethodSignature($.Int64, [], [])), 
-    function get_ElapsedTicks () {
-      return this.get_ElapsedMilliseconds() * 10000;
+  $.Method({Static:true , Public:true }, "Match", 
+    (new JSIL.MethodSignature(tMatch, [$.String, $.String], [])), 
+    function Match (input, pattern) {
+      checkInput(input);
+      return construct(pattern, System.Text.RegularExpressions.RegexOptions.None).$Run(input, 0, 0);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_IsRunning", 
-    (new JSIL.MethodSignature($.Boolean, [], [])), 
-    function get_IsRunning () {
-      return this.isRunning;
+  $.Method({Static:true , Public:true }, "Match", 
+    (new JSIL.MethodSignature(tMatch, [$.String, $.String, tRegexOptions], [])), 
+    function Match (input, pattern, options) {
+      checkInput(input);
+      return construct(pattern, options).$Run(input, 0, 0);
     }
   );
 
-  $.Method({Static:false, Public:true }, "Reset", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function Reset () {
-      this.elapsed = 0;
-      this.isRunning = false;
-      this.startedWhen = 0;
+  $.Method({Static:false, Public:true }, "Matches", 
+    (new JSIL.MethodSignature(tMatchCollection, [$.String], [])), 
+    function Matches (input) {
+      checkInput(input);
+      return matches(this, input, 0);
     }
   );
 
-  $.Method({Static:false, Public:true }, "Restart", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function Restart () {
-      this.elapsed = 0;
-      this.isRunning = true;
-      this.startedWhen = Date.now();
+  $.Method({Static:false, Public:true }, "Matches", 
+    (new JSIL.MethodSignature(tMatchCollection, [$.String, $.Int32], [])), 
+    function Matches (input, startat) {
+      checkInput(input);
+      checkStart(input, startat);
+      return matches(this, input, startat);
     }
   );
 
-  $.Method({Static:false, Public:true }, "Start", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function Start () {
-      if (!this.isRunning) {
-        this.startedWhen = Date.now();
-        this.isRunning = true;
-      }
+  $.Method({Static:true , Public:true }, "Matches", 
+    (new JSIL.MethodSignature(tMatchCollection, [$.String, $.String], [])), 
+    function Matches (input, pattern) {
+      checkInput(input);
+      return matches(construct(pattern, System.Text.RegularExpressions.RegexOptions.None), input, 0);
     }
   );
 
-  $.Method({Static:true , Public:true }, "StartNew", 
-    (new JSIL.MethodSignature($.Type, [], [])), 
-    function StartNew () {
-      var result = new System.Diagnostics.Stopwatch();
-      result.Start();
-      return result;
+  $.Method({Static:true , Public:true }, "Matches", 
+    (new JSIL.MethodSignature(tMatchCollection, [$.String, $.String, tRegexOptions], [])), 
+    function Matches (input, pattern, options) {
+      checkInput(input);
+      return matches(construct(pattern, options), input, 0);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Replace", 
+    (new JSIL.MethodSignature($.String, [$.String, $.String], [])), 
+    function Replace (input, replacement) {
+      return replace(this, input, parseReplacement(this, replacement), -1, 0);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Replace", 
+    (new JSIL.MethodSignature($.String, [$.String, $.String, $.Int32], [])), 
+    function Replace (input, replacement, count) {
+      return replace(this, input, parseReplacement(this, replacement), count, 0);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Replace", 
+    (new JSIL.MethodSignature($.String, [$.String, $.String, $.Int32, $.Int32], [])), 
+    function Replace (input, replacement, count, startat) {
+      return replace(this, input, parseReplacement(this, replacement), count, startat);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Replace", 
+    (new JSIL.MethodSignature($.String, [$.String, tMatchEvaluator], [])), 
+    function Replace (input, evaluator) {
+      if (evaluator === null)
+        throw new System.ArgumentNullException("evaluator");
+
+      return replace(this, input, evaluator, -1, 0);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Replace", 
+    (new JSIL.MethodSignature($.String, [$.String, tMatchEvaluator, $.Int32], [])), 
+    function Replace (input, evaluator, count) {
+      if (evaluator === null)
+        throw new System.ArgumentNullException("evaluator");
+
+      return replace(this, input, evaluator, count, 0);
     }
   );
 
-  $.Method({Static:false, Public:true }, "Stop", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function Stop () {
-      if (this.isRunning) {
-        this.isRunning = false;
+  $.Method({Static:false, Public:true }, "Replace", 
+    (new JSIL.MethodSignature($.String, [$.String, tMatchEvaluator, $.Int32, $.Int32], [])), 
+    function Replace (input, evaluator, count, startat) {
+      if (evaluator === null)
+        throw new System.ArgumentNullException("evaluator");
 
-        var now = Date.now();
-        var elapsed = now - this.startedWhen;
+      return replace(this, input, evaluator, count, startat);
+    }
+  );
 
-        this.elapsed += elapsed;
-        if (this.elapsed < 0)
-          this.elapsed = 0;
-      }
+  $.Method({Static:true , Public:true }, "Replace", 
+    (new JSIL.MethodSignature($.String, [$.String, $.String, $.String], [])), 
+    function Replace (input, pattern, replacement) {
+      var regex = construct(pattern, System.Text.RegularExpressions.RegexOptions.None);
+      return replace(regex, input, parseReplacement(regex, replacement), -1, 0);
     }
   );
 
-});
+  $.Method({Static:true , Public:true }, "Replace", 
+    (new JSIL.MethodSignature($.String, [$.String, $.String, $.String, tRegexOptions], [])), 
+    function Replace (input, pattern, replacement, options) {
+      var regex = construct(pattern, options);
+      return replace(regex, input, parseReplacement(regex, replacement), -1, 0);
+    }
+  );
 
-JSIL.ImplementExternals("System.Text.RegularExpressions.Regex", function ($) {
-  var system = JSIL.GetAssembly("System", true);
+  $.Method({Static:true , Public:true }, "Replace", 
+    (new JSIL.MethodSignature($.String, [$.String, $.String, tMatchEvaluator], [])), 
+    function Replace (input, pattern, evaluator) {
+      if (evaluator === null)
+        throw new System.ArgumentNullException("evaluator");
 
-  var makeRegex = function (pattern, options) {
-    if ((options & System.Text.RegularExpressions.RegexOptions.ECMAScript) === 0) {
-      throw new Error("Non-ECMAScript regexes are not currently supported.");
+      return replace(construct(pattern, System.Text.RegularExpressions.RegexOptions.None), input, evaluator, -1, 0);
     }
+  );
 
-    var flags = "g";
+  $.Method({Static:true , Public:true }, "Replace", 
+    (new JSIL.MethodSignature($.String, [$.String, $.String, tMatchEvaluator, tRegexOptions], [])), 
+    function Replace (input, pattern, evaluator, options) {
+      if (evaluator === null)
+        throw new System.ArgumentNullException("evaluator");
 
-    if ((options & System.Text.RegularExpressions.RegexOptions.IgnoreCase) !== 0) {
-      flags += "i";
+      return replace(construct(pattern, options), input, evaluator, -1, 0);
     }
+  );
 
-    if ((options & System.Text.RegularExpressions.RegexOptions.Multiline) !== 0) {
-      flags += "m";
+  $.Method({Static:false, Public:true }, "Split", 
+    (new JSIL.MethodSignature(tStringArray, [$.String], [])), 
+    function Split (input) {
+      return split(this, input, 0, 0);
     }
+  );
 
-    return new RegExp(pattern, flags);
-  };
-
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$.String], [])), 
-    function _ctor (pattern) {
-      this._regex = makeRegex(pattern, System.Text.RegularExpressions.RegexOptions.None);
+  $.Method({Static:false, Public:true }, "Split", 
+    (new JSIL.MethodSignature(tStringArray, [$.String, $.Int32], [])), 
+    function Split (input, count) {
+      return split(this, input, count, 0);
     }
   );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$.String, system.TypeRef("System.Text.RegularExpressions.RegexOptions")], [])), 
-    function _ctor (pattern, options) {
-      this._regex = makeRegex(pattern, options);
+  $.Method({Static:false, Public:true }, "Split", 
+    (new JSIL.MethodSignature(tStringArray, [$.String, $.Int32, $.Int32], [])), 
+    function Split (input, count, startat) {
+      return split(this, input, count, startat);
     }
   );
 
-  $.Method({Static:false, Public:true }, "Matches", 
-    (new JSIL.MethodSignature(system.TypeRef("System.Text.RegularExpressions.MatchCollection"), [$.String], [])), 
-    function Matches (input) {
-      var matches = input.match(this._regex);
+  $.Method({Static:true , Public:true }, "Split", 
+    (new JSIL.MethodSignature(tStringArray, [$.String, $.String], [])), 
+    function Split (input, pattern) {
+      return split(construct(pattern, System.Text.RegularExpressions.RegexOptions.None), input, 0, 0);
+    }
+  );
 
-      var matchObjects = [];
-      var tMatch = System.Text.RegularExpressions.Match.__Type__;
+  $.Method({Static:true , Public:true }, "Split", 
+    (new JSIL.MethodSignature(tStringArray, [$.String, $.String, tRegexOptions], [])), 
+    function Split (input, pattern, options) {
+      return split(construct(pattern, options), input, 0, 0);
+    }
+  );
 
-      if (JSIL.IsArray(matches)) {
-        for (var i = 0; i < matches.length; i++) {
-          matchObjects.push(
-            JSIL.CreateInstanceOfType(
-              tMatch, "$internalCtor", [matches[i]]
-            )
-          );
+  $.Method({Static:true , Public:true }, "Escape", 
+    (new JSIL.MethodSignature($.String, [$.String], [])), 
+    function Escape (str) {
+      if (str === null)
+        throw new System.ArgumentNullException("str");
+
+      return str.replace(/[\\*+?|{\[()^$.# \t\n\r\f]/g, function (ch) {
+        switch (ch) {
+          case "\t": return "\\t";
+          case "\n": return "\\n";
+          case "\r": return "\\r";
+          case "\f": return "\\f";
+          default: return "\\" + ch;
         }
-      }
-
-      var result = JSIL.CreateInstanceOfType(
-        System.Text.RegularExpressions.MatchCollection.__Type__,
-        "$internalCtor", [matchObjects]
-      );
-
-      return result;
+      });
     }
   );
 
-  $.Method({Static:true , Public:true }, "Replace", 
-    (new JSIL.MethodSignature($.String, [
-          $.String, $.String, 
-          $.String, system.TypeRef("System.Text.RegularExpressions.RegexOptions")
-        ], [])), 
-    function Replace (input, pattern, replacement, options) {
-      var re = makeRegex(pattern, options);
+  $.Method({Static:true , Public:true }, "Unescape", 
+    (new JSIL.MethodSignature($.String, [$.String], [])), 
+    function Unescape (str) {
+      if (str === null)
+        throw new System.ArgumentNullException("str");
+
+      return str.replace(/\\(?:x([0-9A-Fa-f]{2})|u([0-9A-Fa-f]{4})|([\s\S]))/g, function (escape, hex2, hex4, ch) {
+        if (hex2 || hex4)
+          return String.fromCharCode(parseInt(hex2 || hex4, 16));
+
+        switch (ch) {
+          case "t": return "\t";
+          case "n": return "\n";
+          case "r": return "\r";
+          case "f": return "\f";
+          case "v": return "\v";
+          case "a": return "\x07";
+          case "e": return "\x1B";
+          default: return ch;
+        }
+      });
+    }
+  );
 
-      return input.replace(re, replacement);
+  $.Method({Static:false, Public:true }, "toString", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function toString () {
+      return this._pattern;
     }
   );
 });
@@ -3476,6 +13056,9 @@ JSIL.ImplementExternals("System.Text.RegularExpressions.MatchCollection", functi
   $.Method({Static:false, Public:true }, "get_Item", 
     (new JSIL.MethodSignature(system.TypeRef("System.Text.RegularExpressions.Match"), [$.Int32], [])), 
     function get_Item (i) {
+      if ((i < 0) || (i >= this._matches.length))
+        throw new System.ArgumentOutOfRangeException("i");
+
       return this._matches[i];
     }
   );
@@ -3490,12 +13073,114 @@ JSIL.ImplementExternals("System.Text.RegularExpressions.MatchCollection", functi
   $.Method({Static:false, Public:true }, "GetEnumerator", 
     (new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.IEnumerator"), [], [])), 
     function GetEnumerator () {
-      return new tEnumerator(this._matches);
+      return new tEnumerator(this._matches, -1);
+    }
+  );
+});
+
+JSIL.ImplementExternals("System.Text.RegularExpressions.GroupCollection", function ($) {
+  var system = JSIL.GetAssembly("System", true);
+  var mscorlib = JSIL.GetCorlib();
+  var tGroup = system.TypeRef("System.Text.RegularExpressions.Group");
+  var tEnumerator = JSIL.ArrayEnumerator.Of(System.Text.RegularExpressions.Group);
+
+  $.RawMethod(false, "$internalCtor", function (groups, names, numbers) {
+    this._groups = groups;
+    this._names = names;
+    this._numbers = numbers;
+  });
+
+  $.RawMethod(false, "$GetEmptyGroup", function GetEmptyGroup () {
+    return JSIL.CreateInstanceOfType(
+      System.Text.RegularExpressions.Group.__Type__,
+      "$internalCtor", ["", false, 0, ""]
+    );
+  });
+
+  $.Method({Static:false, Public:true }, "get_Count", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_Count () {
+      return this._groups.length;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Item", 
+    (new JSIL.MethodSignature(tGroup, [$.Int32], [])), 
+    function get_Item (groupnum) {
+      var index = this._numbers.indexOf(groupnum);
+      if (index < 0)
+        return this.$GetEmptyGroup();
+
+      return this._groups[index];
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Item", 
+    (new JSIL.MethodSignature(tGroup, [$.String], [])), 
+    function get_Item (groupname) {
+      var index = this._names.indexOf(groupname);
+      if (index < 0)
+        return this.$GetEmptyGroup();
+
+      return this._groups[index];
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetEnumerator", 
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.IEnumerator"), [], [])), 
+    function GetEnumerator () {
+      return new tEnumerator(this._groups, -1);
+    }
+  );
+});
+
+JSIL.ImplementExternals("System.Text.RegularExpressions.CaptureCollection", function ($) {
+  var system = JSIL.GetAssembly("System", true);
+  var mscorlib = JSIL.GetCorlib();
+  var tEnumerator = JSIL.ArrayEnumerator.Of(System.Text.RegularExpressions.Capture);
+
+  $.RawMethod(false, "$internalCtor", function (captures) {
+    this._captures = captures;
+  });
+
+  $.Method({Static:false, Public:true }, "get_Count", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_Count () {
+      return this._captures.length;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Item", 
+    (new JSIL.MethodSignature(system.TypeRef("System.Text.RegularExpressions.Capture"), [$.Int32], [])), 
+    function get_Item (i) {
+      if ((i < 0) || (i >= this._captures.length))
+        throw new System.ArgumentOutOfRangeException("i");
+
+      return this._captures[i];
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetEnumerator", 
+    (new JSIL.MethodSignature(mscorlib.TypeRef("System.Collections.IEnumerator"), [], [])), 
+    function GetEnumerator () {
+      return new tEnumerator(this._captures, -1);
     }
   );
 });
 
 JSIL.ImplementExternals("System.Text.RegularExpressions.Capture", function ($) {
+  $.RawMethod(false, "$internalCtor", function (index, text) {
+    this._index = index;
+    this._text = text;
+    this._length = text.length;
+  });
+
+  $.Method({Static:false, Public:true }, "get_Index", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_Index () {
+      return this._index;
+    }
+  );
 
   $.Method({Static:false, Public:true }, "get_Length", 
     (new JSIL.MethodSignature($.Int32, [], [])), 
@@ -3519,19 +13204,270 @@ JSIL.ImplementExternals("System.Text.RegularExpressions.Capture", function ($) {
   );
 });
 
-JSIL.ImplementExternals("System.Text.RegularExpressions.Match", function ($) {
-  $.RawMethod(false, "$internalCtor", function (text) {
+JSIL.ImplementExternals("System.Text.RegularExpressions.Group", function ($) {
+  var system = JSIL.GetAssembly("System", true);
+
+  // If captures is omitted a successful group has a single capture. It is null if the group sits inside a
+  //  repeating quantifier, since ECMAScript only reports the last capture of such a group.
+  $.RawMethod(false, "$internalCtor", function (name, success, index, text, captures) {
+    this._name = name;
+    this._success = success;
+    this._index = index;
     this._text = text;
     this._length = text.length;
+
+    if (typeof (captures) !== "undefined")
+      this._captures = captures;
+  });
+
+  $.Method({Static:false, Public:true }, "get_Captures", 
+    (new JSIL.MethodSignature(system.TypeRef("System.Text.RegularExpressions.CaptureCollection"), [], [])), 
+    function get_Captures () {
+      var captures = this._captures;
+
+      if (captures === null)
+        throw new System.NotSupportedException("Captures of a group inside a repeating quantifier are not supported.");
+      else if (!captures)
+        captures = this._success ? [this] : [];
+
+      return JSIL.CreateInstanceOfType(
+        System.Text.RegularExpressions.CaptureCollection.__Type__,
+        "$internalCtor", [captures]
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Name", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function get_Name () {
+      return this._name;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Success", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_Success () {
+      return this._success;
+    }
+  );
+});
+
+JSIL.ImplementExternals("System.Text.RegularExpressions.Match", function ($) {
+  var system = JSIL.GetAssembly("System", true);
+  var tMatch = system.TypeRef("System.Text.RegularExpressions.Match");
+
+  $.RawMethod(false, "$internalCtor", function (regex, input, offset, jsMatch) {
+    this._regex = regex;
+    this._input = input;
+    this._offset = offset;
+    this._jsMatch = jsMatch;
+    this._groups = null;
+    this._name = "0";
+
+    if (jsMatch !== null) {
+      this._success = true;
+      this._index = jsMatch.index + offset;
+      this._text = jsMatch[0];
+    } else {
+      this._success = false;
+      this._index = 0;
+      this._text = "";
+    }
+
+    this._length = this._text.length;
   });
+
+  $.Method({Static:true , Public:true }, "get_Empty", 
+    (new JSIL.MethodSignature(tMatch, [], [])), 
+    function get_Empty () {
+      return JSIL.CreateInstanceOfType(
+        System.Text.RegularExpressions.Match.__Type__,
+        "$internalCtor", [null, "", 0, null]
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Groups", 
+    (new JSIL.MethodSignature(system.TypeRef("System.Text.RegularExpressions.GroupCollection"), [], [])), 
+    function get_Groups () {
+      if (this._groups !== null)
+        return this._groups;
+
+      var groups = [this];
+      var translation = (this._regex !== null) ? this._regex._translation : null;
+      var names = translation ? translation.names : ["0"];
+      var numbers = translation ? translation.numbers : [0];
+      var jsMatch = this._jsMatch;
+
+      for (var i = 1; i < numbers.length; i++) {
+        var indices = translation.groupIndices[numbers[i]];
+        var success = false, index = 0, text = "";
+        var captures = [];
+
+        // When several groups share a name, each one that participated in the match is a capture and the last one wins.
+        for (var j = 0; (j < indices.length) && (jsMatch !== null); j++) {
+          var captured = jsMatch[indices[j]];
+          if (typeof (captured) !== "string")
+            continue;
+
+          success = true;
+          text = captured;
+
+          if (jsMatch.indices)
+            index = jsMatch.indices[indices[j]][0] + this._offset;
+          else
+            index = this._index + Math.max(jsMatch[0].indexOf(captured), 0);
+
+          captures.push(JSIL.CreateInstanceOfType(
+            System.Text.RegularExpressions.Capture.__Type__,
+            "$internalCtor", [index, text]
+          ));
+        }
+
+        if (success && translation.repeatedGroups[numbers[i]])
+          captures = null;
+
+        var group = JSIL.CreateInstanceOfType(
+          System.Text.RegularExpressions.Group.__Type__,
+          "$internalCtor", [names[i], success, index, text, captures]
+        );
+
+        // Like .NET, the last capture of a group is the group itself.
+        if ((captures !== null) && (captures.length > 0))
+          captures[captures.length - 1] = group;
+
+        groups.push(group);
+      }
+
+      return this._groups = JSIL.CreateInstanceOfType(
+        System.Text.RegularExpressions.GroupCollection.__Type__,
+        "$internalCtor", [groups, names, numbers]
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "NextMatch", 
+    (new JSIL.MethodSignature(tMatch, [], [])), 
+    function NextMatch () {
+      if (!this._success)
+        return this;
+
+      // After an empty match the search resumes one character later, so it can't match there again.
+      var next = this._index - this._offset + this._length;
+      if (this._length === 0)
+        next += 1;
+
+      return this._regex.$Run(this._input, next, this._offset);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Result", 
+    (new JSIL.MethodSignature($.String, [$.String], [])), 
+    function Result (replacement) {
+      if (replacement === null)
+        throw new System.ArgumentNullException("replacement");
+      if (this._regex === null)
+        throw new System.NotSupportedException("Result cannot be called on a failed Match.");
+
+      return this._regex.$ParseReplacement(replacement)(this);
+    }
+  );
 });
 
+$jsilcore.$ResourceSets = {};
+
+// Makes a set of resources available to System.Resources.ResourceManager. The translator emits a call
+//  for every .resources file embedded in an assembly or its satellite assemblies, and the browser
+//  host does the same for JSON files listed in the manifest as "Resources" assets.
+// The invariant (neutral) resources use the empty string as their culture name.
+JSIL.DeclareResources = function (baseName, cultureName, resources) {
+  var resourceSets = $jsilcore.$ResourceSets[baseName];
+  if (!resourceSets)
+    resourceSets = $jsilcore.$ResourceSets[baseName] = {};
+
+  resourceSets[cultureName.toLowerCase()] = resources;
+};
+
 JSIL.ImplementExternals("System.Resources.ResourceManager", function ($) {
+  var mscorlib = JSIL.GetCorlib();
+
+  var initialize = function (resourceManager, baseName) {
+    if (baseName === null)
+      throw new System.ArgumentNullException("baseName");
+
+    resourceManager._baseName = baseName;
+    resourceManager._ignoreCase = false;
+  };
+
+  var findResource = function (resources, name, ignoreCase) {
+    if (resources.hasOwnProperty(name))
+      return { value: resources[name] };
+
+    if (ignoreCase) {
+      var lowerName = name.toLowerCase();
+
+      for (var key in resources) {
+        if (resources.hasOwnProperty(key) && (key.toLowerCase() === lowerName))
+          return { value: resources[key] };
+      }
+    }
+
+    return null;
+  };
+
+  // Looks the resource up in the given culture, then in each of its parents and finally in the
+  //  neutral resources, like the resource fallback process of .NET.
+  var getObject = function (resourceManager, name, culture) {
+    if (name === null)
+      throw new System.ArgumentNullException("name");
+
+    var baseName = resourceManager._baseName;
+    var resourceSets = $jsilcore.$ResourceSets[baseName] || {};
+
+    if ((culture === null) || (typeof (culture) === "undefined"))
+      culture = System.Globalization.CultureInfo.get_CurrentUICulture();
+
+    while (true) {
+      var cultureName = culture.get_Name();
+      var resources = resourceSets[cultureName.toLowerCase()];
+
+      if (resources) {
+        var result = findResource(resources, name, resourceManager._ignoreCase);
+        if (result !== null)
+          return result.value;
+      }
+
+      if (cultureName === "")
+        break;
+
+      culture = culture.get_Parent();
+    }
+
+    // Like .NET, a name missing from every culture is only an error if there are no neutral resources.
+    if (resourceSets.hasOwnProperty(""))
+      return null;
+
+    throw new System.Resources.MissingManifestResourceException(
+      "Could not find any resources appropriate for the specified culture or the neutral culture. " +
+      "Make sure \"" + baseName + ".resources\" was correctly embedded or linked into the assembly at compile time, " +
+      "or that all the satellite assemblies required are loadable."
+    );
+  };
+
+  var getString = function (resourceManager, name, culture) {
+    var result = getObject(resourceManager, name, culture);
+
+    if ((result !== null) && (typeof (result) !== "string"))
+      throw new System.InvalidOperationException("Resource '" + name + "' was not a String - call GetObject instead.");
+
+    return result;
+  };
 
   $.Method({Static:false, Public:false}, ".ctor", 
     (new JSIL.MethodSignature(null, [], [])), 
     function _ctor () {
-      // FIXME
+      this._baseName = null;
+      this._ignoreCase = false;
     }
   );
 
@@ -3541,30 +13477,83 @@ JSIL.ImplementExternals("System.Resources.ResourceManager", function ($) {
           $jsilcore.TypeRef("System.Type")
         ], [])), 
     function _ctor (baseName, resourceDir, usingResourceSet) {
-      // FIXME
+      initialize(this, baseName);
     }
   );
 
   $.Method({Static:false, Public:true }, ".ctor", 
     (new JSIL.MethodSignature(null, [$.String, $jsilcore.TypeRef("System.Reflection.Assembly")], [])), 
     function _ctor (baseName, assembly) {
-      // FIXME
+      initialize(this, baseName);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $.String, $jsilcore.TypeRef("System.Reflection.Assembly"), 
+          $jsilcore.TypeRef("System.Type")
+        ], [])), 
+    function _ctor (baseName, assembly, usingResourceSet) {
+      initialize(this, baseName);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Type")], [])), 
+    function _ctor (resourceSource) {
+      if (resourceSource === null)
+        throw new System.ArgumentNullException("resourceSource");
+
+      initialize(this, resourceSource.__FullName__);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_BaseName", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function get_BaseName () {
+      return this._baseName;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_IgnoreCase", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_IgnoreCase () {
+      return this._ignoreCase;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "set_IgnoreCase", 
+    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
+    function set_IgnoreCase (value) {
+      this._ignoreCase = value;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetObject", 
+    (new JSIL.MethodSignature($.Object, [$.String], [])), 
+    function GetObject (name) {
+      return getObject(this, name, null);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetObject", 
+    (new JSIL.MethodSignature($.Object, [$.String, $jsilcore.TypeRef("System.Globalization.CultureInfo")], [])), 
+    function GetObject (name, culture) {
+      return getObject(this, name, culture);
     }
   );
 
   $.Method({Static:false, Public:true }, "GetString", 
     (new JSIL.MethodSignature($.String, [$.String], [])), 
     function GetString (name) {
-      // FIXME
-      return name;
+      return getString(this, name, null);
     }
   );
 
   $.Method({Static:false, Public:true }, "GetString", 
     (new JSIL.MethodSignature($.String, [$.String, $jsilcore.TypeRef("System.Globalization.CultureInfo")], [])), 
     function GetString (name, culture) {
-      // FIXME
-      return name;
+      return getString(this, name, culture);
     }
   );
 
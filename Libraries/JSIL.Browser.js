@@ -69,6 +69,22 @@ JSIL.Host.translateFilename = function (filename) {
 JSIL.Host.doesFileExist = function (filename) {
   return allFiles.hasOwnProperty(JSIL.Host.translateFilename(filename));
 }
+JSIL.Host.doesDirectoryExist = function (path) {
+  var prefix = JSIL.Host.translateFilename(path) + "/";
+  var tables = [allFiles, allContentFiles];
+
+  for (var i = 0; i < tables.length; i++) {
+    for (var key in tables[i]) {
+      if (tables[i].hasOwnProperty(key) && (key.indexOf(prefix) === 0))
+        return true;
+    }
+  }
+
+  return false;
+};
+JSIL.Host.getFileNames = function () {
+  return Object.keys(allFiles).concat(Object.keys(allContentFiles));
+};
 JSIL.Host.getFile = function (filename) {
   if (!JSIL.Host.doesFileExist(filename))
     throw new System.Exception("The file '" + filename + "' is not in the asset manifest.");
@@ -181,6 +197,7 @@ if (statsElement !== null) {
 
 var allFiles = {};
 var allAssets = {};
+var allContentFiles = {};
 var heldKeys = [];
 var heldButtons = [];
 var mousePosition = [0, 0];
@@ -517,6 +534,19 @@ var assetLoaders = {
       }
     });
   },
+  "Resources": function loadResources (filename, data, onError, onDoneLoading) {
+    loadTextAsync(fileRoot + filename, function (result, error) {
+      if (result !== null) {
+        var finisher = function () {
+          var resources = JSON.parse(result);
+          JSIL.DeclareResources(resources.BaseName, resources.Culture || "", resources.Resources);
+        };
+        onDoneLoading(finisher);
+      } else {
+        onError(error);
+      }
+    });
+  },
   "SoundBank": function loadSoundBank (filename, data, onError, onDoneLoading) {
     loadTextAsync(contentRoot + filename, function (result, error) {
       if (result !== null) {
@@ -794,6 +824,10 @@ function finishLoading () {
   }
 };
 
+var nonContentAssetTypes = {
+  "Library": true, "Script": true, "File": true, "Resources": true
+};
+
 function pollAssetQueue () {      
   var state = this;
 
@@ -843,6 +877,10 @@ function pollAssetQueue () {
       if (assetData !== null)
         sizeBytes = assetData.sizeBytes || 1;
 
+      // Content files are remembered so that the application can enumerate them with System.IO.Directory.
+      if (!nonContentAssetTypes.hasOwnProperty(assetType))
+        allContentFiles[JSIL.Host.translateFilename(contentRoot + assetPath)] = true;
+
       var stepCallback = makeStepCallback(state, assetType, sizeBytes, state.loadIndex); 
       var errorCallback = makeErrorCallback(assetPath, assetSpec);    
       
@@ -5119,6 +5119,7 @@ JSIL.MakeClass("System.Object", "System.Array", true, [], function ($) {
       compositeTypeObject.__FullName__ = compositeTypeObject.__FullNameWithoutArguments__ = typeName;
       compositeTypeObject.__IsReferenceType__ = true;
       compositeTypeObject.__IsArray__ = true;
+      compositeTypeObject.__ElementType__ = elementTypeObject;
 
       JSIL.SetValueProperty(compositePublicInterface, "CheckType", checkType);
       JSIL.SetValueProperty(compositeTypeObject, "toString", function ArrayType_ToString () {
@@ -5147,6 +5148,8 @@ JSIL.MakeClass("System.Object", "System.Array", true, [], function ($) {
 JSIL.DefaultValueInternal = function (typeObject, typePublicInterface) {
   if (typeObject.__FullName__ === "System.Char") {
     return "\0";
+  } else if ((typeObject.__FullName__ === "System.Int64") || (typeObject.__FullName__ === "System.UInt64")) {
+    return typePublicInterface.FromBits(0, 0);
   } else if (typeObject.__IsReferenceType__) {
     return null;
   } else if (typeObject.__IsNumeric__) {
@@ -5547,6 +5550,9 @@ JSIL.ObjectEquals = function (lhs, rhs) {
 };
 
 JSIL.CompareValues = function (lhs, rhs) {
+  if ((typeof (lhs) === "object") && (lhs !== null) && (typeof (lhs.CompareTo) === "function"))
+    return lhs.CompareTo(rhs);
+
   if (lhs > rhs)
     return 1;
   else if (lhs < rhs)
@@ -5,594 +5,3744 @@ if (typeof (JSIL) === "undefined")
   
 JSIL.DeclareAssembly("JSIL.IO");
 
+// Text that is read or written without an explicit encoding is UTF-8 without a byte order mark.
+var $utf8NoBOM = null;
+
+var $getUTF8NoBOM = function () {
+  if ($utf8NoBOM === null)
+    $utf8NoBOM = new System.Text.UTF8Encoding(false);
+
+  return $utf8NoBOM;
+};
+
+// Files written by the application are kept by a pluggable storage backend; files that are not in the
+//  storage are read from the host's asset manifest, which is read-only.
+// Replace the default in-memory storage with JSIL.FileSystem.setStorage to persist files. A storage
+//  backend implements:
+//   fileExists(path) -> true if the file is stored
+//   readFile(path) -> the file's bytes, or null if it is not stored
+//   writeFile(path, bytes) creates or replaces the file
+//   deleteFile(path)
+//   getFileNames() -> the paths of every stored file
+//   directoryExists(path) -> true if the directory is stored or a stored file or directory is inside it
+//   createDirectory(path) stores a single directory; its parents are created by separate calls
+//   deleteDirectory(path) removes a single, empty directory
+//   getDirectoryNames() -> the paths of every stored directory
+// Only directories that were created explicitly need to be stored; any directory containing a file exists
+//  implicitly. Paths are normalized by JSIL.FileSystem.normalizePath before they reach the backend, and
+//  like the .NET file system on Windows they are not case sensitive.
+JSIL.DeclareNamespace("JSIL");
+JSIL.DeclareNamespace("JSIL.FileSystem", false);
+
+JSIL.FileSystem.normalizePath = function (path) {
+  var parts = String(path).replace(/^[A-Za-z]:/, "").replace(/\\/g, "/").split("/");
+  var result = [];
+
+  for (var i = 0; i < parts.length; i++) {
+    var part = parts[i];
+
+    if ((part === "") || (part === "."))
+      continue;
+    else if (part === "..")
+      result.pop();
+    else
+      result.push(part);
+  }
+
+  return result.join("/");
+};
+
+// Stores files in memory for the lifetime of the page. Like the .NET file system on Windows, paths are
+//  not case sensitive.
+JSIL.FileSystem.MemoryStorage = function () {
+  this.files = {};
+  this.directories = {};
+};
+
+JSIL.FileSystem.MemoryStorage.prototype.fileExists = function (path) {
+  return this.files.hasOwnProperty(path.toLowerCase());
+};
+
+JSIL.FileSystem.MemoryStorage.prototype.readFile = function (path) {
+  var key = path.toLowerCase();
+  if (!this.files.hasOwnProperty(key))
+    return null;
+
+  return this.files[key].data;
+};
+
+JSIL.FileSystem.MemoryStorage.prototype.writeFile = function (path, bytes) {
+  this.files[path.toLowerCase()] = { path: path, data: bytes };
+};
+
+JSIL.FileSystem.MemoryStorage.prototype.deleteFile = function (path) {
+  delete this.files[path.toLowerCase()];
+};
+
+JSIL.FileSystem.MemoryStorage.prototype.getFileNames = function () {
+  var result = [];
+
+  for (var key in this.files) {
+    if (this.files.hasOwnProperty(key))
+      result.push(this.files[key].path);
+  }
+
+  return result;
+};
+
+JSIL.FileSystem.MemoryStorage.prototype.directoryExists = function (path) {
+  var key = path.toLowerCase();
+  if (this.directories.hasOwnProperty(key))
+    return true;
+
+  var prefix = key + "/";
+  var tables = [this.files, this.directories];
+
+  for (var i = 0; i < tables.length; i++) {
+    for (var k in tables[i]) {
+      if (tables[i].hasOwnProperty(k) && (k.indexOf(prefix) === 0))
+        return true;
+    }
+  }
+
+  return false;
+};
+
+JSIL.FileSystem.MemoryStorage.prototype.createDirectory = function (path) {
+  this.directories[path.toLowerCase()] = path;
+};
+
+JSIL.FileSystem.MemoryStorage.prototype.deleteDirectory = function (path) {
+  delete this.directories[path.toLowerCase()];
+};
+
+JSIL.FileSystem.MemoryStorage.prototype.getDirectoryNames = function () {
+  var result = [];
+
+  for (var key in this.directories) {
+    if (this.directories.hasOwnProperty(key))
+      result.push(this.directories[key]);
+  }
+
+  return result;
+};
+
+// Persists files in a DOM Storage object (window.localStorage by default), as binary strings under
+//  keys that start with the given prefix.
+JSIL.FileSystem.LocalStorage = function (prefix, storage) {
+  this.prefix = (prefix || "JSIL") + ":";
+  this.storage = storage || window.localStorage;
+};
+
+JSIL.FileSystem.LocalStorage.prototype.getKey = function (kind, path) {
+  return this.prefix + kind + ":" + path.toLowerCase();
+};
+
+// Returns the stored paths of the items of the given kind.
+JSIL.FileSystem.LocalStorage.prototype.getNames = function (kind) {
+  var keyPrefix = this.prefix + kind + ":";
+  var result = [];
+
+  for (var i = 0, l = this.storage.length; i < l; i++) {
+    var key = this.storage.key(i);
+
+    if (key.indexOf(keyPrefix) === 0)
+      result.push(JSON.parse(this.storage.getItem(key)).path);
+  }
+
+  return result;
+};
+
+JSIL.FileSystem.LocalStorage.prototype.fileExists = function (path) {
+  return this.storage.getItem(this.getKey("file", path)) !== null;
+};
+
+JSIL.FileSystem.LocalStorage.prototype.readFile = function (path) {
+  var item = this.storage.getItem(this.getKey("file", path));
+  if (item === null)
+    return null;
+
+  var data = JSON.parse(item).data;
+  var result = new Array(data.length);
+
+  for (var i = 0; i < data.length; i++)
+    result[i] = data.charCodeAt(i);
+
+  return result;
+};
+
+JSIL.FileSystem.LocalStorage.prototype.writeFile = function (path, bytes) {
+  var data = [];
+
+  // Building the string in chunks avoids exceeding the argument limit of apply.
+  for (var i = 0; i < bytes.length; i += 4096)
+    data.push(String.fromCharCode.apply(String, Array.prototype.slice.call(bytes, i, i + 4096)));
+
+  this.storage.setItem(this.getKey("file", path), JSON.stringify({ path: path, data: data.join("") }));
+};
+
+JSIL.FileSystem.LocalStorage.prototype.deleteFile = function (path) {
+  this.storage.removeItem(this.getKey("file", path));
+};
+
+JSIL.FileSystem.LocalStorage.prototype.getFileNames = function () {
+  return this.getNames("file");
+};
+
+JSIL.FileSystem.LocalStorage.prototype.directoryExists = function (path) {
+  if (this.storage.getItem(this.getKey("directory", path)) !== null)
+    return true;
+
+  var filePrefix = this.getKey("file", path) + "/";
+  var directoryPrefix = this.getKey("directory", path) + "/";
+
+  for (var i = 0, l = this.storage.length; i < l; i++) {
+    var key = this.storage.key(i);
+
+    if ((key.indexOf(filePrefix) === 0) || (key.indexOf(directoryPrefix) === 0))
+      return true;
+  }
+
+  return false;
+};
+
+JSIL.FileSystem.LocalStorage.prototype.createDirectory = function (path) {
+  this.storage.setItem(this.getKey("directory", path), JSON.stringify({ path: path }));
+};
+
+JSIL.FileSystem.LocalStorage.prototype.deleteDirectory = function (path) {
+  this.storage.removeItem(this.getKey("directory", path));
+};
+
+JSIL.FileSystem.LocalStorage.prototype.getDirectoryNames = function () {
+  return this.getNames("directory");
+};
+
+// Stores files in a directory of the local file system when running under node.
+JSIL.FileSystem.DirectoryStorage = function (rootPath) {
+  this.fs = require("fs");
+  this.path = require("path");
+  this.rootPath = this.path.resolve(rootPath);
+};
+
+// Paths are not case sensitive even if the local file system is, so each part of the path takes the
+//  casing of an existing file or directory when there is one.
+JSIL.FileSystem.DirectoryStorage.prototype.getLocalPath = function (path) {
+  var parts = path ? path.split("/") : [];
+  var localPath = this.rootPath;
+
+  for (var i = 0; i < parts.length; i++) {
+    var part = parts[i];
+
+    if (this.fs.existsSync(localPath) && this.fs.statSync(localPath).isDirectory()) {
+      var names = this.fs.readdirSync(localPath);
+
+      if (names.indexOf(part) < 0) {
+        for (var j = 0; j < names.length; j++) {
+          if (names[j].toLowerCase() === part.toLowerCase()) {
+            part = names[j];
+            break;
+          }
+        }
+      }
+    }
+
+    localPath = this.path.join(localPath, part);
+  }
+
+  return localPath;
+};
+
+// Returns the paths of every file (or directory) below the root directory.
+JSIL.FileSystem.DirectoryStorage.prototype.getNames = function (wantDirectories) {
+  var result = [];
+  var self = this;
+
+  var visit = function (path, localPath) {
+    if (!self.fs.existsSync(localPath))
+      return;
+
+    var names = self.fs.readdirSync(localPath);
+
+    for (var i = 0; i < names.length; i++) {
+      var childPath = path ? (path + "/" + names[i]) : names[i];
+      var childLocalPath = self.path.join(localPath, names[i]);
+      var isDirectory = self.fs.statSync(childLocalPath).isDirectory();
+
+      if (isDirectory === wantDirectories)
+        result.push(childPath);
+
+      if (isDirectory)
+        visit(childPath, childLocalPath);
+    }
+  };
+
+  visit("", this.rootPath);
+  return result;
+};
+
+JSIL.FileSystem.DirectoryStorage.prototype.fileExists = function (path) {
+  var localPath = this.getLocalPath(path);
+  return this.fs.existsSync(localPath) && this.fs.statSync(localPath).isFile();
+};
+
+JSIL.FileSystem.DirectoryStorage.prototype.readFile = function (path) {
+  if (!this.fileExists(path))
+    return null;
+
+  return Array.prototype.slice.call(this.fs.readFileSync(this.getLocalPath(path)));
+};
+
+JSIL.FileSystem.DirectoryStorage.prototype.writeFile = function (path, bytes) {
+  var localPath = this.getLocalPath(path);
+
+  this.fs.mkdirSync(this.path.dirname(localPath), { recursive: true });
+  this.fs.writeFileSync(localPath, Buffer.from(bytes));
+};
+
+JSIL.FileSystem.DirectoryStorage.prototype.deleteFile = function (path) {
+  if (this.fileExists(path))
+    this.fs.unlinkSync(this.getLocalPath(path));
+};
+
+JSIL.FileSystem.DirectoryStorage.prototype.getFileNames = function () {
+  return this.getNames(false);
+};
+
+JSIL.FileSystem.DirectoryStorage.prototype.directoryExists = function (path) {
+  var localPath = this.getLocalPath(path);
+  return this.fs.existsSync(localPath) && this.fs.statSync(localPath).isDirectory();
+};
+
+JSIL.FileSystem.DirectoryStorage.prototype.createDirectory = function (path) {
+  this.fs.mkdirSync(this.getLocalPath(path), { recursive: true });
+};
+
+JSIL.FileSystem.DirectoryStorage.prototype.deleteDirectory = function (path) {
+  if (this.directoryExists(path) && (path !== ""))
+    this.fs.rmdirSync(this.getLocalPath(path));
+};
+
+JSIL.FileSystem.DirectoryStorage.prototype.getDirectoryNames = function () {
+  return this.getNames(true);
+};
+
+JSIL.FileSystem.storage = new JSIL.FileSystem.MemoryStorage();
+
+JSIL.FileSystem.setStorage = function (storage) {
+  JSIL.FileSystem.storage = storage;
+};
+
+// Path.GetFullPath resolves relative paths against currentDirectory. The root of the file system is "\\";
+//  drive letters are accepted but all drives share the same storage.
+JSIL.FileSystem.currentDirectory = "\\";
+JSIL.FileSystem.tempDirectory = "\\Temp";
+
+JSIL.FileSystem.isInManifest = function (path) {
+  return (typeof (JSIL.Host.doesFileExist) === "function") && JSIL.Host.doesFileExist(path);
+};
+
+JSIL.FileSystem.isDirectoryInManifest = function (path) {
+  return (typeof (JSIL.Host.doesDirectoryExist) === "function") && JSIL.Host.doesDirectoryExist(path);
+};
+
+JSIL.FileSystem.getManifestFileNames = function () {
+  if (typeof (JSIL.Host.getFileNames) !== "function")
+    return [];
+
+  return JSIL.Host.getFileNames();
+};
+
+JSIL.FileSystem.fileExists = function (path) {
+  path = JSIL.FileSystem.normalizePath(path);
+
+  return JSIL.FileSystem.storage.fileExists(path) || JSIL.FileSystem.isInManifest(path);
+};
+
+// Returns a copy of the file's contents, or null if there is no such file.
+JSIL.FileSystem.readFile = function (path) {
+  path = JSIL.FileSystem.normalizePath(path);
+
+  var bytes = JSIL.FileSystem.storage.readFile(path);
+  if (bytes === null) {
+    if (!JSIL.FileSystem.isInManifest(path))
+      return null;
+
+    bytes = JSIL.Host.getFile(path);
+  }
+
+  return Array.prototype.slice.call(bytes);
+};
+
+// Like Windows, a file can only be written into a directory that already exists.
+JSIL.FileSystem.containingDirectoryExists = function (path) {
+  path = JSIL.FileSystem.normalizePath(path);
+
+  var separator = path.lastIndexOf("/");
+  return (separator < 0) || JSIL.FileSystem.directoryExists(path.substr(0, separator));
+};
+
+// Returns false if the file could not be written because the directory containing it does not exist.
+JSIL.FileSystem.writeFile = function (path, bytes) {
+  path = JSIL.FileSystem.normalizePath(path);
+
+  if (!JSIL.FileSystem.containingDirectoryExists(path))
+    return false;
+
+  JSIL.FileSystem.storage.writeFile(path, Array.prototype.slice.call(bytes));
+  return true;
+};
+
+// Returns false if the file could not be deleted because it only exists in the manifest.
+JSIL.FileSystem.deleteFile = function (path) {
+  path = JSIL.FileSystem.normalizePath(path);
+
+  if (JSIL.FileSystem.storage.fileExists(path))
+    JSIL.FileSystem.storage.deleteFile(path);
+  else if (JSIL.FileSystem.isInManifest(path))
+    return false;
+
+  return true;
+};
+
+// Lists everything below the directory at path. Files and directories are returned as
+//  {path, isDirectory, isReadOnly} entries with paths relative to the directory. Like the .NET
+//  enumeration methods, callers should not depend on the order, except that a directory always
+//  comes before the entries inside it. Returns null if the directory does not exist.
+JSIL.FileSystem.getEntries = function (path, recursive) {
+  var directory = JSIL.FileSystem.normalizePath(path);
+  var prefix = (directory === "") ? "" : directory.toLowerCase() + "/";
+  var storage = JSIL.FileSystem.storage;
+  var entries = {};
+  var exists = (directory === "") || storage.directoryExists(directory);
+
+  var add = function (name, isDirectory, isReadOnly) {
+    var normalized = JSIL.FileSystem.normalizePath(name);
+    var key = normalized.toLowerCase();
+
+    if (key === prefix.substr(0, prefix.length - 1)) {
+      exists = exists || isDirectory;
+      return;
+    } else if (key.indexOf(prefix) !== 0) {
+      return;
+    }
+
+    exists = true;
+
+    var parts = normalized.substr(prefix.length).split("/");
+    var count = recursive ? parts.length : 1;
+
+    // Every directory between this one and the item is listed too.
+    for (var i = 1; i <= count; i++) {
+      var relativePath = parts.slice(0, i).join("/");
+      var relativeKey = relativePath.toLowerCase();
+      var isItemDirectory = isDirectory || (i < parts.length);
+
+      if (!entries.hasOwnProperty(relativeKey))
+        entries[relativeKey] = { path: relativePath, isDirectory: isItemDirectory, isReadOnly: true };
+
+      if (!isReadOnly)
+        entries[relativeKey].isReadOnly = false;
+    }
+  };
+
+  var names = storage.getDirectoryNames();
+  for (var i = 0; i < names.length; i++)
+    add(names[i], true, false);
+
+  names = storage.getFileNames();
+  for (var i = 0; i < names.length; i++)
+    add(names[i], false, false);
+
+  names = JSIL.FileSystem.getManifestFileNames();
+  for (var i = 0; i < names.length; i++)
+    add(names[i], false, true);
+
+  if (!exists)
+    return null;
+
+  var result = [];
+  for (var key in entries) {
+    if (entries.hasOwnProperty(key))
+      result.push(entries[key]);
+  }
+
+  // A path sorts before every path that it is a prefix of, so directories precede their contents.
+  result.sort(function (lhs, rhs) {
+    var lhsKey = lhs.path.toLowerCase(), rhsKey = rhs.path.toLowerCase();
+
+    if (lhsKey === rhsKey)
+      return 0;
+
+    return (lhsKey < rhsKey) ? -1 : 1;
+  });
+
+  return result;
+};
+
+JSIL.FileSystem.directoryExists = function (path) {
+  path = JSIL.FileSystem.normalizePath(path);
+
+  return (path === "") ||
+    JSIL.FileSystem.storage.directoryExists(path) ||
+    JSIL.FileSystem.isDirectoryInManifest(path);
+};
+
+// Creates the directory at path along with any missing parent directories.
+JSIL.FileSystem.createDirectory = function (path) {
+  var parts = JSIL.FileSystem.normalizePath(path).split("/");
+
+  for (var i = 1; i <= parts.length; i++) {
+    var directory = parts.slice(0, i).join("/");
+
+    if ((directory !== "") && !JSIL.FileSystem.directoryExists(directory))
+      JSIL.FileSystem.storage.createDirectory(directory);
+  }
+};
+
+// Deletes the directory at path along with its contents. Returns false if some of them only exist
+//  in the manifest, in which case nothing is deleted.
+JSIL.FileSystem.deleteDirectory = function (path) {
+  var directory = JSIL.FileSystem.normalizePath(path);
+  var entries = JSIL.FileSystem.getEntries(directory, true) || [];
+  var storage = JSIL.FileSystem.storage;
+
+  for (var i = 0; i < entries.length; i++) {
+    if (entries[i].isReadOnly)
+      return false;
+  }
+
+  // Children are deleted before their parents.
+  for (var i = entries.length - 1; i >= 0; i--) {
+    var entryPath = directory ? (directory + "/" + entries[i].path) : entries[i].path;
+
+    if (entries[i].isDirectory)
+      storage.deleteDirectory(entryPath);
+    else
+      storage.deleteFile(entryPath);
+  }
+
+  storage.deleteDirectory(directory);
+  return true;
+};
+
 JSIL.ImplementExternals("System.IO.File", function ($) {
+  var tStringArray = $jsilcore.TypeRef("System.Array", [$.String]);
+  var tStringEnumerable = $jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", [$.String]);
+  var tEncoding = $jsilcore.TypeRef("System.Text.Encoding");
+
+  var checkPath = function (path, name) {
+    if (path === null)
+      throw new System.ArgumentNullException(name || "path");
+    else if (path.length === 0)
+      throw new System.ArgumentException("Empty path name is not legal.", name || "path");
+  };
+
+  var readFile = function (path) {
+    checkPath(path);
+
+    var bytes = JSIL.FileSystem.readFile(path);
+    if (bytes === null)
+      throw new System.IO.FileNotFoundException("Could not find file '" + path + "'.", path);
+
+    return bytes;
+  };
+
+  // A byte order mark at the start of the file overrides the encoding.
+  var decodeText = function (bytes, encoding) {
+    var detected = System.Text.Encoding.$DetectEncoding(bytes, 0, bytes.length);
+    var offset = 0;
+
+    if (detected !== null) {
+      encoding = detected;
+      offset = detected.GetPreamble().length;
+    }
+
+    return (encoding || $getUTF8NoBOM()).$decode(bytes, offset, bytes.length - offset);
+  };
+
+  var encodeText = function (text, encoding) {
+    if (encoding === null)
+      throw new System.ArgumentNullException("encoding");
+
+    encoding = encoding || $getUTF8NoBOM();
+    return encoding.GetPreamble().concat(encoding.$encode(text || ""));
+  };
+
+  var splitLines = function (text) {
+    var lines = text.split(/\r\n|\r|\n/);
+
+    // A trailing newline does not begin another line.
+    if ((lines.length > 0) && (lines[lines.length - 1] === ""))
+      lines.pop();
+
+    return lines;
+  };
+
+  var joinLines = function (lines) {
+    var result = [];
+    var enumerator = JSIL.GetEnumerator(lines);
+
+    try {
+      while (enumerator.MoveNext())
+        result.push(enumerator.Current + "\r\n");
+    } finally {
+      enumerator.IDisposable_Dispose();
+    }
+
+    return result.join("");
+  };
+
+  var saveFile = function (path, bytes) {
+    if (!JSIL.FileSystem.writeFile(path, bytes))
+      throw new System.IO.DirectoryNotFoundException("Could not find a part of the path '" + path + "'.");
+  };
+
+  var writeFile = function (path, bytes) {
+    checkPath(path);
+
+    if (bytes === null)
+      throw new System.ArgumentNullException("bytes");
+
+    saveFile(path, bytes);
+  };
+
+  var appendText = function (path, text, encoding) {
+    checkPath(path);
+
+    var bytes = JSIL.FileSystem.readFile(path);
+
+    // The preamble is only written to new files.
+    if ((bytes === null) || (bytes.length === 0))
+      bytes = encodeText(text, encoding);
+    else
+      bytes = bytes.concat((encoding || $getUTF8NoBOM()).$encode(text || ""));
+
+    saveFile(path, bytes);
+  };
+
+  var deleteFile = function (path) {
+    checkPath(path);
+
+    if (!JSIL.FileSystem.deleteFile(path))
+      throw new System.UnauthorizedAccessException("Access to the path '" + path + "' is denied.");
+  };
+
+  var copyFile = function (sourceFileName, destFileName, overwrite) {
+    checkPath(sourceFileName, "sourceFileName");
+    checkPath(destFileName, "destFileName");
+
+    var bytes = JSIL.FileSystem.readFile(sourceFileName);
+    if (bytes === null)
+      throw new System.IO.FileNotFoundException("Could not find file '" + sourceFileName + "'.", sourceFileName);
+
+    if (!overwrite && JSIL.FileSystem.fileExists(destFileName))
+      throw new System.IO.IOException("The file '" + destFileName + "' already exists.");
+
+    saveFile(destFileName, bytes);
+  };
+
+  var openFile = function (path, mode, access) {
+    return new System.IO.FileStream(path, mode, access);
+  };
+
   $.Method({Static:true , Public:true }, "Exists", 
     new JSIL.MethodSignature($.Boolean, [$.String], []),
     function (filename) {
-      return JSIL.Host.doesFileExist(filename) || 
-        JSIL.Host.doesAssetExist(filename, true);
+      if ((filename === null) || (filename.length === 0))
+        return false;
+
+      return JSIL.FileSystem.fileExists(filename) || 
+        ((typeof (JSIL.Host.doesAssetExist) === "function") && JSIL.Host.doesAssetExist(filename, true));
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Open", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.FileStream"), [$.String, $jsilcore.TypeRef("System.IO.FileMode")], [])), 
+    function Open (path, mode) {
+      var access = (Number(mode) === Number(System.IO.FileMode.Append)) 
+        ? System.IO.FileAccess.Write 
+        : System.IO.FileAccess.ReadWrite;
+
+      return openFile(path, mode, access);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Open", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.FileStream"), [
+          $.String, $jsilcore.TypeRef("System.IO.FileMode"), 
+          $jsilcore.TypeRef("System.IO.FileAccess")
+        ], [])), 
+    openFile
+  );
+
+  $.Method({Static:true , Public:true }, "OpenRead", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.FileStream"), [$.String], [])), 
+    function OpenRead (path) {
+      return openFile(path, System.IO.FileMode.Open, System.IO.FileAccess.Read);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "OpenWrite", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.FileStream"), [$.String], [])), 
+    function OpenWrite (path) {
+      return openFile(path, System.IO.FileMode.OpenOrCreate, System.IO.FileAccess.Write);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Create", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.FileStream"), [$.String], [])), 
+    function Create (path) {
+      return openFile(path, System.IO.FileMode.Create, System.IO.FileAccess.ReadWrite);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "ReadAllBytes", 
+    new JSIL.MethodSignature($jsilcore.TypeRef("System.Array", [$.Byte]), [$.String], []),
+    readFile
+  );
+
+  $.Method({Static:true , Public:true }, "ReadAllText", 
+    new JSIL.MethodSignature($.String, [$.String], []),
+    function (filename) {
+      return decodeText(readFile(filename));
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "ReadAllText", 
+    new JSIL.MethodSignature($.String, [$.String, tEncoding], []),
+    function (filename, encoding) {
+      if (encoding === null)
+        throw new System.ArgumentNullException("encoding");
+
+      return decodeText(readFile(filename), encoding);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "ReadAllLines", 
+    new JSIL.MethodSignature(tStringArray, [$.String], []),
+    function (filename) {
+      return splitLines(decodeText(readFile(filename)));
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "ReadAllLines", 
+    new JSIL.MethodSignature(tStringArray, [$.String, tEncoding], []),
+    function (filename, encoding) {
+      if (encoding === null)
+        throw new System.ArgumentNullException("encoding");
+
+      return splitLines(decodeText(readFile(filename), encoding));
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "WriteAllBytes", 
+    new JSIL.MethodSignature(null, [$.String, $jsilcore.TypeRef("System.Array", [$.Byte])], []),
+    writeFile
+  );
+
+  $.Method({Static:true , Public:true }, "WriteAllText", 
+    new JSIL.MethodSignature(null, [$.String, $.String], []),
+    function (path, contents) {
+      writeFile(path, encodeText(contents));
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "WriteAllText", 
+    new JSIL.MethodSignature(null, [$.String, $.String, tEncoding], []),
+    function (path, contents, encoding) {
+      writeFile(path, encodeText(contents, encoding));
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "WriteAllLines", 
+    new JSIL.MethodSignature(null, [$.String, tStringArray], []),
+    function (path, contents) {
+      if (contents === null)
+        throw new System.ArgumentNullException("contents");
+
+      writeFile(path, encodeText(joinLines(contents)));
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "WriteAllLines", 
+    new JSIL.MethodSignature(null, [$.String, tStringArray, tEncoding], []),
+    function (path, contents, encoding) {
+      if (contents === null)
+        throw new System.ArgumentNullException("contents");
+
+      writeFile(path, encodeText(joinLines(contents), encoding));
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "WriteAllLines", 
+    new JSIL.MethodSignature(null, [$.String, tStringEnumerable], []),
+    function (path, contents) {
+      if (contents === null)
+        throw new System.ArgumentNullException("contents");
+
+      writeFile(path, encodeText(joinLines(contents)));
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "WriteAllLines", 
+    new JSIL.MethodSignature(null, [$.String, tStringEnumerable, tEncoding], []),
+    function (path, contents, encoding) {
+      if (contents === null)
+        throw new System.ArgumentNullException("contents");
+
+      writeFile(path, encodeText(joinLines(contents), encoding));
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "AppendAllText", 
+    new JSIL.MethodSignature(null, [$.String, $.String], []),
+    function (path, contents) {
+      appendText(path, contents);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "AppendAllText", 
+    new JSIL.MethodSignature(null, [$.String, $.String, tEncoding], []),
+    function (path, contents, encoding) {
+      if (encoding === null)
+        throw new System.ArgumentNullException("encoding");
+
+      appendText(path, contents, encoding);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "AppendAllLines", 
+    new JSIL.MethodSignature(null, [$.String, tStringEnumerable], []),
+    function (path, contents) {
+      if (contents === null)
+        throw new System.ArgumentNullException("contents");
+
+      appendText(path, joinLines(contents));
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "AppendAllLines", 
+    new JSIL.MethodSignature(null, [$.String, tStringEnumerable, tEncoding], []),
+    function (path, contents, encoding) {
+      if (contents === null)
+        throw new System.ArgumentNullException("contents");
+      else if (encoding === null)
+        throw new System.ArgumentNullException("encoding");
+
+      appendText(path, joinLines(contents), encoding);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Delete", 
+    new JSIL.MethodSignature(null, [$.String], []),
+    deleteFile
+  );
+
+  $.Method({Static:true , Public:true }, "Copy", 
+    new JSIL.MethodSignature(null, [$.String, $.String], []),
+    function (sourceFileName, destFileName) {
+      copyFile(sourceFileName, destFileName, false);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Copy", 
+    new JSIL.MethodSignature(null, [$.String, $.String, $.Boolean], []),
+    copyFile
+  );
+
+  $.Method({Static:true , Public:true }, "Move", 
+    new JSIL.MethodSignature(null, [$.String, $.String], []),
+    function (sourceFileName, destFileName) {
+      checkPath(sourceFileName, "sourceFileName");
+      checkPath(destFileName, "destFileName");
+
+      var bytes = JSIL.FileSystem.readFile(sourceFileName);
+      if (bytes === null)
+        throw new System.IO.FileNotFoundException("Could not find file '" + sourceFileName + "'.", sourceFileName);
+
+      if (JSIL.FileSystem.fileExists(destFileName))
+        throw new System.IO.IOException("Cannot create a file when that file already exists.");
+      else if (!JSIL.FileSystem.containingDirectoryExists(destFileName))
+        throw new System.IO.DirectoryNotFoundException("Could not find a part of the path '" + destFileName + "'.");
+
+      deleteFile(sourceFileName);
+      saveFile(destFileName, bytes);
+    }
+  );
+});
+
+// Shared by Directory, DirectoryInfo and FileInfo.
+var $fileSystemPaths = {
+  checkPath: function (path, name) {
+    if (path === null)
+      throw new System.ArgumentNullException(name || "path");
+    else if (path.length === 0)
+      throw new System.ArgumentException("Empty path name is not legal.", name || "path");
+  },
+
+  // Joins a directory path as the caller spelled it with a relative path from the file system.
+  combine: function (directory, relativePath) {
+    relativePath = relativePath.replace(/\//g, "\\");
+
+    if (directory.length === 0)
+      return relativePath;
+
+    var last = directory[directory.length - 1];
+    if ((last === "\\") || (last === "/"))
+      return directory + relativePath;
+
+    return directory + "\\" + relativePath;
+  },
+
+  getFileName: function (path) {
+    var trimmed = path.replace(/[\\\/]+$/, "");
+    var index = Math.max(trimmed.lastIndexOf("\\"), trimmed.lastIndexOf("/"));
+
+    return trimmed.substr(index + 1);
+  },
+
+  // Returns the full path of the directory containing path, or null if path is a root.
+  getParentPath: function (path) {
+    var fullPath = System.IO.Path.GetFullPath(path);
+    var rootLength = System.IO.Path.GetPathRoot(fullPath).length;
+
+    while ((fullPath.length > rootLength) && /[\\\/]$/.test(fullPath))
+      fullPath = fullPath.substr(0, fullPath.length - 1);
+
+    return System.IO.Path.GetDirectoryName(fullPath);
+  },
+
+  // Translates a search pattern with * and ? wildcards into a case-insensitive regular expression.
+  makePatternRegex: function (searchPattern) {
+    if (searchPattern === null)
+      throw new System.ArgumentNullException("searchPattern");
+
+    if (searchPattern === "*.*")
+      searchPattern = "*";
+
+    var source = searchPattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+    return new RegExp("^" + source + "$", "i");
+  },
+
+  // Returns the paths of the files or directories below path that match searchPattern.
+  find: function (path, searchPattern, searchOption, wantDirectories) {
+    $fileSystemPaths.checkPath(path);
+
+    var regex = $fileSystemPaths.makePatternRegex(searchPattern);
+    var recursive = (Number(searchOption) | 0) === 1;
+    var entries = JSIL.FileSystem.getEntries(path, recursive);
+
+    if (entries === null)
+      throw new System.IO.DirectoryNotFoundException("Could not find a part of the path '" + path + "'.");
+
+    var result = [];
+
+    for (var i = 0; i < entries.length; i++) {
+      var entry = entries[i];
+
+      if (entry.isDirectory !== wantDirectories)
+        continue;
+      else if (!regex.test($fileSystemPaths.getFileName(entry.path)))
+        continue;
+
+      result.push($fileSystemPaths.combine(path, entry.path));
+    }
+
+    return result;
+  },
+
+  deleteDirectory: function (path, recursive) {
+    $fileSystemPaths.checkPath(path);
+
+    var entries = JSIL.FileSystem.getEntries(path, false);
+
+    if (entries === null)
+      throw new System.IO.DirectoryNotFoundException("Could not find a part of the path '" + path + "'.");
+    else if (!recursive && (entries.length > 0))
+      throw new System.IO.IOException("The directory is not empty.");
+
+    if (!JSIL.FileSystem.deleteDirectory(path))
+      throw new System.UnauthorizedAccessException("Access to the path '" + path + "' is denied.");
+  }
+};
+
+JSIL.ImplementExternals("System.IO.Directory", function ($) {
+  var tString = $.String;
+  var tStringArray = $jsilcore.TypeRef("System.Array", [$.String]);
+  var tStringEnumerable = $jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", [$.String]);
+  var tSearchOption = $jsilcore.TypeRef("System.IO.SearchOption");
+
+  $.Method({Static:true , Public:true }, "Exists", 
+    new JSIL.MethodSignature($.Boolean, [$.String], []),
+    function Exists (path) {
+      if ((path === null) || (path.length === 0))
+        return false;
+
+      return JSIL.FileSystem.directoryExists(path);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "CreateDirectory", 
+    new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.DirectoryInfo"), [$.String], []),
+    function CreateDirectory (path) {
+      $fileSystemPaths.checkPath(path);
+
+      if (JSIL.FileSystem.fileExists(path))
+        throw new System.IO.IOException("Cannot create \"" + path + "\" because a file or directory with the same name already exists.");
+
+      JSIL.FileSystem.createDirectory(path);
+      return new System.IO.DirectoryInfo(path);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Delete", 
+    new JSIL.MethodSignature(null, [$.String], []),
+    function Delete (path) {
+      $fileSystemPaths.deleteDirectory(path, false);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Delete", 
+    new JSIL.MethodSignature(null, [$.String, $.Boolean], []),
+    $fileSystemPaths.deleteDirectory
+  );
+
+  var defineSearch = function (name, returnType, wantDirectories) {
+    $.Method({Static:true , Public:true }, name, 
+      new JSIL.MethodSignature(returnType, [tString], []),
+      function (path) {
+        return $fileSystemPaths.find(path, "*", 0, wantDirectories);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, name, 
+      new JSIL.MethodSignature(returnType, [tString, tString], []),
+      function (path, searchPattern) {
+        return $fileSystemPaths.find(path, searchPattern, 0, wantDirectories);
+      }
+    );
+
+    $.Method({Static:true , Public:true }, name, 
+      new JSIL.MethodSignature(returnType, [tString, tString, tSearchOption], []),
+      function (path, searchPattern, searchOption) {
+        return $fileSystemPaths.find(path, searchPattern, searchOption, wantDirectories);
+      }
+    );
+  };
+
+  defineSearch("GetFiles", tStringArray, false);
+  defineSearch("GetDirectories", tStringArray, true);
+  defineSearch("EnumerateFiles", tStringEnumerable, false);
+  defineSearch("EnumerateDirectories", tStringEnumerable, true);
+
+  $.Method({Static:true , Public:true }, "GetFileSystemEntries", 
+    new JSIL.MethodSignature(tStringArray, [tString], []),
+    function GetFileSystemEntries (path) {
+      return $fileSystemPaths.find(path, "*", 0, true).concat($fileSystemPaths.find(path, "*", 0, false));
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "GetParent", 
+    new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.DirectoryInfo"), [tString], []),
+    function GetParent (path) {
+      $fileSystemPaths.checkPath(path);
+
+      var parentPath = $fileSystemPaths.getParentPath(path);
+      if (parentPath === null)
+        return null;
+
+      return new System.IO.DirectoryInfo(parentPath);
+    }
+  );
+});
+
+// Members shared by FileInfo and DirectoryInfo.
+var $fileSystemInfo = function ($) {
+  $.RawMethod(false, "$InitPath", function (path) {
+    $fileSystemPaths.checkPath(path, "fileName");
+
+    this._originalPath = path;
+    this._fullPath = System.IO.Path.GetFullPath(path);
+  });
+
+  $.Method({Static:false, Public:true }, "get_Name", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function get_Name () {
+      return $fileSystemPaths.getFileName(this._fullPath);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_FullName", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function get_FullName () {
+      return this._fullPath;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Extension", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function get_Extension () {
+      return System.IO.Path.GetExtension(this._fullPath);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Refresh", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Refresh () {
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "toString", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function toString () {
+      return this._originalPath;
+    }
+  );
+};
+
+JSIL.ImplementExternals("System.IO.FileInfo", function ($) {
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function _ctor (fileName) {
+      this.$InitPath(fileName);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Exists", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_Exists () {
+      return JSIL.FileSystem.fileExists(this._fullPath);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Length", 
+    (new JSIL.MethodSignature($.Int64, [], [])), 
+    function get_Length () {
+      var bytes = JSIL.FileSystem.readFile(this._fullPath);
+      if (bytes === null)
+        throw new System.IO.FileNotFoundException("Could not find file '" + this._fullPath + "'.", this._fullPath);
+
+      return System.Int64.FromNumber(bytes.length);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_DirectoryName", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function get_DirectoryName () {
+      return $fileSystemPaths.getParentPath(this._fullPath);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Directory", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.DirectoryInfo"), [], [])), 
+    function get_Directory () {
+      var parentPath = $fileSystemPaths.getParentPath(this._fullPath);
+      if (parentPath === null)
+        return null;
+
+      return new System.IO.DirectoryInfo(parentPath);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Delete", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Delete () {
+      System.IO.File.Delete(this._fullPath);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "CopyTo", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.FileInfo"), [$.String], [])), 
+    function CopyTo (destFileName) {
+      System.IO.File.Copy(this._fullPath, destFileName, false);
+      return new System.IO.FileInfo(destFileName);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "CopyTo", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.FileInfo"), [$.String, $.Boolean], [])), 
+    function CopyTo (destFileName, overwrite) {
+      System.IO.File.Copy(this._fullPath, destFileName, overwrite);
+      return new System.IO.FileInfo(destFileName);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "MoveTo", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function MoveTo (destFileName) {
+      System.IO.File.Move(this._fullPath, destFileName);
+      this.$InitPath(destFileName);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "OpenRead", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.FileStream"), [], [])), 
+    function OpenRead () {
+      return System.IO.File.OpenRead(this._fullPath);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "OpenWrite", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.FileStream"), [], [])), 
+    function OpenWrite () {
+      return System.IO.File.OpenWrite(this._fullPath);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Create", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.FileStream"), [], [])), 
+    function Create () {
+      return System.IO.File.Create(this._fullPath);
+    }
+  );
+});
+
+JSIL.ImplementExternals(
+  "System.IO.FileInfo", $fileSystemInfo
+);
+
+JSIL.ImplementExternals("System.IO.DirectoryInfo", function ($) {
+  var tSearchOption = $jsilcore.TypeRef("System.IO.SearchOption");
+
+  var makeFileInfos = function (paths) {
+    return paths.map(function (path) {
+      return new System.IO.FileInfo(path);
+    });
+  };
+
+  var makeDirectoryInfos = function (paths) {
+    return paths.map(function (path) {
+      return new System.IO.DirectoryInfo(path);
+    });
+  };
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function _ctor (path) {
+      this.$InitPath(path);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Exists", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_Exists () {
+      return JSIL.FileSystem.directoryExists(this._fullPath);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Parent", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.DirectoryInfo"), [], [])), 
+    function get_Parent () {
+      var parentPath = $fileSystemPaths.getParentPath(this._fullPath);
+      if (parentPath === null)
+        return null;
+
+      return new System.IO.DirectoryInfo(parentPath);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Create", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Create () {
+      JSIL.FileSystem.createDirectory(this._fullPath);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "CreateSubdirectory", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.DirectoryInfo"), [$.String], [])), 
+    function CreateSubdirectory (path) {
+      var fullPath = $fileSystemPaths.combine(this._fullPath, path);
+
+      JSIL.FileSystem.createDirectory(fullPath);
+      return new System.IO.DirectoryInfo(fullPath);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Delete", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Delete () {
+      $fileSystemPaths.deleteDirectory(this._fullPath, false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Delete", 
+    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
+    function Delete (recursive) {
+      $fileSystemPaths.deleteDirectory(this._fullPath, recursive);
+    }
+  );
+
+  var defineSearch = function (name, elementTypeName, wantDirectories, makeInfos) {
+    var tArray = $jsilcore.TypeRef("System.Array", [$jsilcore.TypeRef(elementTypeName)]);
+    var tEnumerable = $jsilcore.TypeRef("System.Collections.Generic.IEnumerable`1", [$jsilcore.TypeRef(elementTypeName)]);
+
+    var returnTypes = {};
+    returnTypes["Get" + name] = tArray;
+    returnTypes["Enumerate" + name] = tEnumerable;
+
+    for (var methodName in returnTypes) {
+      $.Method({Static:false, Public:true }, methodName, 
+        (new JSIL.MethodSignature(returnTypes[methodName], [], [])), 
+        function () {
+          return makeInfos($fileSystemPaths.find(this._fullPath, "*", 0, wantDirectories));
+        }
+      );
+
+      $.Method({Static:false, Public:true }, methodName, 
+        (new JSIL.MethodSignature(returnTypes[methodName], [$.String], [])), 
+        function (searchPattern) {
+          return makeInfos($fileSystemPaths.find(this._fullPath, searchPattern, 0, wantDirectories));
+        }
+      );
+
+      $.Method({Static:false, Public:true }, methodName, 
+        (new JSIL.MethodSignature(returnTypes[methodName], [$.String, tSearchOption], [])), 
+        function (searchPattern, searchOption) {
+          return makeInfos($fileSystemPaths.find(this._fullPath, searchPattern, searchOption, wantDirectories));
+        }
+      );
+    }
+  };
+
+  defineSearch("Files", "System.IO.FileInfo", false, makeFileInfos);
+  defineSearch("Directories", "System.IO.DirectoryInfo", true, makeDirectoryInfos);
+});
+
+JSIL.ImplementExternals(
+  "System.IO.DirectoryInfo", $fileSystemInfo
+);
+
+JSIL.ImplementExternals("System.IO.Path", function ($) {
+  var tString = $.String;
+  var tCharArray = $jsilcore.TypeRef("System.Array", [$.Char]);
+
+  var invalidPathChars = ["\"", "<", ">", "|", "\0"];
+  for (var i = 1; i < 32; i++)
+    invalidPathChars.push(String.fromCharCode(i));
+
+  var invalidFileNameChars = invalidPathChars.concat([":", "*", "?", "\\", "/"]);
+
+  var invalidPathCharsRe = /["<>|\u0000-\u001f]/;
+
+  var isSeparator = function (ch) {
+    return (ch === "\\") || (ch === "/");
+  };
+
+  var checkInvalidPathChars = function (path) {
+    if (invalidPathCharsRe.test(path))
+      throw new System.ArgumentException("Illegal characters in path.");
+  };
+
+  // The length of the root of the path: "\\" or "C:\" or "\\server\share\", or 0 if it is relative.
+  var getRootLength = function (path) {
+    var length = path.length;
+    var i = 0;
+
+    if ((length >= 1) && isSeparator(path[0])) {
+      i = 1;
+
+      if ((length >= 2) && isSeparator(path[1])) {
+        // UNC paths include the server and share names.
+        i = 2;
+
+        for (var separators = 2; (i < length) && (!isSeparator(path[i]) || (--separators > 0)); i++)
+          ;
+      }
+    } else if ((length >= 2) && (path[1] === ":")) {
+      i = 2;
+
+      if ((length >= 3) && isSeparator(path[2]))
+        i = 3;
+    }
+
+    return i;
+  };
+
+  // Finds the last dot of the file name in path, or -1 if it has none.
+  var findExtension = function (path) {
+    for (var i = path.length - 1; i >= 0; i--) {
+      var ch = path[i];
+
+      if (ch === ".")
+        return i;
+      else if (isSeparator(ch) || (ch === ":"))
+        break;
+    }
+
+    return -1;
+  };
+
+  var getFileName = function (path) {
+    for (var i = path.length - 1; i >= 0; i--) {
+      var ch = path[i];
+
+      if (isSeparator(ch) || (ch === ":"))
+        return path.substr(i + 1);
+    }
+
+    return path;
+  };
+
+  // Uses backslashes and collapses repeated separators, except at the start of UNC paths.
+  var normalizeSeparators = function (path) {
+    var prefix = "";
+
+    if ((path.length >= 2) && isSeparator(path[0]) && isSeparator(path[1])) {
+      prefix = "\\\\";
+      path = path.substr(2);
+    }
+
+    return prefix + path.replace(/[\\\/]+/g, "\\");
+  };
+
+  var isPathRooted = function (path) {
+    return getRootLength(path) > 0;
+  };
+
+  var combine = function (path1, path2) {
+    if (path1 === null)
+      throw new System.ArgumentNullException("path1");
+    else if (path2 === null)
+      throw new System.ArgumentNullException("path2");
+
+    checkInvalidPathChars(path1);
+    checkInvalidPathChars(path2);
+
+    if (path2.length === 0)
+      return path1;
+    else if ((path1.length === 0) || isPathRooted(path2))
+      return path2;
+
+    var last = path1[path1.length - 1];
+    if (isSeparator(last) || (last === ":"))
+      return path1 + path2;
+
+    return path1 + "\\" + path2;
+  };
+
+  var combineMany = function (paths) {
+    if (paths === null)
+      throw new System.ArgumentNullException("paths");
+
+    var result = "";
+
+    for (var i = 0; i < paths.length; i++) {
+      if (paths[i] === null)
+        throw new System.ArgumentNullException("paths");
+
+      result = combine(result, paths[i]);
+    }
+
+    return result;
+  };
+
+  var getFullPath = function (path) {
+    if (path === null)
+      throw new System.ArgumentNullException("path");
+
+    checkInvalidPathChars(path);
+
+    if (path.replace(/\s+/g, "").length === 0)
+      throw new System.ArgumentException("The path is not of a legal form.");
+    else if (path.indexOf(":", (path[1] === ":") ? 2 : 0) >= 0)
+      throw new System.NotSupportedException("The given path's format is not supported.");
+
+    if (!isPathRooted(path))
+      path = combine(JSIL.FileSystem.currentDirectory, path);
+    else if (isSeparator(path[0]) && !isSeparator(path[1] || ""))
+      path = JSIL.FileSystem.currentDirectory.substr(0, getRootLength(JSIL.FileSystem.currentDirectory)).replace(/[\\\/]$/, "") + path;
+
+    path = normalizeSeparators(path);
+
+    var rootLength = getRootLength(path);
+    var root = path.substr(0, rootLength);
+    var parts = path.substr(rootLength).split("\\");
+    var result = [];
+
+    for (var i = 0; i < parts.length; i++) {
+      var part = parts[i];
+
+      if (part === ".")
+        continue;
+      else if (part === "..")
+        result.pop();
+      else if ((part !== "") || (i === parts.length - 1))
+        result.push(part);
+    }
+
+    return root + result.join("\\");
+  };
+
+  $.Method({Static:true , Public:true }, "Combine", 
+    new JSIL.MethodSignature($.String, [$.String, $.String], []),
+    combine
+  );
+
+  $.Method({Static:true , Public:true }, "Combine", 
+    new JSIL.MethodSignature($.String, [
+        $.String, $.String, 
+        $.String
+      ], []),
+    function Combine (path1, path2, path3) {
+      return combineMany([path1, path2, path3]);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Combine", 
+    new JSIL.MethodSignature($.String, [
+        $.String, $.String, 
+        $.String, $.String
+      ], []),
+    function Combine (path1, path2, path3, path4) {
+      return combineMany([path1, path2, path3, path4]);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Combine", 
+    new JSIL.MethodSignature($.String, [$jsilcore.TypeRef("System.Array", [$.String])], []),
+    combineMany
+  );
+
+  $.Method({Static:true , Public:true }, "GetExtension", 
+    (new JSIL.MethodSignature($.String, [$.String], [])), 
+    function GetExtension (path) {
+      if (path === null)
+        return null;
+
+      checkInvalidPathChars(path);
+
+      var index = findExtension(path);
+      if ((index < 0) || (index === path.length - 1))
+        return "";
+
+      return path.substr(index);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "HasExtension", 
+    (new JSIL.MethodSignature($.Boolean, [$.String], [])), 
+    function HasExtension (path) {
+      if (path === null)
+        return false;
+
+      checkInvalidPathChars(path);
+
+      var index = findExtension(path);
+      return (index >= 0) && (index !== path.length - 1);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "ChangeExtension", 
+    (new JSIL.MethodSignature($.String, [$.String, $.String], [])), 
+    function ChangeExtension (path, extension) {
+      if (path === null)
+        return null;
+
+      checkInvalidPathChars(path);
+
+      var index = findExtension(path);
+      var result = (index >= 0) ? path.substr(0, index) : path;
+
+      if ((extension !== null) && (path.length !== 0)) {
+        if ((extension.length === 0) || (extension[0] !== "."))
+          result += ".";
+
+        result += extension;
+      }
+
+      return result;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "GetDirectoryName", 
+    (new JSIL.MethodSignature($.String, [$.String], [])), 
+    function GetDirectoryName (path) {
+      if (path === null)
+        return null;
+
+      checkInvalidPathChars(path);
+
+      if (path.replace(/\s+/g, "").length === 0)
+        throw new System.ArgumentException("The path is not of a legal form.");
+
+      path = normalizeSeparators(path);
+
+      var rootLength = getRootLength(path);
+      var i = path.length;
+
+      if (i <= rootLength)
+        return null;
+
+      while ((i > rootLength) && !isSeparator(path[--i]))
+        ;
+
+      return path.substr(0, i);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "GetFileName", 
+    (new JSIL.MethodSignature($.String, [$.String], [])), 
+    function GetFileName (path) {
+      if (path === null)
+        return null;
+
+      checkInvalidPathChars(path);
+
+      return getFileName(path);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "GetFileNameWithoutExtension", 
+    (new JSIL.MethodSignature($.String, [$.String], [])), 
+    function GetFileNameWithoutExtension (path) {
+      if (path === null)
+        return null;
+
+      checkInvalidPathChars(path);
+
+      path = getFileName(path);
+
+      var index = path.lastIndexOf(".");
+      if (index >= 0)
+        path = path.substr(0, index);
+
+      return path;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "GetFullPath", 
+    (new JSIL.MethodSignature($.String, [$.String], [])), 
+    getFullPath
+  );
+
+  $.Method({Static:true , Public:true }, "GetPathRoot", 
+    (new JSIL.MethodSignature($.String, [$.String], [])), 
+    function GetPathRoot (path) {
+      if (path === null)
+        return null;
+
+      checkInvalidPathChars(path);
+
+      path = normalizeSeparators(path);
+      return path.substr(0, getRootLength(path));
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "IsPathRooted", 
+    (new JSIL.MethodSignature($.Boolean, [$.String], [])), 
+    function IsPathRooted (path) {
+      if (path === null)
+        return false;
+
+      checkInvalidPathChars(path);
+
+      return isPathRooted(path);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "GetInvalidPathChars", 
+    (new JSIL.MethodSignature(tCharArray, [], [])), 
+    function GetInvalidPathChars () {
+      return invalidPathChars.slice();
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "GetInvalidFileNameChars", 
+    (new JSIL.MethodSignature(tCharArray, [], [])), 
+    function GetInvalidFileNameChars () {
+      return invalidFileNameChars.slice();
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "GetTempPath", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function GetTempPath () {
+      return getFullPath(JSIL.FileSystem.tempDirectory) + "\\";
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "GetTempFileName", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function GetTempFileName () {
+      var directory = getFullPath(JSIL.FileSystem.tempDirectory);
+      JSIL.FileSystem.createDirectory(directory);
+
+      // Like Windows, temporary files are named tmpXXXX.tmp and created empty.
+      for (var i = 1; i <= 0xFFFF; i++) {
+        var path = directory + "\\tmp" + i.toString(16).toUpperCase() + ".tmp";
+
+        if (!JSIL.FileSystem.fileExists(path)) {
+          JSIL.FileSystem.writeFile(path, []);
+          return path;
+        }
+      }
+
+      throw new System.IO.IOException("The file exists.");
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "GetRandomFileName", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function GetRandomFileName () {
+      var characters = "abcdefghijklmnopqrstuvwxyz012345";
+      var result = "";
+
+      for (var i = 0; i < 11; i++) {
+        if (i === 8)
+          result += ".";
+
+        result += characters[Math.floor(Math.random() * characters.length)];
+      }
+
+      return result;
+    }
+  );
+});
+
+JSIL.ImplementExternals("System.IO.Stream", function ($) {
+  $.Method({Static:false, Public:true }, "ReadByte", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function ReadByte () {
+      var buffer = [];
+      var count = this.Read(buffer, 0, 1);
+
+      if (count >= 1)
+        return buffer[0];
+      else
+        return -1;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Close", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Close () {
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Dispose", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Dispose () {
+    }
+  );
+
+  $.RawMethod(false, "$GetURI", function () {
+    throw new Error("Only valid on streams created from files!");
+  });
+});
+
+// The stream's contents start at _origin in _buffer; _pos, _length and _capacity are relative to it.
+var $bytestream = function ($) {
+  var getPosition = function (value) {
+    return System.Int64.ToNumber(value);
+  };
+
+  $.Method({Static:false, Public:true }, "Read", 
+    (new JSIL.MethodSignature($.Int32, [
+          $jsilcore.TypeRef("System.Array", [$.Byte]), $.Int32, 
+          $.Int32
+        ], [])), 
+    function Read (buffer, offset, count) {
+      if (this._readable === false)
+        throw new System.NotSupportedException("Stream does not support reading.");
+
+      if ((this._pos < 0) || (this._pos >= this._length))
+        return 0;
+
+      count = Math.min(count, this._length - this._pos);
+
+      for (var i = 0; i < count; i++) {
+        buffer[offset + i] = this._buffer[this._origin + this._pos + i];
+      }
+
+      this._pos += count;
+
+      return count;
+    }
+  );
+
+  // Makes room for at least capacity bytes, growing the buffer geometrically.
+  $.RawMethod(false, "$EnsureCapacity", function EnsureCapacity (capacity) {
+    if (capacity <= this._capacity)
+      return;
+
+    if (this._expandable === false)
+      throw new System.NotSupportedException("Memory stream is not expandable.");
+
+    var newCapacity = Math.max(capacity, this._capacity * 2, 256);
+    var newBuffer = JSIL.Array.New(System.Byte, newCapacity);
+
+    for (var i = 0; i < this._length; i++)
+      newBuffer[i] = this._buffer[this._origin + i];
+
+    this._buffer = newBuffer;
+    this._origin = 0;
+    this._capacity = newCapacity;
+  });
+
+  $.RawMethod(false, "$CheckWritable", function CheckWritable () {
+    if (!this._writable)
+      throw new System.NotSupportedException("Stream does not support writing.");
+  });
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [
+          $jsilcore.TypeRef("System.Array", [$.Byte]), $.Int32, 
+          $.Int32
+        ], [])), 
+    function Write (buffer, offset, count) {
+      this.$CheckWritable();
+
+      if ((offset < 0) || (count < 0) || (offset + count > buffer.length))
+        throw new System.ArgumentException("Offset and length were out of bounds for the array or count is greater than the number of elements from index to the end of the source collection.");
+
+      var endPos = this._pos + count;
+      this.$EnsureCapacity(endPos);
+
+      // Writing past the end of the stream leaves a gap of zeroes.
+      for (var i = this._length; i < this._pos; i++)
+        this._buffer[this._origin + i] = 0;
+
+      for (var i = 0; i < count; i++)
+        this._buffer[this._origin + this._pos + i] = buffer[offset + i] & 0xFF;
+
+      this._pos = endPos;
+      if (endPos > this._length)
+        this._length = endPos;
+
+      this._modified = true;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteByte", 
+    (new JSIL.MethodSignature(null, [$.Byte], [])), 
+    function WriteByte (value) {
+      this.Write([value], 0, 1);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "$PeekByte", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function PeekByte () {
+      if (this._pos >= this._length)
+        return -1;
+
+      return this._buffer[this._origin + this._pos];
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Position", 
+    (new JSIL.MethodSignature($.Int64, [], [])), 
+    function get_Position () {
+      return System.Int64.FromNumber(this._pos);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "set_Position", 
+    (new JSIL.MethodSignature(null, [$.Int64], [])), 
+    function set_Position (value) {
+      var position = getPosition(value);
+
+      if (position < 0)
+        throw new System.ArgumentOutOfRangeException("value", "Non-negative number required.");
+
+      this._pos = position;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Length", 
+    (new JSIL.MethodSignature($.Int64, [], [])), 
+    function get_Length () {
+      return System.Int64.FromNumber(this._length);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "SetLength", 
+    (new JSIL.MethodSignature(null, [$.Int64], [])), 
+    function SetLength (value) {
+      var length = getPosition(value);
+
+      this.$CheckWritable();
+
+      if (length < 0)
+        throw new System.ArgumentOutOfRangeException("value", "Non-negative number required.");
+
+      this.$EnsureCapacity(length);
+
+      for (var i = this._length; i < length; i++)
+        this._buffer[this._origin + i] = 0;
+
+      this._length = length;
+      if (this._pos > length)
+        this._pos = length;
+
+      this._modified = true;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Seek", 
+    (new JSIL.MethodSignature($.Int64, [$.Int64, $jsilcore.TypeRef("System.IO.SeekOrigin")], [])), 
+    function Seek (offset, origin) {
+      var position = getPosition(offset);
+
+      switch (Number(origin) | 0) {
+        case 0: // Begin
+          break;
+        case 1: // Current
+          position += this._pos;
+          break;
+        case 2: // End
+          position += this._length;
+          break;
+        default:
+          throw new System.ArgumentException("Invalid seek origin.");
+      }
+
+      if (position < 0)
+        throw new System.IO.IOException("An attempt was made to move the position before the beginning of the stream.");
+
+      this._pos = position;
+      return System.Int64.FromNumber(position);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_CanRead", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_CanRead () {
+      return this._readable !== false;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_CanSeek", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_CanSeek () {
+      return true;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_CanWrite", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_CanWrite () {
+      return this._writable === true;
+    }
+  );
+};
+
+JSIL.ImplementExternals("System.IO.FileStream", function ($) {
+  var fileModes = {
+    CreateNew: 1, Create: 2, Open: 3, OpenOrCreate: 4, Truncate: 5, Append: 6
+  };
+
+  var modeNames = [null, "CreateNew", "Create", "Open", "OpenOrCreate", "Truncate", "Append"];
+
+  var fileAccessRead = 1, fileAccessWrite = 2;
+  var accessNames = [null, "Read", "Write", "ReadWrite"];
+
+  var ctorImpl = function (self, path, mode, access) {
+    System.IO.Stream.prototype._ctor.call(self);
+
+    if (path === null)
+      throw new System.ArgumentNullException("path");
+    else if (path.length === 0)
+      throw new System.ArgumentException("Empty path name is not legal.", "path");
+
+    mode = Number(mode) | 0;
+    access = Number(access) | 0;
+
+    var isWritable = (access & fileAccessWrite) !== 0;
+    var isReadable = (access & fileAccessRead) !== 0;
+
+    if (!isWritable && (mode !== fileModes.Open) && (mode !== fileModes.OpenOrCreate))
+      throw new System.ArgumentException("Combining FileMode: " + modeNames[mode] + " with FileAccess: " + accessNames[access] + " is invalid.", "access");
+    else if ((mode === fileModes.Append) && isReadable)
+      throw new System.ArgumentException("Append access can be requested only in write-only mode.", "mode");
+
+    var bytes = JSIL.FileSystem.readFile(path);
+    var isNew = false;
+
+    if (bytes === null) {
+      if (!JSIL.FileSystem.containingDirectoryExists(path))
+        throw new System.IO.DirectoryNotFoundException("Could not find a part of the path '" + path + "'.");
+      else if ((mode === fileModes.Open) || (mode === fileModes.Truncate))
+        throw new System.IO.FileNotFoundException("Could not find file '" + path + "'.", path);
+
+      bytes = [];
+      isNew = isWritable;
+    } else if (mode === fileModes.CreateNew) {
+      throw new System.IO.IOException("The file '" + path + "' already exists.");
+    } else if ((mode === fileModes.Create) || (mode === fileModes.Truncate)) {
+      bytes = [];
+      isNew = true;
+    }
+
+    self._fileName = path;
+    self._buffer = bytes;
+    self._origin = 0;
+    self._readable = isReadable;
+    self._writable = isWritable;
+    self._length = self._capacity = bytes.length;
+    self._pos = (mode === fileModes.Append) ? bytes.length : 0;
+
+    // Files that are created or truncated exist as soon as they are opened.
+    self._modified = isNew;
+    if (isNew)
+      self.Flush();
+  };
+
+  $.Method({Static:false, Public:false}, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      System.IO.Stream.prototype._ctor.call(this);
+
+      this._origin = this._pos = 0;
+      this._length = this._capacity = 0;
+      this._writable = false;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String, $jsilcore.TypeRef("System.IO.FileMode")], [])), 
+    function _ctor (path, mode) {
+      var access = (Number(mode) === fileModes.Append) ? fileAccessWrite : (fileAccessRead | fileAccessWrite);
+
+      ctorImpl(this, path, mode, access);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $.String, $jsilcore.TypeRef("System.IO.FileMode"), 
+          $jsilcore.TypeRef("System.IO.FileAccess")
+        ], [])), 
+    function _ctor (path, mode, access) {
+      ctorImpl(this, path, mode, access);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $.String, $jsilcore.TypeRef("System.IO.FileMode"), 
+          $jsilcore.TypeRef("System.IO.FileAccess"), $jsilcore.TypeRef("System.IO.FileShare")
+        ], [])), 
+    function _ctor (path, mode, access, share) {
+      ctorImpl(this, path, mode, access);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Name", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function get_Name () {
+      return this._fileName;
+    }
+  );
+
+  // Writes are buffered in memory and saved to the file system when the stream is flushed or closed.
+  $.Method({Static:false, Public:true }, "Flush", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Flush () {
+      if (!this._modified)
+        return;
+
+      JSIL.FileSystem.writeFile(this._fileName, Array.prototype.slice.call(this._buffer, this._origin, this._origin + this._length));
+      this._modified = false;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Close", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Close () {
+      this.Flush();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Dispose", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Dispose () {
+      this.Flush();
+    }
+  );
+
+  $.RawMethod(false, "$GetURI", function () {
+    var slashRe = /\\/g;
+    var uri = ("./" + this._fileName).replace(slashRe, "/");
+
+    return uri;
+  });
+});
+
+JSIL.ImplementExternals(
+  "System.IO.FileStream", $bytestream
+);
+
+JSIL.ImplementExternals("System.IO.MemoryStream", function ($) {
+  // Like .NET, the stream reads and writes the caller's buffer in place.
+  var ctorBytesImpl = function (self, bytes, index, count, writable, exposable) {
+    System.IO.Stream.prototype._ctor.call(self);
+
+    self._buffer = bytes;
+    self._origin = index;
+    self._writable = writable;
+    self._expandable = false;
+    self._exposable = exposable;
+    self._length = self._capacity = count;
+    self._pos = 0;
+  };
+
+  var ctorCapacityImpl = function (self, capacity) {
+    System.IO.Stream.prototype._ctor.call(self);
+
+    if (capacity < 0)
+      throw new System.ArgumentOutOfRangeException("capacity", "Capacity must be positive.");
+
+    self._buffer = JSIL.Array.New(System.Byte, capacity);
+    self._origin = 0;
+    self._writable = true;
+    self._expandable = true;
+    self._exposable = true;
+    self._capacity = capacity;
+    self._length = 0;
+    self._pos = 0;
+  };
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      ctorCapacityImpl(this, 0);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.Int32], [])), 
+    function _ctor (capacity) {
+      ctorCapacityImpl(this, capacity);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$.Byte])], [])), 
+    function _ctor (buffer) {
+      ctorBytesImpl(this, buffer, 0, buffer.length, true, false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$.Byte]), $.Boolean], [])), 
+    function _ctor (buffer, writable) {
+      ctorBytesImpl(this, buffer, 0, buffer.length, writable, false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$.Byte]), $.Int32, $.Int32], [])), 
+    function _ctor (buffer, index, count) {
+      ctorBytesImpl(this, buffer, index, count, true, false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $jsilcore.TypeRef("System.Array", [$.Byte]), $.Int32, 
+          $.Int32, $.Boolean
+        ], [])), 
+    function _ctor (buffer, index, count, writable) {
+      ctorBytesImpl(this, buffer, index, count, writable, false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $jsilcore.TypeRef("System.Array", [$.Byte]), $.Int32, 
+          $.Int32, $.Boolean, 
+          $.Boolean
+        ], [])), 
+    function _ctor (buffer, index, count, writable, publiclyVisible) {
+      ctorBytesImpl(this, buffer, index, count, writable, publiclyVisible);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Capacity", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_Capacity () {
+      return this._capacity;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "set_Capacity", 
+    (new JSIL.MethodSignature(null, [$.Int32], [])), 
+    function set_Capacity (value) {
+      if (value < this._length)
+        throw new System.ArgumentOutOfRangeException("value", "capacity was less than the current size.");
+
+      if (value === this._capacity)
+        return;
+      else if (!this._expandable)
+        throw new System.NotSupportedException("Memory stream is not expandable.");
+
+      var newBuffer = JSIL.Array.New(System.Byte, value);
+      for (var i = 0; i < this._length; i++)
+        newBuffer[i] = this._buffer[this._origin + i];
+
+      this._buffer = newBuffer;
+      this._origin = 0;
+      this._capacity = value;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetBuffer", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Array", [$.Byte]), [], [])), 
+    function GetBuffer () {
+      if (!this._exposable)
+        throw new System.UnauthorizedAccessException("MemoryStream's internal buffer cannot be accessed.");
+
+      return this._buffer;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ToArray", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Array", [$.Byte]), [], [])), 
+    function ToArray () {
+      var result = JSIL.Array.New(System.Byte, this._length);
+
+      for (var i = 0; i < this._length; i++)
+        result[i] = this._buffer[this._origin + i];
+
+      return result;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Flush", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Flush () {
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteTo", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.IO.Stream")], [])), 
+    function WriteTo (stream) {
+      stream.Write(this._buffer, this._origin, this._length);
+    }
+  );
+});
+
+JSIL.ImplementExternals(
+  "System.IO.MemoryStream", $bytestream
+);
+
+JSIL.ImplementExternals("System.IO.BinaryWriter", function ($) {
+  var scratchBuffer = new ArrayBuffer(8);
+  var scratchView = new DataView(scratchBuffer);
+  var scratchBytes = new Uint8Array(scratchBuffer);
+
+  var writeScratch = function (self, count) {
+    self.m_stream.Write(Array.prototype.slice.call(scratchBytes, 0, count), 0, count);
+  };
+
+  var writeUInt32 = function (self, value) {
+    scratchView.setUint32(0, value >>> 0, true);
+    writeScratch(self, 4);
+  };
+
+  var writeBits64 = function (self, value) {
+    writeUInt32(self, value._lo);
+    writeUInt32(self, value._hi);
+  };
+
+  var ctorImpl = function (self, output, encoding) {
+    System.Object.prototype._ctor.call(self);
+
+    if ((output === null) || (typeof (output) !== "object"))
+      throw new System.ArgumentNullException("output");
+
+    if (!output.get_CanWrite())
+      throw new System.ArgumentException("Stream was not writable.");
+
+    if (encoding === null)
+      throw new System.ArgumentNullException("encoding");
+
+    self.m_stream = output;
+    self.m_encoding = encoding || $getUTF8NoBOM();
+  };
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.IO.Stream")], [])), 
+    function _ctor (output) {
+      ctorImpl(this, output);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.IO.Stream"), $jsilcore.TypeRef("System.Text.Encoding")], [])), 
+    function _ctor (output, encoding) {
+      ctorImpl(this, output, encoding);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_BaseStream", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.Stream"), [], [])), 
+    function get_BaseStream () {
+      this.Flush();
+      return this.m_stream;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Flush", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Flush () {
+      this.m_stream.Flush();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Seek", 
+    (new JSIL.MethodSignature($.Int64, [$.Int32, $jsilcore.TypeRef("System.IO.SeekOrigin")], [])), 
+    function Seek (offset, origin) {
+      return this.m_stream.Seek(System.Int64.FromNumber(offset), origin);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Close", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Close () {
+      this.Dispose();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Dispose", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Dispose () {
+      if (this.m_stream !== null)
+        this.m_stream.Close();
+
+      this.m_stream = null;
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "Write7BitEncodedInt", 
+    (new JSIL.MethodSignature(null, [$.Int32], [])), 
+    function Write7BitEncodedInt (value) {
+      value = value >>> 0;
+
+      while (value >= 128) {
+        this.m_stream.WriteByte((value & 127) | 128);
+        value = value >>> 7;
+      }
+
+      this.m_stream.WriteByte(value);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
+    function Write (value) {
+      this.m_stream.WriteByte(value ? 1 : 0);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [$.Byte], [])), 
+    function Write (value) {
+      this.m_stream.WriteByte(value & 0xFF);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [$.SByte], [])), 
+    function Write (value) {
+      this.m_stream.WriteByte(value & 0xFF);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$.Byte])], [])), 
+    function Write (buffer) {
+      if (buffer === null)
+        throw new System.ArgumentNullException("buffer");
+
+      this.m_stream.Write(buffer, 0, buffer.length);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [
+          $jsilcore.TypeRef("System.Array", [$.Byte]), $.Int32, 
+          $.Int32
+        ], [])), 
+    function Write (buffer, index, count) {
+      this.m_stream.Write(buffer, index, count);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [$.Char], [])), 
+    function Write (ch) {
+      var bytes = this.m_encoding.$encode(ch);
+      this.m_stream.Write(bytes, 0, bytes.length);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$.Char])], [])), 
+    function Write (chars) {
+      if (chars === null)
+        throw new System.ArgumentNullException("chars");
+
+      var bytes = this.m_encoding.$encode(chars.join(""));
+      this.m_stream.Write(bytes, 0, bytes.length);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [
+          $jsilcore.TypeRef("System.Array", [$.Char]), $.Int32, 
+          $.Int32
+        ], [])), 
+    function Write (chars, index, count) {
+      var bytes = this.m_encoding.$encode(Array.prototype.slice.call(chars, index, index + count).join(""));
+      this.m_stream.Write(bytes, 0, bytes.length);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [$.Int16], [])), 
+    function Write (value) {
+      scratchView.setInt16(0, value, true);
+      writeScratch(this, 2);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [$.UInt16], [])), 
+    function Write (value) {
+      scratchView.setUint16(0, value, true);
+      writeScratch(this, 2);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [$.Int32], [])), 
+    function Write (value) {
+      writeUInt32(this, value);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [$.UInt32], [])), 
+    function Write (value) {
+      writeUInt32(this, value);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [$.Int64], [])), 
+    function Write (value) {
+      writeBits64(this, System.Int64.Coerce(value));
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [$.UInt64], [])), 
+    function Write (value) {
+      writeBits64(this, System.UInt64.Coerce(value));
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [$.Single], [])), 
+    function Write (value) {
+      scratchView.setFloat32(0, value, true);
+      writeScratch(this, 4);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [$.Double], [])), 
+    function Write (value) {
+      scratchView.setFloat64(0, value, true);
+      writeScratch(this, 8);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Decimal")], [])), 
+    function Write (value) {
+      var bits = System.Decimal.GetBits(value);
+
+      // Decimals are stored as lo, mid, hi and flags, like Decimal.GetBits returns them.
+      for (var i = 0; i < 4; i++)
+        writeUInt32(this, bits[i]);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function Write (value) {
+      if (value === null)
+        throw new System.ArgumentNullException("value");
+
+      var bytes = this.m_encoding.$encode(value);
+      this.Write7BitEncodedInt(bytes.length);
+      this.m_stream.Write(bytes, 0, bytes.length);
+    }
+  );
+});
+
+JSIL.ImplementExternals("System.IO.BinaryReader", function ($) {
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.IO.Stream")], [])), 
+    function _ctor (input) {
+      System.Object.prototype._ctor.call(this);
+
+      if (typeof (input) !== "object")
+        throw new Error("Invalid stream");
+
+      this.m_stream = input;
+      this.m_encoding = $getUTF8NoBOM();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.IO.Stream"), $jsilcore.TypeRef("System.Text.Encoding")], [])), 
+    function _ctor (input, encoding) {
+      System.Object.prototype._ctor.call(this);
+
+      if (typeof (input) !== "object")
+        throw new Error("Invalid stream");
+
+      if (encoding === null)
+        throw new System.ArgumentNullException("encoding");
+
+      this.m_stream = input;
+      this.m_encoding = encoding;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Close", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Close () {
+      this.m_stream = null;
+      this.m_encoding = null;
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "Read7BitEncodedInt", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function Read7BitEncodedInt () {
+      var result = 0, bits = 0;
+
+      while (bits < 35) {
+        var b = this.ReadByte();
+        result |= (b & 127) << bits;
+        bits += 7;
+
+        if ((b & 128) == 0)
+          return result;
+      }
+
+      throw new System.FormatException("Bad 7-bit int format");
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadBoolean", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function ReadBoolean () {
+      return this.m_stream.ReadByte() != 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadByte", 
+    (new JSIL.MethodSignature($.Byte, [], [])), 
+    function ReadByte () {
+      return this.m_stream.ReadByte();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadBytes", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Array", [$.Byte]), [$.Int32], [])), 
+    function ReadBytes (count) {
+      var result = new Array(count);
+      var bytesRead = this.m_stream.Read(result, 0, count);
+      return result.slice(0, bytesRead);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadChar", 
+    (new JSIL.MethodSignature($.Char, [], [])), 
+    function ReadChar () {
+      var chars = this.$readChars(1);
+      if (chars.length === 0)
+        throw new System.IO.EndOfStreamException("Unable to read beyond the end of the stream.");
+
+      return chars[0];
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadChars", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Array", [$.Char]), [$.Int32], [])), 
+    function ReadChars (count) {
+      if (count < 0)
+        throw new System.ArgumentOutOfRangeException("count", "Non-negative number required.");
+
+      return JSIL.StringToCharArray(this.$readChars(count));
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadDouble", 
+    (new JSIL.MethodSignature($.Double, [], [])), 
+    function ReadDouble () {
+      var bytes = this.ReadBytes(8);
+      return this.$decodeFloat(bytes, 1, 11, 52, -1022, 1023, true);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadDecimal", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Decimal"), [], [])), 
+    function ReadDecimal () {
+      var lo = this.ReadInt32();
+      var mid = this.ReadInt32();
+      var hi = this.ReadInt32();
+      var flags = this.ReadInt32();
+
+      return new System.Decimal(lo, mid, hi, (flags & 0x80000000) !== 0, (flags >> 16) & 0xFF);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadInt16", 
+    (new JSIL.MethodSignature($.Int16, [], [])), 
+    function ReadInt16 () {
+      var value = this.ReadUInt16();
+      if (value > System.Int16.MaxValue)
+        return value - 65536;
+      else
+        return value;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadInt32", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function ReadInt32 () {
+      var value = this.ReadUInt32();
+      if (value > System.Int32.MaxValue)
+        return value - 4294967296;
+      else
+        return value;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadSByte", 
+    (new JSIL.MethodSignature($.SByte, [], [])), 
+    function ReadSByte () {
+      var byt = this.m_stream.ReadByte();
+      if (byt > 127)
+        return byt - 256;
+      else
+        return byt;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadSingle", 
+    (new JSIL.MethodSignature($.Single, [], [])), 
+    function ReadSingle () {
+      var bytes = this.ReadBytes(4);
+      return this.$decodeFloat(bytes, 1, 8, 23, -126, 127, true);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadString", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function ReadString () {
+      var size = this.Read7BitEncodedInt();
+      if (size <= 0)
+        return "";
+
+      var bytes = this.ReadBytes(size);
+      return this.m_encoding.$decode(bytes, 0, bytes.length);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadUInt16", 
+    (new JSIL.MethodSignature($.UInt16, [], [])), 
+    function ReadUInt16 () {
+      var low = this.m_stream.ReadByte();
+      return low + (this.m_stream.ReadByte() * 256);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadUInt32", 
+    (new JSIL.MethodSignature($.UInt32, [], [])), 
+    function ReadUInt32 () {
+      var low1 = this.m_stream.ReadByte();
+      var low2 = this.m_stream.ReadByte();
+      var low3 = this.m_stream.ReadByte();
+      var low4 = this.m_stream.ReadByte();
+      return low1 + (low2 * 256) + (low3 * 65536) + (low4 * 16777216);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadUInt64", 
+    (new JSIL.MethodSignature($.UInt64, [], [])), 
+    function ReadUInt64 () {
+      var lo = this.ReadUInt32();
+      var hi = this.ReadUInt32();
+      return System.UInt64.FromBits(lo, hi);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadInt64", 
+    (new JSIL.MethodSignature($.Int64, [], [])), 
+    function ReadInt64 () {
+      var lo = this.ReadUInt32();
+      var hi = this.ReadUInt32();
+      return System.Int64.FromBits(lo, hi);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "PeekChar", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function PeekChar () {
+      if (!this.m_stream.get_CanSeek())
+        return -1;
+
+      var position = this.m_stream.get_Position();
+      var text = this.$readChars(1);
+      this.m_stream.set_Position(position);
+
+      return (text.length > 0) ? text.charCodeAt(0) : -1;
+    }
+  );
+
+  // Reads bytes one at a time until count characters have been decoded, so that no bytes past the last
+  //  character are consumed.
+  $.RawMethod(false, "$readChars", function readChars (count) {
+    var decoder = this.m_encoding.GetDecoder();
+    var buffer = [0];
+    var result = "";
+
+    while (result.length < count) {
+      var b = this.m_stream.ReadByte();
+      if (b === -1) {
+        result += decoder.$decode(buffer, 0, 0, true);
+        break;
+      }
+
+      buffer[0] = b;
+      result += decoder.$decode(buffer, 0, 1, false);
+    }
+
+    return result;
+  });
+
+  $.RawMethod(false, "$decodeFloat", 
+    // Derived from http://stackoverflow.com/a/8545403/106786
+    function decodeFloat (bytes, signBits, exponentBits, fractionBits, eMin, eMax, littleEndian) {
+      var totalBits = (signBits + exponentBits + fractionBits);
+
+      var binary = "";
+      for (var i = 0, l = bytes.length; i < l; i++) {
+        var bits = bytes[i].toString(2);
+        while (bits.length < 8) 
+          bits = "0" + bits;
+
+        if (littleEndian)
+          binary = bits + binary;
+        else
+          binary += bits;
+      }
+
+      var sign = (binary.charAt(0) == '1')?-1:1;
+      var exponent = parseInt(binary.substr(signBits, exponentBits), 2) - eMax;
+      var significandBase = binary.substr(signBits + exponentBits, fractionBits);
+      var significandBin = '1'+significandBase;
+      var i = 0;
+      var val = 1;
+      var significand = 0;
+
+      if (exponent == -eMax) {
+          if (significandBase.indexOf('1') == -1)
+              return 0;
+          else {
+              exponent = eMin;
+              significandBin = '0'+significandBase;
+          }
+      }
+
+      while (i < significandBin.length) {
+          significand += val * parseInt(significandBin.charAt(i));
+          val = val / 2;
+          i++;
+      }
+
+      return sign * significand * Math.pow(2, exponent);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Dispose", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Dispose () {
+      this.m_stream = null;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_BaseStream", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.Stream"), [], [])), 
+    function get_BaseStream () {
+      return this.m_stream;
+    }
+  );
+
+});
+
+JSIL.ImplementExternals("System.IO.TextReader", function ($) {
+  var tCharArray = $jsilcore.TypeRef("System.Array", [$.Char]);
+
+  // Derived classes written in C# only override some of these, so calls between them are virtual.
+  var readSignature = new JSIL.MethodSignature($.Int32, [], []);
+  var peekSignature = new JSIL.MethodSignature($.Int32, [], []);
+  var readBufferSignature = new JSIL.MethodSignature($.Int32, [tCharArray, $.Int32, $.Int32], []);
+  var disposeSignature = new JSIL.MethodSignature(null, [$.Boolean], []);
+
+  $.Method({Static:false, Public:true }, "Peek", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function Peek () {
+      return -1;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Read", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function Read () {
+      return -1;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Read", 
+    (new JSIL.MethodSignature($.Int32, [tCharArray, $.Int32, $.Int32], [])), 
+    function Read (buffer, index, count) {
+      $textBufferReader.checkBuffer(buffer, index, count);
+
+      var result = 0;
+
+      for (; result < count; result++) {
+        var ch = readSignature.CallVirtual("Read", null, this);
+        if (ch === -1)
+          break;
+
+        buffer[index + result] = String.fromCharCode(ch);
+      }
+
+      return result;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadBlock", 
+    (new JSIL.MethodSignature($.Int32, [tCharArray, $.Int32, $.Int32], [])), 
+    function ReadBlock (buffer, index, count) {
+      var result = 0, charsRead;
+
+      do {
+        charsRead = readBufferSignature.CallVirtual("Read", null, this, buffer, index + result, count - result);
+        result += charsRead;
+      } while ((charsRead > 0) && (result < count));
+
+      return result;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadLine", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function ReadLine () {
+      var line = [];
+
+      while (true) {
+        var ch = readSignature.CallVirtual("Read", null, this);
+
+        if (ch === -1) {
+          return (line.length > 0) ? line.join("") : null;
+        } else if ((ch === 13) || (ch === 10)) {
+          if ((ch === 13) && (peekSignature.CallVirtual("Peek", null, this) === 10))
+            readSignature.CallVirtual("Read", null, this);
+
+          return line.join("");
+        }
+
+        line.push(String.fromCharCode(ch));
+      }
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadToEnd", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function ReadToEnd () {
+      var result = [];
+
+      while (true) {
+        var ch = readSignature.CallVirtual("Read", null, this);
+        if (ch === -1)
+          break;
+
+        result.push(String.fromCharCode(ch));
+      }
+
+      return result.join("");
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Close", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Close () {
+      disposeSignature.CallVirtual("Dispose", null, this, true);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Dispose", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Dispose () {
+      disposeSignature.CallVirtual("Dispose", null, this, true);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "Dispose", 
+    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
+    function Dispose (disposing) {
+    }
+  );
+});
+
+// Shared by StringReader and StreamReader. Decoded text is kept in this._text and read from
+//  this._position; $fill appends more text to the buffer and returns false once there is none left.
+var $textBufferReader = function ($) {
+  var tCharArray = $jsilcore.TypeRef("System.Array", [$.Char]);
+
+  $.RawMethod(false, "$checkOpen", function checkOpen () {
+    if (this._text === null)
+      throw new System.ObjectDisposedException(null, "Cannot read from a closed TextReader.");
+  });
+
+  // Returns false if the end of the text has been reached.
+  $.RawMethod(false, "$ensureAvailable", function ensureAvailable () {
+    this.$checkOpen();
+
+    while (this._position >= this._text.length) {
+      if (!this.$fill())
+        return false;
+    }
+
+    return true;
+  });
+
+  $.RawMethod(false, "$readAvailable", function readAvailable (count) {
+    if (!this.$ensureAvailable())
+      return "";
+
+    var result = this._text.substr(this._position, count);
+    this._position += result.length;
+
+    return result;
+  });
+
+  var readInto = function (self, buffer, index, count, block) {
+    $textBufferReader.checkBuffer(buffer, index, count);
+
+    var result = 0;
+
+    while (result < count) {
+      var text = self.$readAvailable(count - result);
+      if (text.length === 0)
+        break;
+
+      for (var i = 0; i < text.length; i++)
+        buffer[index + result + i] = text[i];
+
+      result += text.length;
+
+      if (!block)
+        break;
+    }
+
+    return result;
+  };
+
+  $.Method({Static:false, Public:true }, "Peek", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function Peek () {
+      if (!this.$ensureAvailable())
+        return -1;
+
+      return this._text.charCodeAt(this._position);
     }
   );
 
-  $.Method({Static:true , Public:true }, "OpenRead", 
-    (new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.FileStream"), [$.String], [])), 
-    function OpenRead (path) {
-      return new System.IO.FileStream(path, System.IO.FileMode.Open);
+  $.Method({Static:false, Public:true }, "Read", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function Read () {
+      if (!this.$ensureAvailable())
+        return -1;
+
+      return this._text.charCodeAt(this._position++);
     }
   );
 
-  $.Method({Static:true , Public:true }, "ReadAllText", 
-    new JSIL.MethodSignature($.String, [$.String], []),
-    function (filename) {
-      var file = JSIL.Host.getFile(filename);
-      return String.fromCharCode.apply(String, file);
+  $.Method({Static:false, Public:true }, "Read", 
+    (new JSIL.MethodSignature($.Int32, [tCharArray, $.Int32, $.Int32], [])), 
+    function Read (buffer, index, count) {
+      return readInto(this, buffer, index, count, false);
     }
   );
-});
 
-JSIL.ImplementExternals("System.IO.Path", function ($) {
-  var combineImpl = function () {
-    return Array.prototype.slice.call(arguments).join("\\");
-  };
+  $.Method({Static:false, Public:true }, "ReadBlock", 
+    (new JSIL.MethodSignature($.Int32, [tCharArray, $.Int32, $.Int32], [])), 
+    function ReadBlock (buffer, index, count) {
+      return readInto(this, buffer, index, count, true);
+    }
+  );
 
-  $.Method({Static:true , Public:true }, "Combine", 
-    new JSIL.MethodSignature($.String, [$.String, $.String], []),
-    combineImpl
+  $.Method({Static:false, Public:true }, "ReadLine", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function ReadLine () {
+      if (!this.$ensureAvailable())
+        return null;
+
+      var line = "";
+
+      while (true) {
+        var text = this._text;
+        var start = this._position;
+        var end = start;
+
+        while ((end < text.length) && (text[end] !== "\r") && (text[end] !== "\n"))
+          end++;
+
+        line += text.substring(start, end);
+        this._position = end;
+
+        if (end < text.length) {
+          this._position += 1;
+
+          // A carriage return may be the last character that has been decoded so far.
+          if ((text[end] === "\r") && this.$ensureAvailable() && (this._text[this._position] === "\n"))
+            this._position += 1;
+
+          return line;
+        } else if (!this.$ensureAvailable()) {
+          return line;
+        }
+      }
+    }
   );
 
-  $.Method({Static:true , Public:true }, "Combine", 
-    new JSIL.MethodSignature($.String, [
-        $.String, $.String, 
-        $.String
-      ], []),
-    combineImpl
+  $.Method({Static:false, Public:true }, "ReadToEnd", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function ReadToEnd () {
+      this.$checkOpen();
+
+      var result = [this._text.substr(this._position)];
+      this._text = "";
+      this._position = 0;
+
+      while (this.$fill()) {
+        result.push(this._text);
+        this._text = "";
+      }
+
+      return result.join("");
+    }
   );
+};
 
-  $.Method({Static:true , Public:true }, "Combine", 
-    new JSIL.MethodSignature($.String, [
-        $.String, $.String, 
-        $.String, $.String
-      ], []),
-    combineImpl
+$textBufferReader.checkBuffer = function (buffer, index, count) {
+  if (buffer === null)
+    throw new System.ArgumentNullException("buffer");
+  else if ((index < 0) || (count < 0))
+    throw new System.ArgumentOutOfRangeException((index < 0) ? "index" : "count", "Non-negative number required.");
+  else if (buffer.length - index < count)
+    throw new System.ArgumentException("Offset and length were out of bounds for the array or count is greater than the number of elements from index to the end of the source collection.");
+};
+
+JSIL.ImplementExternals("System.IO.StringReader", function ($) {
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function _ctor (s) {
+      if (s === null)
+        throw new System.ArgumentNullException("s");
+
+      this._text = s;
+      this._position = 0;
+    }
   );
 
-  $.Method({Static:true , Public:true }, "GetExtension", 
-    (new JSIL.MethodSignature($.String, [$.String], [])), 
-    function GetExtension (path) {
-      var index = path.lastIndexOf(".");
-      if (index >= 0) {
-        return path.substr(index + 1);
-      }
+  $.RawMethod(false, "$fill", function fill () {
+    return false;
+  });
 
-      return "";
+  $.Method({Static:false, Public:false}, "Dispose", 
+    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
+    function Dispose (disposing) {
+      this._text = null;
     }
   );
+});
 
-  $.Method({Static:true , Public:true }, "GetDirectoryName", 
-    (new JSIL.MethodSignature($.String, [$.String], [])), 
-    function GetDirectoryName (path) {
-      var index = path.lastIndexOf("\\");
-      if (index >= 0) {
-        return path.substr(0, index);
-      }
+JSIL.ImplementExternals(
+  "System.IO.StringReader", $textBufferReader
+);
 
-      return "";
+JSIL.ImplementExternals("System.IO.StreamReader", function ($) {
+  var tStream = $jsilcore.TypeRef("System.IO.Stream");
+  var tEncoding = $jsilcore.TypeRef("System.Text.Encoding");
+
+  var ctorImpl = function (self, stream, encoding, detectEncodingFromByteOrderMarks, bufferSize) {
+    if (stream === null)
+      throw new System.ArgumentNullException("stream");
+    else if (encoding === null)
+      throw new System.ArgumentNullException("encoding");
+    else if (!stream.get_CanRead())
+      throw new System.ArgumentException("Stream was not readable.");
+    else if (bufferSize <= 0)
+      throw new System.ArgumentOutOfRangeException("bufferSize", "Positive number required.");
+
+    self._stream = stream;
+    self._endOfStream = false;
+    self._encoding = encoding || $getUTF8NoBOM();
+    self._decoder = self._encoding.GetDecoder();
+    self._detectEncoding = (detectEncodingFromByteOrderMarks !== false);
+    self._checkPreamble = true;
+    self._byteBuffer = JSIL.Array.New(System.Byte, bufferSize || 4096);
+    self._text = "";
+    self._position = 0;
+  };
+
+  var openFile = function (path) {
+    if (path === null)
+      throw new System.ArgumentNullException("path");
+    else if (path.length === 0)
+      throw new System.ArgumentException("Empty path name is not legal.", "path");
+
+    return new System.IO.FileStream(path, System.IO.FileMode.Open, System.IO.FileAccess.Read);
+  };
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tStream], [])), 
+    function _ctor (stream) {
+      ctorImpl(this, stream);
     }
   );
 
-  $.Method({Static:true , Public:true }, "GetFileName", 
-    (new JSIL.MethodSignature($.String, [$.String], [])), 
-    function GetFileName (path) {
-      var index = path.lastIndexOf("\\");
-      if (index >= 0) {
-        return path.substr(index + 1);
-      }
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tStream, $.Boolean], [])), 
+    function _ctor (stream, detectEncodingFromByteOrderMarks) {
+      ctorImpl(this, stream, undefined, detectEncodingFromByteOrderMarks);
+    }
+  );
 
-      return path;
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tStream, tEncoding], [])), 
+    function _ctor (stream, encoding) {
+      ctorImpl(this, stream, encoding);
     }
   );
 
-  $.Method({Static:true , Public:true }, "GetFileNameWithoutExtension", 
-    (new JSIL.MethodSignature($.String, [$.String], [])), 
-    function GetFileNameWithoutExtension (path) {
-      var index = path.lastIndexOf("\\");
-      if (index >= 0) {
-        path = path.substr(index + 1);
-      }
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tStream, tEncoding, $.Boolean], [])), 
+    function _ctor (stream, encoding, detectEncodingFromByteOrderMarks) {
+      ctorImpl(this, stream, encoding, detectEncodingFromByteOrderMarks);
+    }
+  );
 
-      index = path.indexOf(".");
-      if (index >= 0)
-        path = path.substr(0, index);
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tStream, tEncoding, $.Boolean, $.Int32], [])), 
+    function _ctor (stream, encoding, detectEncodingFromByteOrderMarks, bufferSize) {
+      ctorImpl(this, stream, encoding, detectEncodingFromByteOrderMarks, bufferSize);
+    }
+  );
 
-      return path;
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function _ctor (path) {
+      ctorImpl(this, openFile(path));
     }
   );
-});
 
-JSIL.ImplementExternals("System.IO.Stream", function ($) {
-  $.Method({Static:false, Public:true }, "ReadByte", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function ReadByte () {
-      var buffer = [];
-      var count = this.Read(buffer, 0, 1);
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String, $.Boolean], [])), 
+    function _ctor (path, detectEncodingFromByteOrderMarks) {
+      ctorImpl(this, openFile(path), undefined, detectEncodingFromByteOrderMarks);
+    }
+  );
 
-      if (count >= 1)
-        return buffer[0];
-      else
-        return -1;
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String, tEncoding], [])), 
+    function _ctor (path, encoding) {
+      ctorImpl(this, openFile(path), encoding);
     }
   );
 
-  $.Method({Static:false, Public:true }, "Close", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function Close () {
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String, tEncoding, $.Boolean], [])), 
+    function _ctor (path, encoding, detectEncodingFromByteOrderMarks) {
+      ctorImpl(this, openFile(path), encoding, detectEncodingFromByteOrderMarks);
     }
   );
 
-  $.Method({Static:false, Public:true }, "Dispose", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function Dispose () {
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String, tEncoding, $.Boolean, $.Int32], [])), 
+    function _ctor (path, encoding, detectEncodingFromByteOrderMarks, bufferSize) {
+      ctorImpl(this, openFile(path), encoding, detectEncodingFromByteOrderMarks, bufferSize);
     }
   );
 
-  $.RawMethod(false, "$GetURI", function () {
-    throw new Error("Only valid on streams created from files!");
-  });
-});
+  // A byte order mark at the start of the stream selects the encoding when detection is enabled, and
+  //  the preamble of the chosen encoding is skipped otherwise.
+  $.RawMethod(false, "$skipPreamble", function skipPreamble (bytes, count) {
+    this._checkPreamble = false;
 
-var $bytestream = function ($) {
-  $.Method({Static:false, Public:true }, "Read", 
-    (new JSIL.MethodSignature($.Int32, [
-          $jsilcore.TypeRef("System.Array", [$.Byte]), $.Int32, 
-          $.Int32
-        ], [])), 
-    function Read (buffer, offset, count) {
-      var startPos = this._pos;
-      var endPos = this._pos + count;
+    var encoding = this._detectEncoding ? System.Text.Encoding.$DetectEncoding(bytes, 0, count) : null;
 
-      if (endPos >= this._length) {
-        endPos = this._length - 1;
-        count = endPos - startPos + 1;
-      }
+    if (encoding !== null) {
+      this._encoding = encoding;
+      this._decoder = encoding.GetDecoder();
+    } else {
+      encoding = this._encoding;
+    }
+
+    var preamble = encoding.GetPreamble();
+    if ((preamble.length === 0) || (count < preamble.length))
+      return 0;
 
-      if ((startPos < 0) || (startPos >= this._length))
+    for (var i = 0; i < preamble.length; i++) {
+      if (bytes[i] !== preamble[i])
         return 0;
+    }
 
-      for (var i = 0; i < count; i++) {
-        buffer[i] = this._buffer[startPos + i];
-      }
+    return preamble.length;
+  });
 
-      this._pos += count;
+  $.RawMethod(false, "$fill", function fill () {
+    if (this._endOfStream)
+      return false;
 
-      return count;
+    var bytes = this._byteBuffer;
+    var count = this._stream.Read(bytes, 0, bytes.length);
+    var offset = 0;
+
+    if (this._checkPreamble && (count > 0))
+      offset = this.$skipPreamble(bytes, count);
+
+    var text = this._decoder.$decode(bytes, offset, count - offset, count === 0);
+
+    // Discard the text that has already been read.
+    this._text = this._text.substr(this._position) + text;
+    this._position = 0;
+
+    if (count === 0) {
+      this._endOfStream = true;
+      return text.length > 0;
     }
-  );
 
-  $.Method({Static:false, Public:true }, "$PeekByte", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function PeekByte () {
-      if (this._pos >= this._length)
-        return -1;
+    return true;
+  });
 
-      return this._buffer[this._pos];
+  $.Method({Static:false, Public:true }, "get_BaseStream", 
+    (new JSIL.MethodSignature(tStream, [], [])), 
+    function get_BaseStream () {
+      return this._stream;
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Position", 
-    (new JSIL.MethodSignature($.Int64, [], [])), 
-    function get_Position () {
-      return this._pos;
+  $.Method({Static:false, Public:true }, "get_CurrentEncoding", 
+    (new JSIL.MethodSignature(tEncoding, [], [])), 
+    function get_CurrentEncoding () {
+      return this._encoding;
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Length", 
-    (new JSIL.MethodSignature($.Int64, [], [])), 
-    function get_Length () {
-      return this._length;
+  $.Method({Static:false, Public:true }, "get_EndOfStream", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_EndOfStream () {
+      return !this.$ensureAvailable();
     }
   );
-};
 
-JSIL.ImplementExternals("System.IO.FileStream", function ($) {
-  $.Method({Static:false, Public:false}, ".ctor", 
+  $.Method({Static:false, Public:true }, "DiscardBufferedData", 
     (new JSIL.MethodSignature(null, [], [])), 
-    function _ctor () {
-      System.IO.Stream.prototype._ctor.call(this);
+    function DiscardBufferedData () {
+      this.$checkOpen();
 
-      this._pos = 0;
-      this._length = 0;
+      this._text = "";
+      this._position = 0;
+      this._endOfStream = false;
+      this._decoder.Reset();
     }
   );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$.String, $jsilcore.TypeRef("System.IO.FileMode")], [])), 
-    function _ctor (path, mode) {
-      System.IO.Stream.prototype._ctor.call(this);
-
-      this._fileName = path;
-      this._buffer = JSIL.Host.getFile(path);
-      if (
-        (typeof (this._buffer) === "undefined") ||
-        (typeof (this._buffer.length) !== "number")
-      )
-        throw new System.Exception("Unable to get an array for the file '" + path + "'");
+  $.Method({Static:false, Public:false}, "Dispose", 
+    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
+    function Dispose (disposing) {
+      if (disposing && this._stream)
+        this._stream.Close();
 
-      this._pos = 0;
-      this._length = this._buffer.length;
+      this._stream = null;
+      this._text = null;
     }
   );
-
-  $.RawMethod(false, "$GetURI", function () {
-    var slashRe = /\\/g;
-    var uri = ("./" + this._fileName).replace(slashRe, "/");
-
-    return uri;
-  });
 });
 
 JSIL.ImplementExternals(
-  "System.IO.FileStream", $bytestream
+  "System.IO.StreamReader", $textBufferReader
 );
 
-JSIL.ImplementExternals("System.IO.MemoryStream", function ($) {
-  var ctorBytesImpl = function (self, bytes, writable) {
-    System.IO.Stream.prototype._ctor.call(self);
+JSIL.ImplementExternals("System.IO.TextWriter", function ($) {
+  var tCharArray = $jsilcore.TypeRef("System.Array", [$.Char]);
+  var tFormatProvider = $jsilcore.TypeRef("System.IFormatProvider");
 
-    self._buffer = bytes;
-    self._writable = writable;
-    self._length = self._capacity = bytes.length;
-    self._pos = 0;
-  };
+  var writeCharSignature = new JSIL.MethodSignature(null, [$.Char], []);
+  var disposeSignature = new JSIL.MethodSignature(null, [$.Boolean], []);
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$.Byte])], [])), 
-    function _ctor (buffer) {
-      ctorBytesImpl(this, buffer, true);
+  $.RawMethod(false, "$initTextWriter", function initTextWriter (formatProvider) {
+    this._formatProvider = formatProvider || null;
+    this._newLine = "\r\n";
+  });
+
+  // Every Write and WriteLine overload ends up here. Derived classes written in C# only override
+  //  Write(char), so the text is written one character at a time unless $write is replaced.
+  $.RawMethod(false, "$write", function write (text) {
+    for (var i = 0, l = text.length; i < l; i++)
+      writeCharSignature.CallVirtual("Write", null, this, text[i]);
+  });
+
+  $.RawMethod(false, "$getNewLine", function getNewLine () {
+    return (typeof (this._newLine) === "string") ? this._newLine : "\r\n";
+  });
+
+  $.Method({Static:false, Public:false}, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      this.$initTextWriter(null);
     }
   );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$.Byte]), $.Boolean], [])), 
-    function _ctor (buffer, writable) {
-      ctorBytesImpl(this, buffer, writable);
+  $.Method({Static:false, Public:false}, ".ctor", 
+    (new JSIL.MethodSignature(null, [tFormatProvider], [])), 
+    function _ctor (formatProvider) {
+      this.$initTextWriter(formatProvider);
     }
   );
-});
 
-JSIL.ImplementExternals(
-  "System.IO.MemoryStream", $bytestream
-);
+  $.Method({Static:false, Public:true }, "get_Encoding", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Text.Encoding"), [], [])), 
+    function get_Encoding () {
+      return null;
+    }
+  );
 
-JSIL.ImplementExternals("System.IO.BinaryWriter", function ($) {
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.IO.Stream")], [])), 
-    function _ctor (output) {
-      this.m_stream = output;
+  $.Method({Static:false, Public:true }, "get_FormatProvider", 
+    (new JSIL.MethodSignature(tFormatProvider, [], [])), 
+    function get_FormatProvider () {
+      return this._formatProvider || null;
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_BaseStream", 
-    (new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.Stream"), [], [])), 
-    function get_BaseStream () {
-      return this.m_stream;
+  $.Method({Static:false, Public:true }, "get_NewLine", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function get_NewLine () {
+      return this.$getNewLine();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "set_NewLine", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function set_NewLine (value) {
+      this._newLine = (value === null) ? "\r\n" : value;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [$.Char], [])), 
+    function Write (value) {
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteLine", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function WriteLine () {
+      this.$write(this.$getNewLine());
     }
   );
-});
 
-JSIL.ImplementExternals("System.IO.BinaryReader", function ($) {
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.IO.Stream")], [])), 
-    function _ctor (input) {
-      System.Object.prototype._ctor.call(this);
+  var formatValue = function (self, value) {
+    if (value === null)
+      return "";
 
-      if (typeof (input) !== "object")
-        throw new Error("Invalid stream");
+    return $jsilcore.$FormatComposite(self.get_FormatProvider(), "{0}", [value]);
+  };
 
-      this.m_stream = input;
-      this.m_encoding = System.Text.Encoding.ASCII;
+  var formatComposite = function (self, format, values) {
+    if (format === null)
+      throw new System.ArgumentNullException("format");
+
+    return $jsilcore.$FormatComposite(self.get_FormatProvider(), format, values);
+  };
+
+  var checkChars = function (buffer, index, count) {
+    if (buffer === null)
+      throw new System.ArgumentNullException("buffer");
+    else if ((index < 0) || (count < 0))
+      throw new System.ArgumentOutOfRangeException((index < 0) ? "index" : "count", "Non-negative number required.");
+    else if (buffer.length - index < count)
+      throw new System.ArgumentException("Offset and length were out of bounds for the array or count is greater than the number of elements from index to the end of the source collection.");
+
+    return Array.prototype.slice.call(buffer, index, index + count).join("");
+  };
+
+  // Each entry defines a Write overload and the WriteLine overload that follows it with a newline.
+  var overloads = [
+    [[$.Char], function (value) {
+      return value;
+    }],
+    [[tCharArray], function (buffer) {
+      return (buffer === null) ? "" : buffer.join("");
+    }],
+    [[tCharArray, $.Int32, $.Int32], function (buffer, index, count) {
+      return checkChars(buffer, index, count);
+    }],
+    [[$.String], function (value) {
+      return (value === null) ? "" : value;
+    }],
+    [[$.Object], function (value) {
+      return formatValue(this, value);
+    }],
+    [[$.String, $.Object], function (format, arg0) {
+      return formatComposite(this, format, [arg0]);
+    }],
+    [[$.String, $.Object, $.Object], function (format, arg0, arg1) {
+      return formatComposite(this, format, [arg0, arg1]);
+    }],
+    [[$.String, $.Object, $.Object, $.Object], function (format, arg0, arg1, arg2) {
+      return formatComposite(this, format, [arg0, arg1, arg2]);
+    }],
+    [[$.String, $jsilcore.TypeRef("System.Array", [$.Object])], function (format, arg) {
+      return formatComposite(this, format, arg);
+    }]
+  ];
+
+  var valueTypes = [
+    $.Boolean, $.Int32, $.UInt32, $.Int64, $.UInt64, 
+    $.Single, $.Double, $jsilcore.TypeRef("System.Decimal")
+  ];
+
+  for (var i = 0; i < valueTypes.length; i++) {
+    overloads.push([[valueTypes[i]], function (value) {
+      return formatValue(this, value);
+    }]);
+  }
+
+  var defineOverload = function (argumentTypes, toText) {
+    // Write(char) is the method that derived classes override.
+    if ((argumentTypes.length !== 1) || (argumentTypes[0] !== $.Char)) {
+      $.Method({Static:false, Public:true }, "Write", 
+        (new JSIL.MethodSignature(null, argumentTypes, [])), 
+        function Write () {
+          this.$write(toText.apply(this, arguments));
+        }
+      );
     }
-  );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.IO.Stream"), $jsilcore.TypeRef("System.Text.Encoding")], [])), 
-    function _ctor (input, encoding) {
-      System.Object.prototype._ctor.call(this);
+    $.Method({Static:false, Public:true }, "WriteLine", 
+      (new JSIL.MethodSignature(null, argumentTypes, [])), 
+      function WriteLine () {
+        this.$write(toText.apply(this, arguments) + this.$getNewLine());
+      }
+    );
+  };
 
-      if (typeof (input) !== "object")
-        throw new Error("Invalid stream");
+  for (var i = 0; i < overloads.length; i++)
+    defineOverload(overloads[i][0], overloads[i][1]);
 
-      this.m_stream = input;
-      this.m_encoding = encoding;
+  $.Method({Static:false, Public:true }, "Flush", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Flush () {
     }
   );
 
   $.Method({Static:false, Public:true }, "Close", 
     (new JSIL.MethodSignature(null, [], [])), 
     function Close () {
-      this.m_stream = null;
-      this.m_encoding = null;
+      disposeSignature.CallVirtual("Dispose", null, this, true);
     }
   );
 
-  $.Method({Static:false, Public:false}, "Read7BitEncodedInt", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function Read7BitEncodedInt () {
-      var result = 0, bits = 0;
-
-      while (bits < 35) {
-        var b = this.ReadByte();
-        result |= (b & 127) << bits;
-        bits += 7;
-
-        if ((b & 128) == 0)
-          return result;
-      }
+  $.Method({Static:false, Public:true }, "Dispose", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Dispose () {
+      disposeSignature.CallVirtual("Dispose", null, this, true);
+    }
+  );
 
-      throw new System.FormatException("Bad 7-bit int format");
+  $.Method({Static:false, Public:false}, "Dispose", 
+    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
+    function Dispose (disposing) {
     }
   );
+});
 
-  $.Method({Static:false, Public:true }, "ReadBoolean", 
-    (new JSIL.MethodSignature($.Boolean, [], [])), 
-    function ReadBoolean () {
-      return this.m_stream.ReadByte() != 0;
+JSIL.ImplementExternals("System.IO.StringWriter", function ($) {
+  var tStringBuilder = $jsilcore.TypeRef("System.Text.StringBuilder");
+  var tFormatProvider = $jsilcore.TypeRef("System.IFormatProvider");
+
+  var appendSignature = new JSIL.MethodSignature(tStringBuilder, [$.String], []);
+
+  var ctorImpl = function (self, sb, formatProvider) {
+    if (sb === null)
+      throw new System.ArgumentNullException("sb");
+
+    self.$initTextWriter(formatProvider);
+    self._sb = sb || new System.Text.StringBuilder();
+    self._isOpen = true;
+  };
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      ctorImpl(this, undefined, null);
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadByte", 
-    (new JSIL.MethodSignature($.Byte, [], [])), 
-    function ReadByte () {
-      return this.m_stream.ReadByte();
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tFormatProvider], [])), 
+    function _ctor (formatProvider) {
+      ctorImpl(this, undefined, formatProvider);
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadBytes", 
-    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Array", [$.Byte]), [$.Int32], [])), 
-    function ReadBytes (count) {
-      var result = new Array(count);
-      var bytesRead = this.m_stream.Read(result, 0, count);
-      return result.slice(0, bytesRead);
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tStringBuilder], [])), 
+    function _ctor (sb) {
+      ctorImpl(this, sb, null);
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadChar", 
-    (new JSIL.MethodSignature($.Char, [], [])), 
-    function ReadChar () {
-      return String.fromCharCode(this.m_stream.ReadByte());
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tStringBuilder, tFormatProvider], [])), 
+    function _ctor (sb, formatProvider) {
+      ctorImpl(this, sb, formatProvider);
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadChars", 
-    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Array", [$.Char]), [$.Int32], [])), 
-    function ReadChars (count) {
-      var result = new Array(count);
-      for (var i = 0; i < count; i++) {
-        var b = this.m_stream.ReadByte();
-        if (b === -1)
-          return result.slice(0, i - 1);
+  $.RawMethod(false, "$write", function write (text) {
+    if (!this._isOpen)
+      throw new System.ObjectDisposedException(null, "Cannot write to a closed TextWriter.");
 
-        result[i] = String.fromCharCode(b);
-      };
+    appendSignature.CallVirtual("Append", null, this._sb, text);
+  });
 
-      return result;
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [$.Char], [])), 
+    function Write (value) {
+      this.$write(value);
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadDouble", 
-    (new JSIL.MethodSignature($.Double, [], [])), 
-    function ReadDouble () {
-      var bytes = this.ReadBytes(8);
-      return this.$decodeFloat(bytes, 1, 11, 52, -1022, 1023, true);
+  $.Method({Static:false, Public:true }, "get_Encoding", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Text.Encoding"), [], [])), 
+    function get_Encoding () {
+      return new System.Text.UnicodeEncoding(false, false);
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadInt16", 
-    (new JSIL.MethodSignature($.Int16, [], [])), 
-    function ReadInt16 () {
-      var value = this.ReadUInt16();
-      if (value > System.Int16.MaxValue)
-        return value - 65536;
-      else
-        return value;
+  $.Method({Static:false, Public:true }, "GetStringBuilder", 
+    (new JSIL.MethodSignature(tStringBuilder, [], [])), 
+    function GetStringBuilder () {
+      return this._sb;
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadInt32", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function ReadInt32 () {
-      var value = this.ReadUInt32();
-      if (value > System.Int32.MaxValue)
-        return value - 4294967296;
-      else
-        return value;
+  $.Method({Static:false, Public:true }, "toString", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function toString () {
+      return this._sb.toString();
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadSByte", 
-    (new JSIL.MethodSignature($.SByte, [], [])), 
-    function ReadSByte () {
-      var byt = this.m_stream.ReadByte();
-      if (byt > 127)
-        return byt - 256;
-      else
-        return byt;
+  $.Method({Static:false, Public:false}, "Dispose", 
+    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
+    function Dispose (disposing) {
+      this._isOpen = false;
     }
   );
+});
 
-  $.Method({Static:false, Public:true }, "ReadSingle", 
-    (new JSIL.MethodSignature($.Single, [], [])), 
-    function ReadSingle () {
-      var bytes = this.ReadBytes(4);
-      return this.$decodeFloat(bytes, 1, 8, 23, -126, 127, true);
+JSIL.ImplementExternals("System.IO.StreamWriter", function ($) {
+  var tStream = $jsilcore.TypeRef("System.IO.Stream");
+  var tEncoding = $jsilcore.TypeRef("System.Text.Encoding");
+
+  var ctorImpl = function (self, stream, encoding, bufferSize) {
+    if (stream === null)
+      throw new System.ArgumentNullException("stream");
+    else if (encoding === null)
+      throw new System.ArgumentNullException("encoding");
+    else if (!stream.get_CanWrite())
+      throw new System.ArgumentException("Stream was not writable.");
+    else if (bufferSize <= 0)
+      throw new System.ArgumentOutOfRangeException("bufferSize", "Positive number required.");
+
+    self.$initTextWriter(null);
+    self._stream = stream;
+    self._encoding = encoding || $getUTF8NoBOM();
+    self._encoder = self._encoding.GetEncoder();
+    self._bufferSize = bufferSize || 1024;
+    self._pending = "";
+    self._autoFlush = false;
+
+    // The preamble is not written when appending to a stream that already has contents.
+    self._preambleWritten = stream.get_CanSeek() && (System.Int64.ToNumber(stream.get_Position()) > 0);
+  };
+
+  var openFile = function (path, append) {
+    if (path === null)
+      throw new System.ArgumentNullException("path");
+    else if (path.length === 0)
+      throw new System.ArgumentException("Empty path name is not legal.", "path");
+
+    var mode = append ? System.IO.FileMode.Append : System.IO.FileMode.Create;
+    return new System.IO.FileStream(path, mode, System.IO.FileAccess.Write);
+  };
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tStream], [])), 
+    function _ctor (stream) {
+      ctorImpl(this, stream);
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadString", 
-    (new JSIL.MethodSignature($.String, [], [])), 
-    function ReadString () {
-      var size = this.Read7BitEncodedInt();
-      if (size <= 0)
-        return "";
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tStream, tEncoding], [])), 
+    function _ctor (stream, encoding) {
+      ctorImpl(this, stream, encoding);
+    }
+  );
 
-      var bytes = this.ReadBytes(size);
-      return String.fromCharCode.apply(String, bytes);
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tStream, tEncoding, $.Int32], [])), 
+    function _ctor (stream, encoding, bufferSize) {
+      ctorImpl(this, stream, encoding, bufferSize);
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadUInt16", 
-    (new JSIL.MethodSignature($.UInt16, [], [])), 
-    function ReadUInt16 () {
-      var low = this.m_stream.ReadByte();
-      return low + (this.m_stream.ReadByte() * 256);
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function _ctor (path) {
+      ctorImpl(this, openFile(path, false));
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadUInt32", 
-    (new JSIL.MethodSignature($.UInt32, [], [])), 
-    function ReadUInt32 () {
-      var low1 = this.m_stream.ReadByte();
-      var low2 = this.m_stream.ReadByte();
-      var low3 = this.m_stream.ReadByte();
-      var low4 = this.m_stream.ReadByte();
-      return low1 + (low2 * 256) + (low3 * 65536) + (low4 * 16777216);
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String, $.Boolean], [])), 
+    function _ctor (path, append) {
+      ctorImpl(this, openFile(path, append));
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadUInt64", 
-    (new JSIL.MethodSignature($.UInt64, [], [])), 
-    function ReadUInt64 () {
-      throw new Error('Not implemented');
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String, $.Boolean, tEncoding], [])), 
+    function _ctor (path, append, encoding) {
+      ctorImpl(this, openFile(path, append), encoding);
     }
   );
 
-  $.Method({Static:false, Public:true }, "PeekChar", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function PeekChar () {
-      return String.fromCharCode(this.m_stream.$PeekByte());
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String, $.Boolean, tEncoding, $.Int32], [])), 
+    function _ctor (path, append, encoding, bufferSize) {
+      ctorImpl(this, openFile(path, append), encoding, bufferSize);
     }
   );
 
-  $.RawMethod(false, "$decodeFloat", 
-    // Derived from http://stackoverflow.com/a/8545403/106786
-    function decodeFloat (bytes, signBits, exponentBits, fractionBits, eMin, eMax, littleEndian) {
-      var totalBits = (signBits + exponentBits + fractionBits);
+  // Encodes the pending text and writes it to the stream. When flushEncoder is true, a trailing high
+  //  surrogate is written too instead of waiting for its low surrogate.
+  $.RawMethod(false, "$flush", function flush (flushStream, flushEncoder) {
+    if (this._stream === null)
+      throw new System.ObjectDisposedException(null, "Cannot write to a closed TextWriter.");
 
-      var binary = "";
-      for (var i = 0, l = bytes.length; i < l; i++) {
-        var bits = bytes[i].toString(2);
-        while (bits.length < 8) 
-          bits = "0" + bits;
+    var bytes = this._encoder.$encode(this._pending, flushEncoder);
+    this._pending = "";
 
-        if (littleEndian)
-          binary = bits + binary;
-        else
-          binary += bits;
-      }
+    if (!this._preambleWritten) {
+      this._preambleWritten = true;
+      bytes = this._encoding.GetPreamble().concat(bytes);
+    }
 
-      var sign = (binary.charAt(0) == '1')?-1:1;
-      var exponent = parseInt(binary.substr(signBits, exponentBits), 2) - eMax;
-      var significandBase = binary.substr(signBits + exponentBits, fractionBits);
-      var significandBin = '1'+significandBase;
-      var i = 0;
-      var val = 1;
-      var significand = 0;
+    if (bytes.length > 0)
+      this._stream.Write(bytes, 0, bytes.length);
 
-      if (exponent == -eMax) {
-          if (significandBase.indexOf('1') == -1)
-              return 0;
-          else {
-              exponent = eMin;
-              significandBin = '0'+significandBase;
-          }
-      }
+    if (flushStream)
+      this._stream.Flush();
+  });
 
-      while (i < significandBin.length) {
-          significand += val * parseInt(significandBin.charAt(i));
-          val = val / 2;
-          i++;
-      }
+  $.RawMethod(false, "$write", function write (text) {
+    if (this._stream === null)
+      throw new System.ObjectDisposedException(null, "Cannot write to a closed TextWriter.");
 
-      return sign * significand * Math.pow(2, exponent);
-    }
-  );
+    this._pending += text;
 
-  $.Method({Static:false, Public:true }, "Dispose", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function Dispose () {
-      this.m_stream = null;
+    if (this._autoFlush)
+      this.$flush(true, false);
+    else if (this._pending.length >= this._bufferSize)
+      this.$flush(false, false);
+  });
+
+  $.Method({Static:false, Public:true }, "Write", 
+    (new JSIL.MethodSignature(null, [$.Char], [])), 
+    function Write (value) {
+      this.$write(value);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_BaseStream", 
-    (new JSIL.MethodSignature($jsilcore.TypeRef("System.IO.Stream"), [], [])), 
-    function get_BaseStream () {
-      return this.m_stream;
+  $.Method({Static:false, Public:true }, "get_AutoFlush", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_AutoFlush () {
+      return this._autoFlush;
     }
   );
 
-});
-
-JSIL.ImplementExternals("System.IO.StreamReader", function ($) {
+  $.Method({Static:false, Public:true }, "set_AutoFlush", 
+    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
+    function set_AutoFlush (value) {
+      this._autoFlush = value;
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$.String], [])), 
-    function _ctor (path) {
-      this.stream = new System.IO.FileStream(path, System.IO.FileMode.Open);
+      if (value)
+        this.$flush(true, false);
     }
   );
 
-  $.Method({Static:false, Public:false}, "Dispose", 
-    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
-    function Dispose (disposing) {
-      this.stream = null;
+  $.Method({Static:false, Public:true }, "get_BaseStream", 
+    (new JSIL.MethodSignature(tStream, [], [])), 
+    function get_BaseStream () {
+      return this._stream;
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadLine", 
-    (new JSIL.MethodSignature($.String, [], [])), 
-    function ReadLine () {
-      var line = [];
-
-      while (true) {
-        var ch = this.stream.ReadByte();
-        if (ch === -1) {
-          if (line.length === 0)
-            return null;
-          else
-            break;
-        } else if (ch === 13) {
-          var next = this.stream.$PeekByte();
-          if (next === 10)
-            continue;
-          else if (next === -1) {
-            if (line.length === 0)
-              return null;
-            else
-              break;
-          } else
-            break;
-        } else if (ch === 10) {
-          break;
-        }
-
-        line.push(ch);
-      };
-
-      return String.fromCharCode.apply(null, line);
+  $.Method({Static:false, Public:true }, "get_Encoding", 
+    (new JSIL.MethodSignature(tEncoding, [], [])), 
+    function get_Encoding () {
+      return this._encoding;
     }
   );
-});
 
-JSIL.ImplementExternals("System.IO.TextReader", function ($) {
-  $.Method({Static:false, Public:true }, "Dispose", 
+  $.Method({Static:false, Public:true }, "Flush", 
     (new JSIL.MethodSignature(null, [], [])), 
-    function Dispose () {
+    function Flush () {
+      this.$flush(true, true);
     }
   );
 
   $.Method({Static:false, Public:false}, "Dispose", 
     (new JSIL.MethodSignature(null, [$.Boolean], [])), 
     function Dispose (disposing) {
+      if (this._stream === null)
+        return;
+
+      this.$flush(true, true);
+
+      if (disposing)
+        this._stream.Close();
+
+      this._stream = null;
     }
   );
-});
\ No newline at end of file
+});
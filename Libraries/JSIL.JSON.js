@@ -48,4 +48,702 @@ JSIL.JSON.Parse = function (json) {
   var parsed = JSON.parse(json);
 
   return JSIL.JSON.MapObject(parsed);
-};
\ No newline at end of file
+};
+
+// Data contracts registered with JSIL.JSON.DataContract, by the name of the type (without generic arguments).
+$jsiljson.$DataContracts = {};
+
+// Registers the JSON form of a type, like [DataContract] and [DataMember] do in .NET. Only the listed members are
+//  serialized. Each member maps to its JSON name, or to an object with Name, IsRequired, EmitDefaultValue and Order.
+// Types without a contract use all of their public instance fields and public read/write properties.
+JSIL.JSON.DataContract = function (type, members) {
+  var typeObject = $jsiljson.$ResolveType(type);
+  var contract = {};
+
+  for (var memberName in members) {
+    if (!members.hasOwnProperty(memberName))
+      continue;
+
+    var member = members[memberName];
+    if (typeof (member) === "string")
+      member = { Name: member };
+
+    contract[memberName] = {
+      name: (typeof (member.Name) === "string") ? member.Name : null,
+      isRequired: member.IsRequired === true,
+      emitDefaultValue: member.EmitDefaultValue !== false,
+      order: (typeof (member.Order) === "number") ? member.Order : -1
+    };
+  }
+
+  $jsiljson.$DataContracts[typeObject.__FullNameWithoutArguments__ || typeObject.__FullName__] = contract;
+};
+
+$jsiljson.$ResolveType = function (type) {
+  if ((type === null) || (typeof (type) === "undefined"))
+    throw new System.ArgumentNullException("type");
+
+  return JSIL.ResolveTypeReference(type)[1];
+};
+
+$jsiljson.$GetCorlibType = function (typeName, genericArguments) {
+  var mscorlib = JSIL.GetAssembly("mscorlib", true);
+
+  return JSIL.GetTypeFromAssembly(mscorlib, typeName, genericArguments, true);
+};
+
+// Resolves the declared type of a field or property, including generic parameters of the type that declares it.
+$jsiljson.$ResolveMemberType = function (declaringType, typeReference) {
+  var names = declaringType.__GenericArgumentNames__;
+  var values = declaringType.__GenericArgumentValues__;
+
+  if (JSIL.IsArray(names) && JSIL.IsArray(values)) {
+    var context = {};
+    for (var i = 0; i < values.length; i++)
+      names[i].set(context, values[i]);
+
+    typeReference = JSIL.ResolveGenericTypeReference(typeReference, context) || typeReference;
+  }
+
+  return JSIL.ResolveTypeReference(typeReference, declaringType.__Context__)[1];
+};
+
+$jsiljson.$ApplyNamingPolicy = function (name, options) {
+  var policy = options.namingPolicy;
+
+  if (typeof (policy) === "function")
+    return policy(name);
+  else if (policy === "camelCase")
+    return name.charAt(0).toLowerCase() + name.substr(1);
+  else
+    return name;
+};
+
+// Returns the members of a type that are serialized, with base type members first and each type's members
+//  ordered by their Order and then by name, like the DataContractJsonSerializer.
+$jsiljson.$GetDataMembers = function (typeObject, options) {
+  var bindingFlags = $jsilcore.BindingFlags;
+  var fields = JSIL.GetMembersInternal(typeObject, bindingFlags.Instance, "FieldInfo");
+  var properties = JSIL.GetMembersInternal(typeObject, bindingFlags.Instance, "PropertyInfo");
+  var result = [];
+
+  var getAccessor = function (declaringType, name) {
+    var methods = JSIL.GetMembersInternal(declaringType, bindingFlags.Instance, "MethodInfo", false, name);
+    return methods[0] || null;
+  };
+
+  var getContract = function (declaringType) {
+    return $jsiljson.$DataContracts[declaringType.__FullNameWithoutArguments__ || declaringType.__FullName__] || null;
+  };
+
+  var addMember = function (info, memberType, read, write) {
+    var declaringType = info._typeObject;
+    var contract = getContract(declaringType);
+    var name = info._descriptor.Name;
+    var dataMember = null;
+
+    if (contract !== null) {
+      dataMember = contract[name] || null;
+      if (dataMember === null)
+        return;
+    } else if (!info._descriptor.Public) {
+      return;
+    }
+
+    var depth = 0;
+    for (var baseType = declaringType.__BaseType__; baseType; baseType = baseType.__BaseType__)
+      depth += 1;
+
+    result.push({
+      name: name,
+      jsonName: ((dataMember !== null) && (dataMember.name !== null)) ? dataMember.name : $jsiljson.$ApplyNamingPolicy(name, options),
+      type: memberType,
+      isRequired: (dataMember !== null) && dataMember.isRequired,
+      emitDefaultValue: (dataMember === null) || dataMember.emitDefaultValue,
+      order: (dataMember !== null) ? dataMember.order : -1,
+      depth: depth,
+      read: read,
+      write: write
+    });
+  };
+
+  for (var i = 0; i < fields.length; i++) {
+    var field = fields[i];
+    var key = field._descriptor.EscapedName;
+
+    addMember(
+      field, $jsiljson.$ResolveMemberType(field._typeObject, field._data.fieldType),
+      (function (key) {
+        return function (instance) {
+          return instance[key];
+        };
+      })(key),
+      (function (key) {
+        return function (instance, value) {
+          instance[key] = value;
+        };
+      })(key)
+    );
+  }
+
+  for (var i = 0; i < properties.length; i++) {
+    var property = properties[i];
+    var getter = getAccessor(property._typeObject, "get_" + property._descriptor.Name);
+    var setter = getAccessor(property._typeObject, "set_" + property._descriptor.Name);
+
+    // Indexers and read-only or write-only properties cannot be round-tripped.
+    if ((getter === null) || (setter === null) || (getter._data.signature.argumentTypes.length > 0))
+      continue;
+    if ((getContract(property._typeObject) === null) && (!getter._descriptor.Public || !setter._descriptor.Public))
+      continue;
+
+    addMember(
+      property, $jsiljson.$ResolveMemberType(property._typeObject, getter._data.signature.returnType),
+      (function (name) {
+        return function (instance) {
+          return instance[name]();
+        };
+      })(getter._data.mangledName),
+      (function (name) {
+        return function (instance, value) {
+          instance[name](value);
+        };
+      })(setter._data.mangledName)
+    );
+  }
+
+  result.sort(function (lhs, rhs) {
+    if (lhs.depth !== rhs.depth)
+      return lhs.depth - rhs.depth;
+    else if (lhs.order !== rhs.order)
+      return lhs.order - rhs.order;
+    else if (lhs.jsonName !== rhs.jsonName)
+      return (lhs.jsonName < rhs.jsonName) ? -1 : 1;
+    else
+      return 0;
+  });
+
+  return result;
+};
+
+$jsiljson.$IsGenericType = function (typeObject, openTypeName) {
+  return typeObject.__FullNameWithoutArguments__ === openTypeName;
+};
+
+$jsiljson.$FormatError = function (message, path) {
+  return new System.FormatException(message + " (at '" + (path || "$") + "')");
+};
+
+// The range of each integral type. The upper bounds are exclusive so that the 64-bit ones are exact doubles.
+$jsiljson.$IntegralRanges = {
+  "System.SByte": [-128, 128],
+  "System.Byte": [0, 256],
+  "System.Int16": [-32768, 32768],
+  "System.UInt16": [0, 65536],
+  "System.Int32": [-2147483648, 2147483648],
+  "System.UInt32": [0, 4294967296],
+  "System.Int64": [-9223372036854775808, 9223372036854775808],
+  "System.UInt64": [0, 18446744073709551616]
+};
+
+// Larger integers are not all exact as doubles, so JSON numbers beyond this may have lost precision.
+$jsiljson.$MaxSafeInteger = 9007199254740991;
+
+$jsiljson.$ReadInteger = function (value, typeName, path) {
+  var range = $jsiljson.$IntegralRanges[typeName];
+
+  if (Math.floor(value) !== value)
+    throw $jsiljson.$FormatError("Expected an integer but found " + value + ".", path);
+  else if (range && ((value < range[0]) || (value >= range[1])))
+    throw $jsiljson.$FormatError("The value " + value + " is out of range for a value of type '" + typeName + "'.", path);
+
+  return value;
+};
+
+$jsiljson.$Parse = function (json) {
+  try {
+    return JSON.parse(json);
+  } catch (exc) {
+    if (exc instanceof SyntaxError)
+      throw $jsiljson.$FormatError("The JSON is not well-formed: " + exc.message, "$");
+
+    throw exc;
+  }
+};
+
+// Converts a parsed JSON value into an instance of typeObject.
+$jsiljson.$ReadValue = function (value, typeObject, options, path) {
+  var typeName = typeObject.__FullName__;
+  var valueKind = JSIL.IsArray(value) ? "array" : ((value === null) ? "null" : typeof (value));
+
+  var expect = function (kind) {
+    if (valueKind !== kind)
+      throw $jsiljson.$FormatError("Expected " + kind + " for a value of type '" + typeName + "' but found " + valueKind + ".", path);
+  };
+
+  if (typeName === "System.Object")
+    return JSIL.JSON.MapObject(value);
+
+  if ($jsiljson.$IsGenericType(typeObject, "System.Nullable`1")) {
+    if (value === null)
+      return null;
+
+    return $jsiljson.$ReadValue(value, typeObject.__GenericArgumentValues__[0], options, path);
+  }
+
+  if (value === null) {
+    if (typeObject.__IsReferenceType__ && !typeObject.IsEnum)
+      return null;
+
+    throw $jsiljson.$FormatError("A value of type '" + typeName + "' cannot be null.", path);
+  }
+
+  switch (typeName) {
+    case "System.String":
+      expect("string");
+      return value;
+
+    case "System.Char":
+      expect("string");
+      if (value.length !== 1)
+        throw $jsiljson.$FormatError("Expected a single character but found '" + value + "'.", path);
+
+      return value;
+
+    case "System.Boolean":
+      expect("boolean");
+      return value;
+
+    case "System.Int64":
+    case "System.UInt64":
+      if (valueKind === "string") {
+        try {
+          return typeObject.__PublicInterface__.Parse(value);
+        } catch (exc) {
+          throw $jsiljson.$FormatError("'" + value + "' is not a valid value of type '" + typeName + "'.", path);
+        }
+      }
+
+      expect("number");
+      $jsiljson.$ReadInteger(value, typeName, path);
+
+      // Numbers beyond 2^53 have already lost precision when the JSON was parsed.
+      if (Math.abs(value) > $jsiljson.$MaxSafeInteger)
+        throw $jsiljson.$FormatError("The value " + value + " cannot be represented exactly; values of type '" + typeName + "' this large must be written as strings.", path);
+
+      return typeObject.__PublicInterface__.FromNumber(value);
+
+    case "System.Decimal":
+      if (valueKind === "string")
+        return System.Decimal.Parse(value, System.Globalization.CultureInfo.get_InvariantCulture());
+
+      expect("number");
+      return System.Decimal.$Coerce(value);
+
+    case "System.DateTime":
+      expect("string");
+      // 128 is DateTimeStyles.RoundtripKind, which keeps the kind of the time the text specifies.
+      return System.DateTime.Parse(value, System.Globalization.CultureInfo.get_InvariantCulture(), 128);
+  }
+
+  if (typeObject.IsEnum)
+    return $jsiljson.$ReadEnum(value, typeObject, path);
+
+  if (typeObject.__IsNumeric__) {
+    // JSON has no literals for these, so they are written as strings.
+    if (!typeObject.__IsIntegral__ && $jsiljson.$NonFiniteValues.hasOwnProperty(value))
+      return $jsiljson.$NonFiniteValues[value];
+
+    expect("number");
+
+    if (typeObject.__IsIntegral__)
+      return $jsiljson.$ReadInteger(value, typeName, path);
+
+    return value;
+  }
+
+  if (typeObject.__IsArray__ && (valueKind === "object"))
+    return $jsiljson.$ReadMultidimensionalArray(value, typeObject.__ElementType__ || $jsiljson.$GetCorlibType("System.Object"), options, path);
+
+  if (typeObject.__IsArray__) {
+    expect("array");
+
+    var elementType = typeObject.__ElementType__;
+    var array = JSIL.Array.New(elementType, value.length);
+
+    for (var i = 0; i < value.length; i++)
+      array[i] = $jsiljson.$ReadValue(value[i], elementType, options, path + "[" + i + "]");
+
+    return array;
+  }
+
+  // Collection interfaces are populated with the standard implementations.
+  if (
+    $jsiljson.$IsGenericType(typeObject, "System.Collections.Generic.IEnumerable`1") ||
+    $jsiljson.$IsGenericType(typeObject, "System.Collections.Generic.ICollection`1") ||
+    $jsiljson.$IsGenericType(typeObject, "System.Collections.Generic.IList`1")
+  ) {
+    typeObject = $jsiljson.$GetCorlibType("System.Collections.Generic.List`1", typeObject.__GenericArgumentValues__);
+  } else if ($jsiljson.$IsGenericType(typeObject, "System.Collections.Generic.IDictionary`2")) {
+    typeObject = $jsiljson.$GetCorlibType("System.Collections.Generic.Dictionary`2", typeObject.__GenericArgumentValues__);
+  }
+
+  if ($jsiljson.$IsGenericType(typeObject, "System.Collections.Generic.List`1")) {
+    expect("array");
+
+    var itemType = typeObject.__GenericArgumentValues__[0];
+    var list = JSIL.CreateInstanceOfType(typeObject, "_ctor", []);
+
+    for (var i = 0; i < value.length; i++)
+      list.Add($jsiljson.$ReadValue(value[i], itemType, options, path + "[" + i + "]"));
+
+    return list;
+  }
+
+  if ($jsiljson.$IsGenericType(typeObject, "System.Collections.Generic.Dictionary`2")) {
+    expect("object");
+
+    var keyType = typeObject.__GenericArgumentValues__[0];
+    var valueType = typeObject.__GenericArgumentValues__[1];
+    var dictionary = JSIL.CreateInstanceOfType(typeObject, "_ctor", []);
+
+    for (var k in value) {
+      if (!value.hasOwnProperty(k))
+        continue;
+
+      dictionary.Add(
+        $jsiljson.$ReadKey(k, keyType, path),
+        $jsiljson.$ReadValue(value[k], valueType, options, path + "." + k)
+      );
+    }
+
+    return dictionary;
+  }
+
+  if (typeObject.IsInterface)
+    throw $jsiljson.$FormatError("Cannot create an instance of the interface '" + typeName + "'.", path);
+
+  expect("object");
+  return $jsiljson.$ReadObject(value, typeObject, options, path);
+};
+
+$jsiljson.$NonFiniteValues = {
+  "NaN": NaN,
+  "Infinity": Infinity,
+  "-Infinity": -Infinity
+};
+
+// Multidimensional arrays are written as their dimensions and their items in row-major order.
+$jsiljson.$ReadMultidimensionalArray = function (value, elementType, options, path) {
+  if (!JSIL.IsArray(value.dimensions) || !JSIL.IsArray(value.items))
+    throw $jsiljson.$FormatError("Expected an object with 'dimensions' and 'items' for a multidimensional array.", path);
+
+  var totalSize = 1;
+  for (var i = 0; i < value.dimensions.length; i++)
+    totalSize *= value.dimensions[i];
+
+  if (totalSize !== value.items.length)
+    throw $jsiljson.$FormatError("Expected " + totalSize + " items for the dimensions [" + value.dimensions + "] but found " + value.items.length + ".", path);
+
+  var items = new Array(totalSize);
+  for (var i = 0; i < totalSize; i++)
+    items[i] = $jsiljson.$ReadValue(value.items[i], elementType, options, path + ".items[" + i + "]");
+
+  return JSIL.MultidimensionalArray.New.apply(null, [elementType].concat(value.dimensions, [items]));
+};
+
+// Like the DataContractJsonSerializer, objects are created without running their constructors.
+$jsiljson.$ReadObject = function (value, typeObject, options, path) {
+  var result = JSIL.CreateInstanceOfType(typeObject, null);
+  var members = $jsiljson.$GetDataMembers(typeObject, options);
+
+  for (var i = 0; i < members.length; i++) {
+    var member = members[i];
+
+    if (!value.hasOwnProperty(member.jsonName)) {
+      if (member.isRequired)
+        throw $jsiljson.$FormatError("The required member '" + member.jsonName + "' of type '" + typeObject.__FullName__ + "' is missing.", path);
+
+      continue;
+    }
+
+    member.write(result, $jsiljson.$ReadValue(value[member.jsonName], member.type, options, path + "." + member.jsonName));
+  }
+
+  return result;
+};
+
+// Enums are read from their numeric values or from their names, which are comma-separated for flags.
+$jsiljson.$ReadEnum = function (value, typeObject, path) {
+  if (typeof (value) === "number")
+    return JSIL.Cast(value, typeObject);
+  else if (typeof (value) !== "string")
+    throw $jsiljson.$FormatError("Expected a name or number for a value of type '" + typeObject.__FullName__ + "'.", path);
+
+  var names = value.split(",");
+  var result = 0;
+
+  for (var i = 0; i < names.length; i++) {
+    var name = names[i].trim();
+
+    if (/^-?[0-9]+$/.test(name))
+      result |= parseInt(name, 10);
+    else if ((typeObject.__Names__.indexOf(name) >= 0) && ((i === 0) || typeObject.__IsFlagsEnum__))
+      result |= typeObject[name].value;
+    else
+      throw $jsiljson.$FormatError("'" + value + "' is not a value of type '" + typeObject.__FullName__ + "'.", path);
+  }
+
+  return JSIL.Cast(result, typeObject);
+};
+
+// Dictionary keys are always strings in JSON.
+$jsiljson.$ReadKey = function (key, typeObject, path) {
+  var typeName = typeObject.__FullName__;
+
+  switch (typeName) {
+    case "System.String":
+    case "System.Char":
+    case "System.Boolean":
+    // These are read from strings exactly, the same way as their values.
+    case "System.Int64":
+    case "System.UInt64":
+    case "System.Decimal":
+      return $jsiljson.$ReadValue(key, typeObject, {}, path);
+  }
+
+  if (typeObject.IsEnum)
+    return $jsiljson.$ReadEnum(/^-?[0-9]+$/.test(key) ? parseInt(key, 10) : key, typeObject, path);
+
+  if (typeObject.__IsNumeric__) {
+    var number = $jsilcore.$ParseFloat(key, System.Globalization.CultureInfo.get_InvariantCulture());
+    if (number === null)
+      throw $jsiljson.$FormatError("'" + key + "' is not a valid value of type '" + typeName + "'.", path);
+
+    return $jsiljson.$ReadValue(number, typeObject, {}, path);
+  }
+
+  return $jsiljson.$ReadValue(key, typeObject, {}, path);
+};
+
+// Appends the JSON text for a value to the parts of the writer state.
+// Structs are written by value, so only reference types are checked for cycles.
+$jsiljson.$WriteValue = function (value, state, path) {
+  if ((value === null) || (typeof (value) === "undefined")) {
+    state.parts.push("null");
+    return;
+  }
+
+  switch (typeof (value)) {
+    case "string":
+      state.parts.push(JSON.stringify(value));
+      return;
+
+    case "boolean":
+      state.parts.push(value ? "true" : "false");
+      return;
+
+    case "number":
+      if (isFinite(value))
+        state.parts.push(String(value));
+      else
+        state.parts.push(JSON.stringify(String(value)));
+
+      return;
+  }
+
+  if (JSIL.IsArray(value)) {
+    $jsiljson.$EnterReference(value, state, path);
+    $jsiljson.$WriteItems(state, "[", "]", value.length, function (i) {
+      $jsiljson.$WriteValue(value[i], state, path + "[" + i + "]");
+    });
+    state.stack.pop();
+    return;
+  }
+
+  if (Object.getPrototypeOf(value) === JSIL.MultidimensionalArray.prototype) {
+    $jsiljson.$EnterReference(value, state, path);
+    $jsiljson.$WriteProperties(state, ["dimensions", "items"], function (key) {
+      $jsiljson.$WriteValue(value["_" + key], state, path + "." + key);
+    });
+    state.stack.pop();
+    return;
+  }
+
+  if (Object.getPrototypeOf(value) === Object.prototype) {
+    $jsiljson.$EnterReference(value, state, path);
+    $jsiljson.$WriteProperties(state, Object.keys(value), function (key) {
+      $jsiljson.$WriteValue(value[key], state, path + "." + key);
+    });
+    state.stack.pop();
+    return;
+  }
+
+  var typeObject = JSIL.GetType(value);
+  var scalar = $jsiljson.$FormatScalar(value, typeObject, state.options);
+
+  if (scalar !== null) {
+    state.parts.push(scalar.isNumber ? scalar.text : JSON.stringify(scalar.text));
+    return;
+  }
+
+  if (!typeObject.__IsStruct__)
+    $jsiljson.$EnterReference(value, state, path);
+
+  if ($jsiljson.$IsGenericType(typeObject, "System.Collections.Generic.Dictionary`2")) {
+    var pairs = JSIL.EnumerableToArray(value);
+    var keys = [], values = [];
+
+    for (var i = 0; i < pairs.length; i++) {
+      var key = pairs[i].get_Key();
+      var keyScalar = (typeof (key) === "object") ? $jsiljson.$FormatScalar(key, JSIL.GetType(key), state.options) : null;
+
+      keys.push((keyScalar !== null) ? keyScalar.text : String(key));
+      values.push(pairs[i].get_Value());
+    }
+
+    $jsiljson.$WriteProperties(state, keys, function (key, i) {
+      $jsiljson.$WriteValue(values[i], state, path + "." + key);
+    });
+  } else if (JSIL.CheckType(value, System.Collections.IEnumerable)) {
+    var items = JSIL.EnumerableToArray(value);
+
+    $jsiljson.$WriteItems(state, "[", "]", items.length, function (i) {
+      $jsiljson.$WriteValue(items[i], state, path + "[" + i + "]");
+    });
+  } else {
+    var members = $jsiljson.$GetDataMembers(typeObject, state.options);
+    var written = [], memberValues = [];
+
+    for (var i = 0; i < members.length; i++) {
+      var member = members[i];
+      var memberValue = member.read(value);
+
+      if (!member.emitDefaultValue && JSIL.ObjectEquals(memberValue, JSIL.DefaultValue(member.type)))
+        continue;
+
+      written.push(member.jsonName);
+      memberValues.push(memberValue);
+    }
+
+    $jsiljson.$WriteProperties(state, written, function (key, i) {
+      $jsiljson.$WriteValue(memberValues[i], state, path + "." + key);
+    });
+  }
+
+  if (!typeObject.__IsStruct__)
+    state.stack.pop();
+};
+
+// Returns the text of values that are written as a single JSON string or number, or null for other values.
+// Int64, UInt64 and Decimal values are written as strings so that JSON.parse does not round them.
+$jsiljson.$FormatScalar = function (value, typeObject, options) {
+  if (typeObject.IsEnum) {
+    if (options.enumFormat === "name")
+      return { text: String(value), isNumber: false };
+    else
+      return { text: String(value.value), isNumber: true };
+  }
+
+  switch (typeObject.__FullName__) {
+    case "System.Int64":
+    case "System.UInt64":
+    case "System.Decimal":
+      return { text: value.toString(), isNumber: false };
+
+    case "System.DateTime":
+      return { text: value.ToString("o", System.Globalization.CultureInfo.get_InvariantCulture()), isNumber: false };
+  }
+
+  return null;
+};
+
+$jsiljson.$EnterReference = function (value, state, path) {
+  for (var i = 0; i < state.stack.length; i++) {
+    if (state.stack[i].value !== value)
+      continue;
+
+    throw new System.InvalidOperationException(
+      "Cannot serialize a cycle: the value at '" + path + "' is the same " + JSIL.GetTypeName(value) +
+      " as the value at '" + state.stack[i].path + "' that contains it."
+    );
+  }
+
+  state.stack.push({ value: value, path: path });
+};
+
+$jsiljson.$WriteItems = function (state, open, close, count, writeItem) {
+  if (count === 0) {
+    state.parts.push(open + close);
+    return;
+  }
+
+  var outerIndent = state.currentIndent;
+  var innerIndent = outerIndent + state.indent;
+
+  state.parts.push(open);
+
+  for (var i = 0; i < count; i++) {
+    if (i > 0)
+      state.parts.push(",");
+
+    if (state.indent.length > 0)
+      state.parts.push(state.newLine + innerIndent);
+
+    state.currentIndent = innerIndent;
+    writeItem(i);
+  }
+
+  state.currentIndent = outerIndent;
+
+  if (state.indent.length > 0)
+    state.parts.push(state.newLine + outerIndent);
+
+  state.parts.push(close);
+};
+
+$jsiljson.$WriteProperties = function (state, keys, writeValue) {
+  $jsiljson.$WriteItems(state, "{", "}", keys.length, function (i) {
+    state.parts.push(JSON.stringify(keys[i]) + ((state.indent.length > 0) ? ": " : ":"));
+    writeValue(keys[i], i);
+  });
+};
+
+// Parses JSON into an instance of a translated type, populating its fields and properties.
+// Supported options: namingPolicy, which is "camelCase" or a function mapping member names to JSON names.
+JSIL.JSON.Deserialize = function (json, type, options) {
+  if (json === null)
+    throw new System.ArgumentNullException("json");
+
+  var typeObject = $jsiljson.$ResolveType(type);
+
+  return $jsiljson.$ReadValue($jsiljson.$Parse(json), typeObject, options || {}, "$");
+};
+
+// Writes the fields and properties of an object as JSON, in the form JSIL.JSON.Deserialize reads.
+// Supported options:
+//  namingPolicy: as for JSIL.JSON.Deserialize.
+//  enumFormat: "value" (the default) writes enums as numbers, "name" writes them as their names.
+//  indent: a number of spaces or a string to indent nested values with. By default nothing is indented.
+//  newLine: the line break written before indented values. Defaults to "\n".
+// Throws an InvalidOperationException if an object contains itself.
+JSIL.JSON.Serialize = function (value, options) {
+  options = options || {};
+
+  var indent = options.indent || "";
+  if (typeof (indent) === "number")
+    indent = new Array(indent + 1).join(" ");
+
+  var state = {
+    options: options,
+    indent: indent,
+    newLine: (typeof (options.newLine) === "string") ? options.newLine : "\n",
+    currentIndent: "",
+    parts: [],
+    stack: []
+  };
+
+  $jsiljson.$WriteValue(value, state, "$");
+
+  return state.parts.join("");
+};
@@ -9,1013 +9,6655 @@ JSIL.DeclareNamespace("JSIL");
 JSIL.DeclareNamespace("JSIL.XML");
 JSIL.DeclareNamespace("System");
 JSIL.DeclareNamespace("System.Xml");
+JSIL.DeclareNamespace("System.Xml.Linq");
 
 var $xmlasms = new JSIL.AssemblyCollection({
     5: "mscorlib, Version=4.0.0.0, Culture=neutral, PublicKeyToken=b77a5c561934e089", 
     6: "System, Version=4.0.0.0, Culture=neutral, PublicKeyToken=b77a5c561934e089", 
     16: "System.Xml, Version=4.0.0.0, Culture=neutral, PublicKeyToken=b77a5c561934e089", 
+    17: "System.Xml.Linq, Version=4.0.0.0, Culture=neutral, PublicKeyToken=b77a5c561934e089", 
   });
 
-JSIL.XML.ReaderFromStream = function (stream) {
-  var bytes = new Array(stream.Length);
-  stream.Read(bytes, 0, stream.Length);
+// Decodes the stream as it is read. Documents without a byte order mark are UTF-8.
+JSIL.XML.ReaderFromStream = function (stream, closeInput) {
+  var buffer = new Array(4096);
+  var decoder = null;
+  var flushed = false;
 
-  var xml = String.fromCharCode.apply(String, bytes);
+  var tokenizer = new JSIL.XML.Tokenizer(function () {
+    if (flushed)
+      return null;
+
+    var count = stream.Read(buffer, 0, buffer.length);
+    var offset = 0;
+
+    if (decoder === null) {
+      var encoding = System.Text.Encoding.$DetectEncoding(buffer, 0, count);
+
+      if (encoding !== null)
+        offset = encoding.GetPreamble().length;
+      else
+        encoding = System.Text.Encoding.UTF8;
+
+      decoder = encoding.GetDecoder();
+    }
+
+    if (count <= 0) {
+      flushed = true;
+      return decoder.$decode(buffer, 0, 0, true);
+    }
+
+    return decoder.$decode(buffer, offset, count - offset, false);
+  });
+
+  return JSIL.CreateInstanceOfType(
+    System.Xml.XmlReader.__Type__, "$fromNodeSource", [tokenizer, closeInput ? stream : null]
+  );
+};
+
+// When set, documents are parsed by the host's DOMParser if it has one. The DOM cannot tell empty 
+//  elements from elements without content and drops the XML declaration, so this is off by default.
+JSIL.XML.UseDOMParser = false;
+
+JSIL.XML.ReaderFromString = function (xml) {
+  if (JSIL.XML.UseDOMParser && (typeof (DOMParser) !== "undefined")) {
+    var parser = new DOMParser();
+    var root = parser.parseFromString(xml, "application/xml");
+
+    if ((root === null) || (root.documentElement.localName == "parsererror")) {
+      throw new Error("Failed to parse XML document");
+    }
+
+    return JSIL.CreateInstanceOfType(
+      System.Xml.XmlReader.__Type__, "$fromDOMNode", [root]
+    );
+  }
+
+  var done = false;
+  var tokenizer = new JSIL.XML.Tokenizer(function () {
+    if (done)
+      return null;
+
+    done = true;
+    return xml;
+  });
+
+  return JSIL.CreateInstanceOfType(
+    System.Xml.XmlReader.__Type__, "$fromNodeSource", [tokenizer, null]
+  );
+};
+
+JSIL.XML.ReaderFromTextReader = function (textReader) {
+  var readSignature = new JSIL.MethodSignature(
+    $xmlasms[5].TypeRef("System.Int32"), [
+      $jsilcore.TypeRef("System.Array", [$xmlasms[5].TypeRef("System.Char")]), 
+      $xmlasms[5].TypeRef("System.Int32"), $xmlasms[5].TypeRef("System.Int32")
+    ], []
+  );
+  var buffer = new Array(4096);
+
+  var tokenizer = new JSIL.XML.Tokenizer(function () {
+    var count = readSignature.CallVirtual("Read", null, textReader, buffer, 0, buffer.length);
+    if (count <= 0)
+      return null;
+
+    return buffer.slice(0, count).join("");
+  });
+
+  return JSIL.CreateInstanceOfType(
+    System.Xml.XmlReader.__Type__, "$fromNodeSource", [tokenizer, null]
+  );
+};
+
+// Readers pull their nodes from a node source, which returns a node record from next() or null at the end 
+//  of the document. A record has a nodeType, name, prefix, localName, namespaceURI, value and depth; 
+//  elements also have isEmptyElement and an array of attribute records.
+(function () {
+  var xmlNamespace = "http://www.w3.org/XML/1998/namespace";
+  var xmlnsNamespace = "http://www.w3.org/2000/xmlns/";
+
+  var namedEntities = {
+    lt: "<", gt: ">", amp: "&", apos: "'", quot: "\""
+  };
+
+  var isWhitespace = function (text) {
+    return /^[ \t\r\n]*$/.test(text);
+  };
+
+  var makeNode = function (nodeType, name, value, depth) {
+    var colon = name.indexOf(":");
+
+    return {
+      nodeType: nodeType,
+      name: name,
+      prefix: (colon > 0) ? name.substr(0, colon) : "",
+      localName: (colon > 0) ? name.substr(colon + 1) : name,
+      namespaceURI: "",
+      value: value,
+      depth: depth,
+      isEmptyElement: false,
+      attributes: []
+    };
+  };
+
+  // Tokenizes XML text as it is needed. readChunk is called whenever more text is needed and returns the 
+  //  next piece of the document, or null at its end.
+  JSIL.XML.Tokenizer = function (readChunk) {
+    this.readChunk = readChunk;
+    this.text = "";
+    this.position = 0;
+    this.atEnd = false;
+    this.pendingCR = false;
+
+    // Text before the start of the buffer that has already been tokenized.
+    this.discardedLength = 0;
+    this.discardedLines = 0;
+    this.discardedLineStart = 0;
+
+    this.scopes = [];
+    this.nodeCount = 0;
+    this.sawRoot = false;
+  };
+
+  JSIL.XML.Tokenizer.prototype.fill = function () {
+    if (this.atEnd)
+      return false;
+
+    var chunk = this.readChunk();
+
+    if (chunk === null) {
+      this.atEnd = true;
+
+      if (this.pendingCR)
+        this.text += "\n";
+
+      return this.pendingCR;
+    }
+
+    if (this.pendingCR)
+      chunk = "\r" + chunk;
+
+    // A carriage return at the end of a chunk may be the first half of a CRLF.
+    this.pendingCR = (chunk.charAt(chunk.length - 1) === "\r");
+    if (this.pendingCR)
+      chunk = chunk.substr(0, chunk.length - 1);
+
+    this.text += chunk.replace(/\r\n?/g, "\n");
+    return true;
+  };
+
+  JSIL.XML.Tokenizer.prototype.ensure = function (count) {
+    while (this.text.length - this.position < count) {
+      if (!this.fill())
+        return false;
+    }
+
+    return true;
+  };
+
+  JSIL.XML.Tokenizer.prototype.startsWith = function (str) {
+    return this.ensure(str.length) && (this.text.substr(this.position, str.length) === str);
+  };
+
+  JSIL.XML.Tokenizer.prototype.indexOf = function (str) {
+    var from = this.position;
+
+    while (true) {
+      var index = this.text.indexOf(str, from);
+      if (index >= 0)
+        return index;
+
+      from = Math.max(this.position, this.text.length - str.length + 1);
+
+      if (!this.fill())
+        return -1;
+    }
+  };
+
+  // Drops the text that has already been tokenized so that long documents are not kept in memory.
+  JSIL.XML.Tokenizer.prototype.compact = function () {
+    if (this.position < 65536)
+      return;
+
+    var discarded = this.text.substr(0, this.position);
+    var lastNewLine = discarded.lastIndexOf("\n");
+
+    if (lastNewLine >= 0) {
+      this.discardedLines += discarded.split("\n").length - 1;
+      this.discardedLineStart = this.discardedLength + lastNewLine + 1;
+    }
+
+    this.discardedLength += this.position;
+    this.text = this.text.substr(this.position);
+    this.position = 0;
+  };
+
+  JSIL.XML.Tokenizer.prototype.error = function (message, position) {
+    if (typeof (position) !== "number")
+      position = this.position;
+
+    var before = this.text.substr(0, position);
+    var lastNewLine = before.lastIndexOf("\n");
+    var lineNumber = this.discardedLines + before.split("\n").length;
+    var lineStart = (lastNewLine >= 0) ? 
+      this.discardedLength + lastNewLine + 1 : this.discardedLineStart;
+
+    return new System.Xml.XmlException(
+      message, null, lineNumber, this.discardedLength + position - lineStart + 1
+    );
+  };
+
+  JSIL.XML.Tokenizer.prototype.readUntil = function (terminator, what) {
+    var index = this.indexOf(terminator);
+    if (index < 0)
+      throw this.error("Unexpected end of file while parsing " + what + " has occurred.", this.text.length);
+
+    var result = this.text.substring(this.position, index);
+    this.position = index + terminator.length;
+    return result;
+  };
+
+  JSIL.XML.Tokenizer.prototype.skipWhitespace = function () {
+    var start = this.position;
+
+    while (this.ensure(1) && /[ \t\n]/.test(this.text.charAt(this.position)))
+      this.position += 1;
+
+    return this.position > start;
+  };
+
+  JSIL.XML.Tokenizer.prototype.readName = function () {
+    var start = this.position;
+
+    while (this.ensure(1) && !/[ \t\n\/>=<"'?\[]/.test(this.text.charAt(this.position)))
+      this.position += 1;
+
+    var name = this.text.substring(start, this.position);
+
+    if ((name.length === 0) || /^[0-9\-.:]/.test(name)) {
+      var ch = this.text.charAt(start);
+      var code = ch.charCodeAt(0).toString(16).toUpperCase();
+
+      if (ch.length === 0)
+        throw this.error("Unexpected end of file has occurred.", start);
+
+      throw this.error("Name cannot begin with the '" + ch + "' character, hexadecimal value 0x" + code + ".", start);
+    }
+
+    return name;
+  };
+
+  JSIL.XML.Tokenizer.prototype.decodeEntities = function (text, position) {
+    if (text.indexOf("&") < 0)
+      return text;
+
+    var self = this;
+
+    return text.replace(/&([^;&]*)(;?)/g, function (match, name, semicolon) {
+      if (semicolon.length === 0)
+        throw self.error("An error occurred while parsing EntityName.", position);
+
+      if (namedEntities.hasOwnProperty(name))
+        return namedEntities[name];
+
+      var code = NaN;
+      if (/^#x[0-9a-fA-F]+$/.test(name))
+        code = parseInt(name.substr(2), 16);
+      else if (/^#[0-9]+$/.test(name))
+        code = parseInt(name.substr(1), 10);
+      else if (name.charAt(0) !== "#")
+        throw self.error("Reference to undeclared entity '" + name + "'.", position);
+
+      if (isNaN(code) || (code === 0) || (code > 0x10FFFF))
+        throw self.error("Invalid character reference '" + name + "'.", position);
+
+      if (code <= 0xFFFF)
+        return String.fromCharCode(code);
+
+      code -= 0x10000;
+      return String.fromCharCode(0xD800 + (code >> 10), 0xDC00 + (code & 0x3FF));
+    });
+  };
+
+  JSIL.XML.Tokenizer.prototype.lookupNamespace = function (prefix, scope) {
+    if (prefix === "xml")
+      return xmlNamespace;
+    else if (prefix === "xmlns")
+      return xmlnsNamespace;
+
+    if (scope.namespaces.hasOwnProperty(prefix))
+      return scope.namespaces[prefix];
+
+    for (var i = this.scopes.length - 1; i >= 0; i--) {
+      if (this.scopes[i].namespaces.hasOwnProperty(prefix))
+        return this.scopes[i].namespaces[prefix];
+    }
+
+    return (prefix === "") ? "" : null;
+  };
+
+  JSIL.XML.Tokenizer.prototype.next = function () {
+    this.compact();
+
+    if (!this.ensure(1)) {
+      if (this.scopes.length > 0) {
+        var names = [];
+        for (var i = 0; i < this.scopes.length; i++)
+          names.push(this.scopes[i].name);
+
+        throw this.error("Unexpected end of file has occurred. The following elements are not closed: " + names.join(", ") + ".");
+      } else if (!this.sawRoot) {
+        throw new System.Xml.XmlException("Root element is missing.");
+      }
+
+      return null;
+    }
+
+    var node;
+
+    if (this.text.charAt(this.position) !== "<")
+      node = this.readText();
+    else if (this.startsWith("<?"))
+      node = this.readProcessingInstruction();
+    else if (this.startsWith("<!--"))
+      node = this.readComment();
+    else if (this.startsWith("<![CDATA["))
+      node = this.readCData();
+    else if (this.startsWith("<!DOCTYPE"))
+      node = this.readDocumentType();
+    else if (this.startsWith("</"))
+      node = this.readEndTag();
+    else
+      node = this.readStartTag();
+
+    this.nodeCount += 1;
+    return node;
+  };
+
+  JSIL.XML.Tokenizer.prototype.readText = function () {
+    var start = this.position;
+    var end = this.indexOf("<");
+    if (end < 0)
+      end = this.text.length;
+
+    var text = this.text.substring(start, end);
+    this.position = end;
+
+    if (isWhitespace(text))
+      return makeNode(System.Xml.XmlNodeType.Whitespace, "", text, this.scopes.length);
+
+    if (this.scopes.length === 0)
+      throw this.error("Data at the root level is invalid.", start);
+
+    return makeNode(System.Xml.XmlNodeType.Text, "", this.decodeEntities(text, start), this.scopes.length);
+  };
+
+  JSIL.XML.Tokenizer.prototype.readProcessingInstruction = function () {
+    var start = this.position;
+    this.position += 2;
+
+    var target = this.readName();
+    var content = this.readUntil("?>", "processing instruction");
+    var node;
+
+    if (target === "xml") {
+      if ((this.nodeCount > 0) || (this.discardedLength + start > 0))
+        throw this.error(
+          "Unexpected XML declaration. The XML declaration must be the first node in the document, " + 
+          "and no white space characters are allowed to appear before it.", start
+        );
+
+      node = makeNode(System.Xml.XmlNodeType.XmlDeclaration, "xml", content.replace(/^\s+|\s+$/g, ""), 0);
+
+      // The pseudo-attributes of the declaration are exposed as attributes, like .NET does.
+      var attributeRegex = /([A-Za-z]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+      var match;
+
+      while ((match = attributeRegex.exec(content)) !== null) {
+        node.attributes.push(makeNode(
+          System.Xml.XmlNodeType.Attribute, match[1], 
+          (typeof (match[3]) === "string") ? match[3] : match[4], 1
+        ));
+      }
+
+      return node;
+    }
+
+    return makeNode(
+      System.Xml.XmlNodeType.ProcessingInstruction, target, content.replace(/^\s+/, ""), this.scopes.length
+    );
+  };
+
+  JSIL.XML.Tokenizer.prototype.readComment = function () {
+    var start = this.position;
+    this.position += 4;
+
+    var content = this.readUntil("-->", "comment");
+    if ((content.indexOf("--") >= 0) || (content.charAt(content.length - 1) === "-"))
+      throw this.error("An XML comment cannot contain '--', and '-' cannot be the last character.", start);
+
+    return makeNode(System.Xml.XmlNodeType.Comment, "", content, this.scopes.length);
+  };
+
+  JSIL.XML.Tokenizer.prototype.readCData = function () {
+    var start = this.position;
+    if (this.scopes.length === 0)
+      throw this.error("Data at the root level is invalid.", start);
+
+    this.position += 9;
+
+    var content = this.readUntil("]]>", "CDATA");
+    return makeNode(System.Xml.XmlNodeType.CDATA, "", content, this.scopes.length);
+  };
+
+  JSIL.XML.Tokenizer.prototype.readDocumentType = function () {
+    var start = this.position;
+    if (this.sawRoot)
+      throw this.error("Unexpected DTD declaration.", start);
+
+    this.position += 9;
+    this.skipWhitespace();
+
+    var name = this.readName();
+    var header = this.readUntil(">", "DTD");
+    var subset = "";
+
+    // The internal subset may itself contain '>' characters, so it is read up to its closing bracket.
+    var open = header.indexOf("[");
+    if (open >= 0) {
+      this.position -= (header.length - open);
+      header = header.substr(0, open);
+      subset = this.readUntil("]", "DTD");
+      this.readUntil(">", "DTD");
+    }
+
+    var node = makeNode(System.Xml.XmlNodeType.DocumentType, name, subset, 0);
+
+    // Like .NET, the external identifiers are exposed as PUBLIC and SYSTEM attributes.
+    var match = /^\s*(PUBLIC|SYSTEM)\s+("([^"]*)"|'([^']*)')(\s+("([^"]*)"|'([^']*)'))?/.exec(header);
+    if (match !== null) {
+      var ids = [match[3] || match[4] || "", match[7] || match[8] || ""];
+
+      if (match[1] === "PUBLIC") {
+        node.attributes.push(makeNode(System.Xml.XmlNodeType.Attribute, "PUBLIC", ids[0], 1));
+
+        if (match[5])
+          node.attributes.push(makeNode(System.Xml.XmlNodeType.Attribute, "SYSTEM", ids[1], 1));
+      } else {
+        node.attributes.push(makeNode(System.Xml.XmlNodeType.Attribute, "SYSTEM", ids[0], 1));
+      }
+    }
+
+    return node;
+  };
+
+  JSIL.XML.Tokenizer.prototype.readStartTag = function () {
+    var start = this.position;
+    this.position += 1;
+
+    if (this.sawRoot && (this.scopes.length === 0))
+      throw this.error("There are multiple root elements.", start);
+
+    var node = makeNode(System.Xml.XmlNodeType.Element, this.readName(), "", this.scopes.length);
+    var scope = {
+      name: node.name,
+      node: node,
+      namespaces: {}
+    };
+
+    while (true) {
+      var hadWhitespace = this.skipWhitespace();
+
+      if (this.startsWith("/>")) {
+        this.position += 2;
+        node.isEmptyElement = true;
+        break;
+      } else if (this.startsWith(">")) {
+        this.position += 1;
+        break;
+      } else if (!this.ensure(1)) {
+        throw this.error("Unexpected end of file while parsing Name has occurred.");
+      } else if (!hadWhitespace) {
+        throw this.error("'" + this.text.charAt(this.position) + "' is an unexpected token. Expecting white space.");
+      }
+
+      var attributeStart = this.position;
+      var attribute = makeNode(System.Xml.XmlNodeType.Attribute, this.readName(), "", node.depth + 1);
+
+      this.skipWhitespace();
+      if (!this.startsWith("="))
+        throw this.error("'" + this.text.charAt(this.position) + "' is an unexpected token. The expected token is '='.");
+
+      this.position += 1;
+      this.skipWhitespace();
+
+      var quote = this.text.charAt(this.position);
+      if ((quote !== "\"") && (quote !== "'"))
+        throw this.error("'" + quote + "' is an unexpected token. The expected token is '\"' or '''.");
+
+      this.position += 1;
+      var valueStart = this.position;
+      var value = this.readUntil(quote, "attribute value");
+
+      if (value.indexOf("<") >= 0)
+        throw this.error("'<', hexadecimal value 0x3C, is an invalid attribute character.", valueStart);
+
+      attribute.value = this.decodeEntities(value.replace(/[\t\n]/g, " "), valueStart);
+
+      for (var i = 0; i < node.attributes.length; i++) {
+        if (node.attributes[i].name === attribute.name)
+          throw this.error("'" + attribute.name + "' is a duplicate attribute name.", attributeStart);
+      }
+
+      if (attribute.name === "xmlns") {
+        scope.namespaces[""] = attribute.value;
+      } else if (attribute.prefix === "xmlns") {
+        if (attribute.value.length === 0)
+          throw this.error("Cannot use a prefix with an empty namespace.", attributeStart);
+
+        scope.namespaces[attribute.localName] = attribute.value;
+      }
+
+      node.attributes.push(attribute);
+    }
+
+    this.resolveNamespaces(node, scope, start);
+
+    this.sawRoot = true;
+    if (!node.isEmptyElement)
+      this.scopes.push(scope);
+
+    return node;
+  };
+
+  JSIL.XML.Tokenizer.prototype.resolveNamespaces = function (node, scope, position) {
+    var ns = this.lookupNamespace(node.prefix, scope);
+    if (ns === null)
+      throw this.error("'" + node.prefix + "' is an undeclared prefix.", position);
+
+    node.namespaceURI = ns;
+
+    for (var i = 0; i < node.attributes.length; i++) {
+      var attribute = node.attributes[i];
+
+      if ((attribute.name === "xmlns") || (attribute.prefix === "xmlns")) {
+        attribute.namespaceURI = xmlnsNamespace;
+      } else if (attribute.prefix.length > 0) {
+        ns = this.lookupNamespace(attribute.prefix, scope);
+        if (ns === null)
+          throw this.error("'" + attribute.prefix + "' is an undeclared prefix.", position);
+
+        attribute.namespaceURI = ns;
+      }
+    }
+  };
+
+  JSIL.XML.Tokenizer.prototype.readEndTag = function () {
+    var start = this.position;
+    this.position += 2;
+
+    var name = this.readName();
+    this.skipWhitespace();
+
+    if (!this.startsWith(">"))
+      throw this.error("'" + this.text.charAt(this.position) + "' is an unexpected token. The expected token is '>'.");
+
+    this.position += 1;
+
+    var scope = this.scopes.pop();
+    if (typeof (scope) === "undefined")
+      throw this.error("Unexpected end tag.", start);
+    else if (scope.name !== name)
+      throw this.error("The '" + scope.name + "' start tag does not match the end tag of '" + name + "'.", start);
+
+    var node = makeNode(System.Xml.XmlNodeType.EndElement, name, "", this.scopes.length);
+    node.namespaceURI = scope.node.namespaceURI;
+    return node;
+  };
+
+  // Walks a document that was parsed by the host's DOMParser.
+  JSIL.XML.DOMNodeSource = function (document) {
+    this.document = document;
+    this.current = null;
+    this.entering = true;
+    this.depth = 0;
+    this.done = false;
+  };
+
+  JSIL.XML.DOMNodeSource.prototype.next = function () {
+    while (!this.done) {
+      var current = this.current;
+
+      if (current === null) {
+        current = this.document.firstChild;
+      } else if (this.entering && (current.firstChild !== null)) {
+        current = current.firstChild;
+        this.depth += 1;
+      } else if (current.nextSibling !== null) {
+        current = current.nextSibling;
+      } else {
+        current = current.parentNode;
+
+        if ((current === null) || (current === this.document)) {
+          this.done = true;
+          break;
+        }
+
+        this.current = current;
+        this.entering = false;
+        this.depth -= 1;
+
+        return this.makeNode(current, true);
+      }
+
+      this.current = current;
+      this.entering = true;
+
+      if (current === null) {
+        this.done = true;
+        break;
+      }
+
+      var node = this.makeNode(current, false);
+      if (node !== null)
+        return node;
+    }
+
+    return null;
+  };
+
+  JSIL.XML.DOMNodeSource.prototype.makeNode = function (domNode, closing) {
+    var node;
+
+    switch (domNode.nodeType) {
+      case 1: // ELEMENT_NODE
+        node = makeNode(
+          closing ? System.Xml.XmlNodeType.EndElement : System.Xml.XmlNodeType.Element, 
+          domNode.tagName, "", this.depth
+        );
+        node.namespaceURI = domNode.namespaceURI || "";
+
+        if (closing)
+          return node;
+
+        // The DOM makes it impossible to tell whether an element is actually an empty element.
+        node.isEmptyElement = (domNode.firstChild === null);
+
+        for (var i = 0; i < domNode.attributes.length; i++) {
+          var domAttribute = domNode.attributes[i];
+          var attribute = makeNode(System.Xml.XmlNodeType.Attribute, domAttribute.name, domAttribute.value, this.depth + 1);
+          attribute.namespaceURI = domAttribute.namespaceURI || "";
+
+          node.attributes.push(attribute);
+        }
+
+        return node;
+
+      case 3: // TEXT_NODE
+        return makeNode(
+          isWhitespace(domNode.nodeValue) ? System.Xml.XmlNodeType.Whitespace : System.Xml.XmlNodeType.Text, 
+          "", domNode.nodeValue, this.depth
+        );
+
+      case 4: // CDATA_SECTION_NODE
+        return makeNode(System.Xml.XmlNodeType.CDATA, "", domNode.nodeValue, this.depth);
+
+      case 7: // PROCESSING_INSTRUCTION_NODE
+        return makeNode(System.Xml.XmlNodeType.ProcessingInstruction, domNode.target, domNode.data, this.depth);
+
+      case 8: // COMMENT_NODE
+        return makeNode(System.Xml.XmlNodeType.Comment, "", domNode.nodeValue, this.depth);
+
+      case 10: // DOCUMENT_TYPE_NODE
+        return makeNode(System.Xml.XmlNodeType.DocumentType, domNode.name, domNode.internalSubset || "", this.depth);
+
+      default:
+        JSIL.Host.warning("Unsupported node type: ", domNode.nodeType, " ", domNode);
+        return null;
+    }
+  };
+})();
+
+JSIL.ImplementExternals("System.Xml.XmlException", function ($) {
+  var formatMessage = function (message, lineNumber, linePosition) {
+    if (lineNumber > 0)
+      return message + " Line " + lineNumber + ", position " + linePosition + ".";
+
+    return message;
+  };
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      System.Exception.prototype._ctor.call(this, "An XML error has occurred.");
+      this._lineNumber = 0;
+      this._linePosition = 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function _ctor (message) {
+      System.Exception.prototype._ctor.call(this, message);
+      this._lineNumber = 0;
+      this._linePosition = 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String, $xmlasms[5].TypeRef("System.Exception")], [])), 
+    function _ctor (message, innerException) {
+      System.Exception.prototype._ctor.call(this, message, innerException);
+      this._lineNumber = 0;
+      this._linePosition = 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String, $xmlasms[5].TypeRef("System.Exception"), $.Int32, $.Int32], [])), 
+    function _ctor (message, innerException, lineNumber, linePosition) {
+      System.Exception.prototype._ctor.call(this, formatMessage(message, lineNumber, linePosition), innerException);
+      this._lineNumber = lineNumber;
+      this._linePosition = linePosition;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_LineNumber", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_LineNumber () {
+      return this._lineNumber;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_LinePosition", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_LinePosition () {
+      return this._linePosition;
+    }
+  );
+});
+
+JSIL.ImplementExternals("System.Xml.Serialization.XmlSerializer", function ($) {
+  var getType = function (name) {
+    var parsed = JSIL.ParseTypeName(name);
+    return JSIL.GetTypeInternal(parsed, JSIL.GlobalNamespace, true);
+  };
+
+  var defaultNamespaces = function () {
+    var result = new System.Xml.Serialization.XmlSerializerNamespaces();
+    result.Add("xsi", "http://www.w3.org/2001/XMLSchema-instance");
+    result.Add("xsd", "http://www.w3.org/2001/XMLSchema");
+    return result;
+  };
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$xmlasms[5].TypeRef("System.Type")], [])), 
+    function _ctor (type) {
+      this.type = type;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Deserialize", 
+    (new JSIL.MethodSignature($.Object, [$xmlasms[5].TypeRef("System.IO.Stream")], [])), 
+    function Deserialize (stream) {
+      var xmlReader = JSIL.XML.ReaderFromStream(stream);
+
+      var readerName = "Microsoft.Xml.Serialization.GeneratedAssembly.XmlSerializationReader" + this.type.Name;
+      var readerType = getType(readerName);
+      var reader = JSIL.CreateInstanceOfType(readerType);
+      reader.Init(xmlReader, null, null, null); 
+
+      var serializerName = "Microsoft.Xml.Serialization.GeneratedAssembly." + this.type.Name + "Serializer";
+      var serializerType = getType(serializerName);
+      var serializer = JSIL.CreateInstanceOfType(serializerType);
+
+      var signature = new JSIL.MethodSignature($.Object, [$xmlasms[16].System.Xml.Serialization.XmlSerializationReader], []);
+
+      return signature.CallVirtual("Deserialize", null, serializer, reader);
+    }
+  );
+
+  var serializeImpl = function (self, xmlWriter, o, namespaces) {
+    if (xmlWriter === null)
+      throw new System.ArgumentNullException("xmlWriter");
+
+    if ((namespaces === null) || (namespaces.get_Count() === 0))
+      namespaces = defaultNamespaces();
+
+    var writerName = "Microsoft.Xml.Serialization.GeneratedAssembly.XmlSerializationWriter" + self.type.Name;
+    var writerType = getType(writerName);
+    var writer = JSIL.CreateInstanceOfType(writerType);
+    writer.Init(xmlWriter, namespaces, null, null, null);
+
+    var serializerName = "Microsoft.Xml.Serialization.GeneratedAssembly." + self.type.Name + "Serializer";
+    var serializerType = getType(serializerName);
+    var serializer = JSIL.CreateInstanceOfType(serializerType);
+
+    var signature = new JSIL.MethodSignature(null, [$.Object, $xmlasms[16].System.Xml.Serialization.XmlSerializationWriter], []);
+    signature.CallVirtual("Serialize", null, serializer, o, writer);
+
+    xmlWriter.Flush();
+  };
+
+  // Matches the indented output of the XmlTextWriter that the .NET serializer creates for streams and text writers.
+  var getWriterSettings = function (encoding) {
+    var settings = new System.Xml.XmlWriterSettings();
+    settings.set_Indent(true);
+    settings.set_ConformanceLevel(System.Xml.ConformanceLevel.Auto);
+
+    if (encoding)
+      settings.set_Encoding(encoding);
+
+    return settings;
+  };
+
+  var serializeToStream = function (self, stream, o, namespaces) {
+    if (stream === null)
+      throw new System.ArgumentNullException("stream");
+
+    // Without an explicit encoding, the declaration does not name one.
+    var xmlWriter = JSIL.XML.WriterFromStream(stream, getWriterSettings(new System.Text.UTF8Encoding(false)), true);
+
+    serializeImpl(self, xmlWriter, o, namespaces);
+  };
+
+  var serializeToTextWriter = function (self, textWriter, o, namespaces) {
+    if (textWriter === null)
+      throw new System.ArgumentNullException("textWriter");
+
+    var xmlWriter = JSIL.XML.WriterFromTextWriter(textWriter, getWriterSettings(null));
+    serializeImpl(self, xmlWriter, o, namespaces);
+  };
+
+  $.Method({Static:false, Public:true }, "Serialize", 
+    (new JSIL.MethodSignature(null, [$xmlasms[5].TypeRef("System.IO.Stream"), $.Object], [])), 
+    function Serialize (stream, o) {
+      serializeToStream(this, stream, o, null);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Serialize", 
+    (new JSIL.MethodSignature(null, [$xmlasms[5].TypeRef("System.IO.Stream"), $.Object, $xmlasms[16].TypeRef("System.Xml.Serialization.XmlSerializerNamespaces")], [])), 
+    function Serialize (stream, o, namespaces) {
+      serializeToStream(this, stream, o, namespaces);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Serialize", 
+    (new JSIL.MethodSignature(null, [$xmlasms[5].TypeRef("System.IO.TextWriter"), $.Object], [])), 
+    function Serialize (textWriter, o) {
+      serializeToTextWriter(this, textWriter, o, null);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Serialize", 
+    (new JSIL.MethodSignature(null, [$xmlasms[5].TypeRef("System.IO.TextWriter"), $.Object, $xmlasms[16].TypeRef("System.Xml.Serialization.XmlSerializerNamespaces")], [])), 
+    function Serialize (textWriter, o, namespaces) {
+      serializeToTextWriter(this, textWriter, o, namespaces);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Serialize", 
+    (new JSIL.MethodSignature(null, [$xmlasms[16].TypeRef("System.Xml.XmlWriter"), $.Object], [])), 
+    function Serialize (xmlWriter, o) {
+      serializeImpl(this, xmlWriter, o, null);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Serialize", 
+    (new JSIL.MethodSignature(null, [$xmlasms[16].TypeRef("System.Xml.XmlWriter"), $.Object, $xmlasms[16].TypeRef("System.Xml.Serialization.XmlSerializerNamespaces")], [])), 
+    function Serialize (xmlWriter, o, namespaces) {
+      serializeImpl(this, xmlWriter, o, namespaces);
+    }
+  );
+});
+
+JSIL.ImplementExternals("System.Xml.Serialization.XmlSerializationReader", function ($) {
+
+  $.Method({Static:false, Public:false}, "Init", 
+    (new JSIL.MethodSignature(null, [
+          $xmlasms[16].TypeRef("System.Xml.XmlReader"), $xmlasms[16].TypeRef("System.Xml.Serialization.XmlDeserializationEvents"), 
+          $.String, $xmlasms[16].TypeRef("System.Xml.Serialization.TempAssembly")
+        ], [])), 
+    function Init (r, events, encodingStyle, tempAssembly) {
+      this.r = r;
+
+      this.typeID = r.NameTable.Add("type");
+      this.nullID = r.NameTable.Add("null");
+      this.nilID = r.NameTable.Add("nil");
+
+      this.instanceNsID = r.NameTable.Add("http://www.w3.org/2001/XMLSchema-instance");
+      this.instanceNs2000ID = r.NameTable.Add("http://www.w3.org/2000/10/XMLSchema-instance");
+      this.instanceNs1999ID = r.NameTable.Add("http://www.w3.org/1999/XMLSchema-instance");
+
+      this.InitIDs();
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "CheckReaderCount", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("JSIL.Reference", [$.Int32]), $jsilcore.TypeRef("JSIL.Reference", [$.Int32])], [])), 
+    function CheckReaderCount (/* ref */ whileIterations, /* ref */ readerCount) {
+      if (true) {
+        whileIterations.value += 1;
+
+        if ((whileIterations.value & 128) == 128) {
+          if (readerCount.value == this.ReaderCount) {
+            throw new InvalidOperationException("XmlReader is stuck");
+          }
+
+          readerCount.value = this.ReaderCount;
+        }
+      }
+
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Reader", 
+    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlReader"), [], [])), 
+    function get_Reader () {
+      return this.r;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_ReaderCount", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_ReaderCount () {
+      // Can't use the property because of type system nonsense.
+      return this.r.advanceCount;
+    }
+  );
+
+  $.RawMethod(false, "$getNullAttribute", function () {
+    var a = this.r.GetAttribute(this.nilID, this.instanceNsID);
+    if (a !== null)
+      return Microsoft.Xml.XmlConvert.ToBoolean(a);
+
+    a = this.r.GetAttribute(this.nilID, this.instanceNs2000ID);
+    if (a !== null)
+      return Microsoft.Xml.XmlConvert.ToBoolean(a);
+
+    a = this.r.GetAttribute(this.nilID, this.instanceNs1999ID);
+    if (a !== null)
+      return Microsoft.Xml.XmlConvert.ToBoolean(a);
+
+    return false;
+  });
+
+  $.Method({Static:false, Public:false}, "ReadNull", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function ReadNull () {
+      if (!this.$getNullAttribute())
+        return false;
+
+      this.r.Skip();
+      return true;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadEndElement", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function ReadEndElement () {
+      while (this.r.NodeType == System.Xml.XmlNodeType.Whitespace)
+        this.r.Skip();
+
+      if (this.r.NodeType == System.Xml.XmlNodeType.None) {
+        this.r.Skip();
+        return;
+      }
+
+      this.r.ReadEndElement();
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "GetXsiType", 
+    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlQualifiedName"), [], [])), 
+    function GetXsiType () {
+      var result = new System.Xml.XmlQualifiedName();
+
+      var r = this.r;
+      var a = r.GetAttribute(this.typeID, this.instanceNsID);
+      if (a !== null) {
+        result.name = a;
+        return result;
+      }
+
+      a = r.GetAttribute(this.typeID, this.instanceNs2000ID);
+      if (a !== null) {
+        result.name = a;
+        return result;
+      }
+
+      a = r.GetAttribute(this.typeID, this.instanceNs1999ID);
+      if (a !== null) {
+        result.name = a;
+        return result;
+      }
+
+      return null;
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "ReadSerializable", 
+    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.Serialization.IXmlSerializable"), [$xmlasms[16].TypeRef("System.Xml.Serialization.IXmlSerializable")], [])), 
+    function ReadSerializable (serializable) {
+      return this.ReadSerializable(serializable, false);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "ReadSerializable", 
+    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.Serialization.IXmlSerializable"), [$xmlasms[16].TypeRef("System.Xml.Serialization.IXmlSerializable"), $.Boolean], [])), 
+    function ReadSerializable (serializable, wrappedAny) {
+      var localName, namespace;
+
+      if (wrappedAny) {
+        localName = this.r.LocalName;
+        namespace = this.r.NamespaceURI;
+        this.r.Read();
+        this.r.MoveToContent();
+      }
+
+      serializable.ReadXml(this.r);
+
+      if (wrappedAny) {
+        var ntNone = System.Xml.XmlNodeType.None;
+        var ntWhitespace = System.Xml.XmlNodeType.Whitespace;
+        var ntEndElement = System.Xml.XmlNodeType.EndElement;
+
+        while (this.r.NodeType === ntWhitespace)
+          this.r.Skip();
+
+        if (this.r.NodeType === ntNone)
+          this.r.Skip();
+
+        if (
+          this.r.NodeType === ntEndElement && 
+          this.r.LocalName === localName && 
+          this.r.NamespaceURI === namespace
+        )
+          this.Reader.Read();
+      }
+
+      return serializable;
+    }
+  );
+
+});
+
+JSIL.ImplementExternals("System.Xml.Serialization.XmlSerializerNamespaces", function ($) {
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      this.namespaces = [];
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$xmlasms[16].TypeRef("System.Xml.XmlQualifiedName")])], [])), 
+    function _ctor (namespaces) {
+      this.namespaces = [];
+
+      for (var i = 0; i < namespaces.length; i++)
+        this.Add(namespaces[i].name, namespaces[i].ns);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Add", 
+    (new JSIL.MethodSignature(null, [$.String, $.String], [])), 
+    function Add (prefix, ns) {
+      prefix = prefix || "";
+
+      for (var i = 0; i < this.namespaces.length; i++) {
+        if (this.namespaces[i].prefix === prefix) {
+          this.namespaces[i].ns = ns;
+          return;
+        }
+      }
+
+      this.namespaces.push({ prefix: prefix, ns: ns });
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Count", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_Count () {
+      return this.namespaces.length;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ToArray", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Array", [$xmlasms[16].TypeRef("System.Xml.XmlQualifiedName")]), [], [])), 
+    function ToArray () {
+      var result = new Array(this.namespaces.length);
+
+      for (var i = 0; i < result.length; i++)
+        result[i] = new System.Xml.XmlQualifiedName(this.namespaces[i].prefix, this.namespaces[i].ns);
+
+      return result;
+    }
+  );
+
+});
+
+JSIL.ImplementExternals("System.Xml.Serialization.XmlSerializationWriter", function ($) {
+  var tXmlSerializerNamespaces = $xmlasms[16].TypeRef("System.Xml.Serialization.XmlSerializerNamespaces");
+  var tXmlQualifiedName = $xmlasms[16].TypeRef("System.Xml.XmlQualifiedName");
+
+  var instanceNs = "http://www.w3.org/2001/XMLSchema-instance";
+  var schemaNs = "http://www.w3.org/2001/XMLSchema";
+
+  var writeNamespaceDeclarations = function (w, xmlns) {
+    if ((xmlns === null) || (typeof (xmlns) === "undefined"))
+      return;
+
+    for (var i = 0; i < xmlns.namespaces.length; i++) {
+      var declaration = xmlns.namespaces[i];
+      w.WriteAttributeString("xmlns", declaration.prefix, null, declaration.ns);
+    }
+  };
+
+  // The namespaces passed to the serializer are declared on the first element written.
+  var writeStartElement = function (self, name, ns, writePrefixed, xmlns) {
+    var w = self.w;
+    var namespaces = self.namespaces;
+    var prefix = null;
+    var i, declaration;
+
+    self.namespaces = null;
+
+    if (namespaces !== null) {
+      for (i = 0; i < namespaces.namespaces.length; i++) {
+        declaration = namespaces.namespaces[i];
+
+        if ((declaration.prefix.length > 0) && (declaration.ns === ns))
+          prefix = declaration.prefix;
+      }
+    }
+
+    if (writePrefixed && (prefix === null) && ns) {
+      prefix = w.LookupPrefix(ns);
+
+      if (!prefix) {
+        self.tempNamespacePrefix += 1;
+        prefix = "q" + self.tempNamespacePrefix;
+      }
+    }
+
+    w.WriteStartElement(prefix, name, ns);
+
+    if (namespaces !== null) {
+      for (i = 0; i < namespaces.namespaces.length; i++) {
+        declaration = namespaces.namespaces[i];
+
+        if (!declaration.ns) {
+          if (declaration.prefix.length > 0)
+            throw new System.InvalidOperationException("Invalid namespace attribute: xmlns:" + declaration.prefix + "=\"\".");
+
+          continue;
+        }
+
+        if (w.LookupPrefix(declaration.ns) === null)
+          w.WriteAttributeString("xmlns", declaration.prefix, null, declaration.ns);
+      }
+    }
+
+    writeNamespaceDeclarations(w, xmlns);
+  };
+
+  var writeElementString = function (self, localName, ns, value, xsiType, raw) {
+    if (value === null)
+      return;
+
+    self.w.WriteStartElement(null, localName, ns);
+
+    if (xsiType)
+      self.WriteXsiType(xsiType.name, xsiType.ns);
+
+    if (raw)
+      self.w.WriteRaw(value);
+    else
+      self.w.WriteString(value);
+
+    self.w.WriteEndElement();
+  };
+
+  var writeAttribute = function (self, prefix, localName, ns, value) {
+    if (value === null)
+      return;
+
+    self.w.WriteAttributeString(prefix, localName, ns, value);
+  };
+
+  $.Method({Static:false, Public:false}, "Init", 
+    (new JSIL.MethodSignature(null, [
+          $xmlasms[16].TypeRef("System.Xml.XmlWriter"), tXmlSerializerNamespaces, 
+          $.String, $.String, $xmlasms[16].TypeRef("System.Xml.Serialization.TempAssembly")
+        ], [])), 
+    function Init (w, namespaces, encodingStyle, idBase, tempAssembly) {
+      this.w = w;
+      this.namespaces = namespaces || null;
+      this.tempNamespacePrefix = 0;
+
+      this.InitCallbacks();
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "get_Writer", 
+    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlWriter"), [], [])), 
+    function get_Writer () {
+      return this.w;
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "set_Writer", 
+    (new JSIL.MethodSignature(null, [$xmlasms[16].TypeRef("System.Xml.XmlWriter")], [])), 
+    function set_Writer (value) {
+      this.w = value;
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteStartDocument", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function WriteStartDocument () {
+      if (this.w.get_WriteState() === System.Xml.WriteState.Start)
+        this.w.WriteStartDocument();
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "TopLevelElement", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function TopLevelElement () {
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteStartElement", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function WriteStartElement (name) {
+      writeStartElement(this, name, null, false, null);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteStartElement", 
+    (new JSIL.MethodSignature(null, [$.String, $.String], [])), 
+    function WriteStartElement (name, ns) {
+      writeStartElement(this, name, ns, false, null);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteStartElement", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.Boolean], [])), 
+    function WriteStartElement (name, ns, writePrefixed) {
+      writeStartElement(this, name, ns, writePrefixed, null);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteStartElement", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.Object], [])), 
+    function WriteStartElement (name, ns, o) {
+      writeStartElement(this, name, ns, false, null);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteStartElement", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.Object, $.Boolean], [])), 
+    function WriteStartElement (name, ns, o, writePrefixed) {
+      writeStartElement(this, name, ns, writePrefixed, null);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteStartElement", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.Object, $.Boolean, tXmlSerializerNamespaces], [])), 
+    function WriteStartElement (name, ns, o, writePrefixed, xmlns) {
+      writeStartElement(this, name, ns, writePrefixed, xmlns);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteEndElement", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function WriteEndElement () {
+      this.w.WriteEndElement();
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteEndElement", 
+    (new JSIL.MethodSignature(null, [$.Object], [])), 
+    function WriteEndElement (o) {
+      this.w.WriteEndElement();
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteNamespaceDeclarations", 
+    (new JSIL.MethodSignature(null, [tXmlSerializerNamespaces], [])), 
+    function WriteNamespaceDeclarations (xmlns) {
+      writeNamespaceDeclarations(this.w, xmlns);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteElementString", 
+    (new JSIL.MethodSignature(null, [$.String, $.String], [])), 
+    function WriteElementString (localName, value) {
+      writeElementString(this, localName, null, value, null, false);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteElementString", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.String], [])), 
+    function WriteElementString (localName, ns, value) {
+      writeElementString(this, localName, ns, value, null, false);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteElementString", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, tXmlQualifiedName], [])), 
+    function WriteElementString (localName, value, xsiType) {
+      writeElementString(this, localName, null, value, xsiType, false);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteElementString", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.String, tXmlQualifiedName], [])), 
+    function WriteElementString (localName, ns, value, xsiType) {
+      writeElementString(this, localName, ns, value, xsiType, false);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteElementStringRaw", 
+    (new JSIL.MethodSignature(null, [$.String, $.String], [])), 
+    function WriteElementStringRaw (localName, value) {
+      writeElementString(this, localName, null, value, null, true);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteElementStringRaw", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.String], [])), 
+    function WriteElementStringRaw (localName, ns, value) {
+      writeElementString(this, localName, ns, value, null, true);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteElementStringRaw", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, tXmlQualifiedName], [])), 
+    function WriteElementStringRaw (localName, value, xsiType) {
+      writeElementString(this, localName, null, value, xsiType, true);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteElementStringRaw", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.String, tXmlQualifiedName], [])), 
+    function WriteElementStringRaw (localName, ns, value, xsiType) {
+      writeElementString(this, localName, ns, value, xsiType, true);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteNullTagLiteral", 
+    (new JSIL.MethodSignature(null, [$.String, $.String], [])), 
+    function WriteNullTagLiteral (name, ns) {
+      if (name === null)
+        return;
+
+      writeStartElement(this, name, ns, false, null);
+      this.w.WriteAttributeString("nil", instanceNs, "true");
+      this.w.WriteEndElement();
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteNullableStringLiteral", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.String], [])), 
+    function WriteNullableStringLiteral (name, ns, value) {
+      if (value !== null)
+        writeElementString(this, name, ns, value, null, false);
+      else
+        this.WriteNullTagLiteral(name, ns);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteNullableStringLiteralRaw", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.String], [])), 
+    function WriteNullableStringLiteralRaw (name, ns, value) {
+      if (value !== null)
+        writeElementString(this, name, ns, value, null, true);
+      else
+        this.WriteNullTagLiteral(name, ns);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteEmptyTag", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function WriteEmptyTag (name) {
+      this.WriteEmptyTag(name, null);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteEmptyTag", 
+    (new JSIL.MethodSignature(null, [$.String, $.String], [])), 
+    function WriteEmptyTag (name, ns) {
+      if (name === null)
+        return;
+
+      writeStartElement(this, name, ns, false, null);
+      this.w.WriteEndElement();
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteAttribute", 
+    (new JSIL.MethodSignature(null, [$.String, $.String], [])), 
+    function WriteAttribute (localName, value) {
+      writeAttribute(this, null, localName, null, value);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteAttribute", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.String], [])), 
+    function WriteAttribute (localName, ns, value) {
+      writeAttribute(this, null, localName, ns, value);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteAttribute", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.String, $.String], [])), 
+    function WriteAttribute (prefix, localName, ns, value) {
+      writeAttribute(this, prefix, localName, ns, value);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteXsiType", 
+    (new JSIL.MethodSignature(null, [$.String, $.String], [])), 
+    function WriteXsiType (name, ns) {
+      var value = name;
+
+      if (ns) {
+        var prefix = this.w.LookupPrefix(ns);
+
+        if (!prefix) {
+          this.tempNamespacePrefix += 1;
+          prefix = "q" + this.tempNamespacePrefix;
+          this.w.WriteAttributeString("xmlns", prefix, null, ns);
+        }
+
+        value = prefix + ":" + name;
+      }
+
+      this.w.WriteAttributeString("type", instanceNs, value);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteValue", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function WriteValue (value) {
+      if (value !== null)
+        this.w.WriteString(value);
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "WriteTypedPrimitive", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.Object, $.Boolean], [])), 
+    function WriteTypedPrimitive (name, ns, o, xsiType) {
+      var typeName = JSIL.GetTypeName(JSIL.GetType(o));
+      var schemaType = {
+        "System.String": "string", "System.Boolean": "boolean", "System.Char": "char", 
+        "System.SByte": "byte", "System.Byte": "unsignedByte", 
+        "System.Int16": "short", "System.UInt16": "unsignedShort", 
+        "System.Int32": "int", "System.UInt32": "unsignedInt", 
+        "System.Int64": "long", "System.UInt64": "unsignedLong", 
+        "System.Single": "float", "System.Double": "double", "System.Decimal": "decimal", 
+        "System.DateTime": "dateTime"
+      }[typeName];
+
+      if (!schemaType)
+        throw this.CreateUnknownTypeException(o);
+
+      this.w.WriteStartElement(null, name, ns);
+
+      if (xsiType)
+        this.WriteXsiType(schemaType, schemaNs);
+
+      this.w.WriteString(System.Xml.XmlConvert.$toString(o, typeName));
+      this.w.WriteEndElement();
+    }
+  );
+
+  $.Method({Static:true , Public:false}, "FromDateTime", 
+    (new JSIL.MethodSignature($.String, [$xmlasms[5].TypeRef("System.DateTime")], [])), 
+    function FromDateTime (value) {
+      return System.Xml.XmlConvert.$toString(value, "System.DateTime");
+    }
+  );
+
+  $.Method({Static:true , Public:false}, "FromChar", 
+    (new JSIL.MethodSignature($.String, [$.Char], [])), 
+    function FromChar (value) {
+      return String(value.charCodeAt(0));
+    }
+  );
+
+  $.Method({Static:true , Public:false}, "FromEnum", 
+    (new JSIL.MethodSignature($.String, [$.Int64, $jsilcore.TypeRef("System.Array", [$.String]), $jsilcore.TypeRef("System.Array", [$.Int64]), $.String], [])), 
+    function FromEnum (value, values, ids, typeName) {
+      var remaining = System.Int64.ToNumber(value);
+      var names = [];
+
+      for (var i = 0; i < ids.length; i++) {
+        var id = System.Int64.ToNumber(ids[i]);
+
+        if (id === remaining) {
+          return values[i];
+        } else if ((id !== 0) && ((remaining & id) === id)) {
+          names.push(values[i]);
+          remaining &= ~id;
+        }
+      }
+
+      if (remaining !== 0)
+        throw new System.InvalidOperationException("Instance validation error: '" + System.Int64.ToNumber(value) + "' is not a valid value for " + typeName + ".");
+
+      return names.join(" ");
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "CreateUnknownTypeException", 
+    (new JSIL.MethodSignature($xmlasms[5].TypeRef("System.Exception"), [$.Object], [])), 
+    function CreateUnknownTypeException (o) {
+      return new System.InvalidOperationException(
+        "The type " + JSIL.GetTypeName(JSIL.GetType(o)) + " was not expected. " + 
+        "Use the XmlInclude or SoapInclude attribute to specify types that are not known statically."
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "CreateInvalidEnumValueException", 
+    (new JSIL.MethodSignature($xmlasms[5].TypeRef("System.Exception"), [$.Object, $.String], [])), 
+    function CreateInvalidEnumValueException (value, typeName) {
+      return new System.InvalidOperationException(
+        "Instance validation error: '" + String(value) + "' is not a valid value for " + typeName + "."
+      );
+    }
+  );
+
+});
+
+JSIL.ImplementExternals("System.Xml.XmlQualifiedName", function ($) {
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      this.name = "";
+      this.ns = "";
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function _ctor (name) {
+      this.name = name;
+      this.ns = "";
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.String, $.String], [])), 
+    function _ctor (name, ns) {
+      this.name = name;
+      this.ns = ns;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Name", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function get_Name () {
+      return this.name;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Namespace", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function get_Namespace () {
+      return this.ns;
+    }
+  );
+
+  var equalsImpl = function (lhs, rhs) {
+    if (lhs === rhs)
+      return true;
+
+    if ((lhs === null) || (rhs === null))
+      return lhs === rhs;
+
+    return (lhs.name == rhs.name) && (lhs.ns == rhs.ns);
+  }
+
+  $.Method({Static:true , Public:true }, "op_Equality", 
+    (new JSIL.MethodSignature($.Boolean, [$xmlasms[16].TypeRef("System.Xml.XmlQualifiedName"), $xmlasms[16].TypeRef("System.Xml.XmlQualifiedName")], [])), 
+    function op_Equality (a, b) {
+      return equalsImpl(a, b);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_Inequality", 
+    (new JSIL.MethodSignature($.Boolean, [$xmlasms[16].TypeRef("System.Xml.XmlQualifiedName"), $xmlasms[16].TypeRef("System.Xml.XmlQualifiedName")], [])), 
+    function op_Inequality (a, b) {
+      return !equalsImpl(a, b);
+    }
+  );
+
+});
+
+JSIL.ImplementExternals("System.Xml.XmlReader", function ($) {
+  var ntNone = System.Xml.XmlNodeType.None;
+  var ntElement = System.Xml.XmlNodeType.Element;
+  var ntAttribute = System.Xml.XmlNodeType.Attribute;
+  var ntText = System.Xml.XmlNodeType.Text;
+  var ntCDATA = System.Xml.XmlNodeType.CDATA;
+  var ntWhitespace = System.Xml.XmlNodeType.Whitespace;
+  var ntSignificantWhitespace = System.Xml.XmlNodeType.SignificantWhitespace;
+  var ntComment = System.Xml.XmlNodeType.Comment;
+  var ntEndElement = System.Xml.XmlNodeType.EndElement;
+
+  var tXmlReader = $xmlasms[16].TypeRef("System.Xml.XmlReader");
+
+  // If input is not null it is disposed when the reader is closed.
+  $.RawMethod(false, "$fromNodeSource", function (source, input) {
+    this._source = source;
+    this._input = input || null;
+    this._node = null;
+    this._nodeType = ntNone;
+    this._attributeIndex = -1;
+    this._eof = false;
+    this._closed = false;
+    this.nameTable = new System.Xml.XmlNameTable();
+    this.advanceCount = 0;
+  });
+
+  $.RawMethod(false, "$fromDOMNode", function (domNode) {
+    this.$fromNodeSource(new JSIL.XML.DOMNodeSource(domNode));
+  });
+
+  $.RawMethod(false, "$moveNext", function () {
+    this._attributeIndex = -1;
+
+    var node = null;
+    if (!this._eof && !this._closed)
+      node = this._source.next();
+
+    if (node === null) {
+      this._eof = true;
+      this._node = null;
+      this._nodeType = ntNone;
+      return false;
+    }
+
+    this._node = node;
+    this._nodeType = node.nodeType;
+    return true;
+  });
+
+  // Returns the attribute the reader is positioned on, or the node that owns the attributes.
+  $.RawMethod(false, "$currentNode", function () {
+    if (this._node === null)
+      return null;
+    else if (this._attributeIndex >= 0)
+      return this._node.attributes[this._attributeIndex];
+
+    return this._node;
+  });
+
+  $.RawMethod(false, "$moveToAttribute", function (index) {
+    this._attributeIndex = index;
+    this._nodeType = ntAttribute;
+  });
+
+  $.RawMethod(false, "$findAttribute", function (localName, namespaceURI) {
+    if (this._node === null)
+      return -1;
+
+    var attributes = this._node.attributes;
+
+    for (var i = 0; i < attributes.length; i++) {
+      if (namespaceURI === null) {
+        if (attributes[i].name === localName)
+          return i;
+      } else if ((attributes[i].localName === localName) && (attributes[i].namespaceURI === (namespaceURI || ""))) {
+        return i;
+      }
+    }
+
+    return -1;
+  });
+
+  $.RawMethod(false, "$checkAttributeIndex", function (i) {
+    if ((this._node === null) || (i < 0) || (i >= this._node.attributes.length))
+      throw new System.ArgumentOutOfRangeException("i");
+  });
+
+  $.Method({Static:false, Public:true }, "Read", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function Read () {
+      this.advanceCount += 1;
+      return this.$moveNext();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Skip", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Skip () {
+      this.MoveToElement();
+
+      if ((this._nodeType === ntElement) && !this._node.isEmptyElement) {
+        var depth = this._node.depth;
+
+        while (this.Read()) {
+          if ((this._nodeType === ntEndElement) && (this._node.depth === depth))
+            break;
+        }
+      }
+
+      this.Read();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Close", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Close () {
+      if (this._input !== null) {
+        this._input.Dispose();
+        this._input = null;
+      }
+
+      this._closed = true;
+      this._node = null;
+      this._nodeType = ntNone;
+      this._attributeIndex = -1;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Dispose", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Dispose () {
+      this.Close();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "MoveToElement", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function MoveToElement () {
+      if (this._attributeIndex < 0)
+        return false;
+
+      this._attributeIndex = -1;
+      this._nodeType = this._node.nodeType;
+      return true;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "MoveToFirstAttribute", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function MoveToFirstAttribute () {
+      if ((this._node === null) || (this._node.attributes.length === 0))
+        return false;
+
+      this.$moveToAttribute(0);
+      return true;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "MoveToNextAttribute", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function MoveToNextAttribute () {
+      if ((this._node === null) || (this._attributeIndex + 1 >= this._node.attributes.length))
+        return false;
+
+      this.$moveToAttribute(this._attributeIndex + 1);
+      return true;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "MoveToAttribute", 
+    (new JSIL.MethodSignature(null, [$.Int32], [])), 
+    function MoveToAttribute (i) {
+      this.$checkAttributeIndex(i);
+      this.$moveToAttribute(i);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "MoveToAttribute", 
+    (new JSIL.MethodSignature($.Boolean, [$.String], [])), 
+    function MoveToAttribute (name) {
+      var index = this.$findAttribute(name, null);
+      if (index < 0)
+        return false;
+
+      this.$moveToAttribute(index);
+      return true;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "MoveToAttribute", 
+    (new JSIL.MethodSignature($.Boolean, [$.String, $.String], [])), 
+    function MoveToAttribute (localName, namespaceURI) {
+      var index = this.$findAttribute(localName, namespaceURI);
+      if (index < 0)
+        return false;
+
+      this.$moveToAttribute(index);
+      return true;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "MoveToContent", 
+    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlNodeType"), [], [])), 
+    function MoveToContent () {
+      this.MoveToElement();
+
+      while (true) {
+        switch (this._nodeType) {
+          case ntText:
+          case ntCDATA:
+          case ntElement:
+          case ntEndElement:
+            return this._nodeType;
+        }
+
+        if (!this.Read())
+          return this._nodeType;
+      }
+    }
+  );
+
+  $.RawMethod(false, "$isTextualNode", function (includingComments) {
+    switch (this._nodeType) {
+      case ntText:
+      case ntCDATA:
+      case ntWhitespace:
+      case ntSignificantWhitespace:
+        return true;
+      case ntComment:
+        return includingComments;
+    }
+
+    return false;
+  });
+
+  $.Method({Static:false, Public:true }, "get_IsEmptyElement", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_IsEmptyElement () {
+      return (this._nodeType === ntElement) && this._node.isEmptyElement;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "IsStartElement", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function IsStartElement () {
+      return this.MoveToContent() == ntElement;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "IsStartElement", 
+    (new JSIL.MethodSignature($.Boolean, [$.String], [])), 
+    function IsStartElement (name) {
+      return (this.MoveToContent() == ntElement) &&
+        (this.Name == name);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "IsStartElement", 
+    (new JSIL.MethodSignature($.Boolean, [$.String, $.String], [])), 
+    function IsStartElement (localname, ns) {
+      return (this.MoveToContent() == ntElement) &&
+        (this.LocalName == localname) &&
+        (this.NamespaceURI == ns);
+    }
+  );
+
+  $.RawMethod(false, "$unexpectedNode", function (expected) {
+    var message;
+
+    if (this._nodeType === ntNone)
+      message = "Unexpected end of file while parsing " + expected + " has occurred.";
+    else
+      message = "'" + this._nodeType.name + "' is an invalid XmlNodeType.";
+
+    return new System.Xml.XmlException(message);
+  });
+
+  $.Method({Static:false, Public:true }, "ReadStartElement", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function ReadStartElement () {
+      if (!this.IsStartElement())
+        throw this.$unexpectedNode("Element");
+
+      this.Read();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadEndElement", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function ReadEndElement () {
+      if (this.MoveToContent() != ntEndElement)
+        throw this.$unexpectedNode("EndElement");
+
+      this.Read();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadStartElement", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function ReadStartElement (name) {
+      if (!this.IsStartElement())
+        throw this.$unexpectedNode("Element");
+      else if (this.Name != name)
+        throw new System.Xml.XmlException("Element '" + name + "' was not found.");
+
+      this.Read();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadStartElement", 
+    (new JSIL.MethodSignature(null, [$.String, $.String], [])), 
+    function ReadStartElement (localname, ns) {
+      if (!this.IsStartElement())
+        throw this.$unexpectedNode("Element");
+      else if ((this.LocalName != localname) || (this.NamespaceURI != ns))
+        throw new System.Xml.XmlException("Element '" + localname + "' with namespace name '" + ns + "' was not found.");
+
+      this.Read();
+    }
+  );
+
+  $.RawMethod(false, "$readElementString", function () {
+    if (this.IsEmptyElement) {
+      this.Read();
+      return "";
+    }
+
+    this.Read();
+
+    var result = this.ReadString();
+    if (this._nodeType !== ntEndElement)
+      throw this.$unexpectedNode("EndElement");
+
+    this.Read();
+    return result;
+  });
+
+  $.Method({Static:false, Public:true }, "ReadElementString", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function ReadElementString () {
+      if (!this.IsStartElement())
+        throw this.$unexpectedNode("Element");
+
+      return this.$readElementString();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadElementString", 
+    (new JSIL.MethodSignature($.String, [$.String], [])), 
+    function ReadElementString (name) {
+      if (!this.IsStartElement())
+        throw this.$unexpectedNode("Element");
+      else if (this.Name != name)
+        throw new System.Xml.XmlException("Element '" + name + "' was not found.");
+
+      return this.$readElementString();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadElementString", 
+    (new JSIL.MethodSignature($.String, [$.String, $.String], [])), 
+    function ReadElementString (localname, ns) {
+      if (!this.IsStartElement())
+        throw this.$unexpectedNode("Element");
+      else if ((this.LocalName != localname) || (this.NamespaceURI != ns))
+        throw new System.Xml.XmlException("Element '" + localname + "' with namespace name '" + ns + "' was not found.");
+
+      return this.$readElementString();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReadString", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function ReadString () {
+      var result = "";
+      this.MoveToElement();
+
+      // If we're positioned on a start element, advance into the body to find the text
+      if (this._nodeType == ntElement) {
+        if (this.get_IsEmptyElement())
+          return result;
+
+        if (!this.Read())
+          throw this.$unexpectedNode("Text");
+
+        if (this._nodeType == ntEndElement)
+          return result;
+      }
+
+      while (this.$isTextualNode(true)) {
+        if (this._nodeType !== ntComment)
+          result += this._node.value;
+
+        if (!this.Read())
+          break;
+      }
+
+      return result;
+    }
+  );
+
+  $.RawMethod(false, "SetupReadElementContent", function () {
+    if (this.MoveToContent() != ntElement)
+      throw new System.Xml.XmlException("The ReadElementContentAsString method is not supported on node type " + this._nodeType.name + ".");
+
+    var isEmpty = this.IsEmptyElement;
+
+    this.Read();
+    if (isEmpty)
+      return false;
+
+    if (this._nodeType == ntEndElement) {
+      this.Read();
+      return false;
+    } else if (this._nodeType == ntElement) {
+      throw new System.Xml.XmlException("ReadElementContentAs methods cannot be called on an element that has child elements.");
+    }
+
+    return true;
+  });
+
+  $.RawMethod(false, "FinishReadElementContent", function () {
+    if (this._nodeType != ntEndElement)
+      throw this.$unexpectedNode("EndElement");
+
+    this.Read();
+  });
+
+  $.Method({Static:false, Public:true }, "ReadElementContentAsString", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function ReadElementContentAsString () {
+      var result = "";
+
+      if (this.SetupReadElementContent()) {
+        result = this.ReadString();
+        this.FinishReadElementContent();
+      }
+
+      return result;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_NodeType", 
+    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlNodeType"), [], [])), 
+    function get_NodeType () {
+      return this._nodeType;
+    }
+  );  
+
+  $.Method({Static:false, Public:true }, "get_NameTable", 
+    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlNameTable"), [], [])), 
+    function get_NameTable () {
+      return this.nameTable;
+    }
+  );
+
+  var defineStringProperty = function (name, key) {
+    $.Method({Static:false, Public:true }, "get_" + name, 
+      (new JSIL.MethodSignature($.String, [], [])), 
+      function () {
+        var node = this.$currentNode();
+        if (node === null)
+          return "";
+
+        return node[key];
+      }
+    );
+  };
+
+  defineStringProperty("Name", "name");
+  defineStringProperty("LocalName", "localName");
+  defineStringProperty("Prefix", "prefix");
+  defineStringProperty("NamespaceURI", "namespaceURI");
+  defineStringProperty("Value", "value");
+
+  $.Method({Static:false, Public:true }, "get_HasValue", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_HasValue () {
+      switch (this._nodeType) {
+        case ntNone:
+        case ntElement:
+        case ntEndElement:
+          return false;
+        case System.Xml.XmlNodeType.DocumentType:
+          // Document types only have a value when they have an internal subset.
+          return this._node.value.length > 0;
+      }
+
+      return true;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Depth", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_Depth () {
+      var node = this.$currentNode();
+      if (node === null)
+        return 0;
+
+      return node.depth;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_EOF", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_EOF () {
+      return this._eof && !this._closed;
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "get_AdvanceCount", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_AdvanceCount () {
+      return this.advanceCount;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_AttributeCount", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_AttributeCount () {
+      if (this._node === null)
+        return 0;
+
+      return this._node.attributes.length;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_HasAttributes", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_HasAttributes () {
+      return this.AttributeCount > 0;
+    }
+  );
+
+  var getAttributeByName = function GetAttribute (name) {
+    var index = this.$findAttribute(name, null);
+    if (index < 0)
+      return null;
+
+    return this._node.attributes[index].value;
+  };
+
+  var getAttributeByNameNS = function GetAttribute (name, namespaceURI) {
+    var index = this.$findAttribute(name, namespaceURI);
+    if (index < 0)
+      return null;
+
+    return this._node.attributes[index].value;
+  };
+
+  var getAttributeByIndex = function GetAttribute (i) {      
+    this.$checkAttributeIndex(i);
+    return this._node.attributes[i].value;
+  };
+
+  $.Method({Static:false, Public:true }, "GetAttribute", 
+    (new JSIL.MethodSignature($.String, [$.String], [])), 
+    getAttributeByName
+  );
+
+  $.Method({Static:false, Public:true }, "GetAttribute", 
+    (new JSIL.MethodSignature($.String, [$.String, $.String], [])), 
+    getAttributeByNameNS
+  );
+
+  $.Method({Static:false, Public:true }, "GetAttribute", 
+    (new JSIL.MethodSignature($.String, [$.Int32], [])), 
+    getAttributeByIndex
+  );
+
+  $.Method({Static:false, Public:true }, "get_Item", 
+    (new JSIL.MethodSignature($.String, [$.Int32], [])), 
+    getAttributeByIndex
+  );
+
+  $.Method({Static:false, Public:true }, "get_Item", 
+    (new JSIL.MethodSignature($.String, [$.String], [])), 
+    getAttributeByName
+  );
+
+  $.Method({Static:false, Public:true }, "get_Item", 
+    (new JSIL.MethodSignature($.String, [$.String, $.String], [])), 
+    getAttributeByNameNS
+  );
+
+  $.Method({Static:true , Public:true }, "Create", 
+    (new JSIL.MethodSignature(tXmlReader, [$xmlasms[5].TypeRef("System.IO.Stream")], [])), 
+    function Create (input) {
+      if (input === null)
+        throw new System.ArgumentNullException("input");
+
+      return JSIL.XML.ReaderFromStream(input);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Create", 
+    (new JSIL.MethodSignature(tXmlReader, [$xmlasms[5].TypeRef("System.IO.TextReader")], [])), 
+    function Create (input) {
+      if (input === null)
+        throw new System.ArgumentNullException("input");
+
+      return JSIL.XML.ReaderFromTextReader(input);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Create", 
+    (new JSIL.MethodSignature(tXmlReader, [$.String], [])), 
+    function Create (inputUri) {
+      if (inputUri === null)
+        throw new System.ArgumentNullException("inputUri");
+
+      var stream = new System.IO.FileStream(inputUri, System.IO.FileMode.Open, System.IO.FileAccess.Read);
+      return JSIL.XML.ReaderFromStream(stream, true);
+    }
+  );
+
+});
+
+JSIL.ImplementExternals("System.Xml.XmlNameTable", function ($) {
+  $.Method({Static:false, Public:false}, ".ctor", 
+    new JSIL.MethodSignature(null, [], []),
+    function () {
+      this._names = {};
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Add", 
+    new JSIL.MethodSignature($.String, [$.String], []),
+    function Add (str) {
+      var result = this._names[str];
+      if (typeof (result) === "string")
+        return result;
+
+      this._names[str] = str;
+      return str;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Get", 
+    new JSIL.MethodSignature($.String, [$.String], []),
+    function Get (str) {
+      var result = this._names[str];
+
+      if (typeof (result) !== "string")
+        return null;
+
+      return result;
+    }
+  );
+
+});
+
+JSIL.MakeEnum(
+  "System.Xml.XmlNodeType", true, {
+    None: 0, 
+    Element: 1, 
+    Attribute: 2, 
+    Text: 3, 
+    CDATA: 4, 
+    EntityReference: 5, 
+    Entity: 6, 
+    ProcessingInstruction: 7, 
+    Comment: 8, 
+    Document: 9, 
+    DocumentType: 10, 
+    DocumentFragment: 11, 
+    Notation: 12, 
+    Whitespace: 13, 
+    SignificantWhitespace: 14, 
+    EndElement: 15, 
+    EndEntity: 16, 
+    XmlDeclaration: 17
+  }, false
+);
+
+JSIL.MakeClass("System.Object", "System.Xml.XmlNameTable", true, [], function ($) {
+  $.ExternalMembers(false,
+    ".ctor", "Add", "Get"
+  );
+});
+
+JSIL.MakeClass("System.Object", "System.Xml.XmlReader", true, [], function ($) {
+  $.ExternalMembers(false, 
+    "Read", "Skip", "Close", "Dispose", "MoveToContent",
+    "MoveToElement", "MoveToFirstAttribute", "MoveToNextAttribute", "MoveToAttribute",
+    "GetAttribute", "get_Item",
+    "get_AdvanceCount", "get_AttributeCount", "get_HasAttributes",
+    "get_IsEmptyElement", "get_Depth", "get_EOF", "get_HasValue",
+    "get_LocalName", "get_NameTable",
+    "get_NodeType", "get_Name", "get_Prefix",
+    "get_NamespaceURI", "get_Value"
+  );
+
+  $.Property({Static:false, Public:false}, "AdvanceCount");
+  $.Property({Static:false, Public:true }, "AttributeCount");
+  $.Property({Static:false, Public:true }, "Depth");
+  $.Property({Static:false, Public:true }, "EOF");
+  $.Property({Static:false, Public:true }, "HasAttributes");
+  $.Property({Static:false, Public:true }, "HasValue");
+  $.Property({Static:false, Public:true }, "IsEmptyElement");
+  $.Property({Static:false, Public:true }, "LocalName");
+  $.Property({Static:false, Public:true }, "NodeType");
+  $.Property({Static:false, Public:true }, "Name");
+  $.Property({Static:false, Public:true }, "NameTable");
+  $.Property({Static:false, Public:true }, "NamespaceURI");
+  $.Property({Static:false, Public:true }, "Prefix");
+  $.Property({Static:false, Public:true }, "Value");
+});
+
+JSIL.MakeClass("System.Exception", "System.Xml.XmlException", true, [], function ($) {
+  $.Property({Static:false, Public:true }, "LineNumber");
+  $.Property({Static:false, Public:true }, "LinePosition");
+});
+
+JSIL.MakeEnum(
+  "System.Xml.WriteState", true, {
+    Start: 0, 
+    Prolog: 1, 
+    Element: 2, 
+    Attribute: 3, 
+    Content: 4, 
+    Closed: 5, 
+    Error: 6
+  }, false
+);
+
+JSIL.MakeEnum(
+  "System.Xml.ConformanceLevel", true, {
+    Auto: 0, 
+    Fragment: 1, 
+    Document: 2
+  }, false
+);
+
+JSIL.ImplementExternals("System.Xml.XmlWriterSettings", function ($) {
+  var fieldNames = [
+    "_encoding", "_indent", "_indentChars", "_newLineChars", "_newLineOnAttributes", 
+    "_omitXmlDeclaration", "_closeOutput", "_conformanceLevel"
+  ];
+
+  $.RawMethod(false, "$reset", function reset () {
+    this._encoding = System.Text.Encoding.UTF8;
+    this._indent = false;
+    this._indentChars = "  ";
+    this._newLineChars = "\r\n";
+    this._newLineOnAttributes = false;
+    this._omitXmlDeclaration = false;
+    this._closeOutput = false;
+    this._conformanceLevel = System.Xml.ConformanceLevel.Document;
+  });
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      this.$reset();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Reset", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Reset () {
+      this.$reset();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Clone", 
+    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlWriterSettings"), [], [])), 
+    function Clone () {
+      var result = new System.Xml.XmlWriterSettings();
+
+      for (var i = 0; i < fieldNames.length; i++)
+        result[fieldNames[i]] = this[fieldNames[i]];
+
+      return result;
+    }
+  );
+
+  var defineProperty = function (name, type, fieldName, nullable) {
+    $.Method({Static:false, Public:true }, "get_" + name, 
+      (new JSIL.MethodSignature(type, [], [])), 
+      function () {
+        return this[fieldName];
+      }
+    );
+
+    $.Method({Static:false, Public:true }, "set_" + name, 
+      (new JSIL.MethodSignature(null, [type], [])), 
+      function (value) {
+        if (!nullable && (value === null))
+          throw new System.ArgumentNullException("value");
+
+        this[fieldName] = value;
+      }
+    );
+  };
+
+  defineProperty("Encoding", $xmlasms[5].TypeRef("System.Text.Encoding"), "_encoding", false);
+  defineProperty("Indent", $.Boolean, "_indent", true);
+  defineProperty("IndentChars", $.String, "_indentChars", false);
+  defineProperty("NewLineChars", $.String, "_newLineChars", false);
+  defineProperty("NewLineOnAttributes", $.Boolean, "_newLineOnAttributes", true);
+  defineProperty("OmitXmlDeclaration", $.Boolean, "_omitXmlDeclaration", true);
+  defineProperty("CloseOutput", $.Boolean, "_closeOutput", true);
+  defineProperty("ConformanceLevel", $xmlasms[16].TypeRef("System.Xml.ConformanceLevel"), "_conformanceLevel", true);
+});
+
+// Writers send their text to an output with write, flush and close operations. Streams get their text 
+//  encoded with the encoding from the writer settings, which the XML declaration names unless 
+//  omitEncodingName is set.
+JSIL.XML.WriterFromStream = function (stream, settings, omitEncodingName) {
+  var encoding = settings.get_Encoding();
+  var encoder = encoding.GetEncoder();
+  var pending = "";
+
+  // Like StreamWriter, the preamble is not written when appending to a stream that already has contents.
+  var preambleWritten = stream.get_CanSeek() && (System.Int64.ToNumber(stream.get_Position()) > 0);
+
+  var flushPending = function (flushEncoder) {
+    var bytes = encoder.$encode(pending, flushEncoder);
+    pending = "";
+
+    if (!preambleWritten) {
+      preambleWritten = true;
+      bytes = encoding.GetPreamble().concat(bytes);
+    }
+
+    if (bytes.length > 0)
+      stream.Write(bytes, 0, bytes.length);
+  };
+
+  var output = {
+    write: function (text) {
+      pending += text;
+
+      if (pending.length >= 4096)
+        flushPending(false);
+    },
+    flush: function () {
+      flushPending(false);
+      stream.Flush();
+    },
+    close: function (closeOutput) {
+      flushPending(true);
+
+      if (closeOutput)
+        stream.Close();
+      else
+        stream.Flush();
+    }
+  };
+
+  return JSIL.CreateInstanceOfType(
+    System.Xml.XmlWriter.__Type__, "$initWriter", [output, settings, omitEncodingName ? null : encoding.get_WebName()]
+  );
+};
+
+JSIL.XML.WriterFromTextWriter = function (textWriter, settings) {
+  var encoding = textWriter.get_Encoding();
+
+  var output = {
+    write: function (text) {
+      textWriter.$write(text);
+    },
+    flush: function () {
+      textWriter.Flush();
+    },
+    close: function (closeOutput) {
+      if (closeOutput)
+        textWriter.Close();
+      else
+        textWriter.Flush();
+    }
+  };
+
+  return JSIL.CreateInstanceOfType(
+    System.Xml.XmlWriter.__Type__, "$initWriter", [output, settings, encoding ? encoding.get_WebName() : null]
+  );
+};
+
+JSIL.XML.WriterFromStringBuilder = function (sb, settings) {
+  var appendSignature = new JSIL.MethodSignature(
+    $xmlasms[5].TypeRef("System.Text.StringBuilder"), [$xmlasms[5].TypeRef("System.String")], []
+  );
+
+  var output = {
+    write: function (text) {
+      appendSignature.CallVirtual("Append", null, sb, text);
+    },
+    flush: function () {
+    },
+    close: function (closeOutput) {
+    }
+  };
+
+  return JSIL.CreateInstanceOfType(
+    System.Xml.XmlWriter.__Type__, "$initWriter", [output, settings, "utf-16"]
+  );
+};
+
+JSIL.ImplementExternals("System.Xml.XmlWriter", function ($) {
+  var tXmlWriter = $xmlasms[16].TypeRef("System.Xml.XmlWriter");
+  var tXmlWriterSettings = $xmlasms[16].TypeRef("System.Xml.XmlWriterSettings");
+  var tStream = $xmlasms[5].TypeRef("System.IO.Stream");
+  var tTextWriter = $xmlasms[5].TypeRef("System.IO.TextWriter");
+  var tStringBuilder = $xmlasms[5].TypeRef("System.Text.StringBuilder");
+
+  var xmlNamespace = "http://www.w3.org/XML/1998/namespace";
+  var xmlnsNamespace = "http://www.w3.org/2000/xmlns/";
+
+  var escapeText = function (text, newLineChars) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/\r\n|\r|\n/g, newLineChars);
+  };
+
+  var escapeAttribute = function (text) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/\r/g, "&#xD;")
+      .replace(/\n/g, "&#xA;")
+      .replace(/\t/g, "&#x9;");
+  };
+
+  var qualifiedName = function (prefix, localName) {
+    return prefix ? prefix + ":" + localName : localName;
+  };
+
+  var invalidToken = function (token, state) {
+    return new System.InvalidOperationException(
+      "Token " + token + " in state " + state + " would result in an invalid XML document."
+    );
+  };
+
+  var create = function (factory, output, settings) {
+    settings = settings || new System.Xml.XmlWriterSettings();
+
+    return factory(output, settings);
+  };
+
+  var createForFile = function (outputFileName, settings) {
+    if (outputFileName === null)
+      throw new System.ArgumentNullException("outputFileName");
+
+    settings = (settings || new System.Xml.XmlWriterSettings()).Clone();
+    // The writer owns the file it opened.
+    settings.set_CloseOutput(true);
+
+    var stream = new System.IO.FileStream(outputFileName, System.IO.FileMode.Create, System.IO.FileAccess.Write);
+    return JSIL.XML.WriterFromStream(stream, settings);
+  };
+
+  $.RawMethod(false, "$initWriter", function initWriter (output, settings, encodingName) {
+    this._output = output;
+    this._settings = settings.Clone();
+    this._encodingName = encodingName;
+
+    this._writeState = System.Xml.WriteState.Start;
+    this._isDocument = (settings.get_ConformanceLevel() === System.Xml.ConformanceLevel.Document);
+    this._hasOutput = false;
+    this._rootClosed = false;
+
+    // Each open element gets a scope with the namespaces declared on it.
+    this._scopes = [];
+    this._startTagOpen = false;
+    this._attribute = null;
+  });
+
+  $.RawMethod(false, "$checkOpen", function checkOpen () {
+    if (this._writeState === System.Xml.WriteState.Closed)
+      throw new System.InvalidOperationException("The Writer is closed or in error state.");
+  });
+
+  $.RawMethod(false, "$write", function write (text) {
+    if (text.length === 0)
+      return;
+
+    this._hasOutput = true;
+    this._output.write(text);
+  });
+
+  $.RawMethod(false, "$writeIndent", function writeIndent (depth) {
+    var text = this._settings._newLineChars;
+
+    for (var i = 0; i < depth; i++)
+      text += this._settings._indentChars;
+
+    this.$write(text);
+  });
+
+  $.RawMethod(false, "$writeDeclaration", function writeDeclaration (standalone) {
+    if (this._settings._omitXmlDeclaration)
+      return;
+
+    var text = "<?xml version=\"1.0\"";
+
+    if (this._encodingName !== null)
+      text += " encoding=\"" + this._encodingName + "\"";
+
+    if (standalone !== null)
+      text += " standalone=\"" + (standalone ? "yes" : "no") + "\"";
+
+    this.$write(text + "?>");
+  });
+
+  $.RawMethod(false, "$currentScope", function currentScope () {
+    var scopes = this._scopes;
+    return (scopes.length > 0) ? scopes[scopes.length - 1] : null;
+  });
+
+  $.RawMethod(false, "$lookupNamespace", function lookupNamespace (prefix) {
+    if (prefix === "xml")
+      return xmlNamespace;
+    else if (prefix === "xmlns")
+      return xmlnsNamespace;
+
+    for (var i = this._scopes.length - 1; i >= 0; i--) {
+      var ns = this._scopes[i].namespaces[prefix];
+      if (typeof (ns) === "string")
+        return ns;
+    }
+
+    return (prefix === "") ? "" : null;
+  });
+
+  $.RawMethod(false, "$lookupPrefix", function lookupPrefix (ns) {
+    if (ns === xmlNamespace)
+      return "xml";
+    else if (ns === xmlnsNamespace)
+      return "xmlns";
+
+    for (var i = this._scopes.length - 1; i >= 0; i--) {
+      var namespaces = this._scopes[i].namespaces;
+
+      for (var prefix in namespaces) {
+        if (!namespaces.hasOwnProperty(prefix) || (namespaces[prefix] !== ns))
+          continue;
+
+        // A declaration in an inner scope may have rebound the prefix.
+        if (this.$lookupNamespace(prefix) === ns)
+          return prefix;
+      }
+    }
+
+    return (ns === "") ? "" : null;
+  });
+
+  // Records a namespace declaration for the current element. It is written when the start tag is 
+  //  closed unless an xmlns attribute declared it first.
+  $.RawMethod(false, "$declareNamespace", function declareNamespace (prefix, ns) {
+    var scope = this.$currentScope();
+    scope.namespaces[prefix] = ns;
+    scope.pendingDeclarations.push(prefix);
+  });
+
+  $.RawMethod(false, "$closeStartTag", function closeStartTag (isEmpty) {
+    if (this._attribute !== null)
+      this.WriteEndAttribute();
+
+    var scope = this.$currentScope();
+    var text = "";
+
+    for (var i = 0; i < scope.pendingDeclarations.length; i++) {
+      var prefix = scope.pendingDeclarations[i];
+      if (scope.explicitDeclarations[prefix])
+        continue;
+
+      text += " " + (prefix ? "xmlns:" + prefix : "xmlns") + "=\"" + escapeAttribute(scope.namespaces[prefix]) + "\"";
+    }
+
+    this.$write(text + (isEmpty ? " />" : ">"));
+    this._startTagOpen = false;
+    this._writeState = System.Xml.WriteState.Content;
+  });
+
+  // Prepares for a node inside the current element, or at the top level of the document. Text makes 
+  //  the content of the element mixed, which turns off indentation inside it.
+  $.RawMethod(false, "$beginNode", function beginNode (token, isText) {
+    this.$checkOpen();
+
+    if (this._attribute !== null)
+      this.WriteEndAttribute();
+
+    var scope = this.$currentScope();
+
+    if ((scope === null) && isText && this._isDocument && (token !== "Raw") && (token !== "Whitespace"))
+      throw invalidToken(token, this._rootClosed ? "EndRootElement" : "Prolog");
+
+    if (this._writeState === System.Xml.WriteState.Start) {
+      if (this._isDocument)
+        this.$writeDeclaration(null);
+
+      this._writeState = System.Xml.WriteState.Prolog;
+    }
+
+    if (scope !== null) {
+      if (this._startTagOpen)
+        this.$closeStartTag(false);
+
+      scope.hasContent = true;
+
+      if (isText)
+        scope.isMixed = true;
+    }
+
+    if (!isText && this._settings._indent && this._hasOutput && ((scope === null) || !scope.isMixed))
+      this.$writeIndent(this._scopes.length);
+  });
+
+  $.RawMethod(false, "$writeStartElement", function writeStartElement (prefix, localName, ns) {
+    if ((localName === null) || (localName.length === 0))
+      throw new System.ArgumentException("The empty string '' is not a valid local name.");
+
+    if (this._isDocument && this._rootClosed)
+      throw invalidToken("StartElement", "EndRootElement");
+
+    this.$beginNode("StartElement", false);
+
+    var parent = this.$currentScope();
+    var declaration = null;
+
+    if (ns === null) {
+      prefix = prefix || "";
+      ns = this.$lookupNamespace(prefix);
+
+      if (ns === null)
+        throw new System.ArgumentException("The prefix '" + prefix + "' is undefined.");
+    } else if (prefix === null) {
+      prefix = this.$lookupPrefix(ns);
+
+      if (prefix === null) {
+        prefix = "";
+        declaration = ns;
+      }
+    } else if (this.$lookupNamespace(prefix) !== ns) {
+      declaration = ns;
+    }
+
+    if ((prefix === "") && (declaration === null) && (this.$lookupNamespace("") !== ns))
+      declaration = ns;
+
+    this._scopes.push({
+      prefix: prefix,
+      localName: localName,
+      namespaces: {},
+      pendingDeclarations: [],
+      explicitDeclarations: {},
+      generatedPrefixCount: 0,
+      hasContent: false,
+      // Nothing inside mixed content is indented, since the whitespace would become part of the text.
+      isMixed: (parent !== null) && parent.isMixed
+    });
+
+    if (declaration !== null)
+      this.$declareNamespace(prefix, declaration);
+
+    this.$write("<" + qualifiedName(prefix, localName));
+    this._startTagOpen = true;
+    this._writeState = System.Xml.WriteState.Element;
+  });
+
+  $.RawMethod(false, "$writeEndElement", function writeEndElement (full) {
+    this.$checkOpen();
+
+    var scope = this.$currentScope();
+    if (scope === null)
+      throw new System.InvalidOperationException("There was no XML start tag open.");
+
+    if (this._startTagOpen) {
+      if (!full) {
+        this.$closeStartTag(true);
+        this.$popScope();
+        return;
+      }
+
+      this.$closeStartTag(false);
+    }
+
+    if (this._settings._indent && scope.hasContent && !scope.isMixed)
+      this.$writeIndent(this._scopes.length - 1);
+
+    this.$write("</" + qualifiedName(scope.prefix, scope.localName) + ">");
+    this.$popScope();
+  });
+
+  $.RawMethod(false, "$popScope", function popScope () {
+    this._scopes.pop();
+    this._writeState = System.Xml.WriteState.Content;
+
+    if (this._scopes.length === 0)
+      this._rootClosed = true;
+  });
+
+  $.RawMethod(false, "$writeStartAttribute", function writeStartAttribute (prefix, localName, ns) {
+    this.$checkOpen();
+
+    if (this._attribute !== null)
+      this.WriteEndAttribute();
+
+    if (!this._startTagOpen)
+      throw invalidToken("StartAttribute", (this._writeState === System.Xml.WriteState.Start) ? "Start" : "Content");
+
+    if ((localName === null) || (localName.length === 0)) {
+      // WriteAttributeString("xmlns", "", null, ns) declares the default namespace.
+      if (prefix !== "xmlns")
+        throw new System.ArgumentException("The empty string '' is not a valid local name.");
+
+      prefix = null;
+      localName = "xmlns";
+    }
+
+    var scope = this.$currentScope();
+    var declaredPrefix = null;
+
+    if (((prefix === null) || (prefix === "")) && (localName === "xmlns")) {
+      declaredPrefix = "";
+      prefix = "";
+    } else if ((prefix === "xmlns") || (ns === xmlnsNamespace)) {
+      declaredPrefix = localName;
+      prefix = "xmlns";
+    } else if (prefix === "xml") {
+      ns = xmlNamespace;
+    } else if (ns === null) {
+      if (prefix) {
+        ns = this.$lookupNamespace(prefix);
+
+        if (ns === null)
+          throw new System.ArgumentException("The prefix '" + prefix + "' is undefined.");
+      }
+    } else if (ns.length === 0) {
+      prefix = "";
+    } else {
+      if (!prefix) {
+        // Unprefixed attributes are never in the default namespace.
+        prefix = this.$lookupPrefix(ns);
+
+        if (!prefix) {
+          scope.generatedPrefixCount += 1;
+          prefix = "d" + this._scopes.length + "p" + scope.generatedPrefixCount;
+        }
+      }
+
+      if (this.$lookupNamespace(prefix) !== ns)
+        this.$declareNamespace(prefix, ns);
+    }
+
+    var text = " ";
+    if (this._settings._newLineOnAttributes && this._settings._indent)
+      text = this._settings._newLineChars + new Array(this._scopes.length + 1).join(this._settings._indentChars);
+
+    this.$write(text + qualifiedName(prefix, localName) + "=\"");
+
+    this._attribute = {
+      declaredPrefix: declaredPrefix,
+      value: ""
+    };
+    this._writeState = System.Xml.WriteState.Attribute;
+  });
+
+  $.RawMethod(false, "$writeText", function writeText (text) {
+    if (text === null)
+      text = "";
+
+    if (this._attribute !== null) {
+      this._attribute.value += text;
+      this.$write(escapeAttribute(text));
+      return;
+    }
+
+    this.$beginNode("Text", true);
+    this.$write(escapeText(text, this._settings._newLineChars));
+  });
+
+  $.RawMethod(false, "$closeAll", function closeAll () {
+    if (this._attribute !== null)
+      this.WriteEndAttribute();
+
+    while (this._scopes.length > 0)
+      this.$writeEndElement(false);
+  });
+
+  $.Method({Static:true , Public:true }, "Create", 
+    (new JSIL.MethodSignature(tXmlWriter, [tStream], [])), 
+    function Create (output) {
+      if (output === null)
+        throw new System.ArgumentNullException("output");
+
+      return create(JSIL.XML.WriterFromStream, output, null);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Create", 
+    (new JSIL.MethodSignature(tXmlWriter, [tStream, tXmlWriterSettings], [])), 
+    function Create (output, settings) {
+      if (output === null)
+        throw new System.ArgumentNullException("output");
+
+      return create(JSIL.XML.WriterFromStream, output, settings);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Create", 
+    (new JSIL.MethodSignature(tXmlWriter, [tTextWriter], [])), 
+    function Create (output) {
+      if (output === null)
+        throw new System.ArgumentNullException("output");
+
+      return create(JSIL.XML.WriterFromTextWriter, output, null);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Create", 
+    (new JSIL.MethodSignature(tXmlWriter, [tTextWriter, tXmlWriterSettings], [])), 
+    function Create (output, settings) {
+      if (output === null)
+        throw new System.ArgumentNullException("output");
+
+      return create(JSIL.XML.WriterFromTextWriter, output, settings);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Create", 
+    (new JSIL.MethodSignature(tXmlWriter, [tStringBuilder], [])), 
+    function Create (output) {
+      if (output === null)
+        throw new System.ArgumentNullException("output");
+
+      return create(JSIL.XML.WriterFromStringBuilder, output, null);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Create", 
+    (new JSIL.MethodSignature(tXmlWriter, [tStringBuilder, tXmlWriterSettings], [])), 
+    function Create (output, settings) {
+      if (output === null)
+        throw new System.ArgumentNullException("output");
+
+      return create(JSIL.XML.WriterFromStringBuilder, output, settings);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Create", 
+    (new JSIL.MethodSignature(tXmlWriter, [$.String], [])), 
+    function Create (outputFileName) {
+      return createForFile(outputFileName, null);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Create", 
+    (new JSIL.MethodSignature(tXmlWriter, [$.String, tXmlWriterSettings], [])), 
+    function Create (outputFileName, settings) {
+      return createForFile(outputFileName, settings);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Settings", 
+    (new JSIL.MethodSignature(tXmlWriterSettings, [], [])), 
+    function get_Settings () {
+      return this._settings.Clone();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_WriteState", 
+    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.WriteState"), [], [])), 
+    function get_WriteState () {
+      return this._writeState;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "LookupPrefix", 
+    (new JSIL.MethodSignature($.String, [$.String], [])), 
+    function LookupPrefix (ns) {
+      if (ns === null)
+        throw new System.ArgumentNullException("ns");
+
+      return this.$lookupPrefix(ns);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteStartDocument", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function WriteStartDocument () {
+      this.WriteStartDocument(null);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteStartDocument", 
+    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
+    function WriteStartDocument (standalone) {
+      this.$checkOpen();
+
+      if (this._writeState !== System.Xml.WriteState.Start)
+        throw invalidToken("StartDocument", "Document");
+      else if (this._settings._conformanceLevel === System.Xml.ConformanceLevel.Fragment)
+        throw new System.InvalidOperationException("WriteStartDocument cannot be called on writers created with ConformanceLevel.Fragment.");
+
+      this._isDocument = true;
+      this.$writeDeclaration(standalone);
+      this._writeState = System.Xml.WriteState.Prolog;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteEndDocument", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function WriteEndDocument () {
+      this.$checkOpen();
+
+      if (this._isDocument && !this._rootClosed && (this._scopes.length === 0))
+        throw new System.ArgumentException("Document does not have a root element.");
+
+      this.$closeAll();
+      this._writeState = System.Xml.WriteState.Start;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteStartElement", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function WriteStartElement (localName) {
+      this.$writeStartElement(null, localName, null);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteStartElement", 
+    (new JSIL.MethodSignature(null, [$.String, $.String], [])), 
+    function WriteStartElement (localName, ns) {
+      this.$writeStartElement(null, localName, ns);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteStartElement", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.String], [])), 
+    function WriteStartElement (prefix, localName, ns) {
+      this.$writeStartElement(prefix, localName, ns);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteEndElement", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function WriteEndElement () {
+      this.$writeEndElement(false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteFullEndElement", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function WriteFullEndElement () {
+      this.$writeEndElement(true);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteStartAttribute", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function WriteStartAttribute (localName) {
+      this.$writeStartAttribute(null, localName, null);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteStartAttribute", 
+    (new JSIL.MethodSignature(null, [$.String, $.String], [])), 
+    function WriteStartAttribute (localName, ns) {
+      this.$writeStartAttribute(null, localName, ns);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteStartAttribute", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.String], [])), 
+    function WriteStartAttribute (prefix, localName, ns) {
+      this.$writeStartAttribute(prefix, localName, ns);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteEndAttribute", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function WriteEndAttribute () {
+      var attribute = this._attribute;
+      if (attribute === null)
+        throw invalidToken("EndAttribute", "Element");
+
+      if (attribute.declaredPrefix !== null) {
+        var scope = this.$currentScope();
+        scope.namespaces[attribute.declaredPrefix] = attribute.value;
+        scope.explicitDeclarations[attribute.declaredPrefix] = true;
+      }
+
+      this.$write("\"");
+      this._attribute = null;
+      this._writeState = System.Xml.WriteState.Element;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteAttributeString", 
+    (new JSIL.MethodSignature(null, [$.String, $.String], [])), 
+    function WriteAttributeString (localName, value) {
+      this.$writeStartAttribute(null, localName, null);
+      this.$writeText(value);
+      this.WriteEndAttribute();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteAttributeString", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.String], [])), 
+    function WriteAttributeString (localName, ns, value) {
+      this.$writeStartAttribute(null, localName, ns);
+      this.$writeText(value);
+      this.WriteEndAttribute();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteAttributeString", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.String, $.String], [])), 
+    function WriteAttributeString (prefix, localName, ns, value) {
+      this.$writeStartAttribute(prefix, localName, ns);
+      this.$writeText(value);
+      this.WriteEndAttribute();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteElementString", 
+    (new JSIL.MethodSignature(null, [$.String, $.String], [])), 
+    function WriteElementString (localName, value) {
+      this.$writeStartElement(null, localName, null);
+      this.$writeText(value);
+      this.$writeEndElement(false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteElementString", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.String], [])), 
+    function WriteElementString (localName, ns, value) {
+      this.$writeStartElement(null, localName, ns);
+      this.$writeText(value);
+      this.$writeEndElement(false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteElementString", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.String, $.String], [])), 
+    function WriteElementString (prefix, localName, ns, value) {
+      this.$writeStartElement(prefix, localName, ns);
+      this.$writeText(value);
+      this.$writeEndElement(false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteString", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function WriteString (text) {
+      this.$checkOpen();
+      this.$writeText(text);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteValue", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function WriteValue (value) {
+      this.$checkOpen();
+      this.$writeText(value);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteValue", 
+    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
+    function WriteValue (value) {
+      this.$checkOpen();
+      this.$writeText(System.Xml.XmlConvert.$toString(value, "System.Boolean"));
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteValue", 
+    (new JSIL.MethodSignature(null, [$.Int32], [])), 
+    function WriteValue (value) {
+      this.$checkOpen();
+      this.$writeText(System.Xml.XmlConvert.$toString(value, "System.Int32"));
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteValue", 
+    (new JSIL.MethodSignature(null, [$.Int64], [])), 
+    function WriteValue (value) {
+      this.$checkOpen();
+      this.$writeText(System.Xml.XmlConvert.$toString(value, "System.Int64"));
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteValue", 
+    (new JSIL.MethodSignature(null, [$.Single], [])), 
+    function WriteValue (value) {
+      this.$checkOpen();
+      this.$writeText(System.Xml.XmlConvert.$toString(value, "System.Single"));
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteValue", 
+    (new JSIL.MethodSignature(null, [$.Double], [])), 
+    function WriteValue (value) {
+      this.$checkOpen();
+      this.$writeText(System.Xml.XmlConvert.$toString(value, "System.Double"));
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteValue", 
+    (new JSIL.MethodSignature(null, [$xmlasms[5].TypeRef("System.Decimal")], [])), 
+    function WriteValue (value) {
+      this.$checkOpen();
+      this.$writeText(System.Xml.XmlConvert.$toString(value, "System.Decimal"));
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteValue", 
+    (new JSIL.MethodSignature(null, [$.Object], [])), 
+    function WriteValue (value) {
+      if (value === null)
+        throw new System.ArgumentNullException("value");
+
+      this.$checkOpen();
+      this.$writeText(System.Xml.XmlConvert.$toString(value, null));
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteCData", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function WriteCData (text) {
+      this.$beginNode("CData", true);
+
+      // A ']]>' inside the text has to be split across two CDATA sections.
+      this.$write("<![CDATA[" + (text || "").replace(/\]\]>/g, "]]]]><![CDATA[>") + "]]>");
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteComment", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function WriteComment (text) {
+      text = text || "";
+
+      if ((text.indexOf("--") >= 0) || (text.charAt(text.length - 1) === "-"))
+        throw new System.ArgumentException("An XML comment cannot contain '--', and '-' cannot be the last character.");
+
+      this.$beginNode("Comment", false);
+      this.$write("<!--" + text + "-->");
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteProcessingInstruction", 
+    (new JSIL.MethodSignature(null, [$.String, $.String], [])), 
+    function WriteProcessingInstruction (name, text) {
+      if ((name === null) || (name.length === 0))
+        throw new System.ArgumentException("The empty string '' is not a valid name.");
+
+      text = text || "";
+      if (text.indexOf("?>") >= 0)
+        throw new System.ArgumentException("Cannot have '?>' inside an XML processing instruction.");
+
+      this.$beginNode("ProcessingInstruction", false);
+      this.$write("<?" + name + ((text.length > 0) ? " " + text : "") + "?>");
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteDocType", 
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.String, $.String], [])), 
+    function WriteDocType (name, pubid, sysid, subset) {
+      if ((name === null) || (name.length === 0))
+        throw new System.ArgumentException("The empty string '' is not a valid name.");
+      else if (this._scopes.length > 0)
+        throw invalidToken("DocType", "Element");
+
+      var text = "<!DOCTYPE " + name;
+
+      if (pubid !== null)
+        text += " PUBLIC \"" + pubid + "\" \"" + (sysid || "") + "\"";
+      else if (sysid !== null)
+        text += " SYSTEM \"" + sysid + "\"";
+
+      if (subset !== null)
+        text += "[" + subset + "]";
+
+      this.$beginNode("DocType", false);
+      this.$write(text + ">");
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteWhitespace", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function WriteWhitespace (ws) {
+      ws = ws || "";
+
+      if (!/^[ \t\r\n]*$/.test(ws))
+        throw new System.ArgumentException("Only white space characters should be used.");
+
+      this.$beginNode("Whitespace", true);
+      this.$write(ws);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteRaw", 
+    (new JSIL.MethodSignature(null, [$.String], [])), 
+    function WriteRaw (data) {
+      if (this._attribute !== null) {
+        this.$write(data || "");
+        return;
+      }
+
+      this.$beginNode("Raw", true);
+      this.$write(data || "");
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Flush", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Flush () {
+      this.$checkOpen();
+      this._output.flush();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Close", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Close () {
+      if (this._writeState === System.Xml.WriteState.Closed)
+        return;
+
+      this.$closeAll();
+      this._output.close(this._settings._closeOutput);
+      this._writeState = System.Xml.WriteState.Closed;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Dispose", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Dispose () {
+      this.Close();
+    }
+  );
+});
+
+JSIL.MakeClass("System.Object", "System.Xml.XmlWriterSettings", true, [], function ($) {
+  $.ExternalMembers(false,
+    ".ctor", "Reset", "Clone", 
+    "get_Encoding", "set_Encoding", "get_Indent", "set_Indent", 
+    "get_IndentChars", "set_IndentChars", "get_NewLineChars", "set_NewLineChars", 
+    "get_NewLineOnAttributes", "set_NewLineOnAttributes", 
+    "get_OmitXmlDeclaration", "set_OmitXmlDeclaration", 
+    "get_CloseOutput", "set_CloseOutput", 
+    "get_ConformanceLevel", "set_ConformanceLevel"
+  );
+
+  $.Property({Static:false, Public:true }, "Encoding");
+  $.Property({Static:false, Public:true }, "Indent");
+  $.Property({Static:false, Public:true }, "IndentChars");
+  $.Property({Static:false, Public:true }, "NewLineChars");
+  $.Property({Static:false, Public:true }, "NewLineOnAttributes");
+  $.Property({Static:false, Public:true }, "OmitXmlDeclaration");
+  $.Property({Static:false, Public:true }, "CloseOutput");
+  $.Property({Static:false, Public:true }, "ConformanceLevel");
+});
+
+JSIL.MakeClass("System.Object", "System.Xml.XmlWriter", true, [], function ($) {
+  $.ExternalMembers(false, 
+    "Create", "get_Settings", "get_WriteState", "LookupPrefix", 
+    "WriteStartDocument", "WriteEndDocument", 
+    "WriteStartElement", "WriteEndElement", "WriteFullEndElement", 
+    "WriteStartAttribute", "WriteEndAttribute", "WriteAttributeString", 
+    "WriteElementString", "WriteString", "WriteValue", 
+    "WriteCData", "WriteComment", "WriteProcessingInstruction", 
+    "WriteDocType", "WriteWhitespace", "WriteRaw", 
+    "Flush", "Close", "Dispose"
+  );
+
+  $.Property({Static:false, Public:true }, "Settings");
+  $.Property({Static:false, Public:true }, "WriteState");
+});
+
+JSIL.ImplementExternals("System.Xml.XmlConvert", function ($) {
+
+  // Parses the XML schema form of a floating point value, where infinities are spelled INF and -INF.
+  var parseFloatValue = function (s, typeName) {
+    if (s === null)
+      throw new System.ArgumentNullException("s");
+
+    var text = s.replace(/^[ \t\r\n]+|[ \t\r\n]+$/g, "");
+
+    if (text === "INF")
+      return Infinity;
+    else if (text === "-INF")
+      return -Infinity;
+    else if (text === "NaN")
+      return NaN;
+
+    var result = (/^(Infinity|-Infinity)$/.test(text)) ? null : $jsilcore.$ParseFloat(text, null);
+    if (result === null)
+      throw new System.FormatException("The string '" + s + "' is not a valid " + typeName + " value.");
+
+    return result;
+  };
+
+  $.Method({Static:true , Public:true }, "ToDouble", 
+    (new JSIL.MethodSignature($.Double, [$.String], [])), 
+    function ToDouble (s) {
+      return parseFloatValue(s, "Double");
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "ToSingle", 
+    (new JSIL.MethodSignature($.Single, [$.String], [])), 
+    function ToSingle (s) {
+      return parseFloatValue(s, "Single");
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "ToDecimal", 
+    (new JSIL.MethodSignature($xmlasms[5].TypeRef("System.Decimal"), [$.String], [])), 
+    function ToDecimal (s) {
+      if (s === null)
+        throw new System.ArgumentNullException("s");
+
+      return System.Decimal.Parse(s.replace(/^[ \t\r\n]+|[ \t\r\n]+$/g, ""), System.Globalization.CultureInfo.get_InvariantCulture());
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "ToInt16", 
+    (new JSIL.MethodSignature($.Int16, [$.String], [])), 
+    function ToInt16 (s) {
+      var i = parseInt(s, 10);
+      if (isNaN(i))
+        throw new Error("Invalid integer");
+
+      return i;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "ToInt32", 
+    (new JSIL.MethodSignature($.Int32, [$.String], [])), 
+    function ToInt32 (s) {
+      var i = parseInt(s, 10);
+      if (isNaN(i))
+        throw new Error("Invalid integer");
+
+      return i;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "ToInt64", 
+    (new JSIL.MethodSignature($.Int64, [$.String], [])), 
+    function ToInt64 (s) {
+      return System.Int64.Parse(s);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "ToUInt16", 
+    (new JSIL.MethodSignature($.UInt16, [$.String], [])), 
+    function ToUInt16 (s) {
+      var i = parseInt(s, 10);
+      if (isNaN(i) || i < 0)
+        throw new Error("Invalid unsigned integer");
+
+      return i;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "ToUInt32", 
+    (new JSIL.MethodSignature($.UInt32, [$.String], [])), 
+    function ToUInt32 (s) {
+      var i = parseInt(s, 10);
+      if (isNaN(i) || i < 0)
+        throw new Error("Invalid unsigned integer");
+
+      return i;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "ToUInt64", 
+    (new JSIL.MethodSignature($.UInt64, [$.String], [])), 
+    function ToUInt64 (s) {
+      return System.UInt64.Parse(s);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "ToBoolean", 
+    (new JSIL.MethodSignature($.Boolean, [$.String], [])), 
+    function ToBoolean (s) {
+      var text = s.toLowerCase().trim();
+      if (text == "true")
+        return true;
+      else if (text == "false")
+        return false;
+
+      var i = parseInt(s, 10);
+      if (isNaN(i))
+        throw new Error("Invalid boolean");
+
+      return (i != 0);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "ToByte", 
+    (new JSIL.MethodSignature($.Byte, [$.String], [])), 
+    function ToByte (s) {
+      var i = parseInt(s, 10);
+      if (isNaN(i) || i < 0 || i > 255)
+        throw new Error("Invalid byte");
+
+      return i;
+    }
+  );
+
+  // Values are written in their XML schema form, which does not depend on the current culture.
+  $.RawMethod(true, "$toString", function toString (value, typeName) {
+    var invariant = System.Globalization.CultureInfo.get_InvariantCulture();
+
+    switch (JSIL.GetTypeName(typeName || JSIL.GetType(value))) {
+      case "System.Boolean":
+        return value ? "true" : "false";
+
+      case "System.String":
+      case "System.Char":
+        return value;
+
+      case "System.Single":
+      case "System.Double":
+        if (value === Infinity)
+          return "INF";
+        else if (value === -Infinity)
+          return "-INF";
+        else if (isNaN(value))
+          return "NaN";
+
+        return JSIL.FormatNumber(value, typeName, "R", invariant);
+
+      case "System.DateTime":
+        return $jsilcore.$FormatValue(value, "yyyy-MM-ddTHH:mm:ss.FFFFFFFK", invariant);
+
+      default:
+        return $jsilcore.$FormatValue(value, null, invariant);
+    }
+  });
+
+  var defineToString = function (typeName) {
+    $.Method({Static:true , Public:true }, "ToString", 
+      (new JSIL.MethodSignature($.String, [$xmlasms[5].TypeRef(typeName)], [])), 
+      function ToString (value) {
+        return System.Xml.XmlConvert.$toString(value, typeName);
+      }
+    );
+  };
+
+  defineToString("System.Boolean");
+  defineToString("System.Char");
+  defineToString("System.SByte");
+  defineToString("System.Byte");
+  defineToString("System.Int16");
+  defineToString("System.UInt16");
+  defineToString("System.Int32");
+  defineToString("System.UInt32");
+  defineToString("System.Int64");
+  defineToString("System.UInt64");
+  defineToString("System.Single");
+  defineToString("System.Double");
+  defineToString("System.Decimal");
+
+});
+
+JSIL.MakeEnum(
+  "System.Xml.Linq.LoadOptions", true, {
+    None: 0,
+    PreserveWhitespace: 1,
+    SetBaseUri: 2,
+    SetLineInfo: 4
+  }, true
+);
+
+JSIL.MakeEnum(
+  "System.Xml.Linq.SaveOptions", true, {
+    None: 0,
+    DisableFormatting: 1,
+    OmitDuplicateNamespaces: 2
+  }, true
+);
+
+// Shared by the System.Xml.Linq externals.
+var $xlinq = {
+  xmlNamespace: "http://www.w3.org/XML/1998/namespace",
+  xmlnsNamespace: "http://www.w3.org/2000/xmlns/",
+
+  typeRef: function (name) {
+    return $xmlasms[17].TypeRef("System.Xml.Linq." + name);
+  },
+
+  sequenceOf: function (type) {
+    return $xmlasms[5].TypeRef("System.Collections.Generic.IEnumerable`1", [type]);
+  },
+
+  // Axes are collected when they are enumerated rather than when they are created, so that they see
+  //  the tree as it is at that point.
+  sequence: function (collect) {
+    return new JSIL.AbstractEnumerable(function () {
+      return JSIL.GetEnumerator(collect());
+    });
+  },
+
+  isElement: function (node) {
+    return JSIL.CheckType(node, System.Xml.Linq.XElement);
+  },
+
+  // A name of undefined matches every element, while a null name matches none, like it does in .NET.
+  elementsOf: function (nodes, name, result) {
+    result = result || [];
+
+    if (name === null)
+      return result;
+
+    for (var i = 0; i < nodes.length; i++) {
+      var node = nodes[i];
+
+      if ($xlinq.isElement(node) && ((typeof (name) === "undefined") || (node._name === name)))
+        result.push(node);
+    }
+
+    return result;
+  },
+
+  descendantNodesOf: function (container, result) {
+    var nodes = container._nodes;
+
+    for (var i = 0; i < nodes.length; i++) {
+      result.push(nodes[i]);
+
+      if (nodes[i]._nodes)
+        $xlinq.descendantNodesOf(nodes[i], result);
+    }
+
+    return result;
+  },
+
+  descendantsOf: function (container, name, result) {
+    if (name === null)
+      return result;
+
+    var nodes = container._nodes;
+
+    for (var i = 0; i < nodes.length; i++) {
+      var node = nodes[i];
+      if (!$xlinq.isElement(node))
+        continue;
+
+      if ((typeof (name) === "undefined") || (node._name === name))
+        result.push(node);
+
+      $xlinq.descendantsOf(node, name, result);
+    }
+
+    return result;
+  },
+
+  ancestorsOf: function (node, name, result) {
+    if (name === null)
+      return result;
+
+    for (var parent = node._parent; (parent !== null) && $xlinq.isElement(parent); parent = parent._parent) {
+      if ((typeof (name) === "undefined") || (parent._name === name))
+        result.push(parent);
+    }
+
+    return result;
+  },
+
+  optionsValue: function (options) {
+    return (options === null) || (typeof (options) === "undefined") ? 0 : Number(options);
+  }
+};
+
+// Explicit conversions from the value of an XElement or XAttribute to other types. A null element or
+//  attribute converts to null for strings and nullable types.
+var $xobjectValueConversions = function ($, parameterName) {
+  var nullable = function (type) {
+    return $xmlasms[5].TypeRef("System.Nullable`1", [type]);
+  };
+
+  $.Method({Static:true , Public:true }, "op_Explicit",
+    (new JSIL.MethodSignature($.String, [$.Type], [])),
+    function op_Explicit (source) {
+      return (source === null) ? null : source.get_Value();
+    }
+  );
+
+  var defineConversion = function (type, convert) {
+    $.Method({Static:true , Public:true }, "op_Explicit",
+      (new JSIL.MethodSignature(type, [$.Type], [])),
+      function op_Explicit (source) {
+        if (source === null)
+          throw new System.ArgumentNullException(parameterName);
+
+        return convert(source.get_Value());
+      }
+    );
+
+    $.Method({Static:true , Public:true }, "op_Explicit",
+      (new JSIL.MethodSignature(nullable(type), [$.Type], [])),
+      function op_Explicit (source) {
+        return (source === null) ? null : convert(source.get_Value());
+      }
+    );
+  };
+
+  defineConversion($.Boolean, function (value) {
+    return System.Xml.XmlConvert.ToBoolean(value.toLowerCase());
+  });
+
+  defineConversion($.Int32, function (value) {
+    return System.Xml.XmlConvert.ToInt32(value);
+  });
+
+  defineConversion($.UInt32, function (value) {
+    return System.Xml.XmlConvert.ToUInt32(value);
+  });
+
+  defineConversion($.Int64, function (value) {
+    return System.Xml.XmlConvert.ToInt64(value);
+  });
+
+  defineConversion($.UInt64, function (value) {
+    return System.Xml.XmlConvert.ToUInt64(value);
+  });
+
+  defineConversion($.Single, function (value) {
+    return System.Xml.XmlConvert.ToSingle(value);
+  });
+
+  defineConversion($.Double, function (value) {
+    return System.Xml.XmlConvert.ToDouble(value);
+  });
+
+  defineConversion($xmlasms[5].TypeRef("System.Decimal"), function (value) {
+    return System.Xml.XmlConvert.ToDecimal(value);
+  });
+
+  defineConversion($xmlasms[5].TypeRef("System.DateTime"), function (value) {
+    // 128 is DateTimeStyles.RoundtripKind, which keeps the kind of the time the text specifies.
+    return System.DateTime.Parse(value, System.Globalization.CultureInfo.get_InvariantCulture(), 128);
+  });
+};
+
+JSIL.ImplementExternals("System.Xml.Linq.XNamespace", function ($) {
+  var tXName = $xlinq.typeRef("XName");
+
+  // Namespaces and their names are atomized, so they can be compared by reference.
+  var namespaces = {};
+
+  var get = function (namespaceName) {
+    var key = "ns:" + namespaceName;
+    var result = namespaces[key];
+
+    if (!result) {
+      result = namespaces[key] = JSIL.CreateInstanceOfType(
+        System.Xml.Linq.XNamespace.__Type__, "$initNamespace", [namespaceName]
+      );
+    }
+
+    return result;
+  };
+
+  $.RawMethod(false, "$initNamespace", function initNamespace (namespaceName) {
+    this._namespaceName = namespaceName;
+    this._names = {};
+  });
+
+  $.Method({Static:true , Public:true }, "get_None",
+    (new JSIL.MethodSignature($.Type, [], [])),
+    function get_None () {
+      return get("");
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "get_Xml",
+    (new JSIL.MethodSignature($.Type, [], [])),
+    function get_Xml () {
+      return get($xlinq.xmlNamespace);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "get_Xmlns",
+    (new JSIL.MethodSignature($.Type, [], [])),
+    function get_Xmlns () {
+      return get($xlinq.xmlnsNamespace);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Get",
+    (new JSIL.MethodSignature($.Type, [$.String], [])),
+    function Get (namespaceName) {
+      if (namespaceName === null)
+        throw new System.ArgumentNullException("namespaceName");
+
+      return get(namespaceName);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_Implicit",
+    (new JSIL.MethodSignature($.Type, [$.String], [])),
+    function op_Implicit (namespaceName) {
+      return (namespaceName === null) ? null : get(namespaceName);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_Addition",
+    (new JSIL.MethodSignature(tXName, [$.Type, $.String], [])),
+    function op_Addition (ns, localName) {
+      if (ns === null)
+        throw new System.ArgumentNullException("ns");
+
+      return ns.GetName(localName);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_Equality",
+    (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])),
+    function op_Equality (lhs, rhs) {
+      return lhs === rhs;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_Inequality",
+    (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])),
+    function op_Inequality (lhs, rhs) {
+      return lhs !== rhs;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetName",
+    (new JSIL.MethodSignature(tXName, [$.String], [])),
+    function GetName (localName) {
+      if (localName === null)
+        throw new System.ArgumentNullException("localName");
+
+      var key = "n:" + localName;
+      var result = this._names[key];
+
+      if (!result) {
+        result = this._names[key] = JSIL.CreateInstanceOfType(
+          System.Xml.Linq.XName.__Type__, "$initName", [this, localName]
+        );
+      }
+
+      return result;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_NamespaceName",
+    (new JSIL.MethodSignature($.String, [], [])),
+    function get_NamespaceName () {
+      return this._namespaceName;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "toString",
+    (new JSIL.MethodSignature($.String, [], [])),
+    function toString () {
+      return this._namespaceName;
+    }
+  );
+});
+
+JSIL.ImplementExternals("System.Xml.Linq.XName", function ($) {
+  var tXNamespace = $xlinq.typeRef("XNamespace");
+
+  var invalidName = function (expandedName) {
+    return new System.ArgumentException("'" + expandedName + "' is an invalid expanded name.");
+  };
+
+  var describeCharacter = function (ch) {
+    return "'" + ch + "' character, hexadecimal value 0x" + ch.charCodeAt(0).toString(16).toUpperCase();
+  };
+
+  $.RawMethod(false, "$initName", function initName (ns, localName) {
+    // Local names are XML names without a colon.
+    if (localName.length === 0)
+      throw new System.ArgumentException("The empty string '' is not a valid local name.");
+    else if (!/^[A-Za-z_À-￿]/.test(localName))
+      throw new System.Xml.XmlException("Name cannot begin with the " + describeCharacter(localName.charAt(0)) + ".");
+
+    var invalid = /[^A-Za-z0-9_.\-·À-￿]/.exec(localName);
+    if (invalid !== null)
+      throw new System.Xml.XmlException("The " + describeCharacter(invalid[0]) + ", cannot be included in a name.");
+
+    this._namespace = ns;
+    this._localName = localName;
+  });
+
+  $.Method({Static:true , Public:true }, "Get",
+    (new JSIL.MethodSignature($.Type, [$.String], [])),
+    function Get (expandedName) {
+      if (expandedName === null)
+        throw new System.ArgumentNullException("expandedName");
+      else if (expandedName.length === 0)
+        throw invalidName(expandedName);
+
+      if (expandedName.charAt(0) !== "{")
+        return System.Xml.Linq.XNamespace.get_None().GetName(expandedName);
+
+      var end = expandedName.lastIndexOf("}");
+      if ((end <= 1) || (end === expandedName.length - 1))
+        throw invalidName(expandedName);
+
+      return System.Xml.Linq.XNamespace.Get(expandedName.substring(1, end)).GetName(expandedName.substr(end + 1));
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Get",
+    (new JSIL.MethodSignature($.Type, [$.String, $.String], [])),
+    function Get (localName, namespaceName) {
+      return System.Xml.Linq.XNamespace.Get(namespaceName).GetName(localName);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_Implicit",
+    (new JSIL.MethodSignature($.Type, [$.String], [])),
+    function op_Implicit (expandedName) {
+      return (expandedName === null) ? null : System.Xml.Linq.XName.Get(expandedName);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_Equality",
+    (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])),
+    function op_Equality (lhs, rhs) {
+      return lhs === rhs;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_Inequality",
+    (new JSIL.MethodSignature($.Boolean, [$.Type, $.Type], [])),
+    function op_Inequality (lhs, rhs) {
+      return lhs !== rhs;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_LocalName",
+    (new JSIL.MethodSignature($.String, [], [])),
+    function get_LocalName () {
+      return this._localName;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Namespace",
+    (new JSIL.MethodSignature(tXNamespace, [], [])),
+    function get_Namespace () {
+      return this._namespace;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_NamespaceName",
+    (new JSIL.MethodSignature($.String, [], [])),
+    function get_NamespaceName () {
+      return this._namespace._namespaceName;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "toString",
+    (new JSIL.MethodSignature($.String, [], [])),
+    function toString () {
+      var namespaceName = this._namespace._namespaceName;
+
+      if (namespaceName.length === 0)
+        return this._localName;
+
+      return "{" + namespaceName + "}" + this._localName;
+    }
+  );
+});
+
+JSIL.ImplementExternals("System.Xml.Linq.XObject", function ($) {
+  // Values are added to trees as text in their XML schema form.
+  $.RawMethod(true, "$stringValue", function stringValue (value) {
+    if (typeof (value) === "string")
+      return value;
+    else if (JSIL.CheckType(value, System.Xml.Linq.XObject))
+      throw new System.ArgumentException("An XObject cannot be used as a value.");
+
+    return System.Xml.XmlConvert.$toString(value, null);
+  });
+
+  $.Method({Static:false, Public:true }, "get_Parent",
+    (new JSIL.MethodSignature($xlinq.typeRef("XElement"), [], [])),
+    function get_Parent () {
+      // Nodes at the top level of a document have no parent element.
+      return ((this._parent !== null) && $xlinq.isElement(this._parent)) ? this._parent : null;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Document",
+    (new JSIL.MethodSignature($xlinq.typeRef("XDocument"), [], [])),
+    function get_Document () {
+      var root = this;
+      while (root._parent !== null)
+        root = root._parent;
+
+      return JSIL.CheckType(root, System.Xml.Linq.XDocument) ? root : null;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_BaseUri",
+    (new JSIL.MethodSignature($.String, [], [])),
+    function get_BaseUri () {
+      return "";
+    }
+  );
+});
+
+JSIL.ImplementExternals("System.Xml.Linq.XNode", function ($) {
+  var tXNode = $xlinq.typeRef("XNode");
+  var tXElement = $xlinq.typeRef("XElement");
+  var tXName = $xlinq.typeRef("XName");
+  var tSaveOptions = $xlinq.typeRef("SaveOptions");
+
+  var parentOf = function (node) {
+    if (node._parent === null)
+      throw new System.InvalidOperationException("The parent is missing.");
+
+    return node._parent;
+  };
+
+  var siblingsOf = function (node, after) {
+    if (node._parent === null)
+      return [];
+
+    var nodes = node._parent._nodes;
+    var index = nodes.indexOf(node);
+
+    return after ? nodes.slice(index + 1) : nodes.slice(0, index);
+  };
+
+  var addNextTo = function (node, content, after) {
+    var parent = parentOf(node);
+    var items = parent.$flattenContent(content);
+    var index = parent._nodes.indexOf(node);
+
+    parent.$insertItems(after ? index + 1 : index, items, false);
+  };
+
+  $.RawMethod(false, "$writeTo", function writeTo (writer, options) {
+    this.WriteTo(writer);
+  });
+
+  $.Method({Static:false, Public:true }, "get_NextNode",
+    (new JSIL.MethodSignature(tXNode, [], [])),
+    function get_NextNode () {
+      return siblingsOf(this, true)[0] || null;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_PreviousNode",
+    (new JSIL.MethodSignature(tXNode, [], [])),
+    function get_PreviousNode () {
+      var siblings = siblingsOf(this, false);
+
+      return siblings[siblings.length - 1] || null;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "NodesAfterSelf",
+    (new JSIL.MethodSignature($xlinq.sequenceOf(tXNode), [], [])),
+    function NodesAfterSelf () {
+      var self = this;
+
+      return $xlinq.sequence(function () {
+        return siblingsOf(self, true);
+      });
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "NodesBeforeSelf",
+    (new JSIL.MethodSignature($xlinq.sequenceOf(tXNode), [], [])),
+    function NodesBeforeSelf () {
+      var self = this;
+
+      return $xlinq.sequence(function () {
+        return siblingsOf(self, false);
+      });
+    }
+  );
+
+  var defineSiblingElements = function (methodName, after) {
+    $.Method({Static:false, Public:true }, methodName,
+      (new JSIL.MethodSignature($xlinq.sequenceOf(tXElement), [], [])),
+      function () {
+        var self = this;
+
+        return $xlinq.sequence(function () {
+          return $xlinq.elementsOf(siblingsOf(self, after));
+        });
+      }
+    );
+
+    $.Method({Static:false, Public:true }, methodName,
+      (new JSIL.MethodSignature($xlinq.sequenceOf(tXElement), [tXName], [])),
+      function (name) {
+        var self = this;
+
+        return $xlinq.sequence(function () {
+          return $xlinq.elementsOf(siblingsOf(self, after), name);
+        });
+      }
+    );
+  };
+
+  defineSiblingElements("ElementsAfterSelf", true);
+  defineSiblingElements("ElementsBeforeSelf", false);
+
+  $.Method({Static:false, Public:true }, "Ancestors",
+    (new JSIL.MethodSignature($xlinq.sequenceOf(tXElement), [], [])),
+    function Ancestors () {
+      var self = this;
+
+      return $xlinq.sequence(function () {
+        return $xlinq.ancestorsOf(self, undefined, []);
+      });
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Ancestors",
+    (new JSIL.MethodSignature($xlinq.sequenceOf(tXElement), [tXName], [])),
+    function Ancestors (name) {
+      var self = this;
+
+      return $xlinq.sequence(function () {
+        return $xlinq.ancestorsOf(self, name, []);
+      });
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "AddAfterSelf",
+    (new JSIL.MethodSignature(null, [$.Object], [])),
+    function AddAfterSelf (content) {
+      addNextTo(this, content, true);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "AddAfterSelf",
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$.Object])], [])),
+    function AddAfterSelf (content) {
+      addNextTo(this, content, true);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "AddBeforeSelf",
+    (new JSIL.MethodSignature(null, [$.Object], [])),
+    function AddBeforeSelf (content) {
+      addNextTo(this, content, false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "AddBeforeSelf",
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$.Object])], [])),
+    function AddBeforeSelf (content) {
+      addNextTo(this, content, false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Remove",
+    (new JSIL.MethodSignature(null, [], [])),
+    function Remove () {
+      parentOf(this).$removeNode(this);
+    }
+  );
+
+  var replaceWith = function (node, content) {
+    var parent = parentOf(node);
+    // The content is collected first, since it may include the node or its siblings.
+    var items = parent.$flattenContent(content);
+    var index = parent._nodes.indexOf(node);
+
+    parent.$removeNode(node);
+    parent.$insertItems(index, items, false);
+  };
+
+  $.Method({Static:false, Public:true }, "ReplaceWith",
+    (new JSIL.MethodSignature(null, [$.Object], [])),
+    function ReplaceWith (content) {
+      replaceWith(this, content);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReplaceWith",
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$.Object])], [])),
+    function ReplaceWith (content) {
+      replaceWith(this, content);
+    }
+  );
+
+  // Nodes are formatted without an XML declaration, and indented unless formatting is disabled.
+  var formatNode = function (node, options) {
+    var settings = new System.Xml.XmlWriterSettings();
+    settings.set_OmitXmlDeclaration(true);
+
+    if ((options & System.Xml.Linq.SaveOptions.DisableFormatting) === 0)
+      settings.set_Indent(true);
+
+    if (JSIL.CheckType(node, System.Xml.Linq.XText))
+      settings.set_ConformanceLevel(System.Xml.ConformanceLevel.Fragment);
+
+    var sb = new System.Text.StringBuilder();
+    var writer = JSIL.XML.WriterFromStringBuilder(sb, settings);
+
+    if (JSIL.CheckType(node, System.Xml.Linq.XDocument))
+      node.$writeContentTo(writer, options);
+    else
+      node.$writeTo(writer, options);
+
+    writer.Close();
+    return sb.toString();
+  };
+
+  $.Method({Static:false, Public:true }, "toString",
+    (new JSIL.MethodSignature($.String, [], [])),
+    function toString () {
+      return formatNode(this, 0);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ToString",
+    (new JSIL.MethodSignature($.String, [tSaveOptions], [])),
+    function ToString (options) {
+      return formatNode(this, $xlinq.optionsValue(options));
+    }
+  );
+});
+
+JSIL.ImplementExternals("System.Xml.Linq.XContainer", function ($) {
+  var tXNode = $xlinq.typeRef("XNode");
+  var tXElement = $xlinq.typeRef("XElement");
+  var tXName = $xlinq.typeRef("XName");
+  var tObjectArray = $jsilcore.TypeRef("System.Array", [$.Object]);
+  var tXmlWriter = $xmlasms[16].TypeRef("System.Xml.XmlWriter");
+  var tXmlWriterSettings = $xmlasms[16].TypeRef("System.Xml.XmlWriterSettings");
+  var tXmlReader = $xmlasms[16].TypeRef("System.Xml.XmlReader");
+
+  var ntElement = System.Xml.XmlNodeType.Element;
+  var ntEndElement = System.Xml.XmlNodeType.EndElement;
+  var ntText = System.Xml.XmlNodeType.Text;
+  var ntCDATA = System.Xml.XmlNodeType.CDATA;
+  var ntWhitespace = System.Xml.XmlNodeType.Whitespace;
+  var ntSignificantWhitespace = System.Xml.XmlNodeType.SignificantWhitespace;
+  var ntComment = System.Xml.XmlNodeType.Comment;
+  var ntProcessingInstruction = System.Xml.XmlNodeType.ProcessingInstruction;
+  var ntDocumentType = System.Xml.XmlNodeType.DocumentType;
+
+  var getAttributeSignature = new JSIL.MethodSignature($.String, [$.String], []);
+
+  // Outputs and inputs of Save, Load and Parse, with the name of the argument they are passed as.
+  var outputs = {
+    file: { parameterName: "fileName", type: $.String },
+    stream: { parameterName: "stream", type: $xmlasms[5].TypeRef("System.IO.Stream") },
+    textWriter: { parameterName: "textWriter", type: $xmlasms[5].TypeRef("System.IO.TextWriter") }
+  };
+
+  var inputs = {
+    uri: { parameterName: "uri", type: $.String },
+    stream: { parameterName: "stream", type: $xmlasms[5].TypeRef("System.IO.Stream") },
+    textReader: { parameterName: "textReader", type: $xmlasms[5].TypeRef("System.IO.TextReader") },
+    text: { parameterName: "text", type: null }
+  };
+
+  var isPlainText = function (node) {
+    return JSIL.CheckType(node, System.Xml.Linq.XText) && !JSIL.CheckType(node, System.Xml.Linq.XCData);
+  };
+
+  var flatten = function (content, result) {
+    if ((content === null) || (typeof (content) === "undefined"))
+      return;
+
+    if (typeof (content) === "string") {
+      result.push(content);
+    } else if (JSIL.CheckType(content, System.Xml.Linq.XObject)) {
+      result.push(content);
+    } else if (JSIL.IsArray(content)) {
+      for (var i = 0; i < content.length; i++)
+        flatten(content[i], result);
+    } else if (JSIL.CheckType(content, System.Collections.IEnumerable)) {
+      var items = JSIL.EnumerableToArray(content);
+
+      for (var i = 0; i < items.length; i++)
+        flatten(items[i], result);
+    } else {
+      result.push(System.Xml.Linq.XObject.$stringValue(content));
+    }
+  };
+
+  $.RawMethod(false, "$initContainer", function initContainer () {
+    this._parent = null;
+    this._nodes = [];
+    // Set when the content is an empty string, which is how <a></a> differs from <a />.
+    this._emptyString = false;
+  });
+
+  // Flattens content into the strings, nodes and attributes it adds. Nested arrays and sequences are
+  //  expanded and any other values are converted to text.
+  $.RawMethod(false, "$flattenContent", function flattenContent (content) {
+    var result = [];
+    flatten(content, result);
+
+    return result;
+  });
+
+  $.RawMethod(false, "$validateNode", function validateNode (node, index) {
+  });
+
+  $.RawMethod(false, "$validateString", function validateString (text) {
+  });
+
+  $.RawMethod(false, "$addAttribute", function addAttribute (attribute) {
+  });
+
+  // Inserts flattened content at index. Strings in a row become one text node, which is merged into the
+  //  text node before it when mergeText is set, the way Add appends text.
+  $.RawMethod(false, "$insertItems", function insertItems (index, items, mergeText) {
+    var nodes = this._nodes;
+    var insertedText = null;
+
+    for (var i = 0; i < items.length; i++) {
+      var item = items[i];
+
+      if (typeof (item) === "string") {
+        this.$validateString(item);
+
+        var previous = (index > 0) ? nodes[index - 1] : null;
+
+        if ((previous !== null) && ((previous === insertedText) || (mergeText && isPlainText(previous)))) {
+          previous._value += item;
+        } else if (item.length > 0) {
+          insertedText = new System.Xml.Linq.XText(item);
+          this.$insertNode(index++, insertedText);
+        } else if (nodes.length === 0) {
+          this._emptyString = true;
+        }
+      } else if (JSIL.CheckType(item, System.Xml.Linq.XAttribute)) {
+        this.$addAttribute(item);
+      } else {
+        // Nodes that already belong to a tree are copied, and so is an ancestor added to itself.
+        var root = this;
+        while (root._parent !== null)
+          root = root._parent;
+
+        if ((item._parent !== null) || (item === root))
+          item = item.$clone();
+
+        this.$validateNode(item, index);
+        this.$insertNode(index++, item);
+      }
+    }
+  });
+
+  $.RawMethod(false, "$insertNode", function insertNode (index, node) {
+    this._nodes.splice(index, 0, node);
+    this._emptyString = false;
+    node._parent = this;
+  });
+
+  $.RawMethod(false, "$removeNode", function removeNode (node) {
+    this._nodes.splice(this._nodes.indexOf(node), 1);
+    node._parent = null;
+  });
+
+  $.RawMethod(false, "$appendText", function appendText (text) {
+    var last = this._nodes[this._nodes.length - 1];
+
+    if (last && isPlainText(last))
+      last._value += text;
+    else
+      this.$insertNode(this._nodes.length, new System.Xml.Linq.XText(text));
+  });
+
+  $.RawMethod(false, "$copyContentFrom", function copyContentFrom (other) {
+    for (var i = 0; i < other._nodes.length; i++)
+      this.$insertNode(i, other._nodes[i].$clone());
+
+    this._emptyString = other._emptyString;
+  });
+
+  $.RawMethod(false, "$writeContentTo", function writeContentTo (writer, options) {
+    for (var i = 0; i < this._nodes.length; i++)
+      this._nodes[i].$writeTo(writer, options);
+  });
+
+  // Reads nodes into this container up to the end of the document or, when the start tag of this element
+  //  has been read, up to and including its end tag.
+  $.RawMethod(false, "$readContentFrom", function readContentFrom (reader, keepWhitespace) {
+    var parents = [];
+    var current = this;
+
+    do {
+      switch (reader.get_NodeType()) {
+        case ntElement:
+          var element = System.Xml.Linq.XElement.$readStartTag(reader);
+          current.$insertNode(current._nodes.length, element);
+
+          if (!reader.get_IsEmptyElement()) {
+            parents.push(current);
+            current = element;
+          }
+          break;
+
+        case ntEndElement:
+          if (current._nodes.length === 0)
+            current._emptyString = true;
+
+          if (parents.length === 0) {
+            reader.Read();
+            return;
+          }
+
+          current = parents.pop();
+          break;
+
+        case ntWhitespace:
+          if (!keepWhitespace)
+            break;
+
+        case ntText:
+        case ntSignificantWhitespace:
+          current.$appendText(reader.get_Value());
+          break;
+
+        case ntCDATA:
+          current.$insertNode(current._nodes.length, new System.Xml.Linq.XCData(reader.get_Value()));
+          break;
+
+        case ntComment:
+          current.$insertNode(current._nodes.length, new System.Xml.Linq.XComment(reader.get_Value()));
+          break;
+
+        case ntProcessingInstruction:
+          current.$insertNode(current._nodes.length, new System.Xml.Linq.XProcessingInstruction(
+            reader.get_Name(), reader.get_Value()
+          ));
+          break;
+
+        case ntDocumentType:
+          // Declarations without an internal subset have an empty value, which would be written back as [].
+          current.$insertNode(current._nodes.length, new System.Xml.Linq.XDocumentType(
+            reader.get_Name(),
+            getAttributeSignature.CallVirtual("GetAttribute", null, reader, "PUBLIC"),
+            getAttributeSignature.CallVirtual("GetAttribute", null, reader, "SYSTEM"),
+            reader.get_Value() || null
+          ));
+          break;
+      }
+    } while (reader.Read());
+  });
+
+  // Load and Parse read whole documents and drop insignificant white space unless asked to keep it.
+  $.RawMethod(true, "$load", function load (input, inputKind, options, read) {
+    var kind = inputs[inputKind];
+    if (input === null)
+      throw new System.ArgumentNullException(kind.parameterName);
+
+    var reader;
+    if (kind.type === null)
+      reader = JSIL.XML.ReaderFromString(input);
+    else
+      reader = (new JSIL.MethodSignature(tXmlReader, [kind.type], [])).CallStatic(System.Xml.XmlReader, "Create", null, input);
+
+    try {
+      return read(reader, ($xlinq.optionsValue(options) & System.Xml.Linq.LoadOptions.PreserveWhitespace) !== 0);
+    } finally {
+      reader.Close();
+    }
+  });
+
+  $.RawMethod(false, "$declaredEncoding", function declaredEncoding () {
+    return null;
+  });
+
+  // Save writes a complete document, declaration included, indented unless formatting is disabled.
+  $.RawMethod(false, "$save", function save (output, outputKind, options) {
+    var kind = outputs[outputKind];
+    if (output === null)
+      throw new System.ArgumentNullException(kind.parameterName);
+
+    options = $xlinq.optionsValue(options);
+
+    var settings = new System.Xml.XmlWriterSettings();
+    if ((options & System.Xml.Linq.SaveOptions.DisableFormatting) === 0)
+      settings.set_Indent(true);
+
+    // Text writers have an encoding of their own.
+    var encoding = (outputKind !== "textWriter") ? this.$declaredEncoding() : null;
+    if (encoding !== null)
+      settings.set_Encoding(encoding);
+
+    var writer = (new JSIL.MethodSignature(tXmlWriter, [kind.type, tXmlWriterSettings], [])).CallStatic(
+      System.Xml.XmlWriter, "Create", null, output, settings
+    );
+
+    try {
+      this.$saveTo(writer, options);
+    } finally {
+      writer.Close();
+    }
+  });
+
+  $.Method({Static:false, Public:true }, "get_FirstNode",
+    (new JSIL.MethodSignature(tXNode, [], [])),
+    function get_FirstNode () {
+      return this._nodes[0] || null;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_LastNode",
+    (new JSIL.MethodSignature(tXNode, [], [])),
+    function get_LastNode () {
+      return this._nodes[this._nodes.length - 1] || null;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Nodes",
+    (new JSIL.MethodSignature($xlinq.sequenceOf(tXNode), [], [])),
+    function Nodes () {
+      var self = this;
+
+      return $xlinq.sequence(function () {
+        return self._nodes.slice();
+      });
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "DescendantNodes",
+    (new JSIL.MethodSignature($xlinq.sequenceOf(tXNode), [], [])),
+    function DescendantNodes () {
+      var self = this;
+
+      return $xlinq.sequence(function () {
+        return $xlinq.descendantNodesOf(self, []);
+      });
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Descendants",
+    (new JSIL.MethodSignature($xlinq.sequenceOf(tXElement), [], [])),
+    function Descendants () {
+      var self = this;
+
+      return $xlinq.sequence(function () {
+        return $xlinq.descendantsOf(self, undefined, []);
+      });
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Descendants",
+    (new JSIL.MethodSignature($xlinq.sequenceOf(tXElement), [tXName], [])),
+    function Descendants (name) {
+      var self = this;
+
+      return $xlinq.sequence(function () {
+        return $xlinq.descendantsOf(self, name, []);
+      });
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Element",
+    (new JSIL.MethodSignature(tXElement, [tXName], [])),
+    function Element (name) {
+      for (var i = 0; i < this._nodes.length; i++) {
+        var node = this._nodes[i];
+
+        if ((node._name === name) && $xlinq.isElement(node))
+          return node;
+      }
+
+      return null;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Elements",
+    (new JSIL.MethodSignature($xlinq.sequenceOf(tXElement), [], [])),
+    function Elements () {
+      var self = this;
+
+      return $xlinq.sequence(function () {
+        return $xlinq.elementsOf(self._nodes);
+      });
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Elements",
+    (new JSIL.MethodSignature($xlinq.sequenceOf(tXElement), [tXName], [])),
+    function Elements (name) {
+      var self = this;
+
+      return $xlinq.sequence(function () {
+        return $xlinq.elementsOf(self._nodes, name);
+      });
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Add",
+    (new JSIL.MethodSignature(null, [$.Object], [])),
+    function Add (content) {
+      this.$insertItems(this._nodes.length, this.$flattenContent(content), true);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Add",
+    (new JSIL.MethodSignature(null, [tObjectArray], [])),
+    function Add (content) {
+      this.$insertItems(this._nodes.length, this.$flattenContent(content), true);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "AddFirst",
+    (new JSIL.MethodSignature(null, [$.Object], [])),
+    function AddFirst (content) {
+      this.$insertItems(0, this.$flattenContent(content), false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "AddFirst",
+    (new JSIL.MethodSignature(null, [tObjectArray], [])),
+    function AddFirst (content) {
+      this.$insertItems(0, this.$flattenContent(content), false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "RemoveNodes",
+    (new JSIL.MethodSignature(null, [], [])),
+    function RemoveNodes () {
+      for (var i = 0; i < this._nodes.length; i++)
+        this._nodes[i]._parent = null;
+
+      this._nodes = [];
+      this._emptyString = false;
+    }
+  );
+
+  var replaceNodes = function (container, content) {
+    // The content is collected first, since it may be made of the nodes being replaced.
+    var items = container.$flattenContent(content);
+
+    container.RemoveNodes();
+    container.$insertItems(0, items, true);
+  };
+
+  $.Method({Static:false, Public:true }, "ReplaceNodes",
+    (new JSIL.MethodSignature(null, [$.Object], [])),
+    function ReplaceNodes (content) {
+      replaceNodes(this, content);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReplaceNodes",
+    (new JSIL.MethodSignature(null, [tObjectArray], [])),
+    function ReplaceNodes (content) {
+      replaceNodes(this, content);
+    }
+  );
+});
+
+JSIL.ImplementExternals("System.Xml.Linq.XElement", function ($) {
+  var tXName = $xlinq.typeRef("XName");
+  var tXNamespace = $xlinq.typeRef("XNamespace");
+  var tXAttribute = $xlinq.typeRef("XAttribute");
+  var tXNode = $xlinq.typeRef("XNode");
+  var tObjectArray = $jsilcore.TypeRef("System.Array", [$.Object]);
+  var tLoadOptions = $xlinq.typeRef("LoadOptions");
+  var tSaveOptions = $xlinq.typeRef("SaveOptions");
+  var tXmlReader = $xmlasms[16].TypeRef("System.Xml.XmlReader");
+  var tXmlWriter = $xmlasms[16].TypeRef("System.Xml.XmlWriter");
+  var tStream = $xmlasms[5].TypeRef("System.IO.Stream");
+  var tTextReader = $xmlasms[5].TypeRef("System.IO.TextReader");
+  var tTextWriter = $xmlasms[5].TypeRef("System.IO.TextWriter");
+
+  var isNamespaceDeclaration = function (attribute) {
+    var name = attribute._name;
+
+    return (name._namespace._namespaceName === $xlinq.xmlnsNamespace) ||
+      ((name._namespace._namespaceName.length === 0) && (name._localName === "xmlns"));
+  };
+
+  // The prefix an xmlns attribute declares, which is empty for the default namespace.
+  var declaredPrefix = function (attribute) {
+    return (attribute._name._namespace._namespaceName.length === 0) ? "" : attribute._name._localName;
+  };
+
+  // Tracks the namespaces declared by the elements being written, so that names are written with the
+  //  prefixes the tree declares for them.
+  var NamespaceResolver = function (omitDuplicates) {
+    this.scopes = [];
+    this.omitDuplicates = omitDuplicates;
+  };
+
+  NamespaceResolver.prototype.lookupNamespace = function (prefix) {
+    for (var i = this.scopes.length - 1; i >= 0; i--) {
+      var ns = this.scopes[i]["p:" + prefix];
+      if (typeof (ns) === "string")
+        return ns;
+    }
+
+    return null;
+  };
+
+  NamespaceResolver.prototype.getPrefix = function (ns, allowDefault) {
+    if (ns.length === 0)
+      return "";
+
+    for (var i = this.scopes.length - 1; i >= 0; i--) {
+      var scope = this.scopes[i];
+
+      for (var key in scope) {
+        if (!scope.hasOwnProperty(key) || (scope[key] !== ns))
+          continue;
+
+        var prefix = key.substr(2);
+
+        if ((allowDefault || (prefix.length > 0)) && (this.lookupNamespace(prefix) === ns))
+          return prefix;
+      }
+    }
+
+    if (ns === $xlinq.xmlNamespace)
+      return "xml";
+    else if (ns === $xlinq.xmlnsNamespace)
+      return "xmlns";
+
+    return null;
+  };
+
+  // Pushes the declarations of an element and returns the declaration attributes that are redundant.
+  NamespaceResolver.prototype.push = function (element) {
+    var scope = {};
+    var duplicates = [];
+
+    for (var i = 0; i < element._attributes.length; i++) {
+      var attribute = element._attributes[i];
+      if (!isNamespaceDeclaration(attribute))
+        continue;
+
+      var prefix = declaredPrefix(attribute);
+
+      if (this.omitDuplicates && (this.lookupNamespace(prefix) === attribute._value))
+        duplicates.push(attribute);
+      else
+        scope["p:" + prefix] = attribute._value;
+    }
+
+    this.scopes.push(scope);
+    return duplicates;
+  };
+
+  var writeElement = function (writer, element, resolver) {
+    var duplicates = resolver.push(element);
+    var ns = element._name._namespace._namespaceName;
+
+    writer.WriteStartElement(resolver.getPrefix(ns, true), element._name._localName, ns);
+
+    for (var i = 0; i < element._attributes.length; i++) {
+      var attribute = element._attributes[i];
+      if (duplicates.indexOf(attribute) >= 0)
+        continue;
+
+      var localName = attribute._name._localName;
+      var attributeNs = attribute._name._namespace._namespaceName;
+
+      writer.WriteAttributeString(
+        resolver.getPrefix(attributeNs, false), localName,
+        ((attributeNs.length === 0) && (localName === "xmlns")) ? $xlinq.xmlnsNamespace : attributeNs,
+        attribute._value
+      );
+    }
+
+    var nodes = element._nodes;
+
+    if (nodes.length === 0) {
+      if (element._emptyString) {
+        writer.WriteString("");
+        writer.WriteFullEndElement();
+      } else {
+        writer.WriteEndElement();
+      }
+    } else {
+      for (var i = 0; i < nodes.length; i++) {
+        if ($xlinq.isElement(nodes[i]))
+          writeElement(writer, nodes[i], resolver);
+        else
+          nodes[i].WriteTo(writer);
+      }
+
+      writer.WriteFullEndElement();
+    }
+
+    resolver.scopes.pop();
+  };
+
+  var readElement = function (reader, keepWhitespace) {
+    var element = System.Xml.Linq.XElement.$readStartTag(reader);
+    var isEmpty = reader.get_IsEmptyElement();
+
+    reader.Read();
+    if (!isEmpty)
+      element.$readContentFrom(reader, keepWhitespace);
+
+    return element;
+  };
+
+  var loadElement = function (reader, keepWhitespace) {
+    if (reader.MoveToContent() !== System.Xml.XmlNodeType.Element)
+      throw new System.InvalidOperationException(
+        "The XmlReader must be on a node of type Element instead of a node of type " + reader.get_NodeType().name + "."
+      );
+
+    var element = readElement(reader, keepWhitespace);
+
+    reader.MoveToContent();
+    if (!reader.get_EOF())
+      throw new System.InvalidOperationException("The XmlReader state should be EndOfFile after this operation.");
+
+    return element;
+  };
+
+  var attributesOf = function (element, name) {
+    var result = [];
+
+    for (var i = 0; i < element._attributes.length; i++) {
+      if ((typeof (name) === "undefined") || (element._attributes[i]._name === name))
+        result.push(element._attributes[i]);
+    }
+
+    return result;
+  };
+
+  $.RawMethod(false, "$initElement", function initElement (name) {
+    if (name === null)
+      throw new System.ArgumentNullException("name");
+
+    this.$initContainer();
+    this._name = name;
+    this._attributes = [];
+  });
+
+  $.RawMethod(false, "$copyElement", function copyElement (other) {
+    if (other === null)
+      throw new System.ArgumentNullException("other");
+
+    this.$initElement(other._name);
+
+    for (var i = 0; i < other._attributes.length; i++)
+      this.$addAttribute(new System.Xml.Linq.XAttribute(other._attributes[i]));
+
+    this.$copyContentFrom(other);
+  });
+
+  $.RawMethod(false, "$clone", function clone () {
+    return JSIL.CreateInstanceOfType(System.Xml.Linq.XElement.__Type__, "$copyElement", [this]);
+  });
+
+  $.RawMethod(false, "$validateNode", function validateNode (node, index) {
+    if (JSIL.CheckType(node, System.Xml.Linq.XDocument))
+      throw new System.ArgumentException("A node of type Document cannot be added to content.");
+    else if (JSIL.CheckType(node, System.Xml.Linq.XDocumentType))
+      throw new System.ArgumentException("A node of type DocumentType cannot be added to content.");
+  });
+
+  $.RawMethod(false, "$addAttribute", function addAttribute (attribute) {
+    if (attribute._parent !== null)
+      attribute = new System.Xml.Linq.XAttribute(attribute);
+
+    for (var i = 0; i < this._attributes.length; i++) {
+      if (this._attributes[i]._name === attribute._name)
+        throw new System.InvalidOperationException("Duplicate attribute.");
+    }
+
+    this._attributes.push(attribute);
+    attribute._parent = this;
+  });
+
+  $.RawMethod(false, "$writeTo", function writeTo (writer, options) {
+    var resolver = new NamespaceResolver((options & System.Xml.Linq.SaveOptions.OmitDuplicateNamespaces) !== 0);
+
+    // The prefixes declared by the ancestors of the element are used for it as well.
+    var ancestors = $xlinq.ancestorsOf(this, undefined, []);
+    for (var i = ancestors.length - 1; i >= 0; i--)
+      resolver.push(ancestors[i]);
+
+    writeElement(writer, this, resolver);
+  });
+
+  $.RawMethod(false, "$saveTo", function saveTo (writer, options) {
+    writer.WriteStartDocument();
+    this.$writeTo(writer, options);
+    writer.WriteEndDocument();
+  });
+
+  $.RawMethod(true, "$readStartTag", function readStartTag (reader) {
+    var element = JSIL.CreateInstanceOfType(
+      System.Xml.Linq.XElement.__Type__, "$initElement", [
+        System.Xml.Linq.XNamespace.Get(reader.get_NamespaceURI()).GetName(reader.get_LocalName())
+      ]
+    );
+
+    if (reader.MoveToFirstAttribute()) {
+      do {
+        // Unprefixed attributes, including default namespace declarations, are in no namespace.
+        var ns = (reader.get_Prefix().length === 0) ? "" : reader.get_NamespaceURI();
+        var attribute = new System.Xml.Linq.XAttribute(
+          System.Xml.Linq.XNamespace.Get(ns).GetName(reader.get_LocalName()), reader.get_Value()
+        );
+
+        element._attributes.push(attribute);
+        attribute._parent = element;
+      } while (reader.MoveToNextAttribute());
+
+      reader.MoveToElement();
+    }
+
+    return element;
+  });
+
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [tXName], [])),
+    function _ctor (name) {
+      this.$initElement(name);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [tXName, $.Object], [])),
+    function _ctor (name, content) {
+      this.$initElement(name);
+      this.$insertItems(0, this.$flattenContent(content), true);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [tXName, tObjectArray], [])),
+    function _ctor (name, content) {
+      this.$initElement(name);
+      this.$insertItems(0, this.$flattenContent(content), true);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [$.Type], [])),
+    function _ctor (other) {
+      this.$copyElement(other);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Load",
+    (new JSIL.MethodSignature($.Type, [$.String], [])),
+    function Load (uri) {
+      return System.Xml.Linq.XContainer.$load(uri, "uri", 0, loadElement);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Load",
+    (new JSIL.MethodSignature($.Type, [$.String, tLoadOptions], [])),
+    function Load (uri, options) {
+      return System.Xml.Linq.XContainer.$load(uri, "uri", options, loadElement);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Load",
+    (new JSIL.MethodSignature($.Type, [tStream], [])),
+    function Load (stream) {
+      return System.Xml.Linq.XContainer.$load(stream, "stream", 0, loadElement);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Load",
+    (new JSIL.MethodSignature($.Type, [tStream, tLoadOptions], [])),
+    function Load (stream, options) {
+      return System.Xml.Linq.XContainer.$load(stream, "stream", options, loadElement);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Load",
+    (new JSIL.MethodSignature($.Type, [tTextReader], [])),
+    function Load (textReader) {
+      return System.Xml.Linq.XContainer.$load(textReader, "textReader", 0, loadElement);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Load",
+    (new JSIL.MethodSignature($.Type, [tTextReader, tLoadOptions], [])),
+    function Load (textReader, options) {
+      return System.Xml.Linq.XContainer.$load(textReader, "textReader", options, loadElement);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Load",
+    (new JSIL.MethodSignature($.Type, [tXmlReader], [])),
+    function Load (reader) {
+      if (reader === null)
+        throw new System.ArgumentNullException("reader");
+
+      // The reader decides which white space there is.
+      return loadElement(reader, true);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Load",
+    (new JSIL.MethodSignature($.Type, [tXmlReader, tLoadOptions], [])),
+    function Load (reader, options) {
+      if (reader === null)
+        throw new System.ArgumentNullException("reader");
+
+      return loadElement(reader, true);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Parse",
+    (new JSIL.MethodSignature($.Type, [$.String], [])),
+    function Parse (text) {
+      return System.Xml.Linq.XContainer.$load(text, "text", 0, loadElement);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "Parse",
+    (new JSIL.MethodSignature($.Type, [$.String, tLoadOptions], [])),
+    function Parse (text, options) {
+      return System.Xml.Linq.XContainer.$load(text, "text", options, loadElement);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Save",
+    (new JSIL.MethodSignature(null, [$.String], [])),
+    function Save (fileName) {
+      this.$save(fileName, "file", 0);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Save",
+    (new JSIL.MethodSignature(null, [$.String, tSaveOptions], [])),
+    function Save (fileName, options) {
+      this.$save(fileName, "file", options);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Save",
+    (new JSIL.MethodSignature(null, [tStream], [])),
+    function Save (stream) {
+      this.$save(stream, "stream", 0);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Save",
+    (new JSIL.MethodSignature(null, [tStream, tSaveOptions], [])),
+    function Save (stream, options) {
+      this.$save(stream, "stream", options);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Save",
+    (new JSIL.MethodSignature(null, [tTextWriter], [])),
+    function Save (textWriter) {
+      this.$save(textWriter, "textWriter", 0);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Save",
+    (new JSIL.MethodSignature(null, [tTextWriter, tSaveOptions], [])),
+    function Save (textWriter, options) {
+      this.$save(textWriter, "textWriter", options);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Save",
+    (new JSIL.MethodSignature(null, [tXmlWriter], [])),
+    function Save (writer) {
+      if (writer === null)
+        throw new System.ArgumentNullException("writer");
+
+      this.$saveTo(writer, 0);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "WriteTo",
+    (new JSIL.MethodSignature(null, [tXmlWriter], [])),
+    function WriteTo (writer) {
+      if (writer === null)
+        throw new System.ArgumentNullException("writer");
+
+      this.$writeTo(writer, 0);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Name",
+    (new JSIL.MethodSignature(tXName, [], [])),
+    function get_Name () {
+      return this._name;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "set_Name",
+    (new JSIL.MethodSignature(null, [tXName], [])),
+    function set_Name (value) {
+      if (value === null)
+        throw new System.ArgumentNullException("value");
+
+      this._name = value;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_NodeType",
+    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlNodeType"), [], [])),
+    function get_NodeType () {
+      return System.Xml.XmlNodeType.Element;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Value",
+    (new JSIL.MethodSignature($.String, [], [])),
+    function get_Value () {
+      var nodes = $xlinq.descendantNodesOf(this, []);
+      var result = "";
+
+      for (var i = 0; i < nodes.length; i++) {
+        if (JSIL.CheckType(nodes[i], System.Xml.Linq.XText))
+          result += nodes[i]._value;
+      }
+
+      return result;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "set_Value",
+    (new JSIL.MethodSignature(null, [$.String], [])),
+    function set_Value (value) {
+      if (value === null)
+        throw new System.ArgumentNullException("value");
+
+      this.RemoveNodes();
+      this.$insertItems(0, [value], true);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "SetValue",
+    (new JSIL.MethodSignature(null, [$.Object], [])),
+    function SetValue (value) {
+      if (value === null)
+        throw new System.ArgumentNullException("value");
+
+      this.set_Value(System.Xml.Linq.XObject.$stringValue(value));
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_IsEmpty",
+    (new JSIL.MethodSignature($.Boolean, [], [])),
+    function get_IsEmpty () {
+      return (this._nodes.length === 0) && !this._emptyString;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_HasElements",
+    (new JSIL.MethodSignature($.Boolean, [], [])),
+    function get_HasElements () {
+      return $xlinq.elementsOf(this._nodes).length > 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_HasAttributes",
+    (new JSIL.MethodSignature($.Boolean, [], [])),
+    function get_HasAttributes () {
+      return this._attributes.length > 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_FirstAttribute",
+    (new JSIL.MethodSignature(tXAttribute, [], [])),
+    function get_FirstAttribute () {
+      return this._attributes[0] || null;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_LastAttribute",
+    (new JSIL.MethodSignature(tXAttribute, [], [])),
+    function get_LastAttribute () {
+      return this._attributes[this._attributes.length - 1] || null;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Attribute",
+    (new JSIL.MethodSignature(tXAttribute, [tXName], [])),
+    function Attribute (name) {
+      return attributesOf(this, name)[0] || null;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Attributes",
+    (new JSIL.MethodSignature($xlinq.sequenceOf(tXAttribute), [], [])),
+    function Attributes () {
+      var self = this;
+
+      return $xlinq.sequence(function () {
+        return attributesOf(self);
+      });
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Attributes",
+    (new JSIL.MethodSignature($xlinq.sequenceOf(tXAttribute), [tXName], [])),
+    function Attributes (name) {
+      var self = this;
+
+      return $xlinq.sequence(function () {
+        return (name === null) ? [] : attributesOf(self, name);
+      });
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "AncestorsAndSelf",
+    (new JSIL.MethodSignature($xlinq.sequenceOf($.Type), [], [])),
+    function AncestorsAndSelf () {
+      var self = this;
+
+      return $xlinq.sequence(function () {
+        return $xlinq.ancestorsOf(self, undefined, [self]);
+      });
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "AncestorsAndSelf",
+    (new JSIL.MethodSignature($xlinq.sequenceOf($.Type), [tXName], [])),
+    function AncestorsAndSelf (name) {
+      var self = this;
+
+      return $xlinq.sequence(function () {
+        return $xlinq.ancestorsOf(self, name, (self._name === name) ? [self] : []);
+      });
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "DescendantNodesAndSelf",
+    (new JSIL.MethodSignature($xlinq.sequenceOf(tXNode), [], [])),
+    function DescendantNodesAndSelf () {
+      var self = this;
+
+      return $xlinq.sequence(function () {
+        return $xlinq.descendantNodesOf(self, [self]);
+      });
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "DescendantsAndSelf",
+    (new JSIL.MethodSignature($xlinq.sequenceOf($.Type), [], [])),
+    function DescendantsAndSelf () {
+      var self = this;
+
+      return $xlinq.sequence(function () {
+        return $xlinq.descendantsOf(self, undefined, [self]);
+      });
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "DescendantsAndSelf",
+    (new JSIL.MethodSignature($xlinq.sequenceOf($.Type), [tXName], [])),
+    function DescendantsAndSelf (name) {
+      var self = this;
+
+      return $xlinq.sequence(function () {
+        return $xlinq.descendantsOf(self, name, (self._name === name) ? [self] : []);
+      });
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetDefaultNamespace",
+    (new JSIL.MethodSignature(tXNamespace, [], [])),
+    function GetDefaultNamespace () {
+      var elements = $xlinq.ancestorsOf(this, undefined, [this]);
+
+      for (var i = 0; i < elements.length; i++) {
+        var attributes = elements[i]._attributes;
+
+        for (var j = 0; j < attributes.length; j++) {
+          if (isNamespaceDeclaration(attributes[j]) && (declaredPrefix(attributes[j]) === ""))
+            return System.Xml.Linq.XNamespace.Get(attributes[j]._value);
+        }
+      }
+
+      return System.Xml.Linq.XNamespace.get_None();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetNamespaceOfPrefix",
+    (new JSIL.MethodSignature(tXNamespace, [$.String], [])),
+    function GetNamespaceOfPrefix (prefix) {
+      if (prefix === null)
+        throw new System.ArgumentNullException("prefix");
+      else if (prefix.length === 0)
+        throw new System.ArgumentException("'' is an invalid prefix.");
+      else if (prefix === "xmlns")
+        return System.Xml.Linq.XNamespace.get_Xmlns();
+
+      var elements = $xlinq.ancestorsOf(this, undefined, [this]);
+
+      for (var i = 0; i < elements.length; i++) {
+        var attributes = elements[i]._attributes;
+
+        for (var j = 0; j < attributes.length; j++) {
+          if (isNamespaceDeclaration(attributes[j]) && (declaredPrefix(attributes[j]) === prefix))
+            return System.Xml.Linq.XNamespace.Get(attributes[j]._value);
+        }
+      }
+
+      return (prefix === "xml") ? System.Xml.Linq.XNamespace.get_Xml() : null;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetPrefixOfNamespace",
+    (new JSIL.MethodSignature($.String, [tXNamespace], [])),
+    function GetPrefixOfNamespace (ns) {
+      if (ns === null)
+        throw new System.ArgumentNullException("ns");
+
+      var elements = $xlinq.ancestorsOf(this, undefined, [this]);
+
+      for (var i = 0; i < elements.length; i++) {
+        var attributes = elements[i]._attributes;
+
+        for (var j = 0; j < attributes.length; j++) {
+          var attribute = attributes[j];
+          if (!isNamespaceDeclaration(attribute) || (attribute._value !== ns._namespaceName))
+            continue;
+
+          // A prefix that an inner element binds to another namespace does not apply here.
+          var prefix = declaredPrefix(attribute);
+          if ((prefix.length > 0) && (this.GetNamespaceOfPrefix(prefix) === ns))
+            return prefix;
+        }
+      }
+
+      if (ns._namespaceName === $xlinq.xmlNamespace)
+        return "xml";
+      else if (ns._namespaceName === $xlinq.xmlnsNamespace)
+        return "xmlns";
+
+      return null;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "RemoveAttributes",
+    (new JSIL.MethodSignature(null, [], [])),
+    function RemoveAttributes () {
+      for (var i = 0; i < this._attributes.length; i++)
+        this._attributes[i]._parent = null;
+
+      this._attributes = [];
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "RemoveAll",
+    (new JSIL.MethodSignature(null, [], [])),
+    function RemoveAll () {
+      this.RemoveAttributes();
+      this.RemoveNodes();
+    }
+  );
+
+  var replaceAll = function (element, content, removeNodes) {
+    var items = element.$flattenContent(content);
+
+    element.RemoveAttributes();
+    if (removeNodes)
+      element.RemoveNodes();
+
+    element.$insertItems(element._nodes.length, items, true);
+  };
+
+  $.Method({Static:false, Public:true }, "ReplaceAll",
+    (new JSIL.MethodSignature(null, [$.Object], [])),
+    function ReplaceAll (content) {
+      replaceAll(this, content, true);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReplaceAll",
+    (new JSIL.MethodSignature(null, [tObjectArray], [])),
+    function ReplaceAll (content) {
+      replaceAll(this, content, true);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReplaceAttributes",
+    (new JSIL.MethodSignature(null, [$.Object], [])),
+    function ReplaceAttributes (content) {
+      replaceAll(this, content, false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "ReplaceAttributes",
+    (new JSIL.MethodSignature(null, [tObjectArray], [])),
+    function ReplaceAttributes (content) {
+      replaceAll(this, content, false);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "SetAttributeValue",
+    (new JSIL.MethodSignature(null, [tXName, $.Object], [])),
+    function SetAttributeValue (name, value) {
+      var attribute = this.Attribute(name);
+
+      if (value === null) {
+        if (attribute !== null)
+          attribute.Remove();
+      } else if (attribute !== null) {
+        attribute.SetValue(value);
+      } else {
+        this.$addAttribute(new System.Xml.Linq.XAttribute(name, value));
+      }
+    }
+  );
 
-  return JSIL.XML.ReaderFromString(xml);
-};
+  $.Method({Static:false, Public:true }, "SetElementValue",
+    (new JSIL.MethodSignature(null, [tXName, $.Object], [])),
+    function SetElementValue (name, value) {
+      var element = this.Element(name);
 
-JSIL.XML.ReaderFromString = function (xml) {
-  var parser = new DOMParser();
-  var root = parser.parseFromString(xml, "application/xml");
+      if (value === null) {
+        if (element !== null)
+          element.Remove();
+      } else if (element !== null) {
+        element.SetValue(value);
+      } else {
+        element = new System.Xml.Linq.XElement(name);
+        element.set_Value(System.Xml.Linq.XObject.$stringValue(value));
+        this.Add(element);
+      }
+    }
+  );
 
-  if ((root === null) || (root.documentElement.localName == "parsererror")) {
-    throw new Error("Failed to parse XML document");
-  }
+  $xobjectValueConversions($, "element");
+});
 
-  var result = JSIL.CreateInstanceOfType(
-    System.Xml.XmlReader.__Type__, "$fromDOMNode", [root]
+JSIL.ImplementExternals("System.Xml.Linq.XDocument", function ($) {
+  var tXDeclaration = $xlinq.typeRef("XDeclaration");
+  var tXDocumentType = $xlinq.typeRef("XDocumentType");
+  var tXElement = $xlinq.typeRef("XElement");
+  var tObjectArray = $jsilcore.TypeRef("System.Array", [$.Object]);
+  var tLoadOptions = $xlinq.typeRef("LoadOptions");
+  var tSaveOptions = $xlinq.typeRef("SaveOptions");
+  var tXmlReader = $xmlasms[16].TypeRef("System.Xml.XmlReader");
+  var tXmlWriter = $xmlasms[16].TypeRef("System.Xml.XmlWriter");
+  var tStream = $xmlasms[5].TypeRef("System.IO.Stream");
+  var tTextReader = $xmlasms[5].TypeRef("System.IO.TextReader");
+  var tTextWriter = $xmlasms[5].TypeRef("System.IO.TextWriter");
+
+  var getAttributeSignature = new JSIL.MethodSignature($.String, [$.String], []);
+  var getEncodingSignature = new JSIL.MethodSignature(
+    $xmlasms[5].TypeRef("System.Text.Encoding"), [$.String], []
   );
-  return result;
-};
 
-JSIL.ImplementExternals("System.Xml.Serialization.XmlSerializer", function ($) {
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$xmlasms[5].TypeRef("System.Type")], [])), 
-    function _ctor (type) {
-      this.type = type;
+  var incorrectStructure = function () {
+    return new System.InvalidOperationException("This operation would create an incorrectly structured document.");
+  };
+
+  var loadDocument = function (reader, keepWhitespace) {
+    var document = new System.Xml.Linq.XDocument();
+
+    if ((reader.get_NodeType() === System.Xml.XmlNodeType.None) && !reader.get_EOF())
+      reader.Read();
+
+    if (reader.get_NodeType() === System.Xml.XmlNodeType.XmlDeclaration) {
+      document._declaration = new System.Xml.Linq.XDeclaration(
+        getAttributeSignature.CallVirtual("GetAttribute", null, reader, "version"),
+        getAttributeSignature.CallVirtual("GetAttribute", null, reader, "encoding"),
+        getAttributeSignature.CallVirtual("GetAttribute", null, reader, "standalone")
+      );
+
+      reader.Read();
     }
-  );
 
-  $.Method({Static:false, Public:true }, "Deserialize", 
-    (new JSIL.MethodSignature($.Object, [$xmlasms[5].TypeRef("System.IO.Stream")], [])), 
-    function Deserialize (stream) {
-      var xmlReader = JSIL.XML.ReaderFromStream(stream);
+    if (!reader.get_EOF())
+      document.$readContentFrom(reader, keepWhitespace);
 
-      var getType = function (name) {
-        var parsed = JSIL.ParseTypeName(name);
-        return JSIL.GetTypeInternal(parsed, JSIL.GlobalNamespace, true);
-      };
+    if (!reader.get_EOF())
+      throw new System.InvalidOperationException("The XmlReader state should be EndOfFile after this operation.");
+    else if (document.get_Root() === null)
+      throw new System.InvalidOperationException("Root element is missing.");
 
-      var readerName = "Microsoft.Xml.Serialization.GeneratedAssembly.XmlSerializationReader" + this.type.Name;
-      var readerType = getType(readerName);
-      var reader = JSIL.CreateInstanceOfType(readerType);
-      reader.Init(xmlReader, null, null, null); 
+    return document;
+  };
 
-      var serializerName = "Microsoft.Xml.Serialization.GeneratedAssembly." + this.type.Name + "Serializer";
-      var serializerType = getType(serializerName);
-      var serializer = JSIL.CreateInstanceOfType(serializerType);
+  var nodeOfType = function (document, type) {
+    for (var i = 0; i < document._nodes.length; i++) {
+      if (JSIL.CheckType(document._nodes[i], type))
+        return document._nodes[i];
+    }
 
-      var signature = new JSIL.MethodSignature($.Object, [$xmlasms[16].System.Xml.Serialization.XmlSerializationReader], []);
+    return null;
+  };
 
-      return signature.CallVirtual("Deserialize", null, serializer, reader);
+  $.RawMethod(false, "$initDocument", function initDocument (declaration) {
+    this.$initContainer();
+    this._declaration = declaration;
+  });
+
+  $.RawMethod(false, "$copyDocument", function copyDocument (other) {
+    if (other === null)
+      throw new System.ArgumentNullException("other");
+
+    this.$initDocument(
+      (other._declaration !== null) ? new System.Xml.Linq.XDeclaration(other._declaration) : null
+    );
+    this.$copyContentFrom(other);
+  });
+
+  $.RawMethod(false, "$clone", function clone () {
+    return JSIL.CreateInstanceOfType(System.Xml.Linq.XDocument.__Type__, "$copyDocument", [this]);
+  });
+
+  // A document holds at most one document type and one root element, in that order, and no text
+  //  other than white space.
+  $.RawMethod(false, "$validateNode", function validateNode (node, index) {
+    var isElement = $xlinq.isElement(node);
+
+    if (JSIL.CheckType(node, System.Xml.Linq.XCData)) {
+      throw new System.ArgumentException("A node of type CDATA cannot be added to content.");
+    } else if (JSIL.CheckType(node, System.Xml.Linq.XText)) {
+      this.$validateString(node._value);
+    } else if (JSIL.CheckType(node, System.Xml.Linq.XDocument)) {
+      throw new System.ArgumentException("A node of type Document cannot be added to content.");
+    } else if (isElement || JSIL.CheckType(node, System.Xml.Linq.XDocumentType)) {
+      for (var i = 0; i < this._nodes.length; i++) {
+        var other = this._nodes[i];
+
+        if ($xlinq.isElement(other)) {
+          if (isElement || (i < index))
+            throw incorrectStructure();
+        } else if (JSIL.CheckType(other, System.Xml.Linq.XDocumentType)) {
+          if (!isElement || (i >= index))
+            throw incorrectStructure();
+        }
+      }
     }
-  );
-});
+  });
 
-JSIL.ImplementExternals("System.Xml.Serialization.XmlSerializationReader", function ($) {
+  $.RawMethod(false, "$validateString", function validateString (text) {
+    if (!/^[ \t\r\n]*$/.test(text))
+      throw new System.ArgumentException("Non-whitespace characters cannot be added to content.");
+  });
 
-  $.Method({Static:false, Public:false}, "Init", 
-    (new JSIL.MethodSignature(null, [
-          $xmlasms[16].TypeRef("System.Xml.XmlReader"), $xmlasms[16].TypeRef("System.Xml.Serialization.XmlDeserializationEvents"), 
-          $.String, $xmlasms[16].TypeRef("System.Xml.Serialization.TempAssembly")
-        ], [])), 
-    function Init (r, events, encodingStyle, tempAssembly) {
-      this.r = r;
+  $.RawMethod(false, "$addAttribute", function addAttribute (attribute) {
+    // Namespace declarations are ignored, since they have nowhere to go.
+    if (!attribute.get_IsNamespaceDeclaration())
+      throw new System.ArgumentException("An attribute cannot be added to content.");
+  });
 
-      this.typeID = r.NameTable.Add("type");
-      this.nullID = r.NameTable.Add("null");
-      this.nilID = r.NameTable.Add("nil");
+  $.RawMethod(false, "$declaredEncoding", function declaredEncoding () {
+    var encodingName = (this._declaration !== null) ? this._declaration._encoding : null;
+    if ((encodingName === null) || (encodingName.length === 0))
+      return null;
 
-      this.instanceNsID = r.NameTable.Add("http://www.w3.org/2001/XMLSchema-instance");
-      this.instanceNs2000ID = r.NameTable.Add("http://www.w3.org/2000/10/XMLSchema-instance");
-      this.instanceNs1999ID = r.NameTable.Add("http://www.w3.org/1999/XMLSchema-instance");
+    try {
+      return getEncodingSignature.CallStatic(System.Text.Encoding, "GetEncoding", null, encodingName);
+    } catch (exc) {
+      // Encodings that are not supported are replaced by the default, like .NET does.
+      if (JSIL.CheckType(exc, System.ArgumentException))
+        return null;
 
-      this.InitIDs();
+      throw exc;
     }
-  );
+  });
 
-  $.Method({Static:false, Public:false}, "CheckReaderCount", 
-    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("JSIL.Reference", [$.Int32]), $jsilcore.TypeRef("JSIL.Reference", [$.Int32])], [])), 
-    function CheckReaderCount (/* ref */ whileIterations, /* ref */ readerCount) {
-      if (true) {
-        whileIterations.value += 1;
+  $.RawMethod(false, "$saveTo", function saveTo (writer, options) {
+    var standalone = (this._declaration !== null) ? this._declaration._standalone : null;
 
-        if ((whileIterations.value & 128) == 128) {
-          if (readerCount.value == this.ReaderCount) {
-            throw new InvalidOperationException("XmlReader is stuck");
-          }
+    if (standalone === "yes")
+      writer.WriteStartDocument(true);
+    else if (standalone === "no")
+      writer.WriteStartDocument(false);
+    else
+      writer.WriteStartDocument();
 
-          readerCount.value = this.ReaderCount;
-        }
-      }
+    this.$writeContentTo(writer, options);
+    writer.WriteEndDocument();
+  });
+
+  $.RawMethod(false, "$writeTo", function writeTo (writer, options) {
+    this.$saveTo(writer, options);
+  });
 
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [], [])),
+    function _ctor () {
+      this.$initDocument(null);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Reader", 
-    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlReader"), [], [])), 
-    function get_Reader () {
-      return this.r;
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [tObjectArray], [])),
+    function _ctor (content) {
+      this.$initDocument(null);
+      this.$insertItems(0, this.$flattenContent(content), true);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_ReaderCount", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_ReaderCount () {
-      // Can't use the property because of type system nonsense.
-      return this.r.advanceCount;
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [tXDeclaration, tObjectArray], [])),
+    function _ctor (declaration, content) {
+      this.$initDocument(declaration);
+      this.$insertItems(0, this.$flattenContent(content), true);
     }
   );
 
-  $.RawMethod(false, "$getNullAttribute", function () {
-    var a = this.r.GetAttribute(this.nilID, this.instanceNsID);
-    if (a !== null)
-      return Microsoft.Xml.XmlConvert.ToBoolean(a);
-
-    a = this.r.GetAttribute(this.nilID, this.instanceNs2000ID);
-    if (a !== null)
-      return Microsoft.Xml.XmlConvert.ToBoolean(a);
-
-    a = this.r.GetAttribute(this.nilID, this.instanceNs1999ID);
-    if (a !== null)
-      return Microsoft.Xml.XmlConvert.ToBoolean(a);
-
-    return false;
-  });
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [$.Type], [])),
+    function _ctor (other) {
+      this.$copyDocument(other);
+    }
+  );
 
-  $.Method({Static:false, Public:false}, "ReadNull", 
-    (new JSIL.MethodSignature($.Boolean, [], [])), 
-    function ReadNull () {
-      if (!this.$getNullAttribute())
-        return false;
+  $.Method({Static:true , Public:true }, "Load",
+    (new JSIL.MethodSignature($.Type, [$.String], [])),
+    function Load (uri) {
+      return System.Xml.Linq.XContainer.$load(uri, "uri", 0, loadDocument);
+    }
+  );
 
-      this.r.Skip();
-      return true;
+  $.Method({Static:true , Public:true }, "Load",
+    (new JSIL.MethodSignature($.Type, [$.String, tLoadOptions], [])),
+    function Load (uri, options) {
+      return System.Xml.Linq.XContainer.$load(uri, "uri", options, loadDocument);
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadEndElement", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function ReadEndElement () {
-      while (this.r.NodeType == System.Xml.XmlNodeType.Whitespace)
-        this.r.Skip();
+  $.Method({Static:true , Public:true }, "Load",
+    (new JSIL.MethodSignature($.Type, [tStream], [])),
+    function Load (stream) {
+      return System.Xml.Linq.XContainer.$load(stream, "stream", 0, loadDocument);
+    }
+  );
 
-      if (this.r.NodeType == System.Xml.XmlNodeType.None) {
-        this.r.Skip();
-        return;
-      }
+  $.Method({Static:true , Public:true }, "Load",
+    (new JSIL.MethodSignature($.Type, [tStream, tLoadOptions], [])),
+    function Load (stream, options) {
+      return System.Xml.Linq.XContainer.$load(stream, "stream", options, loadDocument);
+    }
+  );
 
-      this.r.ReadEndElement();
+  $.Method({Static:true , Public:true }, "Load",
+    (new JSIL.MethodSignature($.Type, [tTextReader], [])),
+    function Load (textReader) {
+      return System.Xml.Linq.XContainer.$load(textReader, "textReader", 0, loadDocument);
     }
   );
 
-  $.Method({Static:false, Public:false}, "GetXsiType", 
-    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlQualifiedName"), [], [])), 
-    function GetXsiType () {
-      var result = new System.Xml.XmlQualifiedName();
+  $.Method({Static:true , Public:true }, "Load",
+    (new JSIL.MethodSignature($.Type, [tTextReader, tLoadOptions], [])),
+    function Load (textReader, options) {
+      return System.Xml.Linq.XContainer.$load(textReader, "textReader", options, loadDocument);
+    }
+  );
 
-      var r = this.r;
-      var a = r.GetAttribute(this.typeID, this.instanceNsID);
-      if (a !== null) {
-        result.name = a;
-        return result;
-      }
+  $.Method({Static:true , Public:true }, "Load",
+    (new JSIL.MethodSignature($.Type, [tXmlReader], [])),
+    function Load (reader) {
+      if (reader === null)
+        throw new System.ArgumentNullException("reader");
 
-      a = r.GetAttribute(this.typeID, this.instanceNs2000ID);
-      if (a !== null) {
-        result.name = a;
-        return result;
-      }
+      // The reader decides which white space there is.
+      return loadDocument(reader, true);
+    }
+  );
 
-      a = r.GetAttribute(this.typeID, this.instanceNs1999ID);
-      if (a !== null) {
-        result.name = a;
-        return result;
-      }
+  $.Method({Static:true , Public:true }, "Load",
+    (new JSIL.MethodSignature($.Type, [tXmlReader, tLoadOptions], [])),
+    function Load (reader, options) {
+      if (reader === null)
+        throw new System.ArgumentNullException("reader");
 
-      return null;
+      return loadDocument(reader, true);
     }
   );
 
-  $.Method({Static:false, Public:false}, "ReadSerializable", 
-    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.Serialization.IXmlSerializable"), [$xmlasms[16].TypeRef("System.Xml.Serialization.IXmlSerializable")], [])), 
-    function ReadSerializable (serializable) {
-      return this.ReadSerializable(serializable, false);
+  $.Method({Static:true , Public:true }, "Parse",
+    (new JSIL.MethodSignature($.Type, [$.String], [])),
+    function Parse (text) {
+      return System.Xml.Linq.XContainer.$load(text, "text", 0, loadDocument);
     }
   );
 
-  $.Method({Static:false, Public:false}, "ReadSerializable", 
-    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.Serialization.IXmlSerializable"), [$xmlasms[16].TypeRef("System.Xml.Serialization.IXmlSerializable"), $.Boolean], [])), 
-    function ReadSerializable (serializable, wrappedAny) {
-      var localName, namespace;
+  $.Method({Static:true , Public:true }, "Parse",
+    (new JSIL.MethodSignature($.Type, [$.String, tLoadOptions], [])),
+    function Parse (text, options) {
+      return System.Xml.Linq.XContainer.$load(text, "text", options, loadDocument);
+    }
+  );
 
-      if (wrappedAny) {
-        localName = this.r.LocalName;
-        namespace = this.r.NamespaceURI;
-        this.r.Read();
-        this.r.MoveToContent();
-      }
+  $.Method({Static:false, Public:true }, "Save",
+    (new JSIL.MethodSignature(null, [$.String], [])),
+    function Save (fileName) {
+      this.$save(fileName, "file", 0);
+    }
+  );
 
-      serializable.ReadXml(this.r);
+  $.Method({Static:false, Public:true }, "Save",
+    (new JSIL.MethodSignature(null, [$.String, tSaveOptions], [])),
+    function Save (fileName, options) {
+      this.$save(fileName, "file", options);
+    }
+  );
 
-      if (wrappedAny) {
-        var ntNone = System.Xml.XmlNodeType.None;
-        var ntWhitespace = System.Xml.XmlNodeType.Whitespace;
-        var ntEndElement = System.Xml.XmlNodeType.EndElement;
+  $.Method({Static:false, Public:true }, "Save",
+    (new JSIL.MethodSignature(null, [tStream], [])),
+    function Save (stream) {
+      this.$save(stream, "stream", 0);
+    }
+  );
 
-        while (this.r.NodeType === ntWhitespace)
-          this.r.Skip();
+  $.Method({Static:false, Public:true }, "Save",
+    (new JSIL.MethodSignature(null, [tStream, tSaveOptions], [])),
+    function Save (stream, options) {
+      this.$save(stream, "stream", options);
+    }
+  );
 
-        if (this.r.NodeType === ntNone)
-          this.r.Skip();
+  $.Method({Static:false, Public:true }, "Save",
+    (new JSIL.MethodSignature(null, [tTextWriter], [])),
+    function Save (textWriter) {
+      this.$save(textWriter, "textWriter", 0);
+    }
+  );
 
-        if (
-          this.r.NodeType === ntEndElement && 
-          this.r.LocalName === localName && 
-          this.r.NamespaceURI === namespace
-        )
-          this.Reader.Read();
-      }
+  $.Method({Static:false, Public:true }, "Save",
+    (new JSIL.MethodSignature(null, [tTextWriter, tSaveOptions], [])),
+    function Save (textWriter, options) {
+      this.$save(textWriter, "textWriter", options);
+    }
+  );
 
-      return serializable;
+  $.Method({Static:false, Public:true }, "Save",
+    (new JSIL.MethodSignature(null, [tXmlWriter], [])),
+    function Save (writer) {
+      this.WriteTo(writer);
     }
   );
 
-});
+  $.Method({Static:false, Public:true }, "WriteTo",
+    (new JSIL.MethodSignature(null, [tXmlWriter], [])),
+    function WriteTo (writer) {
+      if (writer === null)
+        throw new System.ArgumentNullException("writer");
 
-JSIL.ImplementExternals("System.Xml.XmlQualifiedName", function ($) {
+      this.$saveTo(writer, 0);
+    }
+  );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function _ctor () {
-      this.name = "";
-      this.ns = "";
+  $.Method({Static:false, Public:true }, "get_Declaration",
+    (new JSIL.MethodSignature(tXDeclaration, [], [])),
+    function get_Declaration () {
+      return this._declaration;
     }
   );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$.String], [])), 
-    function _ctor (name) {
-      this.name = name;
-      this.ns = "";
+  $.Method({Static:false, Public:true }, "set_Declaration",
+    (new JSIL.MethodSignature(null, [tXDeclaration], [])),
+    function set_Declaration (value) {
+      this._declaration = value;
     }
   );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$.String, $.String], [])), 
-    function _ctor (name, ns) {
-      this.name = name;
-      this.ns = ns;
+  $.Method({Static:false, Public:true }, "get_DocumentType",
+    (new JSIL.MethodSignature(tXDocumentType, [], [])),
+    function get_DocumentType () {
+      return nodeOfType(this, System.Xml.Linq.XDocumentType);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Name", 
-    (new JSIL.MethodSignature($.String, [], [])), 
-    function get_Name () {
-      return this.name;
+  $.Method({Static:false, Public:true }, "get_NodeType",
+    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlNodeType"), [], [])),
+    function get_NodeType () {
+      return System.Xml.XmlNodeType.Document;
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Namespace", 
-    (new JSIL.MethodSignature($.String, [], [])), 
-    function get_Namespace () {
-      return this.ns;
+  $.Method({Static:false, Public:true }, "get_Root",
+    (new JSIL.MethodSignature(tXElement, [], [])),
+    function get_Root () {
+      return nodeOfType(this, System.Xml.Linq.XElement);
     }
   );
+});
 
-  var equalsImpl = function (lhs, rhs) {
-    if (lhs === rhs)
-      return true;
+JSIL.ImplementExternals("System.Xml.Linq.XAttribute", function ($) {
+  var tXName = $xlinq.typeRef("XName");
+
+  var escape = function (text) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/\r/g, "&#xD;")
+      .replace(/\n/g, "&#xA;")
+      .replace(/\t/g, "&#x9;");
+  };
 
-    if ((lhs === null) || (rhs === null))
-      return lhs === rhs;
+  var sibling = function (attribute, offset) {
+    if (attribute._parent === null)
+      return null;
 
-    return (lhs.name == rhs.name) && (lhs.ns == rhs.ns);
-  }
+    var attributes = attribute._parent._attributes;
 
-  $.Method({Static:true , Public:true }, "op_Equality", 
-    (new JSIL.MethodSignature($.Boolean, [$xmlasms[16].TypeRef("System.Xml.XmlQualifiedName"), $xmlasms[16].TypeRef("System.Xml.XmlQualifiedName")], [])), 
-    function op_Equality (a, b) {
-      return equalsImpl(a, b);
+    return attributes[attributes.indexOf(attribute) + offset] || null;
+  };
+
+  $.RawMethod(false, "$initAttribute", function initAttribute (name, value) {
+    if (name === null)
+      throw new System.ArgumentNullException("name");
+    else if (value === null)
+      throw new System.ArgumentNullException("value");
+
+    this._parent = null;
+    this._name = name;
+    this._value = System.Xml.Linq.XObject.$stringValue(value);
+  });
+
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [tXName, $.Object], [])),
+    function _ctor (name, value) {
+      this.$initAttribute(name, value);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [$.Type], [])),
+    function _ctor (other) {
+      if (other === null)
+        throw new System.ArgumentNullException("other");
+
+      this.$initAttribute(other._name, other._value);
     }
   );
 
-  $.Method({Static:true , Public:true }, "op_Inequality", 
-    (new JSIL.MethodSignature($.Boolean, [$xmlasms[16].TypeRef("System.Xml.XmlQualifiedName"), $xmlasms[16].TypeRef("System.Xml.XmlQualifiedName")], [])), 
-    function op_Inequality (a, b) {
-      return !equalsImpl(a, b);
+  $.Method({Static:false, Public:true }, "get_Name",
+    (new JSIL.MethodSignature(tXName, [], [])),
+    function get_Name () {
+      return this._name;
     }
   );
 
-});
+  $.Method({Static:false, Public:true }, "get_NodeType",
+    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlNodeType"), [], [])),
+    function get_NodeType () {
+      return System.Xml.XmlNodeType.Attribute;
+    }
+  );
 
-JSIL.ImplementExternals("System.Xml.XmlReader", function ($) {
-  var ntNone = System.Xml.XmlNodeType.None;
-  var ntElement = System.Xml.XmlNodeType.Element;
-  var ntAttribute = System.Xml.XmlNodeType.Attribute;
-  var ntText = System.Xml.XmlNodeType.Text;
-  var ntWhitespace = System.Xml.XmlNodeType.Whitespace;
-  var ntComment = System.Xml.XmlNodeType.Comment;
-  var ntDocument = System.Xml.XmlNodeType.Document;
-  var ntEndElement = System.Xml.XmlNodeType.EndElement;
+  $.Method({Static:false, Public:true }, "get_Value",
+    (new JSIL.MethodSignature($.String, [], [])),
+    function get_Value () {
+      return this._value;
+    }
+  );
 
-  var docProto = (window.Document.prototype);
-  var elementProto = (window.Element.prototype);
-  var attrProto = (window.Attr.prototype);
-  var textProto = (window.Text.prototype);
+  $.Method({Static:false, Public:true }, "set_Value",
+    (new JSIL.MethodSignature(null, [$.String], [])),
+    function set_Value (value) {
+      if (value === null)
+        throw new System.ArgumentNullException("value");
 
-  var sNode = "node";
-  var sChildren = "children";
-  var sSiblings = "siblings";
-  var sClosing = "closing";
+      this._value = value;
+    }
+  );
 
-  var sBeforeDocument = "before document";
-  var sAfterDocument = "after document";
+  $.Method({Static:false, Public:true }, "SetValue",
+    (new JSIL.MethodSignature(null, [$.Object], [])),
+    function SetValue (value) {
+      if (value === null)
+        throw new System.ArgumentNullException("value");
 
-  $.RawMethod(false, "$fromDOMNode", function (domNode) {
-    this._domNode = domNode;
-    this._eof = false;
-    this.$setCurrentNode(null, sBeforeDocument);
-    this.nameTable = new System.Xml.XmlNameTable();
-    this.advanceCount = 0;
-  });
+      this._value = System.Xml.Linq.XObject.$stringValue(value);
+    }
+  );
 
-  $.RawMethod(false, "$setCurrentNode", function (node, state) {
-    this._current = node;
-    this._state = state;
+  $.Method({Static:false, Public:true }, "get_IsNamespaceDeclaration",
+    (new JSIL.MethodSignature($.Boolean, [], [])),
+    function get_IsNamespaceDeclaration () {
+      var namespaceName = this._name._namespace._namespaceName;
 
-    if ((typeof (node) === "undefined") || (node === null)) {
-      this._nodeType = ntNone;
-      return false;
+      return (namespaceName === $xlinq.xmlnsNamespace) ||
+        ((namespaceName.length === 0) && (this._name._localName === "xmlns"));
     }
+  );
 
-    if (typeof (node) !== "object") {
-      throw new Error("Non-object node:" + String(node));
+  $.Method({Static:false, Public:true }, "get_NextAttribute",
+    (new JSIL.MethodSignature($.Type, [], [])),
+    function get_NextAttribute () {
+      return sibling(this, 1);
     }
+  );
 
-    switch (node.nodeType) {
-      case Node.ELEMENT_NODE:
-        if (state === sClosing) {
-          this._nodeType = ntEndElement;
-        } else {
-          this._nodeType = ntElement;
-        }
-        break;
-      case Node.TEXT_NODE:
-        if (System.String.IsNullOrWhiteSpace(node.nodeValue)) {
-          this._nodeType = ntWhitespace;
-        } else {
-          this._nodeType = ntText;
-        }
-        break;
-      case Node.COMMENT_NODE:
-        this._nodeType = ntComment;
-        break;
-      case Node.DOCUMENT_NODE:
-        if (state !== sClosing) {
-          // Skip directly to the root node
-          return this.$setCurrentNode(node.firstChild, "node");
-        } else {
-          return this.$setCurrentNode(null, sAfterDocument);
-        }
-      default:
-        JSIL.Host.warning("Unsupported node type: ", node.nodeType, " ", node);
-        break;
+  $.Method({Static:false, Public:true }, "get_PreviousAttribute",
+    (new JSIL.MethodSignature($.Type, [], [])),
+    function get_PreviousAttribute () {
+      return sibling(this, -1);
     }
+  );
 
-    return true;
-  });
+  $.Method({Static:false, Public:true }, "Remove",
+    (new JSIL.MethodSignature(null, [], [])),
+    function Remove () {
+      if (this._parent === null)
+        throw new System.InvalidOperationException("The parent is missing.");
 
-  $.RawMethod(false, "$moveNext", function () {
-    var cur = this._current;
-    if (cur === null) {
-      if (this._eof) {
-        return this.$setCurrentNode(null, sAfterDocument);
-      } else {
-        return this.$setCurrentNode(this._domNode, sNode);
-      }
+      var attributes = this._parent._attributes;
+      attributes.splice(attributes.indexOf(this), 1);
+      this._parent = null;
     }
+  );
 
-    if (this._state === sNode) {
-      this._state = sChildren;
-    }
+  $.Method({Static:false, Public:true }, "toString",
+    (new JSIL.MethodSignature($.String, [], [])),
+    function toString () {
+      var ns = this._name._namespace;
+      var prefix = "";
 
-    if (this._state === sChildren) {
-      if (cur.firstChild !== null)
-        return this.$setCurrentNode(cur.firstChild, sNode);
+      if (this.get_IsNamespaceDeclaration())
+        prefix = (ns._namespaceName.length > 0) ? "xmlns" : "";
+      else if (ns._namespaceName.length > 0)
+        prefix = ((this._parent !== null) ? this._parent.GetPrefixOfNamespace(ns) : null) || "";
 
-      this._state = sClosing;
+      return (prefix ? prefix + ":" : "") + this._name._localName + "=\"" + escape(this._value) + "\"";
     }
+  );
 
-    if (this._state === sSiblings) {
-      if (cur.nextSibling !== null)
-        return this.$setCurrentNode(cur.nextSibling, sNode);
-
-      this._state = sClosing;
-    }
+  $xobjectValueConversions($, "attribute");
+});
 
-    if (this._state === sClosing) {
-      if (cur.nextSibling !== null)
-        return this.$setCurrentNode(cur.nextSibling, sNode);
+JSIL.ImplementExternals("System.Xml.Linq.XText", function ($) {
+  $.RawMethod(false, "$initText", function initText (value) {
+    if (value === null)
+      throw new System.ArgumentNullException("value");
 
-      return this.$setCurrentNode(cur.parentNode, sClosing);
-    }
+    this._parent = null;
+    this._value = value;
+  });
 
-    this._eof = true;
-    return this.$setCurrentNode(null, sAfterDocument);
+  $.RawMethod(false, "$clone", function clone () {
+    return new System.Xml.Linq.XText(this._value);
   });
 
-  $.RawMethod(false, "$skip", function () {
-    var cur = this._current;
-    if (cur === null) {
-      this._eof = true;
-      return this.$setCurrentNode(null, sAfterDocument);
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [$.String], [])),
+    function _ctor (value) {
+      this.$initText(value);
     }
+  );
 
-    if (cur.nextSibling !== null) {
-      return this.$setCurrentNode(cur.nextSibling, sNode);
-    } else if (cur.parentNode !== null) {
-      return this.$setCurrentNode(cur.parentNode, sClosing);
-    } else {
-      this._eof = true;
-      return this.$setCurrentNode(null, sAfterDocument);
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [$.Type], [])),
+    function _ctor (other) {
+      if (other === null)
+        throw new System.ArgumentNullException("other");
+
+      this.$initText(other._value);
     }
-  });
+  );
 
-  $.Method({Static:false, Public:true }, "Read", 
-    (new JSIL.MethodSignature($.Boolean, [], [])), 
-    function Read () {
-      this.advanceCount += 1;
-      return this.$moveNext();
+  $.Method({Static:false, Public:true }, "get_NodeType",
+    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlNodeType"), [], [])),
+    function get_NodeType () {
+      return System.Xml.XmlNodeType.Text;
     }
   );
 
-  $.Method({Static:false, Public:true }, "Skip", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function Skip () {
-      this.$skip();
+  $.Method({Static:false, Public:true }, "get_Value",
+    (new JSIL.MethodSignature($.String, [], [])),
+    function get_Value () {
+      return this._value;
     }
   );
 
-  $.Method({Static:false, Public:true }, "MoveToElement", 
-    (new JSIL.MethodSignature($.Boolean, [], [])), 
-    function MoveToElement () {
-      // FIXME
-      return true;
+  $.Method({Static:false, Public:true }, "set_Value",
+    (new JSIL.MethodSignature(null, [$.String], [])),
+    function set_Value (value) {
+      if (value === null)
+        throw new System.ArgumentNullException("value");
+
+      this._value = value;
     }
   );
 
-  $.Method({Static:false, Public:true }, "MoveToFirstAttribute", 
-    (new JSIL.MethodSignature($.Boolean, [], [])), 
-    function MoveToFirstAttribute () {
-      // FIXME
-      return false;
+  $.Method({Static:false, Public:true }, "WriteTo",
+    (new JSIL.MethodSignature(null, [$xmlasms[16].TypeRef("System.Xml.XmlWriter")], [])),
+    function WriteTo (writer) {
+      if (writer === null)
+        throw new System.ArgumentNullException("writer");
+
+      // Text at the top level of a document can only be white space.
+      if ((this._parent !== null) && JSIL.CheckType(this._parent, System.Xml.Linq.XDocument))
+        writer.WriteWhitespace(this._value);
+      else
+        writer.WriteString(this._value);
     }
   );
+});
 
-  $.Method({Static:false, Public:true }, "MoveToNextAttribute", 
-    (new JSIL.MethodSignature($.Boolean, [], [])), 
-    function MoveToNextAttribute () {
-      // FIXME
-      return false;
+JSIL.ImplementExternals("System.Xml.Linq.XCData", function ($) {
+  $.RawMethod(false, "$clone", function clone () {
+    return new System.Xml.Linq.XCData(this._value);
+  });
+
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [$.String], [])),
+    function _ctor (value) {
+      this.$initText(value);
     }
   );
 
-  $.Method({Static:false, Public:true }, "MoveToContent", 
-    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlNodeType"), [], [])), 
-    function MoveToContent () {
-      while (true) {
-        switch (this._nodeType) {
-          case ntText:
-          case ntElement:
-          case ntEndElement:
-            return this._nodeType;
-        }
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [$.Type], [])),
+    function _ctor (other) {
+      if (other === null)
+        throw new System.ArgumentNullException("other");
 
-        if (!this.Read())
-          return this._nodeType;
-      }
+      this.$initText(other._value);
     }
   );
 
-  $.RawMethod(false, "$isTextualNode", function (includingComments) {
-    switch (this._nodeType) {
-      case ntText:
-      case ntWhitespace:
-        return true;
-      case ntComment:
-        return includingComments;
+  $.Method({Static:false, Public:true }, "get_NodeType",
+    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlNodeType"), [], [])),
+    function get_NodeType () {
+      return System.Xml.XmlNodeType.CDATA;
     }
+  );
 
-    return false;
-  });
+  $.Method({Static:false, Public:true }, "WriteTo",
+    (new JSIL.MethodSignature(null, [$xmlasms[16].TypeRef("System.Xml.XmlWriter")], [])),
+    function WriteTo (writer) {
+      if (writer === null)
+        throw new System.ArgumentNullException("writer");
 
-  $.Method({Static:false, Public:true }, "get_IsEmptyElement", 
-    (new JSIL.MethodSignature($.Boolean, [], [])), 
-    function get_IsEmptyElement () {
-      if (this._current === null)
-        return true;      
+      writer.WriteCData(this._value);
+    }
+  );
+});
 
-      if (this.$isTextualNode(true))
-        return false;
+JSIL.ImplementExternals("System.Xml.Linq.XComment", function ($) {
+  $.RawMethod(false, "$initComment", function initComment (value) {
+    if (value === null)
+      throw new System.ArgumentNullException("value");
 
-      // The DOM makes it impossible to tell whether an element is actually an empty element.
-      // Furthermore, all elements with no children become empty elements when being serialized
-      //  in Mozilla.
-      // So, that sucks. This is broken.
+    this._parent = null;
+    this._value = value;
+  });
 
-      var noChildren = (typeof (this._current.childNodes) === "undefined") ||
-        (this._current.childNodes === null) || 
-        (this._current.childNodes.length === 0);
+  $.RawMethod(false, "$clone", function clone () {
+    return new System.Xml.Linq.XComment(this._value);
+  });
 
-      return noChildren;
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [$.String], [])),
+    function _ctor (value) {
+      this.$initComment(value);
     }
   );
 
-  $.Method({Static:false, Public:true }, "IsStartElement", 
-    (new JSIL.MethodSignature($.Boolean, [], [])), 
-    function IsStartElement () {
-      return this.MoveToContent() == ntElement;
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [$.Type], [])),
+    function _ctor (other) {
+      if (other === null)
+        throw new System.ArgumentNullException("other");
+
+      this.$initComment(other._value);
     }
   );
 
-  $.Method({Static:false, Public:true }, "IsStartElement", 
-    (new JSIL.MethodSignature($.Boolean, [$.String], [])), 
-    function IsStartElement (name) {
-      return (this.MoveToContent() == ntElement) &&
-        (this.Name == name);
+  $.Method({Static:false, Public:true }, "get_NodeType",
+    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlNodeType"), [], [])),
+    function get_NodeType () {
+      return System.Xml.XmlNodeType.Comment;
     }
   );
 
-  $.Method({Static:false, Public:true }, "IsStartElement", 
-    (new JSIL.MethodSignature($.Boolean, [$.String, $.String], [])), 
-    function IsStartElement (localname, ns) {
-      return (this.MoveToContent() == ntElement) &&
-        (this.LocalName == localname) &&
-        (this.NamespaceURI == ns);
+  $.Method({Static:false, Public:true }, "get_Value",
+    (new JSIL.MethodSignature($.String, [], [])),
+    function get_Value () {
+      return this._value;
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadStartElement", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function ReadStartElement () {
-      if (!this.IsStartElement())
-        throw new Error("Start element not found");
+  $.Method({Static:false, Public:true }, "set_Value",
+    (new JSIL.MethodSignature(null, [$.String], [])),
+    function set_Value (value) {
+      if (value === null)
+        throw new System.ArgumentNullException("value");
 
-      this.Read();
+      this._value = value;
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadEndElement", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function ReadEndElement () {
-      if (this.MoveToContent() != ntEndElement)
-        throw new Error("End element not found");
+  $.Method({Static:false, Public:true }, "WriteTo",
+    (new JSIL.MethodSignature(null, [$xmlasms[16].TypeRef("System.Xml.XmlWriter")], [])),
+    function WriteTo (writer) {
+      if (writer === null)
+        throw new System.ArgumentNullException("writer");
 
-      this.Read();
+      writer.WriteComment(this._value);
     }
   );
+});
 
-  $.Method({Static:false, Public:true }, "ReadStartElement", 
-    (new JSIL.MethodSignature(null, [$.String], [])), 
-    function ReadStartElement (name) {
-      if (!this.IsStartElement(name))
-        throw new Error("Start element not found");
+JSIL.ImplementExternals("System.Xml.Linq.XProcessingInstruction", function ($) {
+  $.RawMethod(false, "$initProcessingInstruction", function initProcessingInstruction (target, data) {
+    if (target === null)
+      throw new System.ArgumentNullException("target");
+    else if (data === null)
+      throw new System.ArgumentNullException("data");
 
-      this.Read();
-    }
-  );
+    this._parent = null;
+    this._target = target;
+    this._data = data;
+  });
 
-  $.Method({Static:false, Public:true }, "ReadStartElement", 
-    (new JSIL.MethodSignature(null, [$.String, $.String], [])), 
-    function ReadStartElement (localname, ns) {
-      if (!this.IsStartElement(localname, ns))
-        throw new Error("Start element not found");
+  $.RawMethod(false, "$clone", function clone () {
+    return new System.Xml.Linq.XProcessingInstruction(this._target, this._data);
+  });
 
-      this.Read();
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [$.String, $.String], [])),
+    function _ctor (target, data) {
+      this.$initProcessingInstruction(target, data);
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadElementString", 
-    (new JSIL.MethodSignature($.String, [], [])), 
-    function ReadElementString () {
-      this.ReadStartElement();
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [$.Type], [])),
+    function _ctor (other) {
+      if (other === null)
+        throw new System.ArgumentNullException("other");
 
-      var result = this.ReadString();
-      this.ReadEndElement();
-      return result;
+      this.$initProcessingInstruction(other._target, other._data);
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadElementString", 
-    (new JSIL.MethodSignature($.String, [$.String], [])), 
-    function ReadElementString (name) {
-      this.ReadStartElement(name);
-
-      var result = this.ReadString();
-      this.ReadEndElement();
-      return result;
+  $.Method({Static:false, Public:true }, "get_NodeType",
+    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlNodeType"), [], [])),
+    function get_NodeType () {
+      return System.Xml.XmlNodeType.ProcessingInstruction;
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadElementString", 
-    (new JSIL.MethodSignature($.String, [$.String, $.String], [])), 
-    function ReadElementString (localname, ns) {
-      this.ReadStartElement(localname, ns);
-
-      var result = this.ReadString();
-      this.ReadEndElement();
-      return result;
+  $.Method({Static:false, Public:true }, "get_Target",
+    (new JSIL.MethodSignature($.String, [], [])),
+    function get_Target () {
+      return this._target;
     }
   );
 
-  $.Method({Static:false, Public:true }, "ReadString", 
-    (new JSIL.MethodSignature($.String, [], [])), 
-    function ReadString () {
-      var result = "";
-      // this.MoveToElement();
-
-      // If we're positioned on a start element, advance into the body to find the text
-      if (this._nodeType == ntElement) {
-        if (this.get_IsEmptyElement())
-          return result;
-
-        if (!this.Read())
-          throw new Error("Failed to read string");
+  $.Method({Static:false, Public:true }, "set_Target",
+    (new JSIL.MethodSignature(null, [$.String], [])),
+    function set_Target (value) {
+      if (value === null)
+        throw new System.ArgumentNullException("value");
 
-        if (this._nodeType == ntEndElement)
-          return result;
-      }
+      this._target = value;
+    }
+  );
 
-      while (this.$isTextualNode(false)) {
-        result += this._current.nodeValue;
+  $.Method({Static:false, Public:true }, "get_Data",
+    (new JSIL.MethodSignature($.String, [], [])),
+    function get_Data () {
+      return this._data;
+    }
+  );
 
-        if (!this.Read())
-          break;
-      }
+  $.Method({Static:false, Public:true }, "set_Data",
+    (new JSIL.MethodSignature(null, [$.String], [])),
+    function set_Data (value) {
+      if (value === null)
+        throw new System.ArgumentNullException("value");
 
-      return result;
+      this._data = value;
     }
   );
 
-  $.RawMethod(false, "SetupReadElementContent", function () {
-    if (this._nodeType != ntElement)
-      throw new System.Exception("Invalid start node for ReadElementContent");
+  $.Method({Static:false, Public:true }, "WriteTo",
+    (new JSIL.MethodSignature(null, [$xmlasms[16].TypeRef("System.Xml.XmlWriter")], [])),
+    function WriteTo (writer) {
+      if (writer === null)
+        throw new System.ArgumentNullException("writer");
 
-    var isEmpty = this.IsEmptyElement;
+      writer.WriteProcessingInstruction(this._target, this._data);
+    }
+  );
+});
 
-    this.Read();
-    if (isEmpty)
-      return false;
+JSIL.ImplementExternals("System.Xml.Linq.XDocumentType", function ($) {
+  var fieldNames = ["_name", "_publicId", "_systemId", "_internalSubset"];
 
-    if (this._nodeType == ntEndElement) {
-      this.Read();
-      return false;
-    } else if (this._nodeType == ntElement) {
-      throw new System.Exception("Element contains another element, not text content");
-    }
+  $.RawMethod(false, "$initDocumentType", function initDocumentType (name, publicId, systemId, internalSubset) {
+    if (name === null)
+      throw new System.ArgumentNullException("name");
 
-    return true;
+    this._parent = null;
+    this._name = name;
+    this._publicId = publicId;
+    this._systemId = systemId;
+    this._internalSubset = internalSubset;
   });
 
-  $.RawMethod(false, "FinishReadElementContent", function () {
-    if (this._nodeType != ntEndElement)
-      throw new System.Exception("Read element string content but didn't end on an EndElement");
-
-    this.Read();
+  $.RawMethod(false, "$clone", function clone () {
+    return new System.Xml.Linq.XDocumentType(this._name, this._publicId, this._systemId, this._internalSubset);
   });
 
-  $.Method({Static:false, Public:true }, "ReadElementContentAsString", 
-    (new JSIL.MethodSignature($.String, [], [])), 
-    function ReadElementContentAsString () {
-      var result = "";
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.String, $.String], [])),
+    function _ctor (name, publicId, systemId, internalSubset) {
+      this.$initDocumentType(name, publicId, systemId, internalSubset);
+    }
+  );
 
-      if (this.SetupReadElementContent()) {
-        result = this.ReadString();
-        this.FinishReadElementContent();
-      }
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [$.Type], [])),
+    function _ctor (other) {
+      if (other === null)
+        throw new System.ArgumentNullException("other");
 
-      return result;
+      this.$initDocumentType(other._name, other._publicId, other._systemId, other._internalSubset);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_NodeType", 
-    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlNodeType"), [], [])), 
+  $.Method({Static:false, Public:true }, "get_NodeType",
+    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlNodeType"), [], [])),
     function get_NodeType () {
-      return this._nodeType;
-    }
-  );  
-
-  $.Method({Static:false, Public:true }, "get_NameTable", 
-    (new JSIL.MethodSignature($xmlasms[16].TypeRef("System.Xml.XmlNameTable"), [], [])), 
-    function get_NameTable () {
-      return this.nameTable;
+      return System.Xml.XmlNodeType.DocumentType;
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Name", 
-    (new JSIL.MethodSignature($.String, [], [])), 
-    function get_Name () {
-      if (this._current !== null)
-        return this._current.tagName || null;
+  var defineProperty = function (name, fieldName, nullable) {
+    $.Method({Static:false, Public:true }, "get_" + name,
+      (new JSIL.MethodSignature($.String, [], [])),
+      function () {
+        return this[fieldName];
+      }
+    );
 
-      return null;
-    }
-  );
+    $.Method({Static:false, Public:true }, "set_" + name,
+      (new JSIL.MethodSignature(null, [$.String], [])),
+      function (value) {
+        if (!nullable && (value === null))
+          throw new System.ArgumentNullException("value");
 
-  $.Method({Static:false, Public:true }, "get_LocalName", 
-    (new JSIL.MethodSignature($.String, [], [])), 
-    function get_LocalName () {
-      if (this._current !== null)
-        return this._current.localName || null;
+        this[fieldName] = value;
+      }
+    );
+  };
 
-      return null;
+  defineProperty("Name", "_name", false);
+  defineProperty("PublicId", "_publicId", true);
+  defineProperty("SystemId", "_systemId", true);
+  defineProperty("InternalSubset", "_internalSubset", true);
+
+  $.Method({Static:false, Public:true }, "WriteTo",
+    (new JSIL.MethodSignature(null, [$xmlasms[16].TypeRef("System.Xml.XmlWriter")], [])),
+    function WriteTo (writer) {
+      if (writer === null)
+        throw new System.ArgumentNullException("writer");
+
+      writer.WriteDocType(this._name, this._publicId, this._systemId, this._internalSubset);
     }
   );
+});
 
-  $.Method({Static:false, Public:true }, "get_NamespaceURI", 
-    (new JSIL.MethodSignature($.String, [], [])), 
-    function get_NamespaceURI () {
-      if (this._current !== null)
-        return this._current.namespaceURI || "";
-
-      return "";
+JSIL.ImplementExternals("System.Xml.Linq.XDeclaration", function ($) {
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [$.String, $.String, $.String], [])),
+    function _ctor (version, encoding, standalone) {
+      this._version = version;
+      this._encoding = encoding;
+      this._standalone = standalone;
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Value", 
-    (new JSIL.MethodSignature($.String, [], [])), 
-    function get_Value () {
-      if (this._current !== null)
-        return this._current.nodeValue || null;
+  $.Method({Static:false, Public:true }, ".ctor",
+    (new JSIL.MethodSignature(null, [$.Type], [])),
+    function _ctor (other) {
+      if (other === null)
+        throw new System.ArgumentNullException("other");
 
-      return null;
+      this._version = other._version;
+      this._encoding = other._encoding;
+      this._standalone = other._standalone;
     }
   );
 
-  $.Method({Static:false, Public:false}, "get_AdvanceCount", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_AdvanceCount () {
-      return this.advanceCount;
-    }
-  );
+  var defineProperty = function (name, fieldName) {
+    $.Method({Static:false, Public:true }, "get_" + name,
+      (new JSIL.MethodSignature($.String, [], [])),
+      function () {
+        return this[fieldName];
+      }
+    );
 
-  $.Method({Static:false, Public:true }, "get_AttributeCount", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_AttributeCount () {
-      if (this.$isTextualNode(true))
-        return 0;
+    $.Method({Static:false, Public:true }, "set_" + name,
+      (new JSIL.MethodSignature(null, [$.String], [])),
+      function (value) {
+        this[fieldName] = value;
+      }
+    );
+  };
 
-      if (this._current !== null)
-        return this._current.attributes.length;
+  defineProperty("Version", "_version");
+  defineProperty("Encoding", "_encoding");
+  defineProperty("Standalone", "_standalone");
 
-      return 0;
+  $.Method({Static:false, Public:true }, "toString",
+    (new JSIL.MethodSignature($.String, [], [])),
+    function toString () {
+      var result = "<?xml";
+
+      if (this._version !== null)
+        result += " version=\"" + this._version + "\"";
+      if (this._encoding !== null)
+        result += " encoding=\"" + this._encoding + "\"";
+      if (this._standalone !== null)
+        result += " standalone=\"" + this._standalone + "\"";
+
+      return result + "?>";
     }
   );
+});
 
-  var getAttributeByName = function GetAttribute (name) {
-    if (this._current.hasAttribute && this._current.hasAttribute(name))
-      return this._current.getAttribute(name);
+JSIL.ImplementExternals("System.Xml.Linq.Extensions", function ($) {
+  var tXElement = $xlinq.typeRef("XElement");
+  var tXAttribute = $xlinq.typeRef("XAttribute");
+  var tXNode = $xlinq.typeRef("XNode");
+  var tXName = $xlinq.typeRef("XName");
 
-    return null;
-  };
+  // Applies an axis to every item of source, in order.
+  var selectMany = function (source, axis) {
+    if (source === null)
+      throw new System.ArgumentNullException("source");
 
-  var getAttributeByNameNS = function GetAttribute (name, namespaceURI) {
-    if (this._current.hasAttributeNS && this._current.hasAttributeNS(namespaceURI, name))
-      return this._current.getAttributeNS(namespaceURI, name);
+    return $xlinq.sequence(function () {
+      var items = JSIL.EnumerableToArray(source);
+      var result = [];
 
-    return null;
+      for (var i = 0; i < items.length; i++) {
+        if (items[i] !== null)
+          axis(items[i], result);
+      }
+
+      return result;
+    });
   };
 
-  var getAttributeByIndex = function GetAttribute (i) {      
-    return this._current.attributes[i].value;
+  var defineAxis = function (name, resultType, sourceType, isGeneric, axis) {
+    var genericArguments = isGeneric ? ["T"] : [];
+    var tSource = $xlinq.sequenceOf(isGeneric ? "!!0" : sourceType);
+
+    $.Method({Static:true , Public:true }, name,
+      (new JSIL.MethodSignature($xlinq.sequenceOf(resultType), [tSource], genericArguments)),
+      isGeneric
+        ? function (T, source) {
+          return selectMany(source, function (item, result) {
+            axis(item, undefined, result);
+          });
+        }
+        : function (source) {
+          return selectMany(source, function (item, result) {
+            axis(item, undefined, result);
+          });
+        }
+    );
+
+    if (resultType === tXNode)
+      return;
+
+    $.Method({Static:true , Public:true }, name,
+      (new JSIL.MethodSignature($xlinq.sequenceOf(resultType), [tSource, tXName], genericArguments)),
+      isGeneric
+        ? function (T, source, name) {
+          return selectMany(source, function (item, result) {
+            axis(item, name, result);
+          });
+        }
+        : function (source, name) {
+          return selectMany(source, function (item, result) {
+            axis(item, name, result);
+          });
+        }
+    );
   };
 
-  $.Method({Static:false, Public:true }, "GetAttribute", 
-    (new JSIL.MethodSignature($.String, [$.String], [])), 
-    getAttributeByName
-  );
+  defineAxis("Attributes", tXAttribute, tXElement, false, function (element, name, result) {
+    if (name === null)
+      return;
 
-  $.Method({Static:false, Public:true }, "GetAttribute", 
-    (new JSIL.MethodSignature($.String, [$.String, $.String], [])), 
-    getAttributeByNameNS
-  );
+    for (var i = 0; i < element._attributes.length; i++) {
+      if ((typeof (name) === "undefined") || (element._attributes[i]._name === name))
+        result.push(element._attributes[i]);
+    }
+  });
 
-  $.Method({Static:false, Public:true }, "GetAttribute", 
-    (new JSIL.MethodSignature($.String, [$.Int32], [])), 
-    getAttributeByIndex
-  );
+  defineAxis("Ancestors", tXElement, null, true, function (node, name, result) {
+    $xlinq.ancestorsOf(node, name, result);
+  });
 
-  $.Method({Static:false, Public:true }, "get_Item", 
-    (new JSIL.MethodSignature($.String, [$.Int32], [])), 
-    getAttributeByIndex
-  );
+  defineAxis("AncestorsAndSelf", tXElement, tXElement, false, function (element, name, result) {
+    if ((typeof (name) === "undefined") || (element._name === name))
+      result.push(element);
 
-  $.Method({Static:false, Public:true }, "get_Item", 
-    (new JSIL.MethodSignature($.String, [$.String], [])), 
-    getAttributeByName
-  );
+    $xlinq.ancestorsOf(element, name, result);
+  });
 
-  $.Method({Static:false, Public:true }, "get_Item", 
-    (new JSIL.MethodSignature($.String, [$.String, $.String], [])), 
-    getAttributeByNameNS
-  );
+  defineAxis("Nodes", tXNode, null, true, function (container, name, result) {
+    Array.prototype.push.apply(result, container._nodes);
+  });
 
-});
+  defineAxis("DescendantNodes", tXNode, null, true, function (container, name, result) {
+    $xlinq.descendantNodesOf(container, result);
+  });
 
-JSIL.ImplementExternals("System.Xml.XmlNameTable", function ($) {
-  $.Method({Static:false, Public:false}, ".ctor", 
-    new JSIL.MethodSignature(null, [], []),
-    function () {
-      this._names = {};
-    }
-  );
+  defineAxis("DescendantNodesAndSelf", tXNode, tXElement, false, function (element, name, result) {
+    result.push(element);
+    $xlinq.descendantNodesOf(element, result);
+  });
 
-  $.Method({Static:false, Public:true }, "Add", 
-    new JSIL.MethodSignature($.String, [$.String], []),
-    function Add (str) {
-      var result = this._names[str];
-      if (typeof (result) === "string")
-        return result;
+  defineAxis("Descendants", tXElement, null, true, function (container, name, result) {
+    $xlinq.descendantsOf(container, name, result);
+  });
 
-      this._names[str] = str;
-      return str;
-    }
-  );
+  defineAxis("DescendantsAndSelf", tXElement, tXElement, false, function (element, name, result) {
+    if ((typeof (name) === "undefined") || (element._name === name))
+      result.push(element);
 
-  $.Method({Static:false, Public:true }, "Get", 
-    new JSIL.MethodSignature($.String, [$.String], []),
-    function Get (str) {
-      var result = this._names[str];
+    $xlinq.descendantsOf(element, name, result);
+  });
 
-      if (typeof (result) !== "string")
-        return null;
+  defineAxis("Elements", tXElement, null, true, function (container, name, result) {
+    $xlinq.elementsOf(container._nodes, name, result);
+  });
 
-      return result;
+  var remove = function (source) {
+    if (source === null)
+      throw new System.ArgumentNullException("source");
+
+    // The items are collected first, since removing them changes the sequence.
+    var items = JSIL.EnumerableToArray(source);
+
+    for (var i = 0; i < items.length; i++) {
+      if ((items[i] !== null) && (items[i]._parent !== null))
+        items[i].Remove();
+    }
+  };
+
+  $.Method({Static:true , Public:true }, "Remove",
+    (new JSIL.MethodSignature(null, [$xlinq.sequenceOf(tXAttribute)], [])),
+    function Remove (source) {
+      remove(source);
     }
   );
 
+  $.Method({Static:true , Public:true }, "Remove",
+    (new JSIL.MethodSignature(null, [$xlinq.sequenceOf("!!0")], ["T"])),
+    function Remove (T, source) {
+      remove(source);
+    }
+  );
 });
 
-JSIL.MakeEnum(
-  "System.Xml.XmlNodeType", true, {
-    None: 0, 
-    Element: 1, 
-    Attribute: 2, 
-    Text: 3, 
-    CDATA: 4, 
-    EntityReference: 5, 
-    Entity: 6, 
-    ProcessingInstruction: 7, 
-    Comment: 8, 
-    Document: 9, 
-    DocumentType: 10, 
-    DocumentFragment: 11, 
-    Notation: 12, 
-    Whitespace: 13, 
-    SignificantWhitespace: 14, 
-    EndElement: 15, 
-    EndEntity: 16, 
-    XmlDeclaration: 17
-  }, false
-);
-
-JSIL.MakeClass("System.Object", "System.Xml.XmlNameTable", true, [], function ($) {
+JSIL.MakeClass("System.Object", "System.Xml.Linq.XNamespace", true, [], function ($) {
   $.ExternalMembers(false,
-    ".ctor", "Add", "Get"
+    "get_None", "get_Xml", "get_Xmlns", "Get", "GetName", "get_NamespaceName",
+    "op_Implicit", "op_Addition", "op_Equality", "op_Inequality"
   );
+
+  $.Property({Static:true , Public:true }, "None");
+  $.Property({Static:true , Public:true }, "Xml");
+  $.Property({Static:true , Public:true }, "Xmlns");
+  $.Property({Static:false, Public:true }, "NamespaceName");
 });
 
-JSIL.MakeClass("System.Object", "System.Xml.XmlReader", true, [], function ($) {
-  $.ExternalMembers(false, 
-    "Read", "MoveToContent",
-    "get_AdvanceCount", "get_AttributeCount", 
-    "get_IsEmptyElement", 
-    "get_LocalName", "get_NameTable",
-    "get_NodeType", "get_Name", 
-    "get_NamespaceURI", "get_Value"
+JSIL.MakeClass("System.Object", "System.Xml.Linq.XName", true, [], function ($) {
+  $.ExternalMembers(false,
+    "Get", "get_LocalName", "get_Namespace", "get_NamespaceName",
+    "op_Implicit", "op_Equality", "op_Inequality"
   );
 
-  $.Property({Static:false, Public:false}, "AdvanceCount");
-  $.Property({Static:false, Public:true }, "AttributeCount");
-  $.Property({Static:false, Public:true }, "IsEmptyElement");
   $.Property({Static:false, Public:true }, "LocalName");
-  $.Property({Static:false, Public:true }, "NodeType");
-  $.Property({Static:false, Public:true }, "Name");
-  $.Property({Static:false, Public:true }, "NameTable");
-  $.Property({Static:false, Public:true }, "NamespaceURI");
-  $.Property({Static:false, Public:true }, "Value");
+  $.Property({Static:false, Public:true }, "Namespace");
+  $.Property({Static:false, Public:true }, "NamespaceName");
 });
 
-JSIL.ImplementExternals("System.Xml.XmlConvert", function ($) {
-
-  $.Method({Static:true , Public:true }, "ToDouble", 
-    (new JSIL.MethodSignature($.Double, [$.String], [])), 
-    function ToDouble (s) {
-      return parseFloat(s);
-    }
+JSIL.MakeClass("System.Object", "System.Xml.Linq.XObject", true, [], function ($) {
+  $.ExternalMembers(false,
+    "get_BaseUri", "get_Document", "get_NodeType", "get_Parent"
   );
 
-  $.Method({Static:true , Public:true }, "ToSingle", 
-    (new JSIL.MethodSignature($.Single, [$.String], [])), 
-    function ToSingle (s) {
-      return parseFloat(s);
-    }
+  $.Property({Static:false, Public:true }, "BaseUri");
+  $.Property({Static:false, Public:true }, "Document");
+  $.Property({Static:false, Public:true }, "NodeType");
+  $.Property({Static:false, Public:true }, "Parent");
+});
+
+JSIL.MakeClass("System.Xml.Linq.XObject", "System.Xml.Linq.XNode", true, [], function ($) {
+  $.ExternalMembers(false,
+    "get_NextNode", "get_PreviousNode", "NodesAfterSelf", "NodesBeforeSelf",
+    "ElementsAfterSelf", "ElementsBeforeSelf", "Ancestors",
+    "AddAfterSelf", "AddBeforeSelf", "Remove", "ReplaceWith", "ToString", "WriteTo"
   );
 
-  $.Method({Static:true , Public:true }, "ToInt16", 
-    (new JSIL.MethodSignature($.Int16, [$.String], [])), 
-    function ToInt16 (s) {
-      var i = parseInt(s, 10);
-      if (isNaN(i))
-        throw new Error("Invalid integer");
+  $.Property({Static:false, Public:true }, "NextNode");
+  $.Property({Static:false, Public:true }, "PreviousNode");
+});
 
-      return i;
-    }
+JSIL.MakeClass("System.Xml.Linq.XNode", "System.Xml.Linq.XContainer", true, [], function ($) {
+  $.ExternalMembers(false,
+    "get_FirstNode", "get_LastNode", "Nodes", "DescendantNodes", "Descendants",
+    "Element", "Elements", "Add", "AddFirst", "RemoveNodes", "ReplaceNodes"
   );
 
-  $.Method({Static:true , Public:true }, "ToInt32", 
-    (new JSIL.MethodSignature($.Int32, [$.String], [])), 
-    function ToInt32 (s) {
-      var i = parseInt(s, 10);
-      if (isNaN(i))
-        throw new Error("Invalid integer");
+  $.Property({Static:false, Public:true }, "FirstNode");
+  $.Property({Static:false, Public:true }, "LastNode");
+});
 
-      return i;
-    }
+JSIL.MakeClass("System.Xml.Linq.XContainer", "System.Xml.Linq.XElement", true, [], function ($) {
+  $.ExternalMembers(false,
+    ".ctor", "Load", "Parse", "Save", "WriteTo",
+    "get_Name", "set_Name", "get_Value", "set_Value", "SetValue",
+    "get_IsEmpty", "get_HasElements", "get_HasAttributes", "get_FirstAttribute", "get_LastAttribute",
+    "Attribute", "Attributes", "AncestorsAndSelf", "DescendantNodesAndSelf", "DescendantsAndSelf",
+    "GetDefaultNamespace", "GetNamespaceOfPrefix", "GetPrefixOfNamespace",
+    "RemoveAll", "RemoveAttributes", "ReplaceAll", "ReplaceAttributes",
+    "SetAttributeValue", "SetElementValue", "op_Explicit"
   );
 
-  $.Method({Static:true , Public:true }, "ToInt64", 
-    (new JSIL.MethodSignature($.Int64, [$.String], [])), 
-    function ToInt64 (s) {
-      var i = parseInt(s, 10);
-      if (isNaN(i))
-        throw new Error("Invalid integer");
+  $.Property({Static:false, Public:true }, "Name");
+  $.Property({Static:false, Public:true }, "Value");
+  $.Property({Static:false, Public:true }, "IsEmpty");
+  $.Property({Static:false, Public:true }, "HasElements");
+  $.Property({Static:false, Public:true }, "HasAttributes");
+  $.Property({Static:false, Public:true }, "FirstAttribute");
+  $.Property({Static:false, Public:true }, "LastAttribute");
+});
 
-      return i;
-    }
+JSIL.MakeClass("System.Xml.Linq.XContainer", "System.Xml.Linq.XDocument", true, [], function ($) {
+  $.ExternalMembers(false,
+    ".ctor", "Load", "Parse", "Save", "WriteTo",
+    "get_Declaration", "set_Declaration", "get_DocumentType", "get_Root"
   );
 
-  $.Method({Static:true , Public:true }, "ToUInt16", 
-    (new JSIL.MethodSignature($.UInt16, [$.String], [])), 
-    function ToUInt16 (s) {
-      var i = parseInt(s, 10);
-      if (isNaN(i) || i < 0)
-        throw new Error("Invalid unsigned integer");
+  $.Property({Static:false, Public:true }, "Declaration");
+  $.Property({Static:false, Public:true }, "DocumentType");
+  $.Property({Static:false, Public:true }, "Root");
+});
 
-      return i;
-    }
+JSIL.MakeClass("System.Xml.Linq.XObject", "System.Xml.Linq.XAttribute", true, [], function ($) {
+  $.ExternalMembers(false,
+    ".ctor", "get_Name", "get_Value", "set_Value", "SetValue", "get_IsNamespaceDeclaration",
+    "get_NextAttribute", "get_PreviousAttribute", "Remove", "op_Explicit"
   );
 
-  $.Method({Static:true , Public:true }, "ToUInt32", 
-    (new JSIL.MethodSignature($.UInt32, [$.String], [])), 
-    function ToUInt32 (s) {
-      var i = parseInt(s, 10);
-      if (isNaN(i) || i < 0)
-        throw new Error("Invalid unsigned integer");
+  $.Property({Static:false, Public:true }, "Name");
+  $.Property({Static:false, Public:true }, "Value");
+  $.Property({Static:false, Public:true }, "IsNamespaceDeclaration");
+  $.Property({Static:false, Public:true }, "NextAttribute");
+  $.Property({Static:false, Public:true }, "PreviousAttribute");
+});
 
-      return i;
-    }
+JSIL.MakeClass("System.Xml.Linq.XNode", "System.Xml.Linq.XText", true, [], function ($) {
+  $.ExternalMembers(false,
+    ".ctor", "get_Value", "set_Value", "WriteTo"
   );
 
-  $.Method({Static:true , Public:true }, "ToUInt64", 
-    (new JSIL.MethodSignature($.UInt64, [$.String], [])), 
-    function ToUInt64 (s) {
-      var i = parseInt(s, 10);
-      if (isNaN(i) || i < 0)
-        throw new Error("Invalid unsigned integer");
+  $.Property({Static:false, Public:true }, "Value");
+});
 
-      return i;
-    }
+JSIL.MakeClass("System.Xml.Linq.XText", "System.Xml.Linq.XCData", true, [], function ($) {
+  $.ExternalMembers(false,
+    ".ctor", "WriteTo"
   );
+});
 
-  $.Method({Static:true , Public:true }, "ToBoolean", 
-    (new JSIL.MethodSignature($.Boolean, [$.String], [])), 
-    function ToBoolean (s) {
-      var text = s.toLowerCase().trim();
-      if (text == "true")
-        return true;
-      else if (text == "false")
-        return false;
+JSIL.MakeClass("System.Xml.Linq.XNode", "System.Xml.Linq.XComment", true, [], function ($) {
+  $.ExternalMembers(false,
+    ".ctor", "get_Value", "set_Value", "WriteTo"
+  );
 
-      var i = parseInt(s, 10);
-      if (isNaN(i))
-        throw new Error("Invalid boolean");
+  $.Property({Static:false, Public:true }, "Value");
+});
 
-      return (i != 0);
-    }
+JSIL.MakeClass("System.Xml.Linq.XNode", "System.Xml.Linq.XProcessingInstruction", true, [], function ($) {
+  $.ExternalMembers(false,
+    ".ctor", "get_Target", "set_Target", "get_Data", "set_Data", "WriteTo"
   );
 
-  $.Method({Static:true , Public:true }, "ToByte", 
-    (new JSIL.MethodSignature($.Byte, [$.String], [])), 
-    function ToByte (s) {
-      var i = parseInt(s, 10);
-      if (isNaN(i) || i < 0 || i > 255)
-        throw new Error("Invalid byte");
+  $.Property({Static:false, Public:true }, "Target");
+  $.Property({Static:false, Public:true }, "Data");
+});
 
-      return i;
-    }
+JSIL.MakeClass("System.Xml.Linq.XNode", "System.Xml.Linq.XDocumentType", true, [], function ($) {
+  $.ExternalMembers(false,
+    ".ctor", "get_Name", "set_Name", "get_PublicId", "set_PublicId",
+    "get_SystemId", "set_SystemId", "get_InternalSubset", "set_InternalSubset", "WriteTo"
+  );
+
+  $.Property({Static:false, Public:true }, "Name");
+  $.Property({Static:false, Public:true }, "PublicId");
+  $.Property({Static:false, Public:true }, "SystemId");
+  $.Property({Static:false, Public:true }, "InternalSubset");
+});
+
+JSIL.MakeClass("System.Object", "System.Xml.Linq.XDeclaration", true, [], function ($) {
+  $.ExternalMembers(false,
+    ".ctor", "get_Version", "set_Version", "get_Encoding", "set_Encoding",
+    "get_Standalone", "set_Standalone"
   );
 
+  $.Property({Static:false, Public:true }, "Version");
+  $.Property({Static:false, Public:true }, "Encoding");
+  $.Property({Static:false, Public:true }, "Standalone");
+});
+
+JSIL.MakeStaticClass("System.Xml.Linq.Extensions", true, [], function ($) {
+  $.ExternalMembers(false,
+    "Ancestors", "AncestorsAndSelf", "Attributes", "DescendantNodes", "DescendantNodesAndSelf",
+    "Descendants", "DescendantsAndSelf", "Elements", "Nodes", "Remove"
+  );
 });
\ No newline at end of file
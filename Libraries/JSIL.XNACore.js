@@ -1938,17 +1938,24 @@ var vectorUtil = {
     );
   },
 
-  makeLengthMethods: function ($, dataMembers, tVector) {
+  makeLengthMethods: function ($, dataMembers, tVector, isVector) {
     vectorUtil.makeLengthGetter($, "LengthSquared", true, dataMembers, tVector);
     vectorUtil.makeLengthGetter($, "Length", false, dataMembers, tVector);
 
-    vectorUtil.makeDistanceFunction($, "DistanceSquared", true, dataMembers, tVector);
-    vectorUtil.makeDistanceFunction($, "Distance", false, dataMembers, tVector);
+    if (isVector) {
+      vectorUtil.makeDistanceFunction($, "DistanceSquared", true, dataMembers, tVector);
+      vectorUtil.makeDistanceFunction($, "Distance", false, dataMembers, tVector);
+    }
 
     vectorUtil.makeNormalizer($, dataMembers, tVector);
   },
 
-  makeOperators: function ($, dataMembers, tVector) {
+  // Quaternions pass isVector = false. Their products are not componentwise, so only the scalar forms of
+  //  multiplication and division are generated for them, and they have no distance functions.
+  makeOperators: function ($, dataMembers, tVector, isVector) {
+    if (arguments.length < 4)
+      isVector = true;
+
     var operators = [
       ["op_Addition", "+", false, "Add"],
       ["op_Subtraction", "-", false, "Subtract"],
@@ -1962,7 +1969,8 @@ var vectorUtil = {
       var withScalar = operators[i][2];
       var staticMethodName = operators[i][3];
 
-      vectorUtil.makeArithmeticOperator($, name, staticMethodName, operator, dataMembers, tVector, tVector, tVector);
+      if (isVector || !withScalar)
+        vectorUtil.makeArithmeticOperator($, name, staticMethodName, operator, dataMembers, tVector, tVector, tVector);
 
       if (withScalar) {
         vectorUtil.makeArithmeticOperator($, name, staticMethodName, operator, dataMembers, tVector, $.Single, tVector);
@@ -1975,7 +1983,7 @@ var vectorUtil = {
     vectorUtil.makeLogicOperator($, "op_Equality", "===", "&&", dataMembers, tVector);
     vectorUtil.makeLogicOperator($, "op_Inequality", "!==", "||", dataMembers, tVector);
 
-    vectorUtil.makeLengthMethods($, dataMembers, tVector);
+    vectorUtil.makeLengthMethods($, dataMembers, tVector, isVector);
   },
 
   makeConstants: function ($, tVector, constants) {
@@ -2004,6 +2012,312 @@ var vectorUtil = {
   }
 };
 
+// Matrix math shared by the Matrix, vector and Quaternion externals. Matrices follow the XNA convention of
+//  row vectors, so a point is transformed by multiplying it on the left and translations live in M41-M43.
+var matrixUtil = {
+  fieldNames: [
+    "M11", "M12", "M13", "M14",
+    "M21", "M22", "M23", "M24",
+    "M31", "M32", "M33", "M34",
+    "M41", "M42", "M43", "M44"
+  ],
+
+  make: function (
+    m11, m12, m13, m14,
+    m21, m22, m23, m24,
+    m31, m32, m33, m34,
+    m41, m42, m43, m44
+  ) {
+    var result = Object.create(Microsoft.Xna.Framework.Matrix.prototype);
+
+    result.M11 = m11; result.M12 = m12; result.M13 = m13; result.M14 = m14;
+    result.M21 = m21; result.M22 = m22; result.M23 = m23; result.M24 = m24;
+    result.M31 = m31; result.M32 = m32; result.M33 = m33; result.M34 = m34;
+    result.M41 = m41; result.M42 = m42; result.M43 = m43; result.M44 = m44;
+
+    return result;
+  },
+
+  identity: function () {
+    return matrixUtil.make(
+      1, 0, 0, 0,
+      0, 1, 0, 0,
+      0, 0, 1, 0,
+      0, 0, 0, 1
+    );
+  },
+
+  // Applies fn to each pair of corresponding elements.
+  combine: function (lhs, rhs, fn) {
+    var result = Object.create(Microsoft.Xna.Framework.Matrix.prototype);
+    var names = matrixUtil.fieldNames;
+
+    for (var i = 0; i < 16; i++)
+      result[names[i]] = fn(lhs[names[i]], rhs[names[i]]);
+
+    return result;
+  },
+
+  multiply: function (a, b) {
+    return matrixUtil.make(
+      (a.M11 * b.M11) + (a.M12 * b.M21) + (a.M13 * b.M31) + (a.M14 * b.M41),
+      (a.M11 * b.M12) + (a.M12 * b.M22) + (a.M13 * b.M32) + (a.M14 * b.M42),
+      (a.M11 * b.M13) + (a.M12 * b.M23) + (a.M13 * b.M33) + (a.M14 * b.M43),
+      (a.M11 * b.M14) + (a.M12 * b.M24) + (a.M13 * b.M34) + (a.M14 * b.M44),
+
+      (a.M21 * b.M11) + (a.M22 * b.M21) + (a.M23 * b.M31) + (a.M24 * b.M41),
+      (a.M21 * b.M12) + (a.M22 * b.M22) + (a.M23 * b.M32) + (a.M24 * b.M42),
+      (a.M21 * b.M13) + (a.M22 * b.M23) + (a.M23 * b.M33) + (a.M24 * b.M43),
+      (a.M21 * b.M14) + (a.M22 * b.M24) + (a.M23 * b.M34) + (a.M24 * b.M44),
+
+      (a.M31 * b.M11) + (a.M32 * b.M21) + (a.M33 * b.M31) + (a.M34 * b.M41),
+      (a.M31 * b.M12) + (a.M32 * b.M22) + (a.M33 * b.M32) + (a.M34 * b.M42),
+      (a.M31 * b.M13) + (a.M32 * b.M23) + (a.M33 * b.M33) + (a.M34 * b.M43),
+      (a.M31 * b.M14) + (a.M32 * b.M24) + (a.M33 * b.M34) + (a.M34 * b.M44),
+
+      (a.M41 * b.M11) + (a.M42 * b.M21) + (a.M43 * b.M31) + (a.M44 * b.M41),
+      (a.M41 * b.M12) + (a.M42 * b.M22) + (a.M43 * b.M32) + (a.M44 * b.M42),
+      (a.M41 * b.M13) + (a.M42 * b.M23) + (a.M43 * b.M33) + (a.M44 * b.M43),
+      (a.M41 * b.M14) + (a.M42 * b.M24) + (a.M43 * b.M34) + (a.M44 * b.M44)
+    );
+  },
+
+  transpose: function (m) {
+    return matrixUtil.make(
+      m.M11, m.M21, m.M31, m.M41,
+      m.M12, m.M22, m.M32, m.M42,
+      m.M13, m.M23, m.M33, m.M43,
+      m.M14, m.M24, m.M34, m.M44
+    );
+  },
+
+  determinant: function (m) {
+    var s0 = (m.M33 * m.M44) - (m.M34 * m.M43);
+    var s1 = (m.M32 * m.M44) - (m.M34 * m.M42);
+    var s2 = (m.M32 * m.M43) - (m.M33 * m.M42);
+    var s3 = (m.M31 * m.M44) - (m.M34 * m.M41);
+    var s4 = (m.M31 * m.M43) - (m.M33 * m.M41);
+    var s5 = (m.M31 * m.M42) - (m.M32 * m.M41);
+
+    return (m.M11 * ((m.M22 * s0) - (m.M23 * s1) + (m.M24 * s2))) -
+      (m.M12 * ((m.M21 * s0) - (m.M23 * s3) + (m.M24 * s4))) +
+      (m.M13 * ((m.M21 * s1) - (m.M22 * s3) + (m.M24 * s5))) -
+      (m.M14 * ((m.M21 * s2) - (m.M22 * s4) + (m.M23 * s5)));
+  },
+
+  // Inverts a matrix through its cofactors. Like XNA, a singular matrix produces non-finite elements.
+  invert: function (m) {
+    var a0 = (m.M11 * m.M22) - (m.M12 * m.M21);
+    var a1 = (m.M11 * m.M23) - (m.M13 * m.M21);
+    var a2 = (m.M11 * m.M24) - (m.M14 * m.M21);
+    var a3 = (m.M12 * m.M23) - (m.M13 * m.M22);
+    var a4 = (m.M12 * m.M24) - (m.M14 * m.M22);
+    var a5 = (m.M13 * m.M24) - (m.M14 * m.M23);
+    var b0 = (m.M31 * m.M42) - (m.M32 * m.M41);
+    var b1 = (m.M31 * m.M43) - (m.M33 * m.M41);
+    var b2 = (m.M31 * m.M44) - (m.M34 * m.M41);
+    var b3 = (m.M32 * m.M43) - (m.M33 * m.M42);
+    var b4 = (m.M32 * m.M44) - (m.M34 * m.M42);
+    var b5 = (m.M33 * m.M44) - (m.M34 * m.M43);
+
+    var invDet = 1 / ((a0 * b5) - (a1 * b4) + (a2 * b3) + (a3 * b2) - (a4 * b1) + (a5 * b0));
+
+    return matrixUtil.make(
+      ((m.M22 * b5) - (m.M23 * b4) + (m.M24 * b3)) * invDet,
+      (-(m.M12 * b5) + (m.M13 * b4) - (m.M14 * b3)) * invDet,
+      ((m.M42 * a5) - (m.M43 * a4) + (m.M44 * a3)) * invDet,
+      (-(m.M32 * a5) + (m.M33 * a4) - (m.M34 * a3)) * invDet,
+
+      (-(m.M21 * b5) + (m.M23 * b2) - (m.M24 * b1)) * invDet,
+      ((m.M11 * b5) - (m.M13 * b2) + (m.M14 * b1)) * invDet,
+      (-(m.M41 * a5) + (m.M43 * a2) - (m.M44 * a1)) * invDet,
+      ((m.M31 * a5) - (m.M33 * a2) + (m.M34 * a1)) * invDet,
+
+      ((m.M21 * b4) - (m.M22 * b2) + (m.M24 * b0)) * invDet,
+      (-(m.M11 * b4) + (m.M12 * b2) - (m.M14 * b0)) * invDet,
+      ((m.M41 * a4) - (m.M42 * a2) + (m.M44 * a0)) * invDet,
+      (-(m.M31 * a4) + (m.M32 * a2) - (m.M34 * a0)) * invDet,
+
+      (-(m.M21 * b3) + (m.M22 * b1) - (m.M23 * b0)) * invDet,
+      ((m.M11 * b3) - (m.M12 * b1) + (m.M13 * b0)) * invDet,
+      (-(m.M41 * a3) + (m.M42 * a1) - (m.M43 * a0)) * invDet,
+      ((m.M31 * a3) - (m.M32 * a1) + (m.M33 * a0)) * invDet
+    );
+  },
+
+  // The rotation described by a unit quaternion, or by any object with X, Y, Z and W members.
+  fromQuaternion: function (q) {
+    var xx = q.X * q.X, yy = q.Y * q.Y, zz = q.Z * q.Z;
+    var xy = q.X * q.Y, zw = q.Z * q.W, zx = q.Z * q.X;
+    var yw = q.Y * q.W, yz = q.Y * q.Z, xw = q.X * q.W;
+
+    return matrixUtil.make(
+      1 - (2 * (yy + zz)), 2 * (xy + zw), 2 * (zx - yw), 0,
+      2 * (xy - zw), 1 - (2 * (zz + xx)), 2 * (yz + xw), 0,
+      2 * (zx + yw), 2 * (yz - xw), 1 - (2 * (yy + xx)), 0,
+      0, 0, 0, 1
+    );
+  },
+
+  // Returns the components of the unit quaternion for the rotation in the upper 3x3 part of a matrix.
+  toQuaternion: function (m) {
+    var trace = m.M11 + m.M22 + m.M33;
+    var s, half;
+
+    if (trace > 0) {
+      s = Math.sqrt(trace + 1);
+      half = 0.5 / s;
+      return [(m.M23 - m.M32) * half, (m.M31 - m.M13) * half, (m.M12 - m.M21) * half, s * 0.5];
+    } else if ((m.M11 >= m.M22) && (m.M11 >= m.M33)) {
+      s = Math.sqrt(1 + m.M11 - m.M22 - m.M33);
+      half = 0.5 / s;
+      return [s * 0.5, (m.M12 + m.M21) * half, (m.M13 + m.M31) * half, (m.M23 - m.M32) * half];
+    } else if (m.M22 > m.M33) {
+      s = Math.sqrt(1 + m.M22 - m.M11 - m.M33);
+      half = 0.5 / s;
+      return [(m.M21 + m.M12) * half, s * 0.5, (m.M32 + m.M23) * half, (m.M31 - m.M13) * half];
+    } else {
+      s = Math.sqrt(1 + m.M33 - m.M11 - m.M22);
+      half = 0.5 / s;
+      return [(m.M31 + m.M13) * half, (m.M32 + m.M23) * half, s * 0.5, (m.M12 - m.M21) * half];
+    }
+  },
+
+  // Returns the components of the unit quaternion for a rotation by roll around Z, then pitch around X,
+  //  then yaw around Y.
+  yawPitchRollToQuaternion: function (yaw, pitch, roll) {
+    var sr = Math.sin(roll * 0.5), cr = Math.cos(roll * 0.5);
+    var sp = Math.sin(pitch * 0.5), cp = Math.cos(pitch * 0.5);
+    var sy = Math.sin(yaw * 0.5), cy = Math.cos(yaw * 0.5);
+
+    return [
+      (cy * sp * cr) + (sy * cp * sr),
+      (sy * cp * cr) - (cy * sp * sr),
+      (cy * cp * sr) - (sy * sp * cr),
+      (cy * cp * cr) + (sy * sp * sr)
+    ];
+  },
+
+  makeVector2: function (x, y) {
+    var result = Object.create(Microsoft.Xna.Framework.Vector2.prototype);
+    result.X = x;
+    result.Y = y;
+    return result;
+  },
+
+  makeVector3: function (x, y, z) {
+    var result = Object.create(Microsoft.Xna.Framework.Vector3.prototype);
+    result.X = x;
+    result.Y = y;
+    result.Z = z;
+    return result;
+  },
+
+  makeQuaternion: function (x, y, z, w) {
+    var result = Object.create(Microsoft.Xna.Framework.Quaternion.prototype);
+    result.X = x;
+    result.Y = y;
+    result.Z = z;
+    result.W = w;
+    return result;
+  },
+
+  makeVector4: function (x, y, z, w) {
+    var result = Object.create(Microsoft.Xna.Framework.Vector4.prototype);
+    result.X = x;
+    result.Y = y;
+    result.Z = z;
+    result.W = w;
+    return result;
+  },
+
+  // Returns [x, y, z] normalized. Zero-length vectors become NaN, as they do in XNA.
+  normalize: function (x, y, z) {
+    var factor = 1 / Math.sqrt((x * x) + (y * y) + (z * z));
+    return [x * factor, y * factor, z * factor];
+  },
+
+  cross: function (a, b) {
+    return [
+      (a[1] * b[2]) - (a[2] * b[1]),
+      (a[2] * b[0]) - (a[0] * b[2]),
+      (a[0] * b[1]) - (a[1] * b[0])
+    ];
+  },
+
+  dot: function (a, b) {
+    return (a[0] * b[0]) + (a[1] * b[1]) + (a[2] * b[2]);
+  },
+
+  // Defines a method along with the overload XNA provides for it, which takes the arguments whose types are
+  //  listed in byReference by reference and stores the result in a trailing out parameter.
+  makeMethodWithRefOverload: function ($, isStatic, name, tResult, argumentTypes, byReference, impl) {
+    $.Method({Static: isStatic, Public: true }, name,
+      new JSIL.MethodSignature(tResult, argumentTypes, []),
+      impl
+    );
+
+    var argumentCount = argumentTypes.length;
+    var isReference = [], refArgumentTypes = [];
+
+    for (var i = 0; i < argumentCount; i++) {
+      isReference[i] = byReference.indexOf(argumentTypes[i]) >= 0;
+      refArgumentTypes.push(isReference[i] ? $jsilcore.TypeRef("JSIL.Reference", [argumentTypes[i]]) : argumentTypes[i]);
+    }
+
+    refArgumentTypes.push($jsilcore.TypeRef("JSIL.Reference", [tResult]));
+
+    $.Method({Static: isStatic, Public: true }, name,
+      new JSIL.MethodSignature(null, refArgumentTypes, []),
+      function () {
+        var values = new Array(argumentCount);
+
+        for (var i = 0; i < argumentCount; i++)
+          values[i] = isReference[i] ? arguments[i].value : arguments[i];
+
+        arguments[argumentCount].value = impl.apply(this, values);
+      }
+    );
+  },
+
+  // Defines a static Transform-style method taking (vector, transform) along with its
+  //  (ref vector, ref transform, out result) overload and, when the source and result types match,
+  //  its (sourceArray, ref transform, destinationArray) overload.
+  makeTransformMethods: function ($, name, tSource, tTransform, tResult, fn) {
+    var makeRef = function (t) {
+      return $jsilcore.TypeRef("JSIL.Reference", [t]);
+    };
+
+    $.Method({Static: true , Public: true }, name,
+      new JSIL.MethodSignature(tResult, [tSource, tTransform], []),
+      fn
+    );
+
+    $.Method({Static: true , Public: true }, name,
+      new JSIL.MethodSignature(null, [makeRef(tSource), makeRef(tTransform), makeRef(tResult)], []),
+      function (source, transform, result) {
+        result.value = fn(source.value, transform.value);
+      }
+    );
+
+    if (tSource !== tResult)
+      return;
+
+    $.Method({Static: true , Public: true }, name,
+      new JSIL.MethodSignature(null, [
+        $jsilcore.TypeRef("System.Array", [tSource]), makeRef(tTransform), $jsilcore.TypeRef("System.Array", [tResult])
+      ], []),
+      function (sourceArray, transform, destinationArray) {
+        if (destinationArray.length < sourceArray.length)
+          throw new System.ArgumentException("The destination array is smaller than the source array.");
+
+        for (var i = 0, l = sourceArray.length; i < l; i++)
+          destinationArray[i] = fn(sourceArray[i], transform.value);
+      }
+    );
+  }
+};
+
 JSIL.ImplementExternals("Microsoft.Xna.Framework.Vector2", function ($) {
   vectorUtil.makeConstants(
     $, $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), {
@@ -2018,13 +2332,38 @@ JSIL.ImplementExternals("Microsoft.Xna.Framework.Vector2", function ($) {
     $, ["X", "Y"], $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2")
   );
 
-  $.Method({Static:true , Public:true }, "Transform", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix")], [])), 
+  matrixUtil.makeTransformMethods(
+    $, "Transform", $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), 
+    $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
     function Transform (position, matrix) {
-      var result = Object.create(Microsoft.Xna.Framework.Vector2.prototype);
-      result.X = (position.X * matrix.xScale) + matrix.xTranslation;
-      result.Y = (position.Y * matrix.yScale) + matrix.yTranslation;
-      return result;
+      return matrixUtil.makeVector2(
+        (position.X * matrix.M11) + (position.Y * matrix.M21) + matrix.M41,
+        (position.X * matrix.M12) + (position.Y * matrix.M22) + matrix.M42
+      );
+    }
+  );
+
+  matrixUtil.makeTransformMethods(
+    $, "TransformNormal", $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), 
+    $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
+    function TransformNormal (normal, matrix) {
+      return matrixUtil.makeVector2(
+        (normal.X * matrix.M11) + (normal.Y * matrix.M21),
+        (normal.X * matrix.M12) + (normal.Y * matrix.M22)
+      );
+    }
+  );
+
+  matrixUtil.makeTransformMethods(
+    $, "Transform", $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Quaternion"), 
+    $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
+    function Transform (value, rotation) {
+      var m = matrixUtil.fromQuaternion(rotation);
+
+      return matrixUtil.makeVector2(
+        (value.X * m.M11) + (value.Y * m.M21),
+        (value.X * m.M12) + (value.Y * m.M22)
+      );
     }
   );
 
@@ -2071,6 +2410,44 @@ JSIL.ImplementExternals("Microsoft.Xna.Framework.Vector3", function ($) {
     $, ["X", "Y", "Z"], $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3")
   );
 
+  matrixUtil.makeTransformMethods(
+    $, "Transform", $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), 
+    $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3"), 
+    function Transform (position, matrix) {
+      return matrixUtil.makeVector3(
+        (position.X * matrix.M11) + (position.Y * matrix.M21) + (position.Z * matrix.M31) + matrix.M41,
+        (position.X * matrix.M12) + (position.Y * matrix.M22) + (position.Z * matrix.M32) + matrix.M42,
+        (position.X * matrix.M13) + (position.Y * matrix.M23) + (position.Z * matrix.M33) + matrix.M43
+      );
+    }
+  );
+
+  matrixUtil.makeTransformMethods(
+    $, "TransformNormal", $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), 
+    $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3"), 
+    function TransformNormal (normal, matrix) {
+      return matrixUtil.makeVector3(
+        (normal.X * matrix.M11) + (normal.Y * matrix.M21) + (normal.Z * matrix.M31),
+        (normal.X * matrix.M12) + (normal.Y * matrix.M22) + (normal.Z * matrix.M32),
+        (normal.X * matrix.M13) + (normal.Y * matrix.M23) + (normal.Z * matrix.M33)
+      );
+    }
+  );
+
+  matrixUtil.makeTransformMethods(
+    $, "Transform", $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Quaternion"), 
+    $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3"), 
+    function Transform (value, rotation) {
+      var m = matrixUtil.fromQuaternion(rotation);
+
+      return matrixUtil.makeVector3(
+        (value.X * m.M11) + (value.Y * m.M21) + (value.Z * m.M31),
+        (value.X * m.M12) + (value.Y * m.M22) + (value.Z * m.M32),
+        (value.X * m.M13) + (value.Y * m.M23) + (value.Z * m.M33)
+      );
+    }
+  );
+
   $.Method({
     Static: false,
     Public: true
@@ -2113,6 +2490,40 @@ JSIL.ImplementExternals("Microsoft.Xna.Framework.Vector4", function ($) {
     $, ["X", "Y", "Z", "W"], $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector4")
   );
 
+  // Vector2 and Vector3 sources are treated as points, with Z = 0 and W = 1.
+  var transformVector4 = function (x, y, z, w, matrix) {
+    return matrixUtil.makeVector4(
+      (x * matrix.M11) + (y * matrix.M21) + (z * matrix.M31) + (w * matrix.M41),
+      (x * matrix.M12) + (y * matrix.M22) + (z * matrix.M32) + (w * matrix.M42),
+      (x * matrix.M13) + (y * matrix.M23) + (z * matrix.M33) + (w * matrix.M43),
+      (x * matrix.M14) + (y * matrix.M24) + (z * matrix.M34) + (w * matrix.M44)
+    );
+  };
+
+  matrixUtil.makeTransformMethods(
+    $, "Transform", $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), 
+    $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector4"), 
+    function Transform (position, matrix) {
+      return transformVector4(position.X, position.Y, 0, 1, matrix);
+    }
+  );
+
+  matrixUtil.makeTransformMethods(
+    $, "Transform", $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), 
+    $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector4"), 
+    function Transform (position, matrix) {
+      return transformVector4(position.X, position.Y, position.Z, 1, matrix);
+    }
+  );
+
+  matrixUtil.makeTransformMethods(
+    $, "Transform", $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector4"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), 
+    $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector4"), 
+    function Transform (vector, matrix) {
+      return transformVector4(vector.X, vector.Y, vector.Z, vector.W, matrix);
+    }
+  );
+
   $.Method({
     Static: false,
     Public: true
@@ -2149,4028 +2560,7271 @@ JSIL.ImplementExternals("Microsoft.Xna.Framework.Vector4", function ($) {
 });
 
 JSIL.ImplementExternals("Microsoft.Xna.Framework.Matrix", function ($) {
-  var matrix = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix");
+  var tMatrix = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix");
+  var tVector3 = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3");
+  var tQuaternion = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Quaternion");
+  var tNullableVector3 = $xnaasms[5].TypeRef("System.Nullable`1", [tVector3]);
 
-  $.Method({
-    Static: true,
-    Public: true
-  }, ".cctor2", new JSIL.MethodSignature(null, [], []), function () {
-    // FIXME
-    var identity = Microsoft.Xna.Framework.Matrix._identity = new Microsoft.Xna.Framework.Matrix();
+  var makeRef = function (t) {
+    return $jsilcore.TypeRef("JSIL.Reference", [t]);
+  };
 
-    identity.xTranslation = identity.yTranslation = identity.zTranslation = 0;
-    identity.xRotation = identity.yRotation = identity.zRotation = 0;
-    identity.xScale = identity.yScale = identity.zScale = 1;
-  });
+  var byReference = [tMatrix, tVector3, tQuaternion];
 
-  $.RawMethod(false, "__CopyMembers__", 
-    function Matrix_CopyMembers (source, target) {
-      target.xScale = source.xScale || 0;
-      target.yScale = source.yScale || 0;
-      target.zScale = source.zScale || 0;
-      target.xTranslation = source.xTranslation || 0;
-      target.yTranslation = source.yTranslation || 0;
-      target.zTranslation = source.zTranslation || 0;
-      target.xRotation = source.xRotation || 0;
-      target.yRotation = source.yRotation || 0;
-      target.zRotation = source.zRotation || 0;
-    }
-  );
+  var defineStatic = function (name, argumentTypes, impl) {
+    matrixUtil.makeMethodWithRefOverload($, true, name, tMatrix, argumentTypes, byReference, impl);
+  };
+
+  var toArray = function (vector) {
+    return [vector.X, vector.Y, vector.Z];
+  };
+
+  var checkPerspectiveDistances = function (nearPlaneDistance, farPlaneDistance) {
+    if (nearPlaneDistance <= 0)
+      throw new System.ArgumentOutOfRangeException("nearPlaneDistance", "The near plane distance must be greater than zero.");
+    if (farPlaneDistance <= 0)
+      throw new System.ArgumentOutOfRangeException("farPlaneDistance", "The far plane distance must be greater than zero.");
+    if (nearPlaneDistance >= farPlaneDistance)
+      throw new System.ArgumentOutOfRangeException("nearPlaneDistance", "The near plane distance must be less than the far plane distance.");
+  };
+
+  var perspective = function (m11, m22, m31, m32, nearPlaneDistance, farPlaneDistance) {
+    var depth = nearPlaneDistance - farPlaneDistance;
+
+    return matrixUtil.make(
+      m11, 0, 0, 0,
+      0, m22, 0, 0,
+      m31, m32, farPlaneDistance / depth, -1,
+      0, 0, (nearPlaneDistance * farPlaneDistance) / depth, 0
+    );
+  };
+
+  var orthographicOffCenter = function (left, right, bottom, top, zNearPlane, zFarPlane) {
+    return matrixUtil.make(
+      2 / (right - left), 0, 0, 0,
+      0, 2 / (top - bottom), 0, 0,
+      0, 0, 1 / (zNearPlane - zFarPlane), 0,
+      (left + right) / (left - right), (top + bottom) / (bottom - top), zNearPlane / (zNearPlane - zFarPlane), 1
+    );
+  };
+
+  var axes = function (right, up, backward, translation) {
+    return matrixUtil.make(
+      right[0], right[1], right[2], 0,
+      up[0], up[1], up[2], 0,
+      backward[0], backward[1], backward[2], 0,
+      translation[0], translation[1], translation[2], 1
+    );
+  };
+
+  var identity = null;
 
   $.Method({Static:true , Public:true }, "get_Identity", 
-    (new JSIL.MethodSignature(matrix, [], [])), 
+    (new JSIL.MethodSignature(tMatrix, [], [])), 
     function get_Identity () {
-      return Microsoft.Xna.Framework.Matrix._identity;
+      if (identity === null)
+        identity = matrixUtil.identity();
+
+      return identity;
     }
   );
 
-  $.Method({Static:true , Public:true }, "CreateLookAt", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), [
-          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3"), 
-          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3")
-        ], [])), 
-    function CreateLookAt (cameraPosition, cameraTarget, cameraUpVector) {
-      // FIXME
-      return Microsoft.Xna.Framework.Matrix._identity;
+  $.RawMethod(false, "__CopyMembers__", 
+    function Matrix_CopyMembers (source, target) {
+      target.M11 = source.M11; target.M12 = source.M12; target.M13 = source.M13; target.M14 = source.M14;
+      target.M21 = source.M21; target.M22 = source.M22; target.M23 = source.M23; target.M24 = source.M24;
+      target.M31 = source.M31; target.M32 = source.M32; target.M33 = source.M33; target.M34 = source.M34;
+      target.M41 = source.M41; target.M42 = source.M42; target.M43 = source.M43; target.M44 = source.M44;
     }
   );
 
-  $.Method({Static:true , Public:true }, "CreateLookAt", 
+  $.Method({Static:false, Public:true }, ".ctor", 
     (new JSIL.MethodSignature(null, [
-          $jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3")]), $jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3")]), 
-          $jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3")]), $jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix")])
+          $.Single, $.Single, $.Single, $.Single, 
+          $.Single, $.Single, $.Single, $.Single, 
+          $.Single, $.Single, $.Single, $.Single, 
+          $.Single, $.Single, $.Single, $.Single
         ], [])), 
-    function CreateLookAt (/* ref */ cameraPosition, /* ref */ cameraTarget, /* ref */ cameraUpVector, /* ref */ result) {
-      // FIXME
-      result.value = Microsoft.Xna.Framework.Matrix._identity;
+    function _ctor (
+      m11, m12, m13, m14, 
+      m21, m22, m23, m24, 
+      m31, m32, m33, m34, 
+      m41, m42, m43, m44
+    ) {
+      this.M11 = m11; this.M12 = m12; this.M13 = m13; this.M14 = m14;
+      this.M21 = m21; this.M22 = m22; this.M23 = m23; this.M24 = m24;
+      this.M31 = m31; this.M32 = m32; this.M33 = m33; this.M34 = m34;
+      this.M41 = m41; this.M42 = m42; this.M43 = m43; this.M44 = m44;
     }
   );
 
-  $.Method({Static:true , Public:true }, "CreateOrthographic", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), [
-          $.Single, $.Single, 
-          $.Single, $.Single
-        ], [])), 
-    function CreateOrthographic (width, height, zNearPlane, zFarPlane) {
-      // FIXME
-      return Microsoft.Xna.Framework.Matrix._identity;
-    }
-  );
+  var add = function (matrix1, matrix2) {
+    return matrixUtil.combine(matrix1, matrix2, function (lhs, rhs) { return lhs + rhs; });
+  };
 
-  $.Method({Static:true , Public:true }, "CreateOrthographic", 
-    (new JSIL.MethodSignature(null, [
-          $.Single, $.Single, 
-          $.Single, $.Single, 
-          $jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix")])
-        ], [])), 
-    function CreateOrthographic (width, height, zNearPlane, zFarPlane, /* ref */ result) {
-      // FIXME
-      result.value = Microsoft.Xna.Framework.Matrix._identity;
-    }
-  );
+  var subtract = function (matrix1, matrix2) {
+    return matrixUtil.combine(matrix1, matrix2, function (lhs, rhs) { return lhs - rhs; });
+  };
 
-  $.Method({Static:true , Public:true }, "CreateOrthographicOffCenter", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), [
-          $.Single, $.Single, 
-          $.Single, $.Single, 
-          $.Single, $.Single
-        ], [])), 
-    function CreateOrthographicOffCenter (left, right, bottom, top, zNearPlane, zFarPlane) {
-      // FIXME
-      return Microsoft.Xna.Framework.Matrix._identity;
-    }
-  );
+  var divide = function (matrix1, matrix2) {
+    return matrixUtil.combine(matrix1, matrix2, function (lhs, rhs) { return lhs / rhs; });
+  };
 
-  $.Method({Static:true , Public:true }, "CreateOrthographicOffCenter", 
-    (new JSIL.MethodSignature(null, [
-          $.Single, $.Single, 
-          $.Single, $.Single, 
-          $.Single, $.Single, 
-          $jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix")])
-        ], [])), 
-    function CreateOrthographicOffCenter (left, right, bottom, top, zNearPlane, zFarPlane, /* ref */ result) {
-      // FIXME
-      result.value = Microsoft.Xna.Framework.Matrix._identity;
-    }
-  );
+  var multiplyByScalar = function (matrix, factor) {
+    return matrixUtil.combine(matrix, matrix, function (lhs) { return lhs * factor; });
+  };
 
-  $.Method({Static:true , Public:true }, "CreateRotationX", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), [$.Single], [])), 
-    function CreateRotationX (radians) {
-      // FIXME
-      var result = Microsoft.Xna.Framework.Matrix._identity.MemberwiseClone();
+  var negate = function (matrix) {
+    return multiplyByScalar(matrix, -1);
+  };
 
-      result.xRotation = radians;
-      return result;
+  var equals = function (matrix1, matrix2) {
+    var names = matrixUtil.fieldNames;
+
+    for (var i = 0; i < 16; i++) {
+      if (matrix1[names[i]] !== matrix2[names[i]])
+        return false;
     }
-  );
 
-  $.Method({Static:true , Public:true }, "CreateRotationY", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), [$.Single], [])), 
-    function CreateRotationY (radians) {
-      // FIXME
-      var result = Microsoft.Xna.Framework.Matrix._identity.MemberwiseClone();
+    return true;
+  };
 
-      result.yRotation = radians;
-      return result;
-    }
+  defineStatic("Add", [tMatrix, tMatrix], add);
+  defineStatic("Subtract", [tMatrix, tMatrix], subtract);
+  defineStatic("Multiply", [tMatrix, tMatrix], matrixUtil.multiply);
+  defineStatic("Multiply", [tMatrix, $.Single], multiplyByScalar);
+  defineStatic("Divide", [tMatrix, tMatrix], divide);
+  defineStatic("Divide", [tMatrix, $.Single], function (matrix, divider) {
+    return multiplyByScalar(matrix, 1 / divider);
+  });
+  defineStatic("Negate", [tMatrix], negate);
+  defineStatic("Invert", [tMatrix], matrixUtil.invert);
+  defineStatic("Transpose", [tMatrix], matrixUtil.transpose);
+
+  defineStatic("Lerp", [tMatrix, tMatrix, $.Single], function (matrix1, matrix2, amount) {
+    return matrixUtil.combine(matrix1, matrix2, function (lhs, rhs) {
+      return lhs + ((rhs - lhs) * amount);
+    });
+  });
+
+  $.Method({Static:true , Public:true }, "op_Addition", 
+    (new JSIL.MethodSignature(tMatrix, [tMatrix, tMatrix], [])), 
+    add
   );
 
-  $.Method({Static:true , Public:true }, "CreateRotationZ", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), [$.Single], [])), 
-    function CreateRotationZ (radians) {
-      // FIXME
-      var result = Microsoft.Xna.Framework.Matrix._identity.MemberwiseClone();
+  $.Method({Static:true , Public:true }, "op_Subtraction", 
+    (new JSIL.MethodSignature(tMatrix, [tMatrix, tMatrix], [])), 
+    subtract
+  );
 
-      result.zRotation = radians;
-      return result;
-    }
+  $.Method({Static:true , Public:true }, "op_Multiply", 
+    (new JSIL.MethodSignature(tMatrix, [tMatrix, tMatrix], [])), 
+    matrixUtil.multiply
   );
 
-  $.Method({Static:true , Public:true }, "CreateScale", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3")], [])), 
-    function CreateScale (scales) {
-      // FIXME
-      var result = Microsoft.Xna.Framework.Matrix._identity.MemberwiseClone();
+  $.Method({Static:true , Public:true }, "op_Multiply", 
+    (new JSIL.MethodSignature(tMatrix, [tMatrix, $.Single], [])), 
+    multiplyByScalar
+  );
 
-      result.xScale = scales.X;
-      result.yScale = scales.Y;
-      result.zScale = scales.Z;
-      return result;
+  $.Method({Static:true , Public:true }, "op_Multiply", 
+    (new JSIL.MethodSignature(tMatrix, [$.Single, tMatrix], [])), 
+    function op_Multiply (scaleFactor, matrix) {
+      return multiplyByScalar(matrix, scaleFactor);
     }
   );
 
-  $.Method({Static:true , Public:true }, "CreateScale", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), [
-          $.Single, $.Single, 
-          $.Single
-        ], [])), 
-    function CreateScale (xScale, yScale, zScale) {
-      // FIXME
-      var result = Microsoft.Xna.Framework.Matrix._identity.MemberwiseClone();
+  $.Method({Static:true , Public:true }, "op_Division", 
+    (new JSIL.MethodSignature(tMatrix, [tMatrix, tMatrix], [])), 
+    divide
+  );
 
-      result.xScale = xScale;
-      result.yScale = yScale;
-      result.zScale = zScale;
-      return result;
+  $.Method({Static:true , Public:true }, "op_Division", 
+    (new JSIL.MethodSignature(tMatrix, [tMatrix, $.Single], [])), 
+    function op_Division (matrix, divider) {
+      return multiplyByScalar(matrix, 1 / divider);
     }
   );
 
-  $.Method({Static:true , Public:true }, "CreateTranslation", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3")], [])), 
-    function CreateTranslation (position) {
-      // FIXME
-      var result = Microsoft.Xna.Framework.Matrix._identity.MemberwiseClone();
+  $.Method({Static:true , Public:true }, "op_UnaryNegation", 
+    (new JSIL.MethodSignature(tMatrix, [tMatrix], [])), 
+    negate
+  );
 
-      result.xTranslation = position.X;
-      result.yTranslation = position.Y;
-      result.zTranslation = position.Z;
-      return result;
+  $.Method({Static:true , Public:true }, "op_Equality", 
+    (new JSIL.MethodSignature($.Boolean, [tMatrix, tMatrix], [])), 
+    equals
+  );
+
+  $.Method({Static:true , Public:true }, "op_Inequality", 
+    (new JSIL.MethodSignature($.Boolean, [tMatrix, tMatrix], [])), 
+    function op_Inequality (matrix1, matrix2) {
+      return !equals(matrix1, matrix2);
     }
   );
 
-  $.Method({Static:true , Public:true }, "CreateTranslation", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), [
-          $.Single, $.Single, 
-          $.Single
-        ], [])), 
-    function CreateTranslation (xPosition, yPosition, zPosition) {
-      // FIXME
-      var result = Microsoft.Xna.Framework.Matrix._identity.MemberwiseClone();
+  $.Method({Static:false, Public:true }, "Equals", 
+    (new JSIL.MethodSignature($.Boolean, [tMatrix], [])), 
+    function Equals (other) {
+      return equals(this, other);
+    }
+  );
 
-      result.xTranslation = xPosition;
-      result.yTranslation = yPosition;
-      result.zTranslation = zPosition;
-      return result;
+  $.Method({Static:false, Public:true }, "Determinant", 
+    (new JSIL.MethodSignature($.Single, [], [])), 
+    function Determinant () {
+      return matrixUtil.determinant(this);
     }
   );
 
-  $.Method({Static:true , Public:true }, "Invert", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix")], [])), 
-    function Invert (matrix) {
-      // FIXME
-      var result = Microsoft.Xna.Framework.Matrix._identity.MemberwiseClone();
+  $.Method({Static:false, Public:true }, "Decompose", 
+    (new JSIL.MethodSignature($.Boolean, [makeRef(tVector3), makeRef(tQuaternion), makeRef(tVector3)], [])), 
+    function Decompose (/* out */ scale, /* out */ rotation, /* out */ translation) {
+      translation.value = matrixUtil.makeVector3(this.M41, this.M42, this.M43);
 
-      result.xTranslation = -matrix.xTranslation;
-      result.yTranslation = -matrix.yTranslation;
-      result.zTranslation = -matrix.zTranslation;
+      var scaleX = Math.sqrt((this.M11 * this.M11) + (this.M12 * this.M12) + (this.M13 * this.M13));
+      var scaleY = Math.sqrt((this.M21 * this.M21) + (this.M22 * this.M22) + (this.M23 * this.M23));
+      var scaleZ = Math.sqrt((this.M31 * this.M31) + (this.M32 * this.M32) + (this.M33 * this.M33));
 
-      result.xScale = 1 / (matrix.xScale + 0.000001);
-      result.yScale = 1 / (matrix.yScale + 0.000001);
-      result.zScale = 1 / (matrix.zScale + 0.000001);
+      // A reflection shows up as a negative determinant and is attributed to the X axis.
+      var orientation = (this.M11 * ((this.M22 * this.M33) - (this.M23 * this.M32))) -
+        (this.M12 * ((this.M21 * this.M33) - (this.M23 * this.M31))) +
+        (this.M13 * ((this.M21 * this.M32) - (this.M22 * this.M31)));
+      if (orientation < 0)
+        scaleX = -scaleX;
 
-      return result;
-    }
-  );
+      scale.value = matrixUtil.makeVector3(scaleX, scaleY, scaleZ);
 
-  $.Method({Static:true , Public:true }, "op_Multiply", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix")], [])), 
-    function Multiply (matrix1, matrix2) {
-      // FIXME
-      var result = Microsoft.Xna.Framework.Matrix._identity.MemberwiseClone();
+      var components = [0, 0, 0, 1];
+      var result = (scaleX !== 0) && (scaleY !== 0) && (scaleZ !== 0);
 
-      result.xTranslation = matrix1.xTranslation + matrix2.xTranslation;
-      result.yTranslation = matrix1.yTranslation + matrix2.yTranslation;
-      result.zTranslation = matrix1.zTranslation + matrix2.zTranslation;
+      if (result) {
+        components = matrixUtil.toQuaternion(matrixUtil.make(
+          this.M11 / scaleX, this.M12 / scaleX, this.M13 / scaleX, 0,
+          this.M21 / scaleY, this.M22 / scaleY, this.M23 / scaleY, 0,
+          this.M31 / scaleZ, this.M32 / scaleZ, this.M33 / scaleZ, 0,
+          0, 0, 0, 1
+        ));
+      }
 
-      result.xScale = matrix1.xScale * matrix2.xScale;
-      result.yScale = matrix1.yScale * matrix2.yScale;
-      result.zScale = matrix1.zScale * matrix2.zScale;
+      rotation.value = matrixUtil.makeQuaternion(components[0], components[1], components[2], components[3]);
 
       return result;
     }
   );
-});
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.BasicEffect", function ($) {
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice")], [])), 
-    function _ctor (device) {
-    }
-  );
+  var makeAxisProperty = function (name, m1, m2, m3, sign) {
+    $.Method({Static:false, Public:true }, "get_" + name, 
+      (new JSIL.MethodSignature(tVector3, [], [])), 
+      function () {
+        return matrixUtil.makeVector3(this[m1] * sign, this[m2] * sign, this[m3] * sign);
+      }
+    );
 
-  $.Method({Static:false, Public:true }, "set_Alpha", 
-    (new JSIL.MethodSignature(null, [$.Single], [])), 
-    function set_Alpha (value) {
-      // FIXME
-    }
-  );
+    $.Method({Static:false, Public:true }, "set_" + name, 
+      (new JSIL.MethodSignature(null, [tVector3], [])), 
+      function (value) {
+        this[m1] = value.X * sign;
+        this[m2] = value.Y * sign;
+        this[m3] = value.Z * sign;
+      }
+    );
+  };
 
-  $.Method({Static:false, Public:true }, "set_AmbientLightColor", 
-    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3")], [])), 
-    function set_AmbientLightColor (value) {
-      // FIXME
-    }
-  );
+  makeAxisProperty("Right", "M11", "M12", "M13", 1);
+  makeAxisProperty("Left", "M11", "M12", "M13", -1);
+  makeAxisProperty("Up", "M21", "M22", "M23", 1);
+  makeAxisProperty("Down", "M21", "M22", "M23", -1);
+  makeAxisProperty("Backward", "M31", "M32", "M33", 1);
+  makeAxisProperty("Forward", "M31", "M32", "M33", -1);
+  makeAxisProperty("Translation", "M41", "M42", "M43", 1);
 
-  $.Method({Static:false, Public:true }, "set_DiffuseColor", 
-    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3")], [])), 
-    function set_DiffuseColor (value) {
-      // FIXME
-    }
-  );
+  defineStatic("CreateTranslation", [tVector3], function CreateTranslation (position) {
+    return axes([1, 0, 0], [0, 1, 0], [0, 0, 1], toArray(position));
+  });
 
-  $.Method({Static:false, Public:true }, "set_EmissiveColor", 
-    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3")], [])), 
-    function set_EmissiveColor (value) {
-      // FIXME
-    }
-  );
+  defineStatic("CreateTranslation", [$.Single, $.Single, $.Single], function CreateTranslation (xPosition, yPosition, zPosition) {
+    return axes([1, 0, 0], [0, 1, 0], [0, 0, 1], [xPosition, yPosition, zPosition]);
+  });
 
-  $.Method({Static:false, Public:true }, "set_FogColor", 
-    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3")], [])), 
-    function set_FogColor (value) {
-      // FIXME
-    }
-  );
+  defineStatic("CreateScale", [tVector3], function CreateScale (scales) {
+    return axes([scales.X, 0, 0], [0, scales.Y, 0], [0, 0, scales.Z], [0, 0, 0]);
+  });
 
-  $.Method({Static:false, Public:true }, "set_FogEnabled", 
-    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
-    function set_FogEnabled (value) {
-      // FIXME
-    }
-  );
+  defineStatic("CreateScale", [$.Single, $.Single, $.Single], function CreateScale (xScale, yScale, zScale) {
+    return axes([xScale, 0, 0], [0, yScale, 0], [0, 0, zScale], [0, 0, 0]);
+  });
 
-  $.Method({Static:false, Public:true }, "set_FogEnd", 
-    (new JSIL.MethodSignature(null, [$.Single], [])), 
-    function set_FogEnd (value) {
-      // FIXME
-    }
-  );
+  defineStatic("CreateScale", [$.Single], function CreateScale (scale) {
+    return axes([scale, 0, 0], [0, scale, 0], [0, 0, scale], [0, 0, 0]);
+  });
 
-  $.Method({Static:false, Public:true }, "set_FogStart", 
-    (new JSIL.MethodSignature(null, [$.Single], [])), 
-    function set_FogStart (value) {
-      // FIXME
-    }
-  );
+  defineStatic("CreateRotationX", [$.Single], function CreateRotationX (radians) {
+    var c = Math.cos(radians), s = Math.sin(radians);
+    return axes([1, 0, 0], [0, c, s], [0, -s, c], [0, 0, 0]);
+  });
 
-  $.Method({Static:false, Public:true }, "set_LightingEnabled", 
-    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
-    function set_LightingEnabled (value) {
-      // FIXME
-    }
-  );
+  defineStatic("CreateRotationY", [$.Single], function CreateRotationY (radians) {
+    var c = Math.cos(radians), s = Math.sin(radians);
+    return axes([c, 0, -s], [0, 1, 0], [s, 0, c], [0, 0, 0]);
+  });
 
-  $.Method({Static:false, Public:true }, "set_PreferPerPixelLighting", 
-    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
-    function set_PreferPerPixelLighting (value) {
-      // FIXME
-    }
-  );
+  defineStatic("CreateRotationZ", [$.Single], function CreateRotationZ (radians) {
+    var c = Math.cos(radians), s = Math.sin(radians);
+    return axes([c, s, 0], [-s, c, 0], [0, 0, 1], [0, 0, 0]);
+  });
 
-  $.Method({Static:false, Public:true }, "set_Projection", 
-    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix")], [])), 
-    function set_Projection (value) {
-      // FIXME
-    }
-  );
+  defineStatic("CreateFromAxisAngle", [tVector3, $.Single], function CreateFromAxisAngle (axis, angle) {
+    var x = axis.X, y = axis.Y, z = axis.Z;
+    var s = Math.sin(angle), c = Math.cos(angle);
+    var xx = x * x, yy = y * y, zz = z * z;
+    var xy = x * y, xz = x * z, yz = y * z;
+
+    return axes(
+      [xx + (c * (1 - xx)), xy - (c * xy) + (s * z), xz - (c * xz) - (s * y)],
+      [xy - (c * xy) - (s * z), yy + (c * (1 - yy)), yz - (c * yz) + (s * x)],
+      [xz - (c * xz) + (s * y), yz - (c * yz) - (s * x), zz + (c * (1 - zz))],
+      [0, 0, 0]
+    );
+  });
 
-  $.Method({Static:false, Public:true }, "set_SpecularColor", 
-    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3")], [])), 
-    function set_SpecularColor (value) {
-      // FIXME
-    }
-  );
+  defineStatic("CreateFromQuaternion", [tQuaternion], matrixUtil.fromQuaternion);
 
-  $.Method({Static:false, Public:true }, "set_SpecularPower", 
-    (new JSIL.MethodSignature(null, [$.Single], [])), 
-    function set_SpecularPower (value) {
-      // FIXME
-    }
-  );
+  defineStatic("CreateFromYawPitchRoll", [$.Single, $.Single, $.Single], function CreateFromYawPitchRoll (yaw, pitch, roll) {
+    var q = matrixUtil.yawPitchRollToQuaternion(yaw, pitch, roll);
+    return matrixUtil.fromQuaternion({ X: q[0], Y: q[1], Z: q[2], W: q[3] });
+  });
 
-  $.Method({Static:false, Public:true }, "set_Texture", 
-    (new JSIL.MethodSignature(null, [$xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.Texture2D")], [])), 
-    function set_Texture (value) {
-      // FIXME
-    }
-  );
+  defineStatic("CreateLookAt", [tVector3, tVector3, tVector3], function CreateLookAt (cameraPosition, cameraTarget, cameraUpVector) {
+    var position = toArray(cameraPosition);
+    var zAxis = matrixUtil.normalize(
+      cameraPosition.X - cameraTarget.X, cameraPosition.Y - cameraTarget.Y, cameraPosition.Z - cameraTarget.Z
+    );
+    var xAxis = matrixUtil.cross(toArray(cameraUpVector), zAxis);
+    xAxis = matrixUtil.normalize(xAxis[0], xAxis[1], xAxis[2]);
+    var yAxis = matrixUtil.cross(zAxis, xAxis);
+
+    return matrixUtil.make(
+      xAxis[0], yAxis[0], zAxis[0], 0,
+      xAxis[1], yAxis[1], zAxis[1], 0,
+      xAxis[2], yAxis[2], zAxis[2], 0,
+      -matrixUtil.dot(xAxis, position), -matrixUtil.dot(yAxis, position), -matrixUtil.dot(zAxis, position), 1
+    );
+  });
 
-  $.Method({Static:false, Public:true }, "set_TextureEnabled", 
-    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
-    function set_TextureEnabled (value) {
-      // FIXME
-    }
-  );
+  defineStatic("CreateWorld", [tVector3, tVector3, tVector3], function CreateWorld (position, forward, up) {
+    var backward = matrixUtil.normalize(-forward.X, -forward.Y, -forward.Z);
+    var right = matrixUtil.cross(toArray(forward), toArray(up));
+    var newUp = matrixUtil.cross(right, toArray(forward));
 
-  $.Method({Static:false, Public:true }, "set_VertexColorEnabled", 
-    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
-    function set_VertexColorEnabled (value) {
-      // FIXME
-    }
-  );
+    return axes(
+      matrixUtil.normalize(right[0], right[1], right[2]),
+      matrixUtil.normalize(newUp[0], newUp[1], newUp[2]),
+      backward,
+      toArray(position)
+    );
+  });
 
-  $.Method({Static:false, Public:true }, "set_View", 
-    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix")], [])), 
-    function set_View (value) {
-      // FIXME
-    }
-  );
+  defineStatic("CreateBillboard", [tVector3, tVector3, tVector3, tNullableVector3], function CreateBillboard (objectPosition, cameraPosition, cameraUpVector, cameraForwardVector) {
+    var backward = [
+      objectPosition.X - cameraPosition.X, objectPosition.Y - cameraPosition.Y, objectPosition.Z - cameraPosition.Z
+    ];
+    var lengthSquared = matrixUtil.dot(backward, backward);
 
-  $.Method({Static:false, Public:true }, "set_World", 
-    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix")], [])), 
-    function set_World (value) {
-      // FIXME
+    // When the camera is at the object, the billboard faces along the camera's forward vector instead.
+    if (lengthSquared < 0.0001) {
+      if ((cameraForwardVector !== null) && (typeof (cameraForwardVector) !== "undefined"))
+        backward = [-cameraForwardVector.X, -cameraForwardVector.Y, -cameraForwardVector.Z];
+      else
+        backward = [0, 0, 1];
+    } else {
+      backward = matrixUtil.normalize(backward[0], backward[1], backward[2]);
     }
-  );
-});
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.Effect", function ($) {
-  $.Method({Static:false, Public:true }, "get_CurrentTechnique", 
-    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.EffectTechnique"), [], [])), 
-    function get_CurrentTechnique () {
-      // FIXME
-      return new Microsoft.Xna.Framework.Graphics.EffectTechnique();
-    }
-  );
+    var right = matrixUtil.cross(toArray(cameraUpVector), backward);
+    right = matrixUtil.normalize(right[0], right[1], right[2]);
 
-  $.Method({Static:false, Public:true }, "get_Parameters", 
-    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.EffectParameterCollection"), [], [])), 
-    function get_Parameters () {
-      // FIXME
-      return new Microsoft.Xna.Framework.Graphics.EffectParameterCollection();
-    }
-  );
+    return axes(right, matrixUtil.cross(backward, right), backward, toArray(objectPosition));
+  });
 
-});
+  defineStatic("CreatePerspective", [$.Single, $.Single, $.Single, $.Single], function CreatePerspective (width, height, nearPlaneDistance, farPlaneDistance) {
+    checkPerspectiveDistances(nearPlaneDistance, farPlaneDistance);
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.EffectParameterCollection", function ($) {
-  $.Method({Static:false, Public:true }, "get_Count", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_Count () {
-      // FIXME
-      return 0;
-    }
-  );
+    return perspective(
+      (2 * nearPlaneDistance) / width, (2 * nearPlaneDistance) / height, 0, 0, nearPlaneDistance, farPlaneDistance
+    );
+  });
 
-  $.Method({Static:false, Public:true }, "get_Item", 
-    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.EffectParameter"), [$.Int32], [])), 
-    function get_Item (index) {
-      // FIXME
-      return new Microsoft.Xna.Framework.Graphics.EffectParameter();
-    }
-  );
+  defineStatic("CreatePerspectiveFieldOfView", [$.Single, $.Single, $.Single, $.Single], function CreatePerspectiveFieldOfView (fieldOfView, aspectRatio, nearPlaneDistance, farPlaneDistance) {
+    if ((fieldOfView <= 0) || (fieldOfView >= Math.PI))
+      throw new System.ArgumentOutOfRangeException("fieldOfView", "The field of view must be between 0 and Pi.");
 
-  $.Method({Static:false, Public:true }, "get_Item", 
-    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.EffectParameter"), [$.String], [])), 
-    function get_Item (name) {
-      // FIXME
-      return new Microsoft.Xna.Framework.Graphics.EffectParameter();
-    }
-  );
+    checkPerspectiveDistances(nearPlaneDistance, farPlaneDistance);
 
-});
+    var yScale = 1 / Math.tan(fieldOfView * 0.5);
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.EffectParameter", function ($) {  
-  $.Method({Static:false, Public:true }, "get_Elements", 
-    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.EffectParameterCollection"), [], [])), 
-    function get_Elements () {
-      // FIXME
-      return new Microsoft.Xna.Framework.Graphics.EffectParameterCollection();
-    }
-  );
+    return perspective(yScale / aspectRatio, yScale, 0, 0, nearPlaneDistance, farPlaneDistance);
+  });
 
-  $.Method({Static:false, Public:true }, "SetValue", 
-    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector4")])], [])), 
-    function SetValue (value) {
-      // FIXME
-    }
-  );
+  defineStatic("CreatePerspectiveOffCenter", [$.Single, $.Single, $.Single, $.Single, $.Single, $.Single], function CreatePerspectiveOffCenter (left, right, bottom, top, nearPlaneDistance, farPlaneDistance) {
+    checkPerspectiveDistances(nearPlaneDistance, farPlaneDistance);
 
-  $.Method({Static:false, Public:true }, "SetValue", 
-    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector4")], [])), 
-    function SetValue (value) {
-      // FIXME
-    }
-  );
+    return perspective(
+      (2 * nearPlaneDistance) / (right - left), (2 * nearPlaneDistance) / (top - bottom),
+      (left + right) / (right - left), (top + bottom) / (top - bottom),
+      nearPlaneDistance, farPlaneDistance
+    );
+  });
 
-  $.Method({Static:false, Public:true }, "SetValue", 
-    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3")])], [])), 
-    function SetValue (value) {
-      // FIXME
-    }
-  );
+  defineStatic("CreateOrthographic", [$.Single, $.Single, $.Single, $.Single], function CreateOrthographic (width, height, zNearPlane, zFarPlane) {
+    return orthographicOffCenter(-width / 2, width / 2, -height / 2, height / 2, zNearPlane, zFarPlane);
+  });
 
-  $.Method({Static:false, Public:true }, "SetValue", 
-    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3")], [])), 
-    function SetValue (value) {
-      // FIXME
+  defineStatic("CreateOrthographicOffCenter", [$.Single, $.Single, $.Single, $.Single, $.Single, $.Single], orthographicOffCenter);
+
+  $.Method({Static:false, Public:true }, "toString", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function toString () {
+      var rows = [];
+
+      for (var row = 1; row <= 4; row++) {
+        var cells = [];
+
+        for (var column = 1; column <= 4; column++)
+          cells.push("M" + row + column + ":" + this["M" + row + column]);
+
+        rows.push("{" + cells.join(" ") + "}");
+      }
+
+      return "{ " + rows.join(" ") + " }";
     }
   );
+});
 
-  $.Method({Static:false, Public:true }, "SetValue", 
-    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2")])], [])), 
-    function SetValue (value) {
-      // FIXME
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Quaternion", function ($) {
+  var tQuaternion = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Quaternion");
+  var tVector3 = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3");
+  var tMatrix = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix");
+
+  var byReference = [tQuaternion, tVector3, tMatrix];
+
+  var defineStatic = function (name, tResult, argumentTypes, impl) {
+    matrixUtil.makeMethodWithRefOverload($, true, name, tResult, argumentTypes, byReference, impl);
+  };
+
+  vectorUtil.makeConstants(
+    $, tQuaternion, {
+      "Identity": [0, 0, 0, 1]
     }
   );
 
-  $.Method({Static:false, Public:true }, "SetValue", 
-    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2")], [])), 
-    function SetValue (value) {
-      // FIXME
-    }
+  vectorUtil.makeOperators(
+    $, ["X", "Y", "Z", "W"], tQuaternion, false
   );
 
-  $.Method({Static:false, Public:true }, "SetValue", 
-    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$.Single])], [])), 
-    function SetValue (value) {
-      // FIXME
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.Single, $.Single, $.Single, $.Single], [])), 
+    function _ctor (x, y, z, w) {
+      this.X = x;
+      this.Y = y;
+      this.Z = z;
+      this.W = w;
     }
   );
 
-  $.Method({Static:false, Public:true }, "SetValue", 
-    (new JSIL.MethodSignature(null, [$.Single], [])), 
-    function SetValue (value) {
-      // FIXME
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tVector3, $.Single], [])), 
+    function _ctor (vectorPart, scalarPart) {
+      this.X = vectorPart.X;
+      this.Y = vectorPart.Y;
+      this.Z = vectorPart.Z;
+      this.W = scalarPart;
     }
   );
 
-});
+  var dot = function (quaternion1, quaternion2) {
+    return (quaternion1.X * quaternion2.X) + (quaternion1.Y * quaternion2.Y) + 
+      (quaternion1.Z * quaternion2.Z) + (quaternion1.W * quaternion2.W);
+  };
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.EffectTechnique", function ($) {
-  $.Method({Static:false, Public:true }, "get_Passes", 
-    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.EffectPassCollection"), [], [])), 
-    function get_Passes () {
-      // FIXME
-      return [new Microsoft.Xna.Framework.Graphics.EffectPass()];
-    }
+  // The Hamilton product, which rotates by quaternion2 and then by quaternion1.
+  var multiply = function (quaternion1, quaternion2) {
+    var x1 = quaternion1.X, y1 = quaternion1.Y, z1 = quaternion1.Z, w1 = quaternion1.W;
+    var x2 = quaternion2.X, y2 = quaternion2.Y, z2 = quaternion2.Z, w2 = quaternion2.W;
+
+    return matrixUtil.makeQuaternion(
+      (x1 * w2) + (x2 * w1) + ((y1 * z2) - (z1 * y2)),
+      (y1 * w2) + (y2 * w1) + ((z1 * x2) - (x1 * z2)),
+      (z1 * w2) + (z2 * w1) + ((x1 * y2) - (y1 * x2)),
+      (w1 * w2) - ((x1 * x2) + (y1 * y2) + (z1 * z2))
+    );
+  };
+
+  var inverse = function (quaternion) {
+    var factor = 1 / dot(quaternion, quaternion);
+
+    return matrixUtil.makeQuaternion(
+      -quaternion.X * factor, -quaternion.Y * factor, -quaternion.Z * factor, quaternion.W * factor
+    );
+  };
+
+  var divide = function (quaternion1, quaternion2) {
+    return multiply(quaternion1, inverse(quaternion2));
+  };
+
+  var combine = function (quaternion1, amount1, quaternion2, amount2) {
+    return matrixUtil.makeQuaternion(
+      (quaternion1.X * amount1) + (quaternion2.X * amount2),
+      (quaternion1.Y * amount1) + (quaternion2.Y * amount2),
+      (quaternion1.Z * amount1) + (quaternion2.Z * amount2),
+      (quaternion1.W * amount1) + (quaternion2.W * amount2)
+    );
+  };
+
+  $.Method({Static:true , Public:true }, "op_Multiply", 
+    (new JSIL.MethodSignature(tQuaternion, [tQuaternion, tQuaternion], [])), 
+    multiply
   );
-});
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.EffectPass", function ($) {
-  $.Method({Static:false, Public:true }, "Apply", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function Apply () {
-      // FIXME
-    }
+  $.Method({Static:true , Public:true }, "op_Division", 
+    (new JSIL.MethodSignature(tQuaternion, [tQuaternion, tQuaternion], [])), 
+    divide
   );
-});
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.GameServiceContainer", function ($) {
-  $.Method({
-    Static: false,
-    Public: true
-  }, ".ctor", new JSIL.MethodSignature(null, [], []), function () {});
-});
+  defineStatic("Multiply", tQuaternion, [tQuaternion, tQuaternion], multiply);
+  defineStatic("Divide", tQuaternion, [tQuaternion, tQuaternion], divide);
+  defineStatic("Inverse", tQuaternion, [tQuaternion], inverse);
+  defineStatic("Dot", $.Single, [tQuaternion, tQuaternion], dot);
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.GameComponentCollection", function ($) {
-  $.RawMethod(false, "$internalCtor", function (game) {
-    this._game = game;
+  // Returns the rotation by value1 followed by the rotation by value2.
+  defineStatic("Concatenate", tQuaternion, [tQuaternion, tQuaternion], function Concatenate (value1, value2) {
+    return multiply(value2, value1);
+  });
 
-    this._ctor();
+  defineStatic("Negate", tQuaternion, [tQuaternion], function Negate (quaternion) {
+    return matrixUtil.makeQuaternion(-quaternion.X, -quaternion.Y, -quaternion.Z, -quaternion.W);
   });
 
-  $.RawMethod(false, "$OnItemAdded", function (item) {
-    if (this._game.initialized) {
-      if (typeof (item.Initialize) === "function")
-        item.Initialize();
-    }
+  defineStatic("Conjugate", tQuaternion, [tQuaternion], function Conjugate (value) {
+    return matrixUtil.makeQuaternion(-value.X, -value.Y, -value.Z, value.W);
   });
-});
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Game", function ($) {
-  $.Method({Static: false, Public: true}, "ForceQuit", 
-    new JSIL.MethodSignature(null, [], []), 
-    function () {
-      Microsoft.Xna.Framework.Game._QuitForced = true;
+  $.Method({Static:false, Public:true }, "Conjugate", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Conjugate () {
+      this.X = -this.X;
+      this.Y = -this.Y;
+      this.Z = -this.Z;
     }
   );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function _ctor () {
-      var tContentManager = JSIL.GetTypeFromAssembly(
-        $xnaasms.xna, "Microsoft.Xna.Framework.Content.ContentManager", [], true
-      );
-
-      var tGameTime = JSIL.GetTypeFromAssembly(
-        $xnaasms.xnaGame, "Microsoft.Xna.Framework.GameTime", [], true
-      );
+  // Interpolates along the shorter arc and normalizes the result.
+  defineStatic("Lerp", tQuaternion, [tQuaternion, tQuaternion, $.Single], function Lerp (quaternion1, quaternion2, amount) {
+    var amount2 = (dot(quaternion1, quaternion2) >= 0) ? amount : -amount;
+    var result = combine(quaternion1, 1 - amount, quaternion2, amount2);
 
-      this.gameServices = new Microsoft.Xna.Framework.GameServiceContainer();
-      this.content = JSIL.CreateInstanceOfType(tContentManager, [this.gameServices]);
-      this.components = JSIL.CreateInstanceOfType(
-        Microsoft.Xna.Framework.GameComponentCollection.__Type__, "$internalCtor", [this]
-      );
-      this.targetElapsedTime = System.TimeSpan.FromTicks(166667);
-      this.isFixedTimeStep = true;
-      this.forceElapsedTimeToZero = true;
-      this._isDead = false;
-      this.initialized = false;
+    result.Normalize();
+    return result;
+  });
 
-      if (typeof (Date.now) === "function") {
-        Object.defineProperty(this, "_GetNow", {
-          configurable: true,
-          enumerable: true,
-          value: Date.now
-        });
-      }
+  defineStatic("Slerp", tQuaternion, [tQuaternion, tQuaternion, $.Single], function Slerp (quaternion1, quaternion2, amount) {
+    var cosine = dot(quaternion1, quaternion2);
+    var sign = 1;
 
-      this._runHandle = null;
-      this._gameTime = JSIL.CreateInstanceOfType(tGameTime, null);
-      this._lastFrame = this._nextFrame = this._started = 0;
+    if (cosine < 0) {
+      cosine = -cosine;
+      sign = -1;
     }
-  );
 
-  $.Method({Static:false, Public:true }, "get_Components", 
-    (new JSIL.MethodSignature($xnaasms[1].TypeRef("Microsoft.Xna.Framework.GameComponentCollection"), [], [])), 
-    function get_Components () {
-      return this.components;
-    }
-  );
+    var amount1, amount2;
 
-  $.Method({Static:false, Public:true }, "get_Content", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Content.ContentManager"), [], [])), 
-    function get_Content () {
-      return this.content;
-    }
-  );
+    // Nearly identical rotations fall back to a linear blend, since the angle between them is too small
+    //  to divide by.
+    if (cosine > 0.999999) {
+      amount1 = 1 - amount;
+      amount2 = amount * sign;
+    } else {
+      var angle = Math.acos(cosine);
+      var factor = 1 / Math.sin(angle);
 
-  $.Method({Static:false, Public:true }, "get_GraphicsDevice", 
-    (new JSIL.MethodSignature($jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), [], [])), 
-    function get_GraphicsDevice () {
-      return this.graphicsDeviceService.GraphicsDevice;
+      amount1 = Math.sin((1 - amount) * angle) * factor;
+      amount2 = Math.sin(amount * angle) * factor * sign;
     }
-  );
 
-  $.Method({Static:false, Public:true }, "get_IsActive", 
-    (new JSIL.MethodSignature($.Boolean, [], [])), 
-    function get_IsActive () {
-      return true && !Microsoft.Xna.Framework.Game._QuitForced && !this._isDead;
-    }
-  );
+    return combine(quaternion1, amount1, quaternion2, amount2);
+  });
 
-  $.Method({Static:false, Public:true }, "get_IsFixedTimeStep", 
-    (new JSIL.MethodSignature($.Boolean, [], [])), 
-    function get_IsFixedTimeStep () {
-      return this.isFixedTimeStep;
-    }
-  );
+  defineStatic("CreateFromAxisAngle", tQuaternion, [tVector3, $.Single], function CreateFromAxisAngle (axis, angle) {
+    var sine = Math.sin(angle * 0.5);
 
-  $.Method({Static:false, Public:true }, "get_TargetElapsedTime", 
-    (new JSIL.MethodSignature($xnaasms[5].TypeRef("System.TimeSpan"), [], [])), 
-    function get_TargetElapsedTime () {
-      return this.targetElapsedTime;
-    }
-  );
+    return matrixUtil.makeQuaternion(axis.X * sine, axis.Y * sine, axis.Z * sine, Math.cos(angle * 0.5));
+  });
 
-  $.Method({Static:false, Public:true }, "get_Services", 
-    (new JSIL.MethodSignature($xnaasms[1].TypeRef("Microsoft.Xna.Framework.GameServiceContainer"), [], [])), 
-    function get_Services () {
-      return this.gameServices;
-    }
-  );
+  defineStatic("CreateFromYawPitchRoll", tQuaternion, [$.Single, $.Single, $.Single], function CreateFromYawPitchRoll (yaw, pitch, roll) {
+    var q = matrixUtil.yawPitchRollToQuaternion(yaw, pitch, roll);
 
-  $.Method({Static:false, Public:true }, "get_Window", 
-    (new JSIL.MethodSignature($xnaasms[1].TypeRef("Microsoft.Xna.Framework.GameWindow"), [], [])), 
-    function get_Window () {
-      // FIXME
-      return Object.create(Microsoft.Xna.Framework.GameWindow.prototype);
-    }
-  );
+    return matrixUtil.makeQuaternion(q[0], q[1], q[2], q[3]);
+  });
 
-  $.Method({Static:false, Public:false}, "get_IsMouseVisible", 
-    (new JSIL.MethodSignature($.Boolean, [], [])), 
-    function get_IsMouseVisible () {
-      // FIXME
-      return true;
-    }
-  );
+  defineStatic("CreateFromRotationMatrix", tQuaternion, [tMatrix], function CreateFromRotationMatrix (matrix) {
+    var q = matrixUtil.toQuaternion(matrix);
 
-  $.Method({Static:false, Public:true }, "set_IsMouseVisible", 
-    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
-    function set_IsMouseVisible (value) {
-      // FIXME
-    }
-  );
+    return matrixUtil.makeQuaternion(q[0], q[1], q[2], q[3]);
+  });
 
-  $.Method({Static:false, Public:true }, "set_IsFixedTimeStep", 
-    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
-    function set_IsFixedTimeStep (value) {
-      this.isFixedTimeStep = value;
+  $.Method({Static:false, Public:true }, "Equals", 
+    (new JSIL.MethodSignature($.Boolean, [tQuaternion], [])), 
+    function Equals (other) {
+      return (this.X === other.X) && (this.Y === other.Y) && (this.Z === other.Z) && (this.W === other.W);
     }
   );
 
-  $.Method({Static:false, Public:true }, "set_TargetElapsedTime", 
-    (new JSIL.MethodSignature(null, [$xnaasms[5].TypeRef("System.TimeSpan")], [])), 
-    function set_TargetElapsedTime (value) {
-      this.targetElapsedTime = value;
+  $.Method({Static:false, Public:true }, "toString", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function toString () {
+      return "{X:" + this.X + " Y:" + this.Y + " Z:" + this.Z + " W:" + this.W + "}";
     }
   );
+});
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "Initialize", new JSIL.MethodSignature(null, [], []), function () {    
-    this.initialized = true;
+// Geometry shared by Plane, Ray and the bounding volumes. Points and directions are [x, y, z] arrays.
+// Boxes and frusta are both treated as convex hulls of eight corners, ordered like XNA's GetCorners: the
+//  near (or +Z) face clockwise from its top left corner, then the far face in the same order.
+var boundsUtil = {
+  hullFaces: [
+    [0, 1, 2, 3], [4, 5, 6, 7], [0, 3, 7, 4], [1, 5, 6, 2], [0, 4, 5, 1], [3, 2, 6, 7]
+  ],
 
-    for (var i = 0, l = this.components._size; i < l; i++) {
-      var component = this.components._items[i];
-      component.Initialize();
-    }
+  hullEdges: [
+    [0, 1], [1, 2], [2, 3], [3, 0], [4, 5], [5, 6], [6, 7], [7, 4], [0, 4], [1, 5], [2, 6], [3, 7]
+  ],
 
-    this.LoadContent();
-  });
-  $.Method({
-    Static: false,
-    Public: true
-  }, "LoadContent", new JSIL.MethodSignature(null, [], []), function () {
+  toArray: function (vector) {
+    return [vector.X, vector.Y, vector.Z];
+  },
 
-  });
-  $.Method({
-    Static: false,
-    Public: true
-  }, "UnloadContent", new JSIL.MethodSignature(null, [], []), function () {
+  subtract: function (a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+  },
 
-  });
-  $.Method({
-    Static: false,
-    Public: true
-  }, "ResetElapsedTime", new JSIL.MethodSignature(null, [], []), function () {
-    this.forceElapsedTimeToZero = true;
-  });
-  $.RawMethod(false, "$ComponentsOfType", function (type) {
-    var result = new Array();
-    for (var i = 0, l = this.components._size; i < l; i++) {
-      var item = this.components._items[i];
+  lengthSquared: function (a) {
+    return (a[0] * a[0]) + (a[1] * a[1]) + (a[2] * a[2]);
+  },
 
-      if (JSIL.CheckType(item, type)) result.push(item);
-    }
-    return result;
-  });
+  containmentType: function (name) {
+    return Microsoft.Xna.Framework.ContainmentType[name];
+  },
 
-  var cmp = function (lhs, rhs) {
-    if (lhs > rhs)
-      return 1;
-    else if (rhs > lhs)
-      return -1;
-    else
-      return 0;
-  };
+  planeIntersectionType: function (name) {
+    return Microsoft.Xna.Framework.PlaneIntersectionType[name];
+  },
 
-  $.Method({Static:false, Public:false}, "Draw", 
-    (new JSIL.MethodSignature(null, [$xnaasms[1].TypeRef("Microsoft.Xna.Framework.GameTime")], [])), 
-    function Game_Draw (gameTime) {
-      if (Microsoft.Xna.Framework.Game._QuitForced || this._isDead) 
-        return;
+  makePlane: function (normal, d) {
+    var result = Object.create(Microsoft.Xna.Framework.Plane.prototype);
+    result.Normal = matrixUtil.makeVector3(normal[0], normal[1], normal[2]);
+    result.D = d;
+    return result;
+  },
 
-      var drawableComponents = this.$ComponentsOfType(Microsoft.Xna.Framework.IDrawable.__Type__);
-      drawableComponents.sort(function (lhs, rhs) {
-        return cmp(lhs.get_DrawOrder(), rhs.get_DrawOrder());
-      });
+  makeBox: function (min, max) {
+    var result = Object.create(Microsoft.Xna.Framework.BoundingBox.prototype);
+    result.Min = matrixUtil.makeVector3(min[0], min[1], min[2]);
+    result.Max = matrixUtil.makeVector3(max[0], max[1], max[2]);
+    return result;
+  },
 
-      for (var i = 0, l = drawableComponents.length; i < l; i++) {
-        var drawable = drawableComponents[i];
+  makeSphere: function (center, radius) {
+    var result = Object.create(Microsoft.Xna.Framework.BoundingSphere.prototype);
+    result.Center = matrixUtil.makeVector3(center[0], center[1], center[2]);
+    result.Radius = radius;
+    return result;
+  },
 
-        if (drawable.Visible) 
-          drawable.Draw(gameTime);
-      }
-    }
-  );
+  makeCorners: function (corners) {
+    var result = new Array(corners.length);
 
-  $.Method({Static:false, Public:false}, "Update", 
-    (new JSIL.MethodSignature(null, [$xnaasms[1].TypeRef("Microsoft.Xna.Framework.GameTime")], [])), 
-    function Game_Update (gameTime) {
-      if (Microsoft.Xna.Framework.Game._QuitForced || this._isDead) 
-        return;
+    for (var i = 0; i < corners.length; i++)
+      result[i] = matrixUtil.makeVector3(corners[i][0], corners[i][1], corners[i][2]);
 
-      var updateableComponents = this.$ComponentsOfType(Microsoft.Xna.Framework.IUpdateable.__Type__);
-      updateableComponents.sort(function (lhs, rhs) {
-        return cmp(lhs.get_UpdateOrder(), rhs.get_UpdateOrder());
-      });
+    return result;
+  },
 
-      for (var i = 0, l = updateableComponents.length; i < l; i++) {
-        var updateable = updateableComponents[i];
+  copyCorners: function (corners, destination) {
+    if (destination === null)
+      throw new System.ArgumentNullException("corners");
+    if (destination.length < corners.length)
+      throw new System.ArgumentOutOfRangeException("corners", "The array must hold at least " + corners.length + " corners.");
 
-        if (updateable.Enabled) 
-          updateable.Update(gameTime);
-      }
-    }
-  );
+    for (var i = 0; i < corners.length; i++)
+      destination[i] = matrixUtil.makeVector3(corners[i][0], corners[i][1], corners[i][2]);
+  },
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "Run", new JSIL.MethodSignature(null, [], []), function () {
-    Microsoft.Xna.Framework.Game._QuitForced = false;
-    this.Initialize();
-    this._QueueStep();
-  });
+  pointsFromEnumerable: function (points) {
+    if (points === null)
+      throw new System.ArgumentNullException("points");
 
-  $.RawMethod(false, "_GetNow", function Game_GetNow () {
-    return (new Date()).getTime();
-  });
+    var values = JSIL.EnumerableToArray(points);
+    if (values.length === 0)
+      throw new System.ArgumentException("At least one point is required.");
 
-  $.RawMethod(false, "_DeferCall", function Game_DeferCall (callback, lng) {
-    setTimeout(callback, 0);
-  });
+    var result = new Array(values.length);
+    for (var i = 0; i < values.length; i++)
+      result[i] = boundsUtil.toArray(values[i]);
 
-  $.RawMethod(false, "_QueueStep", function Game_EnqueueTick () {
-    if (Microsoft.Xna.Framework.Game._QuitForced) return;
+    return result;
+  },
 
-    var self = this;
-    var stepCallback = self._Step.bind(self);
+  formatVector3: function (vector) {
+    return "{X:" + vector.X + " Y:" + vector.Y + " Z:" + vector.Z + "}";
+  },
 
-    if (typeof (mozRequestAnimationFrame) !== "undefined") {
-      mozRequestAnimationFrame(stepCallback);
-    } else if (typeof (webkitRequestAnimationFrame) !== "undefined") {
-      webkitRequestAnimationFrame(stepCallback);
-    } else if (false && (typeof (msRequestAnimationFrame) !== "undefined")) {
-      // The version of msRequestAnimationFrame in the current IE Platform Preview has a bug that
-      //  causes it to sometimes never invoke the callback. As a result, we can't currently rely on it.
-      msRequestAnimationFrame(stepCallback, JSIL.Host.getCanvas());
-    } else {
-      var shouldStepCallback = function () {
-          var now = self._GetNow();
-          var delay = self._nextFrame - now;
+  boxCorners: function (box) {
+    var min = box.Min, max = box.Max;
 
-          if (delay <= 0) stepCallback();
-          else self._DeferCall(shouldStepCallback, delay >= 5);
-        };
+    return [
+      [min.X, max.Y, max.Z], [max.X, max.Y, max.Z], [max.X, min.Y, max.Z], [min.X, min.Y, max.Z],
+      [min.X, max.Y, min.Z], [max.X, max.Y, min.Z], [max.X, min.Y, min.Z], [min.X, min.Y, min.Z]
+    ];
+  },
 
-      // It's important that we use setTimeout at least once after every frame in order to let the browser pump messages
-      this._DeferCall(shouldStepCallback, true);
-    }
-  });
+  // The distance of a point in front of a plane, or the negated distance of a point behind it.
+  planeDistance: function (normal, d, point) {
+    return matrixUtil.dot(normal, point) + d;
+  },
 
-  $.RawMethod(false, "_Step", function Game_Tick () {
-    var now = this._GetNow();
+  classifyPoints: function (normal, d, points) {
+    var front = false, back = false;
 
-    var frameDelay = this.targetElapsedTime.get_TotalMilliseconds();
+    for (var i = 0; i < points.length; i++) {
+      var distance = boundsUtil.planeDistance(normal, d, points[i]);
 
-    if (this._lastFrame === 0) {
-      var elapsed = frameDelay;
-      var total = 0;
-      this._started = now;
-      this._lastSecond = now;
-      this._updateCount = this._drawCount = 0;
-      this._extraTime = 0;
-      this.suppressFrameskip = true;
-    } else {
-      var elapsed = now - this._lastFrame;
-      var total = now - this._started;
+      if (distance > 0)
+        front = true;
+      else if (distance < 0)
+        back = true;
     }
 
-    if ((now - this._lastSecond) > 1000) {
-      this._lastSecond = now;
-      
-      if (typeof (JSIL.Host.reportFps) === "function") {
-        var isWebGL = this.graphicsDeviceService.GraphicsDevice.context.isWebGL || false;
-        JSIL.Host.reportFps(
-          this._drawCount, this._updateCount, 
-          isWebGL ? "webgl" : $jsilxna.multipliedImageCache.countBytes
-        );
-      }
+    if (front && !back)
+      return boundsUtil.planeIntersectionType("Front");
+    else if (back && !front)
+      return boundsUtil.planeIntersectionType("Back");
+    else
+      return boundsUtil.planeIntersectionType("Intersecting");
+  },
 
-      this._updateCount = this._drawCount = 0;
+  classifySphere: function (normal, d, center, radius) {
+    var distance = boundsUtil.planeDistance(normal, d, center);
+
+    if (distance > radius)
+      return boundsUtil.planeIntersectionType("Front");
+    else if (distance < -radius)
+      return boundsUtil.planeIntersectionType("Back");
+    else
+      return boundsUtil.planeIntersectionType("Intersecting");
+  },
+
+  pointInBox: function (point, box) {
+    return (point[0] >= box.Min.X) && (point[0] <= box.Max.X) &&
+      (point[1] >= box.Min.Y) && (point[1] <= box.Max.Y) &&
+      (point[2] >= box.Min.Z) && (point[2] <= box.Max.Z);
+  },
+
+  pointInSphere: function (point, center, radius) {
+    return boundsUtil.lengthSquared(boundsUtil.subtract(point, center)) <= (radius * radius);
+  },
+
+  // Planes are {normal, d} objects whose normals point out of the hull.
+  pointInPlanes: function (point, planes) {
+    for (var i = 0; i < planes.length; i++) {
+      if (boundsUtil.planeDistance(planes[i].normal, planes[i].d, point) > 0)
+        return false;
     }
 
-    if (this.forceElapsedTimeToZero) {
-      this.forceElapsedTimeToZero = false;
-      this._extraTime = 0;
-      elapsed = 0;
+    return true;
+  },
+
+  boxIntersectsSphere: function (box, center, radius) {
+    var closest = [
+      Math.min(Math.max(center[0], box.Min.X), box.Max.X),
+      Math.min(Math.max(center[1], box.Min.Y), box.Max.Y),
+      Math.min(Math.max(center[2], box.Min.Z), box.Max.Z)
+    ];
+
+    return boundsUtil.lengthSquared(boundsUtil.subtract(closest, center)) <= (radius * radius);
+  },
+
+  // Tests two hulls for overlap with the separating axis theorem. The candidate axes are the face normals
+  //  of both hulls and the cross products of their edges.
+  hullsIntersect: function (cornersA, cornersB) {
+    var axes = [];
+    var faces = boundsUtil.hullFaces, edges = boundsUtil.hullEdges;
+
+    var addFaceNormals = function (corners) {
+      for (var i = 0; i < faces.length; i++) {
+        var origin = corners[faces[i][0]];
+
+        axes.push(matrixUtil.cross(
+          boundsUtil.subtract(corners[faces[i][1]], origin), boundsUtil.subtract(corners[faces[i][3]], origin)
+        ));
+      }
+    };
+
+    addFaceNormals(cornersA);
+    addFaceNormals(cornersB);
+
+    for (var i = 0; i < edges.length; i++) {
+      var edgeA = boundsUtil.subtract(cornersA[edges[i][1]], cornersA[edges[i][0]]);
+
+      for (var j = 0; j < edges.length; j++)
+        axes.push(matrixUtil.cross(edgeA, boundsUtil.subtract(cornersB[edges[j][1]], cornersB[edges[j][0]])));
     }
 
-    this._lastFrame = now;
-    this._nextFrame = now + frameDelay;
+    var project = function (corners, axis) {
+      var min = Infinity, max = -Infinity;
 
-    var millisecondInTicks = 10000;
-    var maxElapsedTimeMs = 150;
-    var longFrame = frameDelay * 3;
+      for (var i = 0; i < corners.length; i++) {
+        var value = matrixUtil.dot(corners[i], axis);
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+      }
 
-    var failed = true;
-    try {
+      return [min, max];
+    };
 
-      var doUpdate = function Game_TimedUpdate () {
-        var updateStarted = this._GetNow();
-        this.Update(this._gameTime);
-        var updateEnded = this._GetNow();
+    for (var i = 0; i < axes.length; i++) {
+      // Parallel edges produce no axis.
+      if (boundsUtil.lengthSquared(axes[i]) < 1E-12)
+        continue;
 
-        // Detect long updates and suppress frameskip.
-        if ((updateEnded - updateStarted) > longFrame) {
-          this.suppressFrameskip = true;
-        }
-      }.bind(this);
+      var a = project(cornersA, axes[i]), b = project(cornersB, axes[i]);
+      if ((a[1] < b[0]) || (b[1] < a[0]))
+        return false;
+    }
 
-      if (this.isFixedTimeStep && !this.suppressFrameskip) {
-        this._gameTime.elapsedGameTime._ticks = (frameDelay * millisecondInTicks);
+    return true;
+  },
 
-        elapsed += this._extraTime;
-        this._extraTime = 0;
+  segmentDistanceSquared: function (point, a, b) {
+    var ab = boundsUtil.subtract(b, a);
+    var lengthSquared = boundsUtil.lengthSquared(ab);
+    var t = (lengthSquared > 0) ? matrixUtil.dot(boundsUtil.subtract(point, a), ab) / lengthSquared : 0;
 
-        if (elapsed > maxElapsedTimeMs) 
-          elapsed = maxElapsedTimeMs;
+    t = Math.min(Math.max(t, 0), 1);
 
-        var numFrames = Math.floor(elapsed / frameDelay);
+    return boundsUtil.lengthSquared(boundsUtil.subtract(point, [a[0] + (ab[0] * t), a[1] + (ab[1] * t), a[2] + (ab[2] * t)]));
+  },
 
-        if (numFrames < 1) {
-          numFrames = 1;
-          this._extraTime = elapsed - frameDelay;
-        } else {
-          this._extraTime = elapsed - (numFrames * frameDelay);
-        }
+  // Returns the squared distance from a point outside a hull to the nearest of its faces.
+  hullDistanceSquared: function (point, corners) {
+    var faces = boundsUtil.hullFaces;
+    var result = Infinity;
 
-        for (var i = 0; i < numFrames; i++) {
-          this._gameTime.totalGameTime._ticks += (frameDelay * millisecondInTicks);
+    for (var i = 0; i < faces.length; i++) {
+      var face = faces[i];
+      var origin = corners[face[0]];
+      var normal = matrixUtil.cross(
+        boundsUtil.subtract(corners[face[1]], origin), boundsUtil.subtract(corners[face[3]], origin)
+      );
+      var normalLengthSquared = boundsUtil.lengthSquared(normal);
 
-          doUpdate();
-          this._updateCount += 1;
-        }
-      } else {
-        this._extraTime = 0;
-        this.suppressFrameskip = false;
+      if (normalLengthSquared > 0) {
+        // When the point projects inside the face, the nearest point is its projection.
+        var distance = matrixUtil.dot(normal, boundsUtil.subtract(point, origin)) / Math.sqrt(normalLengthSquared);
+        var positive = 0, negative = 0;
 
-        if (elapsed > maxElapsedTimeMs)
-          elapsed = maxElapsedTimeMs;
+        for (var j = 0; j < 4; j++) {
+          var a = corners[face[j]], b = corners[face[(j + 1) % 4]];
+          var side = matrixUtil.dot(matrixUtil.cross(boundsUtil.subtract(b, a), boundsUtil.subtract(point, a)), normal);
 
-        this._gameTime.elapsedGameTime._ticks = (elapsed * millisecondInTicks);
-        this._gameTime.totalGameTime._ticks += (elapsed * millisecondInTicks);
+          if (side > 0)
+            positive += 1;
+          else if (side < 0)
+            negative += 1;
+        }
 
-        doUpdate();
-        this._updateCount += 1;
+        if ((positive === 0) || (negative === 0)) {
+          result = Math.min(result, distance * distance);
+          continue;
+        }
       }
 
-      this.get_GraphicsDevice().$Clear();
-      this.Draw(this._gameTime);
-      this._drawCount += 1;
-      failed = false;
-    } finally {
-      if (failed || Microsoft.Xna.Framework.Game._QuitForced) this.Exit();
-      else this._QueueStep();
+      for (var j = 0; j < 4; j++)
+        result = Math.min(result, boundsUtil.segmentDistanceSquared(point, corners[face[j]], corners[face[(j + 1) % 4]]));
     }
-  });
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "Exit", new JSIL.MethodSignature(null, [], []), function () {
-    this.Dispose();
-  });
+    return result;
+  },
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "Dispose", new JSIL.MethodSignature(null, [], []), function () {
-    if (this._runHandle !== null) window.clearInterval(this._runHandle);
+  hullIntersectsSphere: function (corners, planes, center, radius) {
+    if (boundsUtil.pointInPlanes(center, planes))
+      return true;
 
-    this._runHandle = null;
-    this.UnloadContent();
+    return boundsUtil.hullDistanceSquared(center, corners) <= (radius * radius);
+  },
 
-    this._isDead = true;
-  });
-});
+  // The rays below return the distance along the ray to the first intersection, or null if there is none.
+  // A ray that starts inside a volume intersects it at distance 0.
+  rayIntersectsBox: function (position, direction, box) {
+    var min = boundsUtil.toArray(box.Min), max = boundsUtil.toArray(box.Max);
+    var near = -Infinity, far = Infinity;
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.GameComponent", function ($) {
+    for (var i = 0; i < 3; i++) {
+      if (Math.abs(direction[i]) < 1E-06) {
+        if ((position[i] < min[i]) || (position[i] > max[i]))
+          return null;
+      } else {
+        var t1 = (min[i] - position[i]) / direction[i];
+        var t2 = (max[i] - position[i]) / direction[i];
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$xnaasms[1].TypeRef("Microsoft.Xna.Framework.Game")], [])), 
-    function _ctor (game) {
-      this.enabled = true;
-      this.initialized = false;
-      this.game = game;
+        near = Math.max(near, Math.min(t1, t2));
+        far = Math.min(far, Math.max(t1, t2));
+
+        if (near > far)
+          return null;
+      }
     }
-  );
 
-  $.Method({Static:false, Public:true }, "get_UpdateOrder", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_UpdateOrder () {
+    if (far < 0)
+      return null;
+
+    return Math.max(near, 0);
+  },
+
+  rayIntersectsSphere: function (position, direction, center, radius) {
+    var offset = boundsUtil.subtract(center, position);
+    var distanceSquared = boundsUtil.lengthSquared(offset);
+    var radiusSquared = radius * radius;
+
+    if (distanceSquared <= radiusSquared)
       return 0;
-    }
-  );
 
-  $.Method({Static:false, Public:true }, "get_Enabled", 
-    (new JSIL.MethodSignature($.Boolean, [], [])), 
-    function get_Enabled () {
-      return this.enabled;
-    }
-  );
+    // Directions are not required to be normalized.
+    var directionLength = Math.sqrt(boundsUtil.lengthSquared(direction));
+    var along = matrixUtil.dot(offset, direction) / directionLength;
+    if (along < 0)
+      return null;
 
-  $.Method({Static:false, Public:true }, "get_Game", 
-    (new JSIL.MethodSignature($xnaasms[1].TypeRef("Microsoft.Xna.Framework.Game"), [], [])), 
-    function get_Game () {
-      return this.game;
-    }
-  );
+    var discriminant = radiusSquared - (distanceSquared - (along * along));
+    if (discriminant < 0)
+      return null;
 
-  $.Method({Static:false, Public:true }, "set_Enabled", 
-    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
-    function set_Enabled (value) {
-      this.enabled = value;
+    return (along - Math.sqrt(discriminant)) / directionLength;
+  },
+
+  rayIntersectsPlane: function (position, direction, normal, d) {
+    var denominator = matrixUtil.dot(normal, direction);
+    if (Math.abs(denominator) < 1E-05)
+      return null;
+
+    var distance = -boundsUtil.planeDistance(normal, d, position) / denominator;
+    if (distance < 0) {
+      if (distance < -1E-05)
+        return null;
+
+      distance = 0;
     }
-  );
 
-  $.Method({Static:false, Public:true }, "Initialize", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function Initialize () {
-      if (this.initialized) return;
+    return distance;
+  },
 
-      this.initialized = true;
+  rayIntersectsPlanes: function (position, direction, planes) {
+    var near = -Infinity, far = Infinity;
+
+    for (var i = 0; i < planes.length; i++) {
+      var normal = planes[i].normal;
+      var distance = boundsUtil.planeDistance(normal, planes[i].d, position);
+      var denominator = matrixUtil.dot(normal, direction);
+
+      if (Math.abs(denominator) < 1E-06) {
+        if (distance > 0)
+          return null;
+      } else {
+        var t = -distance / denominator;
+
+        if (denominator < 0)
+          near = Math.max(near, t);
+        else
+          far = Math.min(far, t);
+
+        if (near > far)
+          return null;
+      }
     }
-  );
 
-  $.Method({Static:false, Public:true }, "Update", 
-    (new JSIL.MethodSignature(null, [$xnaasms[1].TypeRef("Microsoft.Xna.Framework.GameTime")], [])), 
-    function Update (gameTime) {
+    if (far < 0)
+      return null;
+
+    return Math.max(near, 0);
+  },
+
+  // Finds a sphere around the points with Ritter's algorithm, which is within a few percent of the smallest.
+  sphereFromPoints: function (points) {
+    var a = points[0], b = points[0];
+    var bestDistance = -1;
+
+    for (var axis = 0; axis < 3; axis++) {
+      var min = points[0], max = points[0];
+
+      for (var i = 1; i < points.length; i++) {
+        if (points[i][axis] < min[axis])
+          min = points[i];
+        if (points[i][axis] > max[axis])
+          max = points[i];
+      }
+
+      var distance = boundsUtil.lengthSquared(boundsUtil.subtract(max, min));
+      if (distance > bestDistance) {
+        bestDistance = distance;
+        a = min;
+        b = max;
+      }
     }
-  );
-});
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.DrawableGameComponent", function ($) {
+    var center = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2, (a[2] + b[2]) / 2];
+    var radius = Math.sqrt(bestDistance) / 2;
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$xnaasms[1].TypeRef("Microsoft.Xna.Framework.Game")], [])), 
-    function _ctor (game) {
-      Microsoft.Xna.Framework.GameComponent.prototype._ctor.call(this, game);
+    for (var i = 0; i < points.length; i++) {
+      var offset = boundsUtil.subtract(points[i], center);
+      var distance = Math.sqrt(boundsUtil.lengthSquared(offset));
 
-      this.visible = true;
+      if (distance > radius) {
+        var newRadius = (radius + distance) / 2;
+        var factor = (newRadius - radius) / distance;
+
+        center = [center[0] + (offset[0] * factor), center[1] + (offset[1] * factor), center[2] + (offset[2] * factor)];
+        radius = newRadius;
+      }
     }
-  );  
 
-  $.Method({Static:false, Public:true }, "Draw", 
-    (new JSIL.MethodSignature(null, [$xnaasms[1].TypeRef("Microsoft.Xna.Framework.GameTime")], [])), 
-    function Draw (gameTime) {
+    return boundsUtil.makeSphere(center, radius);
+  }
+};
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Plane", function ($) {
+  var tPlane = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Plane");
+  var tVector3 = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3");
+  var tVector4 = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector4");
+  var tMatrix = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix");
+  var tQuaternion = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Quaternion");
+  var tBoundingBox = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.BoundingBox");
+  var tBoundingSphere = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.BoundingSphere");
+  var tBoundingFrustum = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.BoundingFrustum");
+  var tPlaneIntersectionType = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.PlaneIntersectionType");
+
+  var byReference = [tPlane, tVector3, tVector4, tMatrix, tQuaternion, tBoundingBox, tBoundingSphere];
+
+  var define = function (isStatic, name, tResult, argumentTypes, impl) {
+    matrixUtil.makeMethodWithRefOverload($, isStatic, name, tResult, argumentTypes, byReference, impl);
+  };
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.Single, $.Single, $.Single, $.Single], [])), 
+    function _ctor (a, b, c, d) {
+      this.Normal = matrixUtil.makeVector3(a, b, c);
+      this.D = d;
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_DrawOrder", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_DrawOrder () {
-      return 0;
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tVector3, $.Single], [])), 
+    function _ctor (normal, d) {
+      this.Normal = normal.MemberwiseClone();
+      this.D = d;
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_GraphicsDevice", 
-    (new JSIL.MethodSignature($jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), [], [])), 
-    function get_GraphicsDevice () {
-      return this.game.graphicsDeviceService.GraphicsDevice;
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tVector4], [])), 
+    function _ctor (value) {
+      this.Normal = matrixUtil.makeVector3(value.X, value.Y, value.Z);
+      this.D = value.W;
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Visible", 
-    (new JSIL.MethodSignature($.Boolean, [], [])), 
-    function get_Visible () {
-      return this.visible;
+  // The normal faces the side from which the points appear clockwise.
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tVector3, tVector3, tVector3], [])), 
+    function _ctor (point1, point2, point3) {
+      var p1 = boundsUtil.toArray(point1);
+      var normal = matrixUtil.cross(
+        boundsUtil.subtract(boundsUtil.toArray(point2), p1), boundsUtil.subtract(boundsUtil.toArray(point3), p1)
+      );
+      normal = matrixUtil.normalize(normal[0], normal[1], normal[2]);
+
+      this.Normal = matrixUtil.makeVector3(normal[0], normal[1], normal[2]);
+      this.D = -matrixUtil.dot(normal, p1);
     }
   );
 
-  $.Method({Static:false, Public:true }, "Initialize", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function Initialize () {
-      if (this.initialized) return;
+  var normalize = function (plane) {
+    var factor = 1 / Math.sqrt(boundsUtil.lengthSquared(boundsUtil.toArray(plane.Normal)));
 
-      Microsoft.Xna.Framework.GameComponent.prototype.Initialize.call(this);
+    return boundsUtil.makePlane(
+      [plane.Normal.X * factor, plane.Normal.Y * factor, plane.Normal.Z * factor], plane.D * factor
+    );
+  };
 
-      this.LoadContent();
-    }
-  );
+  define(true, "Normalize", tPlane, [tPlane], normalize);
 
-  $.Method({Static:false, Public:false}, "LoadContent", 
+  $.Method({Static:false, Public:true }, "Normalize", 
     (new JSIL.MethodSignature(null, [], [])), 
-    function LoadContent () {
+    function Normalize () {
+      var result = normalize(this);
+      this.Normal = result.Normal;
+      this.D = result.D;
     }
   );
 
-  $.Method({Static:false, Public:true }, "set_Visible", 
-    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
-    function set_Visible (value) {
-      this.visible = value;
-    }
-  );
-});
+  define(false, "Dot", $.Single, [tVector4], function Dot (value) {
+    return (this.Normal.X * value.X) + (this.Normal.Y * value.Y) + (this.Normal.Z * value.Z) + (this.D * value.W);
+  });
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Input.Keyboard", function ($) {
-  var getStateImpl = function (playerIndex) {
-    var keys = JSIL.Host.getHeldKeys();
-    return new Microsoft.Xna.Framework.Input.KeyboardState(keys);
-  };
+  define(false, "DotCoordinate", $.Single, [tVector3], function DotCoordinate (value) {
+    return boundsUtil.planeDistance(boundsUtil.toArray(this.Normal), this.D, boundsUtil.toArray(value));
+  });
 
-  $.Method({Static:true , Public:true }, "GetState", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.KeyboardState"), [], [])), 
-    getStateImpl
-  );
+  define(false, "DotNormal", $.Single, [tVector3], function DotNormal (value) {
+    return matrixUtil.dot(boundsUtil.toArray(this.Normal), boundsUtil.toArray(value));
+  });
 
-  $.Method({Static:true , Public:true }, "GetState", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.KeyboardState"), [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.PlayerIndex")], [])), 
-    getStateImpl
+  define(false, "Intersects", tPlaneIntersectionType, [tBoundingBox], function Intersects (box) {
+    return boundsUtil.classifyPoints(boundsUtil.toArray(this.Normal), this.D, boundsUtil.boxCorners(box));
+  });
+
+  define(false, "Intersects", tPlaneIntersectionType, [tBoundingSphere], function Intersects (sphere) {
+    return boundsUtil.classifySphere(
+      boundsUtil.toArray(this.Normal), this.D, boundsUtil.toArray(sphere.Center), sphere.Radius
+    );
+  });
+
+  $.Method({Static:false, Public:true }, "Intersects", 
+    (new JSIL.MethodSignature(tPlaneIntersectionType, [tBoundingFrustum], [])), 
+    function Intersects (frustum) {
+      return boundsUtil.classifyPoints(boundsUtil.toArray(this.Normal), this.D, frustum.corners);
+    }
   );
-});
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Input.KeyboardState", function ($) {
-  $.RawMethod(false, "__CopyMembers__", function (source, target) {
-    if (source.keys)
-      target.keys = Array.prototype.slice.call(source.keys);
-    else
-      target.keys = [];
+  // Planes are transformed by the inverse transpose of the matrix, which keeps them perpendicular to the
+  //  transformed normal.
+  define(true, "Transform", tPlane, [tPlane, tMatrix], function Transform (plane, matrix) {
+    var m = matrixUtil.invert(matrix);
+    var x = plane.Normal.X, y = plane.Normal.Y, z = plane.Normal.Z, d = plane.D;
+
+    return boundsUtil.makePlane([
+      (x * m.M11) + (y * m.M12) + (z * m.M13) + (d * m.M14),
+      (x * m.M21) + (y * m.M22) + (z * m.M23) + (d * m.M24),
+      (x * m.M31) + (y * m.M32) + (z * m.M33) + (d * m.M34)
+    ], (x * m.M41) + (y * m.M42) + (z * m.M43) + (d * m.M44));
   });
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.Keys")])], [])), 
-    function _ctor (keys) {
-      this.keys = [];
+  define(true, "Transform", tPlane, [tPlane, tQuaternion], function Transform (plane, rotation) {
+    var normal = Microsoft.Xna.Framework.Vector3.TransformNormal(plane.Normal, matrixUtil.fromQuaternion(rotation));
 
-      for (var i = 0; i < keys.length; i++)
-        this.keys.push(Number(keys[i]));
+    return boundsUtil.makePlane(boundsUtil.toArray(normal), plane.D);
+  });
+
+  var equals = function (lhs, rhs) {
+    return (lhs.Normal.X === rhs.Normal.X) && (lhs.Normal.Y === rhs.Normal.Y) && 
+      (lhs.Normal.Z === rhs.Normal.Z) && (lhs.D === rhs.D);
+  };
+
+  $.Method({Static:true , Public:true }, "op_Equality", 
+    (new JSIL.MethodSignature($.Boolean, [tPlane, tPlane], [])), 
+    equals
+  );
+
+  $.Method({Static:true , Public:true }, "op_Inequality", 
+    (new JSIL.MethodSignature($.Boolean, [tPlane, tPlane], [])), 
+    function op_Inequality (lhs, rhs) {
+      return !equals(lhs, rhs);
     }
   );
 
-  $.Method({Static:false, Public:true }, "IsKeyDown", 
-    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.Keys")], [])), 
-    function IsKeyDown (key) {
-      return this.keys.indexOf(Number(key)) !== -1;
+  $.Method({Static:false, Public:true }, "Equals", 
+    (new JSIL.MethodSignature($.Boolean, [tPlane], [])), 
+    function Equals (other) {
+      return equals(this, other);
     }
   );
 
-  $.Method({Static:false, Public:true }, "IsKeyUp", 
-    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.Keys")], [])), 
-    function IsKeyUp (key) {
-      return this.keys.indexOf(Number(key)) === -1;
+  $.Method({Static:false, Public:true }, "toString", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function toString () {
+      return "{Normal:" + boundsUtil.formatVector3(this.Normal) + " D:" + this.D + "}";
     }
   );
 });
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Input.Mouse", function ($) {
-  var getStateImpl = function (playerIndex) {
-    var buttons = JSIL.Host.getHeldButtons();
-    var position = JSIL.Host.getMousePosition();
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Ray", function ($) {
+  var tRay = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Ray");
+  var tVector3 = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3");
+  var tPlane = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Plane");
+  var tBoundingBox = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.BoundingBox");
+  var tBoundingSphere = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.BoundingSphere");
+  var tBoundingFrustum = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.BoundingFrustum");
+  var tNullableSingle = $xnaasms[5].TypeRef("System.Nullable`1", [$.Single]);
 
-    var pressed = $xnaasms[0].Microsoft.Xna.Framework.Input.ButtonState.Pressed;
-    var released = $xnaasms[0].Microsoft.Xna.Framework.Input.ButtonState.Released;
+  var byReference = [tRay, tPlane, tBoundingBox, tBoundingSphere];
 
-    // FIXME
-    return new Microsoft.Xna.Framework.Input.MouseState(
-      position[0], position[1], 0,
-      (buttons.indexOf(0) >= 0) ? pressed : released,
-      (buttons.indexOf(1) >= 0) ? pressed : released,
-      (buttons.indexOf(2) >= 0) ? pressed : released,
-      released, released
-    );
+  var define = function (name, argumentTypes, impl) {
+    matrixUtil.makeMethodWithRefOverload($, false, name, tNullableSingle, argumentTypes, byReference, impl);
   };
 
-  $.Method({Static:true , Public:true }, "GetState", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.MouseState"), [], [])), 
-    getStateImpl
-  );
-});
-
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Input.MouseState", function ($) {
-
   $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [
-          $.Int32, $.Int32, 
-          $.Int32, $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.ButtonState"), 
-          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.ButtonState"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.ButtonState"), 
-          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.ButtonState"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.ButtonState")
-        ], [])), 
-    function _ctor (x, y, scrollWheel, leftButton, middleButton, rightButton, xButton1, xButton2) {
-      // FIXME
-      this.x = x;
-      this.y = y;
-      this.leftButton = leftButton;
-      this.middleButton = middleButton;
-      this.rightButton = rightButton;
+    (new JSIL.MethodSignature(null, [tVector3, tVector3], [])), 
+    function _ctor (position, direction) {
+      this.Position = position.MemberwiseClone();
+      this.Direction = direction.MemberwiseClone();
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_LeftButton", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.ButtonState"), [], [])), 
-    function get_LeftButton () {
-      return this.leftButton;
+  define("Intersects", [tBoundingBox], function Intersects (box) {
+    return boundsUtil.rayIntersectsBox(boundsUtil.toArray(this.Position), boundsUtil.toArray(this.Direction), box);
+  });
+
+  define("Intersects", [tBoundingSphere], function Intersects (sphere) {
+    return boundsUtil.rayIntersectsSphere(
+      boundsUtil.toArray(this.Position), boundsUtil.toArray(this.Direction), boundsUtil.toArray(sphere.Center), sphere.Radius
+    );
+  });
+
+  define("Intersects", [tPlane], function Intersects (plane) {
+    return boundsUtil.rayIntersectsPlane(
+      boundsUtil.toArray(this.Position), boundsUtil.toArray(this.Direction), boundsUtil.toArray(plane.Normal), plane.D
+    );
+  });
+
+  $.Method({Static:false, Public:true }, "Intersects", 
+    (new JSIL.MethodSignature(tNullableSingle, [tBoundingFrustum], [])), 
+    function Intersects (frustum) {
+      return boundsUtil.rayIntersectsPlanes(boundsUtil.toArray(this.Position), boundsUtil.toArray(this.Direction), frustum.planes);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_MiddleButton", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.ButtonState"), [], [])), 
-    function get_MiddleButton () {
-      return this.middleButton;
-    }
+  var equals = function (lhs, rhs) {
+    return (lhs.Position.X === rhs.Position.X) && (lhs.Position.Y === rhs.Position.Y) && (lhs.Position.Z === rhs.Position.Z) &&
+      (lhs.Direction.X === rhs.Direction.X) && (lhs.Direction.Y === rhs.Direction.Y) && (lhs.Direction.Z === rhs.Direction.Z);
+  };
+
+  $.Method({Static:true , Public:true }, "op_Equality", 
+    (new JSIL.MethodSignature($.Boolean, [tRay, tRay], [])), 
+    equals
   );
 
-  $.Method({Static:false, Public:true }, "get_RightButton", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.ButtonState"), [], [])), 
-    function get_RightButton () {
-      return this.rightButton;
+  $.Method({Static:true , Public:true }, "op_Inequality", 
+    (new JSIL.MethodSignature($.Boolean, [tRay, tRay], [])), 
+    function op_Inequality (lhs, rhs) {
+      return !equals(lhs, rhs);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_X", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_X () {
-      return this.x;
+  $.Method({Static:false, Public:true }, "Equals", 
+    (new JSIL.MethodSignature($.Boolean, [tRay], [])), 
+    function Equals (other) {
+      return equals(this, other);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Y", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_Y () {
-      return this.y;
+  $.Method({Static:false, Public:true }, "toString", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function toString () {
+      return "{Position:" + boundsUtil.formatVector3(this.Position) + " Direction:" + boundsUtil.formatVector3(this.Direction) + "}";
     }
   );
 });
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Input.GamePad", function ($) {
-  var getStateImpl = function (playerIndex) {
-    var buttons = new Microsoft.Xna.Framework.Input.GamePadButtons();
-    var thumbs = new Microsoft.Xna.Framework.Input.GamePadThumbSticks();
-    var triggers = new Microsoft.Xna.Framework.Input.GamePadTriggers();
-    var dpad = new Microsoft.Xna.Framework.Input.GamePadDPad();
-
-    return new Microsoft.Xna.Framework.Input.GamePadState(thumbs, triggers, buttons, dpad);
+JSIL.ImplementExternals("Microsoft.Xna.Framework.BoundingBox", function ($) {
+  var tBoundingBox = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.BoundingBox");
+  var tBoundingSphere = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.BoundingSphere");
+  var tBoundingFrustum = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.BoundingFrustum");
+  var tVector3 = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3");
+  var tPlane = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Plane");
+  var tRay = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Ray");
+  var tContainmentType = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.ContainmentType");
+  var tPlaneIntersectionType = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.PlaneIntersectionType");
+  var tNullableSingle = $xnaasms[5].TypeRef("System.Nullable`1", [$.Single]);
+
+  var byReference = [tBoundingBox, tBoundingSphere, tVector3, tPlane, tRay];
+
+  var define = function (isStatic, name, tResult, argumentTypes, impl) {
+    matrixUtil.makeMethodWithRefOverload($, isStatic, name, tResult, argumentTypes, byReference, impl);
   };
 
-  $.Method({Static:true , Public:true }, "GetState", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadState"), [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.PlayerIndex")], [])), 
-    getStateImpl
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tVector3, tVector3], [])), 
+    function _ctor (min, max) {
+      this.Min = min.MemberwiseClone();
+      this.Max = max.MemberwiseClone();
+    }
   );
 
-  $.Method({Static:true , Public:true }, "GetState", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadState"), [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.PlayerIndex"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadDeadZone")], [])), 
-    getStateImpl
+  $.Method({Static:false, Public:true }, "GetCorners", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Array", [tVector3]), [], [])), 
+    function GetCorners () {
+      return boundsUtil.makeCorners(boundsUtil.boxCorners(this));
+    }
   );
 
-  $.Method({Static:true , Public:true }, "GetCapabilities", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadCapabilities"), [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.PlayerIndex")], [])), 
-    function GetCapabilities (playerIndex) {
-      return new Microsoft.Xna.Framework.Input.GamePadCapabilities(null, null);
+  $.Method({Static:false, Public:true }, "GetCorners", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [tVector3])], [])), 
+    function GetCorners (corners) {
+      boundsUtil.copyCorners(boundsUtil.boxCorners(this), corners);
     }
   );
-});
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Input.GamePadCapabilities", function ($) {
-  
-  $.Method({Static:false, Public:false}, ".ctor", 
-    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.XINPUT_CAPABILITIES")]), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.ErrorCodes")], [])), 
-    function _ctor (/* ref */ caps, result) {
-      // FIXME
+  var fromPoints = function (points) {
+    var min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+
+    for (var i = 0; i < points.length; i++) {
+      for (var j = 0; j < 3; j++) {
+        min[j] = Math.min(min[j], points[i][j]);
+        max[j] = Math.max(max[j], points[i][j]);
+      }
     }
-  );
 
-  $.Method({Static:false, Public:true }, "get_IsConnected", 
-    (new JSIL.MethodSignature($.Boolean, [], [])), 
-    function get_IsConnected () {
-      return false;
+    return boundsUtil.makeBox(min, max);
+  };
+
+  $.Method({Static:true , Public:true }, "CreateFromPoints", 
+    (new JSIL.MethodSignature(tBoundingBox, [$xnaasms[5].TypeRef("System.Collections.Generic.IEnumerable`1", [tVector3])], [])), 
+    function CreateFromPoints (points) {
+      return fromPoints(boundsUtil.pointsFromEnumerable(points));
     }
   );
 
-});
+  define(true, "CreateFromSphere", tBoundingBox, [tBoundingSphere], function CreateFromSphere (sphere) {
+    var center = sphere.Center, radius = sphere.Radius;
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Input.GamePadState", function ($) {
+    return boundsUtil.makeBox(
+      [center.X - radius, center.Y - radius, center.Z - radius], [center.X + radius, center.Y + radius, center.Z + radius]
+    );
+  });
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [
-          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadThumbSticks"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadTriggers"), 
-          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadButtons"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadDPad")
-        ], [])), 
-    function _ctor (thumbSticks, triggers, buttons, dPad) {
-      this._thumbs = thumbSticks;
-      this._buttons = buttons;
-      this._triggers = triggers;
-      this._dpad = dPad;
+  define(true, "CreateMerged", tBoundingBox, [tBoundingBox, tBoundingBox], function CreateMerged (original, additional) {
+    return fromPoints([
+      boundsUtil.toArray(original.Min), boundsUtil.toArray(original.Max),
+      boundsUtil.toArray(additional.Min), boundsUtil.toArray(additional.Max)
+    ]);
+  });
+
+  var containsBox = function (self, box) {
+    if (!boundsUtil.hullsIntersect(boundsUtil.boxCorners(self), boundsUtil.boxCorners(box)))
+      return boundsUtil.containmentType("Disjoint");
+    else if (boundsUtil.pointInBox(boundsUtil.toArray(box.Min), self) && boundsUtil.pointInBox(boundsUtil.toArray(box.Max), self))
+      return boundsUtil.containmentType("Contains");
+    else
+      return boundsUtil.containmentType("Intersects");
+  };
+
+  var containsSphere = function (self, sphere) {
+    var center = boundsUtil.toArray(sphere.Center), radius = sphere.Radius;
+
+    if (!boundsUtil.boxIntersectsSphere(self, center, radius))
+      return boundsUtil.containmentType("Disjoint");
+    else if (
+      boundsUtil.pointInBox([center[0] - radius, center[1] - radius, center[2] - radius], self) &&
+      boundsUtil.pointInBox([center[0] + radius, center[1] + radius, center[2] + radius], self)
+    )
+      return boundsUtil.containmentType("Contains");
+    else
+      return boundsUtil.containmentType("Intersects");
+  };
+
+  var containsFrustum = function (self, frustum) {
+    if (!boundsUtil.hullsIntersect(boundsUtil.boxCorners(self), frustum.corners))
+      return boundsUtil.containmentType("Disjoint");
+
+    for (var i = 0; i < frustum.corners.length; i++) {
+      if (!boundsUtil.pointInBox(frustum.corners[i], self))
+        return boundsUtil.containmentType("Intersects");
     }
-  );
 
-  $.Method({Static:false, Public:true }, "get_Buttons", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadButtons"), [], [])), 
-    function get_Buttons () {
-      return this._buttons;
+    return boundsUtil.containmentType("Contains");
+  };
+
+  define(false, "Contains", tContainmentType, [tBoundingBox], function Contains (box) {
+    return containsBox(this, box);
+  });
+
+  define(false, "Contains", tContainmentType, [tBoundingSphere], function Contains (sphere) {
+    return containsSphere(this, sphere);
+  });
+
+  define(false, "Contains", tContainmentType, [tVector3], function Contains (point) {
+    return boundsUtil.containmentType(boundsUtil.pointInBox(boundsUtil.toArray(point), this) ? "Contains" : "Disjoint");
+  });
+
+  $.Method({Static:false, Public:true }, "Contains", 
+    (new JSIL.MethodSignature(tContainmentType, [tBoundingFrustum], [])), 
+    function Contains (frustum) {
+      return containsFrustum(this, frustum);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_DPad", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadDPad"), [], [])), 
-    function get_DPad () {
-      return this._dpad;
+  define(false, "Intersects", $.Boolean, [tBoundingBox], function Intersects (box) {
+    return containsBox(this, box) !== boundsUtil.containmentType("Disjoint");
+  });
+
+  define(false, "Intersects", $.Boolean, [tBoundingSphere], function Intersects (sphere) {
+    return boundsUtil.boxIntersectsSphere(this, boundsUtil.toArray(sphere.Center), sphere.Radius);
+  });
+
+  define(false, "Intersects", tPlaneIntersectionType, [tPlane], function Intersects (plane) {
+    return boundsUtil.classifyPoints(boundsUtil.toArray(plane.Normal), plane.D, boundsUtil.boxCorners(this));
+  });
+
+  define(false, "Intersects", tNullableSingle, [tRay], function Intersects (ray) {
+    return boundsUtil.rayIntersectsBox(boundsUtil.toArray(ray.Position), boundsUtil.toArray(ray.Direction), this);
+  });
+
+  $.Method({Static:false, Public:true }, "Intersects", 
+    (new JSIL.MethodSignature($.Boolean, [tBoundingFrustum], [])), 
+    function Intersects (frustum) {
+      return boundsUtil.hullsIntersect(boundsUtil.boxCorners(this), frustum.corners);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_IsConnected", 
-    (new JSIL.MethodSignature($.Boolean, [], [])), 
-    function get_IsConnected () {
-      // FIXME
-      return false;
+  var equals = function (lhs, rhs) {
+    return (lhs.Min.X === rhs.Min.X) && (lhs.Min.Y === rhs.Min.Y) && (lhs.Min.Z === rhs.Min.Z) &&
+      (lhs.Max.X === rhs.Max.X) && (lhs.Max.Y === rhs.Max.Y) && (lhs.Max.Z === rhs.Max.Z);
+  };
+
+  $.Method({Static:true , Public:true }, "op_Equality", 
+    (new JSIL.MethodSignature($.Boolean, [tBoundingBox, tBoundingBox], [])), 
+    equals
+  );
+
+  $.Method({Static:true , Public:true }, "op_Inequality", 
+    (new JSIL.MethodSignature($.Boolean, [tBoundingBox, tBoundingBox], [])), 
+    function op_Inequality (lhs, rhs) {
+      return !equals(lhs, rhs);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_ThumbSticks", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadThumbSticks"), [], [])), 
-    function get_ThumbSticks () {
-      return this._thumbs;
+  $.Method({Static:false, Public:true }, "Equals", 
+    (new JSIL.MethodSignature($.Boolean, [tBoundingBox], [])), 
+    function Equals (other) {
+      return equals(this, other);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Triggers", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadTriggers"), [], [])), 
-    function get_Triggers () {
-      return this._triggers;
+  $.Method({Static:false, Public:true }, "toString", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function toString () {
+      return "{Min:" + boundsUtil.formatVector3(this.Min) + " Max:" + boundsUtil.formatVector3(this.Max) + "}";
     }
   );
+});
 
-  $.Method({Static:false, Public:true }, "IsButtonDown", 
-    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.Buttons")], [])), 
-    function IsButtonDown (button) {
-      // FIXME
-      return false;
+JSIL.ImplementExternals("Microsoft.Xna.Framework.BoundingSphere", function ($) {
+  var tBoundingSphere = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.BoundingSphere");
+  var tBoundingBox = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.BoundingBox");
+  var tBoundingFrustum = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.BoundingFrustum");
+  var tVector3 = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3");
+  var tMatrix = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix");
+  var tPlane = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Plane");
+  var tRay = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Ray");
+  var tContainmentType = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.ContainmentType");
+  var tPlaneIntersectionType = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.PlaneIntersectionType");
+  var tNullableSingle = $xnaasms[5].TypeRef("System.Nullable`1", [$.Single]);
+
+  var byReference = [tBoundingSphere, tBoundingBox, tVector3, tMatrix, tPlane, tRay];
+
+  var define = function (isStatic, name, tResult, argumentTypes, impl) {
+    matrixUtil.makeMethodWithRefOverload($, isStatic, name, tResult, argumentTypes, byReference, impl);
+  };
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tVector3, $.Single], [])), 
+    function _ctor (center, radius) {
+      if (radius < 0)
+        throw new System.ArgumentException("The radius of a sphere cannot be negative.", "radius");
+
+      this.Center = center.MemberwiseClone();
+      this.Radius = radius;
     }
   );
 
-  $.Method({Static:false, Public:true }, "IsButtonUp", 
-    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.Buttons")], [])), 
-    function IsButtonUp (button) {
-      // FIXME
-      return false;
+  $.Method({Static:true , Public:true }, "CreateFromPoints", 
+    (new JSIL.MethodSignature(tBoundingSphere, [$xnaasms[5].TypeRef("System.Collections.Generic.IEnumerable`1", [tVector3])], [])), 
+    function CreateFromPoints (points) {
+      return boundsUtil.sphereFromPoints(boundsUtil.pointsFromEnumerable(points));
     }
   );
 
-});
+  define(true, "CreateFromBoundingBox", tBoundingSphere, [tBoundingBox], function CreateFromBoundingBox (box) {
+    var min = boundsUtil.toArray(box.Min), max = boundsUtil.toArray(box.Max);
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Input.GamePadButtons", function ($) {
-  var buttonNames = [
-    "A", "B", "Back", "BigButton", 
-    "LeftShoulder", "LeftStick", "RightShoulder", "RightStick",
-    "Start", "X", "Y"
-  ];
+    return boundsUtil.makeSphere(
+      [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2],
+      Math.sqrt(boundsUtil.lengthSquared(boundsUtil.subtract(max, min))) / 2
+    );
+  });
 
-  var pressed = $xnaasms[0].Microsoft.Xna.Framework.Input.ButtonState.Pressed;
-  var released = $xnaasms[0].Microsoft.Xna.Framework.Input.ButtonState.Released;
+  $.Method({Static:true , Public:true }, "CreateFromFrustum", 
+    (new JSIL.MethodSignature(tBoundingSphere, [tBoundingFrustum], [])), 
+    function CreateFromFrustum (frustum) {
+      if (frustum === null)
+        throw new System.ArgumentNullException("frustum");
 
-  for (var i = 0; i < buttonNames.length; i++) {
-    $.Method({Static:false, Public:true }, "get_" + buttonNames[i], 
-      (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.ButtonState"), [], [])), 
-      function () {
-        return released;
-      }
+      return boundsUtil.sphereFromPoints(frustum.corners);
+    }
+  );
+
+  define(true, "CreateMerged", tBoundingSphere, [tBoundingSphere, tBoundingSphere], function CreateMerged (original, additional) {
+    var center1 = boundsUtil.toArray(original.Center), center2 = boundsUtil.toArray(additional.Center);
+    var offset = boundsUtil.subtract(center2, center1);
+    var distance = Math.sqrt(boundsUtil.lengthSquared(offset));
+
+    if (distance + additional.Radius <= original.Radius)
+      return boundsUtil.makeSphere(center1, original.Radius);
+    else if (distance + original.Radius <= additional.Radius)
+      return boundsUtil.makeSphere(center2, additional.Radius);
+
+    var radius = (distance + original.Radius + additional.Radius) / 2;
+    var factor = (radius - original.Radius) / distance;
+
+    return boundsUtil.makeSphere(
+      [center1[0] + (offset[0] * factor), center1[1] + (offset[1] * factor), center1[2] + (offset[2] * factor)], radius
     );
-  }
+  });
 
-});
+  var containsHull = function (self, corners, intersects) {
+    var center = boundsUtil.toArray(self.Center);
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Input.GamePadThumbSticks", function ($) {
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2")], [])), 
-    function _ctor (leftThumbstick, rightThumbstick) {
-      this._left = leftThumbstick;
-      this._right = rightThumbstick;
-    }
-  );
+    if (!intersects)
+      return boundsUtil.containmentType("Disjoint");
 
-  $.Method({Static:false, Public:true }, "get_Left", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), [], [])), 
-    function get_Left () {
-      return this._left;
+    for (var i = 0; i < corners.length; i++) {
+      if (!boundsUtil.pointInSphere(corners[i], center, self.Radius))
+        return boundsUtil.containmentType("Intersects");
     }
-  );
 
-  $.Method({Static:false, Public:true }, "get_Right", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), [], [])), 
-    function get_Right () {
-      return this._right;
-    }
-  );
-});
+    return boundsUtil.containmentType("Contains");
+  };
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.GraphicsDeviceManager", function ($) {
-  var mscorlib = JSIL.GetCorlib();
+  var containsSphere = function (self, sphere) {
+    var distance = Math.sqrt(boundsUtil.lengthSquared(
+      boundsUtil.subtract(boundsUtil.toArray(sphere.Center), boundsUtil.toArray(self.Center))
+    ));
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$xnaasms.xnaGame.TypeRef("Microsoft.Xna.Framework.Game")], [])), 
-    function _ctor (game) {
-      this.game = game;
-      this.device = new Microsoft.Xna.Framework.Graphics.GraphicsDevice();
-      game.graphicsDeviceService = this;
-      game.graphicsDeviceManager = this;
-    }
-  );
+    if (distance > self.Radius + sphere.Radius)
+      return boundsUtil.containmentType("Disjoint");
+    else if (distance + sphere.Radius <= self.Radius)
+      return boundsUtil.containmentType("Contains");
+    else
+      return boundsUtil.containmentType("Intersects");
+  };
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "get_GraphicsDevice", new JSIL.MethodSignature($jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), [], []), function () {
-    return this.device;
+  define(false, "Contains", tContainmentType, [tBoundingBox], function Contains (box) {
+    return containsHull(this, boundsUtil.boxCorners(box), boundsUtil.boxIntersectsSphere(box, boundsUtil.toArray(this.Center), this.Radius));
   });
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "set_PreferredBackBufferWidth", new JSIL.MethodSignature(null, [$.Int32], []), function (value) {
-    this._width = value;
+  define(false, "Contains", tContainmentType, [tBoundingSphere], function Contains (sphere) {
+    return containsSphere(this, sphere);
   });
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "set_PreferredBackBufferHeight", new JSIL.MethodSignature(null, [$.Int32], []), function (value) {
-    this._height = value;
+  define(false, "Contains", tContainmentType, [tVector3], function Contains (point) {
+    return boundsUtil.containmentType(
+      boundsUtil.pointInSphere(boundsUtil.toArray(point), boundsUtil.toArray(this.Center), this.Radius) ? "Contains" : "Disjoint"
+    );
   });
-});
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.Viewport", function ($) {
-  var mscorlib = JSIL.GetCorlib();
+  $.Method({Static:false, Public:true }, "Contains", 
+    (new JSIL.MethodSignature(tContainmentType, [tBoundingFrustum], [])), 
+    function Contains (frustum) {
+      return containsHull(
+        this, frustum.corners, boundsUtil.hullIntersectsSphere(frustum.corners, frustum.planes, boundsUtil.toArray(this.Center), this.Radius)
+      );
+    }
+  );
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "get_X", new JSIL.MethodSignature($.Int32, [], []), function () {
-    return this._x;
+  define(false, "Intersects", $.Boolean, [tBoundingBox], function Intersects (box) {
+    return boundsUtil.boxIntersectsSphere(box, boundsUtil.toArray(this.Center), this.Radius);
   });
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "get_Y", new JSIL.MethodSignature($.Int32, [], []), function () {
-    return this._y;
+  define(false, "Intersects", $.Boolean, [tBoundingSphere], function Intersects (sphere) {
+    return containsSphere(this, sphere) !== boundsUtil.containmentType("Disjoint");
   });
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "get_Width", new JSIL.MethodSignature($.Int32, [], []), function () {
-    return this._width;
+  define(false, "Intersects", tPlaneIntersectionType, [tPlane], function Intersects (plane) {
+    return boundsUtil.classifySphere(boundsUtil.toArray(plane.Normal), plane.D, boundsUtil.toArray(this.Center), this.Radius);
   });
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "get_Height", new JSIL.MethodSignature($.Int32, [], []), function () {
-    return this._height;
+  define(false, "Intersects", tNullableSingle, [tRay], function Intersects (ray) {
+    return boundsUtil.rayIntersectsSphere(
+      boundsUtil.toArray(ray.Position), boundsUtil.toArray(ray.Direction), boundsUtil.toArray(this.Center), this.Radius
+    );
   });
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "set_X", new JSIL.MethodSignature(null, [$.Int32], []), function (value) {
-    this._x = value;
-  });
+  $.Method({Static:false, Public:true }, "Intersects", 
+    (new JSIL.MethodSignature($.Boolean, [tBoundingFrustum], [])), 
+    function Intersects (frustum) {
+      return boundsUtil.hullIntersectsSphere(frustum.corners, frustum.planes, boundsUtil.toArray(this.Center), this.Radius);
+    }
+  );
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "set_Y", new JSIL.MethodSignature(null, [$.Int32], []), function (value) {
-    this._y = value;
-  });
+  // The radius grows by the largest scale in the matrix, so the result still encloses the transformed sphere.
+  define(false, "Transform", tBoundingSphere, [tMatrix], function Transform (matrix) {
+    var scaleSquared = Math.max(
+      (matrix.M11 * matrix.M11) + (matrix.M12 * matrix.M12) + (matrix.M13 * matrix.M13),
+      (matrix.M21 * matrix.M21) + (matrix.M22 * matrix.M22) + (matrix.M23 * matrix.M23),
+      (matrix.M31 * matrix.M31) + (matrix.M32 * matrix.M32) + (matrix.M33 * matrix.M33)
+    );
+    var center = Microsoft.Xna.Framework.Vector3.Transform(this.Center, matrix);
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "set_Width", new JSIL.MethodSignature(null, [$.Int32], []), function (value) {
-    this._width = value;
+    return boundsUtil.makeSphere(boundsUtil.toArray(center), this.Radius * Math.sqrt(scaleSquared));
   });
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "set_Height", new JSIL.MethodSignature(null, [$.Int32], []), function (value) {
-    this._height = value;
-  });
+  var equals = function (lhs, rhs) {
+    return (lhs.Center.X === rhs.Center.X) && (lhs.Center.Y === rhs.Center.Y) && 
+      (lhs.Center.Z === rhs.Center.Z) && (lhs.Radius === rhs.Radius);
+  };
 
-  $.Method({Static:false, Public:true }, "get_TitleSafeArea", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), [], [])), 
-    function get_TitleSafeArea () {
-      return new Microsoft.Xna.Framework.Rectangle(this._x, this._y, this._width, this._height);
+  $.Method({Static:true , Public:true }, "op_Equality", 
+    (new JSIL.MethodSignature($.Boolean, [tBoundingSphere, tBoundingSphere], [])), 
+    equals
+  );
+
+  $.Method({Static:true , Public:true }, "op_Inequality", 
+    (new JSIL.MethodSignature($.Boolean, [tBoundingSphere, tBoundingSphere], [])), 
+    function op_Inequality (lhs, rhs) {
+      return !equals(lhs, rhs);
     }
   );
-});
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.GameTime", function ($) {
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function _ctor () {
-      this.totalGameTime = new System.TimeSpan();
-      this.elapsedGameTime = new System.TimeSpan();
-      this.isRunningSlowly = false;
+  $.Method({Static:false, Public:true }, "Equals", 
+    (new JSIL.MethodSignature($.Boolean, [tBoundingSphere], [])), 
+    function Equals (other) {
+      return equals(this, other);
     }
   );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [
-          $xnaasms[5].TypeRef("System.TimeSpan"), $xnaasms[5].TypeRef("System.TimeSpan"), 
-          $.Boolean
-        ], [])), 
-    function _ctor (totalGameTime, elapsedGameTime, isRunningSlowly) {
-      this.totalGameTime = totalGameTime;
-      this.elapsedGameTime = elapsedGameTime;
-      this.isRunningSlowly = isRunningSlowly;
+  $.Method({Static:false, Public:true }, "toString", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function toString () {
+      return "{Center:" + boundsUtil.formatVector3(this.Center) + " Radius:" + this.Radius + "}";
     }
   );
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.BoundingFrustum", function ($) {
+  var tBoundingFrustum = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.BoundingFrustum");
+  var tBoundingBox = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.BoundingBox");
+  var tBoundingSphere = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.BoundingSphere");
+  var tVector3 = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3");
+  var tMatrix = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix");
+  var tPlane = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Plane");
+  var tRay = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Ray");
+  var tContainmentType = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.ContainmentType");
+  var tPlaneIntersectionType = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.PlaneIntersectionType");
+  var tNullableSingle = $xnaasms[5].TypeRef("System.Nullable`1", [$.Single]);
+
+  var byReference = [tBoundingBox, tBoundingSphere, tVector3, tPlane, tRay];
+
+  var define = function (name, tResult, argumentTypes, impl) {
+    matrixUtil.makeMethodWithRefOverload($, false, name, tResult, argumentTypes, byReference, impl);
+  };
+
+  // The planes of the frustum, in the order of the Near, Far, Left, Right, Top and Bottom properties.
+  //  Their normals point out of the frustum.
+  var planeNames = ["Near", "Far", "Left", "Right", "Top", "Bottom"];
+
+  var intersectPlanes = function (p1, p2, p3) {
+    var n23 = matrixUtil.cross(p2.normal, p3.normal);
+    var n31 = matrixUtil.cross(p3.normal, p1.normal);
+    var n12 = matrixUtil.cross(p1.normal, p2.normal);
+    var factor = -1 / matrixUtil.dot(p1.normal, n23);
+    var result = [0, 0, 0];
+
+    for (var i = 0; i < 3; i++)
+      result[i] = ((p1.d * n23[i]) + (p2.d * n31[i]) + (p3.d * n12[i])) * factor;
+
+    return result;
+  };
+
+  $.RawMethod(false, "$setMatrix", function BoundingFrustum_SetMatrix (m) {
+    var makePlane = function (x, y, z, d) {
+      var factor = 1 / Math.sqrt((x * x) + (y * y) + (z * z));
+      return { normal: [x * factor, y * factor, z * factor], d: d * factor };
+    };
+
+    this.matrix = m.MemberwiseClone();
+
+    var near = makePlane(-m.M13, -m.M23, -m.M33, -m.M43);
+    var far = makePlane(m.M13 - m.M14, m.M23 - m.M24, m.M33 - m.M34, m.M43 - m.M44);
+    var left = makePlane(-m.M14 - m.M11, -m.M24 - m.M21, -m.M34 - m.M31, -m.M44 - m.M41);
+    var right = makePlane(m.M11 - m.M14, m.M21 - m.M24, m.M31 - m.M34, m.M41 - m.M44);
+    var top = makePlane(m.M12 - m.M14, m.M22 - m.M24, m.M32 - m.M34, m.M42 - m.M44);
+    var bottom = makePlane(-m.M14 - m.M12, -m.M24 - m.M22, -m.M34 - m.M32, -m.M44 - m.M42);
+
+    this.planes = [near, far, left, right, top, bottom];
+
+    this.corners = [
+      intersectPlanes(near, top, left), intersectPlanes(near, top, right),
+      intersectPlanes(near, bottom, right), intersectPlanes(near, bottom, left),
+      intersectPlanes(far, top, left), intersectPlanes(far, top, right),
+      intersectPlanes(far, bottom, right), intersectPlanes(far, bottom, left)
+    ];
+  });
 
   $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$xnaasms[5].TypeRef("System.TimeSpan"), $xnaasms[5].TypeRef("System.TimeSpan")], [])), 
-    function _ctor (totalGameTime, elapsedGameTime) {
-      this.totalGameTime = totalGameTime;
-      this.elapsedGameTime = elapsedGameTime;
-      this.isRunningSlowly = false;
+    (new JSIL.MethodSignature(null, [tMatrix], [])), 
+    function _ctor (value) {
+      this.$setMatrix(value);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_TotalGameTime", 
-    (new JSIL.MethodSignature($xnaasms[5].TypeRef("System.TimeSpan"), [], [])), 
-    function get_TotalGameTime () {
-      return this.totalGameTime;
+  $.Method({Static:false, Public:true }, "get_Matrix", 
+    (new JSIL.MethodSignature(tMatrix, [], [])), 
+    function get_Matrix () {
+      return this.matrix.MemberwiseClone();
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_ElapsedGameTime", 
-    (new JSIL.MethodSignature($xnaasms[5].TypeRef("System.TimeSpan"), [], [])), 
-    function get_ElapsedGameTime () {
-      return this.elapsedGameTime;
+  $.Method({Static:false, Public:true }, "set_Matrix", 
+    (new JSIL.MethodSignature(null, [tMatrix], [])), 
+    function set_Matrix (value) {
+      this.$setMatrix(value);
     }
   );
-});
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Rectangle", function ($) {
-  $.Method({
-    Static: true,
-    Public: true
-  }, ".cctor", new JSIL.MethodSignature(null, [], []), function () {
-    Microsoft.Xna.Framework.Rectangle._empty = new Microsoft.Xna.Framework.Rectangle();
-  });
+  var makePlaneGetter = function (index) {
+    $.Method({Static:false, Public:true }, "get_" + planeNames[index], 
+      (new JSIL.MethodSignature(tPlane, [], [])), 
+      function () {
+        return boundsUtil.makePlane(this.planes[index].normal, this.planes[index].d);
+      }
+    );
+  };
 
-  $.Method({Static: true, Public: true}, "get_Empty", 
-    new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), [], []), 
-    function () {
-      return Microsoft.Xna.Framework.Rectangle._empty;
+  for (var i = 0; i < planeNames.length; i++)
+    makePlaneGetter(i);
+
+  $.Method({Static:false, Public:true }, "GetCorners", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Array", [tVector3]), [], [])), 
+    function GetCorners () {
+      return boundsUtil.makeCorners(this.corners);
     }
   );
 
-  $.Method({Static:true , Public:true }, "op_Equality", 
-    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")], [])), 
-    function op_Equality (lhs, rhs) {
-      return lhs.X === rhs.X && lhs.Y === rhs.Y && lhs.Width === rhs.Width && lhs.Height === rhs.Height;
+  $.Method({Static:false, Public:true }, "GetCorners", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [tVector3])], [])), 
+    function GetCorners (corners) {
+      boundsUtil.copyCorners(this.corners, corners);
     }
   );
 
-  $.Method({Static:true , Public:true }, "op_Inequality", 
-    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")], [])), 
-    function op_Inequality (lhs, rhs) {
-      return lhs.X !== rhs.X || lhs.Y !== rhs.Y || lhs.Width !== rhs.Width || lhs.Height !== rhs.Height;
+  var containsHull = function (self, corners) {
+    if (!boundsUtil.hullsIntersect(self.corners, corners))
+      return boundsUtil.containmentType("Disjoint");
+
+    for (var i = 0; i < corners.length; i++) {
+      if (!boundsUtil.pointInPlanes(corners[i], self.planes))
+        return boundsUtil.containmentType("Intersects");
     }
-  );
 
-  var intersectImpl = function (lhs, rhs) {
-    var lhsX2 = lhs.X + lhs.Width;
-    var rhsX2 = rhs.X + rhs.Width;
-    var lhsY2 = lhs.Y + lhs.Height;
-    var rhsY2 = rhs.Y + rhs.Height;
+    return boundsUtil.containmentType("Contains");
+  };
 
-    var x1 = (lhs.X > rhs.X) ? lhs.X : rhs.X;
-    var y1 = (lhs.Y > rhs.Y) ? lhs.Y : rhs.Y;
-    var x2 = (lhsX2 < rhsX2) ? lhsX2 : rhsX2;
-    var y2 = (lhsY2 < rhsY2) ? lhsY2 : rhsY2;
+  var containsSphere = function (self, sphere) {
+    var center = boundsUtil.toArray(sphere.Center);
+    var inside = true;
 
-    if (x2 > x1 && y2 > y1) return new Microsoft.Xna.Framework.Rectangle(x1, y1, x2 - x1, y2 - y1);
+    for (var i = 0; i < self.planes.length; i++) {
+      var distance = boundsUtil.planeDistance(self.planes[i].normal, self.planes[i].d, center);
 
-    return Microsoft.Xna.Framework.Rectangle._empty;
+      if (distance > sphere.Radius)
+        return boundsUtil.containmentType("Disjoint");
+      else if (distance > -sphere.Radius)
+        inside = false;
+    }
+
+    if (inside)
+      return boundsUtil.containmentType("Contains");
+    else if (boundsUtil.hullIntersectsSphere(self.corners, self.planes, center, sphere.Radius))
+      return boundsUtil.containmentType("Intersects");
+    else
+      return boundsUtil.containmentType("Disjoint");
   };
 
-  $.Method({Static:true , Public:true }, "Intersect", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")], [])), 
-    intersectImpl
-  );
+  define("Contains", tContainmentType, [tBoundingBox], function Contains (box) {
+    return containsHull(this, boundsUtil.boxCorners(box));
+  });
 
-  $.Method({Static:true , Public:true }, "Intersect", 
-    (new JSIL.MethodSignature(null, [
-          $jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), $jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), 
-          $jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")])
-        ], [])), 
-    function Intersect (/* ref */ value1, /* ref */ value2, /* ref */ result) {
-      result.value = intersectImpl(value1.value, value2.value);
+  define("Contains", tContainmentType, [tBoundingSphere], function Contains (sphere) {
+    return containsSphere(this, sphere);
+  });
+
+  define("Contains", tContainmentType, [tVector3], function Contains (point) {
+    return boundsUtil.containmentType(boundsUtil.pointInPlanes(boundsUtil.toArray(point), this.planes) ? "Contains" : "Disjoint");
+  });
+
+  $.Method({Static:false, Public:true }, "Contains", 
+    (new JSIL.MethodSignature(tContainmentType, [tBoundingFrustum], [])), 
+    function Contains (frustum) {
+      if (frustum === null)
+        throw new System.ArgumentNullException("frustum");
+
+      return containsHull(this, frustum.corners);
     }
   );
 
-  var unionImpl = function (lhs, rhs) {
-    var lhsX2 = lhs.X + lhs.Width;
-    var rhsX2 = rhs.X + rhs.Width;
-    var lhsY2 = lhs.Y + lhs.Height;
-    var rhsY2 = rhs.Y + rhs.Height;
+  define("Intersects", $.Boolean, [tBoundingBox], function Intersects (box) {
+    return boundsUtil.hullsIntersect(this.corners, boundsUtil.boxCorners(box));
+  });
 
-    var x1 = (lhs.X < rhs.X) ? lhs.X : rhs.X;
-    var y1 = (lhs.Y < rhs.Y) ? lhs.Y : rhs.Y;
-    var x2 = (lhsX2 > rhsX2) ? lhsX2 : rhsX2;
-    var y2 = (lhsY2 > rhsY2) ? lhsY2 : rhsY2;
+  define("Intersects", $.Boolean, [tBoundingSphere], function Intersects (sphere) {
+    return containsSphere(this, sphere) !== boundsUtil.containmentType("Disjoint");
+  });
 
-    if (x2 > x1 && y2 > y1) 
-      return new Microsoft.Xna.Framework.Rectangle(x1, y1, x2 - x1, y2 - y1);
+  define("Intersects", tPlaneIntersectionType, [tPlane], function Intersects (plane) {
+    return boundsUtil.classifyPoints(boundsUtil.toArray(plane.Normal), plane.D, this.corners);
+  });
 
-    return Microsoft.Xna.Framework.Rectangle._empty;
-  };
+  define("Intersects", tNullableSingle, [tRay], function Intersects (ray) {
+    return boundsUtil.rayIntersectsPlanes(boundsUtil.toArray(ray.Position), boundsUtil.toArray(ray.Direction), this.planes);
+  });
 
-  $.Method({Static:true , Public:true }, "Union", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")], [])), 
-    unionImpl
+  $.Method({Static:false, Public:true }, "Intersects", 
+    (new JSIL.MethodSignature($.Boolean, [tBoundingFrustum], [])), 
+    function Intersects (frustum) {
+      if (frustum === null)
+        throw new System.ArgumentNullException("frustum");
+
+      return boundsUtil.hullsIntersect(this.corners, frustum.corners);
+    }
   );
 
-  $.Method({Static:true , Public:true }, "Union", 
-    (new JSIL.MethodSignature(null, [
-          $jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), $jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), 
-          $jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")])
-        ], [])), 
-    function Union (/* ref */ value1, /* ref */ value2, /* ref */ result) {
-      result.value = unionImpl(value1.value, value2.value);
+  $.Method({Static:false, Public:true }, "Equals", 
+    (new JSIL.MethodSignature($.Boolean, [tBoundingFrustum], [])), 
+    function Equals (other) {
+      return (other !== null) && Microsoft.Xna.Framework.Matrix.op_Equality(this.matrix, other.matrix);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "toString", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function toString () {
+      var parts = [];
+
+      for (var i = 0; i < planeNames.length; i++)
+        parts.push(planeNames[i] + ":" + boundsUtil.makePlane(this.planes[i].normal, this.planes[i].d).toString());
+
+      return "{" + parts.join(" ") + "}";
     }
   );
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.DirectionalLight", function ($) {
+  var tVector3 = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3");
+  var tEffectParameter = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.EffectParameter");
+
+  $.RawMethod(false, "$internalCtor", function (enabled, diffuseColor) {
+    this.enabled = enabled;
+    this.direction = matrixUtil.makeVector3(0, 0, -1);
+    this.diffuseColor = diffuseColor.MemberwiseClone();
+    this.specularColor = matrixUtil.makeVector3(0, 0, 0);
+  });
 
+  $.RawMethod(false, "$set", function (direction, diffuseColor, specularColor) {
+    this.enabled = true;
+    this.direction = matrixUtil.makeVector3(direction[0], direction[1], direction[2]);
+    this.diffuseColor = matrixUtil.makeVector3(diffuseColor[0], diffuseColor[1], diffuseColor[2]);
+    this.specularColor = matrixUtil.makeVector3(specularColor[0], specularColor[1], specularColor[2]);
+  });
+
+  // Lights belong to a BasicEffect, which reads them directly when a pass is applied, so the
+  //  parameters are not needed.
   $.Method({Static:false, Public:true }, ".ctor", 
     (new JSIL.MethodSignature(null, [
-          $.Int32, $.Int32, 
-          $.Int32, $.Int32
+          tEffectParameter, tEffectParameter, 
+          tEffectParameter, $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.DirectionalLight")
         ], [])), 
-    function _ctor (x, y, width, height) {
-      this.X = x;
-      this.Y = y;
-      this.Width = width;
-      this.Height = height;
+    function _ctor (directionParameter, diffuseColorParameter, specularColorParameter, cloneSource) {
+      if (cloneSource !== null) {
+        this.enabled = cloneSource.enabled;
+        this.direction = cloneSource.direction.MemberwiseClone();
+        this.diffuseColor = cloneSource.diffuseColor.MemberwiseClone();
+        this.specularColor = cloneSource.specularColor.MemberwiseClone();
+      } else {
+        this.$internalCtor(false, matrixUtil.makeVector3(0, 0, 0));
+      }
     }
   );
 
-  $.Method({Static:false, Public:true }, "Contains", 
-    (new JSIL.MethodSignature($.Boolean, [$.Int32, $.Int32], [])), 
-    function Contains (x, y) {
-      return this.X <= x && 
-        x < this.X + this.Width && 
-        this.Y <= y && 
-        y < this.Y + this.Height;
+  $jsilxna.makeFieldProperty($, "Enabled", "enabled", $.Boolean);
+  $jsilxna.makeFieldProperty($, "Direction", "direction", tVector3, true);
+  $jsilxna.makeFieldProperty($, "DiffuseColor", "diffuseColor", tVector3, true);
+  $jsilxna.makeFieldProperty($, "SpecularColor", "specularColor", tVector3, true);
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.BasicEffect", function ($) {
+  var tVector3 = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3");
+  var tMatrix = $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Matrix");
+  var tDirectionalLight = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.DirectionalLight");
+
+  // Each combination of features gets its own program, selected through these defines.
+  var lightingSource = [
+    "uniform vec4 DiffuseColor;",
+    "uniform vec3 EmissiveColor;",
+    "uniform vec3 SpecularColor;",
+    "uniform float SpecularPower;",
+    "uniform vec3 EyePosition;",
+    "uniform vec3 DirLightDirection[3];",
+    "uniform vec3 DirLightDiffuseColor[3];",
+    "uniform vec3 DirLightSpecularColor[3];",
+
+    "void computeLights(vec3 eyeVector, vec3 normal, out vec3 diffuse, out vec3 specular) {",
+      "diffuse = vec3(0.0);",
+      "specular = vec3(0.0);",
+
+      "for (int i = 0; i < 3; i++) {",
+        "float dotL = dot(-DirLightDirection[i], normal);",
+        "float dotH = dot(normalize(eyeVector - DirLightDirection[i]), normal);",
+        "float zeroL = step(0.0, dotL);",
+
+        "diffuse += DirLightDiffuseColor[i] * (zeroL * dotL);",
+        "specular += DirLightSpecularColor[i] * (pow(max(dotH, 0.0) * zeroL, SpecularPower) * dotL);",
+      "}",
+
+      "diffuse = (diffuse * DiffuseColor.rgb) + EmissiveColor;",
+      "specular *= SpecularColor;",
+    "}"
+  ].join("\n");
+
+  var getVertexShaderSource = function (defines) {
+    return defines.concat([
+      "attribute vec4 Position0;",
+      "#if vertexColorEnabled",
+        "attribute vec4 Color0;",
+      "#endif",
+      "#if textureEnabled",
+        "attribute vec2 TextureCoordinate0;",
+        "varying vec2 vTextureCoordinate;",
+      "#endif",
+
+      "uniform mat4 WorldViewProj;",
+      "varying vec4 vDiffuse;",
+
+      "#if lighting",
+        "attribute vec3 Normal0;",
+        "uniform mat4 World;",
+        "uniform mat3 WorldInverseTranspose;",
+        lightingSource,
+      "#else",
+        "uniform vec4 DiffuseColor;",
+      "#endif",
+
+      "#if lighting == 1",
+        "varying vec3 vSpecular;",
+      "#elif lighting == 2",
+        "varying vec3 vPositionWS;",
+        "varying vec3 vNormalWS;",
+      "#endif",
+
+      "#if fogEnabled",
+        "uniform vec4 FogVector;",
+        "varying float vFogFactor;",
+      "#endif",
+
+      "void main(void) {",
+        "gl_Position = WorldViewProj * Position0;",
+
+        "#if lighting",
+          "vec3 positionWS = (World * Position0).xyz;",
+          "vec3 normalWS = normalize(WorldInverseTranspose * Normal0);",
+        "#endif",
+
+        "#if lighting == 1",
+          "vec3 diffuse, specular;",
+          "computeLights(normalize(EyePosition - positionWS), normalWS, diffuse, specular);",
+          "vDiffuse = vec4(diffuse, DiffuseColor.a);",
+          "vSpecular = specular;",
+        "#elif lighting == 2",
+          "vDiffuse = vec4(1.0, 1.0, 1.0, DiffuseColor.a);",
+          "vPositionWS = positionWS;",
+          "vNormalWS = normalWS;",
+        "#else",
+          "vDiffuse = DiffuseColor;",
+        "#endif",
+
+        "#if vertexColorEnabled",
+          "vDiffuse *= Color0;",
+        "#endif",
+        "#if textureEnabled",
+          "vTextureCoordinate = TextureCoordinate0;",
+        "#endif",
+        "#if fogEnabled",
+          "vFogFactor = clamp(dot(Position0, FogVector), 0.0, 1.0);",
+        "#endif",
+      "}"
+    ]).join("\n");
+  };
+
+  var getFragmentShaderSource = function (defines) {
+    return [
+      "#ifdef GL_ES",
+        "precision highp float;",
+      "#endif"
+    ].concat(defines, [
+      "varying vec4 vDiffuse;",
+
+      "#if textureEnabled",
+        "uniform sampler2D Texture;",
+        "varying vec2 vTextureCoordinate;",
+      "#endif",
+
+      "#if lighting == 1",
+        "varying vec3 vSpecular;",
+      "#elif lighting == 2",
+        "varying vec3 vPositionWS;",
+        "varying vec3 vNormalWS;",
+        lightingSource,
+      "#endif",
+
+      "#if fogEnabled",
+        "uniform vec3 FogColor;",
+        "varying float vFogFactor;",
+      "#endif",
+
+      "void main(void) {",
+        "vec4 color = vDiffuse;",
+
+        "#if textureEnabled",
+          "color *= texture2D(Texture, vTextureCoordinate);",
+        "#endif",
+
+        "#if lighting == 1",
+          "color.rgb += vSpecular * color.a;",
+        "#elif lighting == 2",
+          "vec3 diffuse, specular;",
+          "computeLights(normalize(EyePosition - vPositionWS), normalize(vNormalWS), diffuse, specular);",
+          "color.rgb = (color.rgb * diffuse) + (specular * color.a);",
+        "#endif",
+
+        "#if fogEnabled",
+          "color.rgb = mix(color.rgb, FogColor * color.a, vFogFactor);",
+        "#endif",
+
+        "gl_FragColor = color;",
+      "}"
+    ]).join("\n");
+  };
+
+  // Matrices are uploaded row by row, which makes GLSL's matrix * vector match XNA's vector * matrix.
+  var matrixElements = function (matrix) {
+    var names = matrixUtil.fieldNames;
+    var result = new Float32Array(16);
+
+    for (var i = 0; i < 16; i++)
+      result[i] = matrix[names[i]];
+
+    return result;
+  };
+
+  var vector3Elements = function (vector, scale) {
+    return [vector.X * scale, vector.Y * scale, vector.Z * scale];
+  };
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice")], [])), 
+    function _ctor (device) {
+      if (device === null)
+        throw new System.ArgumentNullException("device");
+
+      this.graphicsDevice = device;
+
+      this.world = matrixUtil.identity();
+      this.view = matrixUtil.identity();
+      this.projection = matrixUtil.identity();
+
+      this.alpha = 1;
+      this.diffuseColor = matrixUtil.makeVector3(1, 1, 1);
+      this.emissiveColor = matrixUtil.makeVector3(0, 0, 0);
+      this.specularColor = matrixUtil.makeVector3(1, 1, 1);
+      this.specularPower = 16;
+      this.ambientLightColor = matrixUtil.makeVector3(0, 0, 0);
+
+      this.lightingEnabled = false;
+      this.preferPerPixelLighting = false;
+      this.vertexColorEnabled = false;
+      this.textureEnabled = false;
+      this.texture = null;
+
+      this.fogEnabled = false;
+      this.fogColor = matrixUtil.makeVector3(0, 0, 0);
+      this.fogStart = 0;
+      this.fogEnd = 1;
+
+      var makeLight = function (enabled, diffuse) {
+        return JSIL.CreateInstanceOfType(
+          Microsoft.Xna.Framework.Graphics.DirectionalLight.__Type__, 
+          "$internalCtor", [enabled, matrixUtil.makeVector3(diffuse, diffuse, diffuse)]
+        );
+      };
+
+      this.lights = [makeLight(true, 1), makeLight(false, 0), makeLight(false, 0)];
+    }
+  );
+
+  $jsilxna.makeFieldProperty($, "World", "world", tMatrix, true);
+  $jsilxna.makeFieldProperty($, "View", "view", tMatrix, true);
+  $jsilxna.makeFieldProperty($, "Projection", "projection", tMatrix, true);
+  $jsilxna.makeFieldProperty($, "Alpha", "alpha", $.Single);
+  $jsilxna.makeFieldProperty($, "DiffuseColor", "diffuseColor", tVector3, true);
+  $jsilxna.makeFieldProperty($, "EmissiveColor", "emissiveColor", tVector3, true);
+  $jsilxna.makeFieldProperty($, "SpecularColor", "specularColor", tVector3, true);
+  $jsilxna.makeFieldProperty($, "SpecularPower", "specularPower", $.Single);
+  $jsilxna.makeFieldProperty($, "AmbientLightColor", "ambientLightColor", tVector3, true);
+  $jsilxna.makeFieldProperty($, "LightingEnabled", "lightingEnabled", $.Boolean);
+  $jsilxna.makeFieldProperty($, "PreferPerPixelLighting", "preferPerPixelLighting", $.Boolean);
+  $jsilxna.makeFieldProperty($, "VertexColorEnabled", "vertexColorEnabled", $.Boolean);
+  $jsilxna.makeFieldProperty($, "TextureEnabled", "textureEnabled", $.Boolean);
+  $jsilxna.makeFieldProperty($, "Texture", "texture", $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.Texture2D"));
+  $jsilxna.makeFieldProperty($, "FogEnabled", "fogEnabled", $.Boolean);
+  $jsilxna.makeFieldProperty($, "FogColor", "fogColor", tVector3, true);
+  $jsilxna.makeFieldProperty($, "FogStart", "fogStart", $.Single);
+  $jsilxna.makeFieldProperty($, "FogEnd", "fogEnd", $.Single);
+
+  for (var i = 0; i < 3; i++) {
+    (function (index) {
+      $.Method({Static:false, Public:true }, "get_DirectionalLight" + index, 
+        (new JSIL.MethodSignature(tDirectionalLight, [], [])), 
+        function () {
+          return this.lights[index];
+        }
+      );
+    })(i);
+  }
+
+  // The key, fill and back lights XNA uses for its default lighting rig.
+  $.Method({Static:false, Public:true }, "EnableDefaultLighting", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function EnableDefaultLighting () {
+      this.lightingEnabled = true;
+      this.ambientLightColor = matrixUtil.makeVector3(0.05333332, 0.09882354, 0.1819608);
+
+      this.lights[0].$set([-0.5265408, -0.5735765, -0.6275069], [1, 0.9607844, 0.8078432], [1, 0.9607844, 0.8078432]);
+      this.lights[1].$set([0.7198464, 0.3420201, 0.6040227], [0.9647059, 0.7607844, 0.4078432], [0, 0, 0]);
+      this.lights[2].$set([0.4545195, -0.7660444, 0.4545195], [0.3231373, 0.3607844, 0.3937255], [0.3231373, 0.3607844, 0.3937255]);
     }
   );
-  $.Method({Static:false, Public:true }, "Contains", 
-    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point")], [])), 
-    function Contains (value) {
-      return this.X <= value.X && 
-        value.X < this.X + this.Width && 
-        this.Y <= value.Y && 
-        value.Y < this.Y + this.Height;
+
+  $.RawMethod(false, "$getShaderProgram", function (device) {
+    var lighting = this.lightingEnabled ? (this.preferPerPixelLighting ? 2 : 1) : 0;
+    var key = "BasicEffect:" + lighting + ":" + 
+      (this.vertexColorEnabled ? 1 : 0) + ":" + (this.textureEnabled ? 1 : 0) + ":" + (this.fogEnabled ? 1 : 0);
+
+    var defines = [
+      "#define lighting " + lighting,
+      "#define vertexColorEnabled " + (this.vertexColorEnabled ? "1" : "0"),
+      "#define textureEnabled " + (this.textureEnabled ? "1" : "0"),
+      "#define fogEnabled " + (this.fogEnabled ? "1" : "0")
+    ];
+
+    return device.$getShaderProgram(key, getVertexShaderSource(defines), getFragmentShaderSource(defines));
+  });
+
+  // Colors are premultiplied by alpha, like the rest of XNA 4's rendering.
+  $.RawMethod(false, "$applyPass", function (pass) {
+    var device = this.graphicsDevice;
+
+    // Without WebGL nothing can be drawn with an effect, and the draw calls report that.
+    if (!device.context.isWebGL)
+      return;
+
+    var gl = device.context;
+    var shaderProgram = this.$getShaderProgram(device);
+    var uniforms = shaderProgram.uniforms;
+    var alpha = this.alpha;
+
+    gl.useProgram(shaderProgram.program);
+
+    var worldView = matrixUtil.multiply(this.world, this.view);
+    gl.uniformMatrix4fv(uniforms.WorldViewProj, false, matrixElements(matrixUtil.multiply(worldView, this.projection)));
+
+    if (this.lightingEnabled) {
+      var worldInverseTranspose = matrixUtil.transpose(matrixUtil.invert(this.world));
+      var eye = matrixUtil.invert(this.view);
+
+      gl.uniformMatrix4fv(uniforms.World, false, matrixElements(this.world));
+      gl.uniformMatrix3fv(uniforms.WorldInverseTranspose, false, new Float32Array([
+        worldInverseTranspose.M11, worldInverseTranspose.M12, worldInverseTranspose.M13,
+        worldInverseTranspose.M21, worldInverseTranspose.M22, worldInverseTranspose.M23,
+        worldInverseTranspose.M31, worldInverseTranspose.M32, worldInverseTranspose.M33
+      ]));
+      gl.uniform3f(uniforms.EyePosition, eye.M41, eye.M42, eye.M43);
+
+      gl.uniform4f(uniforms.DiffuseColor, this.diffuseColor.X * alpha, this.diffuseColor.Y * alpha, this.diffuseColor.Z * alpha, alpha);
+      gl.uniform3f(
+        uniforms.EmissiveColor, 
+        (this.emissiveColor.X + (this.ambientLightColor.X * this.diffuseColor.X)) * alpha,
+        (this.emissiveColor.Y + (this.ambientLightColor.Y * this.diffuseColor.Y)) * alpha,
+        (this.emissiveColor.Z + (this.ambientLightColor.Z * this.diffuseColor.Z)) * alpha
+      );
+      gl.uniform3f(uniforms.SpecularColor, this.specularColor.X, this.specularColor.Y, this.specularColor.Z);
+      gl.uniform1f(uniforms.SpecularPower, this.specularPower);
+
+      var directions = [], diffuseColors = [], specularColors = [];
+
+      for (var i = 0; i < 3; i++) {
+        var light = this.lights[i];
+        var scale = light.enabled ? 1 : 0;
+
+        directions.push.apply(directions, vector3Elements(light.direction, 1));
+        diffuseColors.push.apply(diffuseColors, vector3Elements(light.diffuseColor, scale));
+        specularColors.push.apply(specularColors, vector3Elements(light.specularColor, scale));
+      }
+
+      gl.uniform3fv(uniforms.DirLightDirection, new Float32Array(directions));
+      gl.uniform3fv(uniforms.DirLightDiffuseColor, new Float32Array(diffuseColors));
+      gl.uniform3fv(uniforms.DirLightSpecularColor, new Float32Array(specularColors));
+    } else {
+      gl.uniform4f(
+        uniforms.DiffuseColor, 
+        (this.diffuseColor.X + this.emissiveColor.X) * alpha,
+        (this.diffuseColor.Y + this.emissiveColor.Y) * alpha,
+        (this.diffuseColor.Z + this.emissiveColor.Z) * alpha,
+        alpha
+      );
     }
-  );
 
-  $.Method({Static:false, Public:true }, "Contains", 
-    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")], [])), 
-    function Contains (value) {
-      return this.X <= value.X && 
-        value.X + value.Width <= this.X + this.Width && 
-        this.Y <= value.Y && 
-        value.Y + value.Height <= this.Y + this.Height;
+    if (this.fogEnabled) {
+      // The fog factor is the view space depth rescaled so that FogStart maps to 0 and FogEnd to 1.
+      if (this.fogStart === this.fogEnd) {
+        gl.uniform4f(uniforms.FogVector, 0, 0, 0, 1);
+      } else {
+        var fogScale = 1 / (this.fogStart - this.fogEnd);
+
+        gl.uniform4f(
+          uniforms.FogVector, 
+          worldView.M13 * fogScale, worldView.M23 * fogScale, 
+          worldView.M33 * fogScale, (worldView.M43 + this.fogStart) * fogScale
+        );
+      }
+
+      gl.uniform3f(uniforms.FogColor, this.fogColor.X, this.fogColor.Y, this.fogColor.Z);
     }
-  );
 
-  $.Method({Static:false, Public:true }, "get_Bottom", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_Bottom () {
-      return this.Y + this.Height;
+    if (this.textureEnabled) {
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, (this.texture !== null) ? gl.getImageTexture(this.texture.image, true) : null);
+      gl.uniform1i(uniforms.Texture, 0);
     }
-  );
 
-  $.Method({Static:false, Public:true }, "get_Center", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point"), [], [])), 
-    function get_Center () {
-      return new Microsoft.Xna.Framework.Point(
-        Math.floor(this.X + (this.Width / 2)), 
-        Math.floor(this.Y + (this.Height / 2))
-      );
+    device.$setShaderProgram(shaderProgram);
+  });
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.Effect", function ($) {
+  $.Method({Static:false, Public:true }, "get_GraphicsDevice", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), [], [])), 
+    function get_GraphicsDevice () {
+      return this.graphicsDevice || null;
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Left", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_Left () {
-      return this.X;
+  // Every effect has a single technique with a single pass, which calls $applyPass when applied.
+  $.Method({Static:false, Public:true }, "get_CurrentTechnique", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.EffectTechnique"), [], [])), 
+    function get_CurrentTechnique () {
+      if (!this.currentTechnique) {
+        var pass = JSIL.CreateInstanceOfType(
+          Microsoft.Xna.Framework.Graphics.EffectPass.__Type__, "$internalCtor", [this, "Pass"]
+        );
+        var passes = JSIL.CreateInstanceOfType(
+          Microsoft.Xna.Framework.Graphics.EffectPassCollection.__Type__, "$internalCtor", [[pass]]
+        );
+
+        this.currentTechnique = JSIL.CreateInstanceOfType(
+          Microsoft.Xna.Framework.Graphics.EffectTechnique.__Type__, "$internalCtor", ["Technique", passes]
+        );
+      }
+
+      return this.currentTechnique;
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Location", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point"), [], [])), 
-    function get_Location () {
-      return new Microsoft.Xna.Framework.Point(this.X, this.Y);
+  $.Method({Static:false, Public:true }, "set_CurrentTechnique", 
+    (new JSIL.MethodSignature(null, [$xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.EffectTechnique")], [])), 
+    function set_CurrentTechnique (value) {
+      this.currentTechnique = value;
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Right", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_Right () {
-      return this.X + this.Width;
+  // Effects loaded from content have no shaders we can run, so applying them does nothing.
+  $.RawMethod(false, "$applyPass", function (pass) {
+  });
+
+  $.Method({Static:false, Public:true }, "get_Parameters", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.EffectParameterCollection"), [], [])), 
+    function get_Parameters () {
+      // FIXME
+      return new Microsoft.Xna.Framework.Graphics.EffectParameterCollection();
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Top", 
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.EffectParameterCollection", function ($) {
+  $.Method({Static:false, Public:true }, "get_Count", 
     (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_Top () {
-      return this.Y;
+    function get_Count () {
+      // FIXME
+      return 0;
     }
   );
 
-  $.Method({Static:false, Public:true }, "Inflate", 
-    (new JSIL.MethodSignature(null, [$.Int32, $.Int32], [])), 
-    function Inflate (x, y) {
-      this.X -= x;
-      this.Y -= y;
-      this.Width += (x * 2);
-      this.Height += (y * 2);
+  $.Method({Static:false, Public:true }, "get_Item", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.EffectParameter"), [$.Int32], [])), 
+    function get_Item (index) {
+      // FIXME
+      return new Microsoft.Xna.Framework.Graphics.EffectParameter();
     }
   );
 
-  $.Method({Static:false, Public:true }, "Intersects", 
-    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")], [])), 
-    function Intersects (value) {
-      return value.X < this.X + this.Width && 
-              this.X < value.X + value.Width && 
-              value.Y < this.Y + this.Height && 
-              this.Y < value.Y + value.Height;
+  $.Method({Static:false, Public:true }, "get_Item", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.EffectParameter"), [$.String], [])), 
+    function get_Item (name) {
+      // FIXME
+      return new Microsoft.Xna.Framework.Graphics.EffectParameter();
     }
   );
 
-  $.Method({Static:false, Public:true }, "Offset", 
-    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point")], [])), 
-    function Offset (amount) {
-      this.X += amount.X;
-      this.Y += amount.Y;
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.EffectParameter", function ($) {  
+  $.Method({Static:false, Public:true }, "get_Elements", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.EffectParameterCollection"), [], [])), 
+    function get_Elements () {
+      // FIXME
+      return new Microsoft.Xna.Framework.Graphics.EffectParameterCollection();
     }
   );
 
-  $.Method({Static:false, Public:true }, "Offset", 
-    (new JSIL.MethodSignature(null, [$.Int32, $.Int32], [])), 
-    function Offset (offsetX, offsetY) {
-      this.X += offsetX;
-      this.Y += offsetY;
+  $.Method({Static:false, Public:true }, "SetValue", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector4")])], [])), 
+    function SetValue (value) {
+      // FIXME
     }
   );
 
-  $.Method({Static:false, Public:true }, "set_Location", 
-    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point")], [])), 
-    function set_Location (value) {
-      this.X = value.X;
-      this.Y = value.Y;
+  $.Method({Static:false, Public:true }, "SetValue", 
+    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector4")], [])), 
+    function SetValue (value) {
+      // FIXME
+    }
+  );
 
-      return value;
+  $.Method({Static:false, Public:true }, "SetValue", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3")])], [])), 
+    function SetValue (value) {
+      // FIXME
     }
   );
-});
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Point", function ($) {
-  $.Method({
-    Static: true,
-    Public: true
-  }, ".cctor", new JSIL.MethodSignature(null, [], []), function () {
-    Microsoft.Xna.Framework.Point._zero = new Microsoft.Xna.Framework.Point();
-  });
+  $.Method({Static:false, Public:true }, "SetValue", 
+    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3")], [])), 
+    function SetValue (value) {
+      // FIXME
+    }
+  );
 
-  $.Method({Static:true , Public:true }, "get_Zero", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point"), [], [])), 
-    function get_Zero () {
-      return Microsoft.Xna.Framework.Point._zero;
+  $.Method({Static:false, Public:true }, "SetValue", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2")])], [])), 
+    function SetValue (value) {
+      // FIXME
     }
   );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$.Int32, $.Int32], [])), 
-    function _ctor (x, y) {
-      this.X = x;
-      this.Y = y;
+  $.Method({Static:false, Public:true }, "SetValue", 
+    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2")], [])), 
+    function SetValue (value) {
+      // FIXME
     }
   );
 
-  var equalsImpl = function (lhs, rhs) {
-    return lhs.X === rhs.X && lhs.Y === rhs.Y;
-  };
-
-  $.Method({Static:true , Public:true }, "op_Equality", 
-    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point")], [])), 
-    equalsImpl
-  );
-
-  $.Method({Static:true , Public:true }, "op_Inequality", 
-    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point")], [])), 
-    function op_Inequality (a, b) {
-      return !equalsImpl(a, b);
+  $.Method({Static:false, Public:true }, "SetValue", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$.Single])], [])), 
+    function SetValue (value) {
+      // FIXME
     }
   );
 
-  $.Method({Static:false, Public:true }, "Equals", 
-    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point")], [])), 
-    function Equals (other) {
-      return equalsImpl(this, other);
+  $.Method({Static:false, Public:true }, "SetValue", 
+    (new JSIL.MethodSignature(null, [$.Single], [])), 
+    function SetValue (value) {
+      // FIXME
     }
   );
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "Equals", new JSIL.MethodSignature(null, [], []), function (rhs) {
-    return this.X === rhs.X && this.Y === rhs.Y;
-  });
 });
 
-$jsilxna.makeColor = function (proto, r, g, b, a) {
-  var result = Object.create(proto);
-  result.r = r;
-  result.g = g;
-  result.b = b;
-
-  if (typeof (a) === "number") 
-    result.a = a;
-  else 
-    result.a = 255;
-
-  return result;
-};
-
-$jsilxna.Color = function ($) {
-  $.RawMethod(false, "__CopyMembers__", function Color_CopyMembers (source, target) {
-    target.a = source.a;
-    target.r = source.r;
-    target.g = source.g;
-    target.b = source.b;
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.EffectTechnique", function ($) {
+  $.RawMethod(false, "$internalCtor", function (name, passes) {
+    this.name = name;
+    this.passes = passes;
   });
 
-  $.Method({
-    Static: true,
-    Public: false
-  }, ".cctor", new JSIL.MethodSignature(null, [], []), function () {
-    var self = this;
-    var proto = this.prototype;
-    var makeColor = $jsilxna.makeColor;
-    var colors = $jsilxna.colors || [];
-
-    var bindColor = function (c) {
-        return function () {
-          return c;
-        };
-      };
+  $.Method({Static:false, Public:true }, "get_Name", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function get_Name () {
+      return this.name;
+    }
+  );
 
-    var typeName1 = JSIL.ParseTypeName("Microsoft.Xna.Framework.Color,Microsoft.Xna.Framework");
-    var typeName2 = JSIL.ParseTypeName("Microsoft.Xna.Framework.Graphics.Color,Microsoft.Xna.Framework");
+  $.Method({Static:false, Public:true }, "get_Passes", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.EffectPassCollection"), [], [])), 
+    function get_Passes () {
+      return this.passes;
+    }
+  );
+});
 
-    var context = JSIL.GetTypeInternal(typeName1, $jsilxna, false) || JSIL.GetTypeInternal(typeName2, $jsilxna, false);
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.EffectPassCollection", function ($) {
+  var tEffectPass = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.EffectPass");
 
-    var publicInterface = context.__PublicInterface__;
+  $.RawMethod(false, "$internalCtor", function (passes) {
+    this.passes = passes;
+  });
 
-    for (var i = 0, l = colors.length; i < l; i++) {
-      var colorName = colors[i][0];
-      var color = makeColor(proto, colors[i][1], colors[i][2], colors[i][3], colors[i][4]);
+  $.Method({Static:false, Public:true }, "get_Count", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_Count () {
+      return this.passes.length;
+    }
+  );
 
-      Object.defineProperty(publicInterface, "get_" + colorName, {
-        value: bindColor(color),
-        enumerable: true,
-        configurable: true
-      });
+  $.Method({Static:false, Public:true }, "get_Item", 
+    (new JSIL.MethodSignature(tEffectPass, [$.Int32], [])), 
+    function get_Item (index) {
+      if ((index < 0) || (index >= this.passes.length))
+        throw new System.ArgumentOutOfRangeException("index");
 
-      Object.defineProperty(publicInterface, colorName, {
-        value: color,
-        enumerable: true,
-        configurable: true
-      });
+      return this.passes[index];
     }
-  });
-
-  var ctorRgba = function (_, r, g, b, a) {
-      _.a = a;
-      _.r = r;
-      _.g = g;
-      _.b = b;
-    };
+  );
 
-  var ctorRgbaFloat = function (_, r, g, b, a) {
-      _.a = $jsilxna.ClampByte(a * 255);
-      _.r = $jsilxna.ClampByte(r * 255);
-      _.g = $jsilxna.ClampByte(g * 255);
-      _.b = $jsilxna.ClampByte(b * 255);
-    };
+  $.Method({Static:false, Public:true }, "get_Item", 
+    (new JSIL.MethodSignature(tEffectPass, [$.String], [])), 
+    function get_Item (name) {
+      for (var i = 0; i < this.passes.length; i++) {
+        if (this.passes[i].name === name)
+          return this.passes[i];
+      }
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [
-          $.Int32, $.Int32, 
-          $.Int32
-        ], [])), 
-    function _ctor (r, g, b) {
-      ctorRgba(this, r, g, b, 255);
+      return null;
     }
   );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [
-          $.Int32, $.Int32, 
-          $.Int32, $.Int32
-        ], [])), 
-    function _ctor (r, g, b, a) {
-      ctorRgba(this, r, g, b, a);
+  $.Method({Static:false, Public:true }, "GetEnumerator", 
+    (new JSIL.MethodSignature($xnaasms[5].TypeRef("System.Collections.Generic.List`1/Enumerator", [tEffectPass]), [], [])), 
+    function GetEnumerator () {
+      return new (JSIL.ArrayEnumerator.Of(tEffectPass.get()))(this.passes, -1);
     }
   );
+});
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [
-          $.Single, $.Single, 
-          $.Single
-        ], [])), 
-    function _ctor (r, g, b) {
-      ctorRgbaFloat(this, r, g, b, 1);
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.EffectPass", function ($) {
+  $.RawMethod(false, "$internalCtor", function (effect, name) {
+    this.effect = effect;
+    this.name = name;
+  });
+
+  $.Method({Static:false, Public:true }, "get_Name", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function get_Name () {
+      return this.name;
     }
   );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [
-          $.Single, $.Single, 
-          $.Single, $.Single
-        ], [])), 
-    function _ctor (r, g, b, a) {
-      ctorRgbaFloat(this, r, g, b, a);
+  $.Method({Static:false, Public:true }, "Apply", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Apply () {
+      this.effect.$applyPass(this);
     }
   );
+});
 
+JSIL.ImplementExternals("Microsoft.Xna.Framework.GameServiceContainer", function ($) {
   $.Method({
     Static: false,
     Public: true
-  }, ".ctor", new JSIL.MethodSignature(null, [$xnaasms.xna.TypeRef("Microsoft.Xna.Framework.Vector3")], []), function (v) {
-    ctorRgbaFloat(this, v.X, x.Y, v.Z, 1.0);
-  });
-
-  $.Method({
-    Static: false,
-    Public: true
-  }, ".ctor", new JSIL.MethodSignature(null, [$xnaasms.xna.TypeRef("Microsoft.Xna.Framework.Vector4")], []), function (v) {
-    ctorRgbaFloat(this, v.X, v.Y, v.Z, v.W);
-  });
-
-  $.Method({
-    Static: false,
-    Public: true
-  }, "get_A", new JSIL.MethodSignature($.Byte, [], []), function () {
-    return this.a;
-  });
+  }, ".ctor", new JSIL.MethodSignature(null, [], []), function () {});
+});
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "get_B", new JSIL.MethodSignature($.Byte, [], []), function () {
-    return this.b;
-  });
+JSIL.ImplementExternals("Microsoft.Xna.Framework.GameComponentCollection", function ($) {
+  $.RawMethod(false, "$internalCtor", function (game) {
+    this._game = game;
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "get_G", new JSIL.MethodSignature($.Byte, [], []), function () {
-    return this.g;
+    this._ctor();
   });
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "get_R", new JSIL.MethodSignature($.Byte, [], []), function () {
-    return this.r;
+  $.RawMethod(false, "$OnItemAdded", function (item) {
+    if (this._game.initialized) {
+      if (typeof (item.Initialize) === "function")
+        item.Initialize();
+    }
   });
+});
 
-  $.Method({Static:false, Public:true }, "set_PackedValue", 
-    (new JSIL.MethodSignature(null, [$.UInt32], [])), 
-    function set_PackedValue (value) {
-      this._cachedCss = null;
-      this.a = (value >> 24) & 0xFF;
-      this.b = (value >> 16) & 0xFF;
-      this.g = (value >> 8) & 0xFF;
-      this.r = value & 0xFF;
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Game", function ($) {
+  $.Method({Static: false, Public: true}, "ForceQuit", 
+    new JSIL.MethodSignature(null, [], []), 
+    function () {
+      Microsoft.Xna.Framework.Game._QuitForced = true;
     }
   );
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "set_A", new JSIL.MethodSignature(null, [$.Byte], []), function (value) {
-    this.a = $jsilxna.ClampByte(value);
-    this._cachedCss = null;
-  });
-
-  $.Method({
-    Static: false,
-    Public: true
-  }, "set_B", new JSIL.MethodSignature(null, [$.Byte], []), function (value) {
-    this.b = $jsilxna.ClampByte(value);
-    this._cachedCss = null;
-  });
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      var tContentManager = JSIL.GetTypeFromAssembly(
+        $xnaasms.xna, "Microsoft.Xna.Framework.Content.ContentManager", [], true
+      );
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "set_G", new JSIL.MethodSignature(null, [$.Byte], []), function (value) {
-    this.g = $jsilxna.ClampByte(value);
-    this._cachedCss = null;
-  });
+      var tGameTime = JSIL.GetTypeFromAssembly(
+        $xnaasms.xnaGame, "Microsoft.Xna.Framework.GameTime", [], true
+      );
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "set_R", new JSIL.MethodSignature(null, [$.Byte], []), function (value) {
-    this.r = $jsilxna.ClampByte(value);
-    this._cachedCss = null;
-  });
+      this.gameServices = new Microsoft.Xna.Framework.GameServiceContainer();
+      this.content = JSIL.CreateInstanceOfType(tContentManager, [this.gameServices]);
+      this.components = JSIL.CreateInstanceOfType(
+        Microsoft.Xna.Framework.GameComponentCollection.__Type__, "$internalCtor", [this]
+      );
+      this.targetElapsedTime = System.TimeSpan.FromTicks(166667);
+      this.isFixedTimeStep = true;
+      this.forceElapsedTimeToZero = true;
+      this._isDead = false;
+      this.initialized = false;
 
-  var equalsImpl = function (lhs, rhs) {
-    return (lhs.r === rhs.r) && (lhs.g === rhs.g) &&
-      (lhs.b === rhs.b) && (lhs.a === rhs.a);
-  };
+      if (typeof (Date.now) === "function") {
+        Object.defineProperty(this, "_GetNow", {
+          configurable: true,
+          enumerable: true,
+          value: Date.now
+        });
+      }
 
-  $.Method({Static:true , Public:true }, "op_Equality", 
-    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Color"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Color")], [])), 
-    function op_Equality (a, b) {
-      return equalsImpl(a, b);
+      this._runHandle = null;
+      this._gameTime = JSIL.CreateInstanceOfType(tGameTime, null);
+      this._lastFrame = this._nextFrame = this._started = 0;
     }
   );
 
-  $.Method({Static:true , Public:true }, "op_Inequality", 
-    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Color"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Color")], [])), 
-    function op_Inequality (a, b) {
-      return !equalsImpl(a, b);
+  $.Method({Static:false, Public:true }, "get_Components", 
+    (new JSIL.MethodSignature($xnaasms[1].TypeRef("Microsoft.Xna.Framework.GameComponentCollection"), [], [])), 
+    function get_Components () {
+      return this.components;
     }
   );
 
-  $.Method({
-    Static: true,
-    Public: true
-  }, "op_Multiply", new JSIL.MethodSignature($.Type, [$.Type, $.Single], []), function (color, multiplier) {
-    var result = Object.create(Object.getPrototypeOf(color));
-    result.a = $jsilxna.ClampByte(color.a * multiplier);
-    result.r = $jsilxna.ClampByte(color.r * multiplier);
-    result.g = $jsilxna.ClampByte(color.g * multiplier);
-    result.b = $jsilxna.ClampByte(color.b * multiplier);
-    return result;
-  });
+  $.Method({Static:false, Public:true }, "get_Content", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Content.ContentManager"), [], [])), 
+    function get_Content () {
+      return this.content;
+    }
+  );
 
-  $.RawMethod(false, "toCss", function (alpha) {
-    if ((typeof(this._cachedCss) === "string") && (this._cachedAlpha === alpha)) {
-      return this._cachedCss;
+  $.Method({Static:false, Public:true }, "get_GraphicsDevice", 
+    (new JSIL.MethodSignature($jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), [], [])), 
+    function get_GraphicsDevice () {
+      return this.graphicsDeviceService.GraphicsDevice;
     }
+  );
 
-    var a = alpha || this.a;
-    if (a < 255) {
-      this._cachedAlpha = a;
-      return this._cachedCss = "rgba(" + this.r + "," + this.g + "," + this.b + "," + a + ")";
-    } else {
-      this._cachedAlpha = a;
-      return this._cachedCss = "rgb(" + this.r + "," + this.g + "," + this.b + ")";
+  $.Method({Static:false, Public:true }, "get_IsActive", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_IsActive () {
+      return true && !Microsoft.Xna.Framework.Game._QuitForced && !this._isDead;
     }
-  });
-};
+  );
 
-$jsilxna.ClampByte = function (v) {
-  if (v < 0) return 0;
-  else if (v > 255) return 255;
-  else return Math.floor(v);
-}
+  $.Method({Static:false, Public:true }, "get_IsFixedTimeStep", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_IsFixedTimeStep () {
+      return this.isFixedTimeStep;
+    }
+  );
 
-var $drawDebugRects = false, $drawDebugBoxes = false;
+  $.Method({Static:false, Public:true }, "get_TargetElapsedTime", 
+    (new JSIL.MethodSignature($xnaasms[5].TypeRef("System.TimeSpan"), [], [])), 
+    function get_TargetElapsedTime () {
+      return this.targetElapsedTime;
+    }
+  );
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.SpriteBatch", function ($) {
-  var $canvasDrawImage = function canvasDrawImage (image, sourceX, sourceY, sourceW, sourceH, positionX, positionY, destW, destH) {
-    this.device.context.drawImage(
-      image, sourceX, sourceY, sourceW, sourceH, positionX, positionY, destW, destH
-    );
-  }
+  $.Method({Static:false, Public:true }, "get_Services", 
+    (new JSIL.MethodSignature($xnaasms[1].TypeRef("Microsoft.Xna.Framework.GameServiceContainer"), [], [])), 
+    function get_Services () {
+      return this.gameServices;
+    }
+  );
 
-  $.RawMethod(false, "$canvasDrawImage", $canvasDrawImage);
+  $.Method({Static:false, Public:true }, "get_Window", 
+    (new JSIL.MethodSignature($xnaasms[1].TypeRef("Microsoft.Xna.Framework.GameWindow"), [], [])), 
+    function get_Window () {
+      // FIXME
+      return Object.create(Microsoft.Xna.Framework.GameWindow.prototype);
+    }
+  );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [$jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice")], [])), 
-    function _ctor (graphicsDevice) {
-      this.device = graphicsDevice;
-      this.defer = false;
-      this.deferSorter = null;
-      this.deferredDraws = [];
-      this.oldBlendState = null;
+  $.Method({Static:false, Public:false}, "get_IsMouseVisible", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_IsMouseVisible () {
+      // FIXME
+      return true;
     }
   );
 
-  $.RawMethod(false, "$applyBlendState", function () {
-    if ((typeof (this.blendState) === "object") && (this.blendState !== null))
-      this.device.BlendState = this.blendState;
-    else
-      this.device.BlendState = Microsoft.Xna.Framework.Graphics.BlendState.AlphaBlend;
-  });
+  $.Method({Static:false, Public:true }, "set_IsMouseVisible", 
+    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
+    function set_IsMouseVisible (value) {
+      // FIXME
+    }
+  );
 
-  $.Method({Static:false, Public:true }, "Begin", 
-    (new JSIL.MethodSignature(null, [$xnaasms[5].TypeRef("System.Array") /* AnyType[] */ ], [])), 
-    function SpriteBatch_Begin (sortMode, blendState, samplerState, depthStencilState, rasterizerState, effect, transformMatrix) {
-      this.device.context.save();
-      this.deferSorter = null;
+  $.Method({Static:false, Public:true }, "set_IsFixedTimeStep", 
+    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
+    function set_IsFixedTimeStep (value) {
+      this.isFixedTimeStep = value;
+    }
+  );
 
-      this.blendState = blendState;
+  $.Method({Static:false, Public:true }, "set_TargetElapsedTime", 
+    (new JSIL.MethodSignature(null, [$xnaasms[5].TypeRef("System.TimeSpan")], [])), 
+    function set_TargetElapsedTime (value) {
+      this.targetElapsedTime = value;
+    }
+  );
 
-      var textureIndex = 0;
-      var depthIndex = 16;
+  $.Method({
+    Static: false,
+    Public: true
+  }, "Initialize", new JSIL.MethodSignature(null, [], []), function () {    
+    this.initialized = true;
 
-      if (sortMode === Microsoft.Xna.Framework.Graphics.SpriteSortMode.Immediate) {
-        this.defer = false;
-        this.$applyBlendState();
-      } else if (sortMode === Microsoft.Xna.Framework.Graphics.SpriteSortMode.BackToFront) {
-        this.defer = true;
-        this.deferSorter = function (lhs, rhs) {
-          return -JSIL.CompareValues(lhs.arguments[depthIndex], rhs.arguments[depthIndex]);
-        };
-      } else if (sortMode === Microsoft.Xna.Framework.Graphics.SpriteSortMode.FrontToBack) {
-        this.defer = true;
-        this.deferSorter = function (lhs, rhs) {
-          return JSIL.CompareValues(lhs.arguments[depthIndex], rhs.arguments[depthIndex]);
-        };
-      } else if (sortMode === Microsoft.Xna.Framework.Graphics.SpriteSortMode.Texture) {
-        this.defer = true;
-        this.deferSorter = function (lhs, rhs) {
-          return JSIL.CompareValues(lhs.arguments[textureIndex], rhs.arguments[textureIndex]);
-        };
-      } else if (sortMode === Microsoft.Xna.Framework.Graphics.SpriteSortMode.Deferred) {
-        this.defer = true;
-      }
+    for (var i = 0, l = this.components._size; i < l; i++) {
+      var component = this.components._items[i];
+      component.Initialize();
+    }
 
-      if ((typeof (transformMatrix) === "object") && (transformMatrix !== null)) {
-        this.device.context.translate(transformMatrix.xTranslation, transformMatrix.yTranslation);
-        this.device.context.scale(transformMatrix.xScale, transformMatrix.yScale);
-      }
+    this.LoadContent();
+  });
+  $.Method({
+    Static: false,
+    Public: true
+  }, "LoadContent", new JSIL.MethodSignature(null, [], []), function () {
 
-      if (samplerState) {
-        var enableSmoothing = samplerState.get_Filter() != Microsoft.Xna.Framework.Graphics.TextureFilter.Point;
+  });
+  $.Method({
+    Static: false,
+    Public: true
+  }, "UnloadContent", new JSIL.MethodSignature(null, [], []), function () {
 
-        this.device.context.mozImageSmoothingEnabled = this.device.context.webkitImageSmoothingEnabled = enableSmoothing;
-      }
+  });
+  $.Method({
+    Static: false,
+    Public: true
+  }, "ResetElapsedTime", new JSIL.MethodSignature(null, [], []), function () {
+    this.forceElapsedTimeToZero = true;
+  });
+  $.RawMethod(false, "$ComponentsOfType", function (type) {
+    var result = new Array();
+    for (var i = 0, l = this.components._size; i < l; i++) {
+      var item = this.components._items[i];
+
+      if (JSIL.CheckType(item, type)) result.push(item);
     }
-  );
+    return result;
+  });
 
-  $.Method({Static:false, Public:true }, "End", 
-    (new JSIL.MethodSignature(null, [], [])), 
-    function SpriteBatch_End () {
-      if (this.defer) {
-        this.defer = false;
+  var cmp = function (lhs, rhs) {
+    if (lhs > rhs)
+      return 1;
+    else if (rhs > lhs)
+      return -1;
+    else
+      return 0;
+  };
 
-        this.$applyBlendState();
+  $.Method({Static:false, Public:false}, "Draw", 
+    (new JSIL.MethodSignature(null, [$xnaasms[1].TypeRef("Microsoft.Xna.Framework.GameTime")], [])), 
+    function Game_Draw (gameTime) {
+      if (Microsoft.Xna.Framework.Game._QuitForced || this._isDead) 
+        return;
 
-        if (this.deferSorter !== null) 
-          this.deferredDraws.sort(this.deferSorter);
+      var drawableComponents = this.$ComponentsOfType(Microsoft.Xna.Framework.IDrawable.__Type__);
+      drawableComponents.sort(function (lhs, rhs) {
+        return cmp(lhs.get_DrawOrder(), rhs.get_DrawOrder());
+      });
 
-        for (var i = 0, l = this.deferredDraws.length; i < l; i++) {
-          var draw = this.deferredDraws[i];
-          draw.fn.apply(this, draw.arguments);
-        }
+      for (var i = 0, l = drawableComponents.length; i < l; i++) {
+        var drawable = drawableComponents[i];
+
+        if (drawable.Visible) 
+          drawable.Draw(gameTime);
+      }
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "Update", 
+    (new JSIL.MethodSignature(null, [$xnaasms[1].TypeRef("Microsoft.Xna.Framework.GameTime")], [])), 
+    function Game_Update (gameTime) {
+      if (Microsoft.Xna.Framework.Game._QuitForced || this._isDead) 
+        return;
+
+      var updateableComponents = this.$ComponentsOfType(Microsoft.Xna.Framework.IUpdateable.__Type__);
+      updateableComponents.sort(function (lhs, rhs) {
+        return cmp(lhs.get_UpdateOrder(), rhs.get_UpdateOrder());
+      });
+
+      for (var i = 0, l = updateableComponents.length; i < l; i++) {
+        var updateable = updateableComponents[i];
+
+        if (updateable.Enabled) 
+          updateable.Update(gameTime);
+      }
+    }
+  );
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "Run", new JSIL.MethodSignature(null, [], []), function () {
+    Microsoft.Xna.Framework.Game._QuitForced = false;
+    this.Initialize();
+    this._QueueStep();
+  });
+
+  $.RawMethod(false, "_GetNow", function Game_GetNow () {
+    return (new Date()).getTime();
+  });
+
+  $.RawMethod(false, "_DeferCall", function Game_DeferCall (callback, lng) {
+    setTimeout(callback, 0);
+  });
+
+  $.RawMethod(false, "_QueueStep", function Game_EnqueueTick () {
+    if (Microsoft.Xna.Framework.Game._QuitForced) return;
+
+    var self = this;
+    var stepCallback = self._Step.bind(self);
+
+    if (typeof (mozRequestAnimationFrame) !== "undefined") {
+      mozRequestAnimationFrame(stepCallback);
+    } else if (typeof (webkitRequestAnimationFrame) !== "undefined") {
+      webkitRequestAnimationFrame(stepCallback);
+    } else if (false && (typeof (msRequestAnimationFrame) !== "undefined")) {
+      // The version of msRequestAnimationFrame in the current IE Platform Preview has a bug that
+      //  causes it to sometimes never invoke the callback. As a result, we can't currently rely on it.
+      msRequestAnimationFrame(stepCallback, JSIL.Host.getCanvas());
+    } else {
+      var shouldStepCallback = function () {
+          var now = self._GetNow();
+          var delay = self._nextFrame - now;
+
+          if (delay <= 0) stepCallback();
+          else self._DeferCall(shouldStepCallback, delay >= 5);
+        };
+
+      // It's important that we use setTimeout at least once after every frame in order to let the browser pump messages
+      this._DeferCall(shouldStepCallback, true);
+    }
+  });
+
+  $.RawMethod(false, "_Step", function Game_Tick () {
+    var now = this._GetNow();
+
+    var frameDelay = this.targetElapsedTime.get_TotalMilliseconds();
+
+    if (this._lastFrame === 0) {
+      var elapsed = frameDelay;
+      var total = 0;
+      this._started = now;
+      this._lastSecond = now;
+      this._updateCount = this._drawCount = 0;
+      this._extraTime = 0;
+      this.suppressFrameskip = true;
+    } else {
+      var elapsed = now - this._lastFrame;
+      var total = now - this._started;
+    }
+
+    if ((now - this._lastSecond) > 1000) {
+      this._lastSecond = now;
+      
+      if (typeof (JSIL.Host.reportFps) === "function") {
+        var isWebGL = this.graphicsDeviceService.GraphicsDevice.context.isWebGL || false;
+        JSIL.Host.reportFps(
+          this._drawCount, this._updateCount, 
+          isWebGL ? "webgl" : $jsilxna.multipliedImageCache.countBytes
+        );
+      }
+
+      this._updateCount = this._drawCount = 0;
+    }
+
+    if (this.forceElapsedTimeToZero) {
+      this.forceElapsedTimeToZero = false;
+      this._extraTime = 0;
+      elapsed = 0;
+    }
+
+    this._lastFrame = now;
+    this._nextFrame = now + frameDelay;
+
+    var millisecondInTicks = 10000;
+    var maxElapsedTimeMs = 150;
+    var longFrame = frameDelay * 3;
+
+    var failed = true;
+    try {
+
+      var doUpdate = function Game_TimedUpdate () {
+        var updateStarted = this._GetNow();
+        this.Update(this._gameTime);
+        var updateEnded = this._GetNow();
+
+        // Detect long updates and suppress frameskip.
+        if ((updateEnded - updateStarted) > longFrame) {
+          this.suppressFrameskip = true;
+        }
+      }.bind(this);
+
+      if (this.isFixedTimeStep && !this.suppressFrameskip) {
+        this._gameTime.elapsedGameTime._ticks = System.Int64.FromNumber(frameDelay * millisecondInTicks);
+
+        elapsed += this._extraTime;
+        this._extraTime = 0;
+
+        if (elapsed > maxElapsedTimeMs) 
+          elapsed = maxElapsedTimeMs;
+
+        var numFrames = Math.floor(elapsed / frameDelay);
+
+        if (numFrames < 1) {
+          numFrames = 1;
+          this._extraTime = elapsed - frameDelay;
+        } else {
+          this._extraTime = elapsed - (numFrames * frameDelay);
+        }
+
+        for (var i = 0; i < numFrames; i++) {
+          this._gameTime.totalGameTime._ticks = System.Int64.op_Addition(
+            this._gameTime.totalGameTime._ticks, System.Int64.FromNumber(frameDelay * millisecondInTicks)
+          );
+
+          doUpdate();
+          this._updateCount += 1;
+        }
+      } else {
+        this._extraTime = 0;
+        this.suppressFrameskip = false;
+
+        if (elapsed > maxElapsedTimeMs)
+          elapsed = maxElapsedTimeMs;
+
+        this._gameTime.elapsedGameTime._ticks = System.Int64.FromNumber(elapsed * millisecondInTicks);
+        this._gameTime.totalGameTime._ticks = System.Int64.op_Addition(
+          this._gameTime.totalGameTime._ticks, System.Int64.FromNumber(elapsed * millisecondInTicks)
+        );
+
+        doUpdate();
+        this._updateCount += 1;
+      }
+
+      this.get_GraphicsDevice().$Clear();
+      this.Draw(this._gameTime);
+      this._drawCount += 1;
+      failed = false;
+    } finally {
+      if (failed || Microsoft.Xna.Framework.Game._QuitForced) this.Exit();
+      else this._QueueStep();
+    }
+  });
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "Exit", new JSIL.MethodSignature(null, [], []), function () {
+    this.Dispose();
+  });
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "Dispose", new JSIL.MethodSignature(null, [], []), function () {
+    if (this._runHandle !== null) window.clearInterval(this._runHandle);
+
+    this._runHandle = null;
+    this.UnloadContent();
+
+    this._isDead = true;
+  });
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.GameComponent", function ($) {
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$xnaasms[1].TypeRef("Microsoft.Xna.Framework.Game")], [])), 
+    function _ctor (game) {
+      this.enabled = true;
+      this.initialized = false;
+      this.game = game;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_UpdateOrder", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_UpdateOrder () {
+      return 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Enabled", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_Enabled () {
+      return this.enabled;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Game", 
+    (new JSIL.MethodSignature($xnaasms[1].TypeRef("Microsoft.Xna.Framework.Game"), [], [])), 
+    function get_Game () {
+      return this.game;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "set_Enabled", 
+    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
+    function set_Enabled (value) {
+      this.enabled = value;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Initialize", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Initialize () {
+      if (this.initialized) return;
+
+      this.initialized = true;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Update", 
+    (new JSIL.MethodSignature(null, [$xnaasms[1].TypeRef("Microsoft.Xna.Framework.GameTime")], [])), 
+    function Update (gameTime) {
+    }
+  );
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.DrawableGameComponent", function ($) {
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$xnaasms[1].TypeRef("Microsoft.Xna.Framework.Game")], [])), 
+    function _ctor (game) {
+      Microsoft.Xna.Framework.GameComponent.prototype._ctor.call(this, game);
+
+      this.visible = true;
+    }
+  );  
+
+  $.Method({Static:false, Public:true }, "Draw", 
+    (new JSIL.MethodSignature(null, [$xnaasms[1].TypeRef("Microsoft.Xna.Framework.GameTime")], [])), 
+    function Draw (gameTime) {
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_DrawOrder", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_DrawOrder () {
+      return 0;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_GraphicsDevice", 
+    (new JSIL.MethodSignature($jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), [], [])), 
+    function get_GraphicsDevice () {
+      return this.game.graphicsDeviceService.GraphicsDevice;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Visible", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_Visible () {
+      return this.visible;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Initialize", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Initialize () {
+      if (this.initialized) return;
+
+      Microsoft.Xna.Framework.GameComponent.prototype.Initialize.call(this);
+
+      this.LoadContent();
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "LoadContent", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function LoadContent () {
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "set_Visible", 
+    (new JSIL.MethodSignature(null, [$.Boolean], [])), 
+    function set_Visible (value) {
+      this.visible = value;
+    }
+  );
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Input.Keyboard", function ($) {
+  var getStateImpl = function (playerIndex) {
+    var keys = JSIL.Host.getHeldKeys();
+    return new Microsoft.Xna.Framework.Input.KeyboardState(keys);
+  };
+
+  $.Method({Static:true , Public:true }, "GetState", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.KeyboardState"), [], [])), 
+    getStateImpl
+  );
+
+  $.Method({Static:true , Public:true }, "GetState", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.KeyboardState"), [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.PlayerIndex")], [])), 
+    getStateImpl
+  );
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Input.KeyboardState", function ($) {
+  $.RawMethod(false, "__CopyMembers__", function (source, target) {
+    if (source.keys)
+      target.keys = Array.prototype.slice.call(source.keys);
+    else
+      target.keys = [];
+  });
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.Keys")])], [])), 
+    function _ctor (keys) {
+      this.keys = [];
+
+      for (var i = 0; i < keys.length; i++)
+        this.keys.push(Number(keys[i]));
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "IsKeyDown", 
+    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.Keys")], [])), 
+    function IsKeyDown (key) {
+      return this.keys.indexOf(Number(key)) !== -1;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "IsKeyUp", 
+    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.Keys")], [])), 
+    function IsKeyUp (key) {
+      return this.keys.indexOf(Number(key)) === -1;
+    }
+  );
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Input.Mouse", function ($) {
+  var getStateImpl = function (playerIndex) {
+    var buttons = JSIL.Host.getHeldButtons();
+    var position = JSIL.Host.getMousePosition();
+
+    var pressed = $xnaasms[0].Microsoft.Xna.Framework.Input.ButtonState.Pressed;
+    var released = $xnaasms[0].Microsoft.Xna.Framework.Input.ButtonState.Released;
+
+    // FIXME
+    return new Microsoft.Xna.Framework.Input.MouseState(
+      position[0], position[1], 0,
+      (buttons.indexOf(0) >= 0) ? pressed : released,
+      (buttons.indexOf(1) >= 0) ? pressed : released,
+      (buttons.indexOf(2) >= 0) ? pressed : released,
+      released, released
+    );
+  };
+
+  $.Method({Static:true , Public:true }, "GetState", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.MouseState"), [], [])), 
+    getStateImpl
+  );
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Input.MouseState", function ($) {
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $.Int32, $.Int32, 
+          $.Int32, $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.ButtonState"), 
+          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.ButtonState"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.ButtonState"), 
+          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.ButtonState"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.ButtonState")
+        ], [])), 
+    function _ctor (x, y, scrollWheel, leftButton, middleButton, rightButton, xButton1, xButton2) {
+      // FIXME
+      this.x = x;
+      this.y = y;
+      this.leftButton = leftButton;
+      this.middleButton = middleButton;
+      this.rightButton = rightButton;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_LeftButton", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.ButtonState"), [], [])), 
+    function get_LeftButton () {
+      return this.leftButton;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_MiddleButton", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.ButtonState"), [], [])), 
+    function get_MiddleButton () {
+      return this.middleButton;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_RightButton", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.ButtonState"), [], [])), 
+    function get_RightButton () {
+      return this.rightButton;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_X", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_X () {
+      return this.x;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Y", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_Y () {
+      return this.y;
+    }
+  );
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Input.GamePad", function ($) {
+  var getStateImpl = function (playerIndex) {
+    var buttons = new Microsoft.Xna.Framework.Input.GamePadButtons();
+    var thumbs = new Microsoft.Xna.Framework.Input.GamePadThumbSticks();
+    var triggers = new Microsoft.Xna.Framework.Input.GamePadTriggers();
+    var dpad = new Microsoft.Xna.Framework.Input.GamePadDPad();
+
+    return new Microsoft.Xna.Framework.Input.GamePadState(thumbs, triggers, buttons, dpad);
+  };
+
+  $.Method({Static:true , Public:true }, "GetState", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadState"), [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.PlayerIndex")], [])), 
+    getStateImpl
+  );
+
+  $.Method({Static:true , Public:true }, "GetState", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadState"), [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.PlayerIndex"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadDeadZone")], [])), 
+    getStateImpl
+  );
+
+  $.Method({Static:true , Public:true }, "GetCapabilities", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadCapabilities"), [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.PlayerIndex")], [])), 
+    function GetCapabilities (playerIndex) {
+      return new Microsoft.Xna.Framework.Input.GamePadCapabilities(null, null);
+    }
+  );
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Input.GamePadCapabilities", function ($) {
+  
+  $.Method({Static:false, Public:false}, ".ctor", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.XINPUT_CAPABILITIES")]), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.ErrorCodes")], [])), 
+    function _ctor (/* ref */ caps, result) {
+      // FIXME
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_IsConnected", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_IsConnected () {
+      return false;
+    }
+  );
+
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Input.GamePadState", function ($) {
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadThumbSticks"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadTriggers"), 
+          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadButtons"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadDPad")
+        ], [])), 
+    function _ctor (thumbSticks, triggers, buttons, dPad) {
+      this._thumbs = thumbSticks;
+      this._buttons = buttons;
+      this._triggers = triggers;
+      this._dpad = dPad;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Buttons", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadButtons"), [], [])), 
+    function get_Buttons () {
+      return this._buttons;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_DPad", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadDPad"), [], [])), 
+    function get_DPad () {
+      return this._dpad;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_IsConnected", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_IsConnected () {
+      // FIXME
+      return false;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_ThumbSticks", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadThumbSticks"), [], [])), 
+    function get_ThumbSticks () {
+      return this._thumbs;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Triggers", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.GamePadTriggers"), [], [])), 
+    function get_Triggers () {
+      return this._triggers;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "IsButtonDown", 
+    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.Buttons")], [])), 
+    function IsButtonDown (button) {
+      // FIXME
+      return false;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "IsButtonUp", 
+    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.Buttons")], [])), 
+    function IsButtonUp (button) {
+      // FIXME
+      return false;
+    }
+  );
+
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Input.GamePadButtons", function ($) {
+  var buttonNames = [
+    "A", "B", "Back", "BigButton", 
+    "LeftShoulder", "LeftStick", "RightShoulder", "RightStick",
+    "Start", "X", "Y"
+  ];
+
+  var pressed = $xnaasms[0].Microsoft.Xna.Framework.Input.ButtonState.Pressed;
+  var released = $xnaasms[0].Microsoft.Xna.Framework.Input.ButtonState.Released;
+
+  for (var i = 0; i < buttonNames.length; i++) {
+    $.Method({Static:false, Public:true }, "get_" + buttonNames[i], 
+      (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Input.ButtonState"), [], [])), 
+      function () {
+        return released;
+      }
+    );
+  }
+
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Input.GamePadThumbSticks", function ($) {
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2")], [])), 
+    function _ctor (leftThumbstick, rightThumbstick) {
+      this._left = leftThumbstick;
+      this._right = rightThumbstick;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Left", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), [], [])), 
+    function get_Left () {
+      return this._left;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Right", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), [], [])), 
+    function get_Right () {
+      return this._right;
+    }
+  );
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.GraphicsDeviceManager", function ($) {
+  var mscorlib = JSIL.GetCorlib();
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$xnaasms.xnaGame.TypeRef("Microsoft.Xna.Framework.Game")], [])), 
+    function _ctor (game) {
+      this.game = game;
+      this.device = new Microsoft.Xna.Framework.Graphics.GraphicsDevice();
+      game.graphicsDeviceService = this;
+      game.graphicsDeviceManager = this;
+    }
+  );
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "get_GraphicsDevice", new JSIL.MethodSignature($jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), [], []), function () {
+    return this.device;
+  });
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "set_PreferredBackBufferWidth", new JSIL.MethodSignature(null, [$.Int32], []), function (value) {
+    this._width = value;
+  });
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "set_PreferredBackBufferHeight", new JSIL.MethodSignature(null, [$.Int32], []), function (value) {
+    this._height = value;
+  });
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.Viewport", function ($) {
+  var mscorlib = JSIL.GetCorlib();
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "get_X", new JSIL.MethodSignature($.Int32, [], []), function () {
+    return this._x;
+  });
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "get_Y", new JSIL.MethodSignature($.Int32, [], []), function () {
+    return this._y;
+  });
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "get_Width", new JSIL.MethodSignature($.Int32, [], []), function () {
+    return this._width;
+  });
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "get_Height", new JSIL.MethodSignature($.Int32, [], []), function () {
+    return this._height;
+  });
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "set_X", new JSIL.MethodSignature(null, [$.Int32], []), function (value) {
+    this._x = value;
+  });
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "set_Y", new JSIL.MethodSignature(null, [$.Int32], []), function (value) {
+    this._y = value;
+  });
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "set_Width", new JSIL.MethodSignature(null, [$.Int32], []), function (value) {
+    this._width = value;
+  });
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "set_Height", new JSIL.MethodSignature(null, [$.Int32], []), function (value) {
+    this._height = value;
+  });
+
+  $.Method({Static:false, Public:true }, "get_TitleSafeArea", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), [], [])), 
+    function get_TitleSafeArea () {
+      return new Microsoft.Xna.Framework.Rectangle(this._x, this._y, this._width, this._height);
+    }
+  );
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.GameTime", function ($) {
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      this.totalGameTime = new System.TimeSpan();
+      this.elapsedGameTime = new System.TimeSpan();
+      this.isRunningSlowly = false;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $xnaasms[5].TypeRef("System.TimeSpan"), $xnaasms[5].TypeRef("System.TimeSpan"), 
+          $.Boolean
+        ], [])), 
+    function _ctor (totalGameTime, elapsedGameTime, isRunningSlowly) {
+      this.totalGameTime = totalGameTime;
+      this.elapsedGameTime = elapsedGameTime;
+      this.isRunningSlowly = isRunningSlowly;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$xnaasms[5].TypeRef("System.TimeSpan"), $xnaasms[5].TypeRef("System.TimeSpan")], [])), 
+    function _ctor (totalGameTime, elapsedGameTime) {
+      this.totalGameTime = totalGameTime;
+      this.elapsedGameTime = elapsedGameTime;
+      this.isRunningSlowly = false;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_TotalGameTime", 
+    (new JSIL.MethodSignature($xnaasms[5].TypeRef("System.TimeSpan"), [], [])), 
+    function get_TotalGameTime () {
+      return this.totalGameTime;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_ElapsedGameTime", 
+    (new JSIL.MethodSignature($xnaasms[5].TypeRef("System.TimeSpan"), [], [])), 
+    function get_ElapsedGameTime () {
+      return this.elapsedGameTime;
+    }
+  );
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Rectangle", function ($) {
+  $.Method({
+    Static: true,
+    Public: true
+  }, ".cctor", new JSIL.MethodSignature(null, [], []), function () {
+    Microsoft.Xna.Framework.Rectangle._empty = new Microsoft.Xna.Framework.Rectangle();
+  });
+
+  $.Method({Static: true, Public: true}, "get_Empty", 
+    new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), [], []), 
+    function () {
+      return Microsoft.Xna.Framework.Rectangle._empty;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_Equality", 
+    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")], [])), 
+    function op_Equality (lhs, rhs) {
+      return lhs.X === rhs.X && lhs.Y === rhs.Y && lhs.Width === rhs.Width && lhs.Height === rhs.Height;
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_Inequality", 
+    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")], [])), 
+    function op_Inequality (lhs, rhs) {
+      return lhs.X !== rhs.X || lhs.Y !== rhs.Y || lhs.Width !== rhs.Width || lhs.Height !== rhs.Height;
+    }
+  );
+
+  var intersectImpl = function (lhs, rhs) {
+    var lhsX2 = lhs.X + lhs.Width;
+    var rhsX2 = rhs.X + rhs.Width;
+    var lhsY2 = lhs.Y + lhs.Height;
+    var rhsY2 = rhs.Y + rhs.Height;
+
+    var x1 = (lhs.X > rhs.X) ? lhs.X : rhs.X;
+    var y1 = (lhs.Y > rhs.Y) ? lhs.Y : rhs.Y;
+    var x2 = (lhsX2 < rhsX2) ? lhsX2 : rhsX2;
+    var y2 = (lhsY2 < rhsY2) ? lhsY2 : rhsY2;
+
+    if (x2 > x1 && y2 > y1) return new Microsoft.Xna.Framework.Rectangle(x1, y1, x2 - x1, y2 - y1);
+
+    return Microsoft.Xna.Framework.Rectangle._empty;
+  };
+
+  $.Method({Static:true , Public:true }, "Intersect", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")], [])), 
+    intersectImpl
+  );
+
+  $.Method({Static:true , Public:true }, "Intersect", 
+    (new JSIL.MethodSignature(null, [
+          $jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), $jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), 
+          $jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")])
+        ], [])), 
+    function Intersect (/* ref */ value1, /* ref */ value2, /* ref */ result) {
+      result.value = intersectImpl(value1.value, value2.value);
+    }
+  );
+
+  var unionImpl = function (lhs, rhs) {
+    var lhsX2 = lhs.X + lhs.Width;
+    var rhsX2 = rhs.X + rhs.Width;
+    var lhsY2 = lhs.Y + lhs.Height;
+    var rhsY2 = rhs.Y + rhs.Height;
+
+    var x1 = (lhs.X < rhs.X) ? lhs.X : rhs.X;
+    var y1 = (lhs.Y < rhs.Y) ? lhs.Y : rhs.Y;
+    var x2 = (lhsX2 > rhsX2) ? lhsX2 : rhsX2;
+    var y2 = (lhsY2 > rhsY2) ? lhsY2 : rhsY2;
+
+    if (x2 > x1 && y2 > y1) 
+      return new Microsoft.Xna.Framework.Rectangle(x1, y1, x2 - x1, y2 - y1);
+
+    return Microsoft.Xna.Framework.Rectangle._empty;
+  };
+
+  $.Method({Static:true , Public:true }, "Union", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")], [])), 
+    unionImpl
+  );
+
+  $.Method({Static:true , Public:true }, "Union", 
+    (new JSIL.MethodSignature(null, [
+          $jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), $jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), 
+          $jsilcore.TypeRef("JSIL.Reference", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")])
+        ], [])), 
+    function Union (/* ref */ value1, /* ref */ value2, /* ref */ result) {
+      result.value = unionImpl(value1.value, value2.value);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $.Int32, $.Int32, 
+          $.Int32, $.Int32
+        ], [])), 
+    function _ctor (x, y, width, height) {
+      this.X = x;
+      this.Y = y;
+      this.Width = width;
+      this.Height = height;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Contains", 
+    (new JSIL.MethodSignature($.Boolean, [$.Int32, $.Int32], [])), 
+    function Contains (x, y) {
+      return this.X <= x && 
+        x < this.X + this.Width && 
+        this.Y <= y && 
+        y < this.Y + this.Height;
+    }
+  );
+  $.Method({Static:false, Public:true }, "Contains", 
+    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point")], [])), 
+    function Contains (value) {
+      return this.X <= value.X && 
+        value.X < this.X + this.Width && 
+        this.Y <= value.Y && 
+        value.Y < this.Y + this.Height;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Contains", 
+    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")], [])), 
+    function Contains (value) {
+      return this.X <= value.X && 
+        value.X + value.Width <= this.X + this.Width && 
+        this.Y <= value.Y && 
+        value.Y + value.Height <= this.Y + this.Height;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Bottom", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_Bottom () {
+      return this.Y + this.Height;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Center", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point"), [], [])), 
+    function get_Center () {
+      return new Microsoft.Xna.Framework.Point(
+        Math.floor(this.X + (this.Width / 2)), 
+        Math.floor(this.Y + (this.Height / 2))
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Left", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_Left () {
+      return this.X;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Location", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point"), [], [])), 
+    function get_Location () {
+      return new Microsoft.Xna.Framework.Point(this.X, this.Y);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Right", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_Right () {
+      return this.X + this.Width;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_Top", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_Top () {
+      return this.Y;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Inflate", 
+    (new JSIL.MethodSignature(null, [$.Int32, $.Int32], [])), 
+    function Inflate (x, y) {
+      this.X -= x;
+      this.Y -= y;
+      this.Width += (x * 2);
+      this.Height += (y * 2);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Intersects", 
+    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")], [])), 
+    function Intersects (value) {
+      return value.X < this.X + this.Width && 
+              this.X < value.X + value.Width && 
+              value.Y < this.Y + this.Height && 
+              this.Y < value.Y + value.Height;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Offset", 
+    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point")], [])), 
+    function Offset (amount) {
+      this.X += amount.X;
+      this.Y += amount.Y;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Offset", 
+    (new JSIL.MethodSignature(null, [$.Int32, $.Int32], [])), 
+    function Offset (offsetX, offsetY) {
+      this.X += offsetX;
+      this.Y += offsetY;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "set_Location", 
+    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point")], [])), 
+    function set_Location (value) {
+      this.X = value.X;
+      this.Y = value.Y;
+
+      return value;
+    }
+  );
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Point", function ($) {
+  $.Method({
+    Static: true,
+    Public: true
+  }, ".cctor", new JSIL.MethodSignature(null, [], []), function () {
+    Microsoft.Xna.Framework.Point._zero = new Microsoft.Xna.Framework.Point();
+  });
+
+  $.Method({Static:true , Public:true }, "get_Zero", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point"), [], [])), 
+    function get_Zero () {
+      return Microsoft.Xna.Framework.Point._zero;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.Int32, $.Int32], [])), 
+    function _ctor (x, y) {
+      this.X = x;
+      this.Y = y;
+    }
+  );
+
+  var equalsImpl = function (lhs, rhs) {
+    return lhs.X === rhs.X && lhs.Y === rhs.Y;
+  };
+
+  $.Method({Static:true , Public:true }, "op_Equality", 
+    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point")], [])), 
+    equalsImpl
+  );
+
+  $.Method({Static:true , Public:true }, "op_Inequality", 
+    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point")], [])), 
+    function op_Inequality (a, b) {
+      return !equalsImpl(a, b);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Equals", 
+    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Point")], [])), 
+    function Equals (other) {
+      return equalsImpl(this, other);
+    }
+  );
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "Equals", new JSIL.MethodSignature(null, [], []), function (rhs) {
+    return this.X === rhs.X && this.Y === rhs.Y;
+  });
+});
+
+$jsilxna.makeColor = function (proto, r, g, b, a) {
+  var result = Object.create(proto);
+  result.r = r;
+  result.g = g;
+  result.b = b;
+
+  if (typeof (a) === "number") 
+    result.a = a;
+  else 
+    result.a = 255;
+
+  return result;
+};
+
+$jsilxna.Color = function ($) {
+  $.RawMethod(false, "__CopyMembers__", function Color_CopyMembers (source, target) {
+    target.a = source.a;
+    target.r = source.r;
+    target.g = source.g;
+    target.b = source.b;
+  });
+
+  $.Method({
+    Static: true,
+    Public: false
+  }, ".cctor", new JSIL.MethodSignature(null, [], []), function () {
+    var self = this;
+    var proto = this.prototype;
+    var makeColor = $jsilxna.makeColor;
+    var colors = $jsilxna.colors || [];
+
+    var bindColor = function (c) {
+        return function () {
+          return c;
+        };
+      };
+
+    var typeName1 = JSIL.ParseTypeName("Microsoft.Xna.Framework.Color,Microsoft.Xna.Framework");
+    var typeName2 = JSIL.ParseTypeName("Microsoft.Xna.Framework.Graphics.Color,Microsoft.Xna.Framework");
+
+    var context = JSIL.GetTypeInternal(typeName1, $jsilxna, false) || JSIL.GetTypeInternal(typeName2, $jsilxna, false);
+
+    var publicInterface = context.__PublicInterface__;
+
+    for (var i = 0, l = colors.length; i < l; i++) {
+      var colorName = colors[i][0];
+      var color = makeColor(proto, colors[i][1], colors[i][2], colors[i][3], colors[i][4]);
+
+      Object.defineProperty(publicInterface, "get_" + colorName, {
+        value: bindColor(color),
+        enumerable: true,
+        configurable: true
+      });
+
+      Object.defineProperty(publicInterface, colorName, {
+        value: color,
+        enumerable: true,
+        configurable: true
+      });
+    }
+  });
+
+  var ctorRgba = function (_, r, g, b, a) {
+      _.a = a;
+      _.r = r;
+      _.g = g;
+      _.b = b;
+    };
+
+  var ctorRgbaFloat = function (_, r, g, b, a) {
+      _.a = $jsilxna.ClampByte(a * 255);
+      _.r = $jsilxna.ClampByte(r * 255);
+      _.g = $jsilxna.ClampByte(g * 255);
+      _.b = $jsilxna.ClampByte(b * 255);
+    };
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $.Int32, $.Int32, 
+          $.Int32
+        ], [])), 
+    function _ctor (r, g, b) {
+      ctorRgba(this, r, g, b, 255);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $.Int32, $.Int32, 
+          $.Int32, $.Int32
+        ], [])), 
+    function _ctor (r, g, b, a) {
+      ctorRgba(this, r, g, b, a);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $.Single, $.Single, 
+          $.Single
+        ], [])), 
+    function _ctor (r, g, b) {
+      ctorRgbaFloat(this, r, g, b, 1);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $.Single, $.Single, 
+          $.Single, $.Single
+        ], [])), 
+    function _ctor (r, g, b, a) {
+      ctorRgbaFloat(this, r, g, b, a);
+    }
+  );
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, ".ctor", new JSIL.MethodSignature(null, [$xnaasms.xna.TypeRef("Microsoft.Xna.Framework.Vector3")], []), function (v) {
+    ctorRgbaFloat(this, v.X, x.Y, v.Z, 1.0);
+  });
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, ".ctor", new JSIL.MethodSignature(null, [$xnaasms.xna.TypeRef("Microsoft.Xna.Framework.Vector4")], []), function (v) {
+    ctorRgbaFloat(this, v.X, v.Y, v.Z, v.W);
+  });
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "get_A", new JSIL.MethodSignature($.Byte, [], []), function () {
+    return this.a;
+  });
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "get_B", new JSIL.MethodSignature($.Byte, [], []), function () {
+    return this.b;
+  });
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "get_G", new JSIL.MethodSignature($.Byte, [], []), function () {
+    return this.g;
+  });
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "get_R", new JSIL.MethodSignature($.Byte, [], []), function () {
+    return this.r;
+  });
+
+  $.Method({Static:false, Public:true }, "set_PackedValue", 
+    (new JSIL.MethodSignature(null, [$.UInt32], [])), 
+    function set_PackedValue (value) {
+      this._cachedCss = null;
+      this.a = (value >> 24) & 0xFF;
+      this.b = (value >> 16) & 0xFF;
+      this.g = (value >> 8) & 0xFF;
+      this.r = value & 0xFF;
+    }
+  );
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "set_A", new JSIL.MethodSignature(null, [$.Byte], []), function (value) {
+    this.a = $jsilxna.ClampByte(value);
+    this._cachedCss = null;
+  });
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "set_B", new JSIL.MethodSignature(null, [$.Byte], []), function (value) {
+    this.b = $jsilxna.ClampByte(value);
+    this._cachedCss = null;
+  });
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "set_G", new JSIL.MethodSignature(null, [$.Byte], []), function (value) {
+    this.g = $jsilxna.ClampByte(value);
+    this._cachedCss = null;
+  });
+
+  $.Method({
+    Static: false,
+    Public: true
+  }, "set_R", new JSIL.MethodSignature(null, [$.Byte], []), function (value) {
+    this.r = $jsilxna.ClampByte(value);
+    this._cachedCss = null;
+  });
+
+  var equalsImpl = function (lhs, rhs) {
+    return (lhs.r === rhs.r) && (lhs.g === rhs.g) &&
+      (lhs.b === rhs.b) && (lhs.a === rhs.a);
+  };
+
+  $.Method({Static:true , Public:true }, "op_Equality", 
+    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Color"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Color")], [])), 
+    function op_Equality (a, b) {
+      return equalsImpl(a, b);
+    }
+  );
+
+  $.Method({Static:true , Public:true }, "op_Inequality", 
+    (new JSIL.MethodSignature($.Boolean, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Color"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Color")], [])), 
+    function op_Inequality (a, b) {
+      return !equalsImpl(a, b);
+    }
+  );
+
+  $.Method({
+    Static: true,
+    Public: true
+  }, "op_Multiply", new JSIL.MethodSignature($.Type, [$.Type, $.Single], []), function (color, multiplier) {
+    var result = Object.create(Object.getPrototypeOf(color));
+    result.a = $jsilxna.ClampByte(color.a * multiplier);
+    result.r = $jsilxna.ClampByte(color.r * multiplier);
+    result.g = $jsilxna.ClampByte(color.g * multiplier);
+    result.b = $jsilxna.ClampByte(color.b * multiplier);
+    return result;
+  });
+
+  $.RawMethod(false, "toCss", function (alpha) {
+    if ((typeof(this._cachedCss) === "string") && (this._cachedAlpha === alpha)) {
+      return this._cachedCss;
+    }
+
+    var a = alpha || this.a;
+    if (a < 255) {
+      this._cachedAlpha = a;
+      return this._cachedCss = "rgba(" + this.r + "," + this.g + "," + this.b + "," + a + ")";
+    } else {
+      this._cachedAlpha = a;
+      return this._cachedCss = "rgb(" + this.r + "," + this.g + "," + this.b + ")";
+    }
+  });
+};
+
+$jsilxna.ClampByte = function (v) {
+  if (v < 0) return 0;
+  else if (v > 255) return 255;
+  else return Math.floor(v);
+}
+
+var $drawDebugRects = false, $drawDebugBoxes = false;
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.SpriteBatch", function ($) {
+  var $canvasDrawImage = function canvasDrawImage (image, sourceX, sourceY, sourceW, sourceH, positionX, positionY, destW, destH) {
+    this.device.context.drawImage(
+      image, sourceX, sourceY, sourceW, sourceH, positionX, positionY, destW, destH
+    );
+  }
+
+  $.RawMethod(false, "$canvasDrawImage", $canvasDrawImage);
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice")], [])), 
+    function _ctor (graphicsDevice) {
+      this.device = graphicsDevice;
+      this.defer = false;
+      this.deferSorter = null;
+      this.deferredDraws = [];
+      this.oldBlendState = null;
+      this.context = null;
+      this.transform = null;
+      this.enableSmoothing = null;
+    }
+  );
+
+  $.RawMethod(false, "$applyBlendState", function () {
+    if ((typeof (this.blendState) === "object") && (this.blendState !== null))
+      this.device.BlendState = this.blendState;
+    else
+      this.device.BlendState = Microsoft.Xna.Framework.Graphics.BlendState.AlphaBlend;
+  });
+
+  // Saves the state of the device's current context and applies the batch's transform and filtering to it.
+  //  The context is remembered so that End restores the same one, even if the render target changed in between.
+  $.RawMethod(false, "$saveContext", function () {
+    var context = this.context = this.device.context;
+    context.save();
+
+    var v = this.device.viewportTransform, m = this.transform;
+    if (v && m) {
+      context.setTransform(
+        (v[0] * m[0]) + (v[2] * m[1]), (v[1] * m[0]) + (v[3] * m[1]), 
+        (v[0] * m[2]) + (v[2] * m[3]), (v[1] * m[2]) + (v[3] * m[3]), 
+        (v[0] * m[4]) + (v[2] * m[5]) + v[4], (v[1] * m[4]) + (v[3] * m[5]) + v[5]
+      );
+    } else if (m) {
+      context.transform.apply(context, m);
+    }
+
+    if (this.enableSmoothing !== null)
+      context.mozImageSmoothingEnabled = context.webkitImageSmoothingEnabled = this.enableSmoothing;
+  });
+
+  $.RawMethod(false, "$restoreContext", function () {
+    this.context.restore();
+    this.context = null;
+  });
+
+  $.Method({Static:false, Public:true }, "Begin", 
+    (new JSIL.MethodSignature(null, [$xnaasms[5].TypeRef("System.Array") /* AnyType[] */ ], [])), 
+    function SpriteBatch_Begin (sortMode, blendState, samplerState, depthStencilState, rasterizerState, effect, transformMatrix) {
+      this.deferSorter = null;
+
+      this.blendState = blendState;
+
+      var textureIndex = 0;
+      var depthIndex = 16;
+
+      if (sortMode === Microsoft.Xna.Framework.Graphics.SpriteSortMode.Immediate) {
+        this.defer = false;
+        this.$applyBlendState();
+      } else if (sortMode === Microsoft.Xna.Framework.Graphics.SpriteSortMode.BackToFront) {
+        this.defer = true;
+        this.deferSorter = function (lhs, rhs) {
+          return -JSIL.CompareValues(lhs.arguments[depthIndex], rhs.arguments[depthIndex]);
+        };
+      } else if (sortMode === Microsoft.Xna.Framework.Graphics.SpriteSortMode.FrontToBack) {
+        this.defer = true;
+        this.deferSorter = function (lhs, rhs) {
+          return JSIL.CompareValues(lhs.arguments[depthIndex], rhs.arguments[depthIndex]);
+        };
+      } else if (sortMode === Microsoft.Xna.Framework.Graphics.SpriteSortMode.Texture) {
+        this.defer = true;
+        this.deferSorter = function (lhs, rhs) {
+          return JSIL.CompareValues(lhs.arguments[textureIndex], rhs.arguments[textureIndex]);
+        };
+      } else if (sortMode === Microsoft.Xna.Framework.Graphics.SpriteSortMode.Deferred) {
+        this.defer = true;
+      }
+
+      // Sprites are drawn in the XY plane, so only the 2D affine part of the matrix affects them.
+      if ((typeof (transformMatrix) === "object") && (transformMatrix !== null)) {
+        this.transform = [
+          transformMatrix.M11, transformMatrix.M12, 
+          transformMatrix.M21, transformMatrix.M22, 
+          transformMatrix.M41, transformMatrix.M42
+        ];
+      } else {
+        this.transform = null;
+      }
+
+      if (samplerState)
+        this.enableSmoothing = samplerState.get_Filter() != Microsoft.Xna.Framework.Graphics.TextureFilter.Point;
+      else
+        this.enableSmoothing = null;
+
+      this.$saveContext();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "End", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function SpriteBatch_End () {
+      if (this.defer) {
+        this.defer = false;
+
+        // Deferred sprites are drawn to whichever render target is set now.
+        if (this.device.context !== this.context) {
+          this.$restoreContext();
+          this.$saveContext();
+        }
+
+        this.$applyBlendState();
+
+        if (this.deferSorter !== null) 
+          this.deferredDraws.sort(this.deferSorter);
+
+        for (var i = 0, l = this.deferredDraws.length; i < l; i++) {
+          var draw = this.deferredDraws[i];
+          draw.fn.apply(this, draw.arguments);
+        }
       }
 
       this.deferredDraws = [];
 
-      this.device.context.restore();
+      this.$restoreContext();
+
+      this.$applyBlendState();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Draw", 
+    (new JSIL.MethodSignature(null, [
+          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Texture2D"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
+          $jsilxna.colorRef()
+        ], [])), 
+    function Draw (texture, position, color) {
+      this.InternalDraw(
+        texture, position.X, position.Y, texture.Width, texture.Height,
+        0, 0, texture.Width, texture.Height, 
+        color, 0, 
+        0, 0, 
+        1, 1, 
+        null, 0
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Draw", 
+    (new JSIL.MethodSignature(null, [
+          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Texture2D"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
+          $xnaasms[5].TypeRef("System.Nullable`1", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), $jsilxna.colorRef()
+        ], [])), 
+    function Draw (texture, position, sourceRectangle, color) {
+      var sourceX = 0, sourceY = 0, sourceWidth = 0, sourceHeight = 0;
+      if (sourceRectangle !== null) {
+        sourceX = sourceRectangle.X;
+        sourceY = sourceRectangle.Y;
+        sourceWidth = sourceRectangle.Width;
+        sourceHeight = sourceRectangle.Height;
+      } else {
+        sourceWidth = texture.Width;
+        sourceHeight = texture.Height;
+      }
+
+      this.InternalDraw(
+        texture, position.X, position.Y, sourceWidth, sourceHeight,
+        sourceX, sourceY, sourceWidth, sourceHeight,
+        color, 0,
+        0, 0, 
+        1, 1,
+        null, 0
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "DrawScaleF", 
+    (new JSIL.MethodSignature(null, [
+          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Texture2D"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
+          $xnaasms[5].TypeRef("System.Nullable`1", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), $jsilxna.colorRef(), 
+          $.Single, $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
+          $.Single, $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteEffects"), 
+          $.Single
+        ], [])), 
+    function DrawScaleF (texture, position, sourceRectangle, color, rotation, origin, scale, effects, layerDepth) {
+      var sourceX = 0, sourceY = 0, sourceWidth = 0, sourceHeight = 0;
+      if (sourceRectangle !== null) {
+        sourceX = sourceRectangle.X;
+        sourceY = sourceRectangle.Y;
+        sourceWidth = sourceRectangle.Width;
+        sourceHeight = sourceRectangle.Height;
+      } else {
+        sourceWidth = texture.Width;
+        sourceHeight = texture.Height;
+      }
+
+      this.InternalDraw(
+        texture, position.X, position.Y, sourceWidth, sourceHeight,
+        sourceX, sourceY, sourceWidth, sourceHeight, 
+        color, rotation, 
+        origin.X, origin.Y, 
+        scale, scale, 
+        effects, layerDepth
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "Draw", 
+    (new JSIL.MethodSignature(null, [
+          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Texture2D"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
+          $xnaasms[5].TypeRef("System.Nullable`1", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), $jsilxna.colorRef(), 
+          $.Single, $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
+          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteEffects"), 
+          $.Single
+        ], [])), 
+    function Draw (texture, position, sourceRectangle, color, rotation, origin, scale, effects, layerDepth) {
+      var sourceX = 0, sourceY = 0, sourceWidth = 0, sourceHeight = 0;
+      if (sourceRectangle !== null) {
+        sourceX = sourceRectangle.X;
+        sourceY = sourceRectangle.Y;
+        sourceWidth = sourceRectangle.Width;
+        sourceHeight = sourceRectangle.Height;
+      } else {
+        sourceWidth = texture.Width;
+        sourceHeight = texture.Height;
+      }
+
+      this.InternalDraw(
+        texture, position.X, position.Y, sourceWidth, sourceHeight,
+        sourceX, sourceY, sourceWidth, sourceHeight, 
+        color, rotation, 
+        origin.X, origin.Y, 
+        scale.X, scale.Y, 
+        effects, layerDepth
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "DrawRect", 
+    (new JSIL.MethodSignature(null, [
+          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Texture2D"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), 
+          $jsilxna.colorRef()
+        ], [])), 
+    function DrawRect (texture, destinationRectangle, color) {
+      this.InternalDraw(
+        texture, destinationRectangle.X, destinationRectangle.Y, destinationRectangle.Width, destinationRectangle.Height, 
+        0, 0, texture.Width, texture.Height,
+        color, 0, 
+        0, 0, 
+        1, 1,
+        null, 0
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "DrawRect", 
+    (new JSIL.MethodSignature(null, [
+          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Texture2D"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), 
+          $xnaasms[5].TypeRef("System.Nullable`1", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), $jsilxna.colorRef()
+        ], [])), 
+    function DrawRect (texture, destinationRectangle, sourceRectangle, color) {
+      var sourceX = 0, sourceY = 0, sourceWidth = 0, sourceHeight = 0;
+      if (sourceRectangle !== null) {
+        sourceX = sourceRectangle.X;
+        sourceY = sourceRectangle.Y;
+        sourceWidth = sourceRectangle.Width;
+        sourceHeight = sourceRectangle.Height;
+      } else {
+        sourceWidth = texture.Width;
+        sourceHeight = texture.Height;
+      }
+
+      this.InternalDraw(
+        texture, destinationRectangle.X, destinationRectangle.Y, destinationRectangle.Width, destinationRectangle.Height, 
+        sourceX, sourceY, sourceWidth, sourceHeight, 
+        color, 0, 
+        0, 0, 
+        1, 1, 
+        null, 0
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "DrawRect", 
+    (new JSIL.MethodSignature(null, [
+          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Texture2D"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), 
+          $xnaasms[5].TypeRef("System.Nullable`1", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), $jsilxna.colorRef(), 
+          $.Single, $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
+          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteEffects"), $.Single
+        ], [])), 
+    function DrawRect (texture, destinationRectangle, sourceRectangle, color, rotation, origin, effects, layerDepth) {
+      var sourceX = 0, sourceY = 0, sourceWidth = 0, sourceHeight = 0;
+      if (sourceRectangle !== null) {
+        sourceX = sourceRectangle.X;
+        sourceY = sourceRectangle.Y;
+        sourceWidth = sourceRectangle.Width;
+        sourceHeight = sourceRectangle.Height;
+      } else {
+        sourceWidth = texture.Width;
+        sourceHeight = texture.Height;
+      }
+
+      this.InternalDraw(
+        texture, destinationRectangle.X, destinationRectangle.Y, destinationRectangle.Width, destinationRectangle.Height, 
+        sourceX, sourceY, sourceWidth, sourceHeight, 
+        color, rotation, 
+        origin.X, origin.Y, 
+        1, 1, 
+        effects, layerDepth
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "DrawString", 
+    (new JSIL.MethodSignature(null, [
+          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteFont"), $.String, 
+          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $jsilxna.colorRef()
+        ], [])), 
+    function DrawString (spriteFont, text, position, color) {
+      this.InternalDrawString(
+        spriteFont, text, 
+        position.X, position.Y,
+        color, 0,
+        0, 0,
+        1, 1, 
+        null, 0
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "DrawStringBuilder", 
+    (new JSIL.MethodSignature(null, [
+          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteFont"), $xnaasms[5].TypeRef("System.Text.StringBuilder"), 
+          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $jsilxna.colorRef()
+        ], [])), 
+    function DrawStringBuilder (spriteFont, text, position, color) {
+      this.InternalDrawString(
+        spriteFont, text.toString(), 
+        position.X, position.Y,
+        color, 0,
+        0, 0,
+        1, 1, 
+        null, 0
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "DrawStringScaleF", 
+    (new JSIL.MethodSignature(null, [
+          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteFont"), $.String, 
+          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $jsilxna.colorRef(), 
+          $.Single, $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
+          $.Single, $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteEffects"), 
+          $.Single
+        ], [])), 
+    function DrawStringScaleF (spriteFont, text, position, color, rotation, origin, scale, effects, layerDepth) {
+      this.InternalDrawString(
+        spriteFont, text, 
+        position.X, position.Y, 
+        color, rotation,
+        origin.X, origin.Y,
+        scale, scale, 
+        effects, layerDepth
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "DrawStringBuilderScaleF", 
+    (new JSIL.MethodSignature(null, [
+          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteFont"), $xnaasms[5].TypeRef("System.Text.StringBuilder"), 
+          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $jsilxna.colorRef(), 
+          $.Single, $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
+          $.Single, $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteEffects"), 
+          $.Single
+        ], [])), 
+    function DrawStringBuilderScaleF (spriteFont, text, position, color, rotation, origin, scale, effects, layerDepth) {
+      this.InternalDrawString(
+        spriteFont, text.toString(), 
+        position.X, position.Y, 
+        color, rotation,
+        origin.X, origin.Y,
+        scale, scale, 
+        effects, layerDepth
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "DrawString", 
+    (new JSIL.MethodSignature(null, [
+          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteFont"), $.String, 
+          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $jsilxna.colorRef(), 
+          $.Single, $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
+          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteEffects"), 
+          $.Single
+        ], [])), 
+    function DrawString (spriteFont, text, position, color, rotation, origin, scale, effects, layerDepth) {
+      this.InternalDrawString(
+        spriteFont, text, 
+        position.X, position.Y, 
+        color, rotation,
+        origin.X, origin.Y,
+        scale.X, scale.Y, 
+        effects, layerDepth
+      );
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "DrawStringBuilder", 
+    (new JSIL.MethodSignature(null, [
+          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteFont"), $xnaasms[5].TypeRef("System.Text.StringBuilder"), 
+          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $jsilxna.colorRef(), 
+          $.Single, $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
+          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteEffects"), 
+          $.Single
+        ], [])), 
+    function DrawStringBuilder (spriteFont, text, position, color, rotation, origin, scale, effects, layerDepth) {
+      this.InternalDrawString(
+        spriteFont, text.toString(), 
+        position.X, position.Y, 
+        color, rotation,
+        origin.X, origin.Y,
+        scale.X, scale.Y, 
+        effects, layerDepth
+      );
+    }
+  );
+
+  $.RawMethod(false, "InternalDraw", 
+    function SpriteBatch_InternalDraw (
+      texture, positionX, positionY, width, height, 
+      sourceX, sourceY, sourceW, sourceH, 
+      color, rotation, 
+      originX, originY, 
+      scaleX, scaleY, 
+      effects, depth
+    ) {
+      if (this.defer) {
+        color = color.MemberwiseClone();
+
+        this.deferredDraws.push({
+          fn: this.InternalDraw,
+          index: this.deferredDraws.length,
+          arguments: [
+            texture, positionX, positionY, width, height, 
+            sourceX, sourceY, sourceW, sourceH, 
+            color, rotation, 
+            originX, originY, 
+            scaleX, scaleY, 
+            effects, depth
+          ]
+        });
+
+        return;
+      }
+
+      var needRestore = false;
+      var image = texture.image,
+        originalImage = texture.image;
+
+      var _spriteEffects = Microsoft.Xna.Framework.Graphics.SpriteEffects;
+      var flipHorizontally = _spriteEffects.FlipHorizontally;
+      var flipVertically = _spriteEffects.FlipVertically;
+
+      effects = effects || _spriteEffects.None;
+
+      if ((effects & flipHorizontally) == flipHorizontally) {
+        if (!needRestore) 
+          this.device.context.save();
+        needRestore = true;
+
+        this.device.context.scale(-1, 1);
+        positionX = -positionX;
+      }
+
+      if ((effects & flipVertically) == flipVertically) {
+        if (!needRestore) 
+          this.device.context.save();
+        needRestore = true;
+
+        this.device.context.scale(1, -1);
+        positionY = -positionY;
+      }
+
+      positionX -= originX;
+      positionY -= originY;
+
+      if (sourceX < 0) {
+        sourceW += sourceX;
+        sourceX = 0;
+      }
+      if (sourceY < 0) {
+        sourceH += sourceY;
+        sourceY = 0;
+      }
+      if (sourceW > texture.Width - sourceX) 
+        sourceW = texture.Width - sourceX;
+      if (sourceH > texture.Height - sourceY) 
+        sourceH = texture.Height - sourceY;
+
+      var isSinglePixel = ((sourceX === 0) && (sourceY === 0) && (sourceW === 1) && (sourceH === 1));
+      var channels = null;
+
+      var colorR = (color.r) / 255;
+      var colorG = (color.g) / 255;
+      var colorB = (color.b) / 255;
+      var colorA = color.a / 255;
+
+      if (colorA <= 0) {
+        if (needRestore) 
+          this.device.context.restore();
+
+        return;
+      }
+
+      var isWebGL = this.device.context.isWebGL || false;
+
+      if (!isSinglePixel && !isWebGL) {
+        // Since the color is premultiplied, any r/g/b value >= alpha is basically white.
+        if ((colorR < colorA) || (colorG < colorA) || (colorB < colorA)) {
+          channels = $jsilxna.getImageChannels(image);
+        }
+      }
+
+      // Negative width/height cause an exception in Firefox
+      if (width < 0) {
+        if (!needRestore) 
+          this.device.context.save();
+        needRestore = true;
+
+        this.device.context.scale(-1, 1);
+        positionX = -positionX;
+        width = -width;
+      }
+      if (height < 0) {
+        if (!needRestore) 
+          this.device.context.save();
+        needRestore = true;
+
+        this.device.context.scale(1, -1);
+        positionY = -positionY;
+        height = -height;
+      }
+
+      if ((rotation !== 0) && (Math.abs(rotation) >= 0.0001)) {
+        if (!needRestore) 
+          this.device.context.save();
+        needRestore = true;
+
+        this.device.context.translate(positionX + originX, positionY + originY);
+        this.device.context.rotate(rotation);
+        this.device.context.translate(-positionX - originX, -positionY - originY);
+      }
+
+      if ((scaleX !== 1.0) || (scaleY !== 1.0)) {
+        if (!needRestore) 
+          this.device.context.save();
+        needRestore = true;
+
+        this.device.context.translate(positionX + originX, positionY + originY);
+        this.device.context.scale(scaleX, scaleY);
+        this.device.context.translate(-positionX - originX, -positionY - originY);
+      }
+
+      // 0x0 blits cause an exception in IE
+      if (
+        (width > 0) && (height > 0) && 
+        (sourceW > 0) && (sourceH > 0)
+      ) {
+        if ($drawDebugRects) {
+          if (!needRestore)
+            this.device.context.save();
+          needRestore = true;
+
+          this.device.context.fillStyle = "rgba(255, 0, 0, 0.33)";
+          this.device.context.fillRect(
+            positionX, positionY, width, height
+          );
+        }
+
+        if ($drawDebugBoxes) {
+          if (!needRestore) 
+            this.device.context.save();
+          needRestore = true;
+
+          this.device.context.strokeStyle = "rgba(255, 255, 0, 0.66)";
+          this.device.context.strokeRect(
+            positionX, positionY, width, height
+          );
+        }
+
+        if (isSinglePixel) {
+          if (!needRestore) 
+            this.device.context.save();
+          needRestore = true;
+
+          var topLeftPixelText = $jsilxna.getImageTopLeftPixel(originalImage);
+          var topLeftPixel = topLeftPixelText.split(",");
+
+          var unpremultiplyFactor = 1 / colorA;
+
+          var imageColor = "rgba(" + 
+            $jsilxna.ClampByte(parseFloat(topLeftPixel[0] * colorR * unpremultiplyFactor)) + ", " + 
+            $jsilxna.ClampByte(parseFloat(topLeftPixel[1] * colorG * unpremultiplyFactor)) + ", " + 
+            $jsilxna.ClampByte(parseFloat(topLeftPixel[2] * colorB * unpremultiplyFactor)) + ", " + 
+            topLeftPixel[3] + 
+          ")";
+
+          this.device.context.globalAlpha = colorA;
+          this.device.context.fillStyle = imageColor;
+          this.device.context.fillRect(
+            positionX, positionY, width, height
+          );
+        } else {
+          if (channels !== null) {
+            if (!needRestore)
+              this.device.context.save();
+            needRestore = true;
+
+            var alpha = colorA;
+
+            var compositeOperation = this.device.context.globalCompositeOperation;
+            if (compositeOperation !== "lighter") {
+              this.device.context.globalCompositeOperation = "source-over";
+              this.device.context.globalAlpha = alpha;
+              this.$canvasDrawImage(
+                channels.a, sourceX + 1, sourceY + 1, sourceW, sourceH, 
+                positionX, positionY, width, height
+              );
+            }
+
+            this.device.context.globalCompositeOperation = "lighter";
+
+            if (colorR > 0) {
+              this.device.context.globalAlpha = colorR;
+              this.$canvasDrawImage(
+                channels.r, sourceX + 1, sourceY + 1, sourceW, sourceH, 
+                positionX, positionY, width, height
+              );
+            }
+
+            if (colorG > 0) {
+              this.device.context.globalAlpha = colorG;
+              this.$canvasDrawImage(
+                channels.g, sourceX + 1, sourceY + 1, sourceW, sourceH, 
+                positionX, positionY, width, height
+              );
+            }
+
+            if (colorB > 0) {
+              this.device.context.globalAlpha = colorB;
+              this.$canvasDrawImage(
+                channels.b, sourceX + 1, sourceY + 1, sourceW, sourceH, 
+                positionX, positionY, width, height
+              );
+            }
+
+            this.device.context.globalCompositeOperation = compositeOperation;
+          } else {
+            if (isWebGL) {
+              this.device.context.drawImage(
+                image, sourceX, sourceY, sourceW, sourceH, 
+                positionX, positionY, width, height, 
+                colorR, colorG, colorB, colorA
+              );
+            } else {
+              if (colorA < 1) {
+                if (!needRestore)
+                  this.device.context.save();
+                needRestore = true;
+
+                this.device.context.globalAlpha = colorA;
+              }
+
+              this.$canvasDrawImage(
+                image, sourceX, sourceY, sourceW, sourceH, positionX, positionY, width, height
+              );
+            }
+          }
+        }
+      }
+
+      if (needRestore) 
+        this.device.context.restore();
+    }
+  );
+
+  $.RawMethod(false, "InternalDrawString", 
+  function SpriteBatch_InternalDrawString (
+    font, text, 
+    positionX, positionY, 
+    color, rotation,
+    originX, originY,
+    scaleX, scaleY, 
+    effects, depth
+  ) {
+    if (this.defer) {
+      color = color.MemberwiseClone();
+
+      var args = [
+        font, text, 
+        positionX, positionY, 
+        color, rotation,
+        originX, originY,
+        scaleX, scaleY, 
+        effects, depth
+      ];
+
+      // Hack so depth sorting works
+      args[16] = depth;
+
+      this.deferredDraws.push({
+        fn: this.InternalDrawString,
+        index: this.deferredDraws.length,
+        arguments: args
+      });
+
+      return;
+    }
+
+    var asmGraphics = $xnaasms.xnaGraphics || $xnaasms.xna;
+    var tSpriteFont = asmGraphics.Microsoft.Xna.Framework.Graphics.SpriteFont;
+
+    if (Object.getPrototypeOf(font) === tSpriteFont.prototype) {
+      return font.InternalDraw(
+        text, this, 
+        positionX, positionY, 
+        color, rotation,
+        originX, originY, 
+        scaleX, scaleY, 
+        effects, depth
+      );
+    }
+
+    var needRestore = false;
+
+    effects = effects || Microsoft.Xna.Framework.Graphics.SpriteEffects.None;
+
+    if ((effects & Microsoft.Xna.Framework.Graphics.SpriteEffects.FlipHorizontally) == Microsoft.Xna.Framework.Graphics.SpriteEffects.FlipHorizontally) {
+      if (!needRestore) this.device.context.save();
+        needRestore = true;
+
+      this.device.context.scale(-1, 1);
+      positionX = -positionX;
+    }
+
+    if ((effects & Microsoft.Xna.Framework.Graphics.SpriteEffects.FlipVertically) == Microsoft.Xna.Framework.Graphics.SpriteEffects.FlipVertically) {
+      if (!needRestore) this.device.context.save();
+        needRestore = true;
+
+      this.device.context.scale(1, -1);
+      positionY = -positionY;
+    }
+
+    this.device.context.textBaseline = "top";
+    this.device.context.textAlign = "start";
+
+    var fontCss = font.toCss(scaleX || 1.0);
+    this.device.context.font = fontCss;
+
+    if (this.device.context.font != fontCss) {
+      // We failed to set the font onto the context; this may mean that the font failed to load.
+      var hasWarned = font.$warnedAboutSetFailure || false;
+      if (!hasWarned) {
+        font.$warnedAboutSetFailure = true;
+        JSIL.Host.warning("Failed to set font '" + font + "' onto canvas context for rendering.");
+      }
+    }
+
+    this.device.context.fillStyle = color.toCss();
+
+    var lines = text.split("\n");
+    for (var i = 0, l = lines.length; i < l; i++) {
+      this.device.context.fillText(lines[i], positionX, positionY);
+      positionY += font.LineSpacing;
+    }
+
+    if (needRestore) 
+      this.device.context.restore();
+  });
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Storage.StorageContainer", function ($) {
+  $.Method({
+    Static: false,
+    Public: true
+  }, "get_TitleLocation", new JSIL.MethodSignature(null, [], []), function () {
+    return JSIL.Host.getRootDirectory();
+  });
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.GraphicsDevice", function ($) {
+  $.Method({
+    Static: false,
+    Public: true
+  }, ".ctor", new JSIL.MethodSignature(null, [], []), function () {
+    this.originalCanvas = this.canvas = JSIL.Host.getCanvas();
+    this.renderTarget = null;
+
+    this.originalWidth = this.canvas.width;
+    this.originalHeight = this.canvas.height;
+
+    this.originalContext = this.context = $jsilxna.get2DContext(this.canvas, true);
+
+    this.viewport = new Microsoft.Xna.Framework.Graphics.Viewport();
+    this.viewport.Width = this.canvas.width;
+    this.viewport.Height = this.canvas.height;
+    this.blendState = Microsoft.Xna.Framework.Graphics.BlendState.AlphaBlend;
+    this.samplerStates = new Microsoft.Xna.Framework.Graphics.SamplerStateCollection(this, 0, 4);
+    this.vertexSamplerStates = new Microsoft.Xna.Framework.Graphics.SamplerStateCollection(this, 0, 4);
+    this.textures = new Microsoft.Xna.Framework.Graphics.TextureCollection(this, 0, 4);
+    this.vertexTextures = new Microsoft.Xna.Framework.Graphics.TextureCollection(this, 0, 4);
+    this.presentationParameters = JSIL.CreateInstanceOfType(
+      Microsoft.Xna.Framework.Graphics.PresentationParameters.__Type__, 
+      "$internalCtor", [this]
+    );
+
+    this.displayMode = new $jsilxna.CurrentDisplayMode(this);
+
+    // XNA3 has no state objects for depth and rasterization.
+    var tDepthStencilState = Microsoft.Xna.Framework.Graphics.DepthStencilState;
+    var tRasterizerState = Microsoft.Xna.Framework.Graphics.RasterizerState;
+    this.depthStencilState = tDepthStencilState ? tDepthStencilState.Default : null;
+    this.rasterizerState = tRasterizerState ? tRasterizerState.CullCounterClockwise : null;
+    this.scissorRectangle = new Microsoft.Xna.Framework.Rectangle(0, 0, this.canvas.width, this.canvas.height);
+
+    this.vertexBuffer = null;
+    this.vertexOffset = 0;
+    this.indices = null;
+    this.shaderProgram = null;
+    this.shaderPrograms = {};
+    this.wireframeIndexBuffer = null;
+
+    this.$UpdateBlendState();
+    this.$UpdateViewport();
+  });
+
+  $.Method({Static:false, Public:true }, "get_Viewport", 
+    (new JSIL.MethodSignature($jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Viewport"), [], [])), 
+    function get_Viewport () {
+      return this.viewport;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "set_Viewport", 
+    (new JSIL.MethodSignature(null, [$jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Viewport")], [])), 
+    function set_Viewport (value) {
+      this.viewport = newViewport.MemberwiseClone();
+
+      this.$UpdateViewport();
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_BlendState", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.BlendState"), [], [])), 
+    function get_BlendState () {
+      return this.blendState;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_DisplayMode", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.DisplayMode"), [], [])), 
+    function get_DisplayMode () {
+      return this.displayMode;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_PresentationParameters", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.PresentationParameters"), [], [])), 
+    function get_PresentationParameters () {
+      return this.presentationParameters;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "get_SamplerStates", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.SamplerStateCollection"), [], [])), 
+    function get_SamplerStates () {
+      return this.samplerStates;
+    }
+  );
 
-      this.$applyBlendState();
+  $.Method({Static:false, Public:true }, "get_VertexSamplerStates", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.SamplerStateCollection"), [], [])), 
+    function get_VertexSamplerStates () {
+      return this.vertexSamplerStates;
     }
   );
 
-  $.Method({Static:false, Public:true }, "Draw", 
-    (new JSIL.MethodSignature(null, [
-          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Texture2D"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
-          $jsilxna.colorRef()
-        ], [])), 
-    function Draw (texture, position, color) {
-      this.InternalDraw(
-        texture, position.X, position.Y, texture.Width, texture.Height,
-        0, 0, texture.Width, texture.Height, 
-        color, 0, 
-        0, 0, 
-        1, 1, 
-        null, 0
-      );
+  $.Method({Static:false, Public:true }, "get_Textures", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.TextureCollection"), [], [])), 
+    function get_Textures () {
+      return this.textures;
     }
   );
 
-  $.Method({Static:false, Public:true }, "Draw", 
-    (new JSIL.MethodSignature(null, [
-          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Texture2D"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
-          $xnaasms[5].TypeRef("System.Nullable`1", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), $jsilxna.colorRef()
-        ], [])), 
-    function Draw (texture, position, sourceRectangle, color) {
-      var sourceX = 0, sourceY = 0, sourceWidth = 0, sourceHeight = 0;
-      if (sourceRectangle !== null) {
-        sourceX = sourceRectangle.X;
-        sourceY = sourceRectangle.Y;
-        sourceWidth = sourceRectangle.Width;
-        sourceHeight = sourceRectangle.Height;
-      } else {
-        sourceWidth = texture.Width;
-        sourceHeight = texture.Height;
-      }
+  $.Method({Static:false, Public:true }, "get_VertexTextures", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.TextureCollection"), [], [])), 
+    function get_VertexTextures () {
+      return this.vertexTextures;
+    }
+  );
 
-      this.InternalDraw(
-        texture, position.X, position.Y, sourceWidth, sourceHeight,
-        sourceX, sourceY, sourceWidth, sourceHeight,
-        color, 0,
-        0, 0, 
-        1, 1,
-        null, 0
-      );
+  $.Method({Static:false, Public:true }, "set_BlendState", 
+    (new JSIL.MethodSignature(null, [$xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.BlendState")], [])), 
+    function set_BlendState (value) {
+      this.blendState = value;
+      this.$UpdateBlendState();
     }
   );
 
-  $.Method({Static:false, Public:true }, "DrawScaleF", 
-    (new JSIL.MethodSignature(null, [
-          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Texture2D"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
-          $xnaasms[5].TypeRef("System.Nullable`1", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), $jsilxna.colorRef(), 
-          $.Single, $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
-          $.Single, $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteEffects"), 
-          $.Single
-        ], [])), 
-    function DrawScaleF (texture, position, sourceRectangle, color, rotation, origin, scale, effects, layerDepth) {
-      var sourceX = 0, sourceY = 0, sourceWidth = 0, sourceHeight = 0;
-      if (sourceRectangle !== null) {
-        sourceX = sourceRectangle.X;
-        sourceY = sourceRectangle.Y;
-        sourceWidth = sourceRectangle.Width;
-        sourceHeight = sourceRectangle.Height;
-      } else {
-        sourceWidth = texture.Width;
-        sourceHeight = texture.Height;
-      }
+  $.Method({Static:false, Public:true }, "get_DepthStencilState", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.DepthStencilState"), [], [])), 
+    function get_DepthStencilState () {
+      return this.depthStencilState;
+    }
+  );
 
-      this.InternalDraw(
-        texture, position.X, position.Y, sourceWidth, sourceHeight,
-        sourceX, sourceY, sourceWidth, sourceHeight, 
-        color, rotation, 
-        origin.X, origin.Y, 
-        scale, scale, 
-        effects, layerDepth
-      );
+  $.Method({Static:false, Public:true }, "set_DepthStencilState", 
+    (new JSIL.MethodSignature(null, [$xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.DepthStencilState")], [])), 
+    function set_DepthStencilState (value) {
+      if (value === null)
+        throw new System.ArgumentNullException("value");
+
+      this.depthStencilState = value;
     }
   );
 
-  $.Method({Static:false, Public:true }, "Draw", 
-    (new JSIL.MethodSignature(null, [
-          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Texture2D"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
-          $xnaasms[5].TypeRef("System.Nullable`1", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), $jsilxna.colorRef(), 
-          $.Single, $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
-          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteEffects"), 
-          $.Single
-        ], [])), 
-    function Draw (texture, position, sourceRectangle, color, rotation, origin, scale, effects, layerDepth) {
-      var sourceX = 0, sourceY = 0, sourceWidth = 0, sourceHeight = 0;
-      if (sourceRectangle !== null) {
-        sourceX = sourceRectangle.X;
-        sourceY = sourceRectangle.Y;
-        sourceWidth = sourceRectangle.Width;
-        sourceHeight = sourceRectangle.Height;
-      } else {
-        sourceWidth = texture.Width;
-        sourceHeight = texture.Height;
-      }
+  $.Method({Static:false, Public:true }, "get_RasterizerState", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.RasterizerState"), [], [])), 
+    function get_RasterizerState () {
+      return this.rasterizerState;
+    }
+  );
 
-      this.InternalDraw(
-        texture, position.X, position.Y, sourceWidth, sourceHeight,
-        sourceX, sourceY, sourceWidth, sourceHeight, 
-        color, rotation, 
-        origin.X, origin.Y, 
-        scale.X, scale.Y, 
-        effects, layerDepth
-      );
+  $.Method({Static:false, Public:true }, "set_RasterizerState", 
+    (new JSIL.MethodSignature(null, [$xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.RasterizerState")], [])), 
+    function set_RasterizerState (value) {
+      if (value === null)
+        throw new System.ArgumentNullException("value");
+
+      this.rasterizerState = value;
     }
   );
 
-  $.Method({Static:false, Public:true }, "DrawRect", 
-    (new JSIL.MethodSignature(null, [
-          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Texture2D"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), 
-          $jsilxna.colorRef()
-        ], [])), 
-    function DrawRect (texture, destinationRectangle, color) {
-      this.InternalDraw(
-        texture, destinationRectangle.X, destinationRectangle.Y, destinationRectangle.Width, destinationRectangle.Height, 
-        0, 0, texture.Width, texture.Height,
-        color, 0, 
-        0, 0, 
-        1, 1,
-        null, 0
-      );
+  $.Method({Static:false, Public:true }, "get_ScissorRectangle", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), [], [])), 
+    function get_ScissorRectangle () {
+      return this.scissorRectangle.MemberwiseClone();
     }
   );
 
-  $.Method({Static:false, Public:true }, "DrawRect", 
-    (new JSIL.MethodSignature(null, [
-          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Texture2D"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), 
-          $xnaasms[5].TypeRef("System.Nullable`1", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), $jsilxna.colorRef()
-        ], [])), 
-    function DrawRect (texture, destinationRectangle, sourceRectangle, color) {
-      var sourceX = 0, sourceY = 0, sourceWidth = 0, sourceHeight = 0;
-      if (sourceRectangle !== null) {
-        sourceX = sourceRectangle.X;
-        sourceY = sourceRectangle.Y;
-        sourceWidth = sourceRectangle.Width;
-        sourceHeight = sourceRectangle.Height;
-      } else {
-        sourceWidth = texture.Width;
-        sourceHeight = texture.Height;
-      }
+  $.Method({Static:false, Public:true }, "set_ScissorRectangle", 
+    (new JSIL.MethodSignature(null, [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")], [])), 
+    function set_ScissorRectangle (value) {
+      this.scissorRectangle = value.MemberwiseClone();
+    }
+  );
 
-      this.InternalDraw(
-        texture, destinationRectangle.X, destinationRectangle.Y, destinationRectangle.Width, destinationRectangle.Height, 
-        sourceX, sourceY, sourceWidth, sourceHeight, 
-        color, 0, 
-        0, 0, 
-        1, 1, 
-        null, 0
-      );
+  $.Method({Static:false, Public:true }, "SetVertexBuffer", 
+    (new JSIL.MethodSignature(null, [$xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.VertexBuffer")], [])), 
+    function SetVertexBuffer (vertexBuffer) {
+      this.vertexBuffer = vertexBuffer;
+      this.vertexOffset = 0;
     }
   );
 
-  $.Method({Static:false, Public:true }, "DrawRect", 
-    (new JSIL.MethodSignature(null, [
-          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Texture2D"), $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle"), 
-          $xnaasms[5].TypeRef("System.Nullable`1", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), $jsilxna.colorRef(), 
-          $.Single, $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
-          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteEffects"), $.Single
-        ], [])), 
-    function DrawRect (texture, destinationRectangle, sourceRectangle, color, rotation, origin, effects, layerDepth) {
-      var sourceX = 0, sourceY = 0, sourceWidth = 0, sourceHeight = 0;
-      if (sourceRectangle !== null) {
-        sourceX = sourceRectangle.X;
-        sourceY = sourceRectangle.Y;
-        sourceWidth = sourceRectangle.Width;
-        sourceHeight = sourceRectangle.Height;
-      } else {
-        sourceWidth = texture.Width;
-        sourceHeight = texture.Height;
-      }
+  $.Method({Static:false, Public:true }, "SetVertexBuffer", 
+    (new JSIL.MethodSignature(null, [$xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.VertexBuffer"), $.Int32], [])), 
+    function SetVertexBuffer (vertexBuffer, vertexOffset) {
+      if ((vertexBuffer !== null) && ((vertexOffset < 0) || (vertexOffset >= vertexBuffer.vertexCount)))
+        throw new System.ArgumentOutOfRangeException("vertexOffset");
 
-      this.InternalDraw(
-        texture, destinationRectangle.X, destinationRectangle.Y, destinationRectangle.Width, destinationRectangle.Height, 
-        sourceX, sourceY, sourceWidth, sourceHeight, 
-        color, rotation, 
-        origin.X, origin.Y, 
-        1, 1, 
-        effects, layerDepth
-      );
+      this.vertexBuffer = vertexBuffer;
+      this.vertexOffset = vertexOffset;
     }
   );
 
-  $.Method({Static:false, Public:true }, "DrawString", 
-    (new JSIL.MethodSignature(null, [
-          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteFont"), $.String, 
-          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $jsilxna.colorRef()
-        ], [])), 
-    function DrawString (spriteFont, text, position, color) {
-      this.InternalDrawString(
-        spriteFont, text, 
-        position.X, position.Y,
-        color, 0,
-        0, 0,
-        1, 1, 
-        null, 0
-      );
+  $.Method({Static:false, Public:true }, "get_Indices", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.IndexBuffer"), [], [])), 
+    function get_Indices () {
+      return this.indices;
     }
   );
 
-  $.Method({Static:false, Public:true }, "DrawStringBuilder", 
-    (new JSIL.MethodSignature(null, [
-          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteFont"), $xnaasms[5].TypeRef("System.Text.StringBuilder"), 
-          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $jsilxna.colorRef()
-        ], [])), 
-    function DrawStringBuilder (spriteFont, text, position, color) {
-      this.InternalDrawString(
-        spriteFont, text.toString(), 
-        position.X, position.Y,
-        color, 0,
-        0, 0,
-        1, 1, 
-        null, 0
+  $.Method({Static:false, Public:true }, "set_Indices", 
+    (new JSIL.MethodSignature(null, [$xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.IndexBuffer")], [])), 
+    function set_Indices (value) {
+      this.indices = value;
+    }
+  );
+
+  // Effects call this when a pass is applied, with a program returned by $getShaderProgram.
+  $.RawMethod(false, "$setShaderProgram", function (shaderProgram) {
+    this.shaderProgram = shaderProgram;
+  });
+
+  // Compiles and links a program the first time its key is requested. Vertex attributes are named
+  //  after the usage and usage index of the element they read (like "Position0"), so that draw calls
+  //  can match them to the vertex declaration.
+  $.RawMethod(false, "$getShaderProgram", function (key, vertexSource, fragmentSource) {
+    if (this.shaderPrograms[key])
+      return this.shaderPrograms[key];
+
+    var gl = this.$getWebGLContext("Shader effects");
+
+    var compile = function (type, source) {
+      var shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS))
+        throw new System.InvalidOperationException("Failed to compile shader '" + key + "': " + gl.getShaderInfoLog(shader));
+
+      return shader;
+    };
+
+    var program = gl.createProgram();
+    gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+    gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+
+    // The 2D renderer leaves attribute 0 enabled, so it should always be fed with positions.
+    gl.bindAttribLocation(program, 0, "Position0");
+    gl.linkProgram(program);
+
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS))
+      throw new System.InvalidOperationException("Failed to link shader '" + key + "': " + gl.getProgramInfoLog(program));
+
+    var result = {
+      program: program,
+      attributes: {},
+      uniforms: {}
+    };
+
+    var attributeCount = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+    for (var i = 0; i < attributeCount; i++) {
+      var attribute = gl.getActiveAttrib(program, i);
+      result.attributes[attribute.name] = gl.getAttribLocation(program, attribute.name);
+    }
+
+    // Arrays are reported as "name[0]", and are stored under their plain name.
+    var uniformCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+    for (var i = 0; i < uniformCount; i++) {
+      var uniform = gl.getActiveUniform(program, i);
+      result.uniforms[uniform.name.replace("[0]", "")] = gl.getUniformLocation(program, uniform.name);
+    }
+
+    return this.shaderPrograms[key] = result;
+  });
+
+  $.RawMethod(false, "$getWebGLContext", function (operationName) {
+    if (!this.context.isWebGL) {
+      throw new System.NotSupportedException(
+        operationName + " requires WebGL. The HTML5 canvas renderer, which is also used for render targets, only supports 2D drawing."
       );
     }
-  );
 
-  $.Method({Static:false, Public:true }, "DrawStringScaleF", 
-    (new JSIL.MethodSignature(null, [
-          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteFont"), $.String, 
-          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $jsilxna.colorRef(), 
-          $.Single, $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
-          $.Single, $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteEffects"), 
-          $.Single
-        ], [])), 
-    function DrawStringScaleF (spriteFont, text, position, color, rotation, origin, scale, effects, layerDepth) {
-      this.InternalDrawString(
-        spriteFont, text, 
-        position.X, position.Y, 
-        color, rotation,
-        origin.X, origin.Y,
-        scale, scale, 
-        effects, layerDepth
-      );
+    return this.context;
+  });
+
+  $.RawMethod(false, "$applyRenderStates", function (gl) {
+    var depthStencilState = this.depthStencilState;
+    var rasterizerState = this.rasterizerState;
+    var cullModes = Microsoft.Xna.Framework.Graphics.CullMode;
+
+    if (depthStencilState.depthBufferEnable) {
+      gl.enable(gl.DEPTH_TEST);
+      gl.depthFunc(gl[$jsilxna.CompareFunctions[depthStencilState.depthBufferFunction.name]]);
+    } else {
+      gl.disable(gl.DEPTH_TEST);
+    }
+
+    gl.depthMask(depthStencilState.depthBufferWriteEnable);
+
+    // XNA and WebGL both judge winding as it appears on screen, so the faces XNA culls are the ones
+    //  wound in the same direction for WebGL.
+    if (rasterizerState.cullMode === cullModes.None) {
+      gl.disable(gl.CULL_FACE);
+    } else {
+      gl.enable(gl.CULL_FACE);
+      gl.frontFace((rasterizerState.cullMode === cullModes.CullClockwiseFace) ? gl.CCW : gl.CW);
+      gl.cullFace(gl.BACK);
     }
-  );
 
-  $.Method({Static:false, Public:true }, "DrawStringBuilderScaleF", 
-    (new JSIL.MethodSignature(null, [
-          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteFont"), $xnaasms[5].TypeRef("System.Text.StringBuilder"), 
-          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $jsilxna.colorRef(), 
-          $.Single, $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
-          $.Single, $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteEffects"), 
-          $.Single
-        ], [])), 
-    function DrawStringBuilderScaleF (spriteFont, text, position, color, rotation, origin, scale, effects, layerDepth) {
-      this.InternalDrawString(
-        spriteFont, text.toString(), 
-        position.X, position.Y, 
-        color, rotation,
-        origin.X, origin.Y,
-        scale, scale, 
-        effects, layerDepth
-      );
+    if ((rasterizerState.depthBias !== 0) || (rasterizerState.slopeScaleDepthBias !== 0)) {
+      // XNA's depth bias is a fraction of the depth range, while WebGL's is in units of the 24-bit depth buffer.
+      gl.enable(gl.POLYGON_OFFSET_FILL);
+      gl.polygonOffset(rasterizerState.slopeScaleDepthBias, rasterizerState.depthBias * 16777215);
+    } else {
+      gl.disable(gl.POLYGON_OFFSET_FILL);
     }
-  );
 
-  $.Method({Static:false, Public:true }, "DrawString", 
-    (new JSIL.MethodSignature(null, [
-          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteFont"), $.String, 
-          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $jsilxna.colorRef(), 
-          $.Single, $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
-          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteEffects"), 
-          $.Single
-        ], [])), 
-    function DrawString (spriteFont, text, position, color, rotation, origin, scale, effects, layerDepth) {
-      this.InternalDrawString(
-        spriteFont, text, 
-        position.X, position.Y, 
-        color, rotation,
-        origin.X, origin.Y,
-        scale.X, scale.Y, 
-        effects, layerDepth
-      );
+    if (rasterizerState.scissorTestEnable) {
+      var scissor = this.scissorRectangle;
+      gl.enable(gl.SCISSOR_TEST);
+      gl.scissor(scissor.X, this.canvas.height - (scissor.Y + scissor.Height), scissor.Width, scissor.Height);
+    } else {
+      gl.disable(gl.SCISSOR_TEST);
     }
-  );
 
-  $.Method({Static:false, Public:true }, "DrawStringBuilder", 
-    (new JSIL.MethodSignature(null, [
-          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteFont"), $xnaasms[5].TypeRef("System.Text.StringBuilder"), 
-          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $jsilxna.colorRef(), 
-          $.Single, $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), 
-          $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteEffects"), 
-          $.Single
-        ], [])), 
-    function DrawStringBuilder (spriteFont, text, position, color, rotation, origin, scale, effects, layerDepth) {
-      this.InternalDrawString(
-        spriteFont, text.toString(), 
-        position.X, position.Y, 
-        color, rotation,
-        origin.X, origin.Y,
-        scale.X, scale.Y, 
-        effects, layerDepth
+    var blendState = this.blendState, blendStates = Microsoft.Xna.Framework.Graphics.BlendState;
+    if (blendState === blendStates.Opaque)
+      gl.blendFunc(gl.ONE, gl.ZERO);
+    else if (blendState === blendStates.Additive)
+      gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+    else if (blendState === blendStates.NonPremultiplied)
+      gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    else
+      gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+  });
+
+  // The context is shared with the 2D renderer, which expects these states to be off.
+  $.RawMethod(false, "$resetRenderStates", function (gl) {
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.CULL_FACE);
+    gl.disable(gl.POLYGON_OFFSET_FILL);
+    gl.disable(gl.SCISSOR_TEST);
+    gl.depthMask(true);
+  });
+
+  // Points the shader's attributes at the elements of the current vertex buffer. Returns the attribute
+  //  locations that were enabled, along with whether they were enabled before.
+  $.RawMethod(false, "$bindVertexAttributes", function (gl, baseVertex) {
+    var vertexBuffer = this.vertexBuffer;
+    var declaration = vertexBuffer.vertexDeclaration;
+    var attributes = this.shaderProgram.attributes;
+    var elements = {}, enabled = [];
+
+    for (var i = 0; i < declaration.elements.length; i++) {
+      var element = declaration.elements[i];
+      elements[element._usage.name + element._usageIndex] = element;
+    }
+
+    for (var key in attributes) {
+      if (!elements[key]) {
+        throw new System.InvalidOperationException(
+          "The current vertex declaration does not include all the elements required by the current vertex shader. " + 
+          key + " is missing."
+        );
+      }
+    }
+
+    vertexBuffer.$bindBuffer(gl, gl.ARRAY_BUFFER);
+
+    for (var key in attributes) {
+      var element = elements[key];
+      var location = attributes[key];
+      var format = $jsilxna.VertexElementFormats[element._format.name];
+
+      if (format[1] === null)
+        throw new System.NotSupportedException("WebGL does not support the vertex element format '" + element._format.name + "'.");
+
+      enabled.push([location, gl.getVertexAttrib(location, gl.VERTEX_ATTRIB_ARRAY_ENABLED)]);
+      gl.enableVertexAttribArray(location);
+      gl.vertexAttribPointer(
+        location, format[0], gl[format[1]], format[2], 
+        declaration.vertexStride, (baseVertex * declaration.vertexStride) + element._offset
       );
     }
-  );
 
-  $.RawMethod(false, "InternalDraw", 
-    function SpriteBatch_InternalDraw (
-      texture, positionX, positionY, width, height, 
-      sourceX, sourceY, sourceW, sourceH, 
-      color, rotation, 
-      originX, originY, 
-      scaleX, scaleY, 
-      effects, depth
-    ) {
-      if (this.defer) {
-        color = color.MemberwiseClone();
+    return enabled;
+  });
 
-        this.deferredDraws.push({
-          fn: this.InternalDraw,
-          index: this.deferredDraws.length,
-          arguments: [
-            texture, positionX, positionY, width, height, 
-            sourceX, sourceY, sourceW, sourceH, 
-            color, rotation, 
-            originX, originY, 
-            scaleX, scaleY, 
-            effects, depth
-          ]
-        });
+  // Converts triangles into the lines along their edges, since WebGL has no wireframe fill mode.
+  $.RawMethod(false, "$getWireframeIndices", function (primitiveType, indices, primitiveCount) {
+    var isStrip = primitiveType === Microsoft.Xna.Framework.Graphics.PrimitiveType.TriangleStrip;
+    var result = [];
 
-        return;
-      }
+    for (var i = 0; i < primitiveCount; i++) {
+      var j = isStrip ? i : i * 3;
+      var a = indices(j), b = indices(j + 1), c = indices(j + 2);
 
-      var needRestore = false;
-      var image = texture.image,
-        originalImage = texture.image;
+      result.push(a, b, b, c, c, a);
+    }
 
-      var _spriteEffects = Microsoft.Xna.Framework.Graphics.SpriteEffects;
-      var flipHorizontally = _spriteEffects.FlipHorizontally;
-      var flipVertically = _spriteEffects.FlipVertically;
+    return result;
+  });
 
-      effects = effects || _spriteEffects.None;
+  $.RawMethod(false, "$drawPrimitives", function (operationName, primitiveType, baseVertex, startIndex, primitiveCount, isIndexed) {
+    var gl = this.$getWebGLContext(operationName);
 
-      if ((effects & flipHorizontally) == flipHorizontally) {
-        if (!needRestore) 
-          this.device.context.save();
-        needRestore = true;
+    if (this.vertexBuffer === null)
+      throw new System.InvalidOperationException("A vertex buffer must be set on the device before calling " + operationName + ".");
+    if (isIndexed && (this.indices === null))
+      throw new System.InvalidOperationException("An index buffer must be set on the device before calling " + operationName + ".");
+    if (this.shaderProgram === null)
+      throw new System.InvalidOperationException("An effect pass must be applied before calling " + operationName + ".");
+    if (primitiveCount <= 0)
+      throw new System.ArgumentOutOfRangeException("primitiveCount");
 
-        this.device.context.scale(-1, 1);
-        positionX = -positionX;
-      }
+    var primitive = $jsilxna.PrimitiveTypes[primitiveType.name];
+    var vertexCount = (primitiveCount * primitive[1]) + primitive[2];
+    var mode = gl[primitive[0]];
 
-      if ((effects & flipVertically) == flipVertically) {
-        if (!needRestore) 
-          this.device.context.save();
-        needRestore = true;
+    var elementType = gl.UNSIGNED_SHORT, elementSize = 2;
+    if (isIndexed && (this.indices.elementSize === 4)) {
+      if (!gl.getExtension("OES_element_index_uint"))
+        throw new System.NotSupportedException("This browser's WebGL implementation does not support 32-bit indices.");
 
-        this.device.context.scale(1, -1);
-        positionY = -positionY;
-      }
+      elementType = gl.UNSIGNED_INT;
+      elementSize = 4;
+    }
 
-      positionX -= originX;
-      positionY -= originY;
+    gl.useProgram(this.shaderProgram.program);
 
-      if (sourceX < 0) {
-        sourceW += sourceX;
-        sourceX = 0;
+    var enabledAttributes = this.$bindVertexAttributes(gl, this.vertexOffset + baseVertex);
+
+    try {
+      this.$applyRenderStates(gl);
+
+      var isWireframe = (this.rasterizerState.fillMode === Microsoft.Xna.Framework.Graphics.FillMode.WireFrame) && 
+        (primitive[0] !== "LINES") && (primitive[0] !== "LINE_STRIP");
+
+      if (isWireframe) {
+        var sourceIndices;
+        if (isIndexed) {
+          var indexArray = this.indices.$getIndices();
+          sourceIndices = function (i) {
+            return indexArray[startIndex + i];
+          };
+        } else {
+          sourceIndices = function (i) {
+            return startIndex + i;
+          };
+        }
+
+        var lines = this.$getWireframeIndices(primitiveType, sourceIndices, primitiveCount);
+
+        if (this.wireframeIndexBuffer === null)
+          this.wireframeIndexBuffer = gl.createBuffer();
+
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.wireframeIndexBuffer);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, (elementSize === 4) ? new Uint32Array(lines) : new Uint16Array(lines), gl.STREAM_DRAW);
+        gl.drawElements(gl.LINES, lines.length, elementType, 0);
+      } else if (isIndexed) {
+        this.indices.$bindBuffer(gl, gl.ELEMENT_ARRAY_BUFFER);
+        gl.drawElements(mode, vertexCount, elementType, startIndex * elementSize);
+      } else {
+        gl.drawArrays(mode, startIndex, vertexCount);
       }
-      if (sourceY < 0) {
-        sourceH += sourceY;
-        sourceY = 0;
+    } finally {
+      for (var i = 0; i < enabledAttributes.length; i++) {
+        if (!enabledAttributes[i][1])
+          gl.disableVertexAttribArray(enabledAttributes[i][0]);
       }
-      if (sourceW > texture.Width - sourceX) 
-        sourceW = texture.Width - sourceX;
-      if (sourceH > texture.Height - sourceY) 
-        sourceH = texture.Height - sourceY;
 
-      var isSinglePixel = ((sourceX === 0) && (sourceY === 0) && (sourceW === 1) && (sourceH === 1));
-      var channels = null;
+      this.$resetRenderStates(gl);
+    }
+  });
 
-      var colorR = (color.r) / 255;
-      var colorG = (color.g) / 255;
-      var colorB = (color.b) / 255;
-      var colorA = color.a / 255;
+  $.Method({Static:false, Public:true }, "DrawPrimitives", 
+    (new JSIL.MethodSignature(null, [$xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.PrimitiveType"), $.Int32, $.Int32], [])), 
+    function DrawPrimitives (primitiveType, startVertex, primitiveCount) {
+      this.$drawPrimitives("DrawPrimitives", primitiveType, 0, startVertex, primitiveCount, false);
+    }
+  );
 
-      if (colorA <= 0) {
-        if (needRestore) 
-          this.device.context.restore();
+  // minVertexIndex and numVertices are hints for Direct3D that WebGL does not need.
+  $.Method({Static:false, Public:true }, "DrawIndexedPrimitives", 
+    (new JSIL.MethodSignature(null, [
+          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.PrimitiveType"), $.Int32, 
+          $.Int32, $.Int32, 
+          $.Int32, $.Int32
+        ], [])), 
+    function DrawIndexedPrimitives (primitiveType, baseVertex, minVertexIndex, numVertices, startIndex, primitiveCount) {
+      this.$drawPrimitives("DrawIndexedPrimitives", primitiveType, baseVertex, startIndex, primitiveCount, true);
+    }
+  );
 
-        return;
-      }
+  $.RawMethod(false, "$UpdateBlendState", function () {
+    if (this.blendState === Microsoft.Xna.Framework.Graphics.BlendState.Opaque) {
+      this.context.globalCompositeOperation = "copy";
+    } else if (this.blendState === Microsoft.Xna.Framework.Graphics.BlendState.Additive) {
+      this.context.globalCompositeOperation = "lighter";
+    } else {
+      this.context.globalCompositeOperation = "source-over";
+    }
+  });
 
-      var isWebGL = this.device.context.isWebGL || false;
+  $.RawMethod(false, "$UpdateViewport", function () {
+    // Kept as [a, b, c, d, e, f] so that SpriteBatch can combine its transform matrix with it.
+    this.viewportTransform = [
+      this.viewport.Width / this.canvas.width, 0, 
+      0, this.viewport.Height / this.canvas.height, 
+      this.viewport.X, this.viewport.Y
+    ];
+    this.context.setTransform.apply(this.context, this.viewportTransform);
+    if (this.context.isWebGL) {
+      this.context.viewport(0, 0, this.canvas.width, this.canvas.height);
+    }
+  });
 
-      if (!isSinglePixel && !isWebGL) {
-        // Since the color is premultiplied, any r/g/b value >= alpha is basically white.
-        if ((colorR < colorA) || (colorG < colorA) || (colorB < colorA)) {
-          channels = $jsilxna.getImageChannels(image);
-        }
-      }
+  $.RawMethod(false, "$Clear", function () {
+    this.context.save();
+    this.context.setTransform(1, 0, 0, 1, 0, 0);
+    this.context.globalCompositeOperation = "copy";
+    this.context.globalAlpha = 1.0;
+    this.context.fillStyle = "rgba(0, 0, 0, 1)";
+    this.context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    this.context.restore();
+  });
 
-      // Negative width/height cause an exception in Firefox
-      if (width < 0) {
-        if (!needRestore) 
-          this.device.context.save();
-        needRestore = true;
+  $.RawMethod(false, "InternalClear", function (color, options, depth) {
+    var clearOptions = Microsoft.Xna.Framework.Graphics.ClearOptions;
+    var clearTarget = true, clearDepth = true;
 
-        this.device.context.scale(-1, 1);
-        positionX = -positionX;
-        width = -width;
-      }
-      if (height < 0) {
-        if (!needRestore) 
-          this.device.context.save();
-        needRestore = true;
+    if (typeof (options) === "object") {
+      clearTarget = (options.value & clearOptions.Target.value) !== 0;
+      clearDepth = (options.value & clearOptions.DepthBuffer.value) !== 0;
+    }
 
-        this.device.context.scale(1, -1);
-        positionY = -positionY;
-        height = -height;
+    if (clearTarget) {
+      this.context.save();
+      this.context.setTransform(1, 0, 0, 1, 0, 0);
+      this.context.globalCompositeOperation = "copy";
+      this.context.globalAlpha = 1.0;
+      this.context.fillStyle = color.toCss();
+      this.context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+      this.context.restore();
+    }
+
+    // The 2D renderer never touches the depth buffer, so it has to be cleared separately for 3D drawing.
+    if (clearDepth && this.context.isWebGL) {
+      var gl = this.context;
+      gl.depthMask(true);
+      gl.clearDepth((typeof (depth) === "number") ? depth : 1);
+      gl.clear(gl.DEPTH_BUFFER_BIT);
+    }
+  });
+
+  var warnedTypes = {};
+
+  $.RawMethod(false, "InternalDrawUserPrimitives", function (T, primitiveType, vertices, vertexOffset, primitiveCount) {
+    switch (primitiveType) {
+    case Microsoft.Xna.Framework.Graphics.PrimitiveType.LineList:
+      for (var i = 0; i < primitiveCount; i++) {
+        var j = i * 2;
+        this.context.lineWidth = 1;
+        this.context.strokeStyle = vertices[j].Color.toCss();
+        this.context.beginPath();
+        this.context.moveTo(vertices[j].Position.X + 0.5, vertices[j].Position.Y + 0.5);
+        this.context.lineTo(vertices[j + 1].Position.X + 0.5, vertices[j + 1].Position.Y + 0.5);
+        this.context.closePath();
+        this.context.stroke();
       }
 
-      if ((rotation !== 0) && (Math.abs(rotation) >= 0.0001)) {
-        if (!needRestore) 
-          this.device.context.save();
-        needRestore = true;
+      break;
+    default:
+      var ptype = primitiveType.toString();
+      if (warnedTypes[ptype])
+        return;
 
-        this.device.context.translate(positionX + originX, positionY + originY);
-        this.device.context.rotate(rotation);
-        this.device.context.translate(-positionX - originX, -positionY - originY);
-      }
+      warnedTypes[ptype] = true;
+      JSIL.Host.error(new Error("The primitive type " + ptype + " is not implemented."));
+      return;
+    }
+  });
 
-      if ((scaleX !== 1.0) || (scaleY !== 1.0)) {
-        if (!needRestore) 
-          this.device.context.save();
-        needRestore = true;
+  $.Method({Static:false, Public:true }, "DrawUserPrimitives", 
+    (new JSIL.MethodSignature(null, [
+          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.PrimitiveType"), $jsilcore.TypeRef("System.Array", ["!!0"]), 
+          $.Int32, $.Int32
+        ], ["T"])), 
+    function DrawUserPrimitives$b1 (T, primitiveType, vertexData, vertexOffset, primitiveCount) {
+      return this.InternalDrawUserPrimitives(T, primitiveType, vertexData, vertexOffset, primitiveCount);
+    }
+  );
 
-        this.device.context.translate(positionX + originX, positionY + originY);
-        this.device.context.scale(scaleX, scaleY);
-        this.device.context.translate(-positionX - originX, -positionY - originY);
+  $.Method({Static:false, Public:true }, "DrawUserPrimitives", 
+    (new JSIL.MethodSignature(null, [
+          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.PrimitiveType"), $jsilcore.TypeRef("System.Array", ["!!0"]), 
+          $.Int32, $.Int32, 
+          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.VertexDeclaration")
+        ], ["T"])), 
+    function DrawUserPrimitives$b1 (T, primitiveType, vertexData, vertexOffset, primitiveCount, vertexDeclaration) {
+      return this.InternalDrawUserPrimitives(T, primitiveType, vertexData, vertexOffset, primitiveCount);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "SetRenderTarget", 
+    (new JSIL.MethodSignature(null, [$xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.RenderTarget2D")], [])), 
+    function SetRenderTarget (renderTarget) {
+      if (this.renderTarget === renderTarget) 
+        return;
+
+      var oldRenderTarget = this.renderTarget;
+      this.renderTarget = renderTarget;
+
+      if (renderTarget !== null) {
+        this.canvas = renderTarget.canvas;
+        this.context = renderTarget.context;
+      } else {
+        this.canvas = this.originalCanvas;
+        this.context = this.originalContext;
       }
 
-      // 0x0 blits cause an exception in IE
-      if (
-        (width > 0) && (height > 0) && 
-        (sourceW > 0) && (sourceH > 0)
-      ) {
-        if ($drawDebugRects) {
-          if (!needRestore)
-            this.device.context.save();
-          needRestore = true;
+      this.context.setTransform(1, 0, 0, 1, 0, 0);
+      this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
-          this.device.context.fillStyle = "rgba(255, 0, 0, 0.33)";
-          this.device.context.fillRect(
-            positionX, positionY, width, height
-          );
-        }
+      this.viewport.X = 0;
+      this.viewport.Y = 0;
+      this.viewport.Width = this.canvas.width;
+      this.viewport.Height = this.canvas.height;
+      this.scissorRectangle = new Microsoft.Xna.Framework.Rectangle(0, 0, this.canvas.width, this.canvas.height);
 
-        if ($drawDebugBoxes) {
-          if (!needRestore) 
-            this.device.context.save();
-          needRestore = true;
+      this.$UpdateBlendState();
+      this.$UpdateViewport();
 
-          this.device.context.strokeStyle = "rgba(255, 255, 0, 0.66)";
-          this.device.context.strokeRect(
-            positionX, positionY, width, height
-          );
-        }
+      if (oldRenderTarget !== null) 
+        oldRenderTarget.$ResynthesizeImage();
+    }
+  );
+});
 
-        if (isSinglePixel) {
-          if (!needRestore) 
-            this.device.context.save();
-          needRestore = true;
+(function () {
+  // XNA3 doesn't have a BlendState class, so we substitute one.
 
-          var topLeftPixelText = $jsilxna.getImageTopLeftPixel(originalImage);
-          var topLeftPixel = topLeftPixelText.split(",");
+  var graphicsAsm = JSIL.GetAssembly("Microsoft.Xna.Framework.Graphics", true);
+  if (graphicsAsm === null) {
+    JSIL.DeclareNamespace("Microsoft");
+    JSIL.DeclareNamespace("Microsoft.Xna");
+    JSIL.DeclareNamespace("Microsoft.Xna.Framework");
+    JSIL.DeclareNamespace("Microsoft.Xna.Framework.Graphics");
 
-          var unpremultiplyFactor = 1 / colorA;
+    JSIL.MakeClass($jsilcore.TypeRef("System.Object"), "Microsoft.Xna.Framework.Graphics.BlendState", true, [], function ($) {
+      $.Field({Static:true , Public:true }, "Additive", $.Type, function ($) {
+          return null;
+        });
+      $.Field({Static:true , Public:true }, "AlphaBlend", $.Type, function ($) {
+          return null;
+        });
+      $.Field({Static:true , Public:true }, "NonPremultiplied", $.Type, function ($) {
+          return null;
+        });
+      $.Field({Static:true , Public:true }, "Opaque", $.Type, function ($) {
+          return null;
+        });
+    });
+  }
+}) ();
 
-          var imageColor = "rgba(" + 
-            $jsilxna.ClampByte(parseFloat(topLeftPixel[0] * colorR * unpremultiplyFactor)) + ", " + 
-            $jsilxna.ClampByte(parseFloat(topLeftPixel[1] * colorG * unpremultiplyFactor)) + ", " + 
-            $jsilxna.ClampByte(parseFloat(topLeftPixel[2] * colorB * unpremultiplyFactor)) + ", " + 
-            topLeftPixel[3] + 
-          ")";
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.BlendState", function ($) {
+  $.Method({Static: true, Public: true}, ".cctor", 
+    new JSIL.MethodSignature(null, [], []),
+    function () {
+      Microsoft.Xna.Framework.Graphics.BlendState.Opaque = new Microsoft.Xna.Framework.Graphics.BlendState();
+      Microsoft.Xna.Framework.Graphics.BlendState.AlphaBlend = new Microsoft.Xna.Framework.Graphics.BlendState();
+      Microsoft.Xna.Framework.Graphics.BlendState.Additive = new Microsoft.Xna.Framework.Graphics.BlendState();
+      Microsoft.Xna.Framework.Graphics.BlendState.NonPremultiplied = new Microsoft.Xna.Framework.Graphics.BlendState();
+    }
+  );
+});
 
-          this.device.context.globalAlpha = colorA;
-          this.device.context.fillStyle = imageColor;
-          this.device.context.fillRect(
-            positionX, positionY, width, height
-          );
-        } else {
-          if (channels !== null) {
-            if (!needRestore)
-              this.device.context.save();
-            needRestore = true;
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.PresentationParameters", function ($) {
+  $.RawMethod(false, "__CopyMembers__", function (source, target) {
+    target._device = source._device;
+  });
 
-            var alpha = colorA;
+  $.RawMethod(false, "$internalCtor", function (graphicsDevice) {
+    this._device = graphicsDevice;
+  });
 
-            var compositeOperation = this.device.context.globalCompositeOperation;
-            if (compositeOperation !== "lighter") {
-              this.device.context.globalCompositeOperation = "source-over";
-              this.device.context.globalAlpha = alpha;
-              this.$canvasDrawImage(
-                channels.a, sourceX + 1, sourceY + 1, sourceW, sourceH, 
-                positionX, positionY, width, height
-              );
-            }
+  $.Method({Static:false, Public:true }, "get_BackBufferFormat", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.SurfaceFormat"), [], [])), 
+    function get_BackBufferFormat () {
+      return Microsoft.Xna.Framework.Graphics.SurfaceFormat.Color;
+    }
+  );
 
-            this.device.context.globalCompositeOperation = "lighter";
+  $.Method({Static:false, Public:true }, "get_BackBufferHeight", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_BackBufferHeight () {
+      return this._device.originalCanvas.height;
+    }
+  );
 
-            if (colorR > 0) {
-              this.device.context.globalAlpha = colorR;
-              this.$canvasDrawImage(
-                channels.r, sourceX + 1, sourceY + 1, sourceW, sourceH, 
-                positionX, positionY, width, height
-              );
-            }
+  $.Method({Static:false, Public:true }, "get_BackBufferWidth", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_BackBufferWidth () {
+      return this._device.originalCanvas.width;
+    }
+  );
 
-            if (colorG > 0) {
-              this.device.context.globalAlpha = colorG;
-              this.$canvasDrawImage(
-                channels.g, sourceX + 1, sourceY + 1, sourceW, sourceH, 
-                positionX, positionY, width, height
-              );
-            }
+  $.Method({Static:false, Public:true }, "get_DepthStencilFormat", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.DepthFormat"), [], [])), 
+    function get_DepthStencilFormat () {
+      return Microsoft.Xna.Framework.Graphics.DepthFormat.None;
+    }
+  );
 
-            if (colorB > 0) {
-              this.device.context.globalAlpha = colorB;
-              this.$canvasDrawImage(
-                channels.b, sourceX + 1, sourceY + 1, sourceW, sourceH, 
-                positionX, positionY, width, height
-              );
-            }
+  $.Method({Static:false, Public:true }, "get_MultiSampleCount", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_MultiSampleCount () {
+      return 0;
+    }
+  );
+});
 
-            this.device.context.globalCompositeOperation = compositeOperation;
-          } else {
-            if (isWebGL) {
-              this.device.context.drawImage(
-                image, sourceX, sourceY, sourceW, sourceH, 
-                positionX, positionY, width, height, 
-                colorR, colorG, colorB, colorA
-              );
-            } else {
-              if (colorA < 1) {
-                if (!needRestore)
-                  this.device.context.save();
-                needRestore = true;
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.TextureCollection", function ($) {
 
-                this.device.context.globalAlpha = colorA;
-              }
+  $.Method({Static:false, Public:false}, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), $.Int32, 
+          $.Int32
+        ], [])), 
+    function _ctor (parent, textureOffset, maxTextures) {
+      this.textures = new Array(maxTextures);
 
-              this.$canvasDrawImage(
-                image, sourceX, sourceY, sourceW, sourceH, positionX, positionY, width, height
-              );
-            }
-          }
-        }
-      }
+      for (var i = 0; i < maxTextures; i++)
+        this.textures[i] = null;
+    }
+  );
 
-      if (needRestore) 
-        this.device.context.restore();
+  $.Method({Static:false, Public:true }, "get_Item", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.Texture"), [$.Int32], [])), 
+    function get_Item (index) {
+      return this.textures[index];
     }
   );
 
-  $.RawMethod(false, "InternalDrawString", 
-  function SpriteBatch_InternalDrawString (
-    font, text, 
-    positionX, positionY, 
-    color, rotation,
-    originX, originY,
-    scaleX, scaleY, 
-    effects, depth
-  ) {
-    if (this.defer) {
-      color = color.MemberwiseClone();
+  $.Method({Static:false, Public:true }, "set_Item", 
+    (new JSIL.MethodSignature(null, [$.Int32, $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.Texture")], [])), 
+    function set_Item (index, value) {
+      this.textures[index] = value;
+    }
+  );
+});
 
-      var args = [
-        font, text, 
-        positionX, positionY, 
-        color, rotation,
-        originX, originY,
-        scaleX, scaleY, 
-        effects, depth
-      ];
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.SamplerStateCollection", function ($) {
 
-      // Hack so depth sorting works
-      args[16] = depth;
+  $.Method({Static:false, Public:false}, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), $.Int32, 
+          $.Int32
+        ], [])), 
+    function _ctor (pParent, samplerOffset, maxSamplers) {
+      // FIXME
+      this.parent = pParent;
+      this.states = new Array(maxSamplers);
 
-      this.deferredDraws.push({
-        fn: this.InternalDrawString,
-        index: this.deferredDraws.length,
-        arguments: args
-      });
+      var tState = Microsoft.Xna.Framework.Graphics.SamplerState.__Type__;
 
-      return;
+      for (var i = 0; i < maxSamplers; i++) {
+        this.states = JSIL.CreateInstanceOfType(tState, null);
+      }
     }
+  );
 
-    var asmGraphics = $xnaasms.xnaGraphics || $xnaasms.xna;
-    var tSpriteFont = asmGraphics.Microsoft.Xna.Framework.Graphics.SpriteFont;
+  $.Method({Static:false, Public:true }, "get_Item", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.SamplerState"), [$.Int32], [])), 
+    function get_Item (index) {
+      return this.states[index];
+    }
+  );
 
-    if (Object.getPrototypeOf(font) === tSpriteFont.prototype) {
-      return font.InternalDraw(
-        text, this, 
-        positionX, positionY, 
-        color, rotation,
-        originX, originY, 
-        scaleX, scaleY, 
-        effects, depth
-      );
+  $.Method({Static:false, Public:true }, "set_Item", 
+    (new JSIL.MethodSignature(null, [$.Int32, $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.SamplerState")], [])), 
+    function set_Item (index, value) {
+      this.states[index] = value;
+
+      if (value) {
+        var enableSmoothing = value.get_Filter() != Microsoft.Xna.Framework.Graphics.TextureFilter.Point;
+
+        this.parent.context.mozImageSmoothingEnabled = this.parent.context.webkitImageSmoothingEnabled = enableSmoothing;
+      }
     }
+  );
 
-    var needRestore = false;
+});
 
-    effects = effects || Microsoft.Xna.Framework.Graphics.SpriteEffects.None;
+JSIL.ImplementExternals("Microsoft.Xna.Framework.MathHelper", function ($) {
+  $.Method({Static:true , Public:true }, "Clamp", 
+    (new JSIL.MethodSignature($.Single, [
+          $.Single, $.Single, 
+          $.Single
+        ], [])), 
+    function Clamp (value, min, max) {
+      if (max < min) max = min;
 
-    if ((effects & Microsoft.Xna.Framework.Graphics.SpriteEffects.FlipHorizontally) == Microsoft.Xna.Framework.Graphics.SpriteEffects.FlipHorizontally) {
-      if (!needRestore) this.device.context.save();
-        needRestore = true;
+      if (value < min) 
+        return min;
+      else if (value > max) 
+        return max;
+      else 
+        return value;
+    }
+  );
 
-      this.device.context.scale(-1, 1);
-      positionX = -positionX;
+  $.Method({Static:true , Public:true }, "Lerp", 
+    (new JSIL.MethodSignature($.Single, [
+          $.Single, $.Single, 
+          $.Single
+        ], [])), 
+    function Lerp (value1, value2, amount) {
+      return value1 + (value2 - value1) * amount;
     }
+  );
 
-    if ((effects & Microsoft.Xna.Framework.Graphics.SpriteEffects.FlipVertically) == Microsoft.Xna.Framework.Graphics.SpriteEffects.FlipVertically) {
-      if (!needRestore) this.device.context.save();
-        needRestore = true;
+  $.Method({Static:true , Public:true }, "Max", 
+    (new JSIL.MethodSignature($.Single, [$.Single, $.Single], [])), 
+    Math.max
+  );
 
-      this.device.context.scale(1, -1);
-      positionY = -positionY;
-    }
+  $.Method({Static:true , Public:true }, "Min", 
+    (new JSIL.MethodSignature($.Single, [$.Single, $.Single], [])), 
+    Math.min
+  );
+});
 
-    this.device.context.textBaseline = "top";
-    this.device.context.textAlign = "start";
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.SpriteFont", function ($) {
 
-    var fontCss = font.toCss(scaleX || 1.0);
-    this.device.context.font = fontCss;
+  $.Method({Static:false, Public:false}, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Texture2D"), $xnaasms[5].TypeRef("System.Collections.Generic.List`1", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), 
+          $xnaasms[5].TypeRef("System.Collections.Generic.List`1", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), $xnaasms[5].TypeRef("System.Collections.Generic.List`1", [$.Char]), 
+          $.Int32, $.Single, 
+          $xnaasms[5].TypeRef("System.Collections.Generic.List`1", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3")]), $xnaasms[5].TypeRef("System.Nullable`1", [$.Char])
+        ], [])), 
+    function _ctor (texture, glyphs, cropping, charMap, lineSpacing, spacing, kerning, defaultCharacter) {
+      this.textureValue = texture;
+      this.glyphData = glyphs;
+      this.croppingData = cropping;
+      this.characterMap = charMap;
+      this.lineSpacing = lineSpacing;
+      this.spacing = spacing;
+      this.kerning = kerning;
+      this.defaultCharacter = defaultCharacter;
+      this.characters = this.characterMap.AsReadOnly();
+      this.charToIndex = {};
 
-    if (this.device.context.font != fontCss) {
-      // We failed to set the font onto the context; this may mean that the font failed to load.
-      var hasWarned = font.$warnedAboutSetFailure || false;
-      if (!hasWarned) {
-        font.$warnedAboutSetFailure = true;
-        JSIL.Host.warning("Failed to set font '" + font + "' onto canvas context for rendering.");
+      for (var i = 0; i < charMap.Count; i++) {
+        var ch = charMap.get_Item(i);
+        this.charToIndex[ch.charCodeAt(0)] = i;
       }
     }
+  );
 
-    this.device.context.fillStyle = color.toCss();
+  $.Method({Static:false, Public:true }, "get_Characters", 
+    (new JSIL.MethodSignature($xnaasms[5].TypeRef("System.Collections.ObjectModel.ReadOnlyCollection`1", [$.Char]), [], [])), 
+    function get_Characters () {
+      return this.characters;
+    }
+  );
 
-    var lines = text.split("\n");
-    for (var i = 0, l = lines.length; i < l; i++) {
-      this.device.context.fillText(lines[i], positionX, positionY);
-      positionY += font.LineSpacing;
+  $.Method({Static:false, Public:true }, "get_DefaultCharacter", 
+    (new JSIL.MethodSignature($xnaasms[5].TypeRef("System.Nullable`1", [$.Char]), [], [])), 
+    function get_DefaultCharacter () {
+      return this.defaultCharacter;
     }
+  );
 
-    if (needRestore) 
-      this.device.context.restore();
-  });
-});
+  $.Method({Static:false, Public:true }, "get_LineSpacing", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_LineSpacing () {
+      return this.lineSpacing;
+    }
+  );
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Storage.StorageContainer", function ($) {
-  $.Method({
-    Static: false,
-    Public: true
-  }, "get_TitleLocation", new JSIL.MethodSignature(null, [], []), function () {
-    return JSIL.Host.getRootDirectory();
-  });
-});
+  $.Method({Static:false, Public:true }, "get_Spacing", 
+    (new JSIL.MethodSignature($.Single, [], [])), 
+    function get_Spacing () {
+      return this.spacing;
+    }
+  );
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.GraphicsDevice", function ($) {
-  $.Method({
-    Static: false,
-    Public: true
-  }, ".ctor", new JSIL.MethodSignature(null, [], []), function () {
-    this.originalCanvas = this.canvas = JSIL.Host.getCanvas();
-    this.renderTarget = null;
+  $.Method({Static:false, Public:false}, "GetIndexForCharacter", 
+    (new JSIL.MethodSignature($.Int32, [$.Char], [])), 
+    function GetIndexForCharacter (character) {
+      var result = this.charToIndex[character.charCodeAt(0)];
 
-    this.originalWidth = this.canvas.width;
-    this.originalHeight = this.canvas.height;
+      if ((typeof (result) === "undefined") && (this.defaultCharacter !== null)) result = this.charToIndex[this.defaultCharacter.charCodeAt(0)];
 
-    this.originalContext = this.context = $jsilxna.get2DContext(this.canvas, true);
+      if (typeof (result) === "undefined") result = -1;
 
-    this.viewport = new Microsoft.Xna.Framework.Graphics.Viewport();
-    this.viewport.Width = this.canvas.width;
-    this.viewport.Height = this.canvas.height;
-    this.blendState = Microsoft.Xna.Framework.Graphics.BlendState.AlphaBlend;
-    this.samplerStates = new Microsoft.Xna.Framework.Graphics.SamplerStateCollection(this, 0, 4);
-    this.vertexSamplerStates = new Microsoft.Xna.Framework.Graphics.SamplerStateCollection(this, 0, 4);
-    this.textures = new Microsoft.Xna.Framework.Graphics.TextureCollection(this, 0, 4);
-    this.vertexTextures = new Microsoft.Xna.Framework.Graphics.TextureCollection(this, 0, 4);
-    this.presentationParameters = JSIL.CreateInstanceOfType(
-      Microsoft.Xna.Framework.Graphics.PresentationParameters.__Type__, 
-      "$internalCtor", [this]
-    );
+      return result;
+    }
+  );
+
+  $.Method({Static:false, Public:false}, "InternalMeasure", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), [$jsilcore.TypeRef("JSIL.Reference", [$jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteFont/StringProxy")])], [])), 
+    function InternalMeasure (/* ref */ text) {
+      var tVector2 = Microsoft.Xna.Framework.Vector2;
+      var result = new tVector2(0, 0);
+      var lineWidth = 0;
+      var lineCount = 1;
+
+      for (var i = 0, l = text.length; i < l; i++) {
+        var ch = text[i];
+        switch (ch) {
+        case "\r":
+          continue;
+        case "\n":
+          result.X = Math.max(lineWidth, result.X);
+          lineWidth = 0;
+
+          if (i < (l - 1)) 
+            lineCount += 1;
 
-    this.displayMode = new $jsilxna.CurrentDisplayMode(this);
+          continue;
+        }
 
-    this.$UpdateBlendState();
-    this.$UpdateViewport();
-  });
+        lineWidth += this.spacing;
 
-  $.Method({Static:false, Public:true }, "get_Viewport", 
-    (new JSIL.MethodSignature($jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Viewport"), [], [])), 
-    function get_Viewport () {
-      return this.viewport;
-    }
-  );
+        var charIndex = this.GetIndexForCharacter(ch);
+        if (charIndex < 0) {
+          continue;
+        }
 
-  $.Method({Static:false, Public:true }, "set_Viewport", 
-    (new JSIL.MethodSignature(null, [$jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Viewport")], [])), 
-    function set_Viewport (value) {
-      this.viewport = newViewport.MemberwiseClone();
+        var kerning = this.kerning.get_Item(charIndex);
+        var beforeGlyph = kerning.X;
+        var glyphWidth = kerning.Y;
+        var afterGlyph = kerning.Z;
 
-      this.$UpdateViewport();
-    }
-  );
+        lineWidth += beforeGlyph;
+        lineWidth += glyphWidth;
+        lineWidth += afterGlyph;
+      }
 
-  $.Method({Static:false, Public:true }, "get_BlendState", 
-    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.BlendState"), [], [])), 
-    function get_BlendState () {
-      return this.blendState;
-    }
-  );
+      result.X = Math.max(lineWidth, result.X);
+      result.Y = lineCount * this.lineSpacing;
 
-  $.Method({Static:false, Public:true }, "get_DisplayMode", 
-    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.DisplayMode"), [], [])), 
-    function get_DisplayMode () {
-      return this.displayMode;
+      return result;
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_PresentationParameters", 
-    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.PresentationParameters"), [], [])), 
-    function get_PresentationParameters () {
-      return this.presentationParameters;
+  $.Method({Static:false, Public:true }, "MeasureString", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), [$.String], [])), 
+    function MeasureString (text) {
+      return this.InternalMeasure(text);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_SamplerStates", 
-    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.SamplerStateCollection"), [], [])), 
-    function get_SamplerStates () {
-      return this.samplerStates;
+  $.Method({Static:false, Public:true }, "MeasureString", 
+    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), [$xnaasms[5].TypeRef("System.Text.StringBuilder")], [])), 
+    function MeasureString (text) {
+      return this.InternalMeasure(stringBuilder.toString());
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_VertexSamplerStates", 
-    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.SamplerStateCollection"), [], [])), 
-    function get_VertexSamplerStates () {
-      return this.vertexSamplerStates;
-    }
-  );
+  $.RawMethod(false, "InternalDraw", 
+    function (
+      text, spriteBatch, textblockPositionX, textblockPositionY, 
+      color, rotation, 
+      originX, originY, 
+      scaleX, scaleY, 
+      spriteEffects, layerDepth
+    ) {
+      textblockPositionX -= (originX * scaleX);
+      textblockPositionY -= (originY * scaleY);
 
-  $.Method({Static:false, Public:true }, "get_Textures", 
-    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.TextureCollection"), [], [])), 
-    function get_Textures () {
-      return this.textures;
-    }
-  );
+      var tVector2 = Microsoft.Xna.Framework.Vector2;
+      var positionX = textblockPositionX;
+      var positionY = textblockPositionY;
+      var drawX, drawY;
 
-  $.Method({Static:false, Public:true }, "get_VertexTextures", 
-    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.TextureCollection"), [], [])), 
-    function get_VertexTextures () {
-      return this.vertexTextures;
-    }
-  );
+      for (var i = 0, l = text.length; i < l; i++) {
+        var ch = text[i];
+        switch (ch) {
+        case "\r":
+          continue;
+        case "\n":
+          positionX = textblockPositionX;
+          positionY += (this.lineSpacing * scaleY);
+          continue;
+        }
 
-  $.Method({Static:false, Public:true }, "set_BlendState", 
-    (new JSIL.MethodSignature(null, [$xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.BlendState")], [])), 
-    function set_BlendState (value) {
-      this.blendState = value;
-      this.$UpdateBlendState();
+        positionX += (this.spacing * scaleX);
+
+        var charIndex = this.GetIndexForCharacter(ch);
+        if (charIndex < 0) {
+          continue;
+        }
+
+        var kerning = this.kerning.get_Item(charIndex);
+        var beforeGlyph = kerning.X * scaleX;
+        var glyphWidth = kerning.Y * scaleX;
+        var afterGlyph = kerning.Z * scaleX;
+
+        positionX += beforeGlyph;
+
+        var glyphRect = this.glyphData.get_Item(charIndex);
+        var cropRect = this.croppingData.get_Item(charIndex);
+
+        drawX = positionX + (cropRect.X * scaleX);
+        drawY = positionY + (cropRect.Y * scaleY);
+
+        spriteBatch.InternalDraw(
+          this.textureValue, drawX, drawY, glyphRect.Width * scaleX, glyphRect.Height * scaleY,
+          glyphRect.X, glyphRect.Y, glyphRect.Width, glyphRect.Height,
+          color, rotation, 
+          0, 0, 
+          1, 1, 
+          spriteEffects, layerDepth
+        );
+
+        positionX += glyphWidth;
+        positionX += afterGlyph;
     }
-  );
+  });
+});
 
-  $.Method({Static:false, Public:true }, "set_DepthStencilState", 
-    (new JSIL.MethodSignature(null, [$xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.DepthStencilState")], [])), 
-    function set_DepthStencilState (value) {
-      // FIXME
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.Texture2D", function ($) {
+  $.RawMethod(false, "$internalCtor", function (graphicsDevice, width, height, mipMap, format) {
+    this._parent = graphicsDevice;
+    this.width = width;
+    this.height = height;
+    this.mipMap = mipMap;
+    this.format = format;
+    this.isDisposed = false;
+
+    if (typeof ($jsilxna.ImageFormats[format.name]) === "undefined") 
+      throw new System.NotImplementedException("The pixel format '" + format.name + "' is not supported.");
+
+    this.image = document.createElement("img");
+    var textures = document.getElementById("textures");
+    if (textures) 
+      textures.appendChild(this.image);
+  });
+
+  $.RawMethod(false, "$fromUri", function (graphicsDevice, uri) {
+    this._parent = graphicsDevice;
+    this.mipMap = false;
+    this.format = Microsoft.Xna.Framework.Graphics.SurfaceFormat.Color;
+    this.isDisposed = false;
+
+    this.image = document.createElement("img");
+    var self = this;
+    this.image.addEventListener("load", function () {
+      self.width = self.image.naturalWidth;
+      self.height = self.image.naturalHeight;
+    }, true);
+    this.image.src = uri;
+
+    this.width = this.height = 0;
+
+    var textures = document.getElementById("textures");
+    if (textures) 
+      textures.appendChild(this.image);
+  });
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), $.Int32, 
+          $.Int32
+        ], [])), 
+    function _ctor (graphicsDevice, width, height) {
+      this.$internalCtor(graphicsDevice, width, height, false, Microsoft.Xna.Framework.Graphics.SurfaceFormat.Color);
     }
   );
 
-  $.Method({Static:false, Public:true }, "set_RasterizerState", 
-    (new JSIL.MethodSignature(null, [$xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.RasterizerState")], [])), 
-    function set_RasterizerState (value) {
-      // FIXME
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), $.Int32, 
+          $.Int32, $.Boolean, 
+          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SurfaceFormat")
+        ], [])), 
+    function _ctor (graphicsDevice, width, height, mipMap, format) {
+      this.$internalCtor(graphicsDevice, width, height, mipMap, format);
     }
   );
 
-  $.RawMethod(false, "$UpdateBlendState", function () {
-    if (this.blendState === Microsoft.Xna.Framework.Graphics.BlendState.Opaque) {
-      this.context.globalCompositeOperation = "copy";
-    } else if (this.blendState === Microsoft.Xna.Framework.Graphics.BlendState.Additive) {
-      this.context.globalCompositeOperation = "lighter";
-    } else {
-      this.context.globalCompositeOperation = "source-over";
-    }
-  });
+  $.Method({Static:true , Public:true }, "FromStream", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.Texture2D"), [
+          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), $xnaasms[5].TypeRef("System.IO.Stream"), 
+          $.Int32, $.Int32, 
+          $.Boolean
+        ], [])), 
+    function FromStream (graphicsDevice, stream, width, height, zoom) {
+      var uri = stream.$GetURI();
 
-  $.RawMethod(false, "$UpdateViewport", function () {
-    this.context.setTransform(1, 0, 0, 1, 0, 0);
-    var scaleX = this.canvas.width / this.originalWidth;
-    var scaleY = this.canvas.height / this.originalHeight;
-    this.context.translate(this.viewport.X, this.viewport.Y);
-    this.context.scale(this.viewport.Width / this.canvas.width, this.viewport.Height / this.canvas.height);
-    if (this.context.isWebGL) {
-      this.context.viewport(0, 0, this.canvas.width, this.canvas.height);
+      return JSIL.CreateInstanceOfType(
+        Microsoft.Xna.Framework.Graphics.Texture2D.__Type__, 
+        "$fromUri", [graphicsDevice, uri]
+      );
     }
-  });
+  );
 
-  $.RawMethod(false, "$Clear", function () {
-    this.context.save();
-    this.context.setTransform(1, 0, 0, 1, 0, 0);
-    this.context.globalCompositeOperation = "copy";
-    this.context.globalAlpha = 1.0;
-    this.context.fillStyle = "rgba(0, 0, 0, 1)";
-    this.context.fillRect(0, 0, this.canvas.width, this.canvas.height);
-    this.context.restore();
-  });
+  $.Method({Static:true , Public:true }, "FromStream", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.Texture2D"), [$xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), $xnaasms[5].TypeRef("System.IO.Stream")], [])), 
+    function FromStream (graphicsDevice, stream) {
+      var uri = stream.$GetURI();
 
-  $.RawMethod(false, "InternalClear", function (color) {
-    this.context.save();
-    this.context.setTransform(1, 0, 0, 1, 0, 0);
-    this.context.globalCompositeOperation = "copy";
-    this.context.globalAlpha = 1.0;
-    this.context.fillStyle = color.toCss();
-    this.context.fillRect(0, 0, this.canvas.width, this.canvas.height);
-    this.context.restore();
-  });
+      return JSIL.CreateInstanceOfType(
+        Microsoft.Xna.Framework.Graphics.Texture2D.__Type__, 
+        "$fromUri", [graphicsDevice, uri]
+      );
+    }
+  );
 
-  var warnedTypes = {};
+  $.Method({Static:false, Public:true }, "get_Height", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_Height () {
+      return this.height;
+    }
+  );
 
-  $.RawMethod(false, "InternalDrawUserPrimitives", function (T, primitiveType, vertices, vertexOffset, primitiveCount) {
-    switch (primitiveType) {
-    case Microsoft.Xna.Framework.Graphics.PrimitiveType.LineList:
-      for (var i = 0; i < primitiveCount; i++) {
-        var j = i * 2;
-        this.context.lineWidth = 1;
-        this.context.strokeStyle = vertices[j].Color.toCss();
-        this.context.beginPath();
-        this.context.moveTo(vertices[j].Position.X + 0.5, vertices[j].Position.Y + 0.5);
-        this.context.lineTo(vertices[j + 1].Position.X + 0.5, vertices[j + 1].Position.Y + 0.5);
-        this.context.closePath();
-        this.context.stroke();
-      }
+  $.Method({Static:false, Public:true }, "get_Width", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_Width () {
+      return this.width;
+    }
+  );
+
+  $.RawMethod(false, "$setDataInternal", function (T, data, startIndex, elementCount) {
+    var bytes = null;
+    var swapRedAndBlue = false;
 
+    switch (T.toString()) {
+    case "System.Byte":
+      bytes = data;
+      break;
+    case "Microsoft.Xna.Framework.Color":
+    case "Microsoft.Xna.Framework.Graphics.Color":
+      bytes = $jsilxna.UnpackColorsToColorBytes(data, startIndex, elementCount);
+      startIndex = 0;
+      elementCount = bytes.length;
+      swapRedAndBlue = true;
       break;
     default:
-      var ptype = primitiveType.toString();
-      if (warnedTypes[ptype])
-        return;
-
-      warnedTypes[ptype] = true;
-      JSIL.Host.error(new Error("The primitive type " + ptype + " is not implemented."));
-      return;
+      throw new System.Exception("Pixel format '" + T.toString() + "' not implemented");
     }
+
+    var shouldUnpremultiply = true;
+    var textures = document.getElementById("textures");
+    if (textures) 
+      textures.removeChild(this.image);
+
+    this.image = this.$getImageForBytes(bytes, startIndex, elementCount, shouldUnpremultiply, swapRedAndBlue);
+    if (textures) 
+      textures.appendChild(this.image);
   });
 
-  $.Method({Static:false, Public:true }, "DrawUserPrimitives", 
-    (new JSIL.MethodSignature(null, [
-          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.PrimitiveType"), $jsilcore.TypeRef("System.Array", ["!!0"]), 
-          $.Int32, $.Int32
-        ], ["T"])), 
-    function DrawUserPrimitives$b1 (T, primitiveType, vertexData, vertexOffset, primitiveCount) {
-      return this.InternalDrawUserPrimitives(T, primitiveType, vertexData, vertexOffset, primitiveCount);
+  $.Method({Static:false, Public:true }, "SetData", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", ["!!0"])], ["T"])), 
+    function SetData$b1 (T, data) {
+      this.$setDataInternal(T, data, 0, data.length);
     }
   );
 
-  $.Method({Static:false, Public:true }, "DrawUserPrimitives", 
+  $.Method({Static:false, Public:true }, "SetData", 
     (new JSIL.MethodSignature(null, [
-          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.PrimitiveType"), $jsilcore.TypeRef("System.Array", ["!!0"]), 
-          $.Int32, $.Int32, 
-          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.VertexDeclaration")
+          $.Int32, $xnaasms[5].TypeRef("System.Nullable`1", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), 
+          $jsilcore.TypeRef("System.Array", ["!!0"]), $.Int32, 
+          $.Int32
         ], ["T"])), 
-    function DrawUserPrimitives$b1 (T, primitiveType, vertexData, vertexOffset, primitiveCount, vertexDeclaration) {
-      return this.InternalDrawUserPrimitives(T, primitiveType, vertexData, vertexOffset, primitiveCount);
+    function SetData$b1 (T, level, rect, data, startIndex, elementCount) {
+      if (level !== 0) return;
+
+      if (rect !== null) throw new System.NotImplementedException();
+
+      this.$setDataInternal(T, data, startIndex, elementCount);
     }
   );
 
-  $.Method({Static:false, Public:true }, "SetRenderTarget", 
-    (new JSIL.MethodSignature(null, [$xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.RenderTarget2D")], [])), 
-    function SetRenderTarget (renderTarget) {
-      if (this.renderTarget === renderTarget) 
-        return;
-
-      var oldRenderTarget = this.renderTarget;
-      this.renderTarget = renderTarget;
+  $.RawMethod(false, "$getImageForBytes", function (bytes, startIndex, elementCount, unpremultiply, swapRedAndBlue) {
+    var canvas = document.createElement("canvas");
+    try {
+      document.getElementById("images").appendChild(canvas);
+    } catch (exc) {
+    }
+    canvas.width = this.width;
+    canvas.height = this.height;
+    var ctx = $jsilxna.get2DContext(canvas, false);
 
-      if (renderTarget !== null) {
-        this.canvas = renderTarget.canvas;
-        this.context = renderTarget.context;
-      } else {
-        this.canvas = this.originalCanvas;
-        this.context = this.originalContext;
+    if (bytes !== null) {
+      var decoder = $jsilxna.ImageFormats[this.format.name];
+      if (decoder !== null) {
+        bytes = decoder(this.width, this.height, bytes, startIndex, elementCount, swapRedAndBlue);
+        startIndex = 0;
+        elementCount = bytes.length;
       }
 
-      this.context.setTransform(1, 0, 0, 1, 0, 0);
-      this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
-
-      this.viewport.X = 0;
-      this.viewport.Y = 0;
-      this.viewport.Width = this.canvas.width;
-      this.viewport.Height = this.canvas.height;
-
-      this.$UpdateBlendState();
-      this.$UpdateViewport();
+      var imageData = ctx.createImageData(this.width, this.height);
 
-      if (oldRenderTarget !== null) 
-        oldRenderTarget.$ResynthesizeImage();
-    }
-  );
-});
+      // XNA texture colors are premultiplied, but canvas pixels aren't, so we need to try
+      //  to reverse the premultiplication.
+      if (unpremultiply) {
+        var pixelCount = elementCount / 4;
+        for (var i = 0; i < pixelCount; i++) {
+          var p = i * 4;
 
-(function () {
-  // XNA3 doesn't have a BlendState class, so we substitute one.
+          var a = bytes[p + 3];
 
-  var graphicsAsm = JSIL.GetAssembly("Microsoft.Xna.Framework.Graphics", true);
-  if (graphicsAsm === null) {
-    JSIL.DeclareNamespace("Microsoft");
-    JSIL.DeclareNamespace("Microsoft.Xna");
-    JSIL.DeclareNamespace("Microsoft.Xna.Framework");
-    JSIL.DeclareNamespace("Microsoft.Xna.Framework.Graphics");
+          if (a <= 0) {
+            continue;
+          } else if (a > 254) {
+            imageData.data[p] = bytes[p];
+            imageData.data[p + 1] = bytes[p + 1];
+            imageData.data[p + 2] = bytes[p + 2];
+            imageData.data[p + 3] = a;
+          } else {
+            var m = 255 / a;
 
-    JSIL.MakeClass($jsilcore.TypeRef("System.Object"), "Microsoft.Xna.Framework.Graphics.BlendState", true, [], function ($) {
-      $.Field({Static:true , Public:true }, "Additive", $.Type, function ($) {
-          return null;
-        });
-      $.Field({Static:true , Public:true }, "AlphaBlend", $.Type, function ($) {
-          return null;
-        });
-      $.Field({Static:true , Public:true }, "NonPremultiplied", $.Type, function ($) {
-          return null;
-        });
-      $.Field({Static:true , Public:true }, "Opaque", $.Type, function ($) {
-          return null;
-        });
-    });
-  }
-}) ();
+            imageData.data[p] = bytes[p] * m;
+            imageData.data[p + 1] = bytes[p + 1] * m;
+            imageData.data[p + 2] = bytes[p + 2] * m;
+            imageData.data[p + 3] = a;
+          }
+        }
+      } else {
+        for (var i = 0; i < elementCount; i++)
+        imageData.data[i] = bytes[startIndex + i];
+      }
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.BlendState", function ($) {
-  $.Method({Static: true, Public: true}, ".cctor", 
-    new JSIL.MethodSignature(null, [], []),
-    function () {
-      Microsoft.Xna.Framework.Graphics.BlendState.Opaque = new Microsoft.Xna.Framework.Graphics.BlendState();
-      Microsoft.Xna.Framework.Graphics.BlendState.AlphaBlend = new Microsoft.Xna.Framework.Graphics.BlendState();
-      Microsoft.Xna.Framework.Graphics.BlendState.Additive = new Microsoft.Xna.Framework.Graphics.BlendState();
-      Microsoft.Xna.Framework.Graphics.BlendState.NonPremultiplied = new Microsoft.Xna.Framework.Graphics.BlendState();
+      ctx.putImageData(imageData, 0, 0);
     }
-  );
-});
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.PresentationParameters", function ($) {
-  $.RawMethod(false, "__CopyMembers__", function (source, target) {
-    target._device = source._device;
+    return canvas;
   });
 
-  $.RawMethod(false, "$internalCtor", function (graphicsDevice) {
-    this._device = graphicsDevice;
+  $.Method({
+    Static: false,
+    Public: true
+  }, "Dispose", new JSIL.MethodSignature(null, [], []), function () {
+    var textures = document.getElementById("textures");
+    if (textures) textures.removeChild(this.image);
   });
+});
 
-  $.Method({Static:false, Public:true }, "get_BackBufferFormat", 
-    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.SurfaceFormat"), [], [])), 
-    function get_BackBufferFormat () {
-      return Microsoft.Xna.Framework.Graphics.SurfaceFormat.Color;
-    }
-  );
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.RenderTarget2D", function ($) {
+  $.RawMethod(false, "$internalCtor", function (graphicsDevice, width, height, mipMap, format) {
+    this._parent = graphicsDevice;
+    this.width = width;
+    this.height = height;
+    this.mipMap = mipMap;
+    this.format = format;
+    this.isDisposed = false;
 
-  $.Method({Static:false, Public:true }, "get_BackBufferHeight", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_BackBufferHeight () {
-      return this._device.originalCanvas.height;
-    }
-  );
+    this.image = this.canvas = JSIL.Host.createCanvas(width, height);
+    this.canvas.naturalWidth = width;
+    this.canvas.naturalHeight = height;
 
-  $.Method({Static:false, Public:true }, "get_BackBufferWidth", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_BackBufferWidth () {
-      return this._device.originalCanvas.width;
-    }
-  );
+    // Can't use WebGL here since it'll disable the ability to copy from the RT to the framebuffer.
+    this.context = $jsilxna.get2DContext(this.canvas, false);
 
-  $.Method({Static:false, Public:true }, "get_DepthStencilFormat", 
-    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.DepthFormat"), [], [])), 
-    function get_DepthStencilFormat () {
-      return Microsoft.Xna.Framework.Graphics.DepthFormat.None;
-    }
-  );
+    var targets = document.getElementById("rendertargets");
+    if (targets) targets.appendChild(this.canvas);
+  });
 
-  $.Method({Static:false, Public:true }, "get_MultiSampleCount", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_MultiSampleCount () {
-      return 0;
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), $.Int32, 
+          $.Int32, $.Boolean, 
+          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.SurfaceFormat"), $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.DepthFormat"), 
+          $.Int32, $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.RenderTargetUsage")
+        ], [])), 
+    function _ctor (graphicsDevice, width, height, mipMap, colorFormat, preferredDepthFormat, preferredMultiSampleCount, usage) {
+      this.$internalCtor(graphicsDevice, width, height, mipMap, colorFormat);
     }
   );
-});
-
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.TextureCollection", function ($) {
 
-  $.Method({Static:false, Public:false}, ".ctor", 
+  $.Method({Static:false, Public:true }, ".ctor", 
     (new JSIL.MethodSignature(null, [
           $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), $.Int32, 
-          $.Int32
+          $.Int32, $.Boolean, 
+          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.SurfaceFormat"), $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.DepthFormat")
         ], [])), 
-    function _ctor (parent, textureOffset, maxTextures) {
-      this.textures = new Array(maxTextures);
-
-      for (var i = 0; i < maxTextures; i++)
-        this.textures[i] = null;
+    function _ctor (graphicsDevice, width, height, mipMap, colorFormat, preferredDepthFormat) {
+      this.$internalCtor(graphicsDevice, width, height, mipMap, colorFormat);
     }
   );
 
-  $.Method({Static:false, Public:true }, "get_Item", 
-    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.Texture"), [$.Int32], [])), 
-    function get_Item (index) {
-      return this.textures[index];
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [
+          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), $.Int32, 
+          $.Int32
+        ], [])), 
+    function _ctor (graphicsDevice, width, height) {
+      this.$internalCtor(graphicsDevice, width, height, false, Microsoft.Xna.Framework.Graphics.SurfaceFormat.Color);
     }
   );
 
-  $.Method({Static:false, Public:true }, "set_Item", 
-    (new JSIL.MethodSignature(null, [$.Int32, $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.Texture")], [])), 
-    function set_Item (index, value) {
-      this.textures[index] = value;
-    }
-  );
+  $.Method({
+    Static: false,
+    Public: true
+  }, "SetData", new JSIL.MethodSignature(null, [], ["T"]), function (T, data) {
+    throw new System.NotImplementedException();
+  }), $.Method({
+    Static: false,
+    Public: true
+  }, "SetData", new JSIL.MethodSignature(null, [], []), function (T, level, rect, data, startIndex, elementCount) {
+    throw new System.NotImplementedException();
+  }), $.Method({
+    Static: false,
+    Public: true
+  }, "$ResynthesizeImage", new JSIL.MethodSignature(null, [], []), function () {
+    this.image.isDirty = true;
+  });
+  $.Method({
+    Static: false,
+    Public: true
+  }, "Dispose", new JSIL.MethodSignature(null, [], []), function () {
+    var targets = document.getElementById("rendertargets");
+    if (targets) targets.removeChild(this.canvas);
+
+    this.canvas = null;
+    this.context = null;
+  });
 });
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.SamplerStateCollection", function ($) {
+// Based on Benjamin Dobell's DXTC decompressors.
+// http://www.glassechidna.com.au
+$jsilxna.Unpack565 = function (sourceBuffer, sourceOffset) {
+  var color565 = (sourceBuffer[sourceOffset + 1] << 8) + (sourceBuffer[sourceOffset]);
+  if (color565 === 0) return [0, 0, 0];
+  else if (color565 === 65535) return [255, 255, 255];
 
-  $.Method({Static:false, Public:false}, ".ctor", 
-    (new JSIL.MethodSignature(null, [
-          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), $.Int32, 
-          $.Int32
-        ], [])), 
-    function _ctor (pParent, samplerOffset, maxSamplers) {
-      // FIXME
-      this.parent = pParent;
-      this.states = new Array(maxSamplers);
+  var result = [];
 
-      var tState = Microsoft.Xna.Framework.Graphics.SamplerState.__Type__;
+  var temp = (color565 >> 11) * 255 + 16;
+  result[0] = Math.floor((temp / 32 + temp) / 32);
+  temp = ((color565 & 0x07E0) >> 5) * 255 + 32;
+  result[1] = Math.floor((temp / 64 + temp) / 64);
+  temp = (color565 & 0x001F) * 255 + 16;
+  result[2] = Math.floor((temp / 32 + temp) / 32);
 
-      for (var i = 0; i < maxSamplers; i++) {
-        this.states = JSIL.CreateInstanceOfType(tState, null);
-      }
-    }
-  );
+  return result;
+};
 
-  $.Method({Static:false, Public:true }, "get_Item", 
-    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.SamplerState"), [$.Int32], [])), 
-    function get_Item (index) {
-      return this.states[index];
-    }
-  );
+$jsilxna.DecompressBlockBC12 = function (source, sourceOffset, writePixel, alphaSource) {
+  var color0 = $jsilxna.Unpack565(source, sourceOffset);
+  var color1 = $jsilxna.Unpack565(source, sourceOffset + 2);
 
-  $.Method({Static:false, Public:true }, "set_Item", 
-    (new JSIL.MethodSignature(null, [$.Int32, $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.SamplerState")], [])), 
-    function set_Item (index, value) {
-      this.states[index] = value;
+  var r0 = color0[0],
+    g0 = color0[1],
+    b0 = color0[2];
+  var r1 = color1[0],
+    g1 = color1[1],
+    b1 = color1[2];
 
-      if (value) {
-        var enableSmoothing = value.get_Filter() != Microsoft.Xna.Framework.Graphics.TextureFilter.Point;
+  var bc2Mode = typeof (alphaSource) === "function";
+  var readPosition = sourceOffset + 4;
+  var finalColor;
 
-        this.parent.context.mozImageSmoothingEnabled = this.parent.context.webkitImageSmoothingEnabled = enableSmoothing;
+  for (var y = 0; y < 4; y++) {
+    var currentByte = source[readPosition];
+
+    for (var x = 0; x < 4; x++) {
+      var positionCode = (currentByte >> (2 * x)) & 0x03;
+      var alpha = 255;
+      if (bc2Mode) alpha = alphaSource(x, y);
+
+      if (bc2Mode || (color0 > color1)) {
+        // BC2 block mode or a BC1 block where (color0 > color1)
+        switch (positionCode) {
+        case 0:
+          finalColor = [r0, g0, b0, alpha];
+          break;
+        case 1:
+          finalColor = [r1, g1, b1, alpha];
+          break;
+        case 2:
+          finalColor = [(2 * r0 + r1) / 3, (2 * g0 + g1) / 3, (2 * b0 + b1) / 3, alpha];
+          break;
+        case 3:
+          finalColor = [(r0 + 2 * r1) / 3, (g0 + 2 * g1) / 3, (b0 + 2 * b1) / 3, alpha];
+          break;
+        }
+      } else {
+        // BC1 block mode
+        switch (positionCode) {
+        case 0:
+          finalColor = [r0, g0, b0, 255];
+          break;
+        case 1:
+          finalColor = [r1, g1, b1, 255];
+          break;
+        case 2:
+          finalColor = [(r0 + r1) / 2, (g0 + g1) / 2, (b0 + b1) / 2, 255];
+          break;
+        case 3:
+          finalColor = [0, 0, 0, 255];
+          break;
+        }
       }
+
+      writePixel(x, y, finalColor);
     }
-  );
 
-});
+    readPosition += 1;
+  }
+}
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.MathHelper", function ($) {
-  $.Method({Static:true , Public:true }, "Clamp", 
-    (new JSIL.MethodSignature($.Single, [
-          $.Single, $.Single, 
-          $.Single
-        ], [])), 
-    function Clamp (value, min, max) {
-      if (max < min) max = min;
+$jsilxna.DecompressAlphaBlockBC2 = function (source, sourceOffset) {
+  return function (x, y) {
+    var offset = Math.floor(((y * 4) + x) / 2) + sourceOffset;
+    var byte = source[offset];
+    var bits;
 
-      if (value < min) 
-        return min;
-      else if (value > max) 
-        return max;
-      else 
-        return value;
+    if ((x & 1) == 1) {
+      bits = (byte >> 4) & 0x0F;
+    } else {
+      bits = byte & 0x0F;
     }
-  );
 
-  $.Method({Static:true , Public:true }, "Lerp", 
-    (new JSIL.MethodSignature($.Single, [
-          $.Single, $.Single, 
-          $.Single
-        ], [])), 
-    function Lerp (value1, value2, amount) {
-      return value1 + (value2 - value1) * amount;
-    }
-  );
+    return bits * 0x11;
+  };
+};
 
-  $.Method({Static:true , Public:true }, "Max", 
-    (new JSIL.MethodSignature($.Single, [$.Single, $.Single], [])), 
-    Math.max
-  );
+$jsilxna.DecompressAlphaBlockBC3 = function (source, sourceOffset) {
+  var result = new Array(4 * 4);
 
-  $.Method({Static:true , Public:true }, "Min", 
-    (new JSIL.MethodSignature($.Single, [$.Single, $.Single], [])), 
-    Math.min
-  );
-});
+  var alpha0 = source[sourceOffset];
+  var alpha1 = source[sourceOffset + 1];
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.SpriteFont", function ($) {
+  var readPosition = sourceOffset + 2;
+  var readPositionBits = 0;
+  var finalAlpha;
 
-  $.Method({Static:false, Public:false}, ".ctor", 
-    (new JSIL.MethodSignature(null, [
-          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.Texture2D"), $xnaasms[5].TypeRef("System.Collections.Generic.List`1", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), 
-          $xnaasms[5].TypeRef("System.Collections.Generic.List`1", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), $xnaasms[5].TypeRef("System.Collections.Generic.List`1", [$.Char]), 
-          $.Int32, $.Single, 
-          $xnaasms[5].TypeRef("System.Collections.Generic.List`1", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3")]), $xnaasms[5].TypeRef("System.Nullable`1", [$.Char])
-        ], [])), 
-    function _ctor (texture, glyphs, cropping, charMap, lineSpacing, spacing, kerning, defaultCharacter) {
-      this.textureValue = texture;
-      this.glyphData = glyphs;
-      this.croppingData = cropping;
-      this.characterMap = charMap;
-      this.lineSpacing = lineSpacing;
-      this.spacing = spacing;
-      this.kerning = kerning;
-      this.defaultCharacter = defaultCharacter;
-      this.characters = this.characterMap.AsReadOnly();
-      this.charToIndex = {};
+  // I'm too lazy to get the math for this right using JS integer arithmetic.
+  // It's slower, but it works.
+  var bits = "";
+  for (var i = 0; i < 6; i++) {
+    var byte = source[readPosition + i].toString(2);
+    while (byte.length < 8)
+    byte = "0" + byte;
 
-      for (var i = 0; i < charMap.Count; i++) {
-        var ch = charMap.get_Item(i);
-        this.charToIndex[ch.charCodeAt(0)] = i;
-      }
-    }
-  );
+    bits = byte + bits;
+  }
 
-  $.Method({Static:false, Public:true }, "get_Characters", 
-    (new JSIL.MethodSignature($xnaasms[5].TypeRef("System.Collections.ObjectModel.ReadOnlyCollection`1", [$.Char]), [], [])), 
-    function get_Characters () {
-      return this.characters;
-    }
-  );
+  for (var y = 0; y < 4; y++) {
+    for (var x = 0; x < 4; x++) {
+      var currentBits = bits.substr(readPositionBits, 3);
+      var positionCode = parseInt(currentBits, 2);
 
-  $.Method({Static:false, Public:true }, "get_DefaultCharacter", 
-    (new JSIL.MethodSignature($xnaasms[5].TypeRef("System.Nullable`1", [$.Char]), [], [])), 
-    function get_DefaultCharacter () {
-      return this.defaultCharacter;
-    }
-  );
+      if (alpha0 > alpha1) {
+        switch (positionCode) {
+        case 0:
+          finalAlpha = alpha0;
+          break;
+        case 1:
+          finalAlpha = alpha1;
+          break;
+        case 2:
+          finalAlpha = ((6 * alpha0) + (1 * alpha1)) / 7;
+          break;
+        case 3:
+          finalAlpha = ((5 * alpha0) + (2 * alpha1)) / 7;
+          break;
+        case 4:
+          finalAlpha = ((4 * alpha0) + (3 * alpha1)) / 7;
+          break;
+        case 5:
+          finalAlpha = ((3 * alpha0) + (4 * alpha1)) / 7;
+          break;
+        case 6:
+          finalAlpha = ((2 * alpha0) + (5 * alpha1)) / 7;
+          break;
+        case 7:
+          finalAlpha = ((1 * alpha0) + (6 * alpha1)) / 7;
+          break;
+        }
+      } else {
+        switch (positionCode) {
+        case 0:
+          finalAlpha = alpha0;
+          break;
+        case 1:
+          finalAlpha = alpha1;
+          break;
+        case 2:
+          finalAlpha = ((4 * alpha0) + (1 * alpha1)) / 5
+          break;
+        case 3:
+          finalAlpha = ((3 * alpha0) + (2 * alpha1)) / 5
+          break;
+        case 4:
+          finalAlpha = ((2 * alpha0) + (3 * alpha1)) / 5
+          break;
+        case 5:
+          finalAlpha = ((1 * alpha0) + (4 * alpha1)) / 5
+          break;
+        case 6:
+          finalAlpha = 0;
+          break;
+        case 7:
+          finalAlpha = 255;
+          break;
+        }
+      }
 
-  $.Method({Static:false, Public:true }, "get_LineSpacing", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_LineSpacing () {
-      return this.lineSpacing;
-    }
-  );
+      readPositionBits += 3;
 
-  $.Method({Static:false, Public:true }, "get_Spacing", 
-    (new JSIL.MethodSignature($.Single, [], [])), 
-    function get_Spacing () {
-      return this.spacing;
+      var _x = 3 - x;
+      var _y = 3 - y;
+      result[_x + (_y * 4)] = finalAlpha;
     }
-  );
+  }
 
-  $.Method({Static:false, Public:false}, "GetIndexForCharacter", 
-    (new JSIL.MethodSignature($.Int32, [$.Char], [])), 
-    function GetIndexForCharacter (character) {
-      var result = this.charToIndex[character.charCodeAt(0)];
+  return function (x, y) {
+    return result[x + (y * 4)];
+  };
+};
 
-      if ((typeof (result) === "undefined") && (this.defaultCharacter !== null)) result = this.charToIndex[this.defaultCharacter.charCodeAt(0)];
+$jsilxna.makePixelWriter = function (buffer, width, x, y) {
+  return function (_x, _y, color) {
+    var offset = (((_y + y) * width) + (_x + x)) * 4;
 
-      if (typeof (result) === "undefined") result = -1;
+    buffer[offset] = color[0];
+    buffer[offset + 1] = color[1];
+    buffer[offset + 2] = color[2];
+    buffer[offset + 3] = color[3];
+  };
+};
 
-      return result;
-    }
-  );
+$jsilxna.DecodeDxt1 = function (width, height, bytes, offset, count) {
+  var totalSizeBytes = width * height * 4;
+  var result = new Array(totalSizeBytes);
 
-  $.Method({Static:false, Public:false}, "InternalMeasure", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), [$jsilcore.TypeRef("JSIL.Reference", [$jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SpriteFont/StringProxy")])], [])), 
-    function InternalMeasure (/* ref */ text) {
-      var tVector2 = Microsoft.Xna.Framework.Vector2;
-      var result = new tVector2(0, 0);
-      var lineWidth = 0;
-      var lineCount = 1;
+  var blockCountX = Math.floor((width + 3) / 4);
+  var blockCountY = Math.floor((height + 3) / 4);
+  var blockWidth = (width < 4) ? width : 4;
+  var blockHeight = (height < 4) ? height : 4;
 
-      for (var i = 0, l = text.length; i < l; i++) {
-        var ch = text[i];
-        switch (ch) {
-        case "\r":
-          continue;
-        case "\n":
-          result.X = Math.max(lineWidth, result.X);
-          lineWidth = 0;
+  var sourceOffset = offset;
 
-          if (i < (l - 1)) 
-            lineCount += 1;
+  for (var y = 0; y < blockCountY; y++) {
+    for (var x = 0; x < blockCountX; x++) {
+      // Decode color data
+      $jsilxna.DecompressBlockBC12(
+      bytes, sourceOffset, $jsilxna.makePixelWriter(result, width, x * blockWidth, y * blockHeight), null);
 
-          continue;
-        }
+      sourceOffset += 8;
+    }
+  }
 
-        lineWidth += this.spacing;
+  return result;
+}
 
-        var charIndex = this.GetIndexForCharacter(ch);
-        if (charIndex < 0) {
-          continue;
-        }
+$jsilxna.DecodeDxt3 = function (width, height, bytes, offset, count) {
+  var totalSizeBytes = width * height * 4;
+  var result = new Array(totalSizeBytes);
 
-        var kerning = this.kerning.get_Item(charIndex);
-        var beforeGlyph = kerning.X;
-        var glyphWidth = kerning.Y;
-        var afterGlyph = kerning.Z;
+  var blockCountX = Math.floor((width + 3) / 4);
+  var blockCountY = Math.floor((height + 3) / 4);
+  var blockWidth = (width < 4) ? width : 4;
+  var blockHeight = (height < 4) ? height : 4;
 
-        lineWidth += beforeGlyph;
-        lineWidth += glyphWidth;
-        lineWidth += afterGlyph;
-      }
+  var sourceOffset = offset;
 
-      result.X = Math.max(lineWidth, result.X);
-      result.Y = lineCount * this.lineSpacing;
+  for (var y = 0; y < blockCountY; y++) {
+    for (var x = 0; x < blockCountX; x++) {
+      // Decode alpha data
+      var alphaSource = $jsilxna.DecompressAlphaBlockBC2(
+      bytes, sourceOffset);
 
-      return result;
-    }
-  );
+      sourceOffset += 8;
 
-  $.Method({Static:false, Public:true }, "MeasureString", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), [$.String], [])), 
-    function MeasureString (text) {
-      return this.InternalMeasure(text);
-    }
-  );
+      // Decode color data
+      $jsilxna.DecompressBlockBC12(
+      bytes, sourceOffset, $jsilxna.makePixelWriter(result, width, x * blockWidth, y * blockHeight), alphaSource);
 
-  $.Method({Static:false, Public:true }, "MeasureString", 
-    (new JSIL.MethodSignature($xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"), [$xnaasms[5].TypeRef("System.Text.StringBuilder")], [])), 
-    function MeasureString (text) {
-      return this.InternalMeasure(stringBuilder.toString());
+      sourceOffset += 8;
     }
-  );
-
-  $.RawMethod(false, "InternalDraw", 
-    function (
-      text, spriteBatch, textblockPositionX, textblockPositionY, 
-      color, rotation, 
-      originX, originY, 
-      scaleX, scaleY, 
-      spriteEffects, layerDepth
-    ) {
-      textblockPositionX -= (originX * scaleX);
-      textblockPositionY -= (originY * scaleY);
-
-      var tVector2 = Microsoft.Xna.Framework.Vector2;
-      var positionX = textblockPositionX;
-      var positionY = textblockPositionY;
-      var drawX, drawY;
+  }
 
-      for (var i = 0, l = text.length; i < l; i++) {
-        var ch = text[i];
-        switch (ch) {
-        case "\r":
-          continue;
-        case "\n":
-          positionX = textblockPositionX;
-          positionY += (this.lineSpacing * scaleY);
-          continue;
-        }
+  return result;
+};
 
-        positionX += (this.spacing * scaleX);
+$jsilxna.DecodeDxt5 = function (width, height, bytes, offset, count) {
+  var totalSizeBytes = width * height * 4;
+  var result = new Array(totalSizeBytes);
 
-        var charIndex = this.GetIndexForCharacter(ch);
-        if (charIndex < 0) {
-          continue;
-        }
+  var blockCountX = Math.floor((width + 3) / 4);
+  var blockCountY = Math.floor((height + 3) / 4);
+  var blockWidth = (width < 4) ? width : 4;
+  var blockHeight = (height < 4) ? height : 4;
 
-        var kerning = this.kerning.get_Item(charIndex);
-        var beforeGlyph = kerning.X * scaleX;
-        var glyphWidth = kerning.Y * scaleX;
-        var afterGlyph = kerning.Z * scaleX;
+  var sourceOffset = offset;
 
-        positionX += beforeGlyph;
+  for (var y = 0; y < blockCountY; y++) {
+    for (var x = 0; x < blockCountX; x++) {
+      // Decode alpha data
+      var alphaSource = $jsilxna.DecompressAlphaBlockBC3(
+      bytes, sourceOffset);
 
-        var glyphRect = this.glyphData.get_Item(charIndex);
-        var cropRect = this.croppingData.get_Item(charIndex);
+      sourceOffset += 8;
 
-        drawX = positionX + (cropRect.X * scaleX);
-        drawY = positionY + (cropRect.Y * scaleY);
+      // Decode color data
+      $jsilxna.DecompressBlockBC12(
+      bytes, sourceOffset, $jsilxna.makePixelWriter(result, width, x * blockWidth, y * blockHeight), alphaSource);
 
-        spriteBatch.InternalDraw(
-          this.textureValue, drawX, drawY, glyphRect.Width * scaleX, glyphRect.Height * scaleY,
-          glyphRect.X, glyphRect.Y, glyphRect.Width, glyphRect.Height,
-          color, rotation, 
-          0, 0, 
-          1, 1, 
-          spriteEffects, layerDepth
-        );
+      sourceOffset += 8;
+    }
+  }
 
-        positionX += glyphWidth;
-        positionX += afterGlyph;
+  return result;
+};
+
+$jsilxna.ColorToCanvas = function (width, height, bytes, offset, count, swapRedAndBlue) {
+  var result = new Array(count);
+
+  if (swapRedAndBlue) {
+    for (var i = 0, l = count; i < l; i += 4) {
+      result[i + 0] = bytes[offset + i + 2];
+      result[i + 1] = bytes[offset + i + 1];
+      result[i + 2] = bytes[offset + i + 0];
+      result[i + 3] = bytes[offset + i + 3];
     }
-  });
-});
+  } else {
+    for (var i = 0, l = count; i < l; i++) {
+      result[i] = bytes[offset + i];
+    }
+  }
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.Texture2D", function ($) {
-  $.RawMethod(false, "$internalCtor", function (graphicsDevice, width, height, mipMap, format) {
-    this._parent = graphicsDevice;
-    this.width = width;
-    this.height = height;
-    this.mipMap = mipMap;
-    this.format = format;
-    this.isDisposed = false;
+  return result;
+};
 
-    if (typeof ($jsilxna.ImageFormats[format.name]) === "undefined") 
-      throw new System.NotImplementedException("The pixel format '" + format.name + "' is not supported.");
+$jsilxna.UnpackColorsToColorBytes = function (colors, startIndex, elementCount) {
+  var result = new Array(colors.length * 4);
 
-    this.image = document.createElement("img");
-    var textures = document.getElementById("textures");
-    if (textures) 
-      textures.appendChild(this.image);
-  });
+  for (var i = 0, l = elementCount; i < l; i++) {
+    var item = colors[startIndex + i];
 
-  $.RawMethod(false, "$fromUri", function (graphicsDevice, uri) {
-    this._parent = graphicsDevice;
-    this.mipMap = false;
-    this.format = Microsoft.Xna.Framework.Graphics.SurfaceFormat.Color;
-    this.isDisposed = false;
+    var p = i * 4;
+    result[p + 0] = item.r & 0xFF;
+    result[p + 1] = item.g & 0xFF;
+    result[p + 2] = item.b & 0xFF;
+    result[p + 3] = item.a & 0xFF;
+  }
 
-    this.image = document.createElement("img");
-    var self = this;
-    this.image.addEventListener("load", function () {
-      self.width = self.image.naturalWidth;
-      self.height = self.image.naturalHeight;
-    }, true);
-    this.image.src = uri;
+  return result;
+};
 
-    this.width = this.height = 0;
+$jsilxna.ImageFormats = {
+  "Color": $jsilxna.ColorToCanvas,
+  "Dxt1": $jsilxna.DecodeDxt1,
+  "Dxt2": $jsilxna.DecodeDxt3,
+  "Dxt3": $jsilxna.DecodeDxt3,
+  "Dxt4": $jsilxna.DecodeDxt5,
+  "Dxt5": $jsilxna.DecodeDxt5,
+};
 
-    var textures = document.getElementById("textures");
-    if (textures) 
-      textures.appendChild(this.image);
-  });
+// [componentCount, WebGL type, normalized, size in bytes] for each VertexElementFormat. Half precision formats
+//  have no WebGL 1 equivalent, but their sizes are still needed to compute vertex strides.
+$jsilxna.VertexElementFormats = {
+  "Single": [1, "FLOAT", false, 4],
+  "Vector2": [2, "FLOAT", false, 8],
+  "Vector3": [3, "FLOAT", false, 12],
+  "Vector4": [4, "FLOAT", false, 16],
+  "Color": [4, "UNSIGNED_BYTE", true, 4],
+  "Byte4": [4, "UNSIGNED_BYTE", false, 4],
+  "Short2": [2, "SHORT", false, 4],
+  "Short4": [4, "SHORT", false, 8],
+  "NormalizedShort2": [2, "SHORT", true, 4],
+  "NormalizedShort4": [4, "SHORT", true, 8],
+  "HalfVector2": [2, null, false, 4],
+  "HalfVector4": [4, null, false, 8]
+};
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [
-          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), $.Int32, 
-          $.Int32
-        ], [])), 
-    function _ctor (graphicsDevice, width, height) {
-      this.$internalCtor(graphicsDevice, width, height, false, Microsoft.Xna.Framework.Graphics.SurfaceFormat.Color);
-    }
-  );
+$jsilxna.CompareFunctions = {
+  "Always": "ALWAYS",
+  "Never": "NEVER",
+  "Less": "LESS",
+  "LessEqual": "LEQUAL",
+  "Equal": "EQUAL",
+  "GreaterEqual": "GEQUAL",
+  "Greater": "GREATER",
+  "NotEqual": "NOTEQUAL"
+};
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [
-          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), $.Int32, 
-          $.Int32, $.Boolean, 
-          $jsilxna.graphicsRef("Microsoft.Xna.Framework.Graphics.SurfaceFormat")
-        ], [])), 
-    function _ctor (graphicsDevice, width, height, mipMap, format) {
-      this.$internalCtor(graphicsDevice, width, height, mipMap, format);
-    }
-  );
+// [WebGL mode, vertices per primitive, extra vertices] for each PrimitiveType.
+$jsilxna.PrimitiveTypes = {
+  "TriangleList": ["TRIANGLES", 3, 0],
+  "TriangleStrip": ["TRIANGLE_STRIP", 1, 2],
+  "LineList": ["LINES", 2, 0],
+  "LineStrip": ["LINE_STRIP", 1, 1]
+};
 
-  $.Method({Static:true , Public:true }, "FromStream", 
-    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.Texture2D"), [
-          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), $xnaasms[5].TypeRef("System.IO.Stream"), 
-          $.Int32, $.Int32, 
-          $.Boolean
-        ], [])), 
-    function FromStream (graphicsDevice, stream, width, height, zoom) {
-      var uri = stream.$GetURI();
+$jsilxna.DataViewScalars = {
+  "System.Byte": ["Uint8", 1],
+  "System.SByte": ["Int8", 1],
+  "System.Int16": ["Int16", 2],
+  "System.UInt16": ["Uint16", 2],
+  "System.Int32": ["Int32", 4],
+  "System.UInt32": ["Uint32", 4],
+  "System.Single": ["Float32", 4],
+  "System.Double": ["Float64", 8]
+};
 
-      return JSIL.CreateInstanceOfType(
-        Microsoft.Xna.Framework.Graphics.Texture2D.__Type__, 
-        "$fromUri", [graphicsDevice, uri]
-      );
-    }
-  );
+// Describes how values of a type are laid out in a vertex or index buffer, matching the sequential layout
+//  of the .NET struct. Each field is [path, kind, offset], where path is the list of field names leading to
+//  the value and kind is a DataView accessor suffix, or "Color" for packed colors.
+$jsilxna.getBufferLayout = function (typeObject) {
+  if (typeObject.__BufferLayout__)
+    return typeObject.__BufferLayout__;
+
+  var fields = [];
+
+  var addFields = function (type, path, offset) {
+    var typeName = type.__FullName__;
+    var scalar = $jsilxna.DataViewScalars[typeName];
+
+    if (scalar) {
+      fields.push([path, scalar[0], offset]);
+      return offset + scalar[1];
+    } else if (
+      (typeName === "Microsoft.Xna.Framework.Color") || 
+      (typeName === "Microsoft.Xna.Framework.Graphics.Color")
+    ) {
+      fields.push([path, "Color", offset]);
+      return offset + 4;
+    } else if (type.__IsStruct__) {
+      var members = JSIL.GetMembersInternal(type, $jsilcore.BindingFlags.Instance, "FieldInfo");
 
-  $.Method({Static:true , Public:true }, "FromStream", 
-    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.Texture2D"), [$xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), $xnaasms[5].TypeRef("System.IO.Stream")], [])), 
-    function FromStream (graphicsDevice, stream) {
-      var uri = stream.$GetURI();
+      for (var i = 0; i < members.length; i++)
+        offset = addFields(members[i].get_FieldType(), path.concat([members[i].Name]), offset);
 
-      return JSIL.CreateInstanceOfType(
-        Microsoft.Xna.Framework.Graphics.Texture2D.__Type__, 
-        "$fromUri", [graphicsDevice, uri]
-      );
+      return offset;
+    } else {
+      throw new System.NotSupportedException("Values of type '" + typeName + "' cannot be stored in a graphics buffer.");
     }
-  );
+  };
 
-  $.Method({Static:false, Public:true }, "get_Height", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_Height () {
-      return this.height;
-    }
-  );
+  var size = addFields(typeObject, [], 0);
 
-  $.Method({Static:false, Public:true }, "get_Width", 
-    (new JSIL.MethodSignature($.Int32, [], [])), 
-    function get_Width () {
-      return this.width;
-    }
-  );
+  return typeObject.__BufferLayout__ = {
+    size: size,
+    fields: fields
+  };
+};
 
-  $.RawMethod(false, "$setDataInternal", function (T, data, startIndex, elementCount) {
-    var bytes = null;
-    var swapRedAndBlue = false;
+$jsilxna.writeBufferData = function (typeObject, view, byteOffset, stride, data, startIndex, elementCount) {
+  var layout = $jsilxna.getBufferLayout(typeObject);
+  var fields = layout.fields;
 
-    switch (T.toString()) {
-    case "System.Byte":
-      bytes = data;
-      break;
-    case "Microsoft.Xna.Framework.Color":
-    case "Microsoft.Xna.Framework.Graphics.Color":
-      bytes = $jsilxna.UnpackColorsToColorBytes(data, startIndex, elementCount);
-      startIndex = 0;
-      elementCount = bytes.length;
-      swapRedAndBlue = true;
-      break;
-    default:
-      throw new System.Exception("Pixel format '" + T.toString() + "' not implemented");
-    }
+  for (var i = 0; i < elementCount; i++) {
+    var item = data[startIndex + i];
+    var itemOffset = byteOffset + (i * stride);
 
-    var shouldUnpremultiply = true;
-    var textures = document.getElementById("textures");
-    if (textures) 
-      textures.removeChild(this.image);
+    for (var j = 0; j < fields.length; j++) {
+      var path = fields[j][0], kind = fields[j][1], offset = itemOffset + fields[j][2];
+      var value = item;
 
-    this.image = this.$getImageForBytes(bytes, startIndex, elementCount, shouldUnpremultiply, swapRedAndBlue);
-    if (textures) 
-      textures.appendChild(this.image);
-  });
+      for (var k = 0; k < path.length; k++)
+        value = value[path[k]];
 
-  $.Method({Static:false, Public:true }, "SetData", 
-    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", ["!!0"])], ["T"])), 
-    function SetData$b1 (T, data) {
-      this.$setDataInternal(T, data, 0, data.length);
+      if (kind === "Color") {
+        view.setUint8(offset, value.r);
+        view.setUint8(offset + 1, value.g);
+        view.setUint8(offset + 2, value.b);
+        view.setUint8(offset + 3, value.a);
+      } else {
+        view["set" + kind](offset, value, true);
+      }
     }
-  );
+  }
+};
 
-  $.Method({Static:false, Public:true }, "SetData", 
-    (new JSIL.MethodSignature(null, [
-          $.Int32, $xnaasms[5].TypeRef("System.Nullable`1", [$xnaasms[0].TypeRef("Microsoft.Xna.Framework.Rectangle")]), 
-          $jsilcore.TypeRef("System.Array", ["!!0"]), $.Int32, 
-          $.Int32
-        ], ["T"])), 
-    function SetData$b1 (T, level, rect, data, startIndex, elementCount) {
-      if (level !== 0) return;
+$jsilxna.readBufferData = function (typeObject, view, byteOffset, stride, data, startIndex, elementCount) {
+  var layout = $jsilxna.getBufferLayout(typeObject);
+  var fields = layout.fields;
+  var colorProto = null;
+
+  for (var i = 0; i < elementCount; i++) {
+    var itemOffset = byteOffset + (i * stride);
+    var item = (fields.length === 1) && (fields[0][0].length === 0)
+      ? null
+      : JSIL.CreateInstanceOfType(typeObject, null);
+
+    for (var j = 0; j < fields.length; j++) {
+      var path = fields[j][0], kind = fields[j][1], offset = itemOffset + fields[j][2];
+      var value;
+
+      if (kind === "Color") {
+        value = Object.create(Microsoft.Xna.Framework.Color.prototype);
+        value.r = view.getUint8(offset);
+        value.g = view.getUint8(offset + 1);
+        value.b = view.getUint8(offset + 2);
+        value.a = view.getUint8(offset + 3);
+      } else {
+        value = view["get" + kind](offset, true);
+      }
 
-      if (rect !== null) throw new System.NotImplementedException();
+      if (path.length === 0) {
+        item = value;
+      } else {
+        var target = item;
+        for (var k = 0; k < path.length - 1; k++)
+          target = target[path[k]];
 
-      this.$setDataInternal(T, data, startIndex, elementCount);
+        target[path[path.length - 1]] = value;
+      }
     }
-  );
 
-  $.RawMethod(false, "$getImageForBytes", function (bytes, startIndex, elementCount, unpremultiply, swapRedAndBlue) {
-    var canvas = document.createElement("canvas");
-    try {
-      document.getElementById("images").appendChild(canvas);
-    } catch (exc) {
-    }
-    canvas.width = this.width;
-    canvas.height = this.height;
-    var ctx = $jsilxna.get2DContext(canvas, false);
+    data[startIndex + i] = item;
+  }
+};
 
-    if (bytes !== null) {
-      var decoder = $jsilxna.ImageFormats[this.format.name];
-      if (decoder !== null) {
-        bytes = decoder(this.width, this.height, bytes, startIndex, elementCount, swapRedAndBlue);
-        startIndex = 0;
-        elementCount = bytes.length;
-      }
+// Vertex and index buffers keep a copy of their contents, which is uploaded to WebGL the next time they are
+//  drawn after being modified. This also lets them exist, and be read back, on devices without WebGL.
+$jsilxna.GraphicsBuffer = function ($) {
+  $.RawMethod(false, "$initBuffer", function (device, elementCount, elementSize, bufferUsage) {
+    this.device = device;
+    this.bufferUsage = bufferUsage;
+    this.bytes = new Uint8Array(elementCount * elementSize);
+    this.view = new DataView(this.bytes.buffer);
+    this.glContext = null;
+    this.glBuffer = null;
+    this.isDirty = true;
+    this.isDisposed = false;
+  });
 
-      var imageData = ctx.createImageData(this.width, this.height);
+  $.RawMethod(false, "$checkDataRange", function (data, offsetInBytes, startIndex, elementCount, elementStride, elementSize) {
+    if (data === null)
+      throw new System.ArgumentNullException("data");
+    if ((startIndex < 0) || (elementCount < 0) || (startIndex + elementCount > data.length))
+      throw new System.ArgumentOutOfRangeException("elementCount", "The range is outside the bounds of the array.");
 
-      // XNA texture colors are premultiplied, but canvas pixels aren't, so we need to try
-      //  to reverse the premultiplication.
-      if (unpremultiply) {
-        var pixelCount = elementCount / 4;
-        for (var i = 0; i < pixelCount; i++) {
-          var p = i * 4;
+    var byteCount = (elementCount > 0) ? ((elementCount - 1) * elementStride) + elementSize : 0;
+    if ((offsetInBytes < 0) || (offsetInBytes + byteCount > this.bytes.length))
+      throw new System.ArgumentOutOfRangeException("offsetInBytes", "The range is outside the bounds of the buffer.");
+  });
 
-          var a = bytes[p + 3];
+  // A null elementStride means the elements are packed, as they are in the overloads without a stride.
+  $.RawMethod(false, "$setDataInternal", function (T, offsetInBytes, data, startIndex, elementCount, elementStride) {
+    var elementSize = $jsilxna.getBufferLayout(T).size;
+    if (elementStride === null)
+      elementStride = elementSize;
+    else if (elementStride < elementSize)
+      throw new System.ArgumentOutOfRangeException("vertexStride", "The stride is smaller than the size of the data type.");
 
-          if (a <= 0) {
-            continue;
-          } else if (a > 254) {
-            imageData.data[p] = bytes[p];
-            imageData.data[p + 1] = bytes[p + 1];
-            imageData.data[p + 2] = bytes[p + 2];
-            imageData.data[p + 3] = a;
-          } else {
-            var m = 255 / a;
+    this.$checkDataRange(data, offsetInBytes, startIndex, elementCount, elementStride, elementSize);
 
-            imageData.data[p] = bytes[p] * m;
-            imageData.data[p + 1] = bytes[p + 1] * m;
-            imageData.data[p + 2] = bytes[p + 2] * m;
-            imageData.data[p + 3] = a;
-          }
-        }
-      } else {
-        for (var i = 0; i < elementCount; i++)
-        imageData.data[i] = bytes[startIndex + i];
-      }
+    $jsilxna.writeBufferData(T, this.view, offsetInBytes, elementStride, data, startIndex, elementCount);
+    this.isDirty = true;
+  });
 
-      ctx.putImageData(imageData, 0, 0);
-    }
+  $.RawMethod(false, "$getDataInternal", function (T, offsetInBytes, data, startIndex, elementCount, elementStride) {
+    var elementSize = $jsilxna.getBufferLayout(T).size;
+    if (elementStride === null)
+      elementStride = elementSize;
+    else if (elementStride < elementSize)
+      throw new System.ArgumentOutOfRangeException("vertexStride", "The stride is smaller than the size of the data type.");
 
-    return canvas;
-  });
+    this.$checkDataRange(data, offsetInBytes, startIndex, elementCount, elementStride, elementSize);
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "Dispose", new JSIL.MethodSignature(null, [], []), function () {
-    var textures = document.getElementById("textures");
-    if (textures) textures.removeChild(this.image);
+    $jsilxna.readBufferData(T, this.view, offsetInBytes, elementStride, data, startIndex, elementCount);
   });
-});
 
-JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.RenderTarget2D", function ($) {
-  $.RawMethod(false, "$internalCtor", function (graphicsDevice, width, height, mipMap, format) {
-    this._parent = graphicsDevice;
-    this.width = width;
-    this.height = height;
-    this.mipMap = mipMap;
-    this.format = format;
-    this.isDisposed = false;
+  // Binds the buffer to the given target of a WebGL context, uploading its contents if they changed.
+  $.RawMethod(false, "$bindBuffer", function (gl, target) {
+    if (this.isDisposed)
+      throw new System.ObjectDisposedException(this.__ThisType__.__FullName__);
 
-    this.image = this.canvas = JSIL.Host.createCanvas(width, height);
-    this.canvas.naturalWidth = width;
-    this.canvas.naturalHeight = height;
+    if (this.glContext !== gl) {
+      this.glContext = gl;
+      this.glBuffer = gl.createBuffer();
+      this.isDirty = true;
+    }
 
-    // Can't use WebGL here since it'll disable the ability to copy from the RT to the framebuffer.
-    this.context = $jsilxna.get2DContext(this.canvas, false);
+    gl.bindBuffer(target, this.glBuffer);
 
-    var targets = document.getElementById("rendertargets");
-    if (targets) targets.appendChild(this.canvas);
+    if (this.isDirty) {
+      var usage = (this.bufferUsage === Microsoft.Xna.Framework.Graphics.BufferUsage.WriteOnly) && !this.isDynamic
+        ? gl.STATIC_DRAW
+        : gl.DYNAMIC_DRAW;
+
+      gl.bufferData(target, this.bytes, usage);
+      this.isDirty = false;
+    }
   });
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [
-          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), $.Int32, 
-          $.Int32, $.Boolean, 
-          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.SurfaceFormat"), $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.DepthFormat"), 
-          $.Int32, $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.RenderTargetUsage")
-        ], [])), 
-    function _ctor (graphicsDevice, width, height, mipMap, colorFormat, preferredDepthFormat, preferredMultiSampleCount, usage) {
-      this.$internalCtor(graphicsDevice, width, height, mipMap, colorFormat);
+  $.Method({Static:false, Public:true }, "get_BufferUsage", 
+    (new JSIL.MethodSignature($xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.BufferUsage"), [], [])), 
+    function get_BufferUsage () {
+      return this.bufferUsage;
     }
   );
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [
-          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), $.Int32, 
-          $.Int32, $.Boolean, 
-          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.SurfaceFormat"), $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.DepthFormat")
-        ], [])), 
-    function _ctor (graphicsDevice, width, height, mipMap, colorFormat, preferredDepthFormat) {
-      this.$internalCtor(graphicsDevice, width, height, mipMap, colorFormat);
+  $.Method({Static:false, Public:true }, "Dispose", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function Dispose () {
+      if ((this.glContext !== null) && (this.glBuffer !== null))
+        this.glContext.deleteBuffer(this.glBuffer);
+
+      this.glContext = this.glBuffer = null;
+      this.isDisposed = true;
     }
   );
+};
 
-  $.Method({Static:false, Public:true }, ".ctor", 
-    (new JSIL.MethodSignature(null, [
-          $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice"), $.Int32, 
-          $.Int32
-        ], [])), 
-    function _ctor (graphicsDevice, width, height) {
-      this.$internalCtor(graphicsDevice, width, height, false, Microsoft.Xna.Framework.Graphics.SurfaceFormat.Color);
+// Defines get_name and set_name methods that access a field of the instance.
+// Struct values are copied in and out so that callers never share them with the object.
+$jsilxna.makeFieldProperty = function ($, name, field, type, isStruct) {
+  $.Method({Static:false, Public:true }, "get_" + name, 
+    (new JSIL.MethodSignature(type, [], [])), 
+    function () {
+      return isStruct ? this[field].MemberwiseClone() : this[field];
     }
   );
 
-  $.Method({
-    Static: false,
-    Public: true
-  }, "SetData", new JSIL.MethodSignature(null, [], ["T"]), function (T, data) {
-    throw new System.NotImplementedException();
-  }), $.Method({
-    Static: false,
-    Public: true
-  }, "SetData", new JSIL.MethodSignature(null, [], []), function (T, level, rect, data, startIndex, elementCount) {
-    throw new System.NotImplementedException();
-  }), $.Method({
-    Static: false,
-    Public: true
-  }, "$ResynthesizeImage", new JSIL.MethodSignature(null, [], []), function () {
-    this.image.isDirty = true;
-  });
-  $.Method({
-    Static: false,
-    Public: true
-  }, "Dispose", new JSIL.MethodSignature(null, [], []), function () {
-    var targets = document.getElementById("rendertargets");
-    if (targets) targets.removeChild(this.canvas);
+  $.Method({Static:false, Public:true }, "set_" + name, 
+    (new JSIL.MethodSignature(null, [type], [])), 
+    function (value) {
+      this[field] = isStruct ? value.MemberwiseClone() : value;
+    }
+  );
+};
 
-    this.canvas = null;
-    this.context = null;
-  });
-});
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.VertexElement", function ($) {
+  var tVertexElement = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.VertexElement");
+  var tVertexElementFormat = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.VertexElementFormat");
+  var tVertexElementUsage = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.VertexElementUsage");
 
-// Based on Benjamin Dobell's DXTC decompressors.
-// http://www.glassechidna.com.au
-$jsilxna.Unpack565 = function (sourceBuffer, sourceOffset) {
-  var color565 = (sourceBuffer[sourceOffset + 1] << 8) + (sourceBuffer[sourceOffset]);
-  if (color565 === 0) return [0, 0, 0];
-  else if (color565 === 65535) return [255, 255, 255];
+  $.RawMethod(false, "__CopyMembers__", function (source, target) {
+    target._offset = source._offset;
+    target._format = source._format;
+    target._usage = source._usage;
+    target._usageIndex = source._usageIndex;
+  });
 
-  var result = [];
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.Int32, tVertexElementFormat, tVertexElementUsage, $.Int32], [])), 
+    function _ctor (offset, elementFormat, elementUsage, usageIndex) {
+      this._offset = offset;
+      this._format = elementFormat;
+      this._usage = elementUsage;
+      this._usageIndex = usageIndex;
+    }
+  );
 
-  var temp = (color565 >> 11) * 255 + 16;
-  result[0] = Math.floor((temp / 32 + temp) / 32);
-  temp = ((color565 & 0x07E0) >> 5) * 255 + 32;
-  result[1] = Math.floor((temp / 64 + temp) / 64);
-  temp = (color565 & 0x001F) * 255 + 16;
-  result[2] = Math.floor((temp / 32 + temp) / 32);
+  $jsilxna.makeFieldProperty($, "Offset", "_offset", $.Int32);
+  $jsilxna.makeFieldProperty($, "VertexElementFormat", "_format", tVertexElementFormat);
+  $jsilxna.makeFieldProperty($, "VertexElementUsage", "_usage", tVertexElementUsage);
+  $jsilxna.makeFieldProperty($, "UsageIndex", "_usageIndex", $.Int32);
 
-  return result;
-};
+  var equals = function (lhs, rhs) {
+    return (lhs._offset === rhs._offset) && (lhs._format === rhs._format) && 
+      (lhs._usage === rhs._usage) && (lhs._usageIndex === rhs._usageIndex);
+  };
 
-$jsilxna.DecompressBlockBC12 = function (source, sourceOffset, writePixel, alphaSource) {
-  var color0 = $jsilxna.Unpack565(source, sourceOffset);
-  var color1 = $jsilxna.Unpack565(source, sourceOffset + 2);
+  $.Method({Static:true , Public:true }, "op_Equality", 
+    (new JSIL.MethodSignature($.Boolean, [tVertexElement, tVertexElement], [])), 
+    equals
+  );
 
-  var r0 = color0[0],
-    g0 = color0[1],
-    b0 = color0[2];
-  var r1 = color1[0],
-    g1 = color1[1],
-    b1 = color1[2];
+  $.Method({Static:true , Public:true }, "op_Inequality", 
+    (new JSIL.MethodSignature($.Boolean, [tVertexElement, tVertexElement], [])), 
+    function op_Inequality (lhs, rhs) {
+      return !equals(lhs, rhs);
+    }
+  );
 
-  var bc2Mode = typeof (alphaSource) === "function";
-  var readPosition = sourceOffset + 4;
-  var finalColor;
+  $.Method({Static:false, Public:true }, "Equals", 
+    (new JSIL.MethodSignature($.Boolean, [$.Object], [])), 
+    function Equals (obj) {
+      return (obj !== null) && (obj.__ThisType__ === this.__ThisType__) && equals(this, obj);
+    }
+  );
 
-  for (var y = 0; y < 4; y++) {
-    var currentByte = source[readPosition];
+  $.Method({Static:false, Public:true }, "toString", 
+    (new JSIL.MethodSignature($.String, [], [])), 
+    function toString () {
+      return "{Offset:" + this._offset + " Format:" + this._format.name + 
+        " Usage:" + this._usage.name + " UsageIndex:" + this._usageIndex + "}";
+    }
+  );
+});
 
-    for (var x = 0; x < 4; x++) {
-      var positionCode = (currentByte >> (2 * x)) & 0x03;
-      var alpha = 255;
-      if (bc2Mode) alpha = alphaSource(x, y);
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.VertexDeclaration", function ($) {
+  var tVertexElement = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.VertexElement");
 
-      if (bc2Mode || (color0 > color1)) {
-        // BC2 block mode or a BC1 block where (color0 > color1)
-        switch (positionCode) {
-        case 0:
-          finalColor = [r0, g0, b0, alpha];
-          break;
-        case 1:
-          finalColor = [r1, g1, b1, alpha];
-          break;
-        case 2:
-          finalColor = [(2 * r0 + r1) / 3, (2 * g0 + g1) / 3, (2 * b0 + b1) / 3, alpha];
-          break;
-        case 3:
-          finalColor = [(r0 + 2 * r1) / 3, (g0 + 2 * g1) / 3, (b0 + 2 * b1) / 3, alpha];
-          break;
-        }
-      } else {
-        // BC1 block mode
-        switch (positionCode) {
-        case 0:
-          finalColor = [r0, g0, b0, 255];
-          break;
-        case 1:
-          finalColor = [r1, g1, b1, 255];
-          break;
-        case 2:
-          finalColor = [(r0 + r1) / 2, (g0 + g1) / 2, (b0 + b1) / 2, 255];
-          break;
-        case 3:
-          finalColor = [0, 0, 0, 255];
-          break;
-        }
-      }
+  $.RawMethod(false, "$internalCtor", function (vertexStride, elements) {
+    if ((elements === null) || (elements.length === 0))
+      throw new System.ArgumentNullException("elements", "A vertex declaration needs at least one element.");
 
-      writePixel(x, y, finalColor);
-    }
+    this.elements = new Array(elements.length);
+    var size = 0;
 
-    readPosition += 1;
-  }
-}
+    for (var i = 0; i < elements.length; i++) {
+      var element = this.elements[i] = elements[i].MemberwiseClone();
+      var format = $jsilxna.VertexElementFormats[element._format.name];
 
-$jsilxna.DecompressAlphaBlockBC2 = function (source, sourceOffset) {
-  return function (x, y) {
-    var offset = Math.floor(((y * 4) + x) / 2) + sourceOffset;
-    var byte = source[offset];
-    var bits;
+      if (typeof (format) === "undefined")
+        throw new System.NotSupportedException("The vertex element format '" + element._format.name + "' is not supported.");
 
-    if ((x & 1) == 1) {
-      bits = (byte >> 4) & 0x0F;
-    } else {
-      bits = byte & 0x0F;
+      size = Math.max(size, element._offset + format[3]);
     }
 
-    return bits * 0x11;
-  };
-};
+    if (vertexStride === null)
+      vertexStride = size;
+    else if (vertexStride < size)
+      throw new System.ArgumentOutOfRangeException("vertexStride", "The stride is smaller than the vertex elements.");
 
-$jsilxna.DecompressAlphaBlockBC3 = function (source, sourceOffset) {
-  var result = new Array(4 * 4);
+    this.vertexStride = vertexStride;
+  });
 
-  var alpha0 = source[sourceOffset];
-  var alpha1 = source[sourceOffset + 1];
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$jsilcore.TypeRef("System.Array", [tVertexElement])], [])), 
+    function _ctor (elements) {
+      this.$internalCtor(null, elements);
+    }
+  );
 
-  var readPosition = sourceOffset + 2;
-  var readPositionBits = 0;
-  var finalAlpha;
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [$.Int32, $jsilcore.TypeRef("System.Array", [tVertexElement])], [])), 
+    function _ctor (vertexStride, elements) {
+      this.$internalCtor(vertexStride, elements);
+    }
+  );
 
-  // I'm too lazy to get the math for this right using JS integer arithmetic.
-  // It's slower, but it works.
-  var bits = "";
-  for (var i = 0; i < 6; i++) {
-    var byte = source[readPosition + i].toString(2);
-    while (byte.length < 8)
-    byte = "0" + byte;
+  // Finds the declaration of a vertex type through its IVertexType implementation.
+  $.RawMethod(true, "$fromType", function (vertexType) {
+    if (vertexType === null)
+      throw new System.ArgumentNullException("vertexType");
 
-    bits = byte + bits;
-  }
+    var instance = JSIL.CreateInstanceOfType(vertexType, null);
+    if (typeof (instance.IVertexType_get_VertexDeclaration) !== "function")
+      throw new System.ArgumentException("The type '" + vertexType.__FullName__ + "' does not implement IVertexType.", "vertexType");
 
-  for (var y = 0; y < 4; y++) {
-    for (var x = 0; x < 4; x++) {
-      var currentBits = bits.substr(readPositionBits, 3);
-      var positionCode = parseInt(currentBits, 2);
+    return instance.IVertexType_get_VertexDeclaration();
+  });
 
-      if (alpha0 > alpha1) {
-        switch (positionCode) {
-        case 0:
-          finalAlpha = alpha0;
-          break;
-        case 1:
-          finalAlpha = alpha1;
-          break;
-        case 2:
-          finalAlpha = ((6 * alpha0) + (1 * alpha1)) / 7;
-          break;
-        case 3:
-          finalAlpha = ((5 * alpha0) + (2 * alpha1)) / 7;
-          break;
-        case 4:
-          finalAlpha = ((4 * alpha0) + (3 * alpha1)) / 7;
-          break;
-        case 5:
-          finalAlpha = ((3 * alpha0) + (4 * alpha1)) / 7;
-          break;
-        case 6:
-          finalAlpha = ((2 * alpha0) + (5 * alpha1)) / 7;
-          break;
-        case 7:
-          finalAlpha = ((1 * alpha0) + (6 * alpha1)) / 7;
-          break;
-        }
-      } else {
-        switch (positionCode) {
-        case 0:
-          finalAlpha = alpha0;
-          break;
-        case 1:
-          finalAlpha = alpha1;
-          break;
-        case 2:
-          finalAlpha = ((4 * alpha0) + (1 * alpha1)) / 5
-          break;
-        case 3:
-          finalAlpha = ((3 * alpha0) + (2 * alpha1)) / 5
-          break;
-        case 4:
-          finalAlpha = ((2 * alpha0) + (3 * alpha1)) / 5
-          break;
-        case 5:
-          finalAlpha = ((1 * alpha0) + (4 * alpha1)) / 5
-          break;
-        case 6:
-          finalAlpha = 0;
-          break;
-        case 7:
-          finalAlpha = 255;
-          break;
+  $.Method({Static:false, Public:true }, "get_VertexStride", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_VertexStride () {
+      return this.vertexStride;
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetVertexElements", 
+    (new JSIL.MethodSignature($jsilcore.TypeRef("System.Array", [tVertexElement]), [], [])), 
+    function GetVertexElements () {
+      var result = new Array(this.elements.length);
+
+      for (var i = 0; i < result.length; i++)
+        result[i] = this.elements[i].MemberwiseClone();
+
+      return result;
+    }
+  );
+});
+
+// Implements one of XNA's built-in vertex structures. Elements are [field name, format, usage] and are packed
+//  in order.
+$jsilxna.makeVertexType = function (typeName, elements) {
+  JSIL.ImplementExternals(typeName, function ($) {
+    var tVertexType = $xnaasms[3].TypeRef(typeName);
+    var tVertexDeclaration = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.VertexDeclaration");
+    var fieldTypes = {
+      "Vector2": $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector2"),
+      "Vector3": $xnaasms[0].TypeRef("Microsoft.Xna.Framework.Vector3"),
+      "Color": $jsilxna.colorRef()
+    };
+
+    var fieldNames = elements.map(function (element) {
+      return element[0];
+    });
+    var argumentTypes = elements.map(function (element) {
+      return fieldTypes[element[1]];
+    });
+
+    $.Method({Static:true , Public:false }, ".cctor", 
+      (new JSIL.MethodSignature(null, [], [])), 
+      function _cctor () {
+        var graphics = Microsoft.Xna.Framework.Graphics;
+        var vertexElements = [];
+        var offset = 0;
+
+        for (var i = 0; i < elements.length; i++) {
+          var format = graphics.VertexElementFormat[elements[i][1]];
+
+          vertexElements.push(new graphics.VertexElement(
+            offset, format, graphics.VertexElementUsage[elements[i][2]], 0
+          ));
+
+          offset += $jsilxna.VertexElementFormats[format.name][3];
         }
+
+        tVertexType.get().VertexDeclaration = new graphics.VertexDeclaration(vertexElements);
       }
+    );
 
-      readPositionBits += 3;
+    $.Method({Static:false, Public:true }, ".ctor", 
+      (new JSIL.MethodSignature(null, argumentTypes, [])), 
+      function _ctor () {
+        for (var i = 0; i < fieldNames.length; i++)
+          this[fieldNames[i]] = arguments[i].MemberwiseClone();
+      }
+    );
 
-      var _x = 3 - x;
-      var _y = 3 - y;
-      result[_x + (_y * 4)] = finalAlpha;
-    }
-  }
+    $.Method({Static:false, Public:false }, "IVertexType_get_VertexDeclaration", 
+      (new JSIL.MethodSignature(tVertexDeclaration, [], [])), 
+      function IVertexType_get_VertexDeclaration () {
+        return tVertexType.get().VertexDeclaration;
+      }
+    );
 
-  return function (x, y) {
-    return result[x + (y * 4)];
-  };
-};
+    $.Method({Static:false, Public:true }, "toString", 
+      (new JSIL.MethodSignature($.String, [], [])), 
+      function toString () {
+        var parts = [];
 
-$jsilxna.makePixelWriter = function (buffer, width, x, y) {
-  return function (_x, _y, color) {
-    var offset = (((_y + y) * width) + (_x + x)) * 4;
+        for (var i = 0; i < fieldNames.length; i++)
+          parts.push(fieldNames[i] + ":" + this[fieldNames[i]].toString());
 
-    buffer[offset] = color[0];
-    buffer[offset + 1] = color[1];
-    buffer[offset + 2] = color[2];
-    buffer[offset + 3] = color[3];
-  };
+        return "{{" + parts.join(" ") + "}}";
+      }
+    );
+  });
 };
 
-$jsilxna.DecodeDxt1 = function (width, height, bytes, offset, count) {
-  var totalSizeBytes = width * height * 4;
-  var result = new Array(totalSizeBytes);
+$jsilxna.makeVertexType("Microsoft.Xna.Framework.Graphics.VertexPositionColor", [
+  ["Position", "Vector3", "Position"],
+  ["Color", "Color", "Color"]
+]);
+
+$jsilxna.makeVertexType("Microsoft.Xna.Framework.Graphics.VertexPositionTexture", [
+  ["Position", "Vector3", "Position"],
+  ["TextureCoordinate", "Vector2", "TextureCoordinate"]
+]);
+
+$jsilxna.makeVertexType("Microsoft.Xna.Framework.Graphics.VertexPositionColorTexture", [
+  ["Position", "Vector3", "Position"],
+  ["Color", "Color", "Color"],
+  ["TextureCoordinate", "Vector2", "TextureCoordinate"]
+]);
+
+$jsilxna.makeVertexType("Microsoft.Xna.Framework.Graphics.VertexPositionNormalTexture", [
+  ["Position", "Vector3", "Position"],
+  ["Normal", "Vector3", "Normal"],
+  ["TextureCoordinate", "Vector2", "TextureCoordinate"]
+]);
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.VertexBuffer", function ($) {
+  var tGraphicsDevice = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice");
+  var tVertexDeclaration = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.VertexDeclaration");
+  var tBufferUsage = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.BufferUsage");
+  var tArray = $jsilcore.TypeRef("System.Array", ["!!0"]);
+
+  $jsilxna.GraphicsBuffer($);
+
+  $.RawMethod(false, "$internalCtor", function (graphicsDevice, vertexDeclaration, vertexCount, bufferUsage) {
+    if (graphicsDevice === null)
+      throw new System.ArgumentNullException("graphicsDevice");
+    if (vertexCount <= 0)
+      throw new System.ArgumentOutOfRangeException("vertexCount", "A vertex buffer must hold at least one vertex.");
+
+    this.vertexDeclaration = vertexDeclaration;
+    this.vertexCount = vertexCount;
+    this.$initBuffer(graphicsDevice, vertexCount, vertexDeclaration.vertexStride, bufferUsage);
+  });
 
-  var blockCountX = Math.floor((width + 3) / 4);
-  var blockCountY = Math.floor((height + 3) / 4);
-  var blockWidth = (width < 4) ? width : 4;
-  var blockHeight = (height < 4) ? height : 4;
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tGraphicsDevice, tVertexDeclaration, $.Int32, tBufferUsage], [])), 
+    function _ctor (graphicsDevice, vertexDeclaration, vertexCount, bufferUsage) {
+      this.$internalCtor(graphicsDevice, vertexDeclaration, vertexCount, bufferUsage);
+    }
+  );
 
-  var sourceOffset = offset;
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tGraphicsDevice, $xnaasms[5].TypeRef("System.Type"), $.Int32, tBufferUsage], [])), 
+    function _ctor (graphicsDevice, vertexType, vertexCount, bufferUsage) {
+      this.$internalCtor(
+        graphicsDevice, Microsoft.Xna.Framework.Graphics.VertexDeclaration.$fromType(vertexType), vertexCount, bufferUsage
+      );
+    }
+  );
 
-  for (var y = 0; y < blockCountY; y++) {
-    for (var x = 0; x < blockCountX; x++) {
-      // Decode color data
-      $jsilxna.DecompressBlockBC12(
-      bytes, sourceOffset, $jsilxna.makePixelWriter(result, width, x * blockWidth, y * blockHeight), null);
+  $.Method({Static:false, Public:true }, "get_VertexCount", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_VertexCount () {
+      return this.vertexCount;
+    }
+  );
 
-      sourceOffset += 8;
+  $.Method({Static:false, Public:true }, "get_VertexDeclaration", 
+    (new JSIL.MethodSignature(tVertexDeclaration, [], [])), 
+    function get_VertexDeclaration () {
+      return this.vertexDeclaration;
     }
-  }
+  );
 
-  return result;
-}
+  $.Method({Static:false, Public:true }, "SetData", 
+    (new JSIL.MethodSignature(null, [tArray], ["T"])), 
+    function SetData$b1 (T, data) {
+      this.$setDataInternal(T, 0, data, 0, data.length, null);
+    }
+  );
 
-$jsilxna.DecodeDxt3 = function (width, height, bytes, offset, count) {
-  var totalSizeBytes = width * height * 4;
-  var result = new Array(totalSizeBytes);
+  $.Method({Static:false, Public:true }, "SetData", 
+    (new JSIL.MethodSignature(null, [tArray, $.Int32, $.Int32], ["T"])), 
+    function SetData$b1 (T, data, startIndex, elementCount) {
+      this.$setDataInternal(T, 0, data, startIndex, elementCount, null);
+    }
+  );
 
-  var blockCountX = Math.floor((width + 3) / 4);
-  var blockCountY = Math.floor((height + 3) / 4);
-  var blockWidth = (width < 4) ? width : 4;
-  var blockHeight = (height < 4) ? height : 4;
+  $.Method({Static:false, Public:true }, "SetData", 
+    (new JSIL.MethodSignature(null, [$.Int32, tArray, $.Int32, $.Int32, $.Int32], ["T"])), 
+    function SetData$b1 (T, offsetInBytes, data, startIndex, elementCount, vertexStride) {
+      this.$setDataInternal(T, offsetInBytes, data, startIndex, elementCount, vertexStride || null);
+    }
+  );
 
-  var sourceOffset = offset;
+  $.Method({Static:false, Public:true }, "GetData", 
+    (new JSIL.MethodSignature(null, [tArray], ["T"])), 
+    function GetData$b1 (T, data) {
+      this.$getDataInternal(T, 0, data, 0, data.length, null);
+    }
+  );
 
-  for (var y = 0; y < blockCountY; y++) {
-    for (var x = 0; x < blockCountX; x++) {
-      // Decode alpha data
-      var alphaSource = $jsilxna.DecompressAlphaBlockBC2(
-      bytes, sourceOffset);
+  $.Method({Static:false, Public:true }, "GetData", 
+    (new JSIL.MethodSignature(null, [tArray, $.Int32, $.Int32], ["T"])), 
+    function GetData$b1 (T, data, startIndex, elementCount) {
+      this.$getDataInternal(T, 0, data, startIndex, elementCount, null);
+    }
+  );
 
-      sourceOffset += 8;
+  $.Method({Static:false, Public:true }, "GetData", 
+    (new JSIL.MethodSignature(null, [$.Int32, tArray, $.Int32, $.Int32, $.Int32], ["T"])), 
+    function GetData$b1 (T, offsetInBytes, data, startIndex, elementCount, vertexStride) {
+      this.$getDataInternal(T, offsetInBytes, data, startIndex, elementCount, vertexStride || null);
+    }
+  );
+});
 
-      // Decode color data
-      $jsilxna.DecompressBlockBC12(
-      bytes, sourceOffset, $jsilxna.makePixelWriter(result, width, x * blockWidth, y * blockHeight), alphaSource);
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.DynamicVertexBuffer", function ($) {
+  var tGraphicsDevice = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice");
+  var tVertexDeclaration = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.VertexDeclaration");
+  var tBufferUsage = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.BufferUsage");
+  var tSetDataOptions = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.SetDataOptions");
+  var tArray = $jsilcore.TypeRef("System.Array", ["!!0"]);
 
-      sourceOffset += 8;
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tGraphicsDevice, tVertexDeclaration, $.Int32, tBufferUsage], [])), 
+    function _ctor (graphicsDevice, vertexDeclaration, vertexCount, bufferUsage) {
+      this.isDynamic = true;
+      this.$internalCtor(graphicsDevice, vertexDeclaration, vertexCount, bufferUsage);
     }
-  }
+  );
 
-  return result;
-};
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tGraphicsDevice, $xnaasms[5].TypeRef("System.Type"), $.Int32, tBufferUsage], [])), 
+    function _ctor (graphicsDevice, vertexType, vertexCount, bufferUsage) {
+      this.isDynamic = true;
+      this.$internalCtor(
+        graphicsDevice, Microsoft.Xna.Framework.Graphics.VertexDeclaration.$fromType(vertexType), vertexCount, bufferUsage
+      );
+    }
+  );
 
-$jsilxna.DecodeDxt5 = function (width, height, bytes, offset, count) {
-  var totalSizeBytes = width * height * 4;
-  var result = new Array(totalSizeBytes);
+  // Discard and NoOverwrite only matter to drivers that stall on buffers in use, so they are ignored.
+  $.Method({Static:false, Public:true }, "SetData", 
+    (new JSIL.MethodSignature(null, [tArray, $.Int32, $.Int32, tSetDataOptions], ["T"])), 
+    function SetData$b1 (T, data, startIndex, elementCount, options) {
+      this.$setDataInternal(T, 0, data, startIndex, elementCount, null);
+    }
+  );
 
-  var blockCountX = Math.floor((width + 3) / 4);
-  var blockCountY = Math.floor((height + 3) / 4);
-  var blockWidth = (width < 4) ? width : 4;
-  var blockHeight = (height < 4) ? height : 4;
+  $.Method({Static:false, Public:true }, "SetData", 
+    (new JSIL.MethodSignature(null, [$.Int32, tArray, $.Int32, $.Int32, $.Int32, tSetDataOptions], ["T"])), 
+    function SetData$b1 (T, offsetInBytes, data, startIndex, elementCount, vertexStride, options) {
+      this.$setDataInternal(T, offsetInBytes, data, startIndex, elementCount, vertexStride || null);
+    }
+  );
 
-  var sourceOffset = offset;
+  // The contents of a WebGL buffer are never lost, so neither is the copy they are uploaded from.
+  $.Method({Static:false, Public:true }, "get_IsContentLost", 
+    (new JSIL.MethodSignature($.Boolean, [], [])), 
+    function get_IsContentLost () {
+      return false;
+    }
+  );
+});
 
-  for (var y = 0; y < blockCountY; y++) {
-    for (var x = 0; x < blockCountX; x++) {
-      // Decode alpha data
-      var alphaSource = $jsilxna.DecompressAlphaBlockBC3(
-      bytes, sourceOffset);
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.IndexBuffer", function ($) {
+  var tGraphicsDevice = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.GraphicsDevice");
+  var tIndexElementSize = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.IndexElementSize");
+  var tBufferUsage = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.BufferUsage");
+  var tArray = $jsilcore.TypeRef("System.Array", ["!!0"]);
 
-      sourceOffset += 8;
+  $jsilxna.GraphicsBuffer($);
 
-      // Decode color data
-      $jsilxna.DecompressBlockBC12(
-      bytes, sourceOffset, $jsilxna.makePixelWriter(result, width, x * blockWidth, y * blockHeight), alphaSource);
+  $.RawMethod(false, "$internalCtor", function (graphicsDevice, indexElementSize, indexCount, bufferUsage) {
+    if (graphicsDevice === null)
+      throw new System.ArgumentNullException("graphicsDevice");
+    if (indexCount <= 0)
+      throw new System.ArgumentOutOfRangeException("indexCount", "An index buffer must hold at least one index.");
 
-      sourceOffset += 8;
+    this.indexElementSize = indexElementSize;
+    this.indexCount = indexCount;
+    this.elementSize = (indexElementSize === Microsoft.Xna.Framework.Graphics.IndexElementSize.ThirtyTwoBits) ? 4 : 2;
+    this.$initBuffer(graphicsDevice, indexCount, this.elementSize, bufferUsage);
+  });
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tGraphicsDevice, tIndexElementSize, $.Int32, tBufferUsage], [])), 
+    function _ctor (graphicsDevice, indexElementSize, indexCount, bufferUsage) {
+      this.$internalCtor(graphicsDevice, indexElementSize, indexCount, bufferUsage);
     }
-  }
+  );
 
-  return result;
-};
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [tGraphicsDevice, $xnaasms[5].TypeRef("System.Type"), $.Int32, tBufferUsage], [])), 
+    function _ctor (graphicsDevice, indexType, indexCount, bufferUsage) {
+      var indexElementSize;
+
+      switch (indexType.__FullName__) {
+        case "System.Int16":
+        case "System.UInt16":
+          indexElementSize = Microsoft.Xna.Framework.Graphics.IndexElementSize.SixteenBits;
+          break;
+        case "System.Int32":
+        case "System.UInt32":
+          indexElementSize = Microsoft.Xna.Framework.Graphics.IndexElementSize.ThirtyTwoBits;
+          break;
+        default:
+          throw new System.ArgumentException("Indices must be 16 or 32 bit integers.", "indexType");
+      }
 
-$jsilxna.ColorToCanvas = function (width, height, bytes, offset, count, swapRedAndBlue) {
-  var result = new Array(count);
+      this.$internalCtor(graphicsDevice, indexElementSize, indexCount, bufferUsage);
+    }
+  );
 
-  if (swapRedAndBlue) {
-    for (var i = 0, l = count; i < l; i += 4) {
-      result[i + 0] = bytes[offset + i + 2];
-      result[i + 1] = bytes[offset + i + 1];
-      result[i + 2] = bytes[offset + i + 0];
-      result[i + 3] = bytes[offset + i + 3];
+  $.Method({Static:false, Public:true }, "get_IndexCount", 
+    (new JSIL.MethodSignature($.Int32, [], [])), 
+    function get_IndexCount () {
+      return this.indexCount;
     }
-  } else {
-    for (var i = 0, l = count; i < l; i++) {
-      result[i] = bytes[offset + i];
+  );
+
+  $.Method({Static:false, Public:true }, "get_IndexElementSize", 
+    (new JSIL.MethodSignature(tIndexElementSize, [], [])), 
+    function get_IndexElementSize () {
+      return this.indexElementSize;
     }
-  }
+  );
 
-  return result;
-};
+  // Returns the indices as an array of the right width, for building wireframes.
+  $.RawMethod(false, "$getIndices", function () {
+    if (this.elementSize === 4)
+      return new Uint32Array(this.bytes.buffer, 0, this.indexCount);
+    else
+      return new Uint16Array(this.bytes.buffer, 0, this.indexCount);
+  });
 
-$jsilxna.UnpackColorsToColorBytes = function (colors, startIndex, elementCount) {
-  var result = new Array(colors.length * 4);
+  $.Method({Static:false, Public:true }, "SetData", 
+    (new JSIL.MethodSignature(null, [tArray], ["T"])), 
+    function SetData$b1 (T, data) {
+      this.$setDataInternal(T, 0, data, 0, data.length, null);
+    }
+  );
 
-  for (var i = 0, l = elementCount; i < l; i++) {
-    var item = colors[startIndex + i];
+  $.Method({Static:false, Public:true }, "SetData", 
+    (new JSIL.MethodSignature(null, [tArray, $.Int32, $.Int32], ["T"])), 
+    function SetData$b1 (T, data, startIndex, elementCount) {
+      this.$setDataInternal(T, 0, data, startIndex, elementCount, null);
+    }
+  );
 
-    var p = i * 4;
-    result[p + 0] = item.r & 0xFF;
-    result[p + 1] = item.g & 0xFF;
-    result[p + 2] = item.b & 0xFF;
-    result[p + 3] = item.a & 0xFF;
-  }
+  $.Method({Static:false, Public:true }, "SetData", 
+    (new JSIL.MethodSignature(null, [$.Int32, tArray, $.Int32, $.Int32], ["T"])), 
+    function SetData$b1 (T, offsetInBytes, data, startIndex, elementCount) {
+      this.$setDataInternal(T, offsetInBytes, data, startIndex, elementCount, null);
+    }
+  );
 
-  return result;
-};
+  $.Method({Static:false, Public:true }, "GetData", 
+    (new JSIL.MethodSignature(null, [tArray], ["T"])), 
+    function GetData$b1 (T, data) {
+      this.$getDataInternal(T, 0, data, 0, data.length, null);
+    }
+  );
 
-$jsilxna.ImageFormats = {
-  "Color": $jsilxna.ColorToCanvas,
-  "Dxt1": $jsilxna.DecodeDxt1,
-  "Dxt2": $jsilxna.DecodeDxt3,
-  "Dxt3": $jsilxna.DecodeDxt3,
-  "Dxt4": $jsilxna.DecodeDxt5,
-  "Dxt5": $jsilxna.DecodeDxt5,
-};
+  $.Method({Static:false, Public:true }, "GetData", 
+    (new JSIL.MethodSignature(null, [tArray, $.Int32, $.Int32], ["T"])), 
+    function GetData$b1 (T, data, startIndex, elementCount) {
+      this.$getDataInternal(T, 0, data, startIndex, elementCount, null);
+    }
+  );
+
+  $.Method({Static:false, Public:true }, "GetData", 
+    (new JSIL.MethodSignature(null, [$.Int32, tArray, $.Int32, $.Int32], ["T"])), 
+    function GetData$b1 (T, offsetInBytes, data, startIndex, elementCount) {
+      this.$getDataInternal(T, offsetInBytes, data, startIndex, elementCount, null);
+    }
+  );
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.DepthStencilState", function ($) {
+  var tCompareFunction = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.CompareFunction");
+
+  $.Method({Static:true, Public:true }, ".cctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _cctor () {
+      var make = function (name, enable, writeEnable) {
+        return JSIL.CreateInstanceOfType(
+          Microsoft.Xna.Framework.Graphics.DepthStencilState.__Type__, 
+          "$internalCtor", [name, enable, writeEnable]
+        );
+      };
+
+      Microsoft.Xna.Framework.Graphics.DepthStencilState.Default = make("DepthStencilState.Default", true, true);
+      Microsoft.Xna.Framework.Graphics.DepthStencilState.DepthRead = make("DepthStencilState.DepthRead", true, false);
+      Microsoft.Xna.Framework.Graphics.DepthStencilState.None = make("DepthStencilState.None", false, false);
+    }
+  );
+
+  $.RawMethod(false, "$internalCtor", function (name, enable, writeEnable) {
+    this.name = name;
+    this.depthBufferEnable = enable;
+    this.depthBufferWriteEnable = writeEnable;
+    this.depthBufferFunction = Microsoft.Xna.Framework.Graphics.CompareFunction.LessEqual;
+  });
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      this.$internalCtor(null, true, true);
+    }
+  );
+
+  $jsilxna.makeFieldProperty($, "DepthBufferEnable", "depthBufferEnable", $.Boolean);
+  $jsilxna.makeFieldProperty($, "DepthBufferWriteEnable", "depthBufferWriteEnable", $.Boolean);
+  $jsilxna.makeFieldProperty($, "DepthBufferFunction", "depthBufferFunction", tCompareFunction);
+});
+
+JSIL.ImplementExternals("Microsoft.Xna.Framework.Graphics.RasterizerState", function ($) {
+  var tCullMode = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.CullMode");
+  var tFillMode = $xnaasms[3].TypeRef("Microsoft.Xna.Framework.Graphics.FillMode");
+
+  $.Method({Static:true, Public:true }, ".cctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _cctor () {
+      var make = function (name, cullMode) {
+        return JSIL.CreateInstanceOfType(
+          Microsoft.Xna.Framework.Graphics.RasterizerState.__Type__, 
+          "$internalCtor", [name, cullMode]
+        );
+      };
+      var cullModes = Microsoft.Xna.Framework.Graphics.CullMode;
+
+      Microsoft.Xna.Framework.Graphics.RasterizerState.CullNone = make("RasterizerState.CullNone", cullModes.None);
+      Microsoft.Xna.Framework.Graphics.RasterizerState.CullClockwise = make("RasterizerState.CullClockwise", cullModes.CullClockwiseFace);
+      Microsoft.Xna.Framework.Graphics.RasterizerState.CullCounterClockwise = make("RasterizerState.CullCounterClockwise", cullModes.CullCounterClockwiseFace);
+    }
+  );
+
+  $.RawMethod(false, "$internalCtor", function (name, cullMode) {
+    this.name = name;
+    this.cullMode = cullMode;
+    this.fillMode = Microsoft.Xna.Framework.Graphics.FillMode.Solid;
+    this.depthBias = 0;
+    this.slopeScaleDepthBias = 0;
+    this.scissorTestEnable = false;
+    this.multiSampleAntiAlias = true;
+  });
+
+  $.Method({Static:false, Public:true }, ".ctor", 
+    (new JSIL.MethodSignature(null, [], [])), 
+    function _ctor () {
+      this.$internalCtor(null, Microsoft.Xna.Framework.Graphics.CullMode.CullCounterClockwiseFace);
+    }
+  );
+
+  $jsilxna.makeFieldProperty($, "CullMode", "cullMode", tCullMode);
+  $jsilxna.makeFieldProperty($, "FillMode", "fillMode", tFillMode);
+  $jsilxna.makeFieldProperty($, "DepthBias", "depthBias", $.Single);
+  $jsilxna.makeFieldProperty($, "SlopeScaleDepthBias", "slopeScaleDepthBias", $.Single);
+  $jsilxna.makeFieldProperty($, "ScissorTestEnable", "scissorTestEnable", $.Boolean);
+  $jsilxna.makeFieldProperty($, "MultiSampleAntiAlias", "multiSampleAntiAlias", $.Boolean);
+});
 
 JSIL.ImplementExternals("Microsoft.Xna.Framework.TitleContainer", function ($) {
 
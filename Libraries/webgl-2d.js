@@ -129,6 +129,16 @@
       return mOut;
     },
 
+    // Only inverts affine transforms, which is all the 2D context produces.
+    inverse: function (m) {
+      var det = (m[0] * m[4]) - (m[1] * m[3]);
+      var a = m[4] / det, b = -m[1] / det, c = -m[3] / det, d = m[0] / det;
+
+      return [a, b, 0,
+              c, d, 0,
+              -((m[6] * a) + (m[7] * c)), -((m[6] * b) + (m[7] * d)), 1];
+    },
+
     transpose: function (m) {
       return [m[0], m[3], m[6], m[1], m[4], m[7], m[2], m[5], m[8]];
     }
@@ -1064,16 +1074,7 @@
     };
 
     gl.transform = function transform(m11, m12, m21, m22, dx, dy) {
-      var m = gl2d.transform.m_stack[gl2d.transform.c_stack];
-
-      m[0] *= m11;
-      m[1] *= m21;
-      m[2] *= dx;
-      m[3] *= m12;
-      m[4] *= m22;
-      m[5] *= dy;
-      m[6] = 0;
-      m[7] = 0;
+      mat3.multiply([m11, m12, 0, m21, m22, 0, dx, dy, 1], gl2d.transform.m_stack[gl2d.transform.c_stack]);
     };
 
     function sendTransformStack(sp) {
@@ -1083,9 +1084,20 @@
       } //for
     }
 
+    // The shaders combine every level of the stack, so the current level becomes the inverse of the
+    // levels below it followed by the new transform.
     gl.setTransform = function setTransform(m11, m12, m21, m22, dx, dy) {
-      gl2d.transform.setIdentity();
-      gl.transform.apply(this, arguments);
+      var transform = gl2d.transform;
+      var parent = mat3.identity.slice();
+
+      for (var i = transform.c_stack - 1; i >= 0; i--) {
+        var level = transform.m_stack[i].slice();
+        mat3.multiply(parent, level);
+        parent = level;
+      }
+
+      transform.m_stack[transform.c_stack] = mat3.inverse(parent);
+      gl.transform(m11, m12, m21, m22, dx, dy);
     };
 
     gl.fillRect = function fillRect(x, y, width, height) {      
@@ -1307,6 +1319,9 @@
       }
       var imagePixelData = imagePixels.data;
 
+      this.isPOT = isPOT(image.width) && isPOT(image.height);
+      this.wrap = gl.CLAMP_TO_EDGE;
+
       // WebGL and canvas don't like to touch each other because the spec is dumb
       var l = imagePixelData.length;
       var premultipliedData = new Uint8Array(l);
@@ -1343,6 +1358,35 @@
       gl.bindTexture(gl.TEXTURE_2D, null);
     };
 
+    // Returns the WebGL texture holding an image, uploading it first if it is new or dirty. Only
+    //  power-of-two textures can repeat in WebGL, so other textures are always clamped.
+    gl.getImageTexture = function getImageTexture(image, repeat) {
+      var texture, cacheIndex = imageCache.indexOf(image);
+
+      if ((cacheIndex !== -1)) {
+        texture = textureCache[cacheIndex];
+      } else {
+        image.isDirty = false;
+        texture = new Texture(image);
+      }
+
+      if (image.isDirty === true) {
+        texture.updateCachedImage(image);
+        image.isDirty = false;
+      }
+
+      var wrap = (repeat && texture.isPOT) ? gl.REPEAT : gl.CLAMP_TO_EDGE;
+      if (texture.wrap !== wrap) {
+        gl.bindTexture(gl.TEXTURE_2D, texture.obj);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, wrap);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, wrap);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        texture.wrap = wrap;
+      }
+
+      return texture.obj;
+    };
+
     gl.drawImage = function drawImage(image, a, b, c, d, e, f, g, h, colorR, colorG, colorB, colorA) {
       var transform = gl2d.transform;
 
@@ -1381,19 +1425,7 @@
 
       var shaderProgram = gl2d.initShaders(transform.c_stack, sMask);
 
-      var texture, cacheIndex = imageCache.indexOf(image);
-
-      if ((cacheIndex !== -1)) {
-        texture = textureCache[cacheIndex];
-      } else {
-        image.isDirty = false;
-        texture = new Texture(image);
-      }
-
-      if (image.isDirty === true) {
-        texture.updateCachedImage(image);
-        image.isDirty = false;
-      }
+      var texture = gl.getImageTexture(image, false);
 
       if (doCrop) {
         gl.uniform4f(shaderProgram.uCropSource, a/image.width, b/image.height, c/image.width, d/image.height);
@@ -1402,7 +1434,7 @@
       gl.bindBuffer(gl.ARRAY_BUFFER, rectVertexPositionBuffer);
       gl.vertexAttribPointer(shaderProgram.vertexPositionAttribute, 4, gl.FLOAT, false, 0, 0);
 
-      gl.bindTexture(gl.TEXTURE_2D, texture.obj);
+      gl.bindTexture(gl.TEXTURE_2D, texture);
       gl.activeTexture(gl.TEXTURE0);
 
       gl.uniform1i(shaderProgram.uSampler, 0);
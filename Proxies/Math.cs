@@ -21,7 +21,37 @@ namespace JSIL.Proxies {
         }
 
         [JSReplacement("Math.abs($value)")]
-        public static AnyType Abs (AnyType value) {
+        public static sbyte Abs (sbyte value) {
+            throw new InvalidOperationException();
+        }
+
+        [JSReplacement("Math.abs($value)")]
+        public static short Abs (short value) {
+            throw new InvalidOperationException();
+        }
+
+        [JSReplacement("Math.abs($value)")]
+        public static int Abs (int value) {
+            throw new InvalidOperationException();
+        }
+
+        [JSReplacement("Math.abs($value)")]
+        public static float Abs (float value) {
+            throw new InvalidOperationException();
+        }
+
+        [JSReplacement("Math.abs($value)")]
+        public static double Abs (double value) {
+            throw new InvalidOperationException();
+        }
+
+        [JSExternal]
+        public static long Abs (long value) {
+            throw new InvalidOperationException();
+        }
+
+        [JSExternal]
+        public static decimal Abs (decimal value) {
             throw new InvalidOperationException();
         }
 
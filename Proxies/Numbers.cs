@@ -12,10 +12,25 @@ namespace JSIL.Proxies {
     )]
     public abstract class IntegerProxy {
         [JSReplacement("($this).toString()")]
-        public string ToString (params AnyType[] arguments) {
+        public override string ToString () {
             return base.ToString();
         }
 
+        [JSReplacement("JSIL.FormatNumber($this, $typeof(this), $format, null)")]
+        public string ToString (string format) {
+            throw new InvalidOperationException();
+        }
+
+        [JSReplacement("JSIL.FormatNumber($this, $typeof(this), null, $provider)")]
+        public string ToString (IFormatProvider provider) {
+            throw new InvalidOperationException();
+        }
+
+        [JSReplacement("JSIL.FormatNumber($this, $typeof(this), $format, $provider)")]
+        public string ToString (string format, IFormatProvider provider) {
+            throw new InvalidOperationException();
+        }
+
         [JSReplacement("JSIL.CompareValues($this, $rhs)")]
         public int CompareTo (AnyType rhs) {
             throw new InvalidOperationException();
@@ -24,13 +39,28 @@ namespace JSIL.Proxies {
 
     [JSProxy(
         new[] { 
-            typeof(Single), typeof(Double), typeof(Decimal)
+            typeof(Single), typeof(Double)
         },
         JSProxyMemberPolicy.ReplaceDeclared
     )]
     public abstract class NumberProxy {
-        [JSReplacement("($this).toString()")]
-        public string ToString (params AnyType[] arguments) {
+        [JSReplacement("JSIL.FormatNumber($this, $typeof(this), null, null)")]
+        public override string ToString () {
+            throw new InvalidOperationException();
+        }
+
+        [JSReplacement("JSIL.FormatNumber($this, $typeof(this), $format, null)")]
+        public string ToString (string format) {
+            throw new InvalidOperationException();
+        }
+
+        [JSReplacement("JSIL.FormatNumber($this, $typeof(this), null, $provider)")]
+        public string ToString (IFormatProvider provider) {
+            throw new InvalidOperationException();
+        }
+
+        [JSReplacement("JSIL.FormatNumber($this, $typeof(this), $format, $provider)")]
+        public string ToString (string format, IFormatProvider provider) {
             throw new InvalidOperationException();
         }
 
@@ -111,6 +111,12 @@ namespace JSIL.Proxies {
             throw new InvalidOperationException();
         }
 
+        [JSReplacement("System.String.ToLower($this, $culture)")]
+        [JSIsPure]
+        public string ToLower (System.Globalization.CultureInfo culture) {
+            throw new InvalidOperationException();
+        }
+
         [JSReplacement("$this.toLowerCase()")]
         [JSIsPure]
         public string ToLowerInvariant() {
@@ -123,6 +129,12 @@ namespace JSIL.Proxies {
             throw new InvalidOperationException();
         }
 
+        [JSReplacement("System.String.ToUpper($this, $culture)")]
+        [JSIsPure]
+        public string ToUpper (System.Globalization.CultureInfo culture) {
+            throw new InvalidOperationException();
+        }
+
         [JSReplacement("$this.toUpperCase()")]
         [JSIsPure]
         public string ToUpperInvariant() {
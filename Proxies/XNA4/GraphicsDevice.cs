@@ -14,7 +14,7 @@ namespace JSIL.Proxies {
         [JSReplacement("$this.InternalClear($color)")]
         public abstract void Clear (Color color);
 
-        [JSReplacement("$this.InternalClear($color)")]
+        [JSReplacement("$this.InternalClear($color, $options, $depth)")]
         public abstract void Clear (ClearOptions options, Color color, float depth, int stencil);
 
         [JSIgnore]
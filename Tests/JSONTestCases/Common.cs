@@ -0,0 +1,43 @@
+using System;
+using System.IO;
+using System.Runtime.Serialization;
+using System.Runtime.Serialization.Json;
+using System.Text;
+using JSIL.Meta;
+
+public static class Common {
+    // JSIL.JSON reads and writes dictionaries as objects, like the simple dictionary format of DataContractJsonSerializer.
+    public static DataContractJsonSerializer MakeSerializer (Type type) {
+        return new DataContractJsonSerializer(type, new DataContractJsonSerializerSettings {
+            UseSimpleDictionaryFormat = true
+        });
+    }
+
+    // DataContractJsonSerializer reports JSON it cannot read as a SerializationException, where JSIL.JSON throws a FormatException.
+    [JSReplacement("JSIL.JSON.Deserialize($json, $type)")]
+    public static object Deserialize (string json, Type type) {
+        var serializer = MakeSerializer(type);
+
+        try {
+            using (var ms = new MemoryStream(Encoding.UTF8.GetBytes(json)))
+                return serializer.ReadObject(ms);
+        } catch (SerializationException exc) {
+            throw new FormatException(exc.Message, exc);
+        }
+    }
+
+    // DataContractJsonSerializer reports a cycle as a SerializationException, where JSIL.JSON throws an InvalidOperationException.
+    [JSReplacement("JSIL.JSON.Serialize($value)")]
+    public static string Serialize (object value) {
+        var serializer = MakeSerializer(value.GetType());
+
+        try {
+            using (var ms = new MemoryStream()) {
+                serializer.WriteObject(ms, value);
+                return Encoding.UTF8.GetString(ms.ToArray());
+            }
+        } catch (SerializationException exc) {
+            throw new InvalidOperationException(exc.Message, exc);
+        }
+    }
+}
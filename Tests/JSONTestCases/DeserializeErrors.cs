@@ -0,0 +1,27 @@
+using System;
+
+public class Item {
+    public byte Small;
+    public int? Limit;
+}
+
+public static class Program {
+    public static void Main (string[] args) {
+        Check(@"{ ""Small"": ");
+        Check(@"{ ""Small"": 256 }");
+        Check(@"{ ""Small"": 1.5 }");
+        Check(@"{ ""Small"": null }");
+        Check(@"{ ""Small"": 255, ""Limit"": null }");
+        Check(@"{ ""Limit"": -1 }");
+    }
+
+    public static void Check (string json) {
+        try {
+            var item = (Item)Common.Deserialize(json, typeof(Item));
+
+            Console.WriteLine("{0} {1}", item.Small, item.Limit.HasValue ? item.Limit.Value.ToString() : "null");
+        } catch (FormatException) {
+            Console.WriteLine("FormatException");
+        }
+    }
+}
@@ -0,0 +1,59 @@
+using System;
+using JSIL;
+
+[Flags]
+public enum Color {
+    Red = 1,
+    Green = 2,
+    Blue = 4
+}
+
+public class Item {
+    public byte Small;
+    public long Big;
+    public Color Colors;
+    public int[,] Grid;
+}
+
+// DataContractJsonSerializer cannot read these, or reads them where JSIL.JSON is stricter, so
+//  the values are read through JSIL.JSON directly. When running as C#, Read returns null and
+//  each check falls back to the value it expects.
+public static class Program {
+    public static void Main (string[] args) {
+        var named = (Item)(Read(@"{ ""Colors"": ""Red, Blue"" }") ?? new Item {
+            Colors = (Color)Enum.Parse(typeof(Color), "Red, Blue")
+        });
+        Console.WriteLine(named.Colors);
+
+        var grid = (Item)(Read(@"{ ""Grid"": { ""dimensions"": [2, 3], ""items"": [1, 2, 3, 4, 5, 6] } }") ?? new Item {
+            Grid = new int[,] { { 1, 2, 3 }, { 4, 5, 6 } }
+        });
+        Console.WriteLine(
+            "{0}x{1} {2} {3}",
+            grid.Grid.GetLength(0), grid.Grid.GetLength(1), grid.Grid[0, 2], grid.Grid[1, 0]
+        );
+
+        Reject(@"{ ""Grid"": { ""dimensions"": [2, 3], ""items"": [1, 2] } }");
+        // Numbers are not converted from strings, and the root must be an object.
+        Reject(@"{ ""Small"": ""1"" }");
+        Reject(@"[1, 2]");
+        // Numbers this large lose precision when they are parsed, so they must be written as strings.
+        Reject(@"{ ""Big"": 9007199254740993 }");
+    }
+
+    public static object Read (string json) {
+        var type = typeof(Item);
+        return Verbatim.Expression("JSIL.JSON.Deserialize(json, type)");
+    }
+
+    public static void Reject (string json) {
+        try {
+            if (Read(json) == null)
+                throw new FormatException();
+
+            Console.WriteLine("no exception");
+        } catch (FormatException) {
+            Console.WriteLine("FormatException");
+        }
+    }
+}
@@ -0,0 +1,27 @@
+using System;
+using System.Collections.Generic;
+
+public class Amounts {
+    public long Big;
+    public ulong Unsigned;
+    public decimal Price;
+    public byte Small;
+    public double Ratio;
+    public Dictionary<long, string> Names;
+}
+
+public static class Program {
+    public static void Main (string[] args) {
+        const string json = @"{
+            ""Big"": ""9007199254740993"", ""Unsigned"": ""18446744073709551615"",
+            ""Price"": ""12345678901234567890.125"", ""Small"": 255, ""Ratio"": 0.5,
+            ""Names"": { ""9223372036854775807"": ""max"", ""-1"": ""minus one"" }
+        }";
+
+        var amounts = (Amounts)Common.Deserialize(json, typeof(Amounts));
+
+        Console.WriteLine("{0} {1} {2}", amounts.Big, amounts.Big + 1, amounts.Unsigned);
+        Console.WriteLine("{0} {1} {2}", amounts.Price, amounts.Small, amounts.Ratio);
+        Console.WriteLine("{0} {1}", amounts.Names[long.MaxValue], amounts.Names[-1]);
+    }
+}
@@ -0,0 +1,73 @@
+using System;
+using System.Collections.Generic;
+
+[Flags]
+public enum Color {
+    Red = 1,
+    Green = 2,
+    Blue = 4
+}
+
+public struct Point {
+    public int X, Y;
+}
+
+public class Settings {
+    public string Name;
+    public List<int> Numbers;
+    public Dictionary<string, Point> Points;
+    public int? Limit;
+    public int? Missing;
+    public Color Colors;
+    public IList<string> Tags;
+    public Settings Child;
+
+    public int Count { get; set; }
+}
+
+public static class Program {
+    public static void Main (string[] args) {
+        const string json = @"{
+            ""Name"": ""root"", ""Numbers"": [1, 2, 3], ""Points"": { ""a"": { ""X"": 1, ""Y"": 2 } },
+            ""Limit"": 5, ""Missing"": null, ""Colors"": 5, ""Count"": 7,
+            ""Tags"": [""x"", ""y""], ""Child"": { ""Name"": ""child"", ""Colors"": 2 }
+        }";
+
+        var settings = (Settings)Common.Deserialize(json, typeof(Settings));
+
+        Print(settings);
+        Print(settings.Child);
+    }
+
+    public static void Print (Settings settings) {
+        Console.WriteLine("{0} {1} {2}", settings.Name, settings.Colors, settings.Count);
+        Console.WriteLine(
+            "{0} {1}",
+            settings.Limit.HasValue ? settings.Limit.Value.ToString() : "null",
+            settings.Missing.HasValue ? settings.Missing.Value.ToString() : "null"
+        );
+
+        if (settings.Numbers != null) {
+            foreach (var number in settings.Numbers)
+                Console.Write("{0} ", number);
+
+            Console.WriteLine("({0} number(s))", settings.Numbers.Count);
+        } else {
+            Console.WriteLine("no numbers");
+        }
+
+        if (settings.Points != null) {
+            var point = settings.Points["a"];
+            Console.WriteLine("{0} point(s), a = {1},{2}", settings.Points.Count, point.X, point.Y);
+        } else {
+            Console.WriteLine("no points");
+        }
+
+        if (settings.Tags != null)
+            Console.WriteLine("{0} tag(s), first = {1}", settings.Tags.Count, settings.Tags[0]);
+        else
+            Console.WriteLine("no tags");
+
+        Console.WriteLine(settings.Child != null ? "has child" : "no child");
+    }
+}
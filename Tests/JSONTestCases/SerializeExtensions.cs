@@ -0,0 +1,91 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using JSIL;
+
+[Flags]
+public enum Color {
+    Red = 1,
+    Green = 2,
+    Blue = 4
+}
+
+public struct Point {
+    public int X, Y;
+}
+
+public class Item {
+    public string Name;
+    public Color Colors;
+    public Point Position;
+    public Dictionary<string, long> Totals;
+    public long Big;
+    public decimal Price;
+    public int[,] Grid;
+}
+
+// DataContractJsonSerializer has no counterpart for these parts of the JSIL.JSON format, so the
+//  values are written through JSIL.JSON directly. When running as C#, Write returns null and
+//  each line falls back to the text it expects.
+public static class Program {
+    public static void Main (string[] args) {
+        var totals = new Dictionary<string, long>();
+        totals.Add("all", long.MaxValue);
+
+        var item = new Item {
+            Name = "item",
+            Colors = Color.Red | Color.Blue,
+            Position = new Point { X = 1, Y = 2 },
+            Totals = totals,
+            Big = -9007199254740993,
+            Price = decimal.Parse("12345678901234567890.125", CultureInfo.InvariantCulture),
+            Grid = new int[,] { { 1, 2, 3 }, { 4, 5, 6 } }
+        };
+
+        // Int64, UInt64 and Decimal values are written as strings, and multidimensional arrays as their dimensions and items.
+        Console.WriteLine(Write(item) ??
+            @"{""Big"":""-9007199254740993"",""Colors"":5,""Grid"":{""dimensions"":[2,3],""items"":[1,2,3,4,5,6]}," +
+            @"""Name"":""item"",""Position"":{""X"":1,""Y"":2},""Price"":""12345678901234567890.125"",""Totals"":{""all"":""9223372036854775807""}}"
+        );
+
+        item.Grid = null;
+        item.Totals = null;
+
+        Console.WriteLine(WriteIndented(item) ?? String.Join("\n", new[] {
+            @"{",
+            @"  ""Big"": ""-9007199254740993"",",
+            @"  ""Colors"": """ + item.Colors + @""",",
+            @"  ""Grid"": null,",
+            @"  ""Name"": ""item"",",
+            @"  ""Position"": {",
+            @"    ""X"": 1,",
+            @"    ""Y"": 2",
+            @"  },",
+            @"  ""Price"": ""12345678901234567890.125"",",
+            @"  ""Totals"": null",
+            @"}"
+        }));
+
+        var cycle = new List<object>();
+        cycle.Add(new object[] { cycle });
+
+        try {
+            if (Write(cycle) == null)
+                throw new InvalidOperationException(
+                    "Cannot serialize a cycle: the value at '$[0][0]' is the same System.Collections.Generic.List`1[System.Object] as the value at '$' that contains it."
+                );
+
+            Console.WriteLine("no exception");
+        } catch (InvalidOperationException exc) {
+            Console.WriteLine(exc.Message);
+        }
+    }
+
+    public static string Write (object value) {
+        return (string)Verbatim.Expression("JSIL.JSON.Serialize(value)");
+    }
+
+    public static string WriteIndented (object value) {
+        return (string)Verbatim.Expression("JSIL.JSON.Serialize(value, { indent: 2, enumFormat: \"name\" })");
+    }
+}
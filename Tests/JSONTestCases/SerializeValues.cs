@@ -0,0 +1,85 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+
+[Flags]
+public enum Color {
+    Red = 1,
+    Green = 2,
+    Blue = 4
+}
+
+public struct Point {
+    public int X, Y;
+}
+
+public class Item {
+    public string Name;
+    public Color Colors;
+    public int? Limit;
+    public int? Missing;
+    public Point Position;
+    public List<Point> Path;
+    public Dictionary<string, int> Counts;
+    public double Ratio;
+
+    public int Count { get; set; }
+}
+
+public class Amounts {
+    public long Big;
+    public ulong Unsigned;
+    public decimal Price;
+    public Dictionary<string, long> Totals;
+}
+
+public static class Program {
+    public static void Main (string[] args) {
+        var counts = new Dictionary<string, int>();
+        counts.Add("all", 3);
+        counts.Add("none", 0);
+
+        var item = new Item {
+            Name = "an \"item\"\n",
+            Colors = Color.Red | Color.Blue,
+            Limit = 3,
+            Position = new Point { X = 1, Y = 2 },
+            Path = new List<Point> { new Point { X = 3, Y = 4 } },
+            Counts = counts,
+            Ratio = 0.1,
+            Count = 7
+        };
+
+        Console.WriteLine(Common.Serialize(item));
+
+        // The position is a struct, so writing it twice is not a cycle.
+        item.Path.Add(item.Position);
+        item.Path.Add(item.Position);
+        item.Counts = null;
+
+        Console.WriteLine(Common.Serialize(item));
+
+        // JSIL.JSON writes these as strings so that they keep their exact values, so only the values read back are compared.
+        var totals = new Dictionary<string, long>();
+        totals.Add("all", long.MaxValue);
+
+        var amounts = (Amounts)Common.Deserialize(Common.Serialize(new Amounts {
+            Big = -9007199254740993,
+            Unsigned = ulong.MaxValue,
+            Price = decimal.Parse("12345678901234567890.125", CultureInfo.InvariantCulture),
+            Totals = totals
+        }), typeof(Amounts));
+
+        Console.WriteLine("{0} {1} {2} {3}", amounts.Big, amounts.Unsigned, amounts.Price, amounts.Totals["all"]);
+
+        var cycle = new List<object>();
+        cycle.Add(new object[] { cycle });
+
+        try {
+            Common.Serialize(cycle);
+            Console.WriteLine("no exception");
+        } catch (InvalidOperationException) {
+            Console.WriteLine("InvalidOperationException");
+        }
+    }
+}
@@ -0,0 +1,30 @@
+﻿using System;
+using System.Collections.Generic;
+using System.Diagnostics;
+using System.IO;
+using System.Linq;
+using System.Reflection;
+using System.Text;
+using System.Threading;
+using NUnit.Framework;
+
+namespace JSIL.Tests {
+    [TestFixture]
+    public class JSONTests : GenericTestFixture {
+        // The tests compare JSIL.JSON against DataContractJsonSerializer.
+        protected override IEnumerable<string> References {
+            get {
+                return new[] { "System.Runtime.Serialization.dll" };
+            }
+        }
+
+        [Test]
+        public void AllJSONTests () {
+            var typeInfo = MakeDefaultProvider();
+            var testPath = Path.GetFullPath(Path.Combine(ComparisonTest.TestSourceFolder, "JSONTestCases"));
+            var jsonTests = Directory.GetFiles(testPath, "*.cs");
+
+            RunComparisonTests(jsonTests, null, typeInfo);
+        }
+    }
+}
@@ -0,0 +1,46 @@
+﻿using System;
+using System.IO;
+
+public static class Program {
+    public static void Main (string[] args) {
+        var stream = new MemoryStream();
+        var writer = new BinaryWriter(stream);
+
+        writer.Write(true);
+        writer.Write((byte)200);
+        writer.Write((sbyte)-5);
+        writer.Write((short)-2);
+        writer.Write((ushort)65000);
+        writer.Write(-123456);
+        writer.Write(4000000000u);
+        writer.Write(-9876543210L);
+        writer.Write(1.5f);
+        writer.Write(Math.PI);
+        writer.Write(-12.345m);
+        writer.Write("héllo");
+        writer.Write(new byte[] { 1, 2, 3 }, 1, 2);
+        writer.Flush();
+
+        Console.WriteLine("{0} {1}", stream.Length, stream.Position);
+
+        stream.Position = 0;
+        var reader = new BinaryReader(stream);
+
+        Console.WriteLine("{0} {1} {2}", reader.ReadBoolean(), reader.ReadByte(), reader.ReadSByte());
+        Console.WriteLine("{0} {1} {2} {3}", reader.ReadInt16(), reader.ReadUInt16(), reader.ReadInt32(), reader.ReadUInt32());
+        Console.WriteLine("{0} {1} {2} {3}", reader.ReadInt64(), reader.ReadSingle(), reader.ReadDouble() == Math.PI, reader.ReadDecimal());
+        Console.WriteLine("{0} {1} {2}", reader.ReadString(), reader.ReadByte(), reader.ReadByte());
+
+        stream.SetLength(3);
+        Console.WriteLine(String.Join(",", stream.ToArray()));
+        Console.WriteLine(stream.Seek(2, SeekOrigin.End));
+        stream.WriteByte(7);
+        Console.WriteLine(String.Join(",", stream.ToArray()));
+
+        try {
+            new MemoryStream(new byte[2], false).WriteByte(1);
+        } catch (NotSupportedException exc) {
+            Console.WriteLine(exc.Message);
+        }
+    }
+}
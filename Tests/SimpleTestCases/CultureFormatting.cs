@@ -0,0 +1,65 @@
+﻿using System;
+using System.Globalization;
+using System.Threading;
+
+public static class Program {
+    public static void Main (string[] args) {
+        var de = CultureInfo.GetCultureInfo("de-DE");
+        var fr = CultureInfo.GetCultureInfo("fr-FR");
+        var ja = CultureInfo.GetCultureInfo("ja-JP");
+        var invariant = CultureInfo.InvariantCulture;
+
+        Console.WriteLine("{0} {1} {2} {3}", de.Name, de.EnglishName, de.Parent.Name, de.LCID);
+
+        Console.WriteLine(1234567.891.ToString("N", de) + " | " + (-1234.5).ToString("C", de) + " | " + 0.25.ToString("P", de));
+        Console.WriteLine(1234.5.ToString("F2", invariant) + " | " + 1234.5.ToString("C", ja));
+        Console.WriteLine(String.Format(de, "{0:N2} {1}", 1234.5, 2.5));
+
+        var dt = new DateTime(2009, 6, 15, 13, 45, 30);
+        Console.WriteLine(dt.ToString("D", de) + " | " + dt.ToString("G", de));
+        Console.WriteLine(dt.ToString("D", fr) + " | " + dt.ToString("d", ja));
+        Console.WriteLine(dt.ToString("r", de));
+
+        Console.WriteLine(DateTime.Parse("15.06.2009 13:45", de).ToString("s"));
+        Console.WriteLine(double.Parse("1.234,5", de) + double.Parse("0.5", invariant));
+
+        Console.WriteLine(int.Parse("-42", invariant) + " " + int.Parse("1.234", NumberStyles.AllowThousands, de) + " " + int.Parse("ff", NumberStyles.HexNumber));
+        Console.WriteLine(long.Parse("(1,000)", NumberStyles.AllowParentheses | NumberStyles.AllowThousands, invariant) + " " + short.Parse(" -7 ") + " " + byte.Parse("255", invariant));
+
+        int parsed;
+        Console.WriteLine(int.TryParse("12abc", out parsed));
+        Console.WriteLine(int.TryParse("99999999999", out parsed));
+        Console.WriteLine(int.TryParse("1.234,00", NumberStyles.Number, de, out parsed));
+        Console.WriteLine(parsed);
+
+        try {
+            int.Parse("12abc");
+        } catch (FormatException) {
+            Console.WriteLine("format");
+        }
+
+        try {
+            short.Parse("70000", invariant);
+        } catch (OverflowException) {
+            Console.WriteLine("overflow");
+        }
+
+        Console.WriteLine(String.Compare("a", "B") < 0);
+        Console.WriteLine(String.Compare("a", "B", StringComparison.Ordinal) > 0);
+        Console.WriteLine(String.Compare("Strasse", "STRASSE", true, de));
+        Console.WriteLine("straße".ToUpper(de) + " " + "ABC".ToLower(invariant));
+
+        var custom = new CultureInfo("de-DE");
+        custom.NumberFormat.NumberDecimalSeparator = "#";
+        Console.WriteLine(1.5.ToString("F1", custom));
+
+        try {
+            de.NumberFormat.NumberDecimalSeparator = "#";
+        } catch (InvalidOperationException) {
+            Console.WriteLine("read-only");
+        }
+
+        Thread.CurrentThread.CurrentCulture = de;
+        Console.WriteLine(1.5.ToString("F1") + " " + CultureInfo.CurrentCulture.Name);
+    }
+}
@@ -0,0 +1,35 @@
+﻿using System;
+using System.Globalization;
+
+public static class Program {
+    public static void Main (string[] args) {
+        var invariant = CultureInfo.InvariantCulture;
+        var dt = new DateTime(2009, 6, 15, 13, 45, 30, 123);
+        Console.WriteLine("{0} {1} {2} {3} {4}", dt.Year, dt.Month, dt.Day, dt.DayOfWeek, dt.DayOfYear);
+        Console.WriteLine(dt.Ticks);
+
+        Console.WriteLine(dt.ToString("d", invariant) + " | " + dt.ToString("D", invariant) + " | " + dt.ToString("G", invariant));
+        Console.WriteLine(dt.ToString("s") + " | " + dt.ToString("o") + " | " + dt.ToString("r"));
+        Console.WriteLine(dt.ToString("yyyy-MM-dd HH:mm:ss.fff") + " | " + dt.ToString("ddd MMM d") + " | " + dt.ToString("hh:mm tt"));
+
+        Console.WriteLine(new DateTime(2008, 1, 31).AddMonths(1).ToString("d", invariant));
+        Console.WriteLine(new DateTime(2009, 1, 31).AddMonths(1).ToString("d", invariant));
+        Console.WriteLine(new DateTime(2009, 12, 31).AddDays(1).ToString("s"));
+
+        var a = new DateTime(2009, 6, 15);
+        var b = new DateTime(2009, 6, 16, 6, 0, 0);
+        Console.WriteLine("{0} {1} {2} {3}", (b - a).TotalHours, a < b, a == new DateTime(2009, 6, 15), a.CompareTo(b));
+
+        Console.WriteLine(DateTime.Parse("6/15/2009 1:45:30 PM", invariant).ToString("s"));
+        Console.WriteLine(DateTime.Parse("2009-06-15T13:45:30").ToString("s"));
+        Console.WriteLine(DateTime.ParseExact("15.06.2009 13:45", "dd.MM.yyyy HH:mm", null).ToString("o"));
+
+        DateTime parsed;
+        Console.WriteLine(DateTime.TryParse("31/31/2009", out parsed));
+
+        var dto = new DateTimeOffset(2009, 6, 15, 13, 45, 30, TimeSpan.FromHours(-7));
+        Console.WriteLine(dto.ToString("o") + " | " + dto.UtcDateTime.ToString("s"));
+        Console.WriteLine(dto.ToOffset(TimeSpan.FromHours(2)).ToString("yyyy-MM-dd HH:mm zzz"));
+        Console.WriteLine(dto == new DateTimeOffset(2009, 6, 15, 20, 45, 30, TimeSpan.FromHours(0)));
+    }
+}
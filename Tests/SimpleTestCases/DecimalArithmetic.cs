@@ -0,0 +1,29 @@
+﻿using System;
+
+public static class Program {
+    public static void Main (string[] args) {
+        decimal a = 0.1m, b = 0.2m;
+        Console.WriteLine("{0} {1}", a + b, (a + b) == 0.3m);
+
+        decimal price = 19.99m;
+        int quantity = 3;
+        decimal total = price * quantity;
+        Console.WriteLine("{0} {1} {2}", total, total / 7, total % 7);
+        Console.WriteLine("{0} {1}", 1m / 3m, -total);
+
+        Console.WriteLine(
+            "{0} {1} {2} {3}",
+            Math.Round(2.5m), Math.Round(3.5m), Math.Round(2.345m, 2),
+            Math.Round(2.345m, 2, MidpointRounding.AwayFromZero)
+        );
+        Console.WriteLine("{0} {1} {2}", decimal.Floor(-1.5m), decimal.Ceiling(1.2m), decimal.Truncate(-1.9m));
+
+        decimal parsed = decimal.Parse("1234.5600");
+        Console.WriteLine("{0} {1} {2}", parsed, parsed.ToString("F1"), parsed.ToString("N2"));
+        Console.WriteLine("{0:P1} {1:E2}", 0.125m, parsed);
+
+        Console.WriteLine("{0} {1} {2}", (int)parsed, (double)parsed, (long)(parsed * 1000000000m));
+        Console.WriteLine("{0} {1}", (decimal)0.1, parsed > 1000m);
+        Console.WriteLine("{0} {1}", Math.Abs(-parsed), Math.Abs(0.125m));
+    }
+}
@@ -0,0 +1,42 @@
+﻿using System;
+using System.IO;
+
+public static class Program {
+    public static void Main (string[] args) {
+        Directory.CreateDirectory("levels\\world1");
+        File.WriteAllText("levels\\world1\\a.level", "a");
+        File.WriteAllText("levels\\world1\\b.level", "bb");
+        File.WriteAllText("levels\\world1\\notes.txt", "notes");
+        File.WriteAllText("levels\\worlds.TXT", "worlds");
+        Directory.CreateDirectory("levels\\world2");
+
+        Console.WriteLine("{0} {1}", Directory.Exists("levels"), Directory.Exists("levels\\world3"));
+
+        foreach (var directory in Directory.GetDirectories("levels"))
+            Console.WriteLine(directory);
+
+        // The order of a recursive listing is unspecified, so the files are sorted before they are printed.
+        var levels = Directory.GetFiles("levels", "*.level", SearchOption.AllDirectories);
+        Array.Sort(levels, StringComparer.OrdinalIgnoreCase);
+        foreach (var file in levels)
+            Console.WriteLine(file);
+
+        var notes = Directory.GetFiles("levels", "*.txt", SearchOption.AllDirectories);
+        Array.Sort(notes, StringComparer.OrdinalIgnoreCase);
+        foreach (var file in notes)
+            Console.WriteLine(file);
+
+        var info = new DirectoryInfo("levels\\world1");
+        foreach (var file in info.GetFiles("?.level"))
+            Console.WriteLine("{0} {1} {2}", file.Name, file.Extension, file.Length);
+
+        try {
+            Directory.Delete("levels");
+        } catch (IOException) {
+            Console.WriteLine("levels is not empty");
+        }
+
+        Directory.Delete("levels", true);
+        Console.WriteLine("{0}", Directory.Exists("levels"));
+    }
+}
@@ -0,0 +1,50 @@
+﻿using System;
+using System.IO;
+
+public static class Program {
+    public static void Main (string[] args) {
+        File.WriteAllText("save.txt", "first line\nsecond line\n");
+        File.AppendAllText("save.txt", "third line");
+
+        Console.WriteLine("{0}", File.Exists("save.txt"));
+        foreach (var line in File.ReadAllLines("save.txt"))
+            Console.WriteLine(line);
+
+        File.WriteAllBytes("data.bin", new byte[] { 1, 2, 3 });
+        using (var stream = new FileStream("data.bin", FileMode.Append)) {
+            stream.WriteByte(4);
+        }
+        Console.WriteLine(String.Join(",", File.ReadAllBytes("data.bin")));
+
+        File.Copy("data.bin", "copy.bin");
+        File.Move("copy.bin", "moved.bin");
+        Console.WriteLine("{0} {1}", File.Exists("copy.bin"), File.ReadAllBytes("moved.bin").Length);
+
+        File.Delete("moved.bin");
+        Console.WriteLine("{0}", File.Exists("moved.bin"));
+
+        try {
+            File.ReadAllText("missing.txt");
+        } catch (FileNotFoundException) {
+            Console.WriteLine("missing.txt not found");
+        }
+
+        try {
+            File.Copy("data.bin", "save.txt");
+        } catch (IOException) {
+            Console.WriteLine("save.txt already exists");
+        }
+
+        using (var stream = File.OpenRead("data.bin"))
+            Console.WriteLine("{0} {1}", stream.CanRead, stream.CanWrite);
+
+        try {
+            File.WriteAllText("nodir\\z.txt", "z");
+        } catch (DirectoryNotFoundException) {
+            Console.WriteLine("nodir not found");
+        }
+
+        File.Delete("save.txt");
+        File.Delete("data.bin");
+    }
+}
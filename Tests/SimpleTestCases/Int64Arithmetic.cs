@@ -0,0 +1,51 @@
+﻿using System;
+
+public static class Program {
+    public static long Multiply (long a, long b) {
+        return a * b;
+    }
+
+    public static void Main (string[] args) {
+        long a = long.MaxValue;
+        long b = a + 1;
+        ulong c = ulong.MaxValue;
+        ulong d = c + 1;
+
+        Console.WriteLine("{0} {1}", a, b);
+        Console.WriteLine("{0} {1}", c, d);
+
+        long e = Multiply(123456789, 987654321);
+        Console.WriteLine("{0} {1} {2}", e, e / 1000, e % 1000);
+        Console.WriteLine("{0} {1}", -e / 7, -e % 7);
+
+        ulong f = 0x8000000000000000;
+        Console.WriteLine("{0} {1} {2}", f >> 4, (long)f >> 4, 1L << 40);
+        Console.WriteLine("{0} {1}", e > a, e < a);
+
+        long g = long.Parse("-9223372036854775808");
+        g--;
+        Console.WriteLine("{0} {1}", g, (int)e);
+
+        long h = 0;
+        for (int i = 0; i < 5; i++)
+            h += 1000000000000;
+
+        Console.WriteLine("{0} {1}", h, (double)h);
+        Console.WriteLine(new TimeSpan(long.MaxValue).Days);
+
+        long minValue = long.MinValue, minusOne = -1;
+        try {
+            Console.WriteLine(minValue / minusOne);
+        } catch (OverflowException) {
+            Console.WriteLine("OverflowException");
+        }
+        Console.WriteLine(minValue / 2);
+
+        Console.WriteLine("{0} {1} {2}", Math.Abs(-e), Math.Abs(e), Math.Abs(-3));
+        try {
+            Console.WriteLine(Math.Abs(minValue));
+        } catch (OverflowException) {
+            Console.WriteLine("OverflowException");
+        }
+    }
+}
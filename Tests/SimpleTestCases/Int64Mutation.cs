@@ -0,0 +1,34 @@
+﻿using System;
+
+public class Holder {
+    public long Field;
+}
+
+public static class Program {
+    public static int HolderCalls = 0;
+    public static readonly Holder TheHolder = new Holder();
+
+    public static Holder GetHolder () {
+        HolderCalls += 1;
+        return TheHolder;
+    }
+
+    public static void Main (string[] args) {
+        var arr = new long[] { 10, 20, 30 };
+        int i = 0;
+
+        arr[i++] += 1L;
+        arr[i++] *= 3L;
+        arr[i++]++;
+        Console.WriteLine("{0} {1} {2} {3}", arr[0], arr[1], arr[2], i);
+
+        i = 0;
+        long old = arr[i++]--;
+        Console.WriteLine("{0} {1} {2}", old, arr[0], i);
+
+        GetHolder().Field++;
+        GetHolder().Field += 5L;
+        old = GetHolder().Field++;
+        Console.WriteLine("{0} {1} {2}", old, TheHolder.Field, HolderCalls);
+    }
+}
@@ -0,0 +1,66 @@
+﻿using System;
+using System.Collections.Generic;
+using System.Linq;
+
+public static class Program {
+    public static void Main (string[] args) {
+        var people = new[] {
+            new { Name = "bob", Age = 30 }, new { Name = "al", Age = 25 },
+            new { Name = "cy", Age = 30 }, new { Name = "di", Age = 25 }
+        };
+
+        var evaluated = 0;
+        var adults = people.Where((p) => { evaluated += 1; return p.Age > 26; });
+        Console.WriteLine(evaluated);
+        Console.WriteLine(adults.Count());
+        Console.WriteLine(evaluated);
+
+        Console.WriteLine(String.Join(",", people.OrderBy((p) => p.Age).Select((p) => p.Name).ToArray()));
+        Console.WriteLine(String.Join(",", people.OrderBy((p) => p.Age).ThenByDescending((p) => p.Name).Select((p) => p.Name).ToArray()));
+
+        foreach (var group in people.GroupBy((p) => p.Age))
+            Console.WriteLine("{0}: {1}", group.Key, String.Join(",", group.Select((p) => p.Name).ToArray()));
+
+        var ages = new[] { 25, 40 };
+        foreach (var pair in ages.Join(people, (a) => a, (p) => p.Age, (a, p) => p.Name + "=" + a))
+            Console.WriteLine(pair);
+
+        var numbers = new[] { 5, 3, 8, 1, 6, 2, 3 };
+        Console.WriteLine(String.Join(",", numbers.Distinct().Skip(1).Take(3).ToArray()));
+        Console.WriteLine(String.Join(",", new[] { new[] { 1, 2 }, new[] { 3 } }.SelectMany((a) => a).Reverse().ToArray()));
+        Console.WriteLine("{0} {1} {2} {3}", numbers.Sum(), numbers.Min(), numbers.Max(), numbers.Average());
+        Console.WriteLine(numbers.Aggregate((a, b) => a * b));
+        Console.WriteLine(String.Join(",", numbers.Concat(ages).Zip(numbers, (a, b) => a - b).ToArray()));
+
+        var list = numbers.ToList();
+        Console.WriteLine(list.Count);
+        var byName = people.ToDictionary((p) => p.Name, (p) => p.Age);
+        Console.WriteLine(byName["cy"]);
+
+        Console.WriteLine("{0} {1}", numbers.Last(), numbers.Last((n) => n > 5));
+        Console.WriteLine("{0} {1}", numbers.SingleOrDefault((n) => n > 7), new int[0].LastOrDefault());
+        Console.WriteLine("{0} {1}", numbers.Contains(6), numbers.Contains(7));
+
+        try {
+            Console.WriteLine(numbers.Single((n) => n == 3));
+        } catch (InvalidOperationException exc) {
+            Console.WriteLine(exc.Message);
+        }
+
+        try {
+            Console.WriteLine(new int[0].Max());
+        } catch (InvalidOperationException exc) {
+            Console.WriteLine(exc.Message);
+        }
+
+        Console.WriteLine(new[] { int.MaxValue, int.MaxValue }.Average());
+
+        try {
+            Console.WriteLine(new[] { long.MaxValue, 1L }.Sum());
+        } catch (OverflowException) {
+            Console.WriteLine("overflow");
+        }
+
+        Console.WriteLine(new[] { long.MaxValue, -1L, 1L }.Sum());
+    }
+}
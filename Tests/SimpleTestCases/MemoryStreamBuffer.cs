@@ -0,0 +1,35 @@
+﻿using System;
+using System.IO;
+
+public static class Program {
+    public static void Main (string[] args) {
+        var buffer = new byte[] { 0, 1, 2, 3, 4, 5, 6, 7 };
+        var stream = new MemoryStream(buffer, 2, 4, true, true);
+        var read = new byte[5];
+
+        Console.WriteLine("{0} {1} {2}", stream.Length, stream.Capacity, stream.Read(read, 0, 5));
+        Console.WriteLine(String.Join(",", read));
+
+        stream.Position = 1;
+        stream.WriteByte(99);
+        stream.Write(new byte[] { 50, 51 }, 0, 2);
+
+        Console.WriteLine(String.Join(",", buffer));
+        Console.WriteLine(String.Join(",", stream.ToArray()));
+        Console.WriteLine(stream.GetBuffer() == buffer);
+
+        try {
+            stream.WriteByte(1);
+        } catch (NotSupportedException exc) {
+            Console.WriteLine(exc.Message);
+        }
+
+        var copy = new MemoryStream();
+        stream.WriteTo(copy);
+        copy.Write(buffer, 0, 3);
+
+        var copyBuffer = copy.GetBuffer();
+        Console.WriteLine("{0} {1} {2}", copy.Capacity, copyBuffer.Length, copyBuffer[6]);
+        Console.WriteLine(String.Join(",", copy.ToArray()));
+    }
+}
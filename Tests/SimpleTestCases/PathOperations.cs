@@ -0,0 +1,32 @@
+﻿using System;
+using System.IO;
+
+public static class Program {
+    public static void Main (string[] args) {
+        Console.WriteLine(Path.Combine("content", "levels", "level1.xnb"));
+        Console.WriteLine(Path.Combine("content/", "level1.xnb"));
+        Console.WriteLine(Path.Combine("content", "\\saves\\slot1.sav"));
+        Console.WriteLine(Path.Combine("content", ""));
+
+        Console.WriteLine(Path.GetExtension("content/levels/level1.xnb"));
+        Console.WriteLine("'{0}'", Path.GetExtension("content.v2/readme"));
+        Console.WriteLine(Path.GetFileName("content/levels\\level1.xnb"));
+        Console.WriteLine(Path.GetFileNameWithoutExtension("content/archive.tar.gz"));
+        Console.WriteLine(Path.GetDirectoryName("content/levels/level1.xnb"));
+        Console.WriteLine("'{0}'", Path.GetDirectoryName("level1.xnb"));
+        Console.WriteLine("{0}", Path.GetDirectoryName("C:\\") == null);
+
+        Console.WriteLine(Path.ChangeExtension("content/level1.xnb", "xml"));
+        Console.WriteLine(Path.ChangeExtension("content/level1.xnb", null));
+        Console.WriteLine("{0} {1}", Path.HasExtension("level1.xnb"), Path.HasExtension("content.v2/readme"));
+        Console.WriteLine("{0} {1} {2}", Path.IsPathRooted("/content"), Path.IsPathRooted("C:\\content"), Path.IsPathRooted("content"));
+        Console.WriteLine("{0}", Path.GetFullPath("content/./levels/../music") == Path.GetFullPath("content\\music"));
+        Console.WriteLine("{0}", Array.IndexOf(Path.GetInvalidPathChars(), '|') >= 0);
+
+        try {
+            Path.GetFileName("level<1>.xnb");
+        } catch (ArgumentException) {
+            Console.WriteLine("ArgumentException");
+        }
+    }
+}
@@ -0,0 +1,26 @@
+﻿using System;
+
+public static class Program {
+    public static void Main (string[] args) {
+        var random = new Random(12345);
+
+        Console.WriteLine("{0} {1} {2}", random.Next(), random.Next(), random.Next());
+        Console.WriteLine("{0} {1} {2}", random.Next(100), random.Next(100), random.Next(1000000));
+        Console.WriteLine("{0} {1}", random.Next(-50, 50), random.Next(int.MinValue, int.MaxValue));
+        Console.WriteLine("{0:F6} {1:F6}", random.NextDouble(), random.NextDouble());
+
+        var bytes = new byte[6];
+        random.NextBytes(bytes);
+        Console.WriteLine("{0} {1} {2} {3} {4} {5}", bytes[0], bytes[1], bytes[2], bytes[3], bytes[4], bytes[5]);
+
+        var a = new Random(-7);
+        var b = new Random(-7);
+        Console.WriteLine(a.Next() == b.Next());
+
+        // Large seeds overflow the Int32 subtractions that initialize the generator.
+        foreach (var seed in new[] { int.MaxValue, 1000000000, int.MinValue }) {
+            var large = new Random(seed);
+            Console.WriteLine("{0} {1} {2} {3}", large.Next(), large.Next(), large.Next(), large.Next(1000));
+        }
+    }
+}
@@ -0,0 +1,42 @@
+﻿using System;
+using System.Text.RegularExpressions;
+
+public static class Program {
+    public static void Main (string[] args) {
+        var date = new Regex(@"(?<year>\d{4})-(?<month>\d\d)-(\d\d)");
+        var match = date.Match("Released on 2009-06-15.");
+
+        Console.WriteLine("{0} {1} {2}", match.Success, match.Index, match.Value);
+        Console.WriteLine("{0} {1} {2}", match.Groups["year"].Value, match.Groups["month"].Value, match.Groups[1].Value);
+        Console.WriteLine(String.Join(",", date.GetGroupNames()));
+        Console.WriteLine(date.Replace("2009-06-15", "${month}/$1/${year}"));
+
+        Console.WriteLine("{0}", Regex.IsMatch("abc\n", @"c\Z"));
+        Console.WriteLine("{0}", Regex.IsMatch("abc\n", @"c\z"));
+        Console.WriteLine("{0}", Regex.IsMatch("a\nb", "a.b", RegexOptions.Singleline));
+        Console.WriteLine("{0}", Regex.IsMatch("ab\ncd", "^cd$", RegexOptions.Multiline));
+        Console.WriteLine("{0}", Regex.IsMatch("aBC", "a(?i)bc"));
+        Console.WriteLine("{0}", Regex.IsMatch("aaa", "(?>a+)a"));
+
+        var words = new Regex(@"(\w+) \s* (?<second>\w+)  # two words", RegexOptions.IgnorePatternWhitespace | RegexOptions.ExplicitCapture);
+        Console.WriteLine(words.Match("hello   world").Groups.Count);
+
+        foreach (Match m in Regex.Matches("a1b22c333", @"[a-z](\d+)"))
+            Console.WriteLine("{0} at {1}", m.Groups[1].Value, m.Groups[1].Index);
+
+        Console.WriteLine(String.Join("|", Regex.Split("a1b22c", @"(\d+)")));
+        Console.WriteLine(Regex.Replace("one two three", @"\w+", (m) => m.Value.ToUpper()));
+
+        var pair = Regex.Match("key=value", @"(?<part>\w+)=(?<part>\w+)").Groups["part"];
+        Console.WriteLine("{0} {1}", pair.Value, pair.Captures.Count);
+        foreach (Capture capture in pair.Captures)
+            Console.WriteLine("{0} at {1}", capture.Value, capture.Index);
+        Console.WriteLine(match.Groups["year"].Captures[0].Value);
+
+        Console.WriteLine(Regex.Replace("h\u00e9llo w\u00f6rld", @"\b\w+\b", "<$0>") == "<h\u00e9llo> <w\u00f6rld>");
+        Console.WriteLine(Regex.Match("h\u00e9llo", @"\w+", RegexOptions.ECMAScript).Value);
+        Console.WriteLine("{0} {1}", Regex.Replace("a\u0663b4", @"\d", "#"), Regex.Match("x\u0663\u0664", @"\d+").Length);
+        Console.WriteLine("{0} {1}", Regex.Replace("a.b, c", @"[^\w ]", "_"), Regex.Replace("a1,2b", @"[\W\d]", "_"));
+        Console.WriteLine("{0} {1} {2}", Regex.Match("xAy", @"\101").Value, Regex.Replace("a\tb", @"(a)\11", "$1"), Regex.IsMatch("A2", @"^\1012$"));
+    }
+}
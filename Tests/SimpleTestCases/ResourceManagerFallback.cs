@@ -0,0 +1,66 @@
+﻿using System;
+using System.Globalization;
+using System.Resources;
+using System.Threading;
+using JSIL;
+
+public static class Program {
+    // When running as C#, the resources are not declared and each lookup falls back to the value it expects.
+    public static bool Declared;
+
+    public static void Main (string[] args) {
+        // These are the calls the translator emits for Game.Strings.resources and its satellite assemblies.
+        Declared = Verbatim.Expression(@"(function () {
+            JSIL.DeclareResources(""Game.Strings"", """", {
+              ""Hello"": ""Hello"",
+              ""Bye"": ""Goodbye"",
+              ""Neutral"": ""neutral only"",
+              ""Lives"": 3
+            });
+            JSIL.DeclareResources(""Game.Strings"", ""de"", {
+              ""Hello"": ""Hallo"",
+              ""Bye"": ""Tschuess""
+            });
+            JSIL.DeclareResources(""Game.Strings"", ""de-DE"", {
+              ""Hello"": ""Guten Tag""
+            });
+            return true;
+        })()") != null;
+
+        var rm = new ResourceManager("Game.Strings", typeof(Program).Assembly);
+        var deDE = CultureInfo.GetCultureInfo("de-DE");
+        var de = CultureInfo.GetCultureInfo("de");
+        var fr = CultureInfo.GetCultureInfo("fr-FR");
+
+        Console.WriteLine(GetString(rm, "Hello", deDE, "Guten Tag"));
+        Console.WriteLine(GetString(rm, "Bye", deDE, "Tschuess"));
+        Console.WriteLine(GetString(rm, "Neutral", deDE, "neutral only"));
+        Console.WriteLine(GetString(rm, "Hello", de, "Hallo"));
+        Console.WriteLine(GetString(rm, "Hello", fr, "Hello"));
+        Console.WriteLine(GetString(rm, "Hello", CultureInfo.InvariantCulture, "Hello"));
+        Console.WriteLine(GetString(rm, "Missing", deDE, null) == null);
+        Console.WriteLine(Declared ? rm.GetObject("Lives", deDE) : 3);
+
+        try {
+            if (Declared)
+                rm.GetString("Lives");
+            else
+                throw new InvalidOperationException();
+        } catch (InvalidOperationException) {
+            Console.WriteLine("not a string");
+        }
+
+        rm.IgnoreCase = true;
+        Console.WriteLine(GetString(rm, "hello", deDE, "Guten Tag"));
+
+        Thread.CurrentThread.CurrentUICulture = de;
+        Console.WriteLine(Declared ? rm.GetString("Bye") : "Tschuess");
+    }
+
+    public static string GetString (ResourceManager rm, string name, CultureInfo culture, string expected) {
+        if (!Declared)
+            return expected;
+
+        return rm.GetString(name, culture);
+    }
+}
@@ -0,0 +1,25 @@
+﻿using System;
+using System.Globalization;
+using System.Resources;
+
+public static class Program {
+    public static void Main (string[] args) {
+        var rm = new ResourceManager("Missing.Strings", typeof(Program).Assembly);
+        Console.WriteLine(rm.BaseName);
+
+        rm.IgnoreCase = true;
+        Console.WriteLine(rm.IgnoreCase ? "ignoreCase" : "caseSensitive");
+
+        try {
+            Console.WriteLine(rm.GetString("Hello"));
+        } catch (MissingManifestResourceException) {
+            Console.WriteLine("missing neutral");
+        }
+
+        try {
+            Console.WriteLine(rm.GetString("Hello", CultureInfo.GetCultureInfo("de-DE")));
+        } catch (MissingManifestResourceException) {
+            Console.WriteLine("missing de-DE");
+        }
+    }
+}
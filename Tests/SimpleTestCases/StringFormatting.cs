@@ -0,0 +1,28 @@
+﻿using System;
+using System.Globalization;
+
+public static class Program {
+    public static void Main (string[] args) {
+        Console.WriteLine("[{0,6}|{1,-6}|{2}]", 42, "ab", true);
+        Console.WriteLine("{{{0}}} {{literal}}", 7);
+
+        Console.WriteLine("{0:D5} {1:X} {2:x8}", -123, 255, 48879);
+        Console.WriteLine("{0:E} {1:e2}", 1234.5678, 0.000012345);
+        Console.WriteLine("{0:P} {1:P1}", 0.1234, -0.0567);
+        Console.WriteLine(String.Format(CultureInfo.InvariantCulture, "{0:C} {1:C}", 1234.5678, -1234.5678));
+        Console.WriteLine("{0:G} {1:G3} {2:G}", 1234.5678, 1234.5678, 0.00001);
+        Console.WriteLine("{0:R} {1:R}", 0.1, 0.1 + 0.2);
+        Console.WriteLine("{0:F2} {1:F0} {2:N}", 2.345, 2.5, 1234567.891);
+
+        Console.WriteLine("{0:0.00#} {1:0.00#} {2:#,##0} {3:#,##0}", 1.5, 1.23456, 1234567, 12);
+        Console.WriteLine("{0:0.0%} {1:#,##0,} {2:00000}", 0.256, 1234567, 123);
+        Console.WriteLine("[{0}|{0,3}|{0:D}|{0:D3}|{0:G}|{0:X}|{0:N}|{1}|{1:G3}]", 0, 0.0);
+        Console.WriteLine("{0:0;(0);zero} {1:0;(0);zero} {2:0.00E+00}", -5, 0, 1234.5678);
+
+        int i = 1234;
+        double d = 3.14159;
+        Console.WriteLine(i.ToString("N0") + " " + i.ToString("X8") + " " + d.ToString("F3") + " " + d.ToString("0.#"));
+        Console.WriteLine(0.ToString() + " " + 0.ToString("D") + " " + 0L.ToString("D2") + " " + 0m.ToString());
+        Console.WriteLine(((byte)200).ToString("X") + " " + ((long)-1).ToString("X"));
+    }
+}
@@ -0,0 +1,48 @@
+﻿using System;
+using System.IO;
+using System.Text;
+
+public static class Program {
+    public static void PrintBytes (byte[] bytes) {
+        foreach (var b in bytes)
+            Console.Write("{0} ", b);
+
+        Console.WriteLine();
+    }
+
+    public static void Main (string[] args) {
+        var text = "hé€";
+
+        PrintBytes(Encoding.UTF8.GetBytes(text));
+        PrintBytes(Encoding.Unicode.GetBytes(text));
+        PrintBytes(Encoding.BigEndianUnicode.GetBytes(text));
+        PrintBytes(Encoding.UTF32.GetBytes(text));
+        PrintBytes(Encoding.ASCII.GetBytes(text));
+        PrintBytes(Encoding.UTF8.GetPreamble());
+        PrintBytes(Encoding.Unicode.GetPreamble());
+
+        Console.WriteLine("{0} {1}", Encoding.UTF8.GetByteCount(text), Encoding.Unicode.GetCharCount(Encoding.Unicode.GetBytes(text)));
+        Console.WriteLine("{0}", Encoding.UTF32.GetString(Encoding.UTF32.GetBytes(text)) == text);
+        Console.WriteLine("{0} {1}", Encoding.UTF8.WebName, Encoding.GetEncoding("utf-16").CodePage);
+
+        var bytes = Encoding.UTF8.GetBytes(text);
+        var decoder = Encoding.UTF8.GetDecoder();
+        var chars = new char[8];
+        var charCount = 0;
+
+        for (var i = 0; i < bytes.Length; i++)
+            charCount += decoder.GetChars(bytes, i, 1, chars, charCount);
+
+        Console.WriteLine("{0} {1}", charCount, new string(chars, 0, charCount) == text);
+
+        File.WriteAllText("encoded.txt", text, Encoding.Unicode);
+        PrintBytes(File.ReadAllBytes("encoded.txt"));
+        Console.WriteLine("{0}", File.ReadAllText("encoded.txt") == text);
+
+        File.WriteAllText("encoded.txt", text);
+        PrintBytes(File.ReadAllBytes("encoded.txt"));
+        Console.WriteLine("{0}", File.ReadAllText("encoded.txt", Encoding.UTF8) == text);
+
+        File.Delete("encoded.txt");
+    }
+}
@@ -0,0 +1,51 @@
+﻿using System;
+using System.IO;
+using System.Text;
+
+public static class Program {
+    public static void Main (string[] args) {
+        var sb = new StringBuilder();
+        using (var sw = new StringWriter(sb)) {
+            sw.WriteLine("name={0}", "player");
+            sw.Write(42);
+            sw.Write(' ');
+            sw.WriteLine(true);
+            sw.Write(new char[] { 'a', 'b', 'c' }, 1, 2);
+        }
+
+        Console.WriteLine(sb.ToString());
+
+        using (var reader = new StringReader(sb.ToString())) {
+            string line;
+            while ((line = reader.ReadLine()) != null)
+                Console.WriteLine("[{0}]", line);
+        }
+
+        using (var writer = new StreamWriter("settings.cfg", false, Encoding.Unicode)) {
+            writer.WriteLine("volume=0.5");
+            writer.Write("fullscreen={0}", false);
+        }
+
+        Console.WriteLine("{0}", File.ReadAllBytes("settings.cfg").Length);
+
+        using (var reader = new StreamReader("settings.cfg")) {
+            Console.WriteLine("{0} {1}", (char)reader.Peek(), reader.CurrentEncoding.WebName);
+
+            var buffer = new char[6];
+            Console.WriteLine("{0} {1}", reader.ReadBlock(buffer, 0, buffer.Length), new string(buffer));
+            Console.WriteLine(reader.ReadLine());
+            Console.WriteLine("{0}", reader.EndOfStream);
+            Console.WriteLine(reader.ReadToEnd());
+            Console.WriteLine("{0}", reader.EndOfStream);
+        }
+
+        using (var writer = new StreamWriter("settings.cfg", true))
+            writer.WriteLine();
+
+        using (var reader = new StreamReader("settings.cfg", Encoding.UTF8)) {
+            Console.WriteLine(reader.ReadToEnd().Length);
+        }
+
+        File.Delete("settings.cfg");
+    }
+}
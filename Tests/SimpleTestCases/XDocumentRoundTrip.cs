@@ -0,0 +1,58 @@
+﻿using System;
+using System.IO;
+using System.Linq;
+using System.Xml.Linq;
+
+public static class Program {
+    public static void Main (string[] args) {
+        XNamespace maps = "urn:maps";
+
+        var document = XDocument.Parse(
+            "<?xml version=\"1.0\" encoding=\"utf-8\"?>" +
+            "<level name=\"Tom &amp; Jerry\" xmlns:m=\"urn:maps\">" +
+            "<spawn x=\"12\" y=\"-4.5\" />" +
+            "<spawn x=\"3\" y=\"8\" enabled=\"true\" />" +
+            "<m:layer>ground</m:layer>" +
+            "<!-- end -->" +
+            "</level>"
+        );
+
+        var level = document.Root;
+        Console.WriteLine("{0} {1}", level.Name, (string)level.Attribute("name"));
+
+        foreach (var spawn in level.Elements("spawn"))
+            Console.WriteLine("{0} {1} {2}", (int)spawn.Attribute("x"), (double)spawn.Attribute("y"), (bool?)spawn.Attribute("enabled"));
+
+        Console.WriteLine(level.Element(maps + "layer").Value);
+        Console.WriteLine(document.Descendants().Count());
+
+        var export = new XElement("export",
+            new XAttribute("version", 2),
+            new XElement("item", "a < b"),
+            new XElement(maps + "tile", new XAttribute(maps + "id", 7)),
+            new XElement("empty"),
+            from spawn in level.Elements("spawn") select new XElement("point", spawn.Attribute("x").Value)
+        );
+
+        export.SetAttributeValue("version", null);
+        export.Element("empty").AddAfterSelf(new XComment("points"));
+
+        Console.WriteLine(export);
+        Console.WriteLine(export.ToString(SaveOptions.DisableFormatting));
+
+        using (var stream = new MemoryStream()) {
+            document.Save(stream);
+            stream.Position = 0;
+
+            var loaded = XDocument.Load(stream);
+            Console.WriteLine(loaded.Declaration);
+            Console.WriteLine(loaded.Root.Elements().Count());
+        }
+
+        try {
+            document.Add(new XElement("second"));
+        } catch (InvalidOperationException) {
+            Console.WriteLine("second root rejected");
+        }
+    }
+}
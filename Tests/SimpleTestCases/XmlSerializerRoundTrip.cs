@@ -0,0 +1,131 @@
+﻿using System;
+using System.IO;
+using System.Text;
+using System.Xml;
+using System.Xml.Serialization;
+
+public class Level {
+    [XmlAttribute("name")]
+    public string Name;
+    public int Width;
+    public string Author;
+}
+
+public static class Program {
+    public static void Main (string[] args) {
+        var serializer = new XmlSerializer(typeof(Level));
+        var level = new Level {
+            Name = "Tom & \"Jerry\"",
+            Width = 64,
+            Author = "a < b"
+        };
+
+        byte[] bytes;
+        using (var stream = new MemoryStream()) {
+            serializer.Serialize(stream, level);
+            bytes = stream.ToArray();
+        }
+
+        Console.WriteLine(Encoding.UTF8.GetString(bytes));
+
+        var copy = (Level)serializer.Deserialize(new MemoryStream(bytes));
+        Console.WriteLine("{0} {1} {2}", copy.Name, copy.Width, copy.Author);
+
+        var stringWriter = new StringWriter();
+        serializer.Serialize(stringWriter, new Level { Name = "empty" });
+        Console.WriteLine(stringWriter.ToString());
+
+        var namespaces = new XmlSerializerNamespaces();
+        namespaces.Add("", "");
+
+        var settings = new XmlWriterSettings();
+        settings.OmitXmlDeclaration = true;
+
+        var sb = new StringBuilder();
+        using (var xmlWriter = XmlWriter.Create(sb, settings))
+            serializer.Serialize(xmlWriter, level, namespaces);
+
+        Console.WriteLine(sb.ToString());
+    }
+}
+
+// The .NET serializer generates these classes at runtime. JSIL looks them up by name, so the test
+//  provides them the way sgen would.
+namespace Microsoft.Xml.Serialization.GeneratedAssembly {
+    public class XmlSerializationWriterLevel : XmlSerializationWriter {
+        public void Write2_Level (object o) {
+            WriteStartDocument();
+            if (o == null) {
+                WriteNullTagLiteral("Level", "");
+                return;
+            }
+
+            TopLevelElement();
+            Write1_Level("Level", "", (Level)o, true, false);
+        }
+
+        void Write1_Level (string n, string ns, Level o, bool isNullable, bool needType) {
+            if ((object)o == null) {
+                if (isNullable)
+                    WriteNullTagLiteral(n, ns);
+                return;
+            }
+
+            WriteStartElement(n, ns, o, false, null);
+            WriteAttribute("name", "", o.Name);
+            WriteElementStringRaw("Width", "", XmlConvert.ToString(o.Width));
+            WriteElementString("Author", "", o.Author);
+            WriteEndElement(o);
+        }
+
+        protected override void InitCallbacks () {
+        }
+    }
+
+    public class XmlSerializationReaderLevel : XmlSerializationReader {
+        public object Read2_Level () {
+            Reader.MoveToContent();
+
+            var o = new Level();
+            o.Name = Reader.GetAttribute("name");
+
+            Reader.ReadStartElement("Level");
+            Reader.MoveToContent();
+
+            while (Reader.NodeType == XmlNodeType.Element) {
+                switch (Reader.LocalName) {
+                    case "Width":
+                        o.Width = XmlConvert.ToInt32(Reader.ReadElementString());
+                        break;
+                    case "Author":
+                        o.Author = Reader.ReadElementString();
+                        break;
+                    default:
+                        Reader.Skip();
+                        break;
+                }
+
+                Reader.MoveToContent();
+            }
+
+            Reader.ReadEndElement();
+            return o;
+        }
+
+        protected override void InitCallbacks () {
+        }
+
+        protected override void InitIDs () {
+        }
+    }
+
+    public sealed class LevelSerializer : XmlSerializer {
+        protected override void Serialize (object objectToSerialize, XmlSerializationWriter writer) {
+            ((XmlSerializationWriterLevel)writer).Write2_Level(objectToSerialize);
+        }
+
+        protected override object Deserialize (XmlSerializationReader reader) {
+            return ((XmlSerializationReaderLevel)reader).Read2_Level();
+        }
+    }
+}
@@ -0,0 +1,58 @@
+﻿using System;
+using System.IO;
+using System.Text;
+using System.Xml;
+
+public static class Program {
+    public static void Main (string[] args) {
+        var settings = new XmlWriterSettings();
+        settings.Indent = true;
+
+        var sb = new StringBuilder();
+        using (var writer = XmlWriter.Create(sb, settings)) {
+            writer.WriteStartDocument();
+            writer.WriteStartElement("level");
+            writer.WriteAttributeString("name", "Tom & \"Jerry\"");
+            writer.WriteComment("spawn points");
+            writer.WriteElementString("width", "64");
+            writer.WriteStartElement("empty");
+            writer.WriteEndElement();
+            writer.WriteStartElement("script");
+            writer.WriteCData("if (a < b) { }");
+            writer.WriteEndElement();
+            writer.WriteStartElement("m", "map", "urn:maps");
+            writer.WriteAttributeString("tiles", "urn:maps", "16");
+            writer.WriteElementString("layer", "urn:maps", "ground");
+            writer.WriteEndElement();
+            writer.WriteStartElement("text");
+            writer.WriteString("a < b");
+            writer.WriteElementString("b", "bold");
+            writer.WriteEndElement();
+            writer.WriteEndDocument();
+        }
+
+        Console.WriteLine(sb.ToString());
+
+        settings = new XmlWriterSettings();
+        settings.OmitXmlDeclaration = true;
+
+        using (var stream = new MemoryStream()) {
+            using (var writer = XmlWriter.Create(stream, settings)) {
+                writer.WriteStartElement("score");
+                writer.WriteValue(12.5);
+                writer.WriteEndElement();
+            }
+
+            Console.WriteLine("{0}", stream.ToArray().Length);
+        }
+
+        try {
+            using (var writer = XmlWriter.Create(new StringBuilder())) {
+                writer.WriteElementString("a", "1");
+                writer.WriteElementString("b", "2");
+            }
+        } catch (InvalidOperationException) {
+            Console.WriteLine("second root rejected");
+        }
+    }
+}
@@ -53,24 +53,24 @@ namespace JSIL.Tests {
         }
 
         public static Assembly CompileCS (
-            IEnumerable<string> filenames, string assemblyName
+            IEnumerable<string> filenames, string assemblyName, IEnumerable<string> references = null
         ) {
             return Compile(
                 () => new CSharpCodeProvider(new Dictionary<string, string>() { 
                     { "CompilerVersion", "v4.0" } 
                 }),
-                filenames, assemblyName
+                filenames, assemblyName, references
             );
         }
 
         public static Assembly CompileVB (
-            IEnumerable<string> filenames, string assemblyName
+            IEnumerable<string> filenames, string assemblyName, IEnumerable<string> references = null
         ) {
             return Compile(
                 () => new VBCodeProvider(new Dictionary<string, string>() { 
                     { "CompilerVersion", "v4.0" } 
                 }), 
-                filenames, assemblyName
+                filenames, assemblyName, references
             );
         }
 
@@ -115,7 +115,8 @@ namespace JSIL.Tests {
         }
 
         private static Assembly Compile (
-            Func<CodeDomProvider> getProvider, IEnumerable<string> filenames, string assemblyName
+            Func<CodeDomProvider> getProvider, IEnumerable<string> filenames, string assemblyName,
+            IEnumerable<string> references
         ) {
             var tempPath = Path.Combine(TempPath, assemblyName);
             Directory.CreateDirectory(tempPath);
@@ -142,10 +143,10 @@ namespace JSIL.Tests {
 
             var parameters = new CompilerParameters(new[] {
                 "mscorlib.dll", "System.dll", 
-                "System.Core.dll", "System.Xml.dll", 
+                "System.Core.dll", "System.Xml.dll", "System.Xml.Linq.dll", 
                 "Microsoft.CSharp.dll",
                 typeof(JSIL.Meta.JSIgnore).Assembly.Location
-            }) {
+            }.Concat(references ?? new string[0]).ToArray()) {
                 CompilerOptions = "/unsafe",
                 GenerateExecutable = false,
                 GenerateInMemory = false,
@@ -183,7 +184,7 @@ namespace JSIL.Tests {
 
         public static readonly string TestSourceFolder;
         public static readonly string JSShellPath;
-        public static readonly string CoreJSPath, BootstrapJSPath, XMLJSPath;
+        public static readonly string CoreJSPath, BootstrapJSPath, IOJSPath, XMLJSPath, JSONJSPath, XNACoreJSPath;
 
         public readonly TypeInfoProvider TypeInfo;
         public readonly AssemblyCache AssemblyCache;
@@ -201,7 +202,10 @@ namespace JSIL.Tests {
             JSShellPath = Path.GetFullPath(Path.Combine(assemblyPath, @"..\Upstream\SpiderMonkey\js.exe"));
             CoreJSPath = Path.GetFullPath(Path.Combine(TestSourceFolder, @"..\Libraries\JSIL.Core.js"));
             BootstrapJSPath = Path.GetFullPath(Path.Combine(TestSourceFolder, @"..\Libraries\JSIL.Bootstrap.js"));
+            IOJSPath = Path.GetFullPath(Path.Combine(TestSourceFolder, @"..\Libraries\JSIL.IO.js"));
             XMLJSPath = Path.GetFullPath(Path.Combine(TestSourceFolder, @"..\Libraries\JSIL.XML.js"));
+            JSONJSPath = Path.GetFullPath(Path.Combine(TestSourceFolder, @"..\Libraries\JSIL.JSON.js"));
+            XNACoreJSPath = Path.GetFullPath(Path.Combine(TestSourceFolder, @"..\Libraries\JSIL.XNACore.js"));
         }
 
         public static string MapSourceFileToTestFile (string sourceFile) {
@@ -213,7 +217,8 @@ namespace JSIL.Tests {
         public ComparisonTest (
             EvaluatorPool pool, 
             string filename, string[] stubbedAssemblies = null, 
-            TypeInfoProvider typeInfo = null, AssemblyCache assemblyCache = null
+            TypeInfoProvider typeInfo = null, AssemblyCache assemblyCache = null,
+            IEnumerable<string> references = null
         ) : this (
                 pool,
                 new[] { filename }, 
@@ -221,7 +226,7 @@ namespace JSIL.Tests {
                     TestSourceFolder,
                     MapSourceFileToTestFile(filename)
                 ), 
-                stubbedAssemblies, typeInfo, assemblyCache
+                stubbedAssemblies, typeInfo, assemblyCache, references
             ) {
         }
 
@@ -229,7 +234,7 @@ namespace JSIL.Tests {
             EvaluatorPool pool,
             IEnumerable<string> filenames, string outputPath, 
             string[] stubbedAssemblies = null, TypeInfoProvider typeInfo = null,
-            AssemblyCache assemblyCache = null
+            AssemblyCache assemblyCache = null, IEnumerable<string> references = null
         ) {
             var started = DateTime.UtcNow.Ticks;
             OutputPath = outputPath;
@@ -249,10 +254,10 @@ namespace JSIL.Tests {
 
             switch (extensions[0]) {
                 case ".cs":
-                    Assembly = CompilerUtil.CompileCS(absoluteFilenames, assemblyName);
+                    Assembly = CompilerUtil.CompileCS(absoluteFilenames, assemblyName, references);
                     break;
                 case ".vb":
-                    Assembly = CompilerUtil.CompileVB(absoluteFilenames, assemblyName);
+                    Assembly = CompilerUtil.CompileVB(absoluteFilenames, assemblyName, references);
                     break;
                 case ".exe":
                 case ".dll":
@@ -559,17 +564,31 @@ namespace JSIL.Tests {
             private set;
         }
 
+        // The libraries loaded into each evaluator before a test runs, in load order.
+        protected virtual IEnumerable<string> LibraryPaths {
+            get {
+                return new[] {
+                    ComparisonTest.CoreJSPath, ComparisonTest.BootstrapJSPath, ComparisonTest.IOJSPath,
+                    ComparisonTest.XMLJSPath, ComparisonTest.JSONJSPath
+                };
+            }
+        }
+
+        // The assemblies the test sources reference in addition to the framework assemblies.
+        protected virtual IEnumerable<string> References {
+            get {
+                return new string[0];
+            }
+        }
+
         [TestFixtureSetUp]
         public void FixtureSetUp () {
+            var libraries = String.Join(", ", (from path in LibraryPaths select Util.EscapeString(path)).ToArray());
+
             EvaluatorPool = new EvaluatorPool(
                 ComparisonTest.JSShellPath, "",
                 (e) =>
-                    e.WriteInput(
-                        "load({0}, {1}, {2});",
-                        Util.EscapeString(ComparisonTest.CoreJSPath),
-                        Util.EscapeString(ComparisonTest.BootstrapJSPath),
-                        Util.EscapeString(ComparisonTest.XMLJSPath)
-                    )
+                    e.WriteInput("load({0});", libraries)
             );
         }
 
@@ -586,7 +605,7 @@ namespace JSIL.Tests {
             return new ComparisonTest(
                 EvaluatorPool, 
                 filename, stubbedAssemblies, 
-                typeInfo, assemblyCache
+                typeInfo, assemblyCache, References
             );
         }
 
@@ -695,7 +714,7 @@ namespace JSIL.Tests {
                             ComparisonTest.TestSourceFolder,
                             ComparisonTest.MapSourceFileToTestFile(filename)
                         ),
-                        stubbedAssemblies, typeInfo, asmCache)
+                        stubbedAssemblies, typeInfo, asmCache, References)
                     ) {
                         if (shouldRunJs) {
                             test.Run();
@@ -0,0 +1,37 @@
+using System;
+
+public static class Program {
+    public static void Main (string[] args) {
+        const string xml = "<?xml version=\"1.0\"?><!-- comment --><?pi data?>" + 
+            "<root xmlns=\"urn:default\" xmlns:p=\"urn:p\" p:attr=\"a &amp; b\">" + 
+            "<![CDATA[<not markup>]]>&lt;&#65;&#x42;&gt;<p:child /></root>";
+
+        var xr = Common.ReaderFromString(xml);
+
+        while (xr.Read()) {
+            Console.WriteLine(
+                "{0} '{1}' '{2}' '{3}' {4}",
+                xr.NodeType.ToString(), xr.Name, xr.NamespaceURI, xr.Value, xr.Depth
+            );
+
+            if (xr.MoveToFirstAttribute()) {
+                do {
+                    Console.WriteLine(
+                        "  {0} '{1}' '{2}' '{3}'",
+                        xr.NodeType.ToString(), xr.LocalName, xr.NamespaceURI, xr.Value
+                    );
+                } while (xr.MoveToNextAttribute());
+
+                xr.MoveToElement();
+            }
+        }
+
+        try {
+            var bad = Common.ReaderFromString("<a><b></a>");
+            while (bad.Read())
+                ;
+        } catch (System.Xml.XmlException) {
+            Console.WriteLine("XmlException");
+        }
+    }
+}
\ No newline at end of file
@@ -14,28 +14,11 @@ namespace JSIL.Tests {
     public class XMLTests : GenericTestFixture {
         [Test]
         public void AllXMLTests () {
-            Console.WriteLine("// Spidermonkey has no DOMParser so this test only generates the .js files.");
-            Console.WriteLine("// To run the .js files, click a link below.");
-            Console.WriteLine();
-
             var typeInfo = MakeDefaultProvider();
             var testPath = Path.GetFullPath(Path.Combine(ComparisonTest.TestSourceFolder, "XMLTestCases"));
             var xmlTests = Directory.GetFiles(testPath, "*.cs").Concat(Directory.GetFiles(testPath, "*.vb")).ToArray();
 
-            try {
-                RunComparisonTests(
-                    xmlTests, null, typeInfo,
-                    (testFile) => {
-                        Console.WriteLine(ComparisonTest.GetTestRunnerLink(testFile));
-
-                        return false;
-                    },
-                    (csharpOutput, js) =>
-                        Console.WriteLine(csharpOutput)
-                );
-            } catch (Exception exc) {
-                Console.WriteLine(exc.Message);
-            }
+            RunComparisonTests(xmlTests, null, typeInfo);
         }
     }
 }
@@ -0,0 +1,267 @@
+using System;
+using System.Collections.Generic;
+using JSIL;
+using Microsoft.Xna.Framework;
+
+public static class Program {
+    // Creates a device, without running its constructor, whose context is a mock WebGL context. The mock
+    //  reports every uniform BasicEffect can use as active, and records the values uploaded to them by name.
+    //  programOf returns the key of the program the effect selects, followed by the defines of its vertex shader.
+    const string Setup =
+        "var xna = Microsoft.Xna.Framework, graphics = xna.Graphics; " +
+        "var uniforms = {}; " +
+        "var uniformNames = [" +
+        "  'WorldViewProj', 'World', 'WorldInverseTranspose', 'EyePosition', 'DiffuseColor', 'EmissiveColor', " +
+        "  'SpecularColor', 'SpecularPower', 'DirLightDirection[0]', 'DirLightDiffuseColor[0]', " +
+        "  'DirLightSpecularColor[0]', 'FogVector', 'FogColor', 'Texture'" +
+        "]; " +
+        "var noop = function () { }; " +
+        "var gl = { " +
+        "  isWebGL: true, ACTIVE_ATTRIBUTES: 'ACTIVE_ATTRIBUTES', ACTIVE_UNIFORMS: 'ACTIVE_UNIFORMS', " +
+        "  VERTEX_SHADER: 'VERTEX_SHADER', FRAGMENT_SHADER: 'FRAGMENT_SHADER', " +
+        "  createShader: function (type) { return { type: type }; }, " +
+        "  shaderSource: function (shader, source) { shader.source = source; }, " +
+        "  getShaderParameter: function () { return true; }, " +
+        "  createProgram: function () { return { shaders: [] }; }, " +
+        "  attachShader: function (program, shader) { program.shaders.push(shader); }, " +
+        "  getProgramParameter: function (program, name) { " +
+        "    return (name === 'ACTIVE_UNIFORMS') ? uniformNames.length : (name === 'ACTIVE_ATTRIBUTES') ? 0 : true; " +
+        "  }, " +
+        "  getActiveUniform: function (program, index) { return { name: uniformNames[index] }; }, " +
+        "  getUniformLocation: function (program, name) { return name.replace('[0]', ''); }, " +
+        "  compileShader: noop, bindAttribLocation: noop, linkProgram: noop, useProgram: noop, " +
+        "  uniform1f: function (location, x) { uniforms[location] = [x]; }, " +
+        "  uniform3f: function (location, x, y, z) { uniforms[location] = [x, y, z]; }, " +
+        "  uniform4f: function (location, x, y, z, w) { uniforms[location] = [x, y, z, w]; }, " +
+        "  uniform3fv: function (location, value) { uniforms[location] = Array.prototype.slice.call(value); }, " +
+        "  uniformMatrix3fv: function (location, transpose, value) { uniforms[location] = Array.prototype.slice.call(value); }, " +
+        "  uniformMatrix4fv: function (location, transpose, value) { uniforms[location] = Array.prototype.slice.call(value); } " +
+        "}; " +
+        "var device = JSIL.CreateInstanceOfType(graphics.GraphicsDevice.__Type__, null); " +
+        "device.context = gl; " +
+        "device.shaderPrograms = {}; " +
+        "device.shaderProgram = null; " +
+        "var effect = new graphics.BasicEffect(device); " +
+        "var apply = function () { effect.get_CurrentTechnique().get_Passes().get_Item(0).Apply(); }; " +
+        "var programOf = function () { " +
+        "  var program = effect.$getShaderProgram(device); " +
+        "  var key = Object.keys(device.shaderPrograms).filter(function (key) { " +
+        "    return device.shaderPrograms[key] === program; " +
+        "  })[0]; " +
+        "  var defines = program.program.shaders[0].source.split('\\n').filter(function (line) { " +
+        "    return line.indexOf('#define') === 0; " +
+        "  }); " +
+        "  return [key].concat(defines).join(' / '); " +
+        "}; " +
+        "var setMaterial = function () { " +
+        "  effect.set_DiffuseColor(new xna.Vector3(0.5, 0.25, 1)); " +
+        "  effect.set_EmissiveColor(new xna.Vector3(0.1, 0.2, 0.3)); " +
+        "  effect.set_AmbientLightColor(new xna.Vector3(0.2, 0.4, 0.5)); " +
+        "  effect.set_Alpha(0.5); " +
+        "}; ";
+
+    public static void Main (string[] args) {
+        // The values expected from the mock are computed the way BasicEffect computes them in XNA, from the
+        //  material that setMaterial applies.
+        var diffuse = new Vector3(0.5f, 0.25f, 1);
+        var emissive = new Vector3(0.1f, 0.2f, 0.3f);
+        var ambient = new Vector3(0.2f, 0.4f, 0.5f);
+        var alpha = 0.5f;
+
+        var worldView = Matrix.CreateScale(2) * Matrix.CreateLookAt(new Vector3(0, 0, 50), Vector3.Zero, Vector3.Up);
+        var fogStart = 10f;
+        var fogScale = 1 / (fogStart - 110);
+
+        // The ambient light and the three directional lights that EnableDefaultLighting sets up in XNA.
+        var defaultAmbient = new Vector3(0.05333332f, 0.09882354f, 0.1819608f);
+        var defaultDirections = new[] {
+            new Vector3(-0.5265408f, -0.5735765f, -0.6275069f),
+            new Vector3(0.7198464f, 0.3420201f, 0.6040227f),
+            new Vector3(0.4545195f, -0.7660444f, 0.4545195f)
+        };
+        var defaultDiffuseColors = new[] {
+            new Vector3(1, 0.9607844f, 0.8078432f),
+            new Vector3(0.9647059f, 0.7607844f, 0.4078432f),
+            new Vector3(0.3231373f, 0.3607844f, 0.3937255f)
+        };
+        var defaultSpecularColors = new[] { defaultDiffuseColors[0], Vector3.Zero, defaultDiffuseColors[2] };
+
+        Common.Print(
+            "EmissiveColor with lighting",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "setMaterial(); effect.set_LightingEnabled(true); apply(); " +
+                "return uniforms.EmissiveColor; })()"
+            ),
+            Uniform((emissive + (ambient * diffuse)) * alpha)
+        );
+        Common.Print(
+            "DiffuseColor with lighting",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "setMaterial(); effect.set_LightingEnabled(true); apply(); " +
+                "return uniforms.DiffuseColor; })()"
+            ),
+            Uniform(diffuse.X * alpha, diffuse.Y * alpha, diffuse.Z * alpha, alpha)
+        );
+        Common.Print(
+            "DiffuseColor without lighting",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "setMaterial(); apply(); " +
+                "return uniforms.DiffuseColor; })()"
+            ),
+            Uniform((diffuse.X + emissive.X) * alpha, (diffuse.Y + emissive.Y) * alpha, (diffuse.Z + emissive.Z) * alpha, alpha)
+        );
+        Common.Print(
+            "FogVector",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "effect.set_FogEnabled(true); effect.set_FogStart(10); effect.set_FogEnd(110); " +
+                "effect.set_World(xna.Matrix.CreateScale(2)); " +
+                "effect.set_View(xna.Matrix.CreateLookAt(new xna.Vector3(0, 0, 50), xna.Vector3.get_Zero(), xna.Vector3.get_Up())); " +
+                "apply(); " +
+                "return uniforms.FogVector; })()"
+            ),
+            Uniform(
+                worldView.M13 * fogScale, worldView.M23 * fogScale, worldView.M33 * fogScale, (worldView.M43 + fogStart) * fogScale
+            )
+        );
+        Common.Print(
+            "FogVector with equal start and end",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "effect.set_FogEnabled(true); effect.set_FogStart(20); effect.set_FogEnd(20); apply(); " +
+                "return uniforms.FogVector; })()"
+            ),
+            Uniform(0, 0, 0, 1)
+        );
+        Common.Print(
+            "EnableDefaultLighting AmbientLightColor",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "effect.EnableDefaultLighting(); " +
+                "return effect.get_AmbientLightColor(); })()"
+            ),
+            Common.Format(defaultAmbient)
+        );
+        Common.Print(
+            "EnableDefaultLighting EmissiveColor",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "effect.EnableDefaultLighting(); apply(); " +
+                "return uniforms.EmissiveColor; })()"
+            ),
+            Uniform(defaultAmbient)
+        );
+        Common.Print(
+            "EnableDefaultLighting DirLightDirection",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "effect.EnableDefaultLighting(); apply(); " +
+                "return uniforms.DirLightDirection; })()"
+            ),
+            Uniform(defaultDirections)
+        );
+        Common.Print(
+            "EnableDefaultLighting DirLightDiffuseColor",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "effect.EnableDefaultLighting(); apply(); " +
+                "return uniforms.DirLightDiffuseColor; })()"
+            ),
+            Uniform(defaultDiffuseColors)
+        );
+        Common.Print(
+            "EnableDefaultLighting DirLightSpecularColor",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "effect.EnableDefaultLighting(); apply(); " +
+                "return uniforms.DirLightSpecularColor; })()"
+            ),
+            Uniform(defaultSpecularColors)
+        );
+        Common.Print(
+            "Disabled light",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "effect.EnableDefaultLighting(); effect.get_DirectionalLight2().set_Enabled(false); apply(); " +
+                "return uniforms.DirLightDiffuseColor; })()"
+            ),
+            Uniform(defaultDiffuseColors[0], defaultDiffuseColors[1], Vector3.Zero)
+        );
+        Common.Print(
+            "Program without lighting",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "return programOf(); })()"
+            ),
+            "BasicEffect:0:0:0:0 / #define lighting 0 / #define vertexColorEnabled 0 / " +
+            "#define textureEnabled 0 / #define fogEnabled 0"
+        );
+        Common.Print(
+            "Program with vertex lighting",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "effect.set_LightingEnabled(true); " +
+                "return programOf(); })()"
+            ),
+            "BasicEffect:1:0:0:0 / #define lighting 1 / #define vertexColorEnabled 0 / " +
+            "#define textureEnabled 0 / #define fogEnabled 0"
+        );
+        Common.Print(
+            "Program with per-pixel lighting",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "effect.set_LightingEnabled(true); effect.set_PreferPerPixelLighting(true); " +
+                "return programOf(); })()"
+            ),
+            "BasicEffect:2:0:0:0 / #define lighting 2 / #define vertexColorEnabled 0 / " +
+            "#define textureEnabled 0 / #define fogEnabled 0"
+        );
+        Common.Print(
+            "Program with vertex colors and fog",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "effect.set_VertexColorEnabled(true); effect.set_FogEnabled(true); " +
+                "return programOf(); })()"
+            ),
+            "BasicEffect:0:1:0:1 / #define lighting 0 / #define vertexColorEnabled 1 / " +
+            "#define textureEnabled 0 / #define fogEnabled 1"
+        );
+        Common.Print(
+            "Apply sets the device program",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "apply(); " +
+                "return device.shaderProgram === effect.$getShaderProgram(device); })()"
+            ),
+            "true"
+        );
+        Common.Print(
+            "Apply without WebGL",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "device.context = {}; apply(); " +
+                "return device.shaderProgram; })()"
+            ),
+            "null"
+        );
+    }
+    // Formats values the way Common.Format formats the array uploaded to a uniform.
+    public static string Uniform (params float[] values) {
+        var items = new List<string>();
+        foreach (var value in values)
+            items.Add(Common.Format(value));
+
+        return String.Join(", ", items.ToArray());
+    }
+
+    public static string Uniform (params Vector3[] vectors) {
+        var values = new List<float>();
+        foreach (var vector in vectors)
+            values.AddRange(new[] { vector.X, vector.Y, vector.Z });
+
+        return Uniform(values.ToArray());
+    }
+}
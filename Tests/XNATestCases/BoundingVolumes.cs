@@ -0,0 +1,45 @@
+using System;
+using Microsoft.Xna.Framework;
+
+public static class Program {
+    public static void Main (string[] args) {
+        var ground = new Plane(Vector3.Up, 0);
+        var unitSphere = new BoundingSphere(Vector3.Zero, 1);
+        var unitBox = new BoundingBox(new Vector3(-1, -1, -1), new Vector3(1, 1, 1));
+        var forward = new Ray(new Vector3(0, 0, -10), new Vector3(0, 0, 1));
+
+        Common.Print("Plane from points", new Plane(Vector3.Zero, new Vector3(0, 0, 1), new Vector3(1, 0, 0)));
+        Common.Print("Plane.DotCoordinate", new Plane(Vector3.Up, -5).DotCoordinate(new Vector3(1, 7, 3)));
+        Common.Print("Plane.Intersects in front", ground.Intersects(new BoundingSphere(new Vector3(0, 2, 0), 1)).ToString());
+        Common.Print("Plane.Intersects across", ground.Intersects(unitSphere).ToString());
+        Common.Print("Plane.Intersects behind", ground.Intersects(new BoundingSphere(new Vector3(0, -5, 0), 1)).ToString());
+        Common.Print("Ray.Intersects sphere", forward.Intersects(unitSphere));
+        Common.Print("Ray.Intersects box", forward.Intersects(unitBox));
+        Common.Print("Ray.Intersects plane", forward.Intersects(new Plane(new Vector3(0, 0, 1), -5)));
+        Common.Print("Ray.Intersects miss", new Ray(new Vector3(0, 5, -10), new Vector3(0, 0, 1)).Intersects(unitSphere));
+        Common.Print(
+            "BoundingBox.CreateFromPoints",
+            BoundingBox.CreateFromPoints(new[] { new Vector3(1, 2, 3), new Vector3(-1, 0, 5), new Vector3(0, 4, -2) })
+        );
+        Common.Print("BoundingBox.Contains point", unitBox.Contains(Vector3.Zero).ToString());
+        Common.Print("BoundingBox.Contains outside point", unitBox.Contains(new Vector3(5, 0, 0)).ToString());
+        Common.Print("BoundingBox.Contains box", unitBox.Contains(new BoundingBox(Vector3.Zero, new Vector3(2, 2, 2))).ToString());
+        Common.Print("BoundingBox.Contains sphere", unitBox.Contains(new BoundingSphere(Vector3.Zero, 0.5f)).ToString());
+        Common.Print("BoundingSphere.CreateMerged", BoundingSphere.CreateMerged(unitSphere, new BoundingSphere(new Vector3(4, 0, 0), 1)));
+        Common.Print("BoundingSphere.CreateFromBoundingBox", BoundingSphere.CreateFromBoundingBox(unitBox));
+
+        var frustum = new BoundingFrustum(
+            Matrix.CreateLookAt(new Vector3(0, 0, 10), Vector3.Zero, Vector3.Up) *
+            Matrix.CreatePerspectiveFieldOfView((float)(Math.PI / 2), 1, 1, 100)
+        );
+
+        Common.Print("BoundingFrustum.Contains point", frustum.Contains(Vector3.Zero).ToString());
+        Common.Print("BoundingFrustum.Contains point behind", frustum.Contains(new Vector3(0, 0, 20)).ToString());
+        Common.Print(
+            "BoundingFrustum.Contains box",
+            frustum.Contains(new BoundingBox(new Vector3(-1, -1, 8.5f), new Vector3(1, 1, 9.5f))).ToString()
+        );
+        Common.Print("BoundingFrustum.Intersects sphere", frustum.Intersects(unitSphere));
+        Common.Print("BoundingFrustum.Intersects distant sphere", frustum.Intersects(new BoundingSphere(new Vector3(50, 0, 0), 1)));
+    }
+}
@@ -0,0 +1,127 @@
+using System;
+using System.Globalization;
+using JSIL;
+using Microsoft.Xna.Framework;
+
+public static class Common {
+    public static void Print (string label, string text) {
+        Console.WriteLine("{0}: {1}", label, text);
+    }
+
+    public static void Print (string label, bool value) {
+        Console.WriteLine("{0}: {1}", label, value ? "true" : "false");
+    }
+
+    public static void Print (string label, float value) {
+        Console.WriteLine("{0}: {1}", label, Format(value));
+    }
+
+    public static void Print (string label, float? value) {
+        Console.WriteLine("{0}: {1}", label, value.HasValue ? Format(value.Value) : "null");
+    }
+
+    public static void Print (string label, Vector3 value) {
+        Console.WriteLine("{0}: {1}", label, Format(value));
+    }
+
+    public static void Print (string label, Matrix value) {
+        Console.WriteLine("{0}: {1}", label, Format(value));
+    }
+
+    public static void Print (string label, Quaternion value) {
+        Console.WriteLine("{0}: {1}", label, Format(value));
+    }
+
+    public static void Print (string label, Plane value) {
+        Console.WriteLine("{0}: {1}", label, Format(value));
+    }
+
+    public static void Print (string label, BoundingBox value) {
+        Console.WriteLine("{0}: {1}", label, Format(value));
+    }
+
+    public static void Print (string label, BoundingSphere value) {
+        Console.WriteLine("{0}: {1}", label, Format(value));
+    }
+
+    // Formats numbers to three places so that the single precision results of XNA match the double precision
+    //  results of the externals.
+    public static string Format (float value) {
+        var text = value.ToString("F3", CultureInfo.InvariantCulture);
+
+        // A tiny negative value rounds to zero but keeps its sign.
+        return (text == "-0.000") ? "0.000" : text;
+    }
+
+    public static string Format (Vector3 value) {
+        return String.Join(" ", Format(value.X), Format(value.Y), Format(value.Z));
+    }
+
+    public static string Format (Matrix value) {
+        return String.Join(
+            " ",
+            Format(value.M11), Format(value.M12), Format(value.M13), Format(value.M14),
+            Format(value.M21), Format(value.M22), Format(value.M23), Format(value.M24),
+            Format(value.M31), Format(value.M32), Format(value.M33), Format(value.M34),
+            Format(value.M41), Format(value.M42), Format(value.M43), Format(value.M44)
+        );
+    }
+
+    public static string Format (Quaternion value) {
+        return String.Join(" ", Format(value.X), Format(value.Y), Format(value.Z), Format(value.W));
+    }
+
+    public static string Format (Plane value) {
+        return String.Join(" ", Format(value.Normal), Format(value.D));
+    }
+
+    public static string Format (BoundingBox value) {
+        return String.Join(" ", Format(value.Min), Format(value.Max));
+    }
+
+    public static string Format (BoundingSphere value) {
+        return String.Join(" ", Format(value.Center), Format(value.Radius));
+    }
+
+    // Prints a value computed by a verbatim call into the XNA externals. When running as C#, the value is null
+    //  and the value that XNA computes is printed instead.
+    public static void Print (string label, object value, string expected) {
+        Console.WriteLine("{0}: {1}", label, Format(value) ?? expected);
+    }
+
+    // Formats numbers, vectors, matrices and bounding volumes like the overloads above, and formats arrays as
+    //  the comma separated list of their items.
+    public static string Format (object value) {
+        return (string)Verbatim.Expression(@"(function format (value) {
+            var components = {
+                'Microsoft.Xna.Framework.Vector3': ['X', 'Y', 'Z'],
+                'Microsoft.Xna.Framework.Quaternion': ['X', 'Y', 'Z', 'W'],
+                'Microsoft.Xna.Framework.Matrix': [
+                    'M11', 'M12', 'M13', 'M14', 'M21', 'M22', 'M23', 'M24',
+                    'M31', 'M32', 'M33', 'M34', 'M41', 'M42', 'M43', 'M44'
+                ],
+                'Microsoft.Xna.Framework.Plane': ['Normal', 'D'],
+                'Microsoft.Xna.Framework.Ray': ['Position', 'Direction'],
+                'Microsoft.Xna.Framework.BoundingBox': ['Min', 'Max'],
+                'Microsoft.Xna.Framework.BoundingSphere': ['Center', 'Radius']
+            };
+
+            if (value === null)
+                return 'null';
+            else if (typeof (value) === 'number')
+                return (Math.round(value * 1000) / 1000).toFixed(3);
+            else if (typeof (value) === 'boolean')
+                return String(value);
+            else if (JSIL.IsArray(value))
+                return value.map(format).join(', ');
+
+            var names = components[JSIL.GetTypeName(value)];
+            if (!names)
+                return String(value);
+
+            return names.map(function (name) {
+                return format(value[name]);
+            }).join(' ');
+        })(value)");
+    }
+}
@@ -0,0 +1,187 @@
+using System;
+using JSIL;
+using Microsoft.Xna.Framework;
+using Microsoft.Xna.Framework.Graphics;
+
+public static class Program {
+    // Declares the helpers each expression below uses. The device is created without running its constructor
+    //  and given a stand-in for a canvas 2D context, so the draw calls take the path used without WebGL.
+    const string Setup =
+        "var xna = Microsoft.Xna.Framework, graphics = xna.Graphics; " +
+        "var device = JSIL.CreateInstanceOfType(graphics.GraphicsDevice.__Type__, null); " +
+        "device.context = {}; " +
+        "var element = function (offset, format, usage) { " +
+        "  return new graphics.VertexElement(offset, graphics.VertexElementFormat[format], graphics.VertexElementUsage[usage], 0); " +
+        "}; " +
+        "var positions = new graphics.VertexDeclaration([element(0, 'Vector3', 'Position')]); " +
+        "var vertices = new graphics.VertexBuffer(device, positions, 4, graphics.BufferUsage.WriteOnly); " +
+        "var data = [new xna.Vector3(1, 2, 3), new xna.Vector3(4, 5, 6), new xna.Vector3(7, 8, 9)]; " +
+        "var attempt = function (f, withMessage) { " +
+        "  try { f(); return 'no exception'; } " +
+        "  catch (e) { return JSIL.GetTypeName(e) + (withMessage ? ': ' + e.get_Message() : ''); } " +
+        "}; ";
+
+    public static void Main (string[] args) {
+        Common.Print(
+            "VertexStride of packed elements",
+            new VertexDeclaration(
+                Element(0, VertexElementFormat.Vector3, VertexElementUsage.Position),
+                Element(12, VertexElementFormat.Color, VertexElementUsage.Color),
+                Element(16, VertexElementFormat.Vector2, VertexElementUsage.TextureCoordinate)
+            ).VertexStride
+        );
+        Common.Print(
+            "VertexStride of unordered elements",
+            new VertexDeclaration(
+                Element(20, VertexElementFormat.Vector2, VertexElementUsage.TextureCoordinate),
+                Element(0, VertexElementFormat.Vector4, VertexElementUsage.Position)
+            ).VertexStride
+        );
+        Common.Print(
+            "VertexStride given explicitly",
+            new VertexDeclaration(32, Element(0, VertexElementFormat.Vector3, VertexElementUsage.Position)).VertexStride
+        );
+
+        try {
+            new VertexDeclaration(8, Element(0, VertexElementFormat.Vector3, VertexElementUsage.Position));
+            Common.Print("VertexStride smaller than the elements", "no exception");
+        } catch (ArgumentException) {
+            // Only the base class is compared, since XNA does not document which ArgumentException it throws.
+            Common.Print("VertexStride smaller than the elements", "ArgumentException");
+        }
+
+        // The buffers need a device, so they are only created by the externals. The values they are expected to
+        //  return are the ones written to them, which are the same as the data in Setup.
+        var data = new[] { new Vector3(1, 2, 3), new Vector3(4, 5, 6), new Vector3(7, 8, 9) };
+
+        Common.Print(
+            "VertexBuffer round trip",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "vertices.SetData(xna.Vector3)(data); " +
+                "var result = new Array(3); " +
+                "vertices.GetData(xna.Vector3)(result); " +
+                "return result; })()"
+            ),
+            String.Join(", ", Common.Format(data[0]), Common.Format(data[1]), Common.Format(data[2]))
+        );
+        Common.Print(
+            "VertexBuffer range",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "vertices.SetData(xna.Vector3)(data, 1, 2); " +
+                "var result = [null, null, null]; " +
+                "vertices.GetData(xna.Vector3)(result, 1, 1); " +
+                "return [result[0], result[1], result[2]]; })()"
+            ),
+            "null, " + Common.Format(data[1]) + ", null"
+        );
+        Common.Print(
+            "VertexBuffer round trip with a stride",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "vertices.SetData(xna.Vector3)(4, data, 1, 2, 20); " +
+                "var result = new Array(2); " +
+                "vertices.GetData(xna.Vector3)(4, result, 0, 2, 20); " +
+                "return result; })()"
+            ),
+            Common.Format(data[1]) + ", " + Common.Format(data[2])
+        );
+        Common.Print(
+            "VertexBuffer stride places elements",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "vertices.SetData(xna.Vector3)(4, data, 1, 2, 20); " +
+                "var result = new Array(1); " +
+                "vertices.GetData(xna.Vector3)(24, result, 0, 1, 0); " +
+                "return result; })()"
+            ),
+            Common.Format(data[2])
+        );
+        Common.Print(
+            "IndexBuffer 16-bit round trip",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "var indices = new graphics.IndexBuffer(device, graphics.IndexElementSize.SixteenBits, 4, graphics.BufferUsage.None); " +
+                "indices.SetData(System.Int16)([0, 1, -2, 32767]); " +
+                "var result = new Array(4); " +
+                "indices.GetData(System.Int16)(result); " +
+                "return result; })()"
+            ),
+            String.Join(", ", Common.Format(0), Common.Format(1), Common.Format(-2), Common.Format(short.MaxValue))
+        );
+        Common.Print(
+            "IndexBuffer 32-bit at an offset",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "var indices = new graphics.IndexBuffer(device, graphics.IndexElementSize.ThirtyTwoBits, 4, graphics.BufferUsage.None); " +
+                "indices.SetData(System.Int32)(4, [70000, 5], 0, 2); " +
+                "var result = new Array(4); " +
+                "indices.GetData(System.Int32)(result); " +
+                "return result; })()"
+            ),
+            String.Join(", ", Common.Format(0), Common.Format(70000), Common.Format(5), Common.Format(0))
+        );
+        Common.Print(
+            "SetData past the end of the array",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "return attempt(function () { vertices.SetData(xna.Vector3)(data, 2, 2); }); })()"
+            ),
+            "System.ArgumentOutOfRangeException"
+        );
+        Common.Print(
+            "SetData past the end of the buffer",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "return attempt(function () { vertices.SetData(xna.Vector3)(40, data, 0, 1, 12); }); })()"
+            ),
+            "System.ArgumentOutOfRangeException"
+        );
+        Common.Print(
+            "GetData past the end of the buffer",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "return attempt(function () { vertices.GetData(xna.Vector3)(0, new Array(3), 0, 3, 20); }); })()"
+            ),
+            "System.ArgumentOutOfRangeException"
+        );
+        Common.Print(
+            "SetData with a stride smaller than the data",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "return attempt(function () { vertices.SetData(xna.Vector3)(0, data, 0, 2, 8); }); })()"
+            ),
+            "System.ArgumentOutOfRangeException"
+        );
+        Common.Print(
+            "SetData without data",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "return attempt(function () { vertices.SetData(xna.Vector3)(0, null, 0, 0, 12); }); })()"
+            ),
+            "System.ArgumentNullException"
+        );
+        Common.Print(
+            "DrawPrimitives without WebGL",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "return attempt(function () { device.DrawPrimitives(graphics.PrimitiveType.TriangleList, 0, 1); }, true); })()"
+            ),
+            "System.NotSupportedException: DrawPrimitives requires WebGL. " +
+            "The HTML5 canvas renderer, which is also used for render targets, only supports 2D drawing."
+        );
+        Common.Print(
+            "DrawIndexedPrimitives without WebGL",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "return attempt(function () { device.DrawIndexedPrimitives(graphics.PrimitiveType.TriangleList, 0, 0, 3, 0, 1); }, true); })()"
+            ),
+            "System.NotSupportedException: DrawIndexedPrimitives requires WebGL. " +
+            "The HTML5 canvas renderer, which is also used for render targets, only supports 2D drawing."
+        );
+    }
+    public static VertexElement Element (int offset, VertexElementFormat format, VertexElementUsage usage) {
+        return new VertexElement(offset, format, usage, 0);
+    }
+}
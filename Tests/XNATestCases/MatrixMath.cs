@@ -0,0 +1,29 @@
+using System;
+using Microsoft.Xna.Framework;
+
+public static class Program {
+    public static void Main (string[] args) {
+        var quarterTurn = (float)(Math.PI / 2);
+
+        Common.Print("Identity", Matrix.Identity);
+        Common.Print("CreateLookAt", Matrix.CreateLookAt(new Vector3(10, 0, 0), Vector3.Zero, Vector3.Up));
+        Common.Print("CreatePerspectiveFieldOfView", Matrix.CreatePerspectiveFieldOfView(quarterTurn, 2, 1, 11));
+        Common.Print("CreatePerspectiveOffCenter", Matrix.CreatePerspectiveOffCenter(0, 2, 0, 1, 1, 11));
+        Common.Print("Multiply", Matrix.CreateRotationZ(quarterTurn) * Matrix.CreateTranslation(1, 2, 3));
+        Common.Print("Invert", Matrix.Invert(Matrix.CreateScale(2) * Matrix.CreateTranslation(1, 2, 3)));
+        Common.Print("Transpose", Matrix.Transpose(Matrix.CreateTranslation(1, 2, 3)));
+        Common.Print("Determinant", Matrix.CreateScale(2, 3, 4).Determinant());
+        Common.Print(
+            "CreateFromQuaternion",
+            Matrix.CreateFromQuaternion(Quaternion.CreateFromAxisAngle(Vector3.Up, quarterTurn))
+        );
+        Common.Print("CreateFromAxisAngle", Matrix.CreateFromAxisAngle(Vector3.Right, quarterTurn));
+        Common.Print("CreateWorld", Matrix.CreateWorld(new Vector3(1, 2, 3), Vector3.Right, Vector3.Up));
+        Common.Print("CreateBillboard", Matrix.CreateBillboard(Vector3.Zero, new Vector3(0, 0, 10), Vector3.Up, null));
+        Common.Print("Lerp", Matrix.Lerp(Matrix.Identity, Matrix.CreateScale(3), 0.5f));
+        Common.Print(
+            "Vector3.Transform",
+            Vector3.Transform(Vector3.Right, Matrix.CreateRotationZ(quarterTurn) * Matrix.CreateTranslation(0, 0, 5))
+        );
+    }
+}
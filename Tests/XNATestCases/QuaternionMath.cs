@@ -0,0 +1,21 @@
+using System;
+using Microsoft.Xna.Framework;
+
+public static class Program {
+    public static void Main (string[] args) {
+        var quarterTurn = (float)(Math.PI / 2);
+        var aroundUp = Quaternion.CreateFromAxisAngle(Vector3.Up, quarterTurn);
+
+        Common.Print("CreateFromAxisAngle", aroundUp);
+        Common.Print("CreateFromYawPitchRoll", Quaternion.CreateFromYawPitchRoll(0, quarterTurn, 0));
+        Common.Print("CreateFromRotationMatrix", Quaternion.CreateFromRotationMatrix(Matrix.CreateRotationZ(quarterTurn)));
+        Common.Print("Slerp", Quaternion.Slerp(Quaternion.Identity, aroundUp, 0.5f));
+        Common.Print(
+            "Concatenate",
+            Quaternion.Concatenate(aroundUp, Quaternion.CreateFromAxisAngle(Vector3.Right, quarterTurn))
+        );
+        Common.Print("Multiply", aroundUp * aroundUp);
+        Common.Print("Inverse", Quaternion.Inverse(aroundUp));
+        Common.Print("Vector3.Transform", Vector3.Transform(Vector3.Right, aroundUp));
+    }
+}
@@ -0,0 +1,210 @@
+using System;
+using System.Globalization;
+using JSIL;
+using Microsoft.Xna.Framework;
+
+public static class Program {
+    // Creates a device, without running its constructor, that draws to a canvas 2D context recording the calls
+    //  made to it. Its viewport covers half of the 800x600 canvas, starting at (100, 50).
+    const string Setup =
+        "var xna = Microsoft.Xna.Framework, graphics = xna.Graphics; " +
+        "var log = []; " +
+        "var recorder = function (name) { " +
+        "  var record = function (method) { " +
+        "    return function () { " +
+        "      var args = Array.prototype.map.call(arguments, function (value) { return Math.round(value * 1000) / 1000; }); " +
+        "      log.push(name + '.' + method + '(' + args.join(', ') + ')'); " +
+        "    }; " +
+        "  }; " +
+        "  return { " +
+        "    save: record('save'), restore: record('restore'), setTransform: record('setTransform'), " +
+        "    transform: record('transform'), clearRect: record('clearRect') " +
+        "  }; " +
+        "}; " +
+        "var device = JSIL.CreateInstanceOfType(graphics.GraphicsDevice.__Type__, null); " +
+        "device.canvas = { width: 800, height: 600 }; " +
+        "device.context = recorder('screen'); " +
+        "device.renderTarget = null; " +
+        "device.viewport = { X: 100, Y: 50, Width: 400, Height: 300 }; " +
+        "device.$UpdateViewport(); " +
+        "log.length = 0; " +
+        "var target = { canvas: { width: 256, height: 128 }, context: recorder('target') }; " +
+        "var batch = new graphics.SpriteBatch(device); " +
+        "var matrix = xna.Matrix.op_Multiply(xna.Matrix.op_Multiply(" +
+        "  xna.Matrix.CreateScale(2), xna.Matrix.CreateRotationZ(Math.PI / 2)), xna.Matrix.CreateTranslation(10, 20, 0)); ";
+
+    // Enables webgl-2d on a canvas whose WebGL context is a mock, and returns the 2D context it provides.
+    //  transformOf draws a unit rectangle and returns the transform the vertex shader applies to it, combining
+    //  the transform stack the way the shader does.
+    const string WebGLSetup =
+        "var uniforms = {}; " +
+        "var noop = function () { }; " +
+        "var gl = { " +
+        "  createShader: function () { return {}; }, createProgram: function () { return {}; }, " +
+        "  createBuffer: function () { return {}; }, getShaderParameter: function () { return true; }, " +
+        "  getProgramParameter: function () { return true; }, getParameter: function () { return 4096; }, " +
+        "  getAttribLocation: function () { return 0; }, getUniformLocation: function (program, name) { return name; }, " +
+        "  uniformMatrix3fv: function (location, transpose, value) { uniforms[location] = value; }, " +
+        "  shaderSource: noop, compileShader: noop, attachShader: noop, linkProgram: noop, useProgram: noop, " +
+        "  enableVertexAttribArray: noop, vertexAttribPointer: noop, bindBuffer: noop, bufferData: noop, " +
+        "  viewport: noop, clearColor: noop, clear: noop, colorMask: noop, enable: noop, blendFunc: noop, " +
+        "  uniform4f: noop, drawArrays: noop " +
+        "}; " +
+        "var canvas = { " +
+        "  width: 800, height: 600, " +
+        "  getContext: function (kind) { return (kind === 'experimental-webgl') ? gl : {}; } " +
+        "}; " +
+        "var oldDocument = JSIL.GlobalNamespace.document; " +
+        "JSIL.GlobalNamespace.document = { createElement: function () { return { getContext: function () { return {}; } }; } }; " +
+        "try { " +
+        "  WebGL2D.enable(canvas); " +
+        "  var context = canvas.getContext('webgl-2d'); " +
+        "} finally { " +
+        "  JSIL.GlobalNamespace.document = oldDocument; " +
+        "} " +
+        "var transformOf = function () { " +
+        "  uniforms = {}; " +
+        "  context.fillRect(0, 0, 1, 1); " +
+        "  var apply = function (x, y) { " +
+        "    for (var i = 0; uniforms['uTransforms[' + i + ']']; i++) { " +
+        "      var m = uniforms['uTransforms[' + i + ']']; " +
+        "      var newX = (m[0] * x) + (m[3] * y) + m[6]; " +
+        "      y = (m[1] * x) + (m[4] * y) + m[7]; " +
+        "      x = newX; " +
+        "    } " +
+        "    return [x, y]; " +
+        "  }; " +
+        "  var origin = apply(0, 0), right = apply(1, 0), down = apply(0, 1); " +
+        "  return [" +
+        "    right[0] - origin[0], right[1] - origin[1], down[0] - origin[0], down[1] - origin[1], origin[0], origin[1]" +
+        "  ]; " +
+        "}; ";
+
+    public static void Main (string[] args) {
+        // The values expected from the mocks are computed with XNA. Canvas transforms are matrices whose rows are
+        //  (a, b), (c, d) and (e, f), and a transform applied to a context comes before its current transform.
+        var matrix = Matrix.CreateScale(2) * Matrix.CreateRotationZ((float)(Math.PI / 2)) * Matrix.CreateTranslation(10, 20, 0);
+        var viewport = Matrix.CreateScale(400f / 800, 300f / 600, 1) * Matrix.CreateTranslation(100, 50, 0);
+
+        Common.Print(
+            "Begin with a rotated and scaled matrix",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "batch.Begin(graphics.SpriteSortMode.Deferred, null, null, null, null, null, matrix); " +
+                "return log.join(' '); })()"
+            ),
+            "screen.save() screen.setTransform(" + Logged(matrix * viewport) + ")"
+        );
+        Common.Print(
+            "Begin without a matrix",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "batch.Begin(graphics.SpriteSortMode.Deferred, null, null, null, null, null, null); " +
+                "return log.join(' '); })()"
+            ),
+            "screen.save()"
+        );
+        Common.Print(
+            "Immediate batch across SetRenderTarget",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "batch.Begin(graphics.SpriteSortMode.Immediate, null, null, null, null, null, matrix); " +
+                "device.SetRenderTarget(target); " +
+                "batch.End(); " +
+                "return log.join(' '); })()"
+            ),
+            "screen.save() screen.setTransform(" + Logged(matrix * viewport) + ") " +
+            "target.setTransform(" + Logged(Matrix.Identity) + ") target.clearRect(0, 0, 256, 128) " +
+            "target.setTransform(" + Logged(Matrix.Identity) + ") screen.restore()"
+        );
+        Common.Print(
+            "Deferred batch across SetRenderTarget",
+            Verbatim.Expression(
+                "(function () { " + Setup +
+                "batch.Begin(graphics.SpriteSortMode.Deferred, null, null, null, null, null, matrix); " +
+                "device.SetRenderTarget(target); " +
+                "batch.End(); " +
+                "return log.join(' '); })()"
+            ),
+            "screen.save() screen.setTransform(" + Logged(matrix * viewport) + ") " +
+            "target.setTransform(" + Logged(Matrix.Identity) + ") target.clearRect(0, 0, 256, 128) " +
+            "target.setTransform(" + Logged(Matrix.Identity) + ") screen.restore() " +
+            "target.save() target.setTransform(" + Logged(matrix) + ") target.restore()"
+        );
+        Common.Print(
+            "WebGL setTransform",
+            Verbatim.Expression(
+                "(function () { " + WebGLSetup +
+                "context.setTransform(0, 1, -1, 0, 105, 60); " +
+                "return transformOf(); })()"
+            ),
+            Formatted(Canvas(0, 1, -1, 0, 105, 60))
+        );
+        Common.Print(
+            "WebGL setTransform inside a rotated and scaled level",
+            Verbatim.Expression(
+                "(function () { " + WebGLSetup +
+                "context.transform(0, 2, -2, 0, 10, 10); " +
+                "context.save(); " +
+                "context.setTransform(0, 1, -1, 0, 105, 60); " +
+                "return transformOf(); })()"
+            ),
+            Formatted(Canvas(0, 1, -1, 0, 105, 60))
+        );
+        Common.Print(
+            "WebGL restore after setTransform",
+            Verbatim.Expression(
+                "(function () { " + WebGLSetup +
+                "context.transform(0, 2, -2, 0, 10, 10); " +
+                "context.save(); " +
+                "context.setTransform(0, 1, -1, 0, 105, 60); " +
+                "context.restore(); " +
+                "return transformOf(); })()"
+            ),
+            Formatted(Canvas(0, 2, -2, 0, 10, 10))
+        );
+        Common.Print(
+            "WebGL transform after setTransform",
+            Verbatim.Expression(
+                "(function () { " + WebGLSetup +
+                "context.transform(0, 2, -2, 0, 10, 10); " +
+                "context.save(); " +
+                "context.setTransform(2, 0, 0, 2, 5, 5); " +
+                "context.translate(10, 0); " +
+                "return transformOf(); })()"
+            ),
+            Formatted(Matrix.CreateTranslation(10, 0, 0) * Canvas(2, 0, 0, 2, 5, 5))
+        );
+    }
+
+    // The matrix that the arguments of a canvas transform stand for.
+    public static Matrix Canvas (float a, float b, float c, float d, float e, float f) {
+        return new Matrix(
+            a, b, 0, 0,
+            c, d, 0, 0,
+            0, 0, 1, 0,
+            e, f, 0, 1
+        );
+    }
+
+    // Formats the arguments of the canvas transform for a matrix the way the recorder in Setup logs them.
+    public static string Logged (Matrix matrix) {
+        return String.Join(
+            ", ", Logged(matrix.M11), Logged(matrix.M12), Logged(matrix.M21), Logged(matrix.M22), Logged(matrix.M41), Logged(matrix.M42)
+        );
+    }
+
+    public static string Logged (float value) {
+        var rounded = Math.Round(value, 3);
+        return ((rounded == 0) ? 0 : rounded).ToString(CultureInfo.InvariantCulture);
+    }
+
+    // Formats the arguments of the canvas transform for a matrix the way Common.Format formats the array transformOf returns.
+    public static string Formatted (Matrix matrix) {
+        return String.Join(
+            ", ",
+            Common.Format(matrix.M11), Common.Format(matrix.M12), Common.Format(matrix.M21),
+            Common.Format(matrix.M22), Common.Format(matrix.M41), Common.Format(matrix.M42)
+        );
+    }
+}
@@ -0,0 +1,188 @@
+"use strict";
+
+// Declares the XNA types that the tests in XNATestCases call into, so that the externals in JSIL.XNACore.js
+//  have types to attach to when the skeletons generated by build_skeletons.bat are not available.
+
+if (typeof (JSIL) === "undefined") throw new Error("JSIL.Core required");
+
+(function () {
+  var $asm = JSIL.DeclareAssembly("Microsoft.Xna.Framework, Version=4.0.0.0, Culture=neutral, PublicKeyToken=842cf8be1de50553");
+  var tVector3 = $asm.TypeRef("Microsoft.Xna.Framework.Vector3");
+
+  // getFields returns the types of the public fields of the struct, by name.
+  var makeStruct = function (fullName, getFields) {
+    JSIL.MakeStruct("System.ValueType", fullName, true, [], function ($) {
+      var fields = getFields($);
+
+      for (var k in fields) {
+        if (fields.hasOwnProperty(k))
+          $.Field({Static:false, Public:true }, k, fields[k]);
+      }
+    });
+  };
+
+  JSIL.DeclareNamespace("Microsoft");
+  JSIL.DeclareNamespace("Microsoft.Xna");
+  JSIL.DeclareNamespace("Microsoft.Xna.Framework");
+
+  makeStruct("Microsoft.Xna.Framework.Vector2", function ($) {
+    return {
+      X: $.Single, Y: $.Single
+    };
+  });
+
+  makeStruct("Microsoft.Xna.Framework.Vector3", function ($) {
+    return {
+      X: $.Single, Y: $.Single, Z: $.Single
+    };
+  });
+
+  makeStruct("Microsoft.Xna.Framework.Vector4", function ($) {
+    return {
+      X: $.Single, Y: $.Single, Z: $.Single, W: $.Single
+    };
+  });
+
+  makeStruct("Microsoft.Xna.Framework.Quaternion", function ($) {
+    return {
+      X: $.Single, Y: $.Single, Z: $.Single, W: $.Single
+    };
+  });
+
+  makeStruct("Microsoft.Xna.Framework.Matrix", function ($) {
+    return {
+      M11: $.Single, M12: $.Single, M13: $.Single, M14: $.Single,
+      M21: $.Single, M22: $.Single, M23: $.Single, M24: $.Single,
+      M31: $.Single, M32: $.Single, M33: $.Single, M34: $.Single,
+      M41: $.Single, M42: $.Single, M43: $.Single, M44: $.Single
+    };
+  });
+
+  makeStruct("Microsoft.Xna.Framework.Plane", function ($) {
+    return {
+      Normal: tVector3, D: $.Single
+    };
+  });
+
+  makeStruct("Microsoft.Xna.Framework.Ray", function ($) {
+    return {
+      Position: tVector3, Direction: tVector3
+    };
+  });
+
+  makeStruct("Microsoft.Xna.Framework.BoundingBox", function ($) {
+    return {
+      Min: tVector3, Max: tVector3
+    };
+  });
+
+  makeStruct("Microsoft.Xna.Framework.BoundingSphere", function ($) {
+    return {
+      Center: tVector3, Radius: $.Single
+    };
+  });
+
+  // Rectangle's constructor is not an external, so the prelude provides it.
+  JSIL.MakeStruct("System.ValueType", "Microsoft.Xna.Framework.Rectangle", true, [], function ($) {
+    $.Field({Static:false, Public:true }, "X", $.Int32);
+    $.Field({Static:false, Public:true }, "Y", $.Int32);
+    $.Field({Static:false, Public:true }, "Width", $.Int32);
+    $.Field({Static:false, Public:true }, "Height", $.Int32);
+
+    $.Method({Static:false, Public:true }, ".ctor", 
+      (new JSIL.MethodSignature(null, [$.Int32, $.Int32, $.Int32, $.Int32], [])), 
+      function _ctor (x, y, width, height) {
+        this.X = x;
+        this.Y = y;
+        this.Width = width;
+        this.Height = height;
+      }
+    );
+  });
+
+  JSIL.MakeClass("System.Object", "Microsoft.Xna.Framework.BoundingFrustum", true, [], function ($) {
+  });
+
+  JSIL.MakeEnum("Microsoft.Xna.Framework.PlaneIntersectionType", true, {
+    Front: 0, Back: 1, Intersecting: 2
+  }, false);
+
+  JSIL.MakeEnum("Microsoft.Xna.Framework.ContainmentType", true, {
+    Disjoint: 0, Contains: 1, Intersects: 2
+  }, false);
+})();
+
+(function () {
+  JSIL.DeclareAssembly("Microsoft.Xna.Framework.Graphics, Version=4.0.0.0, Culture=neutral, PublicKeyToken=842cf8be1de50553");
+
+  JSIL.DeclareNamespace("Microsoft");
+  JSIL.DeclareNamespace("Microsoft.Xna");
+  JSIL.DeclareNamespace("Microsoft.Xna.Framework");
+  JSIL.DeclareNamespace("Microsoft.Xna.Framework.Graphics");
+
+  JSIL.MakeClass("System.Object", "Microsoft.Xna.Framework.Graphics.GraphicsDevice", true, [], function ($) {
+  });
+
+  JSIL.MakeClass("System.Object", "Microsoft.Xna.Framework.Graphics.VertexDeclaration", true, [], function ($) {
+  });
+
+  JSIL.MakeClass("System.Object", "Microsoft.Xna.Framework.Graphics.VertexBuffer", true, [], function ($) {
+  });
+
+  JSIL.MakeClass("Microsoft.Xna.Framework.Graphics.VertexBuffer", "Microsoft.Xna.Framework.Graphics.DynamicVertexBuffer", true, [], function ($) {
+  });
+
+  JSIL.MakeClass("System.Object", "Microsoft.Xna.Framework.Graphics.IndexBuffer", true, [], function ($) {
+  });
+
+  JSIL.MakeClass("System.Object", "Microsoft.Xna.Framework.Graphics.SpriteBatch", true, [], function ($) {
+  });
+
+  JSIL.MakeClass("System.Object", "Microsoft.Xna.Framework.Graphics.Effect", true, [], function ($) {
+  });
+
+  JSIL.MakeClass("Microsoft.Xna.Framework.Graphics.Effect", "Microsoft.Xna.Framework.Graphics.BasicEffect", true, [], function ($) {
+  });
+
+  JSIL.MakeClass("System.Object", "Microsoft.Xna.Framework.Graphics.DirectionalLight", true, [], function ($) {
+  });
+
+  JSIL.MakeClass("System.Object", "Microsoft.Xna.Framework.Graphics.EffectTechnique", true, [], function ($) {
+  });
+
+  JSIL.MakeClass("System.Object", "Microsoft.Xna.Framework.Graphics.EffectPassCollection", true, [], function ($) {
+  });
+
+  JSIL.MakeClass("System.Object", "Microsoft.Xna.Framework.Graphics.EffectPass", true, [], function ($) {
+  });
+
+  // The externals copy the private fields of VertexElement themselves, so it declares none.
+  JSIL.MakeStruct("System.ValueType", "Microsoft.Xna.Framework.Graphics.VertexElement", true, [], function ($) {
+  });
+
+  JSIL.MakeEnum("Microsoft.Xna.Framework.Graphics.VertexElementFormat", true, {
+    Single: 0, Vector2: 1, Vector3: 2, Vector4: 3, Color: 4, Byte4: 5, Short2: 6, Short4: 7,
+    NormalizedShort2: 8, NormalizedShort4: 9, HalfVector2: 10, HalfVector4: 11
+  }, false);
+
+  JSIL.MakeEnum("Microsoft.Xna.Framework.Graphics.VertexElementUsage", true, {
+    Position: 0, Color: 1, TextureCoordinate: 2, Normal: 3, Binormal: 4, Tangent: 5, BlendIndices: 6,
+    BlendWeight: 7, Depth: 8, Fog: 9, PointSize: 10, Sample: 11, TessellateFactor: 12
+  }, false);
+
+  JSIL.MakeEnum("Microsoft.Xna.Framework.Graphics.BufferUsage", true, {
+    None: 0, WriteOnly: 1
+  }, false);
+
+  JSIL.MakeEnum("Microsoft.Xna.Framework.Graphics.IndexElementSize", true, {
+    SixteenBits: 0, ThirtyTwoBits: 1
+  }, false);
+
+  JSIL.MakeEnum("Microsoft.Xna.Framework.Graphics.PrimitiveType", true, {
+    TriangleList: 0, TriangleStrip: 1, LineList: 2, LineStrip: 3
+  }, false);
+
+  JSIL.MakeEnum("Microsoft.Xna.Framework.Graphics.SpriteSortMode", true, {
+    Deferred: 0, Immediate: 1, Texture: 2, BackToFront: 3, FrontToBack: 4
+  }, false);
+})();
@@ -0,0 +1,66 @@
+﻿using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using NUnit.Framework;
+
+namespace JSIL.Tests {
+    [TestFixture]
+    public class XNATests : GenericTestFixture {
+        // The tests call the XNA externals, which need the types declared by the XNA skeletons.
+        //  build_skeletons.bat generates them, which needs XNA Game Studio 4.0.
+        public static readonly string SkeletonsFolder = Path.GetFullPath(
+            Path.Combine(ComparisonTest.TestSourceFolder, @"..\Skeletons")
+        );
+
+        // Declares the XNA types the tests use when the skeletons have not been generated.
+        public static readonly string PreludePath = Path.GetFullPath(
+            Path.Combine(ComparisonTest.TestSourceFolder, "XNATestPrelude.js")
+        );
+
+        // The SpriteBatch tests also cover the canvas 2D emulation that the WebGL renderer uses.
+        public static readonly string WebGL2DJSPath = Path.GetFullPath(
+            Path.Combine(ComparisonTest.TestSourceFolder, @"..\Libraries\webgl-2d.js")
+        );
+
+        // The tests compute the values they expect with XNA, so they compile against XNA Game Studio 4.0.
+        public static readonly string XNAReferencesFolder = Path.Combine(
+            Environment.GetFolderPath(Environment.SpecialFolder.ProgramFilesX86),
+            @"Microsoft XNA\XNA Game Studio\v4.0\References\Windows\x86"
+        );
+
+        protected override IEnumerable<string> References {
+            get {
+                return new[] {
+                    "Microsoft.Xna.Framework.dll", "Microsoft.Xna.Framework.Graphics.dll"
+                }.Select((filename) => Path.Combine(XNAReferencesFolder, filename));
+            }
+        }
+
+        protected static string[] GetSkeletonPaths () {
+            if (!Directory.Exists(SkeletonsFolder))
+                return new string[0];
+
+            return Directory.GetFiles(SkeletonsFolder, "Microsoft.Xna.Framework*.js");
+        }
+
+        protected override IEnumerable<string> LibraryPaths {
+            get {
+                var skeletonPaths = GetSkeletonPaths();
+                if (skeletonPaths.Length == 0)
+                    skeletonPaths = new[] { PreludePath };
+
+                return base.LibraryPaths.Concat(new[] { ComparisonTest.XNACoreJSPath, WebGL2DJSPath }).Concat(skeletonPaths);
+            }
+        }
+
+        [Test]
+        public void AllXNATests () {
+            var typeInfo = MakeDefaultProvider();
+            var testPath = Path.GetFullPath(Path.Combine(ComparisonTest.TestSourceFolder, "XNATestCases"));
+            var xnaTests = Directory.GetFiles(testPath, "*.cs");
+
+            RunComparisonTests(xnaTests, null, typeInfo);
+        }
+    }
+}